@@ -0,0 +1,167 @@
+/**
+ * Config file support for the Electron main process (wmbservice-config.json).
+ *
+ * Discovery order:
+ *   1. <userData>/wmbservice-config.json  (where settings are saved)
+ *   2. <app dir>/wmbservice-config.json   (shipped next to the app)
+ *   3. none: the renderer keeps its env (REACT_APP_*) defaults
+ *
+ * Files are validated with configSchema; invalid keys are dropped and reported.
+ * Writes always go to the user data file, merged over the currently active config,
+ * and are atomic (temp file + rename) like localStore. Both directories are watched
+ * and changes are pushed to every window on the 'config-changed' channel.
+ *
+ * @module configFile
+ */
+const fs = require('fs');
+const path = require('path');
+const { EDITABLE_CONFIG_KEYS, validateConfig } = require('./configSchema');
+
+const logger = {
+    info: (...args) => console.log('[configFile]', ...args),
+    error: (...args) => console.error('[configFile]', ...args),
+};
+
+const CONFIG_FILE_NAME = 'wmbservice-config.json';
+const WATCH_DEBOUNCE_MS = 150;
+
+/**
+ * Create a config file accessor.
+ * @function createConfigFile
+ * @param {Object} options
+ * @param {string} options.userDataDir - Electron userData directory (write target).
+ * @param {string} [options.appDir] - Application directory (read-only fallback).
+ * @returns {{discover: Function, read: Function, write: Function, watch: Function, userDataPath: string}}
+ */
+function createConfigFile({ userDataDir, appDir }) {
+    if (!userDataDir) throw new Error('userDataDir required');
+    const userDataPath = path.join(userDataDir, CONFIG_FILE_NAME);
+    const candidates = [
+        { source: 'userData', filePath: userDataPath },
+        ...(appDir ? [{ source: 'app', filePath: path.join(appDir, CONFIG_FILE_NAME) }] : []),
+    ];
+
+    /**
+     * First existing config file, or the env fallback.
+     * @returns {{source: string, filePath: string|null}}
+     */
+    function discover() {
+        const found = candidates.find(({ filePath }) => fs.existsSync(filePath));
+        return found || { source: 'env', filePath: null };
+    }
+
+    /**
+     * Reads and validates the active config file.
+     * A file that is not valid JSON yields an empty config and one error.
+     * @returns {{config: Object, errors: string[], source: string, filePath: string|null}}
+     */
+    function read() {
+        const { source, filePath } = discover();
+        if (!filePath) return { config: {}, errors: [], source, filePath };
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            const message = `${filePath} is not valid JSON: ${err.message}`;
+            logger.error('read failed', { filePath, message: err.message });
+            return { config: {}, errors: [message], source, filePath };
+        }
+        const { config, errors } = validateConfig(parsed);
+        if (errors.length > 0) logger.error('config has problems', { filePath, errors });
+        logger.info('config read', { source, filePath, keys: Object.keys(config) });
+        return { config, errors, source, filePath };
+    }
+
+    /**
+     * Validates a patch, merges it over the active config and writes the user data file.
+     * Only EDITABLE_CONFIG_KEYS may be written; connection keys such as baseUrl and
+     * defaultHeaders are changed by editing the file by hand.
+     * @param {Object} patch
+     * @returns {{config: Object, filePath: string}}
+     * @throws {Error} with every validation message when the patch is invalid
+     */
+    function write(patch) {
+        const locked = Object.keys(patch || {}).filter((key) => !EDITABLE_CONFIG_KEYS.includes(key));
+        if (locked.length > 0) {
+            throw new Error(`Invalid settings: ${locked.join(', ')} can only be changed by editing ${CONFIG_FILE_NAME}`);
+        }
+        const { config: patchConfig, errors } = validateConfig(patch);
+        if (errors.length > 0) throw new Error(`Invalid settings: ${errors.join('; ')}`);
+        const next = { ...read().config, ...patchConfig };
+        const tmpPath = `${userDataPath}.tmp`;
+        fs.mkdirSync(path.dirname(userDataPath), { recursive: true });
+        fs.writeFileSync(tmpPath, `${JSON.stringify(next, null, 2)}\n`, 'utf8');
+        fs.renameSync(tmpPath, userDataPath);
+        logger.info('config written', { filePath: userDataPath, keys: Object.keys(patchConfig) });
+        return { config: next, filePath: userDataPath };
+    }
+
+    /**
+     * Watches the candidate directories and calls onChange with a fresh read()
+     * whenever a config file is created, changed or removed.
+     * @param {Function} onChange - (result of read()) => void
+     * @returns {Function} stop watching
+     */
+    function watch(onChange) {
+        let timer = null;
+        let lastPushed = JSON.stringify(read());
+        const trigger = () => {
+            if (timer) clearTimeout(timer);
+            timer = setTimeout(() => {
+                timer = null;
+                const result = read();
+                const serialized = JSON.stringify(result);
+                if (serialized === lastPushed) return;
+                lastPushed = serialized;
+                onChange(result);
+            }, WATCH_DEBOUNCE_MS);
+        };
+        const watchers = [...new Set(candidates.map(({ filePath }) => path.dirname(filePath)))]
+            .filter((dir) => fs.existsSync(dir))
+            .map((dir) => {
+                try {
+                    return fs.watch(dir, (event, fileName) => {
+                        if (!fileName || fileName === CONFIG_FILE_NAME) trigger();
+                    });
+                } catch (err) {
+                    logger.error('watch failed', { dir, message: err.message });
+                    return null;
+                }
+            })
+            .filter(Boolean);
+        logger.info('watching config directories', { count: watchers.length });
+        return () => {
+            if (timer) clearTimeout(timer);
+            watchers.forEach((w) => w.close());
+        };
+    }
+
+    return { discover, read, write, watch, userDataPath };
+}
+
+/**
+ * Register the read-config / write-config IPC handlers.
+ *
+ * @function registerConfigFileHandlers
+ * @param {Electron.IpcMain} ipcMain
+ * @param {ReturnType<typeof createConfigFile>} configFile
+ * @returns {void}
+ */
+function registerConfigFileHandlers(ipcMain, configFile) {
+    ipcMain.handle('read-config', async () => configFile.read());
+    ipcMain.handle('write-config', async (event, patch) => {
+        if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+            throw new Error('write-config: settings must be an object');
+        }
+        try {
+            const { filePath } = configFile.write(patch);
+            return { ok: true, filePath };
+        } catch (err) {
+            logger.error('write-config failed', { message: err.message });
+            throw err;
+        }
+    });
+    logger.info('IPC handlers registered');
+}
+
+module.exports = { CONFIG_FILE_NAME, createConfigFile, registerConfigFileHandlers };
@@ -0,0 +1,209 @@
+/**
+ * Schema validation for wmbservice-config.json.
+ *
+ * validateConfig keeps every valid key and drops invalid ones, returning one readable
+ * message per problem (e.g. `categories[2] must be a string`), so a single typo never
+ * discards the rest of the file.
+ *
+ * @module configSchema
+ */
+
+const MAX_PERIOD_MONTHS = 24;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * @param {*} value
+ * @param {string} key
+ * @returns {string[]} errors
+ */
+function checkString(value, key) {
+    return typeof value === 'string' ? [] : [`${key} must be a string`];
+}
+
+/**
+ * @param {*} value
+ * @param {string} key
+ * @returns {string[]} errors
+ */
+function checkStringArray(value, key) {
+    if (!Array.isArray(value)) return [`${key} must be a list of strings`];
+    return value.flatMap((item, i) => (typeof item === 'string' && item.trim() ? [] : [`${key}[${i}] must be a non-empty string`]));
+}
+
+/**
+ * @param {*} value
+ * @param {string} key
+ * @returns {string[]} errors
+ */
+function checkStringMap(value, key) {
+    if (!isPlainObject(value)) return [`${key} must be an object of "name": "value" pairs`];
+    return Object.entries(value).flatMap(([k, v]) => (typeof v === 'string' ? [] : [`${key}.${k} must be a string`]));
+}
+
+/**
+ * @param {*} value
+ * @param {string} key
+ * @returns {string[]} errors
+ */
+function checkMonths(value, key) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_PERIOD_MONTHS
+        ? []
+        : [`${key} must be a whole number from 0 to ${MAX_PERIOD_MONTHS}`];
+}
+
+/**
+ * @param {*} value
+ * @param {string} key
+ * @returns {string[]} errors
+ */
+function checkHousehold(value, key) {
+    if (!isPlainObject(value)) return [`${key} must be an object with "members" and "sharedAccounts" lists`];
+    const errors = [];
+    ['members', 'sharedAccounts'].forEach((listKey) => {
+        const list = value[listKey];
+        if (list === undefined) return;
+        if (!Array.isArray(list)) {
+            errors.push(`${key}.${listKey} must be a list`);
+            return;
+        }
+        list.forEach((entry, i) => {
+            const at = `${key}.${listKey}[${i}]`;
+            if (!isPlainObject(entry)) {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+            ['id', 'name', 'filter', 'paymentMethod'].forEach((field) => {
+                if (entry[field] !== undefined && typeof entry[field] !== 'string') errors.push(`${at}.${field} must be a string`);
+            });
+            if (!String(entry.name ?? '').trim() && !String(entry.filter ?? '').trim()) errors.push(`${at} needs a name or a filter`);
+        });
+    });
+    Object.keys(value).filter((k) => k !== 'members' && k !== 'sharedAccounts').forEach((k) => {
+        errors.push(`${key}.${k} is not a known setting`);
+    });
+    return errors;
+}
+
+/**
+ * @param {*} value
+ * @param {string} key
+ * @returns {string[]} errors
+ */
+function checkCards(value, key) {
+    if (!isPlainObject(value)) return [`${key} must be an object of "card": { closingDay, dueDay, creditLimit, autopay } entries`];
+    const isDay = (v) => v === undefined || v === null || (Number.isInteger(v) && v >= 1 && v <= 31);
+    return Object.entries(value).flatMap(([card, details]) => {
+        const at = `${key}.${card}`;
+        if (!isPlainObject(details)) return [`${at} must be an object`];
+        const errors = [];
+        ['closingDay', 'dueDay'].forEach((field) => {
+            if (!isDay(details[field])) errors.push(`${at}.${field} must be a day of the month from 1 to 31`);
+        });
+        if (details.creditLimit != null && !(typeof details.creditLimit === 'number' && details.creditLimit >= 0)) {
+            errors.push(`${at}.creditLimit must be a number of 0 or more`);
+        }
+        if (details.autopay !== undefined && typeof details.autopay !== 'boolean') errors.push(`${at}.autopay must be true or false`);
+        Object.keys(details).filter((k) => !['closingDay', 'dueDay', 'creditLimit', 'autopay'].includes(k)).forEach((k) => {
+            errors.push(`${at}.${k} is not a known setting`);
+        });
+        return errors;
+    });
+}
+
+/**
+ * Statement period scheme (see src/lib/statementPeriods).
+ * @param {*} value
+ * @param {string} key
+ * @returns {string[]} errors
+ */
+function checkPeriodScheme(value, key) {
+    const TYPES = ['calendarMonth', 'closeDay', 'biweekly', 'custom'];
+    if (!isPlainObject(value) || !TYPES.includes(value.type)) return [`${key}.type must be one of ${TYPES.join(', ')}`];
+    const isDate = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(new Date(`${v}T00:00:00`).getTime());
+    const errors = [];
+    if (value.type === 'closeDay' && !(Number.isInteger(value.closeDay) && value.closeDay >= 1 && value.closeDay <= 31)) {
+        errors.push(`${key}.closeDay must be a day of the month from 1 to 31`);
+    }
+    if (value.type === 'biweekly' && !isDate(value.anchorDate)) errors.push(`${key}.anchorDate must be a YYYY-MM-DD date`);
+    if (value.type === 'custom') {
+        if (!Array.isArray(value.periods) || value.periods.length === 0) return [`${key}.periods must be a non-empty list of { name, start, end }`];
+        value.periods.forEach((period, i) => {
+            const at = `${key}.periods[${i}]`;
+            if (!isPlainObject(period)) {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+            if (typeof period.name !== 'string' || !period.name.trim()) errors.push(`${at}.name must be a non-empty string`);
+            if (!isDate(period.start) || !isDate(period.end)) errors.push(`${at} start and end must be YYYY-MM-DD dates`);
+            else if (period.start > period.end) errors.push(`${at} ends before it starts`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Known keys and their validators.
+ * @constant
+ */
+const SCHEMA = {
+    baseUrl: checkString,
+    defaultHeaders: checkStringMap,
+    household: checkHousehold,
+    categories: checkStringArray,
+    paymentMethods: checkStringArray,
+    accounts: checkStringArray,
+    criticalityOptions: checkStringArray,
+    defaultCriticalityMap: checkStringMap,
+    defaultPaymentMethodMap: checkStringMap,
+    cards: checkCards,
+    statementPeriodPrevMonths: checkMonths,
+    statementPeriodForwardMonths: checkMonths,
+    statementPeriodCacheKey: checkString,
+    statementPeriodScheme: checkPeriodScheme,
+};
+
+/**
+ * Keys the renderer may save through write-config (mirrors EDITABLE_CONFIG_KEYS in
+ * src/config/config.js). Connection and startup keys (baseUrl, defaultHeaders, household,
+ * statementPeriodCacheKey) are only read from the file, never written on the page's behalf.
+ * @constant
+ * @type {string[]}
+ */
+const EDITABLE_CONFIG_KEYS = [
+    'categories',
+    'paymentMethods',
+    'accounts',
+    'criticalityOptions',
+    'defaultCriticalityMap',
+    'defaultPaymentMethodMap',
+    'cards',
+    'statementPeriodPrevMonths',
+    'statementPeriodForwardMonths',
+    'statementPeriodScheme',
+];
+
+/**
+ * Validate a parsed config object.
+ * @function validateConfig
+ * @param {*} raw
+ * @returns {{config: Object, errors: string[]}} valid keys only, plus readable messages
+ */
+function validateConfig(raw) {
+    if (!isPlainObject(raw)) return { config: {}, errors: ['config must be a JSON object'] };
+    const config = {};
+    const errors = [];
+    Object.entries(raw).forEach(([key, value]) => {
+        const check = SCHEMA[key];
+        if (!check) {
+            errors.push(`"${key}" is not a known setting (ignored)`);
+            return;
+        }
+        const keyErrors = check(value, key);
+        if (keyErrors.length > 0) errors.push(...keyErrors);
+        else config[key] = value;
+    });
+    return { config, errors };
+}
+
+module.exports = { SCHEMA, EDITABLE_CONFIG_KEYS, validateConfig, CONFIG_KEYS: Object.keys(SCHEMA) };
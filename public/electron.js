@@ -5,7 +5,20 @@
  * @module electron-main
  */
 const path = require('path');
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Notification, protocol, net, session } = require('electron');
+const { createLocalStore, registerLocalStoreHandlers } = require('./localStore');
+const { createConfigFile, registerConfigFileHandlers } = require('./configFile');
+const { createSecureIpc } = require('./ipcApi');
+const { registerShellHandlers } = require('./shellHandlers');
+const {
+    applyDevPolicy,
+    buildContentSecurityPolicy,
+    createAppOrigin,
+    hardenWebContents,
+    readBundledApiUrl,
+    registerAppScheme,
+    serveAppBundle,
+} = require('./security');
 require('dotenv').config();
 
 const logger = {
@@ -19,8 +32,63 @@ const logger = {
  */
 const isDev = process.env.NODE_ENV === 'development' || process.defaultApp || /node_modules[\\/]electron[\\/]/.test(process.execPath);
 
+/**
+ * Where the renderer is loaded from and which URLs count as the app itself.
+ */
+const appOrigin = createAppOrigin({ isDev });
+
+/**
+ * Offline-first local store (created on app ready, once userData is resolvable).
+ * @type {ReturnType<typeof createLocalStore>|null}
+ */
+let localStore = null;
+
+/**
+ * Stops the config file watcher (set on app ready).
+ * @type {Function|null}
+ */
+let stopConfigWatch = null;
+
+/**
+ * Renderer bundle directory (production builds are served from here).
+ */
+const buildDir = path.join(__dirname, '../build');
+
+/**
+ * API URL compiled into the renderer (REACT_APP_BASE_URL). The dev server reads the
+ * same .env that dotenv loaded above; a packaged app only has what the build baked in.
+ * @type {string}
+ */
+const rendererBaseUrl = isDev ? (process.env.REACT_APP_BASE_URL || '') : readBundledApiUrl(buildDir);
+
+/**
+ * Current Content-Security-Policy; rebuilt when the config file changes the API URL.
+ * @type {string}
+ */
+let contentSecurityPolicy = buildContentSecurityPolicy({ isDev, apiUrls: [rendererBaseUrl].filter(Boolean) });
+
+/**
+ * Rebuilds the CSP for the API URL the renderer uses: the config file's baseUrl when set,
+ * otherwise the one compiled into the renderer.
+ * @param {string} [fileBaseUrl]
+ * @returns {boolean} whether the policy changed
+ */
+function refreshContentSecurityPolicy(fileBaseUrl) {
+    const apiUrls = [fileBaseUrl || rendererBaseUrl].filter(Boolean);
+    const next = buildContentSecurityPolicy({ isDev, apiUrls });
+    if (next === contentSecurityPolicy) return false;
+    contentSecurityPolicy = next;
+    logger.info('content security policy', contentSecurityPolicy);
+    return true;
+}
+
+// app:// must be registered as privileged before the app is ready
+registerAppScheme(protocol);
+hardenWebContents(app, appOrigin.isTrustedUrl);
+
 /**
  * Create the main BrowserWindow and load the correct entry point.
+ * The renderer runs sandboxed with context isolation; preload exposes the only API.
  * @function createMainWindow
  * @returns {BrowserWindow}
  */
@@ -30,19 +98,19 @@ function createMainWindow() {
         width: 1200,
         height: 800,
         webPreferences: {
-            nodeIntegration: true,
-            contextIsolation: false,
-            enableRemoteModule: true
+            preload: path.join(__dirname, 'preload.js'),
+            contextIsolation: true,
+            nodeIntegration: false,
+            nodeIntegrationInWorker: false,
+            sandbox: true,
+            webSecurity: true,
+            webviewTag: false,
+            spellcheck: false,
         }
     });
 
-    // Load the app (mirrored logic)
-    const startUrl = isDev
-        ? 'http://localhost:3000'
-        : `file://${path.join(__dirname, '../build/index.html')}`;
-
-    logger.info('Loading URL:', startUrl);
-    mainWindow.loadURL(startUrl);
+    logger.info('Loading URL:', appOrigin.startUrl);
+    mainWindow.loadURL(appOrigin.startUrl);
 
     // Open DevTools in development
     if (isDev) {
@@ -52,47 +120,6 @@ function createMainWindow() {
     return mainWindow;
 }
 
-/**
- * IPC Handlers
- */
-ipcMain.handle('ping', async (event, payload) => {
-    logger.info('ipcHandler ping received', { payload });
-    const response = { pong: true, received: payload, ts: new Date().toISOString() };
-    logger.info('ipcHandler ping responding', response);
-    return response;
-});
-
-ipcMain.handle('select-destination-folder', async () => {
-    logger.info('select-destination-folder invoked');
-    const result = await dialog.showOpenDialog({
-        properties: ['openDirectory'],
-        title: 'Select Destination Folder'
-    });
-    if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
-        logger.info('select-destination-folder canceled');
-        return null;
-    }
-    logger.info('select-destination-folder path=', result.filePaths[0]);
-    return result.filePaths[0];
-});
-
-ipcMain.handle('transfer-albums', async (event, data) => {
-    logger.info('transfer-albums invoked', { albumsCount: Array.isArray(data?.albums) ? data.albums.length : 0, destination: data?.destination });
-    try {
-        const totalSteps = 20;
-        for (let step = 1; step <= totalSteps; step++) {
-            const pct = Math.round((step / totalSteps) * 100);
-            event.sender.send('transfer-progress', pct);
-            await new Promise(resolve => setTimeout(resolve, 80));
-        }
-        logger.info('transfer-albums complete');
-        return { success: true };
-    } catch (err) {
-        logger.error('transfer-albums error', err);
-        return { success: false, message: err.message || String(err) };
-    }
-});
-
 /**
  * App lifecycle handlers.
  */
@@ -101,6 +128,43 @@ process.on('unhandledRejection', (reason) => logger.error('Unhandled Rejection:'
 
 app.on('ready', () => {
     logger.info('app ready');
+    const ipc = createSecureIpc(ipcMain, { isTrustedSender: appOrigin.isTrustedUrl });
+    try {
+        localStore = createLocalStore({ filePath: path.join(app.getPath('userData'), 'local-store.json') });
+        registerLocalStoreHandlers(ipc, localStore);
+    } catch (err) {
+        logger.error('Error initializing local store', err);
+    }
+    try {
+        const configFile = createConfigFile({ userDataDir: app.getPath('userData'), appDir: app.getAppPath() });
+        registerConfigFileHandlers(ipc, configFile);
+        logger.info('config file', configFile.discover());
+        refreshContentSecurityPolicy(configFile.read().config.baseUrl);
+        stopConfigWatch = configFile.watch((result) => {
+            logger.info('config file changed', { source: result.source, errors: result.errors.length });
+            // A loaded page keeps the CSP it was served with, so a new API origin needs a
+            // reload; the renderer reads the config file again on startup.
+            if (refreshContentSecurityPolicy(result.config.baseUrl)) {
+                logger.info('API origin changed; reloading windows');
+                BrowserWindow.getAllWindows().forEach((win) => win.webContents.reload());
+                return;
+            }
+            BrowserWindow.getAllWindows().forEach((win) => win.webContents.send('config-changed', result));
+        });
+    } catch (err) {
+        logger.error('Error initializing config file', err);
+    }
+    try {
+        registerShellHandlers(ipc, { dialog, Notification, BrowserWindow, getPath: (name) => app.getPath(name) });
+    } catch (err) {
+        logger.error('Error registering shell handlers', err);
+    }
+    const getPolicy = () => contentSecurityPolicy;
+    if (isDev) {
+        applyDevPolicy(session.defaultSession, getPolicy);
+    } else {
+        serveAppBundle({ protocol, net, buildDir, getPolicy });
+    }
     try {
         createMainWindow();
     } catch (err) {
@@ -115,6 +179,14 @@ app.on('activate', () => {
     }
 });
 
+app.on('before-quit', () => {
+    if (stopConfigWatch) stopConfigWatch();
+    if (localStore) {
+        logger.info('flushing local store before quit');
+        localStore.flush();
+    }
+});
+
 app.on('window-all-closed', () => {
     logger.info('window-all-closed platform=%s', process.platform);
     if (process.platform !== 'darwin') {
@@ -124,15 +196,3 @@ app.on('window-all-closed', () => {
         logger.info('macOS - keeping app active');
     }
 });
-
-// Removed config file logic. Use environment variables instead.
-
-/**
- * Example: Access environment variables
- * const myValue = process.env.MY_CONFIG_VAR;
- */
-
-// If you need config values, use process.env directly:
-// Example:
-// const apiUrl = process.env.API_URL;
-// logger.info('API_URL from env:', apiUrl);
@@ -0,0 +1,166 @@
+/**
+ * Whitelisted, schema-validated IPC surface between preload and main.
+ *
+ * Every channel the renderer may invoke is listed in CHANNELS with a named validator per
+ * argument. createSecureIpc wraps ipcMain.handle so that a handler only runs when
+ *   - the channel is whitelisted (registering anything else throws at startup),
+ *   - the call comes from the app's own page (isTrustedSender), and
+ *   - the arguments match the schema (extra arguments are rejected).
+ * Handler modules (localStore, configFile, shellHandlers) register through the wrapper,
+ * which has the same `handle(channel, handler)` shape as ipcMain.
+ *
+ * @module ipcApi
+ */
+
+const { SCHEMA, EDITABLE_CONFIG_KEYS } = require('./configSchema');
+
+const logger = {
+    info: (...args) => console.log('[ipcApi]', ...args),
+    error: (...args) => console.error('[ipcApi]', ...args),
+};
+
+const MAX_KEY_LENGTH = 200;
+const MAX_EXPORT_BYTES = 50 * 1024 * 1024;
+
+/**
+ * File formats the renderer may ask for; main owns the dialog filters.
+ * @constant
+ */
+const FILE_FORMATS = {
+    csv: { name: 'CSV', extensions: ['csv'] },
+    xlsx: { name: 'Excel workbook', extensions: ['xlsx'] },
+    pdf: { name: 'PDF', extensions: ['pdf'] },
+    json: { name: 'JSON', extensions: ['json'] },
+    ofx: { name: 'OFX / QFX statement', extensions: ['ofx', 'qfx'] },
+    qif: { name: 'QIF statement', extensions: ['qif'] },
+    txt: { name: 'Text', extensions: ['txt'] },
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// --- Validators: (value, name) => string[] ----------------------------------
+
+const optional = (check) => (value, name) => (value === undefined || value === null ? [] : check(value, name));
+
+const string = ({ max = 1000, nonEmpty = false } = {}) => (value, name) => {
+    if (typeof value !== 'string') return [`${name} must be a string`];
+    if (nonEmpty && value.length === 0) return [`${name} must not be empty`];
+    if (value.length > max) return [`${name} must be at most ${max} characters`];
+    return [];
+};
+
+const oneOf = (allowed) => (value, name) => (allowed.includes(value) ? [] : [`${name} must be one of ${allowed.join(', ')}`]);
+
+const jsonValue = (value, name) => {
+    try {
+        return JSON.stringify(value) === undefined ? [`${name} must be JSON-serializable`] : [];
+    } catch (err) {
+        return [`${name} must be JSON-serializable (${err.message})`];
+    }
+};
+
+/**
+ * Object with a fixed set of fields; unknown fields are rejected.
+ * @param {Object<string, Function>} fields
+ * @returns {Function} validator
+ */
+const shape = (fields) => (value, name) => {
+    if (!isPlainObject(value)) return [`${name} must be an object`];
+    const unknown = Object.keys(value).filter((k) => !fields[k]).map((k) => `${name}.${k} is not allowed`);
+    const invalid = Object.entries(fields).flatMap(([k, check]) => check(value[k], `${name}.${k}`));
+    return [...unknown, ...invalid];
+};
+
+const exportData = (value, name) => {
+    const size = typeof value === 'string' ? Buffer.byteLength(value, 'utf8') : value instanceof Uint8Array ? value.byteLength : -1;
+    if (size < 0) return [`${name} must be a string or bytes`];
+    return size > MAX_EXPORT_BYTES ? [`${name} is larger than ${MAX_EXPORT_BYTES / (1024 * 1024)} MB`] : [];
+};
+
+const formatList = (value, name) => {
+    if (!Array.isArray(value) || value.length === 0) return [`${name} must be a non-empty list`];
+    return value.flatMap((f, i) => oneOf(Object.keys(FILE_FORMATS))(f, `${name}[${i}]`));
+};
+
+/**
+ * Settings the page may save: the editable keys only, each checked with its config schema
+ * validator. baseUrl and defaultHeaders feed the CSP and every request, so they stay file-only.
+ * @constant
+ */
+const editableSettings = shape(EDITABLE_CONFIG_KEYS.reduce((acc, key) => {
+    acc[key] = optional(SCHEMA[key]);
+    return acc;
+}, {}));
+
+/**
+ * Channel -> [argument name, validator] pairs. Anything not listed here cannot be invoked.
+ * @constant
+ */
+const CHANNELS = {
+    'read-config': [],
+    'write-config': [['settings', editableSettings]],
+    'local-store:get': [['key', string({ max: MAX_KEY_LENGTH, nonEmpty: true })]],
+    'local-store:set': [['key', string({ max: MAX_KEY_LENGTH, nonEmpty: true })], ['value', jsonValue]],
+    'local-store:remove': [['key', string({ max: MAX_KEY_LENGTH, nonEmpty: true })]],
+    'local-store:keys': [['prefix', optional(string({ max: MAX_KEY_LENGTH }))]],
+    'dialog:open-file': [['options', optional(shape({
+        title: optional(string({ max: 200 })),
+        formats: optional(formatList),
+    }))]],
+    'export:save': [['request', shape({
+        defaultName: string({ max: 200, nonEmpty: true }),
+        format: oneOf(['csv', 'xlsx', 'pdf', 'json']),
+        data: exportData,
+    })]],
+    'notification:show': [['notification', shape({
+        title: string({ max: 120, nonEmpty: true }),
+        body: optional(string({ max: 500 })),
+    })]],
+};
+
+/**
+ * Validates the arguments of one call.
+ * @function validateArgs
+ * @param {string} channel
+ * @param {Array} args
+ * @returns {string[]} readable messages (empty when valid)
+ */
+function validateArgs(channel, args) {
+    const checks = CHANNELS[channel];
+    if (!checks) return [`${channel} is not an allowed channel`];
+    const errors = args.length > checks.length ? [`expected at most ${checks.length} argument(s), got ${args.length}`] : [];
+    return [...errors, ...checks.flatMap(([name, check], i) => check(args[i], name))];
+}
+
+/**
+ * Wraps ipcMain with the whitelist, sender check and argument validation.
+ * @function createSecureIpc
+ * @param {Electron.IpcMain} ipcMain
+ * @param {Object} options
+ * @param {(url: string) => boolean} options.isTrustedSender - checks the calling frame's URL
+ * @returns {{handle: (channel: string, handler: Function) => void}}
+ */
+function createSecureIpc(ipcMain, { isTrustedSender }) {
+    if (typeof isTrustedSender !== 'function') throw new Error('isTrustedSender required');
+
+    function handle(channel, handler) {
+        if (!CHANNELS[channel]) throw new Error(`IPC channel "${channel}" is not whitelisted`);
+        ipcMain.handle(channel, async (event, ...args) => {
+            const senderUrl = event.senderFrame?.url || '';
+            if (!isTrustedSender(senderUrl)) {
+                logger.error('rejected call from untrusted sender', { channel, senderUrl });
+                throw new Error(`${channel}: untrusted sender`);
+            }
+            const errors = validateArgs(channel, args);
+            if (errors.length > 0) {
+                logger.error('rejected invalid call', { channel, errors });
+                throw new Error(`${channel}: ${errors.join('; ')}`);
+            }
+            return handler(event, ...args);
+        });
+    }
+
+    return { handle };
+}
+
+module.exports = { CHANNELS, FILE_FORMATS, createSecureIpc, validateArgs };
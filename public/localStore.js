@@ -0,0 +1,126 @@
+/**
+ * Local persistent key-value store for the Electron main process.
+ * Backs the renderer's offline-first transaction cache and sync queue.
+ *
+ * Data lives in a single JSON file under the user data directory. Writes are
+ * debounced and atomic (temp file + rename) so a crash mid-write never leaves
+ * a truncated store behind.
+ *
+ * @module localStore
+ */
+const fs = require('fs');
+const path = require('path');
+
+const logger = {
+    info: (...args) => console.log('[localStore]', ...args),
+    error: (...args) => console.error('[localStore]', ...args),
+};
+
+const STORE_VERSION = 1;
+const WRITE_DEBOUNCE_MS = 200;
+
+/**
+ * Create a store bound to a JSON file.
+ * @function createLocalStore
+ * @param {Object} options
+ * @param {string} options.filePath - Absolute path of the backing JSON file.
+ * @returns {{get: Function, set: Function, remove: Function, keys: Function, flush: Function}}
+ */
+function createLocalStore({ filePath }) {
+    if (!filePath) throw new Error('filePath required');
+
+    let entries = null;
+    let writeTimer = null;
+
+    /**
+     * Lazily load entries from disk. A missing or corrupt file starts empty.
+     * @returns {Object}
+     */
+    function load() {
+        if (entries) return entries;
+        try {
+            const raw = fs.readFileSync(filePath, 'utf8');
+            const parsed = JSON.parse(raw);
+            entries = parsed && typeof parsed.entries === 'object' && parsed.entries ? parsed.entries : {};
+            logger.info('loaded store', { filePath, keys: Object.keys(entries).length });
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('failed to read store, starting empty', { filePath, message: err.message });
+            }
+            entries = {};
+        }
+        return entries;
+    }
+
+    /**
+     * Write entries to disk immediately (atomic rename).
+     * @returns {void}
+     */
+    function flush() {
+        if (writeTimer) {
+            clearTimeout(writeTimer);
+            writeTimer = null;
+        }
+        if (!entries) return;
+        const tmpPath = `${filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: STORE_VERSION, entries }), 'utf8');
+            fs.renameSync(tmpPath, filePath);
+        } catch (err) {
+            logger.error('flush failed', { filePath, message: err.message });
+        }
+    }
+
+    function scheduleWrite() {
+        if (writeTimer) clearTimeout(writeTimer);
+        writeTimer = setTimeout(flush, WRITE_DEBOUNCE_MS);
+    }
+
+    return {
+        get(key) {
+            const value = load()[key];
+            return value === undefined ? null : value;
+        },
+        set(key, value) {
+            load()[key] = value;
+            scheduleWrite();
+            return true;
+        },
+        remove(key) {
+            const store = load();
+            const existed = Object.prototype.hasOwnProperty.call(store, key);
+            delete store[key];
+            if (existed) scheduleWrite();
+            return existed;
+        },
+        keys(prefix = '') {
+            return Object.keys(load()).filter((k) => k.startsWith(prefix));
+        },
+        flush,
+    };
+}
+
+/**
+ * Register IPC handlers exposing the store to the renderer (via preload).
+ * Keys must be non-empty strings; values must be JSON-serializable.
+ *
+ * @function registerLocalStoreHandlers
+ * @param {Electron.IpcMain} ipcMain
+ * @param {ReturnType<typeof createLocalStore>} store
+ * @returns {void}
+ */
+function registerLocalStoreHandlers(ipcMain, store) {
+    const requireKey = (key) => {
+        if (typeof key !== 'string' || key.length === 0) throw new Error('local-store: key must be a non-empty string');
+        return key;
+    };
+
+    ipcMain.handle('local-store:get', async (event, key) => store.get(requireKey(key)));
+    ipcMain.handle('local-store:set', async (event, key, value) => store.set(requireKey(key), value === undefined ? null : value));
+    ipcMain.handle('local-store:remove', async (event, key) => store.remove(requireKey(key)));
+    ipcMain.handle('local-store:keys', async (event, prefix) => store.keys(typeof prefix === 'string' ? prefix : ''));
+    logger.info('IPC handlers registered');
+}
+
+module.exports = { createLocalStore, registerLocalStoreHandlers };
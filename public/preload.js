@@ -1,6 +1,10 @@
 /**
  * Preload script exposing a secure API to the renderer.
  * Bulletproof React conventions: Standardized logging, JSDoc.
+ *
+ * Runs sandboxed with context isolation: window.electronAPI below is the renderer's only
+ * way into the main process. Every method maps to one channel whitelisted and validated
+ * in ipcApi.js; add new capabilities there first.
  * @module preload
  */
 const { contextBridge, ipcRenderer } = require('electron');
@@ -10,11 +14,26 @@ const logger = {
     error: (...args) => console.error('[preload]', ...args),
 };
 
-contextBridge.exposeInMainWorld('electronAPI', {
+/**
+ * Invokes a whitelisted IPC channel with standardized logging.
+ * @param {string} channel
+ * @param {...any} args
+ * @returns {Promise<any>}
+ */
+async function invoke(channel, ...args) {
+    try {
+        return await ipcRenderer.invoke(channel, ...args);
+    } catch (error) {
+        logger.error(`${channel} failed:`, error);
+        throw error;
+    }
+}
+
+const electronAPI = {
     /**
-     * Reads config file from main process.
+     * Reads the validated config file from the main process.
      * @async
-     * @returns {Promise<Object>}
+     * @returns {Promise<{config: Object, errors: string[], source: string, filePath: string|null}>}
      */
     readConfig: async () => {
         logger.info('readConfig invoked');
@@ -27,5 +46,66 @@ contextBridge.exposeInMainWorld('electronAPI', {
             throw error;
         }
     },
-    // Add additional API methods as needed, with JSDoc and logging.
-});
\ No newline at end of file
+    /**
+     * Saves settings into the JSON config file (merged with what is already there).
+     * @async
+     * @param {Object} settings
+     * @returns {Promise<{ok: boolean, filePath: string}>}
+     */
+    writeConfig: async (settings) => {
+        logger.info('writeConfig invoked', { keys: Object.keys(settings || {}) });
+        try {
+            return await ipcRenderer.invoke('write-config', settings);
+        } catch (error) {
+            logger.error('writeConfig failed:', error);
+            throw error;
+        }
+    },
+    /**
+     * Subscribes to config file changes pushed by the main process.
+     * @param {Function} callback - receives the same shape as readConfig()
+     * @returns {Function} unsubscribe
+     */
+    onConfigChanged: (callback) => {
+        const listener = (event, result) => callback(result);
+        ipcRenderer.on('config-changed', listener);
+        return () => ipcRenderer.removeListener('config-changed', listener);
+    },
+    /**
+     * Persistent key-value store in the main process (offline cache + sync queue).
+     * Values must be JSON-serializable.
+     */
+    localStore: {
+        /** @param {string} key @returns {Promise<any>} value or null */
+        get: (key) => invoke('local-store:get', key),
+        /** @param {string} key @param {any} value @returns {Promise<boolean>} */
+        set: (key, value) => invoke('local-store:set', key, value),
+        /** @param {string} key @returns {Promise<boolean>} true if the key existed */
+        remove: (key) => invoke('local-store:remove', key),
+        /** @param {string} [prefix] @returns {Promise<string[]>} */
+        keys: (prefix) => invoke('local-store:keys', prefix),
+    },
+    /**
+     * Lets the user pick a file and returns its text content (max 10 MB).
+     * @async
+     * @param {{title?: string, formats?: string[]}} [options] - formats: csv, ofx, qif, txt, json, ...
+     * @returns {Promise<{canceled: boolean, name?: string, content?: string}>}
+     */
+    openFile: (options) => invoke('dialog:open-file', options),
+    /**
+     * Shows a save dialog and writes the export to the chosen file.
+     * @async
+     * @param {{defaultName: string, format: 'csv'|'xlsx'|'pdf'|'json', data: string|Uint8Array}} request
+     * @returns {Promise<{canceled: boolean, filePath?: string}>}
+     */
+    saveExport: (request) => invoke('export:save', request),
+    /**
+     * Shows a native notification.
+     * @async
+     * @param {{title: string, body?: string}} notification
+     * @returns {Promise<boolean>} false when notifications are unsupported
+     */
+    showNotification: (notification) => invoke('notification:show', notification),
+};
+
+contextBridge.exposeInMainWorld('electronAPI', electronAPI);
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Window hardening for the Electron shell: app:// protocol, CSP, navigation guards.
+ *
+ * - Production builds are served from app://bundle/ instead of file:// so every response
+ *   carries the Content-Security-Policy header and nothing outside build/ is reachable.
+ * - The dev server (http://localhost:3000) gets the same header via webRequest.
+ * - Windows may only navigate within the app origin; window.open and external links
+ *   are denied.
+ *
+ * @module security
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const logger = {
+    info: (...args) => console.log('[security]', ...args),
+    error: (...args) => console.error('[security]', ...args),
+};
+
+const APP_SCHEME = 'app';
+const APP_HOST = 'bundle';
+const DEV_URL = 'http://localhost:3000';
+
+/**
+ * Origin ("protocol//host") of a URL, or '' when it cannot be parsed.
+ * Computed by hand because Node reports origin 'null' for custom schemes.
+ * @param {string} url
+ * @returns {string}
+ */
+function originOf(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}`;
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * Start URL and origin check for the current mode.
+ * @function createAppOrigin
+ * @param {Object} options
+ * @param {boolean} options.isDev
+ * @returns {{startUrl: string, origin: string, isTrustedUrl: (url: string) => boolean}}
+ */
+function createAppOrigin({ isDev }) {
+    const startUrl = isDev ? DEV_URL : `${APP_SCHEME}://${APP_HOST}/index.html`;
+    const origin = originOf(startUrl);
+    return { startUrl, origin, isTrustedUrl: (url) => originOf(url) === origin };
+}
+
+/**
+ * Content-Security-Policy for the renderer. connect-src is limited to the app itself
+ * and the configured API origin(s).
+ * @function buildContentSecurityPolicy
+ * @param {Object} options
+ * @param {boolean} options.isDev
+ * @param {string[]} [options.apiUrls] - base URLs the renderer calls (build-time / config file)
+ * @returns {string}
+ */
+function buildContentSecurityPolicy({ isDev, apiUrls = [] }) {
+    const apiOrigins = [...new Set(apiUrls.map(originOf).filter((o) => /^https?:/.test(o)))];
+    const connect = ["'self'", ...apiOrigins, ...(isDev ? ['ws://localhost:3000'] : [])];
+    return [
+        "default-src 'self'",
+        "script-src 'self'",
+        // CRA injects <style> tags in development
+        `style-src 'self'${isDev ? " 'unsafe-inline'" : ''}`,
+        "img-src 'self' data: blob:",
+        "font-src 'self' data:",
+        `connect-src ${connect.join(' ')}`,
+        "worker-src 'self' blob:",
+        "object-src 'none'",
+        "frame-src 'none'",
+        "frame-ancestors 'none'",
+        "base-uri 'none'",
+        "form-action 'none'",
+    ].join('; ');
+}
+
+/**
+ * API base URL baked into the renderer bundle at build time (REACT_APP_BASE_URL, written
+ * into the wmb-api-base-url meta tag of index.html). A packaged app has no .env, so this
+ * is the only way the main process can see the URL the renderer falls back to.
+ * @function readBundledApiUrl
+ * @param {string} buildDir
+ * @returns {string} the URL, or '' when the bundle has none (or was built without it)
+ */
+function readBundledApiUrl(buildDir) {
+    try {
+        const html = fs.readFileSync(path.join(buildDir, 'index.html'), 'utf8');
+        const match = html.match(/<meta\s+name="wmb-api-base-url"\s+content="([^"]*)"/);
+        const url = match ? match[1].trim() : '';
+        // CRA leaves %REACT_APP_BASE_URL% in place when the variable was not set
+        return url.startsWith('%') ? '' : url;
+    } catch (err) {
+        logger.error('could not read the API URL from the bundle', { buildDir, message: err.message });
+        return '';
+    }
+}
+
+/**
+ * Privileged scheme registration; must run before app 'ready'.
+ * @function registerAppScheme
+ * @param {Electron.Protocol} protocol
+ * @returns {void}
+ */
+function registerAppScheme(protocol) {
+    protocol.registerSchemesAsPrivileged([
+        { scheme: APP_SCHEME, privileges: { standard: true, secure: true, supportFetchAPI: true } },
+    ]);
+}
+
+/**
+ * Serves build/ on app://bundle/ with the CSP header. Paths escaping build/ get a 404.
+ * @function serveAppBundle
+ * @param {Object} options
+ * @param {Electron.Protocol} options.protocol
+ * @param {Electron.Net} options.net
+ * @param {string} options.buildDir
+ * @param {() => string} options.getPolicy
+ * @returns {void}
+ */
+function serveAppBundle({ protocol, net, buildDir, getPolicy }) {
+    const root = path.resolve(buildDir);
+    protocol.handle(APP_SCHEME, async (request) => {
+        const { host, pathname } = new URL(request.url);
+        const filePath = path.resolve(root, `.${decodeURIComponent(pathname)}`);
+        if (host !== APP_HOST || (filePath !== root && !filePath.startsWith(`${root}${path.sep}`))) {
+            logger.error('blocked app:// request outside the bundle', { url: request.url });
+            return new Response('Not found', { status: 404 });
+        }
+        const response = await net.fetch(pathToFileURL(filePath).toString());
+        const headers = new Headers(response.headers);
+        headers.set('Content-Security-Policy', getPolicy());
+        headers.set('X-Content-Type-Options', 'nosniff');
+        return new Response(response.body, { status: response.status, headers });
+    });
+    logger.info('serving app bundle', { buildDir: root });
+}
+
+/**
+ * Adds the CSP header to dev-server responses.
+ * @function applyDevPolicy
+ * @param {Electron.Session} session
+ * @param {() => string} getPolicy
+ * @returns {void}
+ */
+function applyDevPolicy(session, getPolicy) {
+    session.webRequest.onHeadersReceived({ urls: [`${DEV_URL}/*`] }, (details, callback) => {
+        callback({ responseHeaders: { ...details.responseHeaders, 'Content-Security-Policy': [getPolicy()] } });
+    });
+}
+
+/**
+ * Blocks navigation away from the app origin, new windows and <webview> on every
+ * web contents the app creates.
+ * @function hardenWebContents
+ * @param {Electron.App} app
+ * @param {(url: string) => boolean} isTrustedUrl
+ * @returns {void}
+ */
+function hardenWebContents(app, isTrustedUrl) {
+    app.on('web-contents-created', (event, contents) => {
+        const guard = (e, url) => {
+            if (isTrustedUrl(url)) return;
+            e.preventDefault();
+            logger.error('blocked navigation', { url });
+        };
+        contents.on('will-navigate', guard);
+        contents.on('will-redirect', guard);
+        contents.on('will-attach-webview', (e) => {
+            e.preventDefault();
+            logger.error('blocked <webview>');
+        });
+        contents.setWindowOpenHandler(({ url }) => {
+            logger.error('blocked new window', { url });
+            return { action: 'deny' };
+        });
+    });
+}
+
+module.exports = {
+    applyDevPolicy,
+    buildContentSecurityPolicy,
+    createAppOrigin,
+    hardenWebContents,
+    readBundledApiUrl,
+    registerAppScheme,
+    serveAppBundle,
+};
@@ -0,0 +1,100 @@
+/**
+ * Native shell IPC handlers: file open dialog, exports and notifications.
+ *
+ * The renderer never passes file paths in: it asks for a dialog and main reads or writes
+ * only the file the user picked. Arguments are validated by ipcApi before these run.
+ *
+ * @module shellHandlers
+ */
+const fs = require('fs');
+const path = require('path');
+const { FILE_FORMATS } = require('./ipcApi');
+
+const logger = {
+    info: (...args) => console.log('[shellHandlers]', ...args),
+    error: (...args) => console.error('[shellHandlers]', ...args),
+};
+
+const MAX_OPEN_BYTES = 10 * 1024 * 1024;
+const DEFAULT_OPEN_FORMATS = ['csv', 'ofx', 'qif', 'txt'];
+
+/**
+ * Strips directory parts and characters that are invalid in file names.
+ * @param {string} name
+ * @returns {string}
+ */
+function safeFileName(name) {
+    const base = path.basename(String(name)).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim();
+    return base || 'export';
+}
+
+/**
+ * Register the dialog / export / notification handlers.
+ *
+ * @function registerShellHandlers
+ * @param {{handle: Function}} ipc - createSecureIpc() wrapper (or ipcMain)
+ * @param {Object} electron
+ * @param {Electron.Dialog} electron.dialog
+ * @param {typeof Electron.Notification} electron.Notification
+ * @param {typeof Electron.BrowserWindow} electron.BrowserWindow
+ * @param {(name: string) => string} electron.getPath - app.getPath
+ * @returns {void}
+ */
+function registerShellHandlers(ipc, { dialog, Notification, BrowserWindow, getPath }) {
+    const ownerOf = (event) => BrowserWindow.fromWebContents(event.sender) || undefined;
+
+    ipc.handle('dialog:open-file', async (event, options = {}) => {
+        const formats = options?.formats || DEFAULT_OPEN_FORMATS;
+        logger.info('dialog:open-file invoked', { formats });
+        const result = await dialog.showOpenDialog(ownerOf(event), {
+            title: options?.title || 'Open file',
+            properties: ['openFile'],
+            filters: formats.map((f) => FILE_FORMATS[f]),
+        });
+        if (result.canceled || !result.filePaths?.length) {
+            logger.info('dialog:open-file canceled');
+            return { canceled: true };
+        }
+        const filePath = result.filePaths[0];
+        const { size } = fs.statSync(filePath);
+        if (size > MAX_OPEN_BYTES) throw new Error(`${path.basename(filePath)} is larger than ${MAX_OPEN_BYTES / (1024 * 1024)} MB`);
+        const content = fs.readFileSync(filePath, 'utf8');
+        logger.info('dialog:open-file read', { filePath, size });
+        return { canceled: false, name: path.basename(filePath), content };
+    });
+
+    ipc.handle('export:save', async (event, { defaultName, format, data }) => {
+        const fileName = safeFileName(defaultName);
+        logger.info('export:save invoked', { fileName, format });
+        const result = await dialog.showSaveDialog(ownerOf(event), {
+            title: `Export ${FILE_FORMATS[format].name}`,
+            defaultPath: path.join(getPath('downloads'), fileName),
+            filters: [FILE_FORMATS[format]],
+        });
+        if (result.canceled || !result.filePath) {
+            logger.info('export:save canceled');
+            return { canceled: true };
+        }
+        try {
+            fs.writeFileSync(result.filePath, typeof data === 'string' ? data : Buffer.from(data), typeof data === 'string' ? 'utf8' : undefined);
+            logger.info('export:save written', { filePath: result.filePath });
+            return { canceled: false, filePath: result.filePath };
+        } catch (err) {
+            logger.error('export:save failed', { filePath: result.filePath, message: err.message });
+            throw err;
+        }
+    });
+
+    ipc.handle('notification:show', async (event, { title, body }) => {
+        if (!Notification.isSupported()) {
+            logger.info('notification:show unsupported on this platform');
+            return false;
+        }
+        new Notification({ title, body: body || '', silent: false }).show();
+        return true;
+    });
+
+    logger.info('IPC handlers registered');
+}
+
+module.exports = { registerShellHandlers };
@@ -1,15 +1,21 @@
-import React from 'react';
+import React, { useEffect, useMemo } from 'react';
 import { HashRouter as Router, Routes, Route } from 'react-router-dom';
 
 import './App.css';
-import JointScreen from "./screens/JointScreen/JointScreen";
 import Sidebar from "./components/sidebar/Sidebar";
 import SettingsScreen from "./screens/SettingsScreen/SettingsScreen";
-import User1Screen from "./screens/User1Screen/User1Screen";
-import User2Screen from "./screens/User2Screen/User2Screen";
+import AccountScreen from "./screens/AccountScreen/AccountScreen";
 import TransactionScreen from "./screens/TransactionScreen/TransactionScreen";
 import { StatementPeriodProvider } from './context/StatementPeriodProvider';
 import PaymentScreen from "./features/payments/components/PaymentScreen";
+import TrendsScreen from "./features/trends/components/TrendsScreen";
+import SearchScreen from "./features/search/components/SearchScreen";
+import BenchmarkScreen from "./features/benchmark/components/BenchmarkScreen";
+import { startSync } from './services/OfflineSyncService';
+import recurringTemplateService from './services/RecurringTemplateService';
+import { getHouseholdAccounts } from './config/config.js';
+import { accountPath } from './components/sidebar/useSidebar';
+import useConfig from './hooks/useConfig';
 
 /**
  * App
@@ -24,6 +30,21 @@ const logger = {
 
 function App() {
     logger.info('App initialized');
+
+    // Household routes follow the config file
+    const config = useConfig();
+    const accounts = useMemo(() => getHouseholdAccounts(config), [config]);
+
+    // Replay offline writes on reconnect (no-op outside Electron)
+    useEffect(() => startSync(), []);
+
+    // Fill upcoming statement periods from recurring templates (idempotent)
+    useEffect(() => {
+        recurringTemplateService.generateProjections().catch((err) => {
+            logger.error('recurring projection generation failed', err);
+        });
+    }, []);
+
     return (
         <Router>
             <Sidebar />
@@ -31,11 +52,17 @@ function App() {
                 <div className={"main-content"}>
                     <Routes>
                         <Route path="/" element={<TransactionScreen />} />
-                        <Route path="/joint" element={<JointScreen />} />
-                        <Route path="/user1" element={<User1Screen />} />
-                        <Route path="/user2" element={<User2Screen />} />
+                        {accounts.map((account) => (
+                            <Route key={account.id} path={accountPath(account)} element={<AccountScreen account={account} />} />
+                        ))}
                         <Route path="/settings" element={<SettingsScreen />} />
                         <Route path="/payments" element={<PaymentScreen />} />
+                        <Route path="/trends" element={<TrendsScreen />} />
+                        <Route path="/search/:searchId" element={<SearchScreen />} />
+                        {/* Rendering benchmark over synthetic rows; not part of production builds */}
+                        {process.env.NODE_ENV === 'development' && (
+                            <Route path="/benchmark" element={<BenchmarkScreen />} />
+                        )}
                     </Routes>
                 </div>
             </StatementPeriodProvider>
@@ -0,0 +1,41 @@
+/**
+ * @jest-environment node
+ */
+// Main-process modules live in public/ (shipped next to electron.js), where Jest does not look.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_FILE_NAME, createConfigFile } = require('../../../public/configFile');
+
+let userDataDir;
+
+beforeEach(() => {
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wmb-config-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    console.error.mockRestore();
+});
+
+describe('configFile.write', () => {
+    it('merges editable settings over the file, keeping keys set by hand', () => {
+        const filePath = path.join(userDataDir, CONFIG_FILE_NAME);
+        fs.writeFileSync(filePath, JSON.stringify({ baseUrl: 'https://api.example.com', categories: ['Old'] }));
+
+        createConfigFile({ userDataDir }).write({ categories: ['Dining'] });
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ baseUrl: 'https://api.example.com', categories: ['Dining'] });
+    });
+
+    it('refuses connection and startup keys', () => {
+        const configFile = createConfigFile({ userDataDir });
+        expect(() => configFile.write({ baseUrl: 'https://evil.example', categories: ['Dining'] }))
+            .toThrow(`Invalid settings: baseUrl can only be changed by editing ${CONFIG_FILE_NAME}`);
+        expect(() => configFile.write({ defaultHeaders: { Authorization: 'x' } })).toThrow(/defaultHeaders/);
+        expect(fs.existsSync(configFile.userDataPath)).toBe(false);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment node
+ */
+// Main-process modules live in public/ (shipped next to electron.js), where Jest does not look.
+const { EDITABLE_CONFIG_KEYS, CONFIG_KEYS, validateConfig } = require('../../../public/configSchema');
+
+describe('validateConfig', () => {
+    it('keeps valid keys', () => {
+        const raw = {
+            baseUrl: 'https://api.example.com',
+            defaultHeaders: { 'X-Client': 'desktop' },
+            categories: ['Groceries', 'Dining'],
+            household: { members: [{ name: 'Alice', paymentMethod: 'Visa' }], sharedAccounts: [{ filter: 'joint' }] },
+            cards: { Visa: { closingDay: 15, dueDay: 10, creditLimit: 2500, autopay: true } },
+            statementPeriodPrevMonths: 0,
+            statementPeriodScheme: { type: 'biweekly', anchorDate: '2026-10-09' },
+        };
+        expect(validateConfig(raw)).toEqual({ config: raw, errors: [] });
+    });
+
+    it('drops each invalid key with a readable message and keeps the rest', () => {
+        const { config, errors } = validateConfig({
+            baseUrl: 'https://api.example.com',
+            categories: ['Groceries', ''],
+            household: { members: [{ name: 'Alice' }, {}], pets: [] },
+            cards: { Visa: { closingDay: 32, autopay: 'yes', color: 'blue' } },
+            statementPeriodForwardMonths: 25,
+            statementPeriodScheme: { type: 'custom', periods: [{ name: 'Q1', start: '2026-03-31', end: '2026-01-01' }] },
+            theme: 'dark',
+        });
+        expect(config).toEqual({ baseUrl: 'https://api.example.com' });
+        expect(errors).toEqual([
+            'categories[1] must be a non-empty string',
+            'household.members[1] needs a name or a filter',
+            'household.pets is not a known setting',
+            'cards.Visa.closingDay must be a day of the month from 1 to 31',
+            'cards.Visa.autopay must be true or false',
+            'cards.Visa.color is not a known setting',
+            'statementPeriodForwardMonths must be a whole number from 0 to 24',
+            'statementPeriodScheme.periods[0] ends before it starts',
+            '"theme" is not a known setting (ignored)',
+        ]);
+    });
+
+    it.each([
+        [{ type: 'weekly' }, 'statementPeriodScheme.type must be one of calendarMonth, closeDay, biweekly, custom'],
+        [{ type: 'closeDay', closeDay: 0 }, 'statementPeriodScheme.closeDay must be a day of the month from 1 to 31'],
+        [{ type: 'biweekly', anchorDate: '10/09/2026' }, 'statementPeriodScheme.anchorDate must be a YYYY-MM-DD date'],
+        [{ type: 'custom', periods: [] }, 'statementPeriodScheme.periods must be a non-empty list of { name, start, end }'],
+    ])('rejects statement period scheme %p', (statementPeriodScheme, message) => {
+        expect(validateConfig({ statementPeriodScheme }).errors).toEqual([message]);
+    });
+
+    it('rejects anything but an object', () => {
+        expect(validateConfig(['baseUrl'])).toEqual({ config: {}, errors: ['config must be a JSON object'] });
+        expect(validateConfig(null).errors).toEqual(['config must be a JSON object']);
+    });
+});
+
+describe('EDITABLE_CONFIG_KEYS', () => {
+    it('are known keys and leave out the connection and startup settings', () => {
+        expect(EDITABLE_CONFIG_KEYS.every((key) => CONFIG_KEYS.includes(key))).toBe(true);
+        ['baseUrl', 'defaultHeaders', 'household', 'statementPeriodCacheKey'].forEach((key) => {
+            expect(EDITABLE_CONFIG_KEYS).not.toContain(key);
+        });
+    });
+});
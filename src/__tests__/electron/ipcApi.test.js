@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+// Main-process modules live in public/ (shipped next to electron.js), where Jest does not look.
+const { CHANNELS, createSecureIpc, validateArgs } = require('../../../public/ipcApi');
+
+const TRUSTED = 'app://bundle/index.html';
+
+/** ipcMain stand-in that keeps the registered handlers. */
+function fakeIpcMain() {
+    const handlers = {};
+    return { handlers, handle: (channel, handler) => { handlers[channel] = handler; } };
+}
+
+describe('validateArgs', () => {
+    it('rejects unknown channels and extra arguments', () => {
+        expect(validateArgs('shell:exec', [])).toEqual(['shell:exec is not an allowed channel']);
+        expect(validateArgs('read-config', ['extra'])).toEqual(['expected at most 0 argument(s), got 1']);
+    });
+
+    it('checks local store keys', () => {
+        expect(validateArgs('local-store:get', ['tx:OCTOBER2026'])).toEqual([]);
+        expect(validateArgs('local-store:get', [''])).toEqual(['key must not be empty']);
+        expect(validateArgs('local-store:get', ['k'.repeat(201)])).toEqual(['key must be at most 200 characters']);
+        expect(validateArgs('local-store:set', ['k', { a: 1n }])[0]).toMatch(/^value must be JSON-serializable/);
+        expect(validateArgs('local-store:keys', [])).toEqual([]);
+    });
+
+    it('lets write-config save only the editable settings, each validated', () => {
+        expect(validateArgs('write-config', [{ categories: ['Dining'], statementPeriodPrevMonths: 3 }])).toEqual([]);
+        expect(validateArgs('write-config', [{ baseUrl: 'https://evil.example', defaultHeaders: {}, household: {} }])).toEqual([
+            'settings.baseUrl is not allowed',
+            'settings.defaultHeaders is not allowed',
+            'settings.household is not allowed',
+        ]);
+        expect(validateArgs('write-config', [{ categories: 'Dining' }])).toEqual(['settings.categories must be a list of strings']);
+        expect(validateArgs('write-config', [[]])).toEqual(['settings must be an object']);
+    });
+
+    it('checks export requests and dialog formats', () => {
+        expect(validateArgs('export:save', [{ defaultName: 'a.csv', format: 'csv', data: 'x' }])).toEqual([]);
+        expect(validateArgs('export:save', [{ defaultName: 'a.exe', format: 'exe', data: 42, path: '/tmp/a' }])).toEqual([
+            'request.path is not allowed',
+            'request.format must be one of csv, xlsx, pdf, json',
+            'request.data must be a string or bytes',
+        ]);
+        expect(validateArgs('export:save', [{ defaultName: 'a.pdf', format: 'pdf', data: new Uint8Array(51 * 1024 * 1024) }]))
+            .toEqual(['request.data is larger than 50 MB']);
+        expect(validateArgs('dialog:open-file', [{ formats: ['csv', 'exe'] }])).toEqual(['options.formats[1] must be one of csv, xlsx, pdf, json, ofx, qif, txt']);
+        expect(validateArgs('dialog:open-file', [{ formats: [] }])).toEqual(['options.formats must be a non-empty list']);
+    });
+});
+
+describe('createSecureIpc', () => {
+    const isTrustedSender = (url) => url.startsWith('app://bundle/');
+
+    it('refuses to register a channel that is not whitelisted', () => {
+        const ipc = createSecureIpc(fakeIpcMain(), { isTrustedSender });
+        expect(() => ipc.handle('shell:exec', () => {})).toThrow('IPC channel "shell:exec" is not whitelisted');
+        expect(Object.keys(CHANNELS)).not.toContain('shell:exec');
+    });
+
+    it('runs the handler only for trusted senders with valid arguments', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const ipcMain = fakeIpcMain();
+        const handler = (event, key) => `value of ${key}`;
+        createSecureIpc(ipcMain, { isTrustedSender }).handle('local-store:get', handler);
+        const invoke = (url, ...args) => ipcMain.handlers['local-store:get']({ senderFrame: { url } }, ...args);
+
+        await expect(invoke(TRUSTED, 'k')).resolves.toBe('value of k');
+        await expect(invoke('https://evil.example/', 'k')).rejects.toThrow('local-store:get: untrusted sender');
+        await expect(invoke(TRUSTED, 42)).rejects.toThrow('local-store:get: key must be a string');
+        console.error.mockRestore();
+    });
+});
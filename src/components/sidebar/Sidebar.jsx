@@ -3,6 +3,7 @@ import "../../App.css";
 import useSidebar from "./useSidebar";
 import ViewsAccordion from "./ViewsAccordion";
 import SidebarLink from "./SidebarLink";
+import SyncStatus from "../syncStatus/SyncStatus";
 
 /**
  * Sidebar - composed from small, testable parts
@@ -10,6 +11,7 @@ import SidebarLink from "./SidebarLink";
  * - Uses useSidebar hook to keep state & logic separated from rendering
  * - Views accordion extracted to ViewsAccordion (measured animation)
  * - SidebarLink standardized NavLink wrapper
+ * - SyncStatus shows offline / pending sync state (renders nothing when idle)
  *
  * Notes:
  * - Keeps existing ARIA semantics
@@ -32,6 +34,9 @@ function Sidebar() {
                     <li className="sidebar-list-item" role="none">
                         <SidebarLink to="/payments" label="Payments" onClick={handleNavClick} />
                     </li>
+                    <li className="sidebar-list-item" role="none">
+                        <SidebarLink to="/trends" label="Trends" onClick={handleNavClick} />
+                    </li>
                 </ul>
             </div>
 
@@ -50,6 +55,10 @@ function Sidebar() {
                     </li>
                 </ul>
             </div>
+
+            <div className="sidebar-section" aria-label="Sync status">
+                <SyncStatus />
+            </div>
         </nav>
     );
 }
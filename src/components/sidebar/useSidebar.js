@@ -1,5 +1,7 @@
 import { useCallback, useEffect, useState, useMemo } from "react";
-import { get } from "../../config/config.js";
+import { getHouseholdAccounts } from "../../config/config.js";
+import useConfig from "../../hooks/useConfig";
+import useSavedSearches, { savedSearchPath } from "../../features/search/hooks/useSavedSearches";
 
 /**
  * useSidebar - encapsulates sidebar state + interactions
@@ -7,7 +9,8 @@ import { get } from "../../config/config.js";
  * Responsibilities:
  * - Read/write persisted "views" open state (safe localStorage access)
  * - Expose toggle + navigation logging callback
- * - Provide configured views (reads labels from config)
+ * - Provide configured views (one per household member / shared account from config),
+ *   followed by pinned saved searches
  *
  * Follows "Bulletproof React" conventions:
  * - Keep logic co-located and testable (hook)
@@ -22,11 +25,20 @@ const logger = {
 
 const SIDEBAR_VIEWS_KEY = "sidebar.viewsOpen";
 
+/**
+ * Route path of a household entry; App registers the same paths.
+ * @param {{id: string}} account
+ * @returns {string}
+ */
+export function accountPath(account) {
+    return `/accounts/${account.id}`;
+}
+
 export default function useSidebar() {
-    // Prefer explicit config access via helpers for predictable defaults and logging.
-    const user1Label = get("user1.name", "User 1");
-    const user2Label = get("user2.name", "User 2");
-    const jointLabel = get("joint.name", "Joint");
+    // Household entries follow the config file (recomputed when it changes).
+    const config = useConfig();
+    const accounts = useMemo(() => getHouseholdAccounts(config), [config]);
+    const { pinned } = useSavedSearches();
 
     const [viewsOpen, setViewsOpen] = useState(() => {
         try {
@@ -38,10 +50,10 @@ export default function useSidebar() {
     });
 
     useEffect(() => {
-        logger.info("mounted", { user1: user1Label, user2: user2Label, viewsOpen });
+        logger.info("mounted", { views: accounts.map((a) => a.name), viewsOpen });
         return () => logger.info("unmounted");
         // intentionally no setViewsOpen in deps to avoid re-registering cleanup
-    }, [user1Label, user2Label, viewsOpen]);
+    }, [accounts, viewsOpen]);
 
     const toggleViews = useCallback(() => {
         setViewsOpen((prev) => {
@@ -64,11 +76,10 @@ export default function useSidebar() {
     // Memoize views so the array identity is stable between renders
     const views = useMemo(
         () => [
-            { to: "/joint", label: jointLabel },
-            { to: "/user1", label: user1Label },
-            { to: "/user2", label: user2Label },
+            ...accounts.map((account) => ({ to: accountPath(account), label: account.name })),
+            ...pinned.map((search) => ({ to: savedSearchPath(search), label: `🔍 ${search.name}` })),
         ],
-        [jointLabel, user1Label, user2Label]
+        [accounts, pinned]
     );
 
     return {
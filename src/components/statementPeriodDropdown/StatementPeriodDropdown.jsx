@@ -1,19 +1,23 @@
 import React from 'react';
 import './StatementPeriodDropdown.css';
 import { useStatementPeriodContext } from '../../context/StatementPeriodProvider';
+import { SCHEME_TYPES } from '../../lib/statementPeriods';
 
 /**
  * StatementPeriodDropdown.
  * Controlled dropdown using StatementPeriodContext for state/actions.
+ * Outside calendar months each option also shows its date range.
  * Follows Bulletproof React conventions.
  *
  * @returns {JSX.Element}
  */
 export default function StatementPeriodDropdown() {
     const {
+        scheme,
         options,
         statementPeriod,
         selectedLabel,
+        selectedRange,
         isOpen,
         isSaving,
         containerRef,
@@ -36,6 +40,8 @@ export default function StatementPeriodDropdown() {
         setIsOpen(false); // Ensure dropdown closes after selecting
     };
 
+    const showRanges = scheme?.type !== SCHEME_TYPES.CALENDAR_MONTH;
+
     // Only show dropdown when context is loaded and statementPeriod is defined
     if (!isLoaded || statementPeriod === undefined) {
         return (
@@ -64,7 +70,7 @@ export default function StatementPeriodDropdown() {
                 aria-expanded={isOpen}
                 onClick={toggleOpen}
                 onKeyDown={onButtonKeyDown}
-                title="Statement Period"
+                title={selectedRange ? `Statement Period: ${selectedRange.label}` : "Statement Period"}
                 disabled={isSaving}
             >
                 <span className="tt-icon">📅</span>
@@ -88,7 +94,12 @@ export default function StatementPeriodDropdown() {
                                         onKeyDown={(e) => onOptionKeyDown(e, opt.value)}
                                         disabled={isSaving}
                                     >
-                                        <span className="statement-period-label">{opt.label}</span>
+                                        <span className="statement-period-label">
+                                            {opt.label}
+                                            {showRanges && opt.rangeLabel !== opt.label && (
+                                                <span className="statement-period-range">{opt.rangeLabel}</span>
+                                            )}
+                                        </span>
                                         <span className="statement-period-check" aria-hidden="true">
                                             {isSelected ? '✔' : ''}
                                         </span>
@@ -1,25 +1,48 @@
 import { useEffect, useMemo, useRef, useState, useCallback } from 'react';
 import localCacheService from "../../services/LocalCacheService";
-import { generateOptions, getCurrentOption } from "../../services/StatementPeriodService";
+import { generateOptions, getCurrentOption, getScheme } from "../../services/StatementPeriodService";
+import { get as getConfig } from "../../config/config.js";
+import useConfig from "../../hooks/useConfig";
 
 const logger = {
     info: (...args) => console.log('[useStatementPeriodDropdown]', ...args),
     error: (...args) => console.error('[useStatementPeriodDropdown]', ...args),
 };
 
+/**
+ * Reads a non-negative month count from config.
+ * @param {string} key
+ * @param {number} fallback
+ * @param {Object} config - config snapshot
+ * @returns {number}
+ */
+function readMonths(key, fallback, config) {
+    const n = Number(getConfig(key, fallback, config));
+    return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
 /**
  * useStatementPeriodDropdown.
- * Generates dropdown options, manages open/close, saving state, and keyboard logic.
+ * Generates dropdown options under the configured statement period scheme, manages
+ * open/close, saving state, and keyboard logic.
  * Does NOT own selectedValue; expects it to be managed by provider/context.
  *
  * @param {object} [params]
- * @param {number} [params.prev=1]
- * @param {number} [params.forward=5]
+ * @param {number} [params.prev] - Defaults to config statementPeriodPrevMonths (1).
+ * @param {number} [params.forward] - Defaults to config statementPeriodForwardMonths (5).
  * @param {Date} [params.anchor=new Date()]
  * @returns {object} Dropdown state/actions for UI consumption.
  */
-export default function useStatementPeriodDropdown({ prev = 1, forward = 5, anchor = new Date() } = {}) {
-    const options = useMemo(() => generateOptions({ anchor, prev, forward }), [anchor, prev, forward]);
+export default function useStatementPeriodDropdown({ prev, forward, anchor = new Date() } = {}) {
+    // Scheme and window sizes follow live settings edits (setOverrides)
+    const config = useConfig();
+    const scheme = useMemo(() => getScheme(config), [config]);
+    const prevMonths = useMemo(() => prev ?? readMonths('statementPeriodPrevMonths', 1, config), [prev, config]);
+    const forwardMonths = useMemo(() => forward ?? readMonths('statementPeriodForwardMonths', 5, config), [forward, config]);
+    const options = useMemo(
+        () => generateOptions({ anchor, prev: prevMonths, forward: forwardMonths, scheme }),
+        [anchor, prevMonths, forwardMonths, scheme]
+    );
     const defaultOpt = useMemo(() => getCurrentOption(options), [options]);
 
     // Only open/close, saving, and UI refs are managed here
@@ -82,6 +105,7 @@ export default function useStatementPeriodDropdown({ prev = 1, forward = 5, anch
     }, []);
 
     return {
+        scheme,
         options,
         defaultOpt,
         isOpen,
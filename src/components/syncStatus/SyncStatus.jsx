@@ -0,0 +1,116 @@
+import React, { memo, useState } from "react";
+import Modal, { ModalHeader, ModalBody, ModalFooter } from "../modal/Modal";
+import useSyncStatus from "./useSyncStatus";
+import styles from "./SyncStatus.module.css";
+
+/**
+ * SyncStatus - sidebar indicator for the offline store and sync queue
+ *
+ * - Hidden when online with nothing pending (or outside Electron)
+ * - Shows offline / pending count, a "Sync now" action and a conflict review modal
+ * - Conflicts list the offline change next to the current server copy
+ */
+
+const FIELDS = ["name", "amount", "category", "criticality", "transactionDate", "paymentMethod", "account"];
+
+const REASON_LABELS = {
+    changedOnServer: "Changed on the server while you were offline",
+    deletedOnServer: "Deleted on the server while you were offline",
+    rejected: "Rejected by the server",
+};
+
+function describeValue(value) {
+    if (value === undefined || value === null || value === "") return "—";
+    return String(value);
+}
+
+function ConflictItem({ conflict, busy, onResolve }) {
+    const local = conflict.action === "delete" ? null : { ...(conflict.base || {}), ...(conflict.payload || {}) };
+    const kind = conflict.resource?.includes("projection") ? "Projection" : "Transaction";
+    return (
+        <li className={styles.conflict}>
+            <div className={styles.conflictTitle}>
+                {kind} {conflict.action} · {describeValue(local?.name ?? conflict.base?.name ?? conflict.id)}
+            </div>
+            <div className={styles.conflictReason}>
+                {REASON_LABELS[conflict.reason] || conflict.reason}
+                {conflict.message ? `: ${conflict.message}` : ""}
+            </div>
+            {conflict.reason !== "rejected" && (
+                <table className={styles.diff}>
+                    <thead>
+                        <tr><th></th><th>Yours</th><th>Server</th></tr>
+                    </thead>
+                    <tbody>
+                        {FIELDS.map((f) => (
+                            <tr key={f} className={conflict.fields?.includes(f) ? styles.changed : undefined}>
+                                <td>{f}</td>
+                                <td>{conflict.action === "delete" ? "(deleted)" : describeValue(local?.[f])}</td>
+                                <td>{conflict.server ? describeValue(conflict.server[f]) : "(deleted)"}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <div className={styles.actions}>
+                {conflict.reason !== "rejected" && (
+                    <button type="button" disabled={busy} onClick={() => onResolve(conflict.opId, "local")}>Keep mine</button>
+                )}
+                <button type="button" disabled={busy} onClick={() => onResolve(conflict.opId, "server")}>
+                    {conflict.reason === "rejected" ? "Discard" : "Keep server"}
+                </button>
+            </div>
+        </li>
+    );
+}
+
+function SyncStatus() {
+    const { available, online, syncing, pending, conflicts, busyId, error, syncNow, resolve } = useSyncStatus();
+    const [reviewOpen, setReviewOpen] = useState(false);
+
+    if (!available || (online && pending === 0 && conflicts.length === 0)) return null;
+
+    let label = "Online";
+    if (syncing) label = "Syncing…";
+    else if (!online) label = "Offline";
+
+    return (
+        <div className={styles.syncStatus} role="status" aria-live="polite">
+            <div className={styles.line}>
+                <span className={`${styles.dot} ${online ? styles.dotOnline : styles.dotOffline}`} aria-hidden="true" />
+                <span>{label}</span>
+                {pending > 0 && <span className={styles.pending}>{pending} pending</span>}
+            </div>
+            <div className={styles.line}>
+                {pending > 0 && (
+                    <button type="button" className={styles.linkButton} onClick={syncNow} disabled={syncing}>
+                        Sync now
+                    </button>
+                )}
+                {conflicts.length > 0 && (
+                    <button type="button" className={`${styles.linkButton} ${styles.conflictButton}`} onClick={() => setReviewOpen(true)}>
+                        {conflicts.length} conflict{conflicts.length === 1 ? "" : "s"}
+                    </button>
+                )}
+            </div>
+            {error && <div className={styles.error}>{error}</div>}
+
+            <Modal isOpen={reviewOpen && conflicts.length > 0} onClose={() => setReviewOpen(false)} ariaLabel="Sync conflicts">
+                <ModalHeader>Sync conflicts</ModalHeader>
+                <ModalBody>
+                    <ul className={styles.conflictList}>
+                        {conflicts.map((c) => (
+                            <ConflictItem key={c.opId} conflict={c} busy={busyId === c.opId} onResolve={resolve} />
+                        ))}
+                    </ul>
+                    {error && <div className={styles.error}>{error}</div>}
+                </ModalBody>
+                <ModalFooter>
+                    <button type="button" onClick={() => setReviewOpen(false)}>Close</button>
+                </ModalFooter>
+            </Modal>
+        </div>
+    );
+}
+
+export default memo(SyncStatus);
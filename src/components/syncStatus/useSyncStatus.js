@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+    getSyncStatus,
+    subscribeSyncStatus,
+    replayQueue,
+    resolveConflict,
+} from "../../services/OfflineSyncService";
+
+/**
+ * useSyncStatus - exposes offline/sync state for the sidebar indicator
+ *
+ * Responsibilities:
+ * - Track online flag, pending queue size and recorded conflicts
+ * - Expose "sync now" and conflict resolution actions
+ *
+ * Follows "Bulletproof React" conventions:
+ * - Keep logic co-located and testable (hook)
+ * - Robust logging for lifecycle & user interactions
+ */
+
+const logger = {
+    info: (...args) => console.log('[useSyncStatus]', ...args),
+    error: (...args) => console.error('[useSyncStatus]', ...args),
+};
+
+const INITIAL_STATUS = { available: false, online: true, syncing: false, pending: 0, conflicts: [] };
+
+export default function useSyncStatus() {
+    const [status, setStatus] = useState(INITIAL_STATUS);
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let active = true;
+        getSyncStatus()
+            .then((s) => { if (active) setStatus(s); })
+            .catch((err) => logger.error("initial status failed", err));
+        const unsubscribe = subscribeSyncStatus((s) => { if (active) setStatus(s); });
+        return () => {
+            active = false;
+            unsubscribe();
+        };
+    }, []);
+
+    const syncNow = useCallback(async () => {
+        logger.info("syncNow");
+        setError(null);
+        try {
+            await replayQueue();
+        } catch (err) {
+            logger.error("syncNow failed", err);
+            setError(err?.message || String(err));
+        }
+    }, []);
+
+    const resolve = useCallback(async (opId, strategy) => {
+        logger.info("resolve", { opId, strategy });
+        setBusyId(opId);
+        setError(null);
+        try {
+            await resolveConflict(opId, strategy);
+        } catch (err) {
+            logger.error("resolve failed", err);
+            setError(err?.message || String(err));
+        } finally {
+            setBusyId(null);
+        }
+    }, []);
+
+    return { ...status, busyId, error, syncNow, resolve };
+}
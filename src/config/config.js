@@ -1,7 +1,9 @@
 /**
  * Minimal centralized config accessor with lightweight logging.
- * - Loads wmbservice-config.json via Electron IPC (window.electronAPI.readConfig).
- * - Exposes get(), setOverrides(), and helpers such as mapping default payment method to users/accounts.
+ * - Env (REACT_APP_*) values are the defaults; loadConfigFile() merges wmbservice-config.json
+ *   over them via Electron IPC (window.electronAPI.readConfig) and follows file changes.
+ * - Exposes get(), setOverrides() / subscribeConfig() for live settings, and helpers such as
+ *   mapping default payment method to users/accounts.
  *
  * @module config
  */
@@ -41,51 +43,335 @@ function parseArrayEnv(key, fallback) {
     return val.split(',').map(s => s.trim()).filter(Boolean);
 }
 
+// --- Household -------------------------------------------------------------
+//
+// A household is a list of members (people with their own view and payments column)
+// and shared accounts (e.g. a joint account). Each entry has a name, the account
+// `filter` used by the API, and a default payment method. Configure it as JSON:
+//
+//   REACT_APP_HOUSEHOLD={"members":[{"name":"Josh","filter":"josh","paymentMethod":"Freedom"}],
+//                        "sharedAccounts":[{"name":"Joint","filter":"joint"}]}
+//
+// When it is not set, the legacy USER1_* / USER2_* / JOINT_* variables are read so
+// existing two-person setups keep working unchanged.
+
+const LEGACY_HOUSEHOLD_KEYS = [
+    { id: 'user1', prefix: 'USER1', shared: false, fallbackName: 'User 1' },
+    { id: 'user2', prefix: 'USER2', shared: false, fallbackName: 'User 2' },
+    { id: 'joint', prefix: 'JOINT', shared: true, fallbackName: 'Joint' },
+];
+
+/**
+ * Lowercase, url-safe id derived from a filter or name.
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalizes one household entry; returns null when it has neither a filter nor a name.
+ * @param {Object} raw
+ * @param {boolean} shared
+ * @returns {{id: string, name: string, filter: string, paymentMethod: string, shared: boolean}|null}
+ */
+function normalizeHouseholdEntry(raw, shared) {
+    if (!raw || typeof raw !== 'object') return null;
+    const filter = String(raw.filter ?? '').trim();
+    const name = String(raw.name ?? '').trim();
+    if (!filter && !name) return null;
+    return {
+        id: slugify(raw.id || filter || name),
+        name: name || filter,
+        filter: filter || name.toLowerCase(),
+        paymentMethod: String(raw.paymentMethod ?? '').trim(),
+        shared,
+    };
+}
+
+/**
+ * Drops entries whose id repeats an earlier one.
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>}
+ */
+function uniqueById(entries) {
+    const seen = new Set();
+    return entries.filter((e) => {
+        if (!e || !e.id || seen.has(e.id)) return false;
+        seen.add(e.id);
+        return true;
+    });
+}
+
+/**
+ * Household from its JSON form ({ members, sharedAccounts }); null when it has no usable entries.
+ * @param {Object} json
+ * @returns {{members: Array<Object>, sharedAccounts: Array<Object>}|null}
+ */
+function householdFromJSON(json) {
+    if (!json || typeof json !== 'object') return null;
+    const members = (Array.isArray(json.members) ? json.members : []).map((m) => normalizeHouseholdEntry(m, false));
+    const sharedAccounts = (Array.isArray(json.sharedAccounts) ? json.sharedAccounts : []).map((a) => normalizeHouseholdEntry(a, true));
+    const all = uniqueById([...sharedAccounts, ...members]);
+    if (all.length === 0) return null;
+    return { members: all.filter((e) => !e.shared), sharedAccounts: all.filter((e) => e.shared) };
+}
+
+/**
+ * Builds the household from REACT_APP_HOUSEHOLD, falling back to the legacy
+ * USER1 / USER2 / JOINT variables (and their old defaults).
+ * @returns {{members: Array<Object>, sharedAccounts: Array<Object>}}
+ */
+function buildHousehold() {
+    const json = parseJSONEnv('REACT_APP_HOUSEHOLD', parseJSONEnv('HOUSEHOLD', null));
+    if (json) {
+        const household = householdFromJSON(json);
+        if (household) return household;
+        logger.info('buildHousehold: HOUSEHOLD has no usable entries; falling back to legacy variables');
+    }
+
+    const legacy = LEGACY_HOUSEHOLD_KEYS.map(({ id, prefix, shared, fallbackName }) => {
+        const entry = normalizeHouseholdEntry({
+            id,
+            name: getEnv(`REACT_APP_${prefix}_NAME`, getEnv(`${prefix}_NAME`, '')) || fallbackName,
+            filter: getEnv(`REACT_APP_${prefix}_FILTER`, getEnv(`${prefix}_FILTER`, '')) || id,
+            paymentMethod: getEnv(`REACT_APP_${prefix}_PAYMENT_METHOD`, getEnv(`${prefix}_PAYMENT_METHOD`, '')),
+        }, shared);
+        return entry && { ...entry, id };
+    });
+    return { members: legacy.filter((e) => e && !e.shared), sharedAccounts: legacy.filter((e) => e && e.shared) };
+}
+
 // Config object from env
 const mergedConfig = {
     baseUrl: getEnv('REACT_APP_BASE_URL', getEnv('BASE_URL', '')),
     defaultHeaders: parseJSONEnv('REACT_APP_DEFAULT_HEADERS', parseJSONEnv('DEFAULT_HEADERS', {"Content-Type":"application/json"})),
-    user1: {
-        name: getEnv('REACT_APP_USER1_NAME', getEnv('USER1_NAME', '')),
-        filter: getEnv('REACT_APP_USER1_FILTER', getEnv('USER1_FILTER', '')),
-        paymentMethod: getEnv('REACT_APP_USER1_PAYMENT_METHOD', getEnv('USER1_PAYMENT_METHOD', '')),
-    },
-    user2: {
-        name: getEnv('REACT_APP_USER2_NAME', getEnv('USER2_NAME', '')),
-        filter: getEnv('REACT_APP_USER2_FILTER', getEnv('USER2_FILTER', '')),
-        paymentMethod: getEnv('REACT_APP_USER2_PAYMENT_METHOD', getEnv('USER2_PAYMENT_METHOD', '')),
-    },
-    joint: {
-        name: getEnv('REACT_APP_JOINT_NAME', getEnv('JOINT_NAME', '')),
-        filter: getEnv('REACT_APP_JOINT_FILTER', getEnv('JOINT_FILTER', '')),
-        paymentMethod: getEnv('REACT_APP_JOINT_PAYMENT_METHOD', getEnv('JOINT_PAYMENT_METHOD', '')),
-    },
+    household: buildHousehold(),
     criticalityOptions: parseArrayEnv('REACT_APP_CRITICALITY_OPTIONS', parseArrayEnv('CRITICALITY_OPTIONS', [])),
     statementPeriodPrevMonths: Number(getEnv('REACT_APP_STATEMENT_PERIOD_PREV_MONTHS', getEnv('STATEMENT_PERIOD_PREV_MONTHS', 1))),
     statementPeriodForwardMonths: Number(getEnv('REACT_APP_STATEMENT_PERIOD_FORWARD_MONTHS', getEnv('STATEMENT_PERIOD_FORWARD_MONTHS', 5))),
+    statementPeriodScheme: parseJSONEnv('REACT_APP_STATEMENT_PERIOD_SCHEME', parseJSONEnv('STATEMENT_PERIOD_SCHEME', { type: 'calendarMonth' })),
     statementPeriodCacheKey: getEnv('REACT_APP_STATEMENT_PERIOD_CACHE_KEY', getEnv('STATEMENT_PERIOD_CACHE_KEY', 'currentStatementPeriod')),
     categories: parseArrayEnv('REACT_APP_CATEGORIES', parseArrayEnv('CATEGORIES', [])),
     paymentMethods: parseArrayEnv('REACT_APP_PAYMENT_METHODS', parseArrayEnv('PAYMENT_METHODS', [])),
     accounts: parseArrayEnv('REACT_APP_ACCOUNTS', parseArrayEnv('ACCOUNTS', [])),
     defaultCriticalityMap: parseJSONEnv('REACT_APP_DEFAULT_CRITICALITY_MAP', parseJSONEnv('DEFAULT_CRITICALITY_MAP', {})),
     defaultPaymentMethodMap: parseJSONEnv('REACT_APP_DEFAULT_PAYMENT_METHOD_MAP', parseJSONEnv('DEFAULT_PAYMENT_METHOD_MAP', {})),
+    cards: parseJSONEnv('REACT_APP_CARDS', parseJSONEnv('CARDS', {})),
 };
 
+// --- Overrides -------------------------------------------------------------
+//
+// Values from wmbservice-config.json (loadConfigFile) and settings edited in the UI
+// (setOverrides) are applied on top of the env defaults at runtime; consumers that
+// cache config values subscribe (see useConfig) and recompute when the snapshot
+// changes.
+
+/**
+ * Config keys that may be changed at runtime through setOverrides(). public/configSchema.js
+ * keeps the same list: write-config rejects every other key.
+ * @constant
+ * @type {string[]}
+ */
+export const EDITABLE_CONFIG_KEYS = [
+    'categories',
+    'paymentMethods',
+    'accounts',
+    'criticalityOptions',
+    'defaultCriticalityMap',
+    'defaultPaymentMethodMap',
+    'cards',
+    'statementPeriodPrevMonths',
+    'statementPeriodForwardMonths',
+    'statementPeriodScheme',
+];
+
+/**
+ * Keys the config file may set (editable settings plus startup-only values).
+ * @constant
+ * @type {string[]}
+ */
+const FILE_CONFIG_KEYS = [
+    'baseUrl',
+    'defaultHeaders',
+    'household',
+    'statementPeriodCacheKey',
+    ...EDITABLE_CONFIG_KEYS,
+];
 
+const listeners = new Set();
+let configVersion = 0;
+
+/**
+ * Frozen copy of the config, replaced on every change (see getConfigSnapshot).
+ * @type {Object}
+ */
+let snapshot = Object.freeze({ ...mergedConfig });
+
+/**
+ * @param {*} value
+ * @returns {*} shallow copy of arrays / objects
+ */
+function copyValue(value) {
+    return Array.isArray(value) ? [...value] : value && typeof value === 'object' ? { ...value } : value;
+}
+
+/**
+ * Env-derived values of the file-settable keys, kept so file keys can be reverted.
+ * @type {Object}
+ */
+const envDefaults = FILE_CONFIG_KEYS.reduce((acc, key) => {
+    acc[key] = copyValue(mergedConfig[key]);
+    return acc;
+}, {});
+
+/**
+ * Assigns changed values into the live config and notifies subscribers once.
+ * @param {Object} values
+ * @param {string} reason - for logging
+ * @returns {string[]} keys that changed
+ */
+function applyValues(values, reason) {
+    const changed = Object.keys(values).filter((key) => JSON.stringify(mergedConfig[key]) !== JSON.stringify(values[key]));
+    if (changed.length === 0) return [];
+    changed.forEach((key) => { mergedConfig[key] = copyValue(values[key]); });
+    configVersion += 1;
+    snapshot = Object.freeze({ ...mergedConfig });
+    logger.info('config updated', { reason, keys: changed, version: configVersion });
+    listeners.forEach((listener) => {
+        try {
+            listener({ keys: changed, version: configVersion });
+        } catch (err) {
+            logger.error('config listener failed', err);
+        }
+    });
+    return changed;
+}
+
+/**
+ * Applies runtime overrides for editable keys (others are ignored) and notifies subscribers.
+ * Values replace the current ones wholesale; callers are expected to validate first.
+ * @function setOverrides
+ * @param {Object} overrides
+ * @returns {string[]} keys that were applied
+ */
+export function setOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object') return [];
+    const ignored = Object.keys(overrides).filter((key) => !EDITABLE_CONFIG_KEYS.includes(key));
+    if (ignored.length > 0) logger.info('setOverrides: ignoring non-editable keys', { ignored });
+    const values = EDITABLE_CONFIG_KEYS.reduce((acc, key) => {
+        if (overrides[key] !== undefined) acc[key] = overrides[key];
+        return acc;
+    }, {});
+    applyValues(values, 'setOverrides');
+    return Object.keys(values);
+}
+
+/**
+ * Merges validated config file values over the env defaults. Keys missing from the
+ * file fall back to their env value, so removing a key from the file reverts it.
+ * @param {Object} fileConfig
+ * @returns {string[]} keys that changed
+ */
+function applyFileConfig(fileConfig = {}) {
+    const values = {};
+    FILE_CONFIG_KEYS.forEach((key) => {
+        if (fileConfig[key] === undefined) {
+            values[key] = envDefaults[key];
+        } else if (key === 'household') {
+            values[key] = householdFromJSON(fileConfig.household) || envDefaults.household;
+        } else {
+            values[key] = fileConfig[key];
+        }
+    });
+    return applyValues(values, 'config file');
+}
+
+let stopFileWatch = null;
+
+/**
+ * Loads wmbservice-config.json through Electron IPC (readConfig), merges it over the
+ * env defaults and keeps following file changes pushed by the main process.
+ * Outside Electron this is a no-op and the env values stay in effect.
+ * @async
+ * @function loadConfigFile
+ * @returns {Promise<{config: Object, errors: string[], source: string, filePath: string|null}|null>}
+ */
+export async function loadConfigFile() {
+    const api = typeof window !== 'undefined' ? window.electronAPI : undefined;
+    if (!api || typeof api.readConfig !== 'function') {
+        logger.info('loadConfigFile: not running in Electron; using env config');
+        return null;
+    }
+    try {
+        const result = await api.readConfig();
+        if (result?.errors?.length) logger.error('config file problems (invalid keys ignored)', { filePath: result.filePath, errors: result.errors });
+        const changed = applyFileConfig(result?.config);
+        logger.info('loadConfigFile applied', { source: result?.source, filePath: result?.filePath, changed });
+        if (!stopFileWatch && typeof api.onConfigChanged === 'function') {
+            stopFileWatch = api.onConfigChanged((next) => {
+                if (next?.errors?.length) logger.error('config file problems (invalid keys ignored)', { filePath: next.filePath, errors: next.errors });
+                applyFileConfig(next?.config);
+            });
+        }
+        return result;
+    } catch (err) {
+        logger.error('loadConfigFile failed; using env config', err);
+        return null;
+    }
+}
+
+/**
+ * Subscribes to config changes, whether saved in the UI (setOverrides) or read from the
+ * config file (loadConfigFile and its watcher).
+ * @function subscribeConfig
+ * @param {Function} listener - ({ keys, version }) => void; version increases with every change
+ * @returns {Function} unsubscribe
+ */
+export function subscribeConfig(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Current config as a frozen object that is replaced (never mutated) on every change, so
+ * its identity tells whether anything changed. Every getter below accepts it as its
+ * optional `config` argument; hooks get it through useConfig and list it as a dependency.
+ * @function getConfigSnapshot
+ * @returns {Object}
+ */
+export function getConfigSnapshot() {
+    return snapshot;
+}
+
+/**
+ * Copy of the editable settings (copies, safe to mutate).
+ * @function getEditableSettings
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {Object}
+ */
+export function getEditableSettings(config = mergedConfig) {
+    return EDITABLE_CONFIG_KEYS.reduce((acc, key) => {
+        acc[key] = copyValue(config[key]);
+        return acc;
+    }, {});
+}
 
 /**
  * Safe dot-path getter.
- * Example: get('user1.name', 'Default Name')
+ * Example: get('statementPeriodCacheKey', 'currentStatementPeriod')
  * @function get
  * @template T
  * @param {string} path
  * @param {T} [fallback]
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {T|undefined}
  */
-export function get(path, fallback) {
+export function get(path, fallback, config = mergedConfig) {
     if (!path) return fallback;
     const parts = String(path).split('.');
-    let cur = mergedConfig;
+    let cur = config;
     for (const p of parts) {
         if (cur == null) return fallback;
         cur = cur[p];
@@ -105,11 +391,12 @@ export function get(path, fallback) {
 /**
  * Returns categories from config.
  * @function getCategories
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {string[]}
  */
-export function getCategories() {
+export function getCategories(config = mergedConfig) {
     try {
-        const val = mergedConfig.categories;
+        const val = config.categories;
         if (Array.isArray(val)) {
             const filtered = val.filter(v => typeof v === 'string').map(String);
             logger.info('getCategories', { count: filtered.length, sample: filtered.slice(0, 5) });
@@ -126,11 +413,12 @@ export function getCategories() {
 /**
  * Returns payment methods from config.
  * @function getPaymentMethods
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {string[]}
  */
-export function getPaymentMethods() {
+export function getPaymentMethods(config = mergedConfig) {
     try {
-        const val = mergedConfig.paymentMethods;
+        const val = config.paymentMethods;
         if (Array.isArray(val)) {
             const filtered = val.filter(v => typeof v === 'string').map(String);
             logger.info('getPaymentMethods', { count: filtered.length, sample: filtered.slice(0, 5) });
@@ -145,13 +433,78 @@ export function getPaymentMethods() {
 }
 
 /**
- * Returns account names from config.
+ * Returns the configured statement period scheme as stored (see lib/statementPeriods for
+ * the shapes; StatementPeriodService.getScheme() returns it validated).
+ * @function getStatementPeriodScheme
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {Object|undefined}
+ */
+export function getStatementPeriodScheme(config = mergedConfig) {
+    return config.statementPeriodScheme;
+}
+
+// --- Cards -----------------------------------------------------------------
+//
+// Optional billing details per payment method, keyed by the payment method name:
+//
+//   REACT_APP_CARDS={"Freedom":{"closingDay":20,"dueDay":15,"creditLimit":5000,"autopay":true}}
+//
+// closingDay / dueDay are days of the month (1-31, clamped to short months); a card
+// without a closingDay is billed by calendar month.
+
+/**
+ * @param {*} value
+ * @returns {number|null} whole day of month 1-31, else null
+ */
+function toDayOfMonth(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 1 && n <= 31 ? n : null;
+}
+
+/**
+ * Returns the card model for every configured payment method, in configured order.
+ * Details come from the `cards` map (matched case-insensitively); missing fields are null.
+ * @function getCards
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {Array<{name: string, key: string, closingDay: number|null, dueDay: number|null, creditLimit: number|null, autopay: boolean}>}
+ */
+export function getCards(config = mergedConfig) {
+    try {
+        const details = config.cards && typeof config.cards === 'object' ? config.cards : {};
+        const byKey = Object.fromEntries(Object.entries(details).map(([name, d]) => [name.toLowerCase(), d || {}]));
+        return getPaymentMethods(config).map((name) => {
+            const d = byKey[name.toLowerCase()] || {};
+            const limit = Number(d.creditLimit);
+            return {
+                name,
+                key: name.toLowerCase(),
+                closingDay: toDayOfMonth(d.closingDay),
+                dueDay: toDayOfMonth(d.dueDay),
+                creditLimit: d.creditLimit != null && d.creditLimit !== '' && Number.isFinite(limit) && limit > 0 ? limit : null,
+                autopay: d.autopay === true,
+            };
+        });
+    } catch (err) {
+        logger.error('getCards failed', err);
+        return [];
+    }
+}
+
+/**
+ * Returns account names from config, or the household's account filters when
+ * ACCOUNTS is not set.
  * @function getAccounts
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {string[]}
  */
-export function getAccounts() {
+export function getAccounts(config = mergedConfig) {
     try {
-        const val = mergedConfig.accounts;
+        const val = config.accounts;
+        if (!Array.isArray(val) || val.length === 0) {
+            const filters = getHouseholdAccounts(config).map((a) => a.filter);
+            logger.info('getAccounts: no ACCOUNTS configured; using household filters', { count: filters.length });
+            return filters;
+        }
         if (Array.isArray(val)) {
             const filtered = val.filter(v => typeof v === 'string').map(String);
             logger.info('getAccounts', { count: filtered.length, sample: filtered.slice(0, 5) });
@@ -165,14 +518,26 @@ export function getAccounts() {
     }
 }
 
+/**
+ * Returns criticality options from config (empty when none are configured).
+ * @function getCriticalityOptions
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {string[]}
+ */
+export function getCriticalityOptions(config = mergedConfig) {
+    const val = config.criticalityOptions;
+    return Array.isArray(val) ? val.filter(v => typeof v === 'string').map(String) : [];
+}
+
 /**
  * Returns the criticality map from config.
  * @function getCriticalityMap
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {Record<string, string>}
  */
-export function getCriticalityMap() {
+export function getCriticalityMap(config = mergedConfig) {
     try {
-        const val = mergedConfig.defaultCriticalityMap;
+        const val = config.defaultCriticalityMap;
         if (val && typeof val === 'object' && !Array.isArray(val)) {
             const out = {};
             for (const [k, v] of Object.entries(val)) {
@@ -193,13 +558,14 @@ export function getCriticalityMap() {
  * Returns criticality for a given category, or fallback.
  * @function getCriticalityForCategory
  * @param {string} [category]
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {string}
  */
-export function getCriticalityForCategory(category) {
+export function getCriticalityForCategory(category, config = mergedConfig) {
     try {
-        const map = getCriticalityMap();
+        const map = getCriticalityMap(config);
         if (!category) {
-            const fallback = mergedConfig.criticalityOptions?.[0] ?? 'Essential';
+            const fallback = config.criticalityOptions?.[0] ?? 'Essential';
             logger.info('getCriticalityForCategory: no category provided, using fallback', { fallback });
             return fallback;
         }
@@ -217,23 +583,24 @@ export function getCriticalityForCategory(category) {
             }
         }
 
-        const fallback = mergedConfig.criticalityOptions?.[0] ?? 'Essential';
+        const fallback = config.criticalityOptions?.[0] ?? 'Essential';
         logger.info('getCriticalityForCategory: not found, using fallback', { category, fallback });
         return fallback;
     } catch (err) {
         logger.error('getCriticalityForCategory failed', err);
-        return mergedConfig.criticalityOptions?.[0] ?? 'Essential';
+        return config.criticalityOptions?.[0] ?? 'Essential';
     }
 }
 
 /**
  * Returns the default payment method map from config.
  * @function getDefaultPaymentMethodMap
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {Record<string, string>}
  */
-export function getDefaultPaymentMethodMap() {
+export function getDefaultPaymentMethodMap(config = mergedConfig) {
     try {
-        const val = mergedConfig.defaultPaymentMethodMap;
+        const val = config.defaultPaymentMethodMap;
         if (val && typeof val === 'object' && !Array.isArray(val)) {
             const out = {};
             for (const [k, v] of Object.entries(val)) {
@@ -251,32 +618,70 @@ export function getDefaultPaymentMethodMap() {
 }
 
 /**
- * Resolve a given account identifier (e.g., "josh", "anna", "joint") to a user key in config
- * (user1, user2, joint) by matching against each user object's `filter` or `name`.
- * Returns the matching user key string or undefined.
- * @function resolveAccountToUserKey
+ * Returns the household members (people), in configured order.
+ * @function getHouseholdMembers
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {Array<{id: string, name: string, filter: string, paymentMethod: string, shared: boolean}>}
+ */
+export function getHouseholdMembers(config = mergedConfig) {
+    return Array.isArray(config.household?.members) ? config.household.members : [];
+}
+
+/**
+ * Returns the household's shared accounts (e.g. joint), in configured order.
+ * @function getSharedAccounts
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {Array<{id: string, name: string, filter: string, paymentMethod: string, shared: boolean}>}
+ */
+export function getSharedAccounts(config = mergedConfig) {
+    return Array.isArray(config.household?.sharedAccounts) ? config.household.sharedAccounts : [];
+}
+
+/**
+ * Returns every household entry: shared accounts first, then members.
+ * This is the order used for generated routes and sidebar views.
+ * @function getHouseholdAccounts
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {Array<{id: string, name: string, filter: string, paymentMethod: string, shared: boolean}>}
+ */
+export function getHouseholdAccounts(config = mergedConfig) {
+    return [...getSharedAccounts(config), ...getHouseholdMembers(config)];
+}
+
+/**
+ * Account filter shown on the "All Transactions" screen: the first shared account,
+ * else the first member, else "joint".
+ * @function getPrimaryAccountFilter
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {string}
+ */
+export function getPrimaryAccountFilter(config = mergedConfig) {
+    return getHouseholdAccounts(config)[0]?.filter || 'joint';
+}
+
+/**
+ * Resolve an account identifier (e.g. "josh", "joint") to its household entry by
+ * matching the entry's `filter`, `name` or `id` case-insensitively.
+ * @function resolveHouseholdAccount
  * @param {string} [account]
- * @returns {string|undefined}
+ * @param {Object} [config] - config snapshot (defaults to the live config)
+ * @returns {Object|undefined}
  */
-function resolveAccountToUserKey(account) {
+export function resolveHouseholdAccount(account, config = mergedConfig) {
     if (!account) return undefined;
     try {
         const acctLower = String(account).toLowerCase();
-        const userKeys = ['user1', 'user2', 'joint'];
-        for (const key of userKeys) {
-            const userObj = mergedConfig[key];
-            if (!userObj || typeof userObj !== 'object') continue;
-            const filter = String(userObj.filter ?? '').toLowerCase();
-            const name = String(userObj.name ?? '').toLowerCase();
-            if (filter === acctLower || name === acctLower) {
-                logger.info('resolveAccountToUserKey: matched account to userKey', { account, userKey: key });
-                return key;
-            }
+        const match = getHouseholdAccounts(config).find((entry) =>
+            [entry.filter, entry.name, entry.id].some((v) => String(v ?? '').toLowerCase() === acctLower)
+        );
+        if (match) {
+            logger.info('resolveHouseholdAccount: matched account', { account, id: match.id });
+        } else {
+            logger.info('resolveHouseholdAccount: no household entry for account', { account });
         }
-        logger.info('resolveAccountToUserKey: no userKey match found for account', { account });
-        return undefined;
+        return match;
     } catch (err) {
-        logger.error('resolveAccountToUserKey failed', err);
+        logger.error('resolveHouseholdAccount failed', err);
         return undefined;
     }
 }
@@ -284,36 +689,32 @@ function resolveAccountToUserKey(account) {
 /**
  * Given an account identifier (e.g., "josh", "anna", "joint"), return the default payment
  * method for that account. Resolution steps:
- * 1. Try to resolve account -> user key (user1/user2/joint) and use that user's paymentMethod
- *    if configured (user1.paymentMethod etc).
+ * 1. Try to resolve account -> household entry and use its paymentMethod if configured.
  * 2. Fallback to defaultPaymentMethodMap[account] if present.
  * 3. Fallback to first configured payment method (paymentMethods[0]) if available.
  * 4. Otherwise return undefined.
  * @function getDefaultPaymentMethodForAccount
  * @param {string} [account]
+ * @param {Object} [config] - config snapshot (defaults to the live config)
  * @returns {string|undefined}
  */
-export function getDefaultPaymentMethodForAccount(account) {
+export function getDefaultPaymentMethodForAccount(account, config = mergedConfig) {
     try {
         if (!account) {
-            const fallback = getPaymentMethods()[0];
+            const fallback = getPaymentMethods(config)[0];
             logger.info('getDefaultPaymentMethodForAccount: no account provided, using fallback', { fallback });
             return fallback;
         }
 
-        // 1) resolve to user key and check user.paymentMethod
-        const userKey = resolveAccountToUserKey(account);
-        if (userKey) {
-            const userObj = mergedConfig[userKey];
-            const pm = userObj && typeof userObj === 'object' ? userObj.paymentMethod : undefined;
-            if (pm && typeof pm === 'string') {
-                logger.info('getDefaultPaymentMethodForAccount: found paymentMethod on user object', { account, userKey, paymentMethod: pm });
-                return pm;
-            }
+        // 1) resolve to household entry and check its paymentMethod
+        const entry = resolveHouseholdAccount(account, config);
+        if (entry?.paymentMethod) {
+            logger.info('getDefaultPaymentMethodForAccount: found paymentMethod on household entry', { account, id: entry.id, paymentMethod: entry.paymentMethod });
+            return entry.paymentMethod;
         }
 
         // 2) fallback to defaultPaymentMethodMap
-        const map = getDefaultPaymentMethodMap();
+        const map = getDefaultPaymentMethodMap(config);
         if (map[account]) {
             logger.info('getDefaultPaymentMethodForAccount: found exact match in defaultPaymentMethodMap', { account, paymentMethod: map[account] });
             return map[account];
@@ -327,12 +728,12 @@ export function getDefaultPaymentMethodForAccount(account) {
         }
 
         // 3) fallback to first payment method
-        const fallback = getPaymentMethods()[0];
+        const fallback = getPaymentMethods(config)[0];
         logger.info('getDefaultPaymentMethodForAccount: not found, using fallback', { account, fallback });
         return fallback;
     } catch (err) {
         logger.error('getDefaultPaymentMethodForAccount failed', err);
-        return getPaymentMethods()[0];
+        return getPaymentMethods(config)[0];
     }
 }
 
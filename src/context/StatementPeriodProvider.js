@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import useStatementPeriodDropdown from '../components/statementPeriodDropdown/useStatementPeriodDropdown';
 import localCacheService from '../services/LocalCacheService';
+import { describePeriod } from '../lib/statementPeriods';
 
 /**
  * Logger for StatementPeriodProvider
@@ -23,25 +24,33 @@ const StatementPeriodContext = createContext(undefined);
  * - Context provider for statement period selection and persistence.
  * - Reads cache ONCE on mount, then only persists on user change.
  * - Prevents flashback bugs by never re-reading cache after initial load.
+ * - With fixedPeriod the subtree is pinned to that period (no cache read or write), e.g. for
+ *   drill-downs into a period other than the one selected on the screen.
  *
  * @param {object} props
  * @param {React.ReactNode} props.children - Child nodes to render within context provider.
+ * @param {string} [props.fixedPeriod] - Statement period value to pin, e.g. "SEPTEMBER2026".
  * @returns {JSX.Element}
  */
-export const StatementPeriodProvider = ({ children }) => {
+export const StatementPeriodProvider = ({ children, fixedPeriod }) => {
     const dropdown = useStatementPeriodDropdown();
 
     // State for canonical statement period value. Starts undefined until cache loads.
-    const [statementPeriod, setStatementPeriod] = useState(undefined);
+    const [selectedPeriod, setSelectedPeriod] = useState(undefined);
     // State for loading status of cache/context.
-    const [isLoaded, setIsLoaded] = useState(false);
+    const [cacheLoaded, setCacheLoaded] = useState(false);
+    const statementPeriod = fixedPeriod ?? selectedPeriod;
+    const isLoaded = Boolean(fixedPeriod) || cacheLoaded;
+    const defaultValue = dropdown.defaultOpt?.value;
 
     /**
      * Loads statement period from local cache ONCE on mount.
-     * Never re-reads after initial load.
-     * Sets isLoaded to true after first attempt.
+     * Never re-reads after initial load; a read still in flight when the default
+     * period changes is dropped and redone with the new default.
+     * Sets isLoaded to true after the first completed attempt.
      */
     useEffect(() => {
+        if (fixedPeriod || cacheLoaded) return undefined;
         let mounted = true;
         (async function () {
             try {
@@ -49,23 +58,23 @@ export const StatementPeriodProvider = ({ children }) => {
                 const res = await localCacheService.get('currentStatementPeriod');
                 const cacheValue = res?.cacheValue || res?.value || (typeof res === 'string' ? res : null);
                 if (mounted && cacheValue) {
-                    setStatementPeriod(cacheValue);
+                    setSelectedPeriod(cacheValue);
                     logger.info('Loaded statementPeriod from cache', { cacheValue });
                 } else if (mounted) {
-                    setStatementPeriod(dropdown.defaultOpt ? dropdown.defaultOpt.value : '');
-                    logger.info('No cache, using dropdown defaultOpt', { value: dropdown.defaultOpt?.value });
+                    setSelectedPeriod(defaultValue || '');
+                    logger.info('No cache, using dropdown defaultOpt', { value: defaultValue });
                 }
             } catch (err) {
                 logger.error('Failed to load statementPeriod from cache', err);
                 if (mounted) {
-                    setStatementPeriod(dropdown.defaultOpt ? dropdown.defaultOpt.value : '');
+                    setSelectedPeriod(defaultValue || '');
                 }
             } finally {
-                setIsLoaded(true);
+                if (mounted) setCacheLoaded(true);
             }
         })();
         return () => { mounted = false; };
-    }, []);
+    }, [fixedPeriod, cacheLoaded, defaultValue]);
 
     /**
      * updateStatementPeriod
@@ -81,7 +90,11 @@ export const StatementPeriodProvider = ({ children }) => {
          * @param {string} value
          */
         async (value) => {
-            setStatementPeriod(value);
+            if (fixedPeriod) {
+                logger.info('updateStatementPeriod ignored: period is fixed', { fixedPeriod, value });
+                return;
+            }
+            setSelectedPeriod(value);
             try {
                 await localCacheService.set('currentStatementPeriod', value);
                 logger.info('Persisted statementPeriod to cache', { value });
@@ -89,9 +102,24 @@ export const StatementPeriodProvider = ({ children }) => {
                 logger.error('Failed to persist statementPeriod to cache', err);
             }
         },
-        []
+        [fixedPeriod]
     );
 
+    /**
+     * Replaces a selected period the active scheme cannot resolve with the current period.
+     */
+    useEffect(() => {
+        if (fixedPeriod || !cacheLoaded || !selectedPeriod) return;
+        if (describePeriod(selectedPeriod, dropdown.scheme)) return;
+        if (!defaultValue || defaultValue === selectedPeriod) return;
+        logger.info('Selected period is not part of the statement period scheme; using current period', {
+            selectedPeriod,
+            scheme: dropdown.scheme.type,
+            fallback: defaultValue,
+        });
+        updateStatementPeriod(defaultValue);
+    }, [fixedPeriod, cacheLoaded, selectedPeriod, dropdown.scheme, defaultValue, updateStatementPeriod]);
+
     /**
      * selectedLabel
      * - Returns label for the current statement period value.
@@ -102,6 +130,16 @@ export const StatementPeriodProvider = ({ children }) => {
         return found ? found.label : statementPeriod || '';
     })();
 
+    /**
+     * selectedRange
+     * - Date range of the current statement period under the scheme.
+     * @returns {{start: string, end: string, label: string}|null} 'YYYY-MM-DD' keys
+     */
+    const selectedRange = (() => {
+        const found = dropdown.options.find((o) => o.value === statementPeriod) || describePeriod(statementPeriod, dropdown.scheme);
+        return found ? { start: found.start, end: found.end, label: found.rangeLabel } : null;
+    })();
+
     return (
         <StatementPeriodContext.Provider
             value={{
@@ -109,6 +147,7 @@ export const StatementPeriodProvider = ({ children }) => {
                 statementPeriod,
                 updateStatementPeriod,
                 selectedLabel,
+                selectedRange,
                 isLoaded,
             }}
         >
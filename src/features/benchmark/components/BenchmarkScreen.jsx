@@ -0,0 +1,168 @@
+/**
+ * BenchmarkScreen (development only)
+ * - Renders the transaction tables over the synthetic fixture (10k rows by default) so
+ *   windowed rendering can be profiled without a backend.
+ * - "Full rows" mounts real TransactionTableRow components with in-memory editing and
+ *   selection; "Compact" mounts CompactTransactionTable with the same rows.
+ * - The mount time comes from React's Profiler; the DOM row count shows how many rows the
+ *   window actually mounted.
+ *
+ * @module BenchmarkScreen
+ * @returns {JSX.Element}
+ */
+import React, { Profiler, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import styles from "./Benchmark.module.css";
+import TransactionTableHeader from "../../transactionTable/components/TransactionTableHeader/TransactionTableHeader";
+import TransactionTableRow from "../../transactionTable/components/TransactionTableRow/TransactionTableRow";
+import CompactTransactionTable from "../../compactTransactionTable/CompactTransactionTable";
+import useWindowedRows, { DEFAULT_WINDOW_THRESHOLD } from "../../../hooks/useWindowedRows";
+import { BENCHMARK_ROW_COUNT, generateSyntheticTransactions } from "../utils/syntheticTransactions";
+import "../../transactionTable/TransactionTable.css";
+
+/**
+ * Logger for BenchmarkScreen component.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[BenchmarkScreen]', ...args),
+    error: (...args) => console.error('[BenchmarkScreen]', ...args),
+};
+
+const ROW_COUNTS = [1000, 5000, BENCHMARK_ROW_COUNT];
+const VIEWS = { FULL: 'full', COMPACT: 'compact' };
+
+/**
+ * Full TransactionTableRow list over in-memory rows, windowed like TransactionTable.
+ */
+function FullRowsBenchmark({ initialRows, windowed }) {
+    const [rows, setRows] = useState(initialRows);
+    const [editing, setEditing] = useState(null);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const editValueRef = useRef(null);
+
+    const keys = useMemo(() => rows.map((tx) => String(tx.id)), [rows]);
+    const list = useWindowedRows({
+        keys,
+        estimateHeight: 44,
+        gap: 6,
+        threshold: windowed ? DEFAULT_WINDOW_THRESHOLD : Infinity,
+        pinnedKeys: [editing?.id],
+    });
+
+    const updateRow = useCallback((id, patch) => {
+        setRows((prev) => prev.map((tx) => (tx.id === id ? { ...tx, ...patch } : tx)));
+        setEditing(null);
+    }, []);
+
+    const toggleSelectAll = useCallback(() => {
+        setSelectedIds((prev) => (prev.size === rows.length ? new Set() : new Set(rows.map((tx) => tx.id))));
+    }, [rows]);
+
+    return (
+        <div className="tt-card">
+            <TransactionTableHeader
+                isAllSelected={rows.length > 0 && selectedIds.size === rows.length}
+                toggleSelectAll={toggleSelectAll}
+            />
+            <div className="tt-body" ref={list.containerRef} onFocus={list.onFocus}>
+                {list.items.map((item) => {
+                    if (item.type === 'spacer') {
+                        return <div key={item.key} className="tt-window-spacer" style={{ height: item.height }} aria-hidden="true" />;
+                    }
+                    const tx = rows[item.index];
+                    return (
+                        <TransactionTableRow
+                            key={tx.id}
+                            rowRef={list.measureRef(tx.id)}
+                            tx={tx}
+                            selected={selectedIds.has(tx.id)}
+                            onSelect={() => setSelectedIds((prev) => {
+                                const next = new Set(prev);
+                                if (next.has(tx.id)) next.delete(tx.id);
+                                else next.add(tx.id);
+                                return next;
+                            })}
+                            editing={editing}
+                            editValueRef={editValueRef}
+                            onCellDoubleClick={(row, field) => setEditing({ id: row.id, mode: 'field', field })}
+                            onEditKey={(e) => { if (e.key === 'Escape') setEditing(null); }}
+                            onSaveEdit={(id, field, value) => updateRow(id, { [field]: value })}
+                            onSaveRow={(id, draft) => updateRow(id, draft)}
+                            onCancelRow={() => setEditing(null)}
+                            toInputDate={(iso) => (iso ? String(iso).slice(0, 10) : '')}
+                            setEditing={setEditing}
+                            startEditingRow={(id) => setEditing({ id, mode: 'row' })}
+                        />
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+const BenchmarkScreen = () => {
+    const [count, setCount] = useState(BENCHMARK_ROW_COUNT);
+    const [windowed, setWindowed] = useState(true);
+    const [view, setView] = useState(VIEWS.FULL);
+    const [mountMs, setMountMs] = useState(null);
+    const [domRows, setDomRows] = useState(0);
+    const contentRef = useRef(null);
+
+    const rows = useMemo(() => generateSyntheticTransactions({ count }), [count]);
+    const runKey = `${view}-${count}-${windowed}`;
+
+    // Only the mount phase is recorded: scrolling commits would otherwise loop through setState
+    const onRender = useCallback((id, phase, actualDuration) => {
+        if (phase !== 'mount') return;
+        logger.info('mount', { id, ms: Math.round(actualDuration) });
+        setMountMs(actualDuration);
+    }, []);
+
+    useEffect(() => {
+        const el = contentRef.current;
+        if (el) setDomRows(el.querySelectorAll('.tt-body > :not(.tt-window-spacer), .ct-compact-row').length);
+    }, [runKey, mountMs]);
+
+    return (
+        <div className={styles.screen}>
+            <h1 className={styles.title}>Table rendering benchmark</h1>
+            <div className={styles.controls}>
+                <label>
+                    Rows{" "}
+                    <select value={count} onChange={(e) => setCount(Number(e.target.value))}>
+                        {ROW_COUNTS.map((n) => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Table{" "}
+                    <select value={view} onChange={(e) => setView(e.target.value)}>
+                        <option value={VIEWS.FULL}>Full rows</option>
+                        <option value={VIEWS.COMPACT}>Compact</option>
+                    </select>
+                </label>
+                {view === VIEWS.FULL && (
+                    <label>
+                        <input type="checkbox" checked={windowed} onChange={(e) => setWindowed(e.target.checked)} />
+                        {" "}Windowed
+                    </label>
+                )}
+                <span className={styles.stat}>
+                    Mount: {mountMs == null ? '—' : `${mountMs.toFixed(1)} ms`}
+                </span>
+                <span className={styles.stat}>Rows mounted: {domRows.toLocaleString()}</span>
+            </div>
+            <div ref={contentRef}>
+                {/* Keyed so every setting change is a fresh mount of the Profiler subtree */}
+                <Profiler key={runKey} id={runKey} onRender={onRender}>
+                    {view === VIEWS.FULL ? (
+                        <FullRowsBenchmark initialRows={rows} windowed={windowed} />
+                    ) : (
+                        <CompactTransactionTable transactions={rows} emptyText="No rows." />
+                    )}
+                </Profiler>
+            </div>
+        </div>
+    );
+};
+
+export default BenchmarkScreen;
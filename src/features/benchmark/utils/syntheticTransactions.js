@@ -0,0 +1,101 @@
+/**
+ * syntheticTransactions
+ *
+ * Deterministic fixture of synthetic transactions for rendering benchmarks of the
+ * transaction tables. The same seed always yields the same rows, so timings from
+ * different runs (or branches) compare like for like.
+ *
+ * Pure helpers — no React, no services.
+ *
+ * @module syntheticTransactions
+ */
+
+/**
+ * Row count of the standard benchmark fixture.
+ * @constant
+ */
+export const BENCHMARK_ROW_COUNT = 10000;
+
+const NAMES = [
+    'Grocery Mart', 'Corner Coffee', 'City Utilities', 'Fuel Stop', 'Streaming Plus',
+    'Pharmacy', 'Hardware Depot', 'Book Nook', 'Pet Supplies', 'Taco Truck',
+    'Rideshare', 'Gym Membership', 'Internet Service', 'Phone Bill', 'Bakery',
+    'Farmers Market', 'Movie Theater', 'Parking Garage', 'Dry Cleaner', 'Airline',
+];
+
+const CATEGORIES = [
+    'Groceries', 'Dining', 'Utilities', 'Transportation', 'Entertainment',
+    'Health', 'Home', 'Pets', 'Travel', 'Subscriptions',
+];
+
+const CRITICALITIES = ['Essential', 'Nonessential'];
+const ACCOUNTS = ['personal', 'joint'];
+const PAYMENT_METHODS = ['Visa', 'Amex', 'Debit', 'Cash'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Small seeded PRNG (mulberry32) so fixtures are reproducible without dependencies.
+ *
+ * @function createRandom
+ * @param {number} seed
+ * @returns {function(): number} uniform values in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates synthetic transactions shaped like the budget API rows.
+ * Dates spread backwards from `endDate` over `spanDays`; about one in ten rows is projected.
+ *
+ * @function generateSyntheticTransactions
+ * @param {Object} [options]
+ * @param {number} [options.count=BENCHMARK_ROW_COUNT]
+ * @param {number} [options.seed=1]
+ * @param {string} [options.endDate='2025-12-31'] - ISO date of the newest row
+ * @param {number} [options.spanDays=365]
+ * @param {string} [options.statementPeriod] - copied onto every row when given
+ * @returns {Array<Object>} rows sorted newest first, like the table's fetched order
+ */
+export function generateSyntheticTransactions({
+    count = BENCHMARK_ROW_COUNT,
+    seed = 1,
+    endDate = '2025-12-31',
+    spanDays = 365,
+    statementPeriod,
+} = {}) {
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const end = new Date(`${endDate}T00:00:00Z`).getTime();
+
+    const rows = [];
+    for (let i = 0; i < count; i += 1) {
+        const isProjected = random() < 0.1;
+        const date = new Date(end - Math.floor(random() * spanDays) * DAY_MS);
+        const amount = Math.round((random() < 0.05 ? -1 : 1) * (2 + random() * 248) * 100) / 100;
+        const row = {
+            id: `bench-${seed}-${i}`,
+            name: `${pick(NAMES)} #${1 + Math.floor(random() * 90)}`,
+            amount,
+            category: pick(CATEGORIES),
+            criticality: pick(CRITICALITIES),
+            transactionDate: date.toISOString(),
+            account: pick(ACCOUNTS),
+            paymentMethod: pick(PAYMENT_METHODS),
+        };
+        if (statementPeriod) row.statementPeriod = statementPeriod;
+        if (isProjected) row.__isProjected = true;
+        rows.push(row);
+    }
+    return rows.sort((a, b) => b.transactionDate.localeCompare(a.transactionDate));
+}
+
+export default generateSyntheticTransactions;
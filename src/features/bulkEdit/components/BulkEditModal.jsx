@@ -0,0 +1,178 @@
+import React from "react";
+import PropTypes from "prop-types";
+import Modal, { ModalHeader, ModalBody, ModalFooter } from "../../../components/modal/Modal";
+import { BULK_EDIT_FIELDS } from "../utils/bulkEdit";
+import styles from "./BulkEdit.module.css";
+
+/**
+ * Logger for BulkEditModal
+ */
+const logger = {
+    info: (...args) => console.log("[BulkEditModal]", ...args),
+    error: (...args) => console.error("[BulkEditModal]", ...args),
+};
+
+/**
+ * Rows listed in the preview before it is summarized as "… and N more".
+ * @constant
+ */
+const PREVIEW_LIMIT = 50;
+
+const FIELD_LABELS = Object.fromEntries(BULK_EDIT_FIELDS.map((f) => [f.key, f.label]));
+
+/**
+ * BulkEditModal
+ * Sets category, criticality, payment method, account or statement period on every
+ * selected transaction, with a preview of the changes and a per-row result.
+ * Uses Bulletproof React conventions: UI only, logic in useBulkEdit.
+ *
+ * Props:
+ *  - bulkEdit: state / actions from useBulkEdit
+ */
+export default function BulkEditModal({ bulkEdit }) {
+    const {
+        isOpen,
+        close,
+        values,
+        setValue,
+        fieldOptions,
+        preview,
+        selectedCount,
+        unsavedCount,
+        apply,
+        applying,
+        result,
+    } = bulkEdit;
+    logger.info("render", { isOpen, selectedCount, preview: preview.length });
+
+    return (
+        <Modal isOpen={isOpen} onClose={close} ariaLabel="Bulk edit transactions" closeOnBackdrop={false}>
+            <ModalHeader>
+                <div>
+                    <div className={styles.title}>Bulk edit</div>
+                    <div className={styles.subtitle}>
+                        {selectedCount} selected transaction{selectedCount === 1 ? "" : "s"}
+                        {unsavedCount > 0 ? ` · ${unsavedCount} unsaved row${unsavedCount === 1 ? "" : "s"} skipped` : ""}
+                    </div>
+                </div>
+            </ModalHeader>
+
+            <ModalBody>
+                <div className={styles.fields}>
+                    {BULK_EDIT_FIELDS.map(({ key, label }) => {
+                        const options = fieldOptions[key] || [];
+                        return (
+                            <label key={key} className={styles.field}>
+                                <span className={styles.fieldLabel}>{label}</span>
+                                {options.length > 0 ? (
+                                    <select
+                                        className={styles.input}
+                                        value={values[key]}
+                                        onChange={(e) => setValue(key, e.target.value)}
+                                        disabled={applying}
+                                    >
+                                        <option value="">— keep —</option>
+                                        {options.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                    </select>
+                                ) : (
+                                    <input
+                                        className={styles.input}
+                                        value={values[key]}
+                                        placeholder="Keep each row's value"
+                                        onChange={(e) => setValue(key, e.target.value)}
+                                        disabled={applying}
+                                    />
+                                )}
+                            </label>
+                        );
+                    })}
+                </div>
+
+                {result && (
+                    <div className={result.failed.length > 0 ? styles.error : styles.resultNote} role="status">
+                        Updated {result.succeeded.length} transaction{result.succeeded.length === 1 ? "" : "s"}
+                        {result.failed.length > 0 ? `; ${result.failed.length} failed and stay selected.` : "."}
+                    </div>
+                )}
+                {result && result.failed.length > 0 && (
+                    <ul className={styles.list}>
+                        {result.failed.map(({ tx, error }) => (
+                            <li key={tx.id} className={styles.failedRow}>
+                                <span className={styles.rowName}>{tx.name || "(no name)"}</span>
+                                <span>{error}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {!result && (
+                    preview.length === 0 ? (
+                        <div className={styles.muted}>Choose a value to set; fields left on “keep” are not changed.</div>
+                    ) : (
+                        <>
+                            <div className={styles.previewHeader}>
+                                {preview.length} transaction{preview.length === 1 ? "" : "s"} will change
+                            </div>
+                            <ul className={styles.list}>
+                                {preview.slice(0, PREVIEW_LIMIT).map(({ tx, changes }) => (
+                                    <li key={tx.id} className={styles.previewRow}>
+                                        <span className={styles.rowName}>{tx.name || "(no name)"}</span>
+                                        <span className={styles.changes}>
+                                            {changes.map((c) => (
+                                                <span key={c.field} className={styles.change}>
+                                                    {FIELD_LABELS[c.field]}: <s>{String(c.from) || "—"}</s> → {String(c.to)}
+                                                </span>
+                                            ))}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            {preview.length > PREVIEW_LIMIT && (
+                                <div className={styles.muted}>… and {preview.length - PREVIEW_LIMIT} more</div>
+                            )}
+                        </>
+                    )
+                )}
+            </ModalBody>
+
+            <ModalFooter>
+                <div className={styles.muted}>Undo with Ctrl+Z after applying.</div>
+                <div className={styles.footerActions}>
+                    <button type="button" className={styles.secondaryBtn} onClick={close} disabled={applying}>
+                        Close
+                    </button>
+                    <button
+                        type="button"
+                        className={styles.primaryBtn}
+                        onClick={apply}
+                        disabled={applying || preview.length === 0}
+                    >
+                        {applying ? "Applying…" : `Apply to ${preview.length}`}
+                    </button>
+                </div>
+            </ModalFooter>
+        </Modal>
+    );
+}
+
+BulkEditModal.propTypes = {
+    bulkEdit: PropTypes.shape({
+        isOpen: PropTypes.bool.isRequired,
+        close: PropTypes.func.isRequired,
+        values: PropTypes.objectOf(PropTypes.string).isRequired,
+        setValue: PropTypes.func.isRequired,
+        fieldOptions: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.shape({
+            value: PropTypes.string.isRequired,
+            label: PropTypes.string.isRequired,
+        }))).isRequired,
+        preview: PropTypes.array.isRequired,
+        selectedCount: PropTypes.number.isRequired,
+        unsavedCount: PropTypes.number,
+        apply: PropTypes.func.isRequired,
+        applying: PropTypes.bool,
+        result: PropTypes.shape({
+            succeeded: PropTypes.array.isRequired,
+            failed: PropTypes.array.isRequired,
+        }),
+    }).isRequired,
+};
@@ -0,0 +1,184 @@
+/**
+ * Hook: useBulkEdit
+ *
+ * State and actions for the bulk-edit panel: the values to set on the selected rows, the
+ * preview of changes, and applying them. Updates go to updateTransaction (budget or
+ * projected service) in small concurrent batches; every row's outcome is reported, and
+ * one 'transactionsChanged' event (reason 'bulkEdit') is published at the end.
+ *
+ * Setting a category also sets its mapped criticality, and setting an account its default
+ * payment method, unless those fields are set explicitly — as when editing one row.
+ *
+ * @module useBulkEdit
+ */
+
+import { useCallback, useMemo, useState } from 'react';
+import budgetTransactionService from '../../../services/BudgetTransactionService';
+import projectedTransactionService from '../../../services/ProjectedTransactionService';
+import { publish } from '../../../services/TransactionEvents';
+import {
+    getAccounts,
+    getPaymentMethods,
+    getCriticalityForCategory,
+    getDefaultPaymentMethodForAccount,
+} from '../../../config/config.js';
+import useConfig from '../../../hooks/useConfig';
+import { useStatementPeriodContext } from '../../../context/StatementPeriodProvider';
+import { TEMP_ID_PREFIX } from '../../transactionTable/utils/constants';
+import { HISTORY_OPS, toServicePayload } from '../../history/utils/editHistory';
+import { buildBulkPatch, previewBulkEdit, toBatches } from '../utils/bulkEdit';
+
+const logger = {
+    info: (...args) => console.log('[useBulkEdit]', ...args),
+    error: (...args) => console.error('[useBulkEdit]', ...args),
+};
+
+const EMPTY_VALUES = {
+    category: '',
+    criticality: '',
+    paymentMethod: '',
+    account: '',
+    statementPeriod: '',
+};
+
+/**
+ * @param {Object} params
+ * @param {Array<Object>} params.rows - selected rows
+ * @param {Array<string>} [params.categoryOptions] - configured categories ([] when freeform)
+ * @param {Array<string>} [params.criticalityOptions]
+ * @param {Function} [params.onRecord] - (label, ops) records the edit for undo
+ * @param {Function} [params.onApplied] - ({ succeeded, failed }) after an apply finishes
+ * @returns {Object} bulk-edit state and actions
+ */
+export default function useBulkEdit({ rows, categoryOptions = [], criticalityOptions = [], onRecord, onApplied }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [values, setValues] = useState(EMPTY_VALUES);
+    const [applying, setApplying] = useState(false);
+    const [result, setResult] = useState(null); // { succeeded: [tx], failed: [{ tx, error }] }
+
+    const config = useConfig();
+    const { options: periodOptions = [] } = useStatementPeriodContext();
+
+    /**
+     * Choices per field; an empty list means the field is a free-text input.
+     */
+    const fieldOptions = useMemo(() => {
+        const read = (fn) => {
+            try {
+                return (fn(config) || []).map(String);
+            } catch (err) {
+                logger.error('failed to read options from config', err);
+                return [];
+            }
+        };
+        return {
+            category: (categoryOptions || []).map((c) => ({ value: c, label: c })),
+            criticality: (criticalityOptions || []).map((c) => ({ value: c, label: c })),
+            paymentMethod: read(getPaymentMethods).map((p) => ({ value: p, label: p })),
+            account: read(getAccounts).map((a) => ({ value: a, label: a })),
+            statementPeriod: periodOptions.map((o) => ({ value: o.value, label: o.label })),
+        };
+    }, [categoryOptions, criticalityOptions, periodOptions, config]);
+
+    // Unsaved rows have nothing on the server to update
+    const savedRows = useMemo(() => (rows || []).filter((t) => !String(t.id).startsWith(TEMP_ID_PREFIX)), [rows]);
+    const unsavedCount = (rows || []).length - savedRows.length;
+
+    const patch = useMemo(() => {
+        const next = buildBulkPatch(values);
+        if (next.category && !next.criticality) {
+            const mapped = getCriticalityForCategory(next.category, config);
+            if (mapped) next.criticality = mapped;
+        }
+        if (next.account && !next.paymentMethod) {
+            const defaultPm = getDefaultPaymentMethodForAccount(next.account, config);
+            if (defaultPm) next.paymentMethod = defaultPm;
+        }
+        return next;
+    }, [values, config]);
+
+    const preview = useMemo(() => previewBulkEdit(savedRows, patch), [savedRows, patch]);
+
+    const open = useCallback(() => {
+        logger.info('open', { rows: (rows || []).length });
+        setValues(EMPTY_VALUES);
+        setResult(null);
+        setIsOpen(true);
+    }, [rows]);
+
+    const close = useCallback(() => setIsOpen(false), []);
+
+    /**
+     * Sets one field's value ('' keeps each row's own value).
+     * @param {string} field
+     * @param {string} value
+     */
+    const setValue = useCallback((field, value) => {
+        setValues((prev) => ({ ...prev, [field]: value }));
+        setResult(null);
+    }, []);
+
+    /**
+     * Applies the patch to every row in the preview.
+     * @async
+     * @returns {Promise<void>}
+     */
+    const apply = useCallback(async () => {
+        if (preview.length === 0 || applying) return;
+        setApplying(true);
+        const succeeded = [];
+        const failed = [];
+        const ops = [];
+        logger.info('apply', { rows: preview.length, patch });
+        try {
+            for (const batch of toBatches(preview)) {
+                // Batches run one after another so a large selection does not flood the API
+                const outcomes = await Promise.allSettled(batch.map(({ tx }) => {
+                    const service = tx.__isProjected ? projectedTransactionService : budgetTransactionService;
+                    return service.updateTransaction(tx.id, toServicePayload({ ...tx, ...patch }));
+                }));
+                outcomes.forEach((outcome, i) => {
+                    const { tx } = batch[i];
+                    if (outcome.status === 'fulfilled') {
+                        succeeded.push(tx);
+                        ops.push({ op: HISTORY_OPS.UPDATE, isProjection: !!tx.__isProjected, before: tx, after: { ...tx, ...patch } });
+                    } else {
+                        logger.error('update failed', { id: tx.id, err: outcome.reason });
+                        failed.push({ tx, error: outcome.reason?.message || String(outcome.reason) });
+                    }
+                });
+            }
+        } finally {
+            if (succeeded.length > 0) {
+                const label = `Bulk edited ${succeeded.length} transaction${succeeded.length === 1 ? '' : 's'}`;
+                try { onRecord?.(label, ops); } catch (err) { logger.error('record history failed', err); }
+                try {
+                    // One event for the whole batch; projection and budget views both refetch on it
+                    publish({ type: 'transactionsChanged', reason: 'bulkEdit', ids: succeeded.map((t) => t.id) });
+                } catch (err) {
+                    logger.error('publish transaction event failed', err);
+                }
+            }
+            setResult({ succeeded, failed });
+            setApplying(false);
+            logger.info('apply done', { succeeded: succeeded.length, failed: failed.length });
+            try { onApplied?.({ succeeded, failed }); } catch (err) { logger.error('onApplied failed', err); }
+        }
+    }, [preview, patch, applying, onRecord, onApplied]);
+
+    return {
+        isOpen,
+        open,
+        close,
+        values,
+        setValue,
+        fieldOptions,
+        patch,
+        preview,
+        selectedCount: (rows || []).length,
+        unsavedCount,
+        apply,
+        applying,
+        result,
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * bulkEdit.js
+ *
+ * Pure helpers for the bulk-edit panel: which fields can be set on many rows at once,
+ * the patch built from the panel's values, and the per-row preview of what would change.
+ *
+ * @module bulkEdit
+ */
+
+/**
+ * Fields the bulk-edit panel can set, in display order.
+ * @constant
+ */
+export const BULK_EDIT_FIELDS = [
+    { key: 'category', label: 'Category' },
+    { key: 'criticality', label: 'Criticality' },
+    { key: 'paymentMethod', label: 'Payment method' },
+    { key: 'account', label: 'Account' },
+    { key: 'statementPeriod', label: 'Statement period' },
+];
+
+/**
+ * Updates sent to the services concurrently per batch.
+ * @constant
+ */
+export const BULK_BATCH_SIZE = 5;
+
+/**
+ * Patch from the panel's values: only fields with a non-blank value are set.
+ *
+ * @function buildBulkPatch
+ * @param {Object<string, string>} values - field key -> value ('' keeps the rows' own value)
+ * @returns {Object<string, string>}
+ */
+export function buildBulkPatch(values) {
+    const patch = {};
+    BULK_EDIT_FIELDS.forEach(({ key }) => {
+        const value = values?.[key];
+        if (value != null && String(value).trim() !== '') patch[key] = String(value).trim();
+    });
+    return patch;
+}
+
+/**
+ * Per-row preview of a patch; rows the patch would not change are left out.
+ *
+ * @function previewBulkEdit
+ * @param {Array<Object>} rows
+ * @param {Object<string, string>} patch
+ * @returns {Array<{tx: Object, changes: Array<{field: string, from: *, to: *}>}>}
+ */
+export function previewBulkEdit(rows, patch) {
+    const fields = Object.keys(patch || {});
+    if (fields.length === 0) return [];
+    const out = [];
+    (rows || []).forEach((tx) => {
+        const changes = fields
+            .filter((field) => String(tx?.[field] ?? '') !== String(patch[field]))
+            .map((field) => ({ field, from: tx?.[field] ?? '', to: patch[field] }));
+        if (changes.length > 0) out.push({ tx, changes });
+    });
+    return out;
+}
+
+/**
+ * Splits a list into consecutive batches.
+ *
+ * @function toBatches
+ * @param {Array} list
+ * @param {number} [size=BULK_BATCH_SIZE]
+ * @returns {Array<Array>}
+ */
+export function toBatches(list, size = BULK_BATCH_SIZE) {
+    const batches = [];
+    for (let i = 0; i < list.length; i += size) batches.push(list.slice(i, i + size));
+    return batches;
+}
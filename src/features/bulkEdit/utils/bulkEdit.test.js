@@ -0,0 +1,43 @@
+import { BULK_BATCH_SIZE, buildBulkPatch, previewBulkEdit, toBatches } from './bulkEdit';
+
+describe('buildBulkPatch', () => {
+    it('keeps known fields with a value, trimmed', () => {
+        expect(buildBulkPatch({ category: ' Dining ', criticality: '', account: null, memo: 'ignored', statementPeriod: 'OCTOBER2026' }))
+            .toEqual({ category: 'Dining', statementPeriod: 'OCTOBER2026' });
+        expect(buildBulkPatch(undefined)).toEqual({});
+    });
+});
+
+describe('previewBulkEdit', () => {
+    const rows = [
+        { id: 1, category: 'Dining', criticality: 'Nonessential' },
+        { id: 2, category: 'Groceries', criticality: 'Nonessential' },
+        { id: 3, category: 'Groceries' },
+    ];
+
+    it('lists only the fields that change, and only rows that change', () => {
+        expect(previewBulkEdit(rows, { category: 'Dining', criticality: 'Nonessential' })).toEqual([
+            { tx: rows[1], changes: [{ field: 'category', from: 'Groceries', to: 'Dining' }] },
+            {
+                tx: rows[2],
+                changes: [
+                    { field: 'category', from: 'Groceries', to: 'Dining' },
+                    { field: 'criticality', from: '', to: 'Nonessential' },
+                ],
+            },
+        ]);
+    });
+
+    it('is empty for an empty patch', () => {
+        expect(previewBulkEdit(rows, {})).toEqual([]);
+    });
+});
+
+describe('toBatches', () => {
+    it('splits into consecutive batches with a shorter last one', () => {
+        const list = Array.from({ length: BULK_BATCH_SIZE * 2 + 1 }, (_, i) => i);
+        expect(toBatches(list).map((b) => b.length)).toEqual([BULK_BATCH_SIZE, BULK_BATCH_SIZE, 1]);
+        expect(toBatches(list, 4)[1]).toEqual([4, 5, 6, 7]);
+        expect(toBatches([])).toEqual([]);
+    });
+});
@@ -3,6 +3,7 @@
  * - Renders a categorized transaction table with weekly modal support.
  * - Displays current balance and projected balance (in yellow) side by side in the footer.
  * - Filters on the provider's selected statement period.
+ * - Shows per-category budget limits (editable inline) with an over-budget state.
  *
  * @module CategorizedTable
  * @param {object} props - Component props.
@@ -19,6 +20,8 @@ import CategoryTableTitle from './components/CategoryTableTitle';
 import CategoryWeeklyModal from "../categoryWeeklyModal/CategoryWeeklyModal";
 import { useStatementPeriodContext } from '../../context/StatementPeriodProvider';
 import useProjectedTransactions from '../../hooks/useProjectedTransactions';
+import useCategoryBudgets from './useCategoryBudgets';
+import { getCriticalityForCategory } from '../../config/config';
 
 /**
  * Logger for CategorizedTable
@@ -74,6 +77,16 @@ export default function CategorizedTable(props) {
         account: props.account ?? filters?.account,
     });
 
+    // Per-category monthly budget limits for this account + period
+    const {
+        limits: budgetLimits,
+        inherited: budgetLimitsInherited,
+        setLimit: saveBudgetLimit,
+    } = useCategoryBudgets({
+        statementPeriod,
+        account: props.account ?? filters?.account,
+    });
+
     /**
      * Calculates projected total for this table's criticality.
      * Filters projected transactions by criticality so each table only
@@ -111,6 +124,27 @@ export default function CategorizedTable(props) {
             }, {});
     }, [projectedTx, mergedFilters.criticality]);
 
+    /**
+     * Budget limits relevant to this table: categories already shown (actual or
+     * projected) plus budgeted categories whose configured criticality matches,
+     * so a budgeted-but-unspent category still gets a row.
+     *
+     * @constant
+     * @type {Record<string, number>}
+     */
+    const tableBudgetLimits = useMemo(() => {
+        const crit = String(mergedFilters.criticality || '').toLowerCase();
+        const shown = new Set([
+            ...rows.map(([category]) => category),
+            ...Object.keys(projectedTotalsByCategory),
+        ]);
+        return Object.entries(budgetLimits || {}).reduce((acc, [category, limit]) => {
+            const matches = !crit || String(getCriticalityForCategory(category)).toLowerCase() === crit;
+            if (shown.has(category) || matches) acc[category] = limit;
+            return acc;
+        }, {});
+    }, [budgetLimits, rows, projectedTotalsByCategory, mergedFilters.criticality]);
+
     logger.info('render data', {
         loading,
         error: Boolean(error),
@@ -172,6 +206,9 @@ export default function CategorizedTable(props) {
                 loading={loading}
                 onRowClick={handleRowClick}
                 projectedTotalsByCategory={projectedTotalsByCategory}
+                budgetLimits={tableBudgetLimits}
+                budgetLimitsInherited={budgetLimitsInherited}
+                onSaveBudgetLimit={saveBudgetLimit}
             />
             <CategoryTableFooter
                 totalSum={totalSum}
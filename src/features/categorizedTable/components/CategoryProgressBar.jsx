@@ -2,12 +2,15 @@
  * CategoryProgressBar
  * - Renders a category progress bar with actual (blue) and projected (yellow) overlay.
  * - Shows only the updated percent including projected as a single label, styled as before.
+ * - Over-budget state: bar turns red (projected overrun) or fully red (actual overrun); widths clamp at 100%.
  *
  * @module CategoryProgressBar
  * @param {Object} props
  * @param {number} props.actualPercent - percent of actual (0-100).
  * @param {number} props.combinedPercent - percent of actual+projected (0-100).
  * @param {number} props.percentLabel - rounded combined percent.
+ * @param {boolean} [props.isOverBudget] - actual+projected exceeds the budget limit.
+ * @param {boolean} [props.isActualOverBudget] - actual alone exceeds the budget limit.
  * @returns {JSX.Element}
  */
 
@@ -31,29 +34,44 @@ const logger = {
  * @param {Object} props
  * @returns {JSX.Element}
  */
-export default function CategoryProgressBar({ actualPercent, combinedPercent, percentLabel }) {
-    logger.info("render", { actualPercent, combinedPercent, percentLabel });
+export default function CategoryProgressBar({
+                                                actualPercent,
+                                                combinedPercent,
+                                                percentLabel,
+                                                isOverBudget = false,
+                                                isActualOverBudget = false
+                                            }) {
+    logger.info("render", { actualPercent, combinedPercent, percentLabel, isOverBudget, isActualOverBudget });
+
+    // Percentages can exceed 100 when measured against a budget limit.
+    const actualWidth = Math.min(Math.max(actualPercent, 0), 100);
+    const combinedWidth = Math.min(Math.max(combinedPercent, 0), 100);
 
     return (
         <div style={{ display: "flex", alignItems: "center", marginTop: 8 }}>
             <div className={styles.ctBar} style={{ width: 140, position: "relative" }}>
                 <div
-                    className={styles.ctBarFill}
-                    style={{ width: `${actualPercent}%` }}
+                    className={`${styles.ctBarFill} ${isActualOverBudget ? styles.ctBarOver : ''}`}
+                    style={{ width: `${actualWidth}%` }}
                     aria-hidden="true"
                 />
-                {combinedPercent > actualPercent && (
+                {combinedWidth > actualWidth && (
                     <div
-                        className={styles.ctBarProjected}
+                        className={`${styles.ctBarProjected} ${isOverBudget ? styles.ctBarProjectedOver : ''}`}
                         style={{
-                            width: `${combinedPercent - actualPercent}%`,
-                            left: `${actualPercent}%`,
+                            width: `${combinedWidth - actualWidth}%`,
+                            left: `${actualWidth}%`,
                         }}
                         aria-hidden="true"
                     />
                 )}
             </div>
-            <div className={styles.ctPct}>{percentLabel}%</div>
+            <div
+                className={`${styles.ctPct} ${isOverBudget ? styles.ctPctOver : ''}`}
+                title={isOverBudget ? 'Over budget' : undefined}
+            >
+                {percentLabel}%
+            </div>
         </div>
     );
 }
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * CategoryTableBody
  * - Renders the category table body rows.
- * - Dynamically adds rows for projected categories not present in actuals.
+ * - Dynamically adds rows for projected or budgeted categories not present in actuals.
  *
  * @module CategoryTableBody
  * @param {Object} props
@@ -11,6 +11,9 @@
  * @param {Object} props.fmt - Currency formatter.
  * @param {boolean} props.loading - Loading state.
  * @param {Function} props.onRowClick - Row click handler.
+ * @param {Object} [props.budgetLimits] - Map of category => budget limit.
+ * @param {boolean} [props.budgetLimitsInherited] - True when limits were copied from last period.
+ * @param {Function} [props.onSaveBudgetLimit] - (category, limit) => Promise, saves a limit.
  * @returns {JSX.Element}
  */
 
@@ -27,16 +30,20 @@ const logger = {
 };
 
 /**
- * Merges rows with projected-only categories.
+ * Merges rows with projected-only and budget-only categories.
  *
  * @param {Array} rows - Array of [category, actualTotal] pairs.
  * @param {Object} projectedTotalsByCategory - Map of category => projected total.
- * @returns {Array} - Array of [category, actualTotal, projectedTotal] including projected-only categories.
+ * @param {Object} [budgetLimits] - Map of category => budget limit.
+ * @returns {Array} - Array of [category, actualTotal] including projected/budget-only categories.
  */
-const mergeRowsWithProjected = (rows, projectedTotalsByCategory) => {
+const mergeRowsWithProjected = (rows, projectedTotalsByCategory, budgetLimits = {}) => {
     const actualCategories = new Set(rows.map(([category]) => category));
-    // Find projected-only categories (not in actuals)
-    const projectedOnlyCategories = Object.keys(projectedTotalsByCategory).filter(
+    // Find projected-only and budget-only categories (not in actuals)
+    const projectedOnlyCategories = Array.from(new Set([
+        ...Object.keys(projectedTotalsByCategory),
+        ...Object.keys(budgetLimits),
+    ])).filter(
         (cat) => !actualCategories.has(cat)
     );
     // Add projected-only rows with actualTotal = 0
@@ -51,14 +58,17 @@ export default function CategoryTableBody({
                                               totalSum,
                                               fmt,
                                               loading,
-                                              onRowClick
+                                              onRowClick,
+                                              budgetLimits = {},
+                                              budgetLimitsInherited = false,
+                                              onSaveBudgetLimit
                                           }) {
     logger.info("render", { rowsCount: rows.length, totalSum, loading });
 
-    // Merge rows w/ any projected categories missing from actuals
+    // Merge rows w/ any projected or budgeted categories missing from actuals
     const mergedRows = useMemo(
-        () => mergeRowsWithProjected(rows, projectedTotalsByCategory),
-        [rows, projectedTotalsByCategory]
+        () => mergeRowsWithProjected(rows, projectedTotalsByCategory, budgetLimits),
+        [rows, projectedTotalsByCategory, budgetLimits]
     );
 
     return (
@@ -75,6 +85,9 @@ export default function CategoryTableBody({
                         totalSum={totalSum}
                         fmt={fmt}
                         onClick={onRowClick}
+                        limit={budgetLimits[category]}
+                        limitInherited={budgetLimitsInherited}
+                        onSaveLimit={onSaveBudgetLimit}
                     />
                 ))
             )}
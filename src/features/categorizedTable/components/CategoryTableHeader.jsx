@@ -4,7 +4,7 @@ export default function CategoryTableHeader() {
     return (
         <div className="ct-header-row">
             <div>Category</div>
-            <div style={{ textAlign: "right" }}>Amount</div>
+            <div style={{ textAlign: "right" }}>Amount / Budget</div>
         </div>
     );
 }
\ No newline at end of file
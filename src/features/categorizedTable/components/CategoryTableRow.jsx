@@ -2,6 +2,8 @@
  * CategoryTableRow
  * - Renders a single row in the category spending table.
  * - Displays category name, amount, and a progress bar with projected overlay.
+ * - When a budget limit is set, progress is measured against the limit and an
+ *   over-budget state is shown; the limit is editable inline.
  *
  * @module CategoryTableRow
  * @param {Object} props
@@ -11,11 +13,15 @@
  * @param {number} props.totalSum - Grand total sum for all categories (actual).
  * @param {Object} props.fmt - Currency formatter.
  * @param {Function} [props.onClick] - Row click handler.
+ * @param {number} [props.limit] - Budget limit for the category, if any.
+ * @param {boolean} [props.limitInherited] - True when the limit was copied from last period.
+ * @param {Function} [props.onSaveLimit] - (category, limit) => Promise; enables inline editing.
  * @returns {JSX.Element}
  */
 
-import React from "react";
+import React, { useState } from "react";
 import CategoryProgressBar from "./CategoryProgressBar";
+import MoneyInput from "../../../components/MoneyInput/MoneyInput";
 import styles from "./CategoryTableRow.module.css";
 
 /**
@@ -41,16 +47,85 @@ export default function CategoryTableRow({
                                              projectedTotal = 0,
                                              totalSum,
                                              fmt,
-                                             onClick
+                                             onClick,
+                                             limit,
+                                             limitInherited = false,
+                                             onSaveLimit
                                          }) {
+    const [editingLimit, setEditingLimit] = useState(false);
+    const [limitDraft, setLimitDraft] = useState('');
+    const [savingLimit, setSavingLimit] = useState(false);
+    const [limitError, setLimitError] = useState(null);
+
+    const hasLimit = typeof limit === 'number' && limit > 0;
+
     /**
-     * Calculates the percent of GRAND total for combined actual + projected.
+     * With a budget limit: percent of the limit for actual and actual + projected.
+     * Without one: percent of GRAND total, as before.
      * Only the combined percent is rendered as label.
      * Blue bar for actual, yellow for projected addition.
      */
-    const actualPercent = totalSum > 0 ? (total / totalSum) * 100 : 0;
-    const combinedPercent = totalSum > 0 ? ((total + projectedTotal) / totalSum) * 100 : actualPercent;
+    const base = hasLimit ? limit : totalSum;
+    const actualPercent = base > 0 ? (total / base) * 100 : 0;
+    const combinedPercent = base > 0 ? ((total + projectedTotal) / base) * 100 : actualPercent;
     const percentLabel = Math.round(combinedPercent);
+    const isOverBudget = hasLimit && total + projectedTotal > limit;
+    const isActualOverBudget = hasLimit && total > limit;
+
+    /**
+     * Opens the inline budget editor without triggering the row's modal.
+     * @function
+     * @param {React.SyntheticEvent} e
+     */
+    function startEditLimit(e) {
+        e.stopPropagation();
+        setLimitDraft(hasLimit ? limit.toFixed(2) : '0.00');
+        setLimitError(null);
+        setEditingLimit(true);
+    }
+
+    /**
+     * Saves the drafted limit; a zero limit clears the budget for the category.
+     * @async
+     * @function
+     */
+    async function commitLimit() {
+        if (savingLimit) return;
+        const next = Number(limitDraft);
+        if (hasLimit && next === limit) {
+            setEditingLimit(false);
+            return;
+        }
+        setSavingLimit(true);
+        try {
+            await onSaveLimit(category, next > 0 ? next : null);
+            logger.info('limit saved', { category, limit: next });
+            setEditingLimit(false);
+        } catch (err) {
+            logger.error('limit save failed', { category, err });
+            setLimitError(err?.message || 'Failed to save budget');
+        } finally {
+            setSavingLimit(false);
+        }
+    }
+
+    /**
+     * Keyboard handling for the budget editor (Enter saves, Escape cancels).
+     * Stops propagation so the row's Enter/Space activation does not fire.
+     * @function
+     * @param {React.KeyboardEvent} e
+     */
+    function handleLimitKeyDown(e) {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitLimit();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            setEditingLimit(false);
+            setLimitError(null);
+        }
+    }
 
     /**
      * Handles row activation (mouse/click).
@@ -98,10 +173,41 @@ export default function CategoryTableRow({
                         <span className={styles.amountProjected}>{fmt.format(projectedTotal)}</span>
                     )}
                 </div>
+                {onSaveLimit && (
+                    editingLimit ? (
+                        <div className={styles.limitEditor} onClick={(e) => e.stopPropagation()}>
+                            <MoneyInput
+                                className={styles.limitInput}
+                                value={limitDraft}
+                                onChange={setLimitDraft}
+                                onKeyDown={handleLimitKeyDown}
+                                onBlur={commitLimit}
+                                disabled={savingLimit}
+                                autoFocus
+                                name={`Budget for ${category}`}
+                            />
+                            {limitError && <span className={styles.limitError}>{limitError}</span>}
+                        </div>
+                    ) : (
+                        <button
+                            type="button"
+                            className={`${styles.limitButton} ${isOverBudget ? styles.limitOver : ''}`}
+                            onClick={startEditLimit}
+                            onKeyDown={(e) => e.stopPropagation()}
+                            title={limitInherited && hasLimit ? "Copied from last month's limits" : 'Edit budget'}
+                        >
+                            {hasLimit
+                                ? `of ${fmt.format(limit)}${limitInherited ? ' *' : ''}`
+                                : 'Set budget'}
+                        </button>
+                    )
+                )}
                 <CategoryProgressBar
                     actualPercent={actualPercent}
                     combinedPercent={combinedPercent}
                     percentLabel={percentLabel}
+                    isOverBudget={isOverBudget}
+                    isActualOverBudget={isActualOverBudget}
                 />
             </div>
         </div>
@@ -4,7 +4,7 @@
  * Extracts the logic previously inside CategorizedTable:
  * - normalizes filters
  * - calls useTransactions
- * - computes totals by category
+ * - computes totals by category, counting split transactions by their allocations
  * - prepares rows and formatter
  *
  * Returns a stable object (suitable for destructuring in the component).
@@ -12,6 +12,9 @@
 
 import { useMemo } from 'react';
 import { useBudgetAndProjectedTransactionsForAccount } from '../../hooks/useTransactions';
+import useTransactionSplits from '../../hooks/useTransactionSplits';
+import { getSharedAccounts } from '../../config/config.js';
+import { applySplits, makeAccountBucket } from '../../lib/splitAllocations';
 
 const logger = {
     info: (...args) => console.log('[useCategorizedTable]', ...args),
@@ -39,19 +42,30 @@ export default function useCategorizedTable(propsOrFilters = {}) {
 
         // Use the new hook for account-specific transactions
         const txResult = useBudgetAndProjectedTransactionsForAccount(filters || {});
-        // Combine personal and joint transactions for display, sorted by date desc
-        const transactions = useMemo(
-            () => [
+        const { splits } = useTransactionSplits();
+        // Combine personal and joint transactions, split parents replaced by their allocations
+        const { transactions, splitDelta } = useMemo(() => {
+            const fetched = [
                 ...(txResult.personalTransactions?.transactions || []),
                 ...(txResult.jointTransactions?.transactions || []),
-            ].sort((a, b) => new Date(b.transactionDate) - new Date(a.transactionDate)),
-            [txResult.personalTransactions, txResult.jointTransactions],
-        );
-        // Use the new total from the API
+            ];
+            const bucketFor = makeAccountBucket(filters?.account, getSharedAccounts().map((a) => a.filter));
+            const applied = applySplits(fetched, splits, {
+                statementPeriod: filters?.statementPeriod,
+                criticality: filters?.criticality,
+                bucketFor,
+            });
+            return {
+                transactions: applied.transactions
+                    .sort((a, b) => new Date(b.transactionDate) - new Date(a.transactionDate)),
+                splitDelta: applied.deltas.total,
+            };
+        }, [txResult.personalTransactions, txResult.jointTransactions, splits, filters?.account, filters?.statementPeriod, filters?.criticality]);
+        // Use the new total from the API, moved by any split allocations in or out of this view
         const totalSum =
-            typeof txResult.total === 'number'
+            (typeof txResult.total === 'number'
                 ? txResult.total
-                : Number(txResult.total) || 0;
+                : Number(txResult.total) || 0) + splitDelta;
         const loading = txResult.loading || false;
         const error = txResult.error || null;
 
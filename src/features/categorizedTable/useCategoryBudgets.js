@@ -0,0 +1,115 @@
+/**
+ * Hook: useCategoryBudgets
+ *
+ * Loads the per-category budget limits for an account + statement period and
+ * exposes a setter for inline editing. Falls back to the previous period's
+ * limits (inherited=true) until the user saves a limit for this period.
+ *
+ * Publishes a 'budgetLimitsChanged' TransactionEvents payload after a save so
+ * sibling tables (e.g. Essential / Discretionary) stay in sync.
+ *
+ * @module useCategoryBudgets
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import budgetLimitService from '../../services/BudgetLimitService';
+import { subscribe, publish } from '../../services/TransactionEvents';
+
+const logger = {
+    info: (...args) => console.log('[useCategoryBudgets]', ...args),
+    error: (...args) => console.error('[useCategoryBudgets]', ...args),
+};
+
+/**
+ * @param {Object} params
+ * @param {string} [params.account]
+ * @param {string} [params.statementPeriod]
+ * @returns {{
+ *   limits: Record<string, number>,
+ *   inherited: boolean,
+ *   loading: boolean,
+ *   error: any,
+ *   setLimit: (category: string, limit: number|string|null) => Promise<void>,
+ *   refetch: Function
+ * }}
+ */
+export default function useCategoryBudgets({ account, statementPeriod } = {}) {
+    const [limits, setLimits] = useState({});
+    const [inherited, setInherited] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Guards against out-of-order responses when the period changes quickly.
+    const requestKeyRef = useRef('');
+
+    const fetchLimits = useCallback(async () => {
+        if (!account || !statementPeriod) {
+            setLimits({});
+            setInherited(false);
+            return;
+        }
+        const requestKey = `${account}:${statementPeriod}`;
+        requestKeyRef.current = requestKey;
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await budgetLimitService.getLimits({ account, statementPeriod });
+            if (requestKeyRef.current !== requestKey) {
+                logger.info('fetchLimits: ignored stale response', { requestKey });
+                return;
+            }
+            setLimits(result.limits || {});
+            setInherited(Boolean(result.inherited));
+            logger.info('fetchLimits: loaded', { requestKey, count: Object.keys(result.limits || {}).length, inherited: result.inherited });
+        } catch (err) {
+            logger.error('fetchLimits error', err);
+            if (requestKeyRef.current === requestKey) setError(err);
+        } finally {
+            if (requestKeyRef.current === requestKey) setLoading(false);
+        }
+    }, [account, statementPeriod]);
+
+    useEffect(() => {
+        fetchLimits();
+    }, [fetchLimits]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type !== 'budgetLimitsChanged') return;
+            if (payload.account && String(payload.account) !== String(account)) return;
+            if (payload.statementPeriod && String(payload.statementPeriod) !== String(statementPeriod)) return;
+            logger.info('subscription: budget limits changed; refetching', { payload });
+            fetchLimits();
+        });
+        return unsubscribe;
+    }, [account, statementPeriod, fetchLimits]);
+
+    /**
+     * Save (or clear, when limit is null/'') a category limit.
+     * @param {string} category
+     * @param {number|string|null} limit
+     * @returns {Promise<void>}
+     * @throws {Error} If the save fails.
+     */
+    const setLimit = useCallback(async (category, limit) => {
+        logger.info('setLimit', { account, statementPeriod, category, limit });
+        try {
+            const saved = await budgetLimitService.setLimit({ account, statementPeriod, category, limit });
+            setLimits(saved);
+            setInherited(false);
+            publish({ type: 'budgetLimitsChanged', reason: 'update', account, statementPeriod });
+        } catch (err) {
+            logger.error('setLimit error', err);
+            throw err;
+        }
+    }, [account, statementPeriod]);
+
+    return {
+        limits,
+        inherited,
+        loading,
+        error,
+        setLimit,
+        refetch: fetchLimits,
+    };
+}
@@ -30,7 +30,7 @@ export default function useCategoryWeeklyData(allTransactions = [], category = n
         const weeklyResult = useWeeklyTotals(allTransactions, {
             category,
             weekLengthDays: options.weekLengthDays ?? 7,
-            statementCloseDay: options.statementCloseDay ?? 5,
+            statementPeriod: options.statementPeriod ?? null,
         });
 
         return useMemo(() => {
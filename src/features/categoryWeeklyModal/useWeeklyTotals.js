@@ -1,4 +1,6 @@
 import { useMemo } from 'react';
+import { getPeriodForDate, getPeriodRange, getScheme } from '../../services/StatementPeriodService';
+import useConfig from '../../hooks/useConfig';
 
 const logger = {
     info: (...args) => console.log('[useWeeklyTotals]', ...args),
@@ -32,15 +34,17 @@ function endOfDay(d) {
  * but buckets strictly after the current week are not produced.
  *
  * Rules:
- * - start date = 1st of month of earliest transaction (across the provided list)
- * - end date = statementCloseDay (default 5) of the month AFTER the latest transaction
- * - week length = weekLengthDays (default 7)
+ * - the range is the statement period's date range under the configured scheme
+ *   (calendar month, close day, biweekly or custom), widened to the periods of the
+ *   earliest and latest transaction when they fall outside it
+ * - without a resolvable statementPeriod, it spans the periods of the earliest and latest transaction
+ * - weeks start on the range start; week length = weekLengthDays (default 7)
  *
  * @param {Array} allTransactions Normalized transactions (Date in transactionDate, numeric amount)
  * @param {Object} options
  *   - category: string|null (if provided sums only that category; pass null to include all)
  *   - weekLengthDays: number (default 7)
- *   - statementCloseDay: number (day-of-month for statement close, default 5)
+ *   - statementPeriod: string (period value, e.g. "OCTOBER2026")
  *
  * @returns {{
  *   weeks: Array<{ start: Date, end: Date, total: number, count: number }>,
@@ -56,8 +60,10 @@ export default function useWeeklyTotals(
     const {
         category = null,
         weekLengthDays = 7,
-        statementCloseDay = 5,
+        statementPeriod = null,
     } = options;
+    const config = useConfig();
+    const scheme = useMemo(() => getScheme(config), [config]);
 
     return useMemo(() => {
         try {
@@ -83,11 +89,14 @@ export default function useWeeklyTotals(
                 return { weeks: [], total: 0, start: null, end: null };
             }
 
-            // start at the 1st of the earliest month (local time)
-            const start = new Date(earliest.getFullYear(), earliest.getMonth(), 1, 0, 0, 0, 0);
-
-            // end at the statementCloseDay of the month AFTER latest transaction
-            const end = endOfDay(new Date(latest.getFullYear(), latest.getMonth() + 1, statementCloseDay));
+            // Range: the statement period, widened to the periods of the earliest / latest transaction
+            const ranges = [
+                statementPeriod ? getPeriodRange(statementPeriod, scheme) : null,
+                getPeriodRange(getPeriodForDate(earliest, scheme), scheme),
+                getPeriodRange(getPeriodForDate(latest, scheme), scheme),
+            ].filter(Boolean);
+            const start = startOfDay(new Date(Math.min(startOfDay(earliest).getTime(), ...ranges.map((r) => r.start.getTime()))));
+            const end = endOfDay(new Date(Math.max(latest.getTime(), ...ranges.map((r) => r.end.getTime()))));
 
             // Determine the "last week start" we should include:
             // - include the week that contains "today" (so the final week may end in the future)
@@ -109,6 +118,8 @@ export default function useWeeklyTotals(
                 today: todayStart.toISOString().slice(0, 10),
                 lastWeekStart: lastWeekStart.toISOString().slice(0, 10),
                 weekLengthDays,
+                statementPeriod,
+                scheme: scheme.type,
                 category,
             });
 
@@ -168,5 +179,5 @@ export default function useWeeklyTotals(
             logger.error('useWeeklyTotals error', err);
             return { weeks: [], total: 0, start: null, end: null };
         }
-    }, [allTransactions, category, weekLengthDays, statementCloseDay]);
+    }, [allTransactions, category, weekLengthDays, statementPeriod, scheme]);
 }
\ No newline at end of file
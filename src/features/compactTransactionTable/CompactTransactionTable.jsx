@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { useTransactionTable } from '../transactionTable/hooks/useTransactionTable';
+import useWindowedRows from '../../hooks/useWindowedRows';
 import CompactTransactionHeader from './components/CompactTransactionHeader';
 import CompactTransactionRow from './components/CompactTransactionRow';
 import CompactTransactionBalanceRow from './components/CompactTransactionBalanceRow';
@@ -12,21 +13,82 @@ const logger = {
 };
 
 /**
- * CompactTransactionTable
- *
- * Read-only, minimal transaction table optimized for the weekly modal.
- * - Always shows balances at the top.
- * - Columns: Name | Amount | Date (in that order).
- * - No selection/toolbar/editing UI.
- *
- * Props:
- * - filters: object (account is required)
- * - statementPeriod: optional
- * - onRowClick(tx): optional handler when a row is clicked
+ * Estimated compact row height (px) for rows not yet measured by the windowing hook.
+ * @constant
  */
-export default function CompactTransactionTable({ filters, statementPeriod, onRowClick }) {
-    logger.info('render', { hasFilters: Boolean(filters), account: filters?.account });
+const ROW_ESTIMATE_PX = 37;
+
+/**
+ * Card layout shared by the fetching and the static tables.
+ * Long lists are windowed inside the body's own scroll area; ArrowUp / ArrowDown move
+ * focus between rows, scrolling the next row into the window first.
+ */
+function CompactTransactionView({ rows, loading, total, joint, personal, onRowClick, emptyText }) {
+    const rowKeys = useMemo(() => (loading || !rows ? [] : rows.map((tx) => String(tx.id))), [rows, loading]);
+    const windowed = useWindowedRows({ keys: rowKeys, estimateHeight: ROW_ESTIMATE_PX });
+    const { scrollToIndex } = windowed;
+    // Stable handler so memoized rows skip re-rendering on scroll
+    const handleRowClick = useCallback((tx) => onRowClick?.(tx), [onRowClick]);
+
+    const handleKeyDown = useCallback((e) => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        const current = e.target.closest?.('[data-row-index]');
+        if (!current) return;
+        e.preventDefault();
+        const next = Number(current.getAttribute('data-row-index')) + (e.key === 'ArrowDown' ? 1 : -1);
+        if (next < 0 || next >= rowKeys.length) return;
+        const body = e.currentTarget;
+        scrollToIndex(next);
+        // The next row mounts on the render after the scroll when it was outside the window
+        window.requestAnimationFrame(() => {
+            body.querySelector(`[data-row-index="${next}"]`)?.focus();
+        });
+    }, [rowKeys.length, scrollToIndex]);
+
+    return (
+        <div className="ct-compact-card" role="region" aria-label="Compact transactions">
+            <CompactTransactionBalanceRow total={total} joint={joint} personal={personal} />
+
+            <CompactTransactionHeader />
+
+            <div
+                className="ct-compact-body"
+                role="list"
+                aria-busy={loading ? 'true' : 'false'}
+                ref={windowed.containerRef}
+                onFocus={windowed.onFocus}
+                onKeyDown={handleKeyDown}
+            >
+                {loading && <div className="ct-compact-loading">Loading…</div>}
+
+                {!loading && (!rows || rows.length === 0) && (
+                    <div className="ct-compact-empty">{emptyText}</div>
+                )}
+
+                {windowed.items.map((item) => {
+                    if (item.type === 'spacer') {
+                        return <div key={item.key} className="ct-compact-spacer" style={{ height: item.height }} aria-hidden="true" />;
+                    }
+                    const tx = rows[item.index];
+                    return (
+                        <CompactTransactionRow
+                            key={tx.id}
+                            tx={tx}
+                            index={item.index}
+                            rowRef={windowed.measureRef(tx.id)}
+                            onClick={handleRowClick}
+                        />
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
 
+/**
+ * Fetches the account's rows for the statement period through useTransactionTable.
+ */
+function FetchingCompactTransactionTable({ filters, statementPeriod, onRowClick, emptyText }) {
     const { localTx, loading, error, total, jointBalance, personalBalance } =
         useTransactionTable(filters, statementPeriod);
 
@@ -41,30 +103,83 @@ export default function CompactTransactionTable({ filters, statementPeriod, onRo
     }
 
     return (
-        <div className="ct-compact-card" role="region" aria-label="Compact transactions">
-            <CompactTransactionBalanceRow total={total} joint={jointBalance} personal={personalBalance} />
-
-            <CompactTransactionHeader />
+        <CompactTransactionView
+            rows={localTx}
+            loading={loading}
+            total={total}
+            joint={jointBalance}
+            personal={personalBalance}
+            onRowClick={onRowClick}
+            emptyText={emptyText}
+        />
+    );
+}
 
-            <div className="ct-compact-body" role="list" aria-busy={loading ? 'true' : 'false'}>
-                {loading && <div className="ct-compact-loading">Loading…</div>}
+/**
+ * CompactTransactionTable
+ *
+ * Read-only, minimal transaction table optimized for the weekly modal.
+ * - Always shows balances at the top.
+ * - Columns: Name | Amount | Date (in that order).
+ * - No selection/toolbar/editing UI.
+ * - Fetches its own rows unless `transactions` is given (e.g. search results).
+ *
+ * Props:
+ * - filters: object (account is required when fetching)
+ * - statementPeriod: optional
+ * - transactions: optional rows to show instead of fetching
+ * - balances: optional { total, joint, personal } for `transactions` (total defaults to their sum)
+ * - loading: optional busy flag for `transactions`
+ * - emptyText: optional message when there are no rows
+ * - onRowClick(tx): optional handler when a row is clicked
+ */
+export default function CompactTransactionTable({
+    filters,
+    statementPeriod,
+    transactions,
+    balances,
+    loading = false,
+    emptyText = 'No transactions for this week.',
+    onRowClick,
+}) {
+    const isStatic = Array.isArray(transactions);
+    logger.info('render', { hasFilters: Boolean(filters), account: filters?.account, isStatic });
 
-                {!loading && (!localTx || localTx.length === 0) && (
-                    <div className="ct-compact-empty">No transactions for this week.</div>
-                )}
+    if (!isStatic) {
+        return (
+            <FetchingCompactTransactionTable
+                filters={filters}
+                statementPeriod={statementPeriod}
+                onRowClick={onRowClick}
+                emptyText={emptyText}
+            />
+        );
+    }
 
-                {!loading &&
-                    localTx &&
-                    localTx.map((tx) => (
-                        <CompactTransactionRow key={tx.id} tx={tx} onClick={() => onRowClick?.(tx)} />
-                    ))}
-            </div>
-        </div>
+    const total = balances?.total ?? transactions.reduce((s, tx) => s + (Number(tx.amount) || 0), 0);
+    return (
+        <CompactTransactionView
+            rows={transactions}
+            loading={loading}
+            total={total}
+            joint={balances?.joint}
+            personal={balances?.personal}
+            onRowClick={onRowClick}
+            emptyText={emptyText}
+        />
     );
 }
 
 CompactTransactionTable.propTypes = {
-    filters: PropTypes.object.isRequired,
+    filters: PropTypes.object,
     statementPeriod: PropTypes.object,
+    transactions: PropTypes.arrayOf(PropTypes.object),
+    balances: PropTypes.shape({
+        total: PropTypes.number,
+        joint: PropTypes.number,
+        personal: PropTypes.number,
+    }),
+    loading: PropTypes.bool,
+    emptyText: PropTypes.string,
     onRowClick: PropTypes.func,
-};
\ No newline at end of file
+};
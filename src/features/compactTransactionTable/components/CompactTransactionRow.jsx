@@ -120,7 +120,7 @@ function formatAmount(amount) {
     }
 }
 
-function CompactTransactionRowComponent({ tx, onClick }) {
+function CompactTransactionRowComponent({ tx, index = 0, rowRef, onClick }) {
     React.useEffect(() => {
         logger.info('mount', { id: tx?.id });
         return () => logger.info('unmount', { id: tx?.id });
@@ -161,7 +161,9 @@ function CompactTransactionRowComponent({ tx, onClick }) {
 
     return (
         <div
-            className="ct-compact-row"
+            ref={rowRef}
+            className={`ct-compact-row${index % 2 === 0 ? ' ct-compact-row--odd' : ''}`}
+            data-row-index={index}
             role="listitem"
             tabIndex={onClick ? 0 : -1}
             onClick={() => onClick?.(tx)}
@@ -190,12 +192,16 @@ function CompactTransactionRowComponent({ tx, onClick }) {
 
 CompactTransactionRowComponent.propTypes = {
     tx: PropTypes.object.isRequired,
+    index: PropTypes.number, // position in the list; drives the alternating background
+    rowRef: PropTypes.func, // ref callback for windowed height measuring
     onClick: PropTypes.func,
 };
 
 export default React.memo(CompactTransactionRowComponent, (prev, next) => {
-    // only re-render when the tx id, date or amount or onClick change
+    // only re-render when the tx id, date or amount, position, ref or onClick change
     if (prev.tx?.id !== next.tx?.id) return false;
+    if (prev.index !== next.index) return false;
+    if (prev.rowRef !== next.rowRef) return false;
     if (prev.tx?.transactionDate !== next.tx?.transactionDate) return false;
     if (prev.tx?.date !== next.tx?.date) return false;
     if (prev.tx?.amount !== next.tx?.amount) return false;
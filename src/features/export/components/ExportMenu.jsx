@@ -0,0 +1,115 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import styles from "./ExportMenu.module.css";
+import { EXPORT_FORMATS } from "../hooks/useTransactionExport";
+
+/**
+ * Logger for ExportMenu
+ */
+const logger = {
+    info: (...args) => console.log("[ExportMenu]", ...args),
+    error: (...args) => console.error("[ExportMenu]", ...args),
+};
+
+/**
+ * Menu entries, in display order.
+ * @constant
+ */
+const OPTIONS = [
+    { format: EXPORT_FORMATS.CSV, label: "Transactions (CSV)", hint: "Rows currently shown in the table" },
+    { format: EXPORT_FORMATS.XLSX, label: "Transactions (Excel)", hint: "Rows currently shown in the table" },
+    { format: EXPORT_FORMATS.PDF, label: "Statement report (PDF)", hint: "Balances, spending and card payments" },
+];
+
+/**
+ * ExportMenu
+ * Toolbar dropdown for the transaction exports.
+ * Uses Bulletproof React conventions: UI only, export logic in useTransactionExport.
+ *
+ * Props:
+ *  - exporter: export state and actions from useTransactionExport
+ *  - disabled: disables the trigger (e.g. while the table loads)
+ */
+export default function ExportMenu({ exporter, disabled = false }) {
+    const [open, setOpen] = useState(false);
+    const rootRef = useRef(null);
+
+    // Close when clicking anywhere outside the menu
+    useEffect(() => {
+        if (!open) return undefined;
+        const onPointerDown = (event) => {
+            if (rootRef.current && !rootRef.current.contains(event.target)) setOpen(false);
+        };
+        document.addEventListener("mousedown", onPointerDown);
+        return () => document.removeEventListener("mousedown", onPointerDown);
+    }, [open]);
+
+    /**
+     * Runs one export and closes the menu.
+     * @param {string} format
+     */
+    const choose = (format) => {
+        logger.info("export chosen", { format });
+        setOpen(false);
+        exporter.exportAs(format);
+    };
+
+    const savedTo = exporter.result
+        ? `Saved ${exporter.result.format.toUpperCase()}${exporter.result.filePath ? ` to ${exporter.result.filePath}` : ""}`
+        : null;
+
+    return (
+        <div
+            className={styles.menu}
+            ref={rootRef}
+            onKeyDown={(e) => { if (e.key === "Escape") setOpen(false); }}
+        >
+            <button
+                className={styles.trigger}
+                onClick={() => setOpen((v) => !v)}
+                disabled={disabled || Boolean(exporter.exporting)}
+                aria-haspopup="menu"
+                aria-expanded={open}
+            >
+                <span className={styles.icon}>⤓</span>
+                {exporter.exporting ? `Exporting ${exporter.exporting.toUpperCase()}…` : "Export"}
+            </button>
+            {open && (
+                <ul className={styles.list} role="menu">
+                    {OPTIONS.map((opt) => (
+                        <li key={opt.format} role="none">
+                            <button className={styles.item} role="menuitem" onClick={() => choose(opt.format)}>
+                                {opt.label}
+                                <span className={styles.hint}>{opt.hint}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {exporter.error && (
+                <span className={styles.error} role="alert" title="Dismiss" onClick={exporter.clearStatus}>
+                    {exporter.error}
+                </span>
+            )}
+            {savedTo && (
+                <span className={styles.status} title="Dismiss" onClick={exporter.clearStatus}>
+                    {savedTo}
+                </span>
+            )}
+        </div>
+    );
+}
+
+ExportMenu.propTypes = {
+    exporter: PropTypes.shape({
+        exportAs: PropTypes.func.isRequired,
+        exporting: PropTypes.string,
+        result: PropTypes.shape({
+            format: PropTypes.string.isRequired,
+            filePath: PropTypes.string,
+        }),
+        error: PropTypes.string,
+        clearStatus: PropTypes.func.isRequired,
+    }).isRequired,
+    disabled: PropTypes.bool,
+};
@@ -0,0 +1,143 @@
+/**
+ * Hook: useTransactionExport
+ *
+ * Exports what the transaction table currently shows:
+ * - CSV / XLSX: the table's rows (unsaved drafts skipped), one line per transaction
+ * - PDF: the statement-period report (balances, essential / discretionary spending and
+ *   the per-card payments summary, fetched for the household at export time)
+ *
+ * Files are saved through ExportService (native save dialog inside Electron).
+ *
+ * @module useTransactionExport
+ */
+
+import { useCallback, useState } from 'react';
+import exportService from '../../../services/ExportService';
+import PaymentSummaryService from '../../../services/PaymentSummaryService';
+import { getHouseholdMembers, getPaymentMethods, resolveHouseholdAccount } from '../../../config/config.js';
+import { normalizePaymentSummary } from '../../payments/utils/paymentSummary';
+import { TRANSACTION_EXPORT_COLUMNS, exportFileName, toExportRows } from '../utils/exportColumns';
+import { toCsv } from '../utils/csvWriter';
+import { toXlsx } from '../utils/xlsxWriter';
+import { toPdf } from '../utils/pdfWriter';
+import { buildStatementReport } from '../utils/statementReport';
+
+const logger = {
+    info: (...args) => console.log('[useTransactionExport]', ...args),
+    error: (...args) => console.error('[useTransactionExport]', ...args),
+};
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    XLSX: 'xlsx',
+    PDF: 'pdf',
+};
+
+/**
+ * Fetches and normalizes the household's payment summary for the report.
+ * @async
+ * @param {string} statementPeriod
+ * @returns {Promise<{cards: string[], users: string[], userLabels: Object, payments: Object}>}
+ */
+async function loadPayments(statementPeriod) {
+    const members = getHouseholdMembers();
+    const cards = getPaymentMethods().map((c) => c.toLowerCase());
+    const users = members.map((m) => m.filter.toLowerCase());
+    const userLabels = Object.fromEntries(members.map((m) => [m.filter.toLowerCase(), m.name]));
+    if (users.length === 0) return { cards, users, userLabels, payments: {} };
+    const raw = await PaymentSummaryService.getPaymentSummary({ accounts: users, statementPeriod });
+    return { cards, users, userLabels, payments: normalizePaymentSummary(raw, cards, users).payments };
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.account - Account filter of the table.
+ * @param {string} params.statementPeriod
+ * @param {Array<Object>} params.transactions - The table's rows (actual and projected).
+ * @param {{total: number, joint: number, personal: number, projected: number}} params.balances - BalanceWidget values.
+ * @returns {Object} export state and actions
+ */
+export default function useTransactionExport({ account, statementPeriod, transactions, balances }) {
+    const [exporting, setExporting] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    /**
+     * Builds the file contents for a format.
+     * @async
+     * @param {string} format
+     * @returns {Promise<string|Uint8Array>}
+     */
+    const build = useCallback(async (format) => {
+        if (format === EXPORT_FORMATS.CSV) {
+            return toCsv(TRANSACTION_EXPORT_COLUMNS.map((c) => c.label), toExportRows(transactions));
+        }
+        if (format === EXPORT_FORMATS.XLSX) {
+            return toXlsx(TRANSACTION_EXPORT_COLUMNS, toExportRows(transactions), { sheetName: statementPeriod });
+        }
+        let payments;
+        try {
+            payments = await loadPayments(statementPeriod);
+        } catch (err) {
+            throw new Error(`Could not load payments for the report: ${err?.message || err}`);
+        }
+        return toPdf(buildStatementReport({
+            account,
+            accountName: resolveHouseholdAccount(account)?.name,
+            statementPeriod,
+            transactions,
+            balances,
+            payments,
+        }));
+    }, [account, statementPeriod, transactions, balances]);
+
+    /**
+     * Builds and saves an export.
+     * @function exportAs
+     * @async
+     * @param {'csv'|'xlsx'|'pdf'} format
+     * @returns {Promise<void>}
+     */
+    const exportAs = useCallback(async (format) => {
+        if (!Object.values(EXPORT_FORMATS).includes(format)) {
+            logger.error('exportAs: unknown format', { format });
+            return;
+        }
+        if (!statementPeriod) {
+            setError('Select a statement period before exporting.');
+            return;
+        }
+        logger.info('exportAs', { format, account, statementPeriod, rows: transactions?.length });
+        setExporting(format);
+        setError(null);
+        setResult(null);
+        try {
+            const data = await build(format);
+            const kind = format === EXPORT_FORMATS.PDF ? 'report' : 'transactions';
+            const res = await exportService.save({
+                fileName: exportFileName([kind, account, statementPeriod], format),
+                format,
+                data,
+            });
+            if (!res.canceled) setResult({ format, filePath: res.filePath });
+        } catch (err) {
+            logger.error('exportAs error', err);
+            setError(err?.message || String(err));
+        } finally {
+            setExporting(null);
+        }
+    }, [build, account, statementPeriod, transactions]);
+
+    const clearStatus = useCallback(() => {
+        setError(null);
+        setResult(null);
+    }, []);
+
+    return {
+        exportAs,
+        exporting,
+        result,
+        error,
+        clearStatus,
+    };
+}
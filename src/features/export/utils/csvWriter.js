@@ -0,0 +1,45 @@
+/**
+ * csvWriter
+ * Dependency-free CSV writer (RFC 4180), the counterpart of the import csvParser.
+ *
+ * - Fields with delimiters, quotes or line breaks are quoted; quotes are doubled
+ * - CRLF line endings and a UTF-8 BOM so spreadsheet apps detect the encoding
+ * - Text starting with =, +, -, @ (or tab / CR) is prefixed with ' so a spreadsheet
+ *   never evaluates it as a formula; numbers are written as-is
+ *
+ * @module csvWriter
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one field.
+ * @function formatField
+ * @param {*} value
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function formatField(value, delimiter = ',') {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    let s = String(value);
+    if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+    if (s.includes(delimiter) || /["\r\n]/.test(s)) s = `"${s.replace(/"/g, '""')}"`;
+    return s;
+}
+
+/**
+ * Builds CSV text from a header row and data rows.
+ * @function toCsv
+ * @param {Array<string>} header
+ * @param {Array<Array<*>>} rows
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @param {boolean} [options.bom=true]
+ * @returns {string}
+ */
+export function toCsv(header, rows, { delimiter = ',', bom = true } = {}) {
+    const lines = [header, ...rows].map((row) => row.map((v) => formatField(v, delimiter)).join(delimiter));
+    return `${bom ? '\uFEFF' : ''}${lines.join('\r\n')}\r\n`;
+}
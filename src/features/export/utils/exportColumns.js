@@ -0,0 +1,88 @@
+/**
+ * exportColumns
+ * Column definitions shared by the CSV and XLSX transaction exports, and helpers to
+ * turn table rows into typed export values.
+ *
+ * Pure functions only.
+ *
+ * @module exportColumns
+ */
+
+import { TEMP_ID_PREFIX } from '../../transactionTable/utils/constants';
+
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} key
+ * @property {string} label - header text
+ * @property {'text'|'number'|'date'|'boolean'} type
+ * @property {(tx: Object) => *} value
+ */
+
+/**
+ * YYYY-MM-DD for a date-ish value, or '' when it cannot be parsed.
+ * @param {*} value
+ * @returns {string}
+ */
+export function toIsoDate(value) {
+    if (!value) return '';
+    const s = String(value);
+    if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10);
+}
+
+/**
+ * Transaction export columns, in the order the table shows them (date first).
+ * @constant
+ * @type {Array<ExportColumn>}
+ */
+export const TRANSACTION_EXPORT_COLUMNS = [
+    { key: 'transactionDate', label: 'Date', type: 'date', value: (tx) => toIsoDate(tx.transactionDate) },
+    { key: 'name', label: 'Name', type: 'text', value: (tx) => tx.name ?? '' },
+    { key: 'amount', label: 'Amount', type: 'number', value: (tx) => Number(tx.amount) || 0 },
+    { key: 'category', label: 'Category', type: 'text', value: (tx) => tx.category ?? '' },
+    { key: 'criticality', label: 'Criticality', type: 'text', value: (tx) => tx.criticality ?? '' },
+    { key: 'account', label: 'Account', type: 'text', value: (tx) => tx.account ?? '' },
+    { key: 'paymentMethod', label: 'Payment Method', type: 'text', value: (tx) => tx.paymentMethod ?? '' },
+    { key: 'statementPeriod', label: 'Statement Period', type: 'text', value: (tx) => tx.statementPeriod ?? '' },
+    { key: 'type', label: 'Type', type: 'text', value: (tx) => (tx.__isProjected ? 'Projected' : 'Actual') },
+    { key: 'cleared', label: 'Cleared', type: 'boolean', value: (tx) => Boolean(tx.cleared) },
+];
+
+/**
+ * Rows that can be exported: unsaved draft rows are skipped.
+ * @function exportableTransactions
+ * @param {Array<Object>} transactions
+ * @returns {Array<Object>}
+ */
+export function exportableTransactions(transactions) {
+    return (Array.isArray(transactions) ? transactions : [])
+        .filter((tx) => tx && !tx.__isNew && !String(tx.id ?? '').startsWith(TEMP_ID_PREFIX));
+}
+
+/**
+ * Typed cell values per row.
+ * @function toExportRows
+ * @param {Array<Object>} transactions
+ * @param {Array<ExportColumn>} [columns]
+ * @returns {Array<Array<*>>}
+ */
+export function toExportRows(transactions, columns = TRANSACTION_EXPORT_COLUMNS) {
+    return exportableTransactions(transactions).map((tx) => columns.map((col) => col.value(tx)));
+}
+
+/**
+ * File name safe for every OS, e.g. `transactions-joint-2025-03.csv`.
+ * @function exportFileName
+ * @param {Array<string>} parts
+ * @param {string} extension
+ * @returns {string}
+ */
+export function exportFileName(parts, extension) {
+    const base = parts
+        .filter(Boolean)
+        .map((p) => String(p).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+        .filter(Boolean)
+        .join('-');
+    return `${base || 'export'}.${extension}`;
+}
@@ -0,0 +1,288 @@
+/**
+ * pdfWriter
+ * Dependency-free writer for printable table reports (PDF 1.4, US Letter).
+ *
+ * - Uses the standard Helvetica fonts, so nothing is embedded; text outside Latin-1
+ *   is replaced with '?'
+ * - Sections flow down the page and break onto new pages; a table's header row is
+ *   repeated after a break
+ * - Cells that do not fit their column are shortened with '...'
+ * - Every page gets a "Page n of N" footer
+ *
+ * Pure functions only.
+ *
+ * @module pdfWriter
+ */
+
+/**
+ * @typedef {Object} ReportColumn
+ * @property {string} label
+ * @property {number} [width=1] - relative width
+ * @property {'left'|'right'} [align='left']
+ */
+
+/**
+ * @typedef {Object} ReportSection
+ * @property {string} heading
+ * @property {Array<ReportColumn>} columns
+ * @property {Array<Array<string>>} rows - display text per cell
+ * @property {Array<string>} [footer] - bold total row
+ * @property {string} [emptyText] - shown when there are no rows
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {string} title
+ * @property {string} [subtitle]
+ * @property {Array<ReportSection>} sections
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const CELL_PADDING = 4;
+const ROW_HEIGHT = 15;
+const TABLE_FONT_SIZE = 9;
+const FONTS = { REGULAR: 'F1', BOLD: 'F2' };
+const BOLD_WIDTH_FACTOR = 1.08;
+
+/** Helvetica advance widths (1/1000 em) for ASCII 32..126. */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+/**
+ * Latin-1 text with unsupported characters replaced.
+ * @param {*} value
+ * @returns {string}
+ */
+function toLatin1(value) {
+    return [...String(value ?? '').replace(/[\r\n\t]+/g, ' ')]
+        .map((c) => {
+            const code = c.charCodeAt(0);
+            return (code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) ? c : '?';
+        })
+        .join('');
+}
+
+/**
+ * Approximate rendered width of text in points.
+ * @function textWidth
+ * @param {string} text
+ * @param {number} size - font size
+ * @param {boolean} [bold=false]
+ * @returns {number}
+ */
+export function textWidth(text, size, bold = false) {
+    let units = 0;
+    for (const ch of String(text)) {
+        const code = ch.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return (units / 1000) * size * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * Shortens text with '...' until it fits the width.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} size
+ * @param {boolean} bold
+ * @returns {string}
+ */
+function fitText(text, maxWidth, size, bold) {
+    if (textWidth(text, size, bold) <= maxWidth) return text;
+    let s = text;
+    while (s.length > 0 && textWidth(`${s}...`, size, bold) > maxWidth) s = s.slice(0, -1);
+    return s.length > 0 ? `${s}...` : '';
+}
+
+/**
+ * Escapes a PDF literal string.
+ * @param {string} s
+ * @returns {string}
+ */
+function pdfString(s) {
+    return `(${s.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+/**
+ * Collects page content streams while laying out the report.
+ */
+class PageLayout {
+    constructor() {
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.ops = [];
+        this.pages.push(this.ops);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    /** Starts a new page unless `height` still fits above the bottom margin. */
+    ensure(height) {
+        if (this.y - height < MARGIN) this.newPage();
+    }
+
+    text(str, x, y, size, bold = false) {
+        const font = bold ? FONTS.BOLD : FONTS.REGULAR;
+        this.ops.push(`BT /${font} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(str)} Tj ET`);
+    }
+
+    line(x1, y1, x2, y2, width = 0.5) {
+        this.ops.push(`${width} w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+    }
+}
+
+/**
+ * Absolute x offsets and widths for a section's columns.
+ * @param {Array<ReportColumn>} columns
+ * @returns {Array<{x: number, width: number, align: string}>}
+ */
+function columnBoxes(columns) {
+    const totalWeight = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+    let x = MARGIN;
+    return columns.map((c) => {
+        const width = (CONTENT_WIDTH * (c.width || 1)) / totalWeight;
+        const box = { x, width, align: c.align || 'left' };
+        x += width;
+        return box;
+    });
+}
+
+/**
+ * Draws one table row at the current y and moves down.
+ * @param {PageLayout} layout
+ * @param {Array<Object>} boxes
+ * @param {Array<string>} cells
+ * @param {boolean} bold
+ */
+function drawRow(layout, boxes, cells, bold) {
+    const baseline = layout.y - ROW_HEIGHT + 4;
+    boxes.forEach((box, i) => {
+        const text = fitText(toLatin1(cells[i]), box.width - CELL_PADDING * 2, TABLE_FONT_SIZE, bold);
+        if (!text) return;
+        const x = box.align === 'right'
+            ? box.x + box.width - CELL_PADDING - textWidth(text, TABLE_FONT_SIZE, bold)
+            : box.x + CELL_PADDING;
+        layout.text(text, x, baseline, TABLE_FONT_SIZE, bold);
+    });
+    layout.y -= ROW_HEIGHT;
+}
+
+/**
+ * Draws a table header row with a rule under it.
+ * @param {PageLayout} layout
+ * @param {Array<Object>} boxes
+ * @param {Array<ReportColumn>} columns
+ */
+function drawHeader(layout, boxes, columns) {
+    drawRow(layout, boxes, columns.map((c) => c.label), true);
+    layout.line(MARGIN, layout.y + 2, MARGIN + CONTENT_WIDTH, layout.y + 2, 0.75);
+}
+
+/**
+ * Lays out one section: heading, header row, rows and the optional total row.
+ * @param {PageLayout} layout
+ * @param {ReportSection} section
+ */
+function drawSection(layout, section) {
+    const boxes = columnBoxes(section.columns);
+    // keep the heading together with the header and first row
+    layout.ensure(24 + ROW_HEIGHT * 2);
+    layout.y -= 16;
+    layout.text(toLatin1(section.heading), MARGIN, layout.y, 12, true);
+    layout.y -= 6;
+    drawHeader(layout, boxes, section.columns);
+
+    if (section.rows.length === 0) {
+        drawRow(layout, [{ x: MARGIN, width: CONTENT_WIDTH, align: 'left' }], [section.emptyText || 'No data.'], false);
+    }
+    section.rows.forEach((row) => {
+        if (layout.y - ROW_HEIGHT < MARGIN) {
+            layout.newPage();
+            drawHeader(layout, boxes, section.columns);
+        }
+        drawRow(layout, boxes, row, false);
+    });
+    if (section.footer) {
+        layout.ensure(ROW_HEIGHT + 2);
+        layout.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y, 0.75);
+        drawRow(layout, boxes, section.footer, true);
+    }
+    layout.y -= 10;
+}
+
+/**
+ * Serializes page content streams into a PDF file.
+ * @param {Array<Array<string>>} pages
+ * @param {string} title
+ * @returns {Uint8Array}
+ */
+function serialize(pages, title) {
+    const objects = [];
+    const add = (body) => objects.push(body); // returns the new object's id
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = add(`<< /Title ${pdfString(toLatin1(title))} /Producer (WhatsMyBudget) >>`);
+    const pageIds = pages.map((ops) => {
+        const stream = ops.join('\n');
+        const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /${FONTS.REGULAR} ${regularId} 0 R /${FONTS.BOLD} ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    // every character is Latin-1, so one byte each (offsets above are byte offsets)
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Renders a report to PDF bytes.
+ * @function toPdf
+ * @param {Report} report
+ * @returns {Uint8Array}
+ */
+export function toPdf(report) {
+    const layout = new PageLayout();
+    layout.y -= 18;
+    layout.text(toLatin1(report.title), MARGIN, layout.y, 18, true);
+    if (report.subtitle) {
+        layout.y -= 16;
+        layout.text(toLatin1(report.subtitle), MARGIN, layout.y, 10);
+    }
+    layout.y -= 8;
+    (report.sections || []).forEach((section) => drawSection(layout, section));
+
+    const total = layout.pages.length;
+    layout.pages.forEach((ops, i) => {
+        const label = `Page ${i + 1} of ${total}`;
+        ops.push(`BT /${FONTS.REGULAR} 8 Tf ${(PAGE_WIDTH - MARGIN - textWidth(label, 8)).toFixed(2)} ${(MARGIN / 2).toFixed(2)} Td ${pdfString(label)} Tj ET`);
+    });
+    return serialize(layout.pages, report.title);
+}
@@ -0,0 +1,130 @@
+/**
+ * statementReport
+ * Builds the statement-period report (the monthly accountant PDF) from the same data
+ * the account screen shows:
+ * - BalanceWidget totals (joint, personal, projected, total)
+ * - SpendingSummary tables: category totals split into essential and discretionary
+ * - PaymentSummaryTable: what each household member owes per card
+ *
+ * The result is a pdfWriter Report. Pure functions only.
+ *
+ * @module statementReport
+ */
+
+import { userTotals } from '../../payments/utils/paymentSummary';
+import { exportableTransactions } from './exportColumns';
+
+const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+
+/**
+ * USD text for an amount.
+ * @function formatAmount
+ * @param {*} amount
+ * @returns {string}
+ */
+export function formatAmount(amount) {
+    return currency.format(Number(amount) || 0);
+}
+
+/**
+ * Title-cases a lower-cased key the way PaymentSummaryTable does ("visa" -> "Visa").
+ * @param {string} s
+ * @returns {string}
+ */
+const capitalize = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : '');
+
+/**
+ * Category totals for one side of the SpendingSummary, sorted by category.
+ * "Essential" matches criticality case-insensitively; everything else is discretionary,
+ * so a row with a missing criticality still shows up in the report.
+ *
+ * @function categoryTotals
+ * @param {Array<Object>} transactions
+ * @param {boolean} essential
+ * @returns {Array<[string, number]>}
+ */
+export function categoryTotals(transactions, essential) {
+    const totals = exportableTransactions(transactions)
+        .filter((tx) => (String(tx.criticality || '').trim().toLowerCase() === 'essential') === essential)
+        .reduce((acc, tx) => {
+            const cat = tx.category || 'Uncategorized';
+            acc[cat] = (acc[cat] || 0) + (Number(tx.amount) || 0);
+            return acc;
+        }, {});
+    return Object.entries(totals).sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * A two-column category / amount section with a total row.
+ * @param {string} heading
+ * @param {Array<[string, number]>} rows
+ * @returns {Object} ReportSection
+ */
+function spendingSection(heading, rows) {
+    const total = rows.reduce((sum, [, amount]) => sum + amount, 0);
+    return {
+        heading,
+        columns: [{ label: 'Category', width: 3 }, { label: 'Amount', width: 1, align: 'right' }],
+        rows: rows.map(([category, amount]) => [category, formatAmount(amount)]),
+        footer: ['Total', formatAmount(total)],
+        emptyText: 'No spending this period.',
+    };
+}
+
+/**
+ * Builds the report for one account and statement period.
+ *
+ * @function buildStatementReport
+ * @param {Object} params
+ * @param {string} params.account - account filter, e.g. "joint"
+ * @param {string} [params.accountName] - display name for the title
+ * @param {string} params.statementPeriod - e.g. "OCTOBER2025"
+ * @param {Array<Object>} params.transactions - the table's rows (actual and projected)
+ * @param {{total: number, joint: number, personal: number, projected: number}} params.balances
+ * @param {Object} params.payments - { cards, users, userLabels, payments } as from usePaymentsData
+ * @param {Date} [params.generatedAt=new Date()]
+ * @returns {Object} pdfWriter Report
+ */
+export function buildStatementReport({
+    account,
+    accountName,
+    statementPeriod,
+    transactions,
+    balances,
+    payments,
+    generatedAt = new Date(),
+}) {
+    const { cards = [], users = [], userLabels = {}, payments: byCard = {} } = payments || {};
+    const totals = userTotals(cards, users, byCard);
+    const label = (user) => userLabels[user] || capitalize(user);
+
+    const balanceSection = {
+        heading: 'Balances',
+        columns: [{ label: 'Balance', width: 3 }, { label: 'Amount', width: 1, align: 'right' }],
+        rows: [
+            ['Joint Balance', formatAmount(balances?.joint)],
+            ['Personal Balance', formatAmount(balances?.personal)],
+            ['Projected Balance', formatAmount(balances?.projected)],
+        ],
+        footer: ['Total', formatAmount(balances?.total)],
+    };
+
+    const paymentSection = {
+        heading: 'Payments Summary',
+        columns: [{ label: 'Card', width: 2 }, ...users.map((u) => ({ label: `${label(u)}'s Payment`, align: 'right' }))],
+        rows: cards.map((card) => [capitalize(card), ...users.map((u) => formatAmount(byCard[card]?.[u]))]),
+        footer: ['Total', ...users.map((u) => formatAmount(totals[u]))],
+        emptyText: 'No cards found.',
+    };
+
+    return {
+        title: `${accountName || capitalize(account)} Statement Report`,
+        subtitle: `Statement period ${statementPeriod} - generated ${generatedAt.toISOString().slice(0, 10)}`,
+        sections: [
+            balanceSection,
+            spendingSection('Essential Spending', categoryTotals(transactions, true)),
+            spendingSection('Discretionary Spending', categoryTotals(transactions, false)),
+            paymentSection,
+        ],
+    };
+}
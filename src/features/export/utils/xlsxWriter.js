@@ -0,0 +1,289 @@
+/**
+ * xlsxWriter
+ * Dependency-free writer for single-sheet Excel workbooks (Office Open XML).
+ *
+ * - The workbook parts are packed into an uncompressed (stored) ZIP, which every
+ *   spreadsheet app reads; exports are small, so compression is not worth a dependency
+ * - Cells are typed from the export column: numbers and booleans stay numeric, dates
+ *   become date serials with a date format, everything else is an inline string
+ * - The header row is bold and column widths follow the longest value
+ *
+ * @module xlsxWriter
+ */
+
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COLUMN_WIDTH = 60;
+
+/** cellXfs indexes in STYLES_XML */
+const STYLE = {
+    DEFAULT: 0,
+    HEADER: 1,
+    DATE: 2,
+    AMOUNT: 3,
+};
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>';
+
+const WORKBOOK_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>';
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '</cellXfs>'
+    + '</styleSheet>';
+
+/**
+ * Whether XML 1.0 allows a character (tab, newline and carriage return are the only
+ * control characters it accepts; U+FFFE and U+FFFF are never allowed).
+ * @param {string} c - one character
+ * @returns {boolean}
+ */
+function isXmlChar(c) {
+    const code = c.charCodeAt(0);
+    if (code < 0x20) return c === '\t' || c === '\n' || c === '\r';
+    return code !== 0xFFFE && code !== 0xFFFF;
+}
+
+/**
+ * Escapes text for XML and drops characters XML 1.0 does not allow.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return [...String(value)].filter(isXmlChar).join('')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a zero-based index (0 -> A, 26 -> AA).
+ * @function columnName
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnName(index) {
+    let n = index + 1;
+    let name = '';
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        name = String.fromCharCode(65 + rem) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+/**
+ * Excel date serial for a YYYY-MM-DD string, or null when it is not one.
+ * @function toDateSerial
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function toDateSerial(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!m) return null;
+    return (Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) - EXCEL_EPOCH_MS) / DAY_MS;
+}
+
+/**
+ * One <c> element.
+ * @param {string} ref - e.g. "B3"
+ * @param {*} value
+ * @param {string} type - export column type
+ * @returns {string}
+ */
+function cellXml(ref, value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    if (type === 'date') {
+        const serial = toDateSerial(value);
+        if (serial !== null) return `<c r="${ref}" s="${STYLE.DATE}"><v>${serial}</v></c>`;
+    }
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return '';
+        return `<c r="${ref}" s="${type === 'number' ? STYLE.AMOUNT : STYLE.DEFAULT}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Worksheet XML for a header row and typed data rows.
+ * @param {Array<{label: string, type?: string}>} columns
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function sheetXml(columns, rows) {
+    const widths = columns.map((col, i) => {
+        const longest = rows.reduce((max, row) => Math.max(max, String(row[i] ?? '').length), String(col.label).length);
+        return Math.min(MAX_COLUMN_WIDTH, Math.max(10, longest + 2));
+    });
+    const cols = widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('');
+    const header = `<row r="1">${columns.map((col, i) => `<c r="${columnName(i)}1" t="inlineStr" s="${STYLE.HEADER}"><is><t>${escapeXml(col.label)}</t></is></c>`).join('')}</row>`;
+    const body = rows.map((row, r) => {
+        const n = r + 2;
+        return `<row r="${n}">${columns.map((col, i) => cellXml(`${columnName(i)}${n}`, row[i], col.type)).join('')}</row>`;
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${cols}</cols>`
+        + `<sheetData>${header}${body}</sheetData>`
+        + '</worksheet>';
+}
+
+/**
+ * Workbook XML with one sheet.
+ * @param {string} sheetName
+ * @returns {string}
+ */
+function workbookXml(sheetName) {
+    const name = escapeXml(String(sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Sheet1');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>';
+}
+
+// --- ZIP (stored, no compression) --------------------------------------------
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * DOS time and date words for a Date.
+ * @param {Date} d
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(d) {
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+        date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
+
+/**
+ * Packs files into a stored ZIP archive.
+ * @function zipStore
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @param {Date} [modified=new Date()]
+ * @returns {Uint8Array}
+ */
+export function zipStore(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const entries = files.map((f) => ({ name: encoder.encode(f.name), data: f.data, crc: crc32(f.data) }));
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+
+    let offset = 0;
+    const offsets = entries.map((e) => {
+        const start = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 8, 0, true); // stored
+        view.setUint16(offset + 10, time, true);
+        view.setUint16(offset + 12, date, true);
+        view.setUint32(offset + 14, e.crc, true);
+        view.setUint32(offset + 18, e.data.length, true);
+        view.setUint32(offset + 22, e.data.length, true);
+        view.setUint16(offset + 26, e.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        out.set(e.name, offset + 30);
+        out.set(e.data, offset + 30 + e.name.length);
+        offset += 30 + e.name.length + e.data.length;
+        return start;
+    });
+
+    entries.forEach((e, i) => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, time, true);
+        view.setUint16(offset + 14, date, true);
+        view.setUint32(offset + 16, e.crc, true);
+        view.setUint32(offset + 20, e.data.length, true);
+        view.setUint32(offset + 24, e.data.length, true);
+        view.setUint16(offset + 28, e.name.length, true);
+        view.setUint32(offset + 42, offsets[i], true);
+        out.set(e.name, offset + 46);
+        offset += 46 + e.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, localSize, true);
+    return out;
+}
+
+/**
+ * Builds an .xlsx workbook from export columns and typed rows.
+ * @function toXlsx
+ * @param {Array<{label: string, type?: string}>} columns
+ * @param {Array<Array<*>>} rows
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Transactions']
+ * @returns {Uint8Array}
+ */
+export function toXlsx(columns, rows, { sheetName = 'Transactions' } = {}) {
+    const encoder = new TextEncoder();
+    return zipStore([
+        { name: '[Content_Types].xml', data: encoder.encode(CONTENT_TYPES_XML) },
+        { name: '_rels/.rels', data: encoder.encode(ROOT_RELS_XML) },
+        { name: 'xl/workbook.xml', data: encoder.encode(workbookXml(sheetName)) },
+        { name: 'xl/_rels/workbook.xml.rels', data: encoder.encode(WORKBOOK_RELS_XML) },
+        { name: 'xl/styles.xml', data: encoder.encode(STYLES_XML) },
+        { name: 'xl/worksheets/sheet1.xml', data: encoder.encode(sheetXml(columns, rows)) },
+    ]);
+}
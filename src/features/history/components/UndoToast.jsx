@@ -0,0 +1,62 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./History.module.css";
+
+/**
+ * Logger for UndoToast
+ */
+const logger = {
+    info: (...args) => console.log("[UndoToast]", ...args),
+    error: (...args) => console.error("[UndoToast]", ...args),
+};
+
+/**
+ * UndoToast
+ * Transient notice after a destructive action (or a failed replay) with an Undo button.
+ * Presentational; state and timing live in useEditHistory.
+ *
+ * Props:
+ *  - history: state and actions from useEditHistory
+ */
+export default function UndoToast({ history }) {
+    const { toast } = history;
+    if (!toast) return null;
+    logger.info("render", { message: toast.message });
+
+    return (
+        <div className={styles.toast} role="status" aria-live="polite">
+            <span className={styles.message}>{toast.message}</span>
+            {toast.entryId && (
+                <button
+                    type="button"
+                    className={styles.undoBtn}
+                    onClick={history.undo}
+                    disabled={!history.canUndo}
+                    title="Undo (Ctrl+Z)"
+                >
+                    Undo
+                </button>
+            )}
+            <button
+                type="button"
+                className={styles.closeBtn}
+                onClick={history.dismissToast}
+                aria-label="Dismiss"
+            >
+                ×
+            </button>
+        </div>
+    );
+}
+
+UndoToast.propTypes = {
+    history: PropTypes.shape({
+        toast: PropTypes.shape({
+            entryId: PropTypes.string,
+            message: PropTypes.string.isRequired,
+        }),
+        canUndo: PropTypes.bool.isRequired,
+        undo: PropTypes.func.isRequired,
+        dismissToast: PropTypes.func.isRequired,
+    }).isRequired,
+};
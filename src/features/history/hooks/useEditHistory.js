@@ -0,0 +1,205 @@
+/**
+ * Hook: useEditHistory
+ *
+ * Undo / redo for transaction creates, updates and deletes (actual and projected).
+ * Callers record an entry after a change reached the server; undo replays the inverse
+ * operations through the services and redo replays the originals.
+ *
+ * - Destructive entries (deletes) raise a toast with an Undo button.
+ * - Replays publish 'transactionsChanged' / 'projectionsChanged' (reason 'undo' / 'redo'),
+ *   so the tables and totals refetch like after any other edit.
+ * - A replay that fails part-way leaves its entry on the stack and reports the error;
+ *   operations already replayed stay applied.
+ *
+ * @module useEditHistory
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import budgetTransactionService from '../../../services/BudgetTransactionService';
+import projectedTransactionService from '../../../services/ProjectedTransactionService';
+import { publish } from '../../../services/TransactionEvents';
+import {
+    HISTORY_OPS,
+    DEFAULT_HISTORY_LIMIT,
+    createHistory,
+    makeEntry,
+    inverseOps,
+    pushEntry,
+    commitUndo,
+    commitRedo,
+    resolveId,
+    toServicePayload,
+} from '../utils/editHistory';
+
+const logger = {
+    info: (...args) => console.log('[useEditHistory]', ...args),
+    error: (...args) => console.error('[useEditHistory]', ...args),
+};
+
+/**
+ * How long the Undo toast stays up.
+ * @constant
+ */
+export const UNDO_TOAST_MS = 8000;
+
+/**
+ * Replays one operation through the matching service.
+ *
+ * @param {import('../utils/editHistory').HistoryOp} op
+ * @param {Map<string, string|number>} aliases - updated when a row is re-created
+ * @returns {Promise<Object>} the row the operation acted on
+ */
+async function replayOp(op, aliases) {
+    const service = op.isProjection ? projectedTransactionService : budgetTransactionService;
+    if (op.op === HISTORY_OPS.CREATE) {
+        const created = await service.createTransaction(toServicePayload(op.after));
+        if (created?.id != null && op.after.id != null) aliases.set(String(op.after.id), created.id);
+        return created || op.after;
+    }
+    if (op.op === HISTORY_OPS.UPDATE) {
+        const id = resolveId(aliases, op.after.id);
+        await service.updateTransaction(id, toServicePayload(op.after));
+        return op.after;
+    }
+    await service.deleteTransaction(resolveId(aliases, op.before.id));
+    return op.before;
+}
+
+/**
+ * @param {Object} [params]
+ * @param {number} [params.limit=DEFAULT_HISTORY_LIMIT] - entries kept on the undo stack
+ * @returns {Object} history state and actions
+ */
+export default function useEditHistory({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const [history, setHistory] = useState(createHistory);
+    const [busy, setBusy] = useState(false);
+    const [toast, setToast] = useState(null); // { entryId, message }
+    const historyRef = useRef(history);
+    const busyRef = useRef(false);
+    const aliasesRef = useRef(new Map());
+
+    useEffect(() => {
+        historyRef.current = history;
+    }, [history]);
+
+    // The toast goes away on its own
+    useEffect(() => {
+        if (!toast) return undefined;
+        const timer = setTimeout(() => setToast(null), UNDO_TOAST_MS);
+        return () => clearTimeout(timer);
+    }, [toast]);
+
+    /**
+     * Records a completed action.
+     *
+     * @param {string} label
+     * @param {Array<import('../utils/editHistory').HistoryOp>} ops
+     */
+    const record = useCallback((label, ops) => {
+        const entry = makeEntry(label, ops);
+        if (!entry) return;
+        logger.info('record', { label, ops: entry.ops.length });
+        setHistory((prev) => {
+            const next = pushEntry(prev, entry, limit);
+            historyRef.current = next;
+            return next;
+        });
+        setToast(entry.destructive ? { entryId: entry.id, message: label } : null);
+    }, [limit]);
+
+    /**
+     * Replays operations in order and tells the rest of the app what changed.
+     * @returns {Promise<boolean>} true when every operation succeeded
+     */
+    const replay = useCallback(async (ops, reason) => {
+        const changed = { budget: [], projection: [] };
+        try {
+            for (const op of ops) {
+                // Sequential on purpose: a re-created row's new id may be needed by the next op
+                const row = await replayOp(op, aliasesRef.current);
+                (op.isProjection ? changed.projection : changed.budget).push(row);
+            }
+            return true;
+        } catch (err) {
+            logger.error(`${reason} failed`, err);
+            setToast({ entryId: null, message: `Could not ${reason}: ${err?.message || String(err)}` });
+            return false;
+        } finally {
+            try {
+                if (changed.budget.length > 0) {
+                    publish({ type: 'transactionsChanged', reason, ids: changed.budget.map((r) => r.id) });
+                }
+                if (changed.projection.length > 0) {
+                    publish({
+                        type: 'projectionsChanged',
+                        reason,
+                        ids: changed.projection.map((r) => r.id),
+                        account: changed.projection[0].account,
+                        statementPeriod: changed.projection[0].statementPeriod,
+                    });
+                }
+            } catch (err) {
+                logger.error('publish after replay failed', err);
+            }
+        }
+    }, []);
+
+    /**
+     * Undoes the newest action.
+     * @returns {Promise<void>}
+     */
+    const undo = useCallback(async () => {
+        const entry = historyRef.current.undo[historyRef.current.undo.length - 1];
+        if (!entry || busyRef.current) return;
+        busyRef.current = true;
+        setBusy(true);
+        logger.info('undo', { label: entry.label });
+        try {
+            if (await replay(inverseOps(entry), 'undo')) {
+                setHistory((prev) => commitUndo(prev, entry.id));
+                setToast((prev) => (prev?.entryId === entry.id ? null : prev));
+            }
+        } finally {
+            busyRef.current = false;
+            setBusy(false);
+        }
+    }, [replay]);
+
+    /**
+     * Re-applies the newest undone action.
+     * @returns {Promise<void>}
+     */
+    const redo = useCallback(async () => {
+        const entry = historyRef.current.redo[historyRef.current.redo.length - 1];
+        if (!entry || busyRef.current) return;
+        busyRef.current = true;
+        setBusy(true);
+        logger.info('redo', { label: entry.label });
+        try {
+            if (await replay(entry.ops, 'redo')) {
+                setHistory((prev) => commitRedo(prev, entry.id));
+            }
+        } finally {
+            busyRef.current = false;
+            setBusy(false);
+        }
+    }, [replay]);
+
+    const dismissToast = useCallback(() => setToast(null), []);
+
+    const lastUndo = history.undo[history.undo.length - 1];
+    const lastRedo = history.redo[history.redo.length - 1];
+
+    return {
+        canUndo: Boolean(lastUndo) && !busy,
+        canRedo: Boolean(lastRedo) && !busy,
+        undoLabel: lastUndo?.label || null,
+        redoLabel: lastRedo?.label || null,
+        busy,
+        toast,
+        record,
+        undo,
+        redo,
+        dismissToast,
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * editHistory.js
+ *
+ * Undo / redo stacks for transaction edits. An entry is one user action (a save, a bulk
+ * delete, ...) made of operations on single rows; each operation keeps the row as it was
+ * before and after, so it can be inverted and replayed through the services.
+ *
+ * Ids: re-creating a deleted row gives it a new server id. Replays record the mapping in
+ * an alias table, and every later replay resolves ids through it, so a row can be deleted,
+ * restored, edited and restored again without the history losing track of it.
+ *
+ * Pure helpers — no React, no services.
+ *
+ * @module editHistory
+ */
+
+/**
+ * Operation kinds.
+ * @constant
+ */
+export const HISTORY_OPS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+};
+
+/**
+ * Entries kept on the undo stack; older ones are dropped.
+ * @constant
+ */
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {Object} HistoryOp
+ * @property {string} op - HISTORY_OPS value
+ * @property {boolean} isProjection - replayed through the projected-transaction service
+ * @property {Object|null} before - row before the operation (null for create)
+ * @property {Object|null} after - row after the operation (null for delete)
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} label - e.g. "Delete 3 transactions"
+ * @property {Array<HistoryOp>} ops
+ * @property {boolean} destructive - deletes; the table offers an Undo toast for these
+ */
+
+/**
+ * Empty undo / redo stacks.
+ * @returns {{undo: Array<HistoryEntry>, redo: Array<HistoryEntry>}}
+ */
+export function createHistory() {
+    return { undo: [], redo: [] };
+}
+
+let entrySeq = 0;
+
+/**
+ * Builds an entry; operations without a row to replay are dropped.
+ *
+ * @function makeEntry
+ * @param {string} label
+ * @param {Array<HistoryOp>} ops
+ * @returns {HistoryEntry|null} null when nothing is left to record
+ */
+export function makeEntry(label, ops) {
+    const valid = (ops || []).filter((o) => {
+        if (o.op === HISTORY_OPS.CREATE) return Boolean(o.after);
+        if (o.op === HISTORY_OPS.DELETE) return Boolean(o.before);
+        return Boolean(o.before && o.after);
+    });
+    if (valid.length === 0) return null;
+    entrySeq += 1;
+    return {
+        id: `h${Date.now()}-${entrySeq}`,
+        label,
+        ops: valid,
+        destructive: valid.some((o) => o.op === HISTORY_OPS.DELETE),
+    };
+}
+
+/**
+ * @function invertOp
+ * @param {HistoryOp} op
+ * @returns {HistoryOp} the operation that undoes `op`
+ */
+export function invertOp(op) {
+    switch (op.op) {
+        case HISTORY_OPS.CREATE:
+            return { ...op, op: HISTORY_OPS.DELETE, before: op.after, after: null };
+        case HISTORY_OPS.DELETE:
+            return { ...op, op: HISTORY_OPS.CREATE, before: null, after: op.before };
+        default:
+            return { ...op, before: op.after, after: op.before };
+    }
+}
+
+/**
+ * Operations that undo an entry, in replay order (last operation undone first).
+ *
+ * @function inverseOps
+ * @param {HistoryEntry} entry
+ * @returns {Array<HistoryOp>}
+ */
+export function inverseOps(entry) {
+    return [...entry.ops].reverse().map(invertOp);
+}
+
+/**
+ * Pushes a new entry; a new action clears the redo stack.
+ *
+ * @function pushEntry
+ * @param {{undo: Array, redo: Array}} history
+ * @param {HistoryEntry} entry
+ * @param {number} [limit=DEFAULT_HISTORY_LIMIT]
+ * @returns {{undo: Array, redo: Array}}
+ */
+export function pushEntry(history, entry, limit = DEFAULT_HISTORY_LIMIT) {
+    if (!entry) return history;
+    const undo = [...history.undo, entry];
+    return { undo: undo.length > limit ? undo.slice(undo.length - limit) : undo, redo: [] };
+}
+
+/**
+ * Moves the newest undo entry onto the redo stack (after it was replayed).
+ *
+ * @function commitUndo
+ * @param {{undo: Array, redo: Array}} history
+ * @param {string} entryId - entry that was undone
+ * @returns {{undo: Array, redo: Array}}
+ */
+export function commitUndo(history, entryId) {
+    const entry = history.undo.find((e) => e.id === entryId);
+    if (!entry) return history;
+    return { undo: history.undo.filter((e) => e.id !== entryId), redo: [...history.redo, entry] };
+}
+
+/**
+ * Moves the newest redo entry back onto the undo stack (after it was replayed).
+ *
+ * @function commitRedo
+ * @param {{undo: Array, redo: Array}} history
+ * @param {string} entryId - entry that was redone
+ * @returns {{undo: Array, redo: Array}}
+ */
+export function commitRedo(history, entryId) {
+    const entry = history.redo.find((e) => e.id === entryId);
+    if (!entry) return history;
+    return { undo: [...history.undo, entry], redo: history.redo.filter((e) => e.id !== entryId) };
+}
+
+/**
+ * Follows the alias chain of a row id (old id -> id of its re-created row).
+ *
+ * @function resolveId
+ * @param {Map<string, string|number>} aliases
+ * @param {string|number} id
+ * @returns {string|number}
+ */
+export function resolveId(aliases, id) {
+    let current = id;
+    const seen = new Set();
+    while (aliases.has(String(current)) && !seen.has(String(current))) {
+        seen.add(String(current));
+        current = aliases.get(String(current));
+    }
+    return current;
+}
+
+/**
+ * Service payload for a recorded row: the id and client-only (`__`) fields removed.
+ *
+ * @function toServicePayload
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function toServicePayload(row) {
+    const payload = {};
+    Object.keys(row || {}).forEach((key) => {
+        if (key === 'id' || key.startsWith('__')) return;
+        payload[key] = row[key];
+    });
+    return payload;
+}
+
+/**
+ * Label for a set of rows, e.g. "Delete 3 transactions" / "Edit “Coffee”".
+ *
+ * @function describeRows
+ * @param {string} verb
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export function describeRows(verb, rows) {
+    if (rows.length === 1) return `${verb} “${rows[0]?.name || 'transaction'}”`;
+    return `${verb} ${rows.length} transactions`;
+}
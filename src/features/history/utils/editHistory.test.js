@@ -0,0 +1,85 @@
+import {
+    HISTORY_OPS,
+    createHistory,
+    makeEntry,
+    invertOp,
+    inverseOps,
+    pushEntry,
+    commitUndo,
+    commitRedo,
+    resolveId,
+    toServicePayload,
+    describeRows,
+} from './editHistory';
+
+const coffee = { id: 1, name: 'Coffee', amount: 4 };
+const update = { op: HISTORY_OPS.UPDATE, isProjection: false, before: coffee, after: { ...coffee, amount: 5 } };
+const create = { op: HISTORY_OPS.CREATE, isProjection: false, before: null, after: coffee };
+
+describe('invertOp', () => {
+    it('turns creates into deletes, deletes into creates and swaps update rows', () => {
+        expect(invertOp(create)).toEqual({ op: HISTORY_OPS.DELETE, isProjection: false, before: coffee, after: null });
+        expect(invertOp(invertOp(create))).toEqual(create);
+        expect(invertOp(update)).toEqual({ ...update, before: update.after, after: update.before });
+    });
+
+    it('undoes an entry last operation first', () => {
+        const entry = makeEntry('Add and edit', [create, update]);
+        expect(inverseOps(entry).map((o) => o.op)).toEqual([HISTORY_OPS.UPDATE, HISTORY_OPS.DELETE]);
+    });
+});
+
+describe('makeEntry', () => {
+    it('drops operations without a row and flags deletes as destructive', () => {
+        expect(makeEntry('Nothing', [{ op: HISTORY_OPS.UPDATE, before: coffee, after: null }])).toBeNull();
+        const entry = makeEntry('Delete', [invertOp(create), { op: HISTORY_OPS.CREATE, after: null }]);
+        expect(entry.ops).toHaveLength(1);
+        expect(entry.destructive).toBe(true);
+        expect(makeEntry('Edit', [update]).destructive).toBe(false);
+    });
+});
+
+describe('stacks', () => {
+    const entries = [1, 2, 3].map((n) => makeEntry(`Edit ${n}`, [update]));
+
+    it('keeps only the newest entries up to the limit', () => {
+        const history = entries.reduce((h, e) => pushEntry(h, e, 2), createHistory());
+        expect(history.undo.map((e) => e.label)).toEqual(['Edit 2', 'Edit 3']);
+    });
+
+    it('moves entries between the stacks and clears redo on a new action', () => {
+        let history = entries.slice(0, 2).reduce((h, e) => pushEntry(h, e), createHistory());
+        history = commitUndo(history, entries[1].id);
+        expect(history.undo.map((e) => e.label)).toEqual(['Edit 1']);
+        expect(history.redo.map((e) => e.label)).toEqual(['Edit 2']);
+
+        expect(commitRedo(history, entries[1].id).undo.map((e) => e.label)).toEqual(['Edit 1', 'Edit 2']);
+        expect(commitUndo(history, 'missing')).toBe(history);
+        expect(pushEntry(history, entries[2]).redo).toEqual([]);
+    });
+});
+
+describe('resolveId', () => {
+    it('follows a row through every re-creation', () => {
+        const aliases = new Map([['1', 7], ['7', 'x9']]);
+        expect(resolveId(aliases, 1)).toBe('x9');
+        expect(resolveId(aliases, 7)).toBe('x9');
+        expect(resolveId(aliases, 2)).toBe(2);
+    });
+
+    it('stops on a cycle', () => {
+        const aliases = new Map([['1', 2], ['2', 1]]);
+        expect(resolveId(aliases, 1)).toBe(1);
+    });
+});
+
+describe('payloads and labels', () => {
+    it('strips the id and client-only fields', () => {
+        expect(toServicePayload({ id: 3, name: 'Coffee', __isNew: true, __isProjected: true })).toEqual({ name: 'Coffee' });
+    });
+
+    it('names one row or counts several', () => {
+        expect(describeRows('Delete', [coffee])).toBe('Delete “Coffee”');
+        expect(describeRows('Delete', [coffee, coffee, coffee])).toBe('Delete 3 transactions');
+    });
+});
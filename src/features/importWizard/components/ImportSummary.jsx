@@ -0,0 +1,61 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./ImportWizard.module.css";
+
+/**
+ * ImportSummary
+ * Presentational summary of an import run: created / skipped / failed (and rejected in preview),
+ * plus rows held back as likely duplicates for review in the table.
+ *
+ * Props:
+ *  - summary: { created: Array, skipped: Array<{tx, reason}>, failed: Array<{tx, error}>, duplicates?: Array, rejected?: number }
+ */
+export default function ImportSummary({ summary }) {
+    if (!summary) return null;
+    const created = summary.created?.length || 0;
+    const skipped = summary.skipped || [];
+    const failed = summary.failed || [];
+    const duplicates = summary.duplicates || [];
+
+    return (
+        <div className={styles.summary} role="status">
+            <div className={styles.summaryCounts}>
+                <span className={styles.countCreated}>{created} created</span>
+                <span className={styles.countSkipped}>{skipped.length + (summary.rejected || 0)} skipped</span>
+                <span className={styles.countFailed}>{failed.length} failed</span>
+                {duplicates.length > 0 && (
+                    <span className={styles.countDuplicate}>{duplicates.length} possible duplicates</span>
+                )}
+            </div>
+            {duplicates.length > 0 && (
+                <div className={styles.summaryNote}>
+                    Possible duplicates were added to the table, flagged for you to merge, keep or discard.
+                </div>
+            )}
+            {skipped.length > 0 && (
+                <ul className={styles.summaryList}>
+                    {skipped.map((s, i) => (
+                        <li key={`s-${i}`}>Skipped “{s.tx?.name || "(no name)"}”: {s.reason}</li>
+                    ))}
+                </ul>
+            )}
+            {failed.length > 0 && (
+                <ul className={styles.summaryList}>
+                    {failed.map((f, i) => (
+                        <li key={`f-${i}`} className={styles.error}>Failed “{f.tx?.name || "(no name)"}”: {f.error}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+ImportSummary.propTypes = {
+    summary: PropTypes.shape({
+        created: PropTypes.array,
+        skipped: PropTypes.array,
+        failed: PropTypes.array,
+        duplicates: PropTypes.array,
+        rejected: PropTypes.number,
+    }),
+};
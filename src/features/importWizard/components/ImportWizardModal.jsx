@@ -0,0 +1,265 @@
+import React from "react";
+import PropTypes from "prop-types";
+import Modal, { ModalHeader, ModalBody, ModalFooter } from "../../../components/modal/Modal";
+import useImportWizard, { WIZARD_STEPS } from "../hooks/useImportWizard";
+import { SIGN_CONVENTIONS, DATE_FORMATS } from "../utils/importedTransaction";
+import ImportSummary from "./ImportSummary";
+import styles from "./ImportWizard.module.css";
+
+/**
+ * Logger for ImportWizardModal
+ */
+const logger = {
+    info: (...args) => console.log("[ImportWizardModal]", ...args),
+    error: (...args) => console.error("[ImportWizardModal]", ...args),
+};
+
+const fmt = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" });
+
+const SIGN_LABELS = {
+    [SIGN_CONVENTIONS.EXPENSE_NEGATIVE]: "Spending is negative (flip signs)",
+    [SIGN_CONVENTIONS.EXPENSE_POSITIVE]: "Spending is positive (keep signs)",
+    [SIGN_CONVENTIONS.DEBIT_CREDIT]: "Separate debit / credit columns",
+};
+
+const DELIMITER_LABELS = { ",": "Comma", ";": "Semicolon", "\t": "Tab", "|": "Pipe" };
+
+/**
+ * ImportWizardModal
+ * Presentational import wizard: CSV (map columns -> preview -> summary) and
+ * OFX / QFX / QIF statements (preview -> summary).
+ * Uses Bulletproof React conventions: UI only, logic in useImportWizard.
+ *
+ * Props:
+ *  - file: File selected in the toolbar (modal is open while set)
+ *  - account / statementPeriod: defaults applied to imported rows
+ *  - validate: validateForCreate from useTransactionTable
+ *  - onImport: (txs) => Promise<{created, skipped, failed}>
+ *  - onClose: close handler
+ */
+export default function ImportWizardModal({ file, account, statementPeriod, validate, onImport, onClose }) {
+    const wizard = useImportWizard({ file, account, statementPeriod, validate, onImport });
+    const { parsed, step } = wizard;
+    const rowCount = wizard.isStatement ? wizard.previewRows.length : parsed.rows.length;
+    logger.info("render", { step, file: file?.name, rows: rowCount });
+
+    const acceptedCount = wizard.previewRows.filter((r) => wizard.accepted.has(r.sourceIndex)).length;
+    const invalidCount = wizard.previewRows.filter((r) => r.errors.length > 0).length;
+
+    return (
+        <Modal isOpen={Boolean(file)} onClose={onClose} ariaLabel="Import transactions" closeOnBackdrop={false}>
+            <ModalHeader>
+                <div className={styles.title}>Import {file?.name}</div>
+                <div className={styles.subtitle}>
+                    {wizard.statementFormat ? `${wizard.statementFormat.toUpperCase()} · ` : ""}
+                    {rowCount} rows · {statementPeriod}
+                </div>
+            </ModalHeader>
+
+            <ModalBody>
+                {wizard.error && <div className={styles.error} role="alert">{wizard.error}</div>}
+
+                {step === WIZARD_STEPS.MAP && (
+                    <div className={styles.mapStep}>
+                        <div className={styles.optionsRow}>
+                            <label className={styles.field}>
+                                <span>Bank profile</span>
+                                <select value={wizard.profileId} onChange={(e) => wizard.selectProfile(e.target.value)}>
+                                    <option value="">(new / guessed)</option>
+                                    {wizard.profiles.map((p) => (
+                                        <option key={p.id} value={p.id}>{p.name}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className={styles.field}>
+                                <span>Delimiter</span>
+                                <select value={wizard.delimiter} onChange={(e) => wizard.setDelimiter(e.target.value)}>
+                                    {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+                                        <option key={label} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className={styles.checkbox}>
+                                <input
+                                    type="checkbox"
+                                    checked={wizard.hasHeader}
+                                    onChange={(e) => wizard.setHasHeader(e.target.checked)}
+                                />
+                                First row is a header
+                            </label>
+                        </div>
+
+                        <div className={styles.optionsRow}>
+                            <label className={styles.field}>
+                                <span>Amount signs</span>
+                                <select value={wizard.signConvention} onChange={(e) => wizard.setSignConvention(e.target.value)}>
+                                    {Object.entries(SIGN_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className={styles.field}>
+                                <span>Date format</span>
+                                <select value={wizard.dateFormat} onChange={(e) => wizard.setDateFormat(e.target.value)}>
+                                    {DATE_FORMATS.map((f) => (
+                                        <option key={f} value={f}>{f === "auto" ? "Detect" : f}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+
+                        <div className={styles.mappingGrid}>
+                            {wizard.fields
+                                .filter((f) => (wizard.signConvention === SIGN_CONVENTIONS.DEBIT_CREDIT
+                                    ? f.key !== "amount"
+                                    : f.key !== "debit" && f.key !== "credit"))
+                                .map((f) => (
+                                    <label key={f.key} className={styles.field}>
+                                        <span>{f.label}{f.required ? " *" : ""}</span>
+                                        <select
+                                            value={wizard.mapping[f.key] || ""}
+                                            onChange={(e) => wizard.setMappingField(f.key, e.target.value)}
+                                        >
+                                            <option value="">(not in file)</option>
+                                            {parsed.headers.map((h) => (
+                                                <option key={h} value={h}>{h}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                        </div>
+
+                        {wizard.mappingErrors.length > 0 && (
+                            <ul className={styles.errorList}>
+                                {wizard.mappingErrors.map((e) => <li key={e}>{e}</li>)}
+                            </ul>
+                        )}
+
+                        <div className={styles.optionsRow}>
+                            <label className={styles.field}>
+                                <span>Save mapping as</span>
+                                <input
+                                    type="text"
+                                    value={wizard.profileName}
+                                    placeholder="Bank name"
+                                    onChange={(e) => wizard.setProfileName(e.target.value)}
+                                />
+                            </label>
+                            <button
+                                type="button"
+                                className={styles.secondaryBtn}
+                                onClick={wizard.saveProfile}
+                                disabled={!wizard.profileName.trim() || wizard.mappingErrors.length > 0}
+                            >
+                                Save profile
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {step === WIZARD_STEPS.PREVIEW && (
+                    <div className={styles.previewStep}>
+                        <div className={styles.previewBar}>
+                            <span>{acceptedCount} of {wizard.previewRows.length} rows selected · {invalidCount} with errors</span>
+                            <span>
+                                <button type="button" className={styles.linkBtn} onClick={wizard.acceptAllValid}>Select all valid</button>
+                                <button type="button" className={styles.linkBtn} onClick={wizard.rejectAll}>Select none</button>
+                            </span>
+                        </div>
+                        <div className={styles.previewTable} role="table" aria-label="Import preview">
+                            <div className={`${styles.previewRow} ${styles.previewHeader}`} role="row">
+                                <span role="columnheader"></span>
+                                <span role="columnheader">Date</span>
+                                <span role="columnheader">Name</span>
+                                <span role="columnheader">Amount</span>
+                                <span role="columnheader">Category</span>
+                                <span role="columnheader">Payment</span>
+                                <span role="columnheader">Account</span>
+                            </div>
+                            {wizard.previewRows.map((row) => {
+                                const invalid = row.errors.length > 0;
+                                return (
+                                    <div
+                                        key={row.sourceIndex}
+                                        role="row"
+                                        className={`${styles.previewRow} ${invalid ? styles.invalidRow : ""}`}
+                                    >
+                                        <span role="cell">
+                                            <input
+                                                type="checkbox"
+                                                aria-label={`Import row ${row.sourceIndex + 1}`}
+                                                checked={wizard.accepted.has(row.sourceIndex)}
+                                                disabled={invalid}
+                                                onChange={() => wizard.toggleAccepted(row.sourceIndex)}
+                                            />
+                                        </span>
+                                        <span role="cell">{row.tx.transactionDate ? new Date(row.tx.transactionDate).toLocaleDateString("en-US") : "—"}</span>
+                                        <span role="cell" className={styles.nameCell}>
+                                            {row.tx.name || "—"}
+                                            {invalid && <span className={styles.rowErrors}>{row.errors.join(". ")}</span>}
+                                        </span>
+                                        <span role="cell" className={styles.amountCell}>
+                                            {Number.isNaN(Number(row.tx.amount)) ? "—" : fmt.format(Number(row.tx.amount))}
+                                        </span>
+                                        <span role="cell" title={row.ruleName ? `Set by rule “${row.ruleName}”` : undefined}>
+                                            {row.tx.category || "—"}
+                                            {row.ruleName && <span className={styles.ruleMark} aria-hidden="true"> ⚡</span>}
+                                        </span>
+                                        <span role="cell">{row.tx.paymentMethod || "—"}</span>
+                                        <span role="cell">{row.tx.account || "—"}</span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+
+                {step === WIZARD_STEPS.DONE && <ImportSummary summary={wizard.summary} />}
+            </ModalBody>
+
+            <ModalFooter>
+                <div>
+                    {step === WIZARD_STEPS.PREVIEW && !wizard.isStatement && (
+                        <button type="button" className={styles.secondaryBtn} onClick={() => wizard.setStep(WIZARD_STEPS.MAP)} disabled={wizard.importing}>
+                            Back
+                        </button>
+                    )}
+                </div>
+                <div className={styles.footerActions}>
+                    <button type="button" className={styles.secondaryBtn} onClick={onClose} disabled={wizard.importing}>
+                        {step === WIZARD_STEPS.DONE ? "Close" : "Cancel"}
+                    </button>
+                    {step === WIZARD_STEPS.MAP && (
+                        <button
+                            type="button"
+                            className={styles.primaryBtn}
+                            onClick={wizard.goToPreview}
+                            disabled={wizard.mappingErrors.length > 0 || parsed.rows.length === 0}
+                        >
+                            Preview
+                        </button>
+                    )}
+                    {step === WIZARD_STEPS.PREVIEW && (
+                        <button
+                            type="button"
+                            className={styles.primaryBtn}
+                            onClick={wizard.runImport}
+                            disabled={acceptedCount === 0 || wizard.importing}
+                        >
+                            {wizard.importing ? "Importing…" : `Import ${acceptedCount} row${acceptedCount === 1 ? "" : "s"}`}
+                        </button>
+                    )}
+                </div>
+            </ModalFooter>
+        </Modal>
+    );
+}
+
+ImportWizardModal.propTypes = {
+    file: PropTypes.object,
+    account: PropTypes.string,
+    statementPeriod: PropTypes.string,
+    validate: PropTypes.func,
+    onImport: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+};
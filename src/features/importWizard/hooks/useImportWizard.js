@@ -0,0 +1,275 @@
+/**
+ * Hook: useImportWizard
+ *
+ * Drives the import wizard:
+ * - reads and parses the selected file locally
+ * - OFX / QFX / QIF statements skip straight to the preview (no mapping needed)
+ * - column mapping (guessed, or from a saved per-bank profile matched by header signature)
+ * - sign convention + date format handling
+ * - auto-categorization rules fill empty category / criticality / account per row
+ * - preview with validation errors (validateForCreate rules + import-specific checks)
+ * - accept/reject rows, then hands accepted rows to onImport (the table's create flow)
+ *
+ * @module useImportWizard
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { parseCsv } from '../utils/csvParser';
+import {
+    MAPPABLE_FIELDS,
+    applyMapping,
+    guessMapping,
+    headerSignature,
+    validateMapping,
+} from '../utils/columnMapping';
+import { SIGN_CONVENTIONS, validateImportedValues } from '../utils/importedTransaction';
+import { isStatementFile, parseStatementFile } from '../utils/statementFile';
+import importProfileService from '../../../services/ImportProfileService';
+import useCategorizationRules from '../../rules/hooks/useCategorizationRules';
+
+const logger = {
+    info: (...args) => console.log('[useImportWizard]', ...args),
+    error: (...args) => console.error('[useImportWizard]', ...args),
+};
+
+export const WIZARD_STEPS = {
+    MAP: 'map',
+    PREVIEW: 'preview',
+    DONE: 'done',
+};
+
+/**
+ * @param {Object} params
+ * @param {File|null} params.file - CSV or statement (OFX/QFX/QIF) file chosen by the user.
+ * @param {string} params.account - Default account for rows without one.
+ * @param {string} params.statementPeriod - Statement period applied to created rows.
+ * @param {Function} params.validate - validateForCreate from useTransactionTable: (tx) => string[].
+ * @param {Function} params.onImport - (txs) => Promise<{created, skipped, failed}>.
+ * @returns {Object} wizard state and actions
+ */
+export default function useImportWizard({ file, account, statementPeriod, validate, onImport }) {
+    const [step, setStep] = useState(WIZARD_STEPS.MAP);
+    const [text, setText] = useState('');
+    const [hasHeader, setHasHeader] = useState(true);
+    const [delimiter, setDelimiter] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [signConvention, setSignConvention] = useState(SIGN_CONVENTIONS.EXPENSE_NEGATIVE);
+    const [dateFormat, setDateFormat] = useState('auto');
+    const [profiles, setProfiles] = useState([]);
+    const [profileId, setProfileId] = useState('');
+    const [profileName, setProfileName] = useState('');
+    const [accepted, setAccepted] = useState(() => new Set());
+    const [importing, setImporting] = useState(false);
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState(null);
+
+    const isStatement = Boolean(file) && isStatementFile(file.name);
+    const { apply: applyRules } = useCategorizationRules();
+
+    // Read the file once per selection
+    useEffect(() => {
+        if (!file) return undefined;
+        let active = true;
+        setText('');
+        setStep(isStatementFile(file.name) ? WIZARD_STEPS.PREVIEW : WIZARD_STEPS.MAP);
+        setSummary(null);
+        setError(null);
+        file.text()
+            .then((content) => {
+                if (!active) return;
+                setText(content);
+                logger.info('file read', { name: file.name, size: content.length });
+            })
+            .catch((err) => {
+                logger.error('file read failed', err);
+                if (active) setError(`Could not read ${file.name}: ${err?.message || err}`);
+            });
+        return () => { active = false; };
+    }, [file]);
+
+    const parsed = useMemo(
+        () => (text && !isStatement ? parseCsv(text, { delimiter: delimiter || undefined, hasHeader }) : { headers: [], rows: [], delimiter: '' }),
+        [text, isStatement, delimiter, hasHeader]
+    );
+
+    const statement = useMemo(
+        () => (text && isStatement ? parseStatementFile(file.name, text, { account, statementPeriod }) : null),
+        [text, isStatement, file, account, statementPeriod]
+    );
+
+    useEffect(() => {
+        if (statement && !statement.format) setError(`${file.name} is not a recognised OFX, QFX or QIF statement`);
+    }, [statement, file]);
+
+    const signature = useMemo(() => headerSignature(parsed.headers), [parsed.headers]);
+
+    /**
+     * Applies a saved profile's settings.
+     * @param {Object} profile
+     */
+    const applyProfile = useCallback((profile) => {
+        setProfileId(profile.id);
+        setProfileName(profile.name);
+        setMapping(profile.mapping || {});
+        setSignConvention(profile.signConvention || SIGN_CONVENTIONS.EXPENSE_NEGATIVE);
+        setDateFormat(profile.dateFormat || 'auto');
+        if (typeof profile.hasHeader === 'boolean') setHasHeader(profile.hasHeader);
+        if (profile.delimiter) setDelimiter(profile.delimiter);
+        logger.info('applied profile', { id: profile.id });
+    }, []);
+
+    // Load profiles, then pick one matching this file's headers or guess a mapping
+    useEffect(() => {
+        if (!text || isStatement) return undefined;
+        let active = true;
+        importProfileService.getProfiles()
+            .then((list) => {
+                if (!active) return;
+                setProfiles(list);
+                const headers = parseCsv(text, { hasHeader: true }).headers;
+                const match = list.find((p) => p.headerSignature && p.headerSignature === headerSignature(headers));
+                if (match) applyProfile(match);
+                else setMapping(guessMapping(headers));
+            })
+            .catch((err) => {
+                logger.error('loading profiles failed', err);
+                if (active) setMapping(guessMapping(parseCsv(text, { hasHeader: true }).headers));
+            });
+        return () => { active = false; };
+    }, [text, isStatement, applyProfile]);
+
+    const mappingErrors = useMemo(() => validateMapping(mapping, signConvention), [mapping, signConvention]);
+
+    const previewRows = useMemo(() => {
+        if (step === WIZARD_STEPS.MAP) return [];
+        if (!statement && mappingErrors.length > 0) return [];
+        const rows = statement
+            ? statement.rows
+            : applyMapping(parsed, { mapping, signConvention, dateFormat }, { account, statementPeriod });
+        return rows
+            .map((row) => {
+                const { tx, rule } = applyRules(row.tx);
+                const errors = [...validateImportedValues(tx), ...(validate ? validate(tx) : [])];
+                return { ...row, tx, ruleName: rule?.name || null, errors };
+            });
+    }, [step, statement, mappingErrors, parsed, mapping, signConvention, dateFormat, account, statementPeriod, validate, applyRules]);
+
+    const setMappingField = useCallback((field, header) => {
+        setMapping((prev) => {
+            const next = { ...prev };
+            if (header) next[field] = header;
+            else delete next[field];
+            return next;
+        });
+    }, []);
+
+    const selectProfile = useCallback((id) => {
+        const profile = profiles.find((p) => p.id === id);
+        if (profile) applyProfile(profile);
+        else {
+            setProfileId('');
+            setMapping(guessMapping(parsed.headers));
+        }
+    }, [profiles, applyProfile, parsed.headers]);
+
+    const saveProfile = useCallback(async () => {
+        setError(null);
+        try {
+            const saved = await importProfileService.saveProfile({
+                name: profileName,
+                headerSignature: signature,
+                mapping,
+                signConvention,
+                dateFormat,
+                delimiter: parsed.delimiter,
+                hasHeader,
+            });
+            setProfiles((prev) => [...prev.filter((p) => p.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+            setProfileId(saved.id);
+        } catch (err) {
+            logger.error('saveProfile failed', err);
+            setError(err?.message || String(err));
+        }
+    }, [profileName, signature, mapping, signConvention, dateFormat, parsed.delimiter, hasHeader]);
+
+    const goToPreview = useCallback(() => {
+        if (mappingErrors.length > 0) return;
+        setStep(WIZARD_STEPS.PREVIEW);
+    }, [mappingErrors]);
+
+    // Accept every valid row whenever a fresh preview is built
+    useEffect(() => {
+        if (step !== WIZARD_STEPS.PREVIEW) return;
+        setAccepted(new Set(previewRows.filter((r) => r.errors.length === 0).map((r) => r.sourceIndex)));
+    }, [step, previewRows]);
+
+    const toggleAccepted = useCallback((sourceIndex) => {
+        setAccepted((prev) => {
+            const next = new Set(prev);
+            if (next.has(sourceIndex)) next.delete(sourceIndex);
+            else next.add(sourceIndex);
+            return next;
+        });
+    }, []);
+
+    const acceptAllValid = useCallback(() => {
+        setAccepted(new Set(previewRows.filter((r) => r.errors.length === 0).map((r) => r.sourceIndex)));
+    }, [previewRows]);
+
+    const rejectAll = useCallback(() => setAccepted(new Set()), []);
+
+    const runImport = useCallback(async () => {
+        const rows = previewRows.filter((r) => accepted.has(r.sourceIndex) && r.errors.length === 0);
+        if (rows.length === 0 || typeof onImport !== 'function') return;
+        setImporting(true);
+        setError(null);
+        try {
+            const result = await onImport(rows.map((r) => r.tx));
+            const rejected = previewRows.length - rows.length;
+            setSummary({ ...result, rejected });
+            setStep(WIZARD_STEPS.DONE);
+            logger.info('import finished', { created: result?.created?.length, skipped: result?.skipped?.length, failed: result?.failed?.length, rejected });
+        } catch (err) {
+            logger.error('import failed', err);
+            setError(err?.message || String(err));
+        } finally {
+            setImporting(false);
+        }
+    }, [previewRows, accepted, onImport]);
+
+    return {
+        step,
+        setStep,
+        isStatement,
+        statementFormat: statement?.format || null,
+        parsed,
+        hasHeader,
+        setHasHeader,
+        delimiter: parsed.delimiter,
+        setDelimiter,
+        fields: MAPPABLE_FIELDS,
+        mapping,
+        setMappingField,
+        mappingErrors,
+        signConvention,
+        setSignConvention,
+        dateFormat,
+        setDateFormat,
+        profiles,
+        profileId,
+        selectProfile,
+        profileName,
+        setProfileName,
+        saveProfile,
+        goToPreview,
+        previewRows,
+        accepted,
+        toggleAccepted,
+        acceptAllValid,
+        rejectAll,
+        runImport,
+        importing,
+        summary,
+        error,
+    };
+}
@@ -0,0 +1,141 @@
+/**
+ * columnMapping
+ * Maps parsed CSV columns onto transaction fields.
+ *
+ * A mapping is { [field]: headerName } where field is one of MAPPABLE_FIELDS.
+ * Debit/credit columns are only used with the debitCredit sign convention.
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module columnMapping
+ */
+
+import {
+    SIGN_CONVENTIONS,
+    parseAmount,
+    normalizeSign,
+    parseDateToIso,
+    buildImportedTransaction,
+} from './importedTransaction';
+
+/**
+ * MAPPABLE_FIELDS - transaction fields a CSV column can be mapped to.
+ * required marks fields the preview cannot do without.
+ */
+export const MAPPABLE_FIELDS = [
+    { key: 'transactionDate', label: 'Date', required: true },
+    { key: 'name', label: 'Name / Description', required: true },
+    { key: 'amount', label: 'Amount', required: true },
+    { key: 'debit', label: 'Debit (spending)', required: false },
+    { key: 'credit', label: 'Credit (refund)', required: false },
+    { key: 'category', label: 'Category', required: false },
+    { key: 'paymentMethod', label: 'Payment Method', required: false },
+    { key: 'account', label: 'Account', required: false },
+    { key: 'memo', label: 'Memo', required: false },
+];
+
+/** Header keywords used to pre-select a mapping for unknown banks. */
+const HEADER_HINTS = {
+    transactionDate: ['transaction date', 'trans date', 'posting date', 'posted date', 'date'],
+    name: ['description', 'payee', 'merchant', 'name', 'details'],
+    amount: ['amount', 'transaction amount', 'value'],
+    debit: ['debit', 'withdrawal', 'money out'],
+    credit: ['credit', 'deposit', 'money in'],
+    category: ['category'],
+    paymentMethod: ['card', 'payment method', 'card no', 'card number'],
+    account: ['account'],
+    memo: ['memo', 'notes', 'reference'],
+};
+
+/**
+ * Header signature used to recognise a bank's export when picking a saved profile.
+ * @function headerSignature
+ * @param {Array<string>} headers
+ * @returns {string}
+ */
+export function headerSignature(headers = []) {
+    return headers.map((h) => String(h).trim().toLowerCase()).join('|');
+}
+
+/**
+ * Guesses a mapping from header names.
+ * @function guessMapping
+ * @param {Array<string>} headers
+ * @returns {Object} mapping
+ */
+export function guessMapping(headers = []) {
+    const lower = headers.map((h) => String(h).trim().toLowerCase());
+    const used = new Set();
+    const mapping = {};
+    Object.entries(HEADER_HINTS).forEach(([field, hints]) => {
+        for (const hint of hints) {
+            const idx = lower.findIndex((h, i) => !used.has(i) && (h === hint || h.includes(hint)));
+            if (idx >= 0) {
+                mapping[field] = headers[idx];
+                used.add(idx);
+                break;
+            }
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Returns mapping problems that block the preview (e.g. missing required columns).
+ * @function validateMapping
+ * @param {Object} mapping
+ * @param {string} signConvention
+ * @returns {Array<string>}
+ */
+export function validateMapping(mapping = {}, signConvention) {
+    const errors = [];
+    if (!mapping.transactionDate) errors.push('Map a column to Date');
+    if (!mapping.name) errors.push('Map a column to Name / Description');
+    if (signConvention === SIGN_CONVENTIONS.DEBIT_CREDIT) {
+        if (!mapping.debit && !mapping.credit) errors.push('Map a Debit and/or Credit column');
+    } else if (!mapping.amount) {
+        errors.push('Map a column to Amount');
+    }
+    return errors;
+}
+
+/**
+ * Applies a mapping to parsed CSV rows, producing create-ready transactions.
+ *
+ * @function applyMapping
+ * @param {Object} parsed - { headers, rows } from parseCsv.
+ * @param {Object} profile - { mapping, signConvention, dateFormat }
+ * @param {Object} defaults - { account, statementPeriod }
+ * @returns {Array<{ sourceIndex: number, raw: Array<string>, tx: Object }>}
+ */
+export function applyMapping(parsed, { mapping = {}, signConvention, dateFormat = 'auto' } = {}, defaults = {}) {
+    const { headers = [], rows = [] } = parsed || {};
+    const col = (field) => headers.indexOf(mapping[field]);
+    const indexes = Object.fromEntries(MAPPABLE_FIELDS.map((f) => [f.key, col(f.key)]));
+    const cell = (row, field) => (indexes[field] >= 0 ? row[indexes[field]] ?? '' : '');
+
+    return rows.map((row, sourceIndex) => {
+        let amount;
+        if (signConvention === SIGN_CONVENTIONS.DEBIT_CREDIT) {
+            const debit = Math.abs(parseAmount(cell(row, 'debit')));
+            const credit = Math.abs(parseAmount(cell(row, 'credit')));
+            amount = (Number.isNaN(debit) ? NaN : debit) - (Number.isNaN(credit) ? NaN : credit);
+        } else {
+            amount = normalizeSign(parseAmount(cell(row, 'amount')), signConvention);
+        }
+        const tx = buildImportedTransaction({
+            name: cell(row, 'name'),
+            amount,
+            transactionDate: parseDateToIso(cell(row, 'transactionDate'), dateFormat),
+            category: cell(row, 'category'),
+            paymentMethod: cell(row, 'paymentMethod'),
+            account: cell(row, 'account'),
+            memo: cell(row, 'memo'),
+        }, defaults);
+        return { sourceIndex, raw: row, tx };
+    });
+}
+
+const columnMapping = { MAPPABLE_FIELDS, headerSignature, guessMapping, validateMapping, applyMapping };
+
+export default columnMapping;
@@ -0,0 +1,67 @@
+import { headerSignature, guessMapping, validateMapping, applyMapping } from './columnMapping';
+import { SIGN_CONVENTIONS } from './importedTransaction';
+
+jest.mock('../../../config/config.js', () => ({
+    getCriticalityForCategory: (category) => (category === 'Rent' ? 'Essential' : 'Nonessential'),
+    getDefaultPaymentMethodForAccount: (account) => (account ? `${account}-card` : ''),
+}));
+
+describe('guessMapping', () => {
+    it('maps common bank headers and uses each column once', () => {
+        expect(guessMapping(['Posting Date', 'Description', 'Debit', 'Credit', 'Category'])).toEqual({
+            transactionDate: 'Posting Date',
+            name: 'Description',
+            debit: 'Debit',
+            credit: 'Credit',
+            category: 'Category',
+        });
+    });
+});
+
+describe('headerSignature', () => {
+    it('ignores case and padding', () => {
+        expect(headerSignature([' Date', 'AMOUNT '])).toBe(headerSignature(['date', 'amount']));
+    });
+});
+
+describe('validateMapping', () => {
+    it('requires date, name and an amount source for the sign convention', () => {
+        expect(validateMapping({}, SIGN_CONVENTIONS.EXPENSE_NEGATIVE)).toEqual([
+            'Map a column to Date',
+            'Map a column to Name / Description',
+            'Map a column to Amount',
+        ]);
+        expect(validateMapping({ transactionDate: 'D', name: 'N', credit: 'C' }, SIGN_CONVENTIONS.DEBIT_CREDIT)).toEqual([]);
+    });
+});
+
+describe('applyMapping', () => {
+    const parsed = {
+        headers: ['Date', 'Payee', 'Amount', 'Out', 'In'],
+        rows: [
+            ['2026-10-01', ' Grocer ', '-25.10', '25.10', ''],
+            ['2026-10-02', 'Refund', '5', '', '5'],
+        ],
+    };
+
+    it('flips expense-negative amounts so spending is positive', () => {
+        const result = applyMapping(parsed, {
+            mapping: { transactionDate: 'Date', name: 'Payee', amount: 'Amount' },
+            signConvention: SIGN_CONVENTIONS.EXPENSE_NEGATIVE,
+        }, { account: 'joint', statementPeriod: 'OCTOBER2026' });
+
+        expect(result.map((r) => [r.sourceIndex, r.tx.name, r.tx.amount, r.tx.account, r.tx.statementPeriod])).toEqual([
+            [0, 'Grocer', 25.1, 'joint', 'OCTOBER2026'],
+            [1, 'Refund', -5, 'joint', 'OCTOBER2026'],
+        ]);
+    });
+
+    it('nets debit and credit columns', () => {
+        const result = applyMapping(parsed, {
+            mapping: { transactionDate: 'Date', name: 'Payee', debit: 'Out', credit: 'In' },
+            signConvention: SIGN_CONVENTIONS.DEBIT_CREDIT,
+        });
+
+        expect(result.map((r) => r.tx.amount)).toEqual([25.1, -5]);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * csvParser
+ * Small, dependency-free CSV parser for bank statement exports.
+ *
+ * - RFC 4180 quoting (quoted fields, doubled quotes, embedded delimiters/newlines)
+ * - CRLF / LF / CR line endings, UTF-8 BOM stripped
+ * - Delimiter auto-detection (comma, semicolon, tab, pipe)
+ *
+ * Pure functions only (no side effects) so they can be reused by other importers.
+ *
+ * @module csvParser
+ */
+
+const logger = {
+    info: (...args) => console.log('[csvParser]', ...args),
+    error: (...args) => console.error('[csvParser]', ...args),
+};
+
+export const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Picks the delimiter that splits the first lines most consistently.
+ * @function detectDelimiter
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const sample = String(text || '').split(/\r\n|\n|\r/).filter((l) => l.trim() !== '').slice(0, 10);
+    let best = ',';
+    let bestScore = -1;
+    CANDIDATE_DELIMITERS.forEach((d) => {
+        const counts = sample.map((line) => parseRows(line, d)[0]?.length || 0);
+        const first = counts[0] || 0;
+        if (first < 2) return;
+        // Prefer delimiters giving the same column count on every sampled line.
+        const consistent = counts.filter((c) => c === first).length;
+        const score = consistent * 100 + first;
+        if (score > bestScore) {
+            best = d;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped.
+ * @function parseRows
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {Array<Array<string>>}
+ */
+export function parseRows(text, delimiter = ',') {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (!(row.length === 1 && row[0].trim() === '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < src.length; i += 1) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (src[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field.trim() === '') {
+            field = '';
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            endField();
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && src[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+/**
+ * Parses CSV text into headers + data rows.
+ * When hasHeader is false, headers are generated as "Column 1", "Column 2", ...
+ *
+ * @function parseCsv
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Auto-detected when omitted.
+ * @param {boolean} [options.hasHeader=true]
+ * @returns {{ headers: Array<string>, rows: Array<Array<string>>, delimiter: string }}
+ */
+export function parseCsv(text, { delimiter, hasHeader = true } = {}) {
+    const delim = delimiter || detectDelimiter(text);
+    const all = parseRows(text, delim).map((r) => r.map((c) => c.trim()));
+    if (all.length === 0) {
+        logger.info('parseCsv: empty input');
+        return { headers: [], rows: [], delimiter: delim };
+    }
+    const width = all.reduce((max, r) => Math.max(max, r.length), 0);
+    const headers = hasHeader
+        ? Array.from({ length: width }, (_, i) => all[0][i] || `Column ${i + 1}`)
+        : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    const rows = hasHeader ? all.slice(1) : all;
+    logger.info('parseCsv', { delimiter: delim, columns: width, rows: rows.length });
+    return { headers, rows, delimiter: delim };
+}
+
+const csvParser = { detectDelimiter, parseRows, parseCsv };
+
+export default csvParser;
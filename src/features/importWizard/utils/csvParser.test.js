@@ -0,0 +1,51 @@
+import { detectDelimiter, parseRows, parseCsv } from './csvParser';
+
+describe('parseRows', () => {
+    it('handles quoted fields with delimiters, doubled quotes and newlines', () => {
+        const text = 'Date,Description,Amount\n2026-10-01,"Coffee, large",-4.50\n2026-10-02,"He said ""hi""\nthen left",10';
+        expect(parseRows(text)).toEqual([
+            ['Date', 'Description', 'Amount'],
+            ['2026-10-01', 'Coffee, large', '-4.50'],
+            ['2026-10-02', 'He said "hi"\nthen left', '10'],
+        ]);
+    });
+
+    it('accepts CRLF / CR line endings, strips a BOM and skips blank lines', () => {
+        expect(parseRows('\uFEFFa,b\r\n\r\n1,2\r3,4\r\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    it('keeps empty fields', () => {
+        expect(parseRows('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']]);
+    });
+});
+
+describe('detectDelimiter', () => {
+    it('picks the delimiter that splits every line the same way', () => {
+        expect(detectDelimiter('Date;Name;Amount\n01.10.2026;Rent, October;-1200,00')).toBe(';');
+        expect(detectDelimiter('Date\tName\tAmount\n2026-10-01\tCoffee\t-4.5')).toBe('\t');
+        expect(detectDelimiter('Date|Name|Amount\n2026-10-01|Coffee|-4.5')).toBe('|');
+    });
+
+    it('falls back to a comma', () => {
+        expect(detectDelimiter('just one column')).toBe(',');
+    });
+});
+
+describe('parseCsv', () => {
+    it('splits headers from rows and trims cells', () => {
+        expect(parseCsv('Date , Amount\n 2026-10-01 , 5 ')).toEqual({
+            headers: ['Date', 'Amount'],
+            rows: [['2026-10-01', '5']],
+            delimiter: ',',
+        });
+    });
+
+    it('names columns when there is no header row or a header is missing', () => {
+        expect(parseCsv('1,2\n3,4', { hasHeader: false }).headers).toEqual(['Column 1', 'Column 2']);
+        expect(parseCsv('Date\n2026-10-01,5').headers).toEqual(['Date', 'Column 2']);
+    });
+
+    it('returns nothing for empty input', () => {
+        expect(parseCsv('')).toEqual({ headers: [], rows: [], delimiter: ',' });
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * importedTransaction
+ * Shared helpers that turn raw statement values into the transaction shape
+ * useTransactionTable builds in handleAddTransaction:
+ *   { name, amount, category, criticality, transactionDate, account, paymentMethod, memo, statementPeriod }
+ *
+ * Amounts follow the app convention: spending is positive. Importers convert
+ * the file's sign convention with normalizeSign before building rows.
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module importedTransaction
+ */
+
+import {
+    getCriticalityForCategory,
+    getDefaultPaymentMethodForAccount,
+} from '../../../config/config.js';
+
+/**
+ * SIGN_CONVENTIONS
+ * - expensePositive: file amounts already use the app convention (spending > 0)
+ * - expenseNegative: spending is negative in the file (most bank exports) -> flipped
+ * - debitCredit: separate debit (spending) and credit (refund/income) columns
+ */
+export const SIGN_CONVENTIONS = {
+    EXPENSE_POSITIVE: 'expensePositive',
+    EXPENSE_NEGATIVE: 'expenseNegative',
+    DEBIT_CREDIT: 'debitCredit',
+};
+
+/**
+ * DATE_FORMATS supported by parseDateToIso.
+ */
+export const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+/**
+ * Parses a money string: "$1,234.56", "(12.00)", "-12", "12.00-", "1.234,56" (when decimal comma).
+ * @function parseAmount
+ * @param {string|number} raw
+ * @returns {number} NaN when not parseable; 0 for blank
+ */
+export function parseAmount(raw) {
+    if (typeof raw === 'number') return raw;
+    let s = String(raw ?? '').trim();
+    if (s === '') return 0;
+    let negative = false;
+    if (/^\(.*\)$/.test(s)) {
+        negative = true;
+        s = s.slice(1, -1);
+    }
+    if (/-$/.test(s)) {
+        negative = !negative;
+        s = s.slice(0, -1);
+    }
+    s = s.replace(/[^\d.,-]/g, '');
+    if (s.startsWith('-')) {
+        negative = !negative;
+        s = s.slice(1);
+    }
+    // "1.234,56" or "12,50" -> decimal comma
+    if (/,\d{1,2}$/.test(s) && !/\.\d{1,2}$/.test(s)) {
+        s = s.replace(/\./g, '').replace(',', '.');
+    } else {
+        s = s.replace(/,/g, '');
+    }
+    if (s === '' || Number.isNaN(Number(s))) return NaN;
+    const n = Number(s);
+    return negative ? -n : n;
+}
+
+/**
+ * Converts a parsed amount to the app convention (spending positive).
+ * @function normalizeSign
+ * @param {number} amount
+ * @param {string} convention - One of SIGN_CONVENTIONS.
+ * @returns {number}
+ */
+export function normalizeSign(amount, convention) {
+    if (Number.isNaN(amount)) return amount;
+    return convention === SIGN_CONVENTIONS.EXPENSE_NEGATIVE ? -amount : amount;
+}
+
+/**
+ * Parses a date string in the given format to an ISO string at local midnight
+ * (same shape as handleAddTransaction's transactionDate).
+ *
+ * @function parseDateToIso
+ * @param {string} raw
+ * @param {string} [format='auto'] - One of DATE_FORMATS.
+ * @returns {string|null} ISO string, or null when invalid
+ */
+export function parseDateToIso(raw, format = 'auto') {
+    const s = String(raw ?? '').trim();
+    if (!s) return null;
+    let y;
+    let m;
+    let d;
+    const iso = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(s);
+    const slashed = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(s);
+    const compact = /^(\d{4})(\d{2})(\d{2})/.exec(s);
+    if (iso && (format === 'auto' || format === 'YYYY-MM-DD')) {
+        [, y, m, d] = iso;
+    } else if (slashed && format !== 'YYYY-MM-DD') {
+        const dayFirst = format === 'DD/MM/YYYY' || (format === 'auto' && Number(slashed[1]) > 12);
+        [, m, d, y] = slashed;
+        if (dayFirst) [m, d] = [d, m];
+        if (y.length === 2) y = `20${y}`;
+    } else if (compact && format === 'auto') {
+        [, y, m, d] = compact;
+    } else {
+        return null;
+    }
+    const date = new Date(Number(y), Number(m) - 1, Number(d));
+    if (
+        Number.isNaN(date.getTime()) ||
+        date.getFullYear() !== Number(y) ||
+        date.getMonth() !== Number(m) - 1 ||
+        date.getDate() !== Number(d)
+    ) {
+        return null;
+    }
+    return date.toISOString();
+}
+
+/**
+ * Builds a create-ready transaction (no id / client flags) from imported values,
+ * filling account and payment method from config when the file lacks them and
+ * deriving criticality from the category.
+ *
+ * @function buildImportedTransaction
+ * @param {Object} values - { name, amount, transactionDate, category, paymentMethod, account, memo }
+ * @param {Object} defaults - { account, statementPeriod }
+ * @returns {Object}
+ */
+export function buildImportedTransaction(values = {}, { account, statementPeriod } = {}) {
+    const resolvedAccount = String(values.account || '').trim() || account || '';
+    const category = String(values.category || '').trim();
+    return {
+        name: String(values.name || '').trim(),
+        amount: values.amount,
+        category,
+        criticality: category ? getCriticalityForCategory(category) : '',
+        transactionDate: values.transactionDate || null,
+        account: resolvedAccount,
+        paymentMethod: String(values.paymentMethod || '').trim() || getDefaultPaymentMethodForAccount(resolvedAccount) || '',
+        memo: String(values.memo || '').trim(),
+        statementPeriod,
+    };
+}
+
+/**
+ * Errors specific to imported values, reported alongside validateForCreate's.
+ * @function validateImportedValues
+ * @param {Object} tx
+ * @returns {Array<string>}
+ */
+export function validateImportedValues(tx) {
+    const errors = [];
+    if (!tx.transactionDate) errors.push('Date is missing or invalid');
+    return errors;
+}
+
+const importedTransaction = {
+    SIGN_CONVENTIONS,
+    DATE_FORMATS,
+    parseAmount,
+    normalizeSign,
+    parseDateToIso,
+    buildImportedTransaction,
+    validateImportedValues,
+};
+
+export default importedTransaction;
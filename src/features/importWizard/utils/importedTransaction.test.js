@@ -0,0 +1,76 @@
+import { SIGN_CONVENTIONS, parseAmount, normalizeSign, parseDateToIso, buildImportedTransaction } from './importedTransaction';
+
+jest.mock('../../../config/config.js', () => ({
+    getCriticalityForCategory: (category) => (category === 'Rent' ? 'Essential' : 'Nonessential'),
+    getDefaultPaymentMethodForAccount: (account) => (account ? `${account}-card` : ''),
+}));
+
+const localIso = (y, m, d) => new Date(y, m - 1, d).toISOString();
+
+describe('parseAmount', () => {
+    it.each([
+        ['$1,234.56', 1234.56],
+        ['(12.00)', -12],
+        ['-12', -12],
+        ['12.00-', -12],
+        ['1.234,56', 1234.56],
+        ['12,50', 12.5],
+        [' 7 ', 7],
+        ['', 0],
+        [42, 42],
+    ])('%p -> %p', (raw, expected) => {
+        expect(parseAmount(raw)).toBe(expected);
+    });
+
+    it('returns NaN for text', () => {
+        expect(parseAmount('n/a')).toBeNaN();
+    });
+});
+
+describe('normalizeSign', () => {
+    it('flips only expense-negative files', () => {
+        expect(normalizeSign(-5, SIGN_CONVENTIONS.EXPENSE_NEGATIVE)).toBe(5);
+        expect(normalizeSign(-5, SIGN_CONVENTIONS.EXPENSE_POSITIVE)).toBe(-5);
+        expect(normalizeSign(NaN, SIGN_CONVENTIONS.EXPENSE_NEGATIVE)).toBeNaN();
+    });
+});
+
+describe('parseDateToIso', () => {
+    it('reads ISO, compact and slashed dates at local midnight', () => {
+        expect(parseDateToIso('2026-10-05')).toBe(localIso(2026, 10, 5));
+        expect(parseDateToIso('20261005')).toBe(localIso(2026, 10, 5));
+        expect(parseDateToIso('10/05/2026')).toBe(localIso(2026, 10, 5));
+        expect(parseDateToIso('10/05/26')).toBe(localIso(2026, 10, 5));
+    });
+
+    it('treats the first part as the day when it cannot be a month, or when asked to', () => {
+        expect(parseDateToIso('25/10/2026')).toBe(localIso(2026, 10, 25));
+        expect(parseDateToIso('05/10/2026', 'DD/MM/YYYY')).toBe(localIso(2026, 10, 5));
+    });
+
+    it('rejects impossible dates and formats that do not match', () => {
+        expect(parseDateToIso('2026-02-30')).toBeNull();
+        expect(parseDateToIso('10/05/2026', 'YYYY-MM-DD')).toBeNull();
+        expect(parseDateToIso('yesterday')).toBeNull();
+        expect(parseDateToIso('')).toBeNull();
+    });
+});
+
+describe('buildImportedTransaction', () => {
+    it('fills account, payment method and criticality the file does not provide', () => {
+        expect(buildImportedTransaction(
+            { name: ' Landlord ', amount: 1500, category: 'Rent', transactionDate: '2026-10-01T00:00:00.000Z' },
+            { account: 'joint', statementPeriod: 'OCTOBER2026' },
+        )).toEqual({
+            name: 'Landlord',
+            amount: 1500,
+            category: 'Rent',
+            criticality: 'Essential',
+            transactionDate: '2026-10-01T00:00:00.000Z',
+            account: 'joint',
+            paymentMethod: 'joint-card',
+            memo: '',
+            statementPeriod: 'OCTOBER2026',
+        });
+    });
+});
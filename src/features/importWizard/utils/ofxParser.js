@@ -0,0 +1,145 @@
+/**
+ * ofxParser
+ * Parses OFX 1.x (SGML), OFX 2.x (XML) and QFX (Quicken's OFX flavour) statements.
+ *
+ * Aggregates such as <STMTTRN>...</STMTTRN> are closed in every variant, while
+ * SGML leaf elements (<TRNAMT>-12.50) usually are not, so leaves are read with a
+ * pattern that stops at the next tag or line break.
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module ofxParser
+ */
+
+const logger = {
+    info: (...args) => console.log('[ofxParser]', ...args),
+    error: (...args) => console.error('[ofxParser]', ...args),
+};
+
+/**
+ * Decodes the handful of entities OFX files use.
+ * @param {string} s
+ * @returns {string}
+ */
+function decodeEntities(s) {
+    return String(s)
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads the first leaf value for a tag inside a block.
+ * @param {string} block
+ * @param {string} tag
+ * @returns {string}
+ */
+function leaf(block, tag) {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? decodeEntities(match[1].trim()) : '';
+}
+
+/**
+ * Returns every <TAG>...</TAG> aggregate body.
+ * @param {string} text
+ * @param {string} tag
+ * @returns {Array<string>}
+ */
+function aggregates(text, tag) {
+    const out = [];
+    const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+    let m = re.exec(text);
+    while (m) {
+        out.push(m[1]);
+        m = re.exec(text);
+    }
+    return out;
+}
+
+/**
+ * Converts an OFX date (YYYYMMDD[HHMMSS[.XXX]][[+-]TZ:NAME]) to an ISO string at
+ * local midnight, matching handleAddTransaction's transactionDate shape.
+ * @function parseOfxDate
+ * @param {string} raw
+ * @returns {string|null}
+ */
+export function parseOfxDate(raw) {
+    const m = /^(\d{4})(\d{2})(\d{2})/.exec(String(raw || '').trim());
+    if (!m) return null;
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Whether text looks like an OFX/QFX document.
+ * @function isOfx
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isOfx(text) {
+    return /OFXHEADER|<\?OFX|<OFX>/i.test(String(text || '').slice(0, 2000));
+}
+
+/**
+ * Parses an OFX/QFX statement.
+ *
+ * Amounts are returned as in the file (OFX: spending is negative).
+ *
+ * @function parseOfx
+ * @param {string} text
+ * @returns {{
+ *   accounts: Array<{ acctId: string, acctType: string, bankId: string, kind: 'bank'|'creditcard' }>,
+ *   transactions: Array<{ fitId: string, type: string, datePosted: string|null, amount: number,
+ *                         name: string, memo: string, checkNum: string, acctId: string }>
+ * }}
+ */
+export function parseOfx(text) {
+    const src = String(text || '');
+    const bodyStart = src.search(/<OFX>/i);
+    const body = bodyStart >= 0 ? src.slice(bodyStart) : src;
+
+    const accounts = [];
+    const transactions = [];
+
+    // Bank and credit card statements each wrap their own account + transaction list.
+    const statements = [
+        ...aggregates(body, 'STMTRS').map((s) => ({ s, kind: 'bank', from: 'BANKACCTFROM' })),
+        ...aggregates(body, 'CCSTMTRS').map((s) => ({ s, kind: 'creditcard', from: 'CCACCTFROM' })),
+    ];
+    // Some exporters omit the statement wrapper; fall back to the whole document.
+    if (statements.length === 0) statements.push({ s: body, kind: 'bank', from: 'BANKACCTFROM' });
+
+    statements.forEach(({ s, kind, from }) => {
+        const acctBlock = aggregates(s, from)[0] || '';
+        const account = {
+            acctId: leaf(acctBlock, 'ACCTID'),
+            acctType: leaf(acctBlock, 'ACCTTYPE') || (kind === 'creditcard' ? 'CREDITCARD' : ''),
+            bankId: leaf(acctBlock, 'BANKID'),
+            kind,
+        };
+        accounts.push(account);
+        aggregates(s, 'STMTTRN').forEach((t) => {
+            const amount = Number(leaf(t, 'TRNAMT').replace(/,/g, ''));
+            transactions.push({
+                fitId: leaf(t, 'FITID'),
+                type: leaf(t, 'TRNTYPE'),
+                datePosted: parseOfxDate(leaf(t, 'DTPOSTED') || leaf(t, 'DTUSER')),
+                amount: Number.isFinite(amount) ? amount : NaN,
+                name: leaf(t, 'NAME') || leaf(t, 'PAYEE') || leaf(t, 'MEMO'),
+                memo: leaf(t, 'MEMO'),
+                checkNum: leaf(t, 'CHECKNUM'),
+                acctId: account.acctId,
+            });
+        });
+    });
+
+    logger.info('parseOfx', { accounts: accounts.length, transactions: transactions.length });
+    return { accounts, transactions };
+}
+
+const ofxParser = { isOfx, parseOfx, parseOfxDate };
+
+export default ofxParser;
@@ -0,0 +1,99 @@
+import { isOfx, parseOfx, parseOfxDate } from './ofxParser';
+
+const localIso = (y, m, d) => new Date(y, m - 1, d).toISOString();
+
+// OFX 1.x: SGML header, unclosed leaf elements
+const SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKACCTFROM>
+<BANKID>123456789
+<ACCTID>000111222
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20261005120000.000[-5:EST]
+<TRNAMT>-1,234.50
+<FITID>A1
+<NAME>Rent &amp; Fees
+<MEMO>October
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CHECK
+<DTUSER>20261007
+<TRNAMT>-40
+<FITID>A2
+<CHECKNUM>1001
+<MEMO>Check only has a memo
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+// OFX 2.x: XML, credit card statement
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="211"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CCACCTFROM><ACCTID>4111111111111234</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>CREDIT</TRNTYPE><DTPOSTED>20261001</DTPOSTED><TRNAMT>15.00</TRNAMT><FITID>C1</FITID><NAME>Refund</NAME></STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+describe('isOfx', () => {
+    it('recognises SGML and XML headers', () => {
+        expect(isOfx(SGML)).toBe(true);
+        expect(isOfx(XML)).toBe(true);
+        expect(isOfx('!Type:Bank\nD10/05/2026\n^')).toBe(false);
+    });
+});
+
+describe('parseOfxDate', () => {
+    it('keeps the calendar date and drops time and zone', () => {
+        expect(parseOfxDate('20261005235959.000[-8:PST]')).toBe(localIso(2026, 10, 5));
+        expect(parseOfxDate('garbage')).toBeNull();
+    });
+});
+
+describe('parseOfx', () => {
+    it('reads SGML bank statements with unclosed leaves', () => {
+        const { accounts, transactions } = parseOfx(SGML);
+        expect(accounts).toEqual([{ acctId: '000111222', acctType: 'CHECKING', bankId: '123456789', kind: 'bank' }]);
+        expect(transactions).toEqual([
+            {
+                fitId: 'A1',
+                type: 'DEBIT',
+                datePosted: localIso(2026, 10, 5),
+                amount: -1234.5,
+                name: 'Rent & Fees',
+                memo: 'October',
+                checkNum: '',
+                acctId: '000111222',
+            },
+            {
+                fitId: 'A2',
+                type: 'CHECK',
+                datePosted: localIso(2026, 10, 7),
+                amount: -40,
+                name: 'Check only has a memo',
+                memo: 'Check only has a memo',
+                checkNum: '1001',
+                acctId: '000111222',
+            },
+        ]);
+    });
+
+    it('reads XML credit card statements', () => {
+        const { accounts, transactions } = parseOfx(XML);
+        expect(accounts).toEqual([{ acctId: '4111111111111234', acctType: 'CREDITCARD', bankId: '', kind: 'creditcard' }]);
+        expect(transactions.map((t) => [t.fitId, t.amount, t.name, t.datePosted])).toEqual([
+            ['C1', 15, 'Refund', localIso(2026, 10, 1)],
+        ]);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * qifParser
+ * Parses Quicken Interchange Format (QIF) statements.
+ *
+ * A QIF file is a "!Type:Bank" / "!Type:CCard" header followed by records of
+ * single-letter fields, each record terminated by "^":
+ *   D date, T/U amount, P payee, M memo, L category, N check number.
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module qifParser
+ */
+
+import { parseAmount, parseDateToIso } from './importedTransaction';
+
+const logger = {
+    info: (...args) => console.log('[qifParser]', ...args),
+    error: (...args) => console.error('[qifParser]', ...args),
+};
+
+/**
+ * Converts a QIF date to an ISO string at local midnight.
+ * Handles "10/05/2026", "10/5'26", "10-05-26" and " 5/10/26" (Quicken pads with spaces).
+ *
+ * @function parseQifDate
+ * @param {string} raw
+ * @returns {string|null}
+ */
+export function parseQifDate(raw) {
+    const s = String(raw || '').trim().replace(/\s+/g, '');
+    const m = /^(\d{1,2})[/.-](\d{1,2})(?:[/.-]|')(\d{2,4})$/.exec(s);
+    if (!m) return parseDateToIso(s);
+    let year = m[3];
+    // Quicken writes years after 1999 as 'YY (apostrophe); two-digit years are 20YY.
+    if (year.length === 2) year = `20${year}`;
+    return parseDateToIso(`${m[1]}/${m[2]}/${year}`, 'MM/DD/YYYY');
+}
+
+/**
+ * Whether text looks like a QIF document.
+ * @function isQif
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isQif(text) {
+    return /^\s*!(Type|Account|Option)/i.test(String(text || '').replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Strips QIF category decorations: transfers are "[Account]", classes follow "/".
+ * @param {string} raw
+ * @returns {string}
+ */
+function cleanCategory(raw) {
+    const s = String(raw || '').split('/')[0].trim();
+    if (/^\[.*\]$/.test(s)) return '';
+    return s;
+}
+
+/**
+ * Parses a QIF statement.
+ *
+ * Amounts are returned as in the file (QIF: spending is negative).
+ *
+ * @function parseQif
+ * @param {string} text
+ * @returns {{
+ *   accountType: string,
+ *   accountName: string,
+ *   transactions: Array<{ date: string|null, rawDate: string, amount: number, payee: string,
+ *                         memo: string, category: string, checkNum: string }>
+ * }}
+ */
+export function parseQif(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\n|\r/);
+    let accountType = '';
+    let accountName = '';
+    let inAccountBlock = false;
+    let current = {};
+    const transactions = [];
+
+    const flush = () => {
+        if (Object.keys(current).length === 0) return;
+        transactions.push({
+            date: parseQifDate(current.D),
+            rawDate: current.D || '',
+            amount: parseAmount(current.T ?? current.U ?? ''),
+            payee: (current.P || current.M || '').trim(),
+            memo: (current.M || '').trim(),
+            category: cleanCategory(current.L),
+            checkNum: (current.N || '').trim(),
+        });
+        current = {};
+    };
+
+    lines.forEach((line) => {
+        if (!line.trim()) return;
+        if (line.startsWith('!')) {
+            const header = line.slice(1).trim();
+            if (/^Account/i.test(header)) {
+                inAccountBlock = true;
+            } else if (/^Type:/i.test(header)) {
+                accountType = header.slice(5).trim();
+                inAccountBlock = false;
+            }
+            return;
+        }
+        const code = line[0];
+        const value = line.slice(1);
+        if (code === '^') {
+            if (inAccountBlock) {
+                inAccountBlock = false;
+                current = {};
+            } else {
+                flush();
+            }
+            return;
+        }
+        if (inAccountBlock) {
+            if (code === 'N') accountName = value.trim();
+            return;
+        }
+        // Split lines (S/E/$) belong to the parent record; only the parent total is imported.
+        if ('SE$'.includes(code)) return;
+        if (current[code] === undefined) current[code] = value;
+    });
+    // Tolerate a missing trailing "^"
+    flush();
+
+    logger.info('parseQif', { accountType, transactions: transactions.length });
+    return { accountType, accountName, transactions };
+}
+
+const qifParser = { isQif, parseQif, parseQifDate };
+
+export default qifParser;
@@ -0,0 +1,89 @@
+import { isQif, parseQif, parseQifDate } from './qifParser';
+
+jest.mock('../../../config/config.js', () => ({
+    getCriticalityForCategory: () => '',
+    getDefaultPaymentMethodForAccount: () => '',
+}));
+
+const localIso = (y, m, d) => new Date(y, m - 1, d).toISOString();
+
+const QIF = `!Account
+NEveryday Checking
+TBank
+^
+!Type:Bank
+D10/05'26
+T-1,234.50
+PLandlord
+MOctober rent
+LHousing:Rent/Home
+N1001
+^
+D 10/ 7/2026
+U25.00
+MNo payee
+L[Savings]
+^
+D10/09/2026
+T-60.00
+PGrocer
+LSplit
+SFood
+$-40.00
+SHousehold
+$-20.00
+`;
+
+describe('isQif', () => {
+    it('recognises QIF headers', () => {
+        expect(isQif('\uFEFF!Type:CCard\n')).toBe(true);
+        expect(isQif('Date,Amount\n')).toBe(false);
+    });
+});
+
+describe('parseQifDate', () => {
+    it('reads Quicken date variants as month/day', () => {
+        expect(parseQifDate("10/5'26")).toBe(localIso(2026, 10, 5));
+        expect(parseQifDate(' 5/10/26')).toBe(localIso(2026, 5, 10));
+        expect(parseQifDate('10-05-2026')).toBe(localIso(2026, 10, 5));
+        expect(parseQifDate('2026-10-05')).toBe(localIso(2026, 10, 5));
+        expect(parseQifDate('13/45/26')).toBeNull();
+    });
+});
+
+describe('parseQif', () => {
+    it('reads the account block, records and category decorations', () => {
+        const { accountType, accountName, transactions } = parseQif(QIF);
+        expect(accountType).toBe('Bank');
+        expect(accountName).toBe('Everyday Checking');
+        expect(transactions).toEqual([
+            {
+                date: localIso(2026, 10, 5),
+                rawDate: "10/05'26",
+                amount: -1234.5,
+                payee: 'Landlord',
+                memo: 'October rent',
+                category: 'Housing:Rent',
+                checkNum: '1001',
+            },
+            {
+                date: localIso(2026, 10, 7),
+                rawDate: ' 10/ 7/2026',
+                amount: 25,
+                payee: 'No payee',
+                memo: 'No payee',
+                category: '',
+                checkNum: '',
+            },
+            {
+                date: localIso(2026, 10, 9),
+                rawDate: '10/09/2026',
+                amount: -60,
+                payee: 'Grocer',
+                memo: '',
+                category: 'Split',
+                checkNum: '',
+            },
+        ]);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * statementFile
+ * Turns OFX / QFX / QIF statement files into create-ready transactions
+ * (the handleAddTransaction shape, via buildImportedTransaction).
+ *
+ * Statement files carry their own structure, so unlike CSV no column mapping
+ * is needed. What they usually lack is the app's account and payment method:
+ * - payment method: a configured method whose name contains the file's account
+ *   number last-4 (e.g. "Visa 1234"), else getDefaultPaymentMethodForAccount
+ * - account: a configured account matching the QIF account name, else the
+ *   table's current account
+ * QIF categories ("Food:Groceries") are kept only when they match a configured
+ * category, in full or by their top-level part.
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module statementFile
+ */
+
+import { getAccounts, getCategories, getPaymentMethods } from '../../../config/config.js';
+import { SIGN_CONVENTIONS, normalizeSign, buildImportedTransaction } from './importedTransaction';
+import { isOfx, parseOfx } from './ofxParser';
+import { isQif, parseQif } from './qifParser';
+
+export const STATEMENT_FORMATS = {
+    OFX: 'ofx',
+    QFX: 'qfx',
+    QIF: 'qif',
+};
+
+/** Extensions accepted by the toolbar's file input, statement formats included. */
+export const IMPORT_FILE_ACCEPT = '.csv,.ofx,.qfx,.qif';
+
+/**
+ * Returns the file's extension, lower-cased without the dot.
+ * @param {string} fileName
+ * @returns {string}
+ */
+function extensionOf(fileName) {
+    const m = /\.([^.]+)$/.exec(String(fileName || ''));
+    return m ? m[1].toLowerCase() : '';
+}
+
+/**
+ * Whether a file should use the statement import instead of the CSV wizard.
+ * @function isStatementFile
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isStatementFile(fileName) {
+    return Object.values(STATEMENT_FORMATS).includes(extensionOf(fileName));
+}
+
+/**
+ * Detects the statement format from the extension, falling back to content sniffing.
+ * @function detectStatementFormat
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {string|null} One of STATEMENT_FORMATS, or null when unrecognised.
+ */
+export function detectStatementFormat(fileName, text) {
+    const ext = extensionOf(fileName);
+    if (ext === STATEMENT_FORMATS.QIF || isQif(text)) return STATEMENT_FORMATS.QIF;
+    if (ext === STATEMENT_FORMATS.QFX) return STATEMENT_FORMATS.QFX;
+    if (ext === STATEMENT_FORMATS.OFX || isOfx(text)) return STATEMENT_FORMATS.OFX;
+    return null;
+}
+
+/**
+ * Finds a configured payment method for a file's account number (by last 4 digits).
+ * @function matchPaymentMethod
+ * @param {string} acctId
+ * @returns {string} '' when nothing matches
+ */
+export function matchPaymentMethod(acctId) {
+    const digits = String(acctId || '').replace(/\D/g, '');
+    if (digits.length < 4) return '';
+    const last4 = digits.slice(-4);
+    return getPaymentMethods().find((pm) => pm.replace(/\D/g, '').endsWith(last4)) || '';
+}
+
+/**
+ * Finds a configured account by name (case-insensitive).
+ * @function matchAccount
+ * @param {string} name
+ * @returns {string} '' when nothing matches
+ */
+export function matchAccount(name) {
+    const needle = String(name || '').trim().toLowerCase();
+    if (!needle) return '';
+    return getAccounts().find((a) => a.toLowerCase() === needle) || '';
+}
+
+/**
+ * Finds a configured category for a QIF category (full name, then top-level part).
+ * @function matchCategory
+ * @param {string} raw
+ * @returns {string} '' when nothing matches
+ */
+export function matchCategory(raw) {
+    const candidates = [String(raw || '').trim(), String(raw || '').split(':')[0].trim()]
+        .filter(Boolean)
+        .map((c) => c.toLowerCase());
+    if (candidates.length === 0) return '';
+    const categories = getCategories();
+    for (const c of candidates) {
+        const hit = categories.find((cat) => cat.toLowerCase() === c);
+        if (hit) return hit;
+    }
+    return '';
+}
+
+/**
+ * Parses a statement file into create-ready rows.
+ *
+ * @function parseStatementFile
+ * @param {string} fileName
+ * @param {string} text
+ * @param {Object} defaults - { account, statementPeriod }
+ * @returns {{ format: string|null, rows: Array<{ sourceIndex: number, raw: Object, tx: Object }> }}
+ */
+export function parseStatementFile(fileName, text, defaults = {}) {
+    const format = detectStatementFormat(fileName, text);
+    if (!format) return { format: null, rows: [] };
+
+    if (format === STATEMENT_FORMATS.QIF) {
+        const { accountName, transactions } = parseQif(text);
+        const account = matchAccount(accountName);
+        const rows = transactions.map((t, sourceIndex) => ({
+            sourceIndex,
+            raw: t,
+            tx: buildImportedTransaction({
+                name: t.payee,
+                amount: normalizeSign(t.amount, SIGN_CONVENTIONS.EXPENSE_NEGATIVE),
+                transactionDate: t.date,
+                category: matchCategory(t.category),
+                account,
+                memo: t.memo && t.memo !== t.payee ? t.memo : '',
+            }, defaults),
+        }));
+        return { format, rows };
+    }
+
+    const { transactions } = parseOfx(text);
+    const rows = transactions.map((t, sourceIndex) => ({
+        sourceIndex,
+        raw: t,
+        tx: buildImportedTransaction({
+            name: t.name,
+            amount: normalizeSign(t.amount, SIGN_CONVENTIONS.EXPENSE_NEGATIVE),
+            transactionDate: t.datePosted,
+            paymentMethod: matchPaymentMethod(t.acctId),
+            memo: t.memo && t.memo !== t.name ? t.memo : '',
+        }, defaults),
+    }));
+    return { format, rows };
+}
+
+const statementFile = {
+    STATEMENT_FORMATS,
+    IMPORT_FILE_ACCEPT,
+    isStatementFile,
+    detectStatementFormat,
+    matchPaymentMethod,
+    matchAccount,
+    matchCategory,
+    parseStatementFile,
+};
+
+export default statementFile;
@@ -0,0 +1,154 @@
+/**
+ * CardCyclesPanel
+ * - Cards section of the payments screen: upcoming due dates, and per card the billing
+ *   cycle for the selected statement period, its charges, credit-limit utilization and
+ *   payment status, with a toggle to mark the payment paid.
+ * - UI only; logic lives in useCardCycles.
+ *
+ * @module CardCyclesPanel
+ * @param {Object} props
+ * @param {Object} props.cardCycles - state / actions from useCardCycles
+ * @returns {JSX.Element}
+ */
+import React from "react";
+import styles from "../styles/CardCyclesPanel.module.css";
+import { DUE_STATUS } from "../utils/cardCycles";
+
+/**
+ * Logger for CardCyclesPanel.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[CardCyclesPanel]', ...args),
+    error: (...args) => console.error('[CardCyclesPanel]', ...args),
+};
+
+const money = (n) => `${n < 0 ? "-" : ""}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+
+/**
+ * "Oct 21" from a YYYY-MM-DD key.
+ * @param {string} dateKey
+ * @returns {string}
+ */
+const shortDate = (dateKey) => {
+    const [y, m, d] = String(dateKey).split("-").map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+};
+
+/**
+ * @param {{status: string, daysUntilDue: number|null}} row
+ * @returns {string}
+ */
+const statusText = ({ status, daysUntilDue }) => {
+    const when = daysUntilDue === 0 ? "today" : daysUntilDue === 1 ? "tomorrow" : `in ${daysUntilDue} days`;
+    switch (status) {
+        case DUE_STATUS.PAID: return "Paid";
+        case DUE_STATUS.AUTOPAY: return daysUntilDue < 0 ? "Autopay" : `Autopay ${when}`;
+        case DUE_STATUS.OVERDUE: return `Overdue by ${-daysUntilDue} day${daysUntilDue === -1 ? "" : "s"}`;
+        case DUE_STATUS.DUE_SOON:
+        case DUE_STATUS.UPCOMING: return `Due ${when}`;
+        default: return "No due day set";
+    }
+};
+
+/**
+ * Class for a utilization level (30% and 70% are the usual warning thresholds).
+ * @param {number} ratio
+ * @returns {string}
+ */
+const utilizationClass = (ratio) => (ratio >= 0.7 ? styles.high : ratio >= 0.3 ? styles.medium : styles.low);
+
+export default function CardCyclesPanel({ cardCycles }) {
+    const { statementPeriod, closingMonthLabel, rows, upcoming, loading, error, pendingCard, setPaid } = cardCycles;
+
+    logger.info("Rendering CardCyclesPanel", { statementPeriod, cards: rows.length, upcoming: upcoming.length, loading });
+
+    return (
+        <div className={styles.panel}>
+            <div className={styles.headerRow}>
+                <h2 className={styles.heading}>Cards</h2>
+                <span className={styles.muted}>Cycles closing in {closingMonthLabel || statementPeriod}</span>
+            </div>
+
+            {/* Upcoming due dates */}
+            {upcoming.length > 0 && (
+                <ul className={styles.upcoming} aria-label="Upcoming payments">
+                    {upcoming.map((row) => (
+                        <li key={row.key} className={`${styles.upcomingItem} ${styles[row.status] || ""}`}>
+                            <strong>{row.name}</strong>
+                            <span>{money(row.balance)} due {shortDate(row.cycle.dueDate)}</span>
+                            <span className={styles.muted}>{statusText(row)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {rows.length === 0 ? (
+                <div className={styles.muted}>No payment methods configured.</div>
+            ) : (
+                <table className={styles.table}>
+                    <thead>
+                    <tr>
+                        <th>Card</th>
+                        <th>Cycle</th>
+                        <th>Charges</th>
+                        <th>Utilization</th>
+                        <th>Due</th>
+                        <th>Status</th>
+                        <th aria-label="Actions" />
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {rows.map((row) => (
+                        <tr key={row.key}>
+                            <td>
+                                {row.name}
+                                {row.autopay && <span className={styles.badge}>Autopay</span>}
+                            </td>
+                            <td>
+                                {row.cycle ? `${shortDate(row.cycle.start)} – ${shortDate(row.cycle.end)}` : "—"}
+                                {row.cycle?.calendarMonth && <span className={styles.muted}> (calendar month)</span>}
+                            </td>
+                            <td>
+                                {loading ? "…" : money(row.balance)}
+                                {!loading && row.count > 0 && <span className={styles.muted}> · {row.count}</span>}
+                            </td>
+                            <td>
+                                {row.utilization === null ? (
+                                    <span className={styles.muted}>No limit set</span>
+                                ) : (
+                                    <div className={styles.utilization} title={`${money(row.balance)} of ${money(row.creditLimit)}`}>
+                                        <div className={styles.bar}>
+                                            <div
+                                                className={`${styles.fill} ${utilizationClass(row.utilization)}`}
+                                                style={{ width: `${Math.min(row.utilization, 1) * 100}%` }}
+                                            />
+                                        </div>
+                                        <span>{Math.round(row.utilization * 100)}%</span>
+                                    </div>
+                                )}
+                            </td>
+                            <td>{row.cycle?.dueDate ? shortDate(row.cycle.dueDate) : "—"}</td>
+                            <td className={styles[row.status] || ""}>
+                                {statusText(row)}
+                                {row.paidMark?.amount != null && <span className={styles.muted}> ({money(row.paidMark.amount)})</span>}
+                            </td>
+                            <td>
+                                <button
+                                    type="button"
+                                    className={row.paidMark ? styles.linkBtn : styles.primaryBtn}
+                                    onClick={() => setPaid(row, !row.paidMark)}
+                                    disabled={Boolean(pendingCard)}
+                                >
+                                    {row.paidMark ? "Mark unpaid" : "Mark paid"}
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                    </tbody>
+                </table>
+            )}
+            {error && <div className={styles.error}>Error: {error.message || String(error)}</div>}
+        </div>
+    );
+}
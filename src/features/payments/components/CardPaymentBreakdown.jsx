@@ -7,6 +7,7 @@
  * @param {Object} props
  * @param {string} props.card - Card name (lowercase)
  * @param {Array<string>} props.users - Array of user names (lowercase)
+ * @param {Object<string, string>} [props.userLabels] - Display name per user
  * @param {Object} props.breakdowns - breakdowns[user]: [{ category, amount, type }]
  * @param {boolean} [props.loading] - Show loading spinner
  * @param {Error|null} [props.error] - Error object if data fetch failed
@@ -25,7 +26,7 @@ const logger = {
     error: (...args) => console.error('[CardPaymentBreakdown]', ...args),
 };
 
-export default function CardPaymentBreakdown({ card, users, breakdowns, loading = false, error = null }) {
+export default function CardPaymentBreakdown({ card, users, userLabels = {}, breakdowns, loading = false, error = null }) {
     logger.info("Rendering CardPaymentBreakdown", { card, users, breakdowns, loading, error });
 
     return (
@@ -36,6 +37,7 @@ export default function CardPaymentBreakdown({ card, users, breakdowns, loading
                     <UserCategoryTable
                         key={user}
                         user={user}
+                        label={userLabels[user]}
                         card={card}
                         categories={breakdowns?.[user] || []}
                         loading={loading}
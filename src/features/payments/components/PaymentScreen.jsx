@@ -1,7 +1,7 @@
 /**
  * PaymentScreen
  * - Top-level payments screen, wrapped in StatementPeriodProvider.
- * - Presents a static shell with summary and breakdown sections.
+ * - Presents a static shell with summary, cards, settle-up and breakdown sections.
  * - Matches UX and layout conventions from TransactionTable and other screens.
  *
  * @module PaymentScreen
@@ -10,9 +10,13 @@
 import React from "react";
 import PaymentSummaryTable from "./PaymentSummaryTable";
 import CardPaymentBreakdown from "./CardPaymentBreakdown";
+import SettleUpPanel from "./SettleUpPanel";
+import CardCyclesPanel from "./CardCyclesPanel";
 import styles from "../styles/PaymentScreen.module.css";
 import { StatementPeriodProvider } from "../../../context/StatementPeriodProvider";
 import { usePaymentsData } from "../hooks/usePaymentsData";
+import useSettleUp from "../hooks/useSettleUp";
+import useCardCycles from "../hooks/useCardCycles";
 
 /**
  * Logger for PaymentScreen component.
@@ -31,7 +35,9 @@ const logger = {
  * @returns {JSX.Element}
  */
 const PaymentScreenContent = () => {
-    const { cards, users, payments, breakdowns, loading, error } = usePaymentsData();
+    const { cards, users, userLabels, payments, breakdowns, loading, error } = usePaymentsData();
+    const cardCycles = useCardCycles();
+    const settleUp = useSettleUp();
 
     logger.info("Rendering PaymentScreenContent", { cards, users, payments, breakdowns, loading, error });
 
@@ -41,7 +47,7 @@ const PaymentScreenContent = () => {
             <div className={styles.summarySection}>
                 <div className={styles.appCard}>
                     <h2 style={{marginBottom: '10px', color: "var(--accent, #7fb7db)"}}>Payments Summary</h2>
-                    <PaymentSummaryTable cards={cards} users={users} payments={payments} />
+                    <PaymentSummaryTable cards={cards} users={users} userLabels={userLabels} payments={payments} />
                     {loading && (
                         <div className={styles.loading}>Loading payments…</div>
                     )}
@@ -50,6 +56,18 @@ const PaymentScreenContent = () => {
                     )}
                 </div>
             </div>
+            {/* Card cycles, due dates and utilization */}
+            <div className={styles.summarySection}>
+                <div className={styles.appCard}>
+                    <CardCyclesPanel cardCycles={cardCycles} />
+                </div>
+            </div>
+            {/* Settle-up between members */}
+            <div className={styles.summarySection}>
+                <div className={styles.appCard}>
+                    <SettleUpPanel settleUp={settleUp} />
+                </div>
+            </div>
             {/* Breakdown cards */}
             <div className={styles.breakdownSection}>
                 {cards.length === 0 ? (
@@ -62,6 +80,7 @@ const PaymentScreenContent = () => {
                             <CardPaymentBreakdown
                                 card={card}
                                 users={users}
+                                userLabels={userLabels}
                                 breakdowns={breakdowns[card]}
                             />
                             {loading && (
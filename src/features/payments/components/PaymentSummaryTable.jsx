@@ -7,6 +7,7 @@
  * @param {Object} props
  * @param {Array<string>} props.cards - Array of card names (lowercase)
  * @param {Array<string>} props.users - Array of user names (lowercase)
+ * @param {Object<string, string>} [props.userLabels] - Display name per user
  * @param {Object} props.payments - payments[card][user]: amount
  * @param {boolean} [props.loading] - Show loading spinner
  * @param {Error|null} [props.error] - Error object if data fetch failed
@@ -14,6 +15,7 @@
  */
 import React from "react";
 import styles from "../styles/PaymentSummaryTable.module.css";
+import { userTotals as totalsByUser } from "../utils/paymentSummary";
 
 /**
  * Logger for PaymentSummaryTable.
@@ -24,18 +26,12 @@ const logger = {
     error: (...args) => console.error('[PaymentSummaryTable]', ...args),
 };
 
-export default function PaymentSummaryTable({ cards, users, payments, loading = false, error = null }) {
+export default function PaymentSummaryTable({ cards, users, userLabels = {}, payments, loading = false, error = null }) {
     /**
      * Calculates total owed per user across all cards.
      * @type {Object}
      */
-    const userTotals = users.reduce((acc, user) => {
-        acc[user] = cards.reduce(
-            (sum, card) => sum + (payments?.[card]?.[user] || 0),
-            0
-        );
-        return acc;
-    }, {});
+    const userTotals = totalsByUser(cards, users, payments);
 
     logger.info("Rendering PaymentSummaryTable", { cards, users, payments, userTotals, loading, error });
 
@@ -47,7 +43,7 @@ export default function PaymentSummaryTable({ cards, users, payments, loading =
                     <tr>
                         <th>Card</th>
                         {users.map(u => (
-                            <th key={u}>{u.charAt(0).toUpperCase() + u.slice(1)}'s Payment</th>
+                            <th key={u}>{userLabels[u] || u.charAt(0).toUpperCase() + u.slice(1)}'s Payment</th>
                         ))}
                     </tr>
                     </thead>
@@ -0,0 +1,276 @@
+/**
+ * SettleUpPanel
+ * - Settle-up card on the payments screen: what each member paid for joint expenses
+ *   versus their agreed share, balances carried in from earlier periods, and who owes whom.
+ * - Settings for the share method (equal, income-proportional, custom percentages), who pays
+ *   each card, and the period balances carry forward from.
+ * - Records settlement payments for the selected period.
+ * - UI only; logic lives in useSettleUp.
+ *
+ * @module SettleUpPanel
+ * @param {Object} props
+ * @param {Object} props.settleUp - state / actions from useSettleUp
+ * @returns {JSX.Element}
+ */
+import React from "react";
+import styles from "../styles/SettleUpPanel.module.css";
+import { SHARE_METHODS, SHARE_METHOD_LABELS } from "../utils/settleUp";
+
+/**
+ * Logger for SettleUpPanel.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[SettleUpPanel]', ...args),
+    error: (...args) => console.error('[SettleUpPanel]', ...args),
+};
+
+const money = (n) => `${n < 0 ? "-" : ""}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+const title = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : "");
+
+export default function SettleUpPanel({ settleUp }) {
+    const {
+        members,
+        memberLabels,
+        cards,
+        cardOwners,
+        settings,
+        shares,
+        shareError,
+        statementPeriod,
+        ledger,
+        current,
+        transfers,
+        startPeriodOptions,
+        loading,
+        error,
+        updateSettings,
+        draft,
+        setDraftField,
+        fillFromTransfer,
+        recordSettlement,
+        recording,
+        recordError,
+        deleteSettlement,
+    } = settleUp;
+    const label = (m) => memberLabels[m] || title(m);
+    const carrying = ledger.length > 1;
+
+    logger.info("Rendering SettleUpPanel", { statementPeriod, periods: ledger.length, transfers, loading });
+
+    if (members.length < 2) {
+        return (
+            <div className={styles.panel}>
+                <h2 className={styles.heading}>Settle Up</h2>
+                <div className={styles.muted}>Settle-up needs at least two household members in Settings.</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.panel}>
+            <div className={styles.headerRow}>
+                <h2 className={styles.heading}>Settle Up</h2>
+                <span className={styles.muted}>
+                    {carrying ? `${ledger[0].period} – ${statementPeriod}` : statementPeriod}
+                </span>
+            </div>
+
+            {/* Net result */}
+            <div className={styles.result} role="status">
+                {loading ? (
+                    <span className={styles.muted}>Loading joint expenses…</span>
+                ) : transfers.length === 0 ? (
+                    <span className={styles.settled}>All settled up.</span>
+                ) : (
+                    transfers.map((t) => (
+                        <div key={`${t.from}-${t.to}`} className={styles.transfer}>
+                            <span><strong>{label(t.from)}</strong> owes <strong>{label(t.to)}</strong> {money(t.amount)}</span>
+                            <button type="button" className={styles.linkBtn} onClick={() => fillFromTransfer(t)}>
+                                Record payment
+                            </button>
+                        </div>
+                    ))
+                )}
+            </div>
+            {error && <div className={styles.error}>Error: {error.message || String(error)}</div>}
+
+            {/* Per-member breakdown */}
+            {current && (
+                <table className={styles.table}>
+                    <thead>
+                    <tr>
+                        <th>Member</th>
+                        <th>Paid (joint)</th>
+                        <th>Share</th>
+                        <th>Owed share</th>
+                        <th>This period</th>
+                        {carrying && <th>Carried in</th>}
+                        <th>Settlements</th>
+                        <th>Balance</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {members.map((m) => (
+                        <tr key={m}>
+                            <td>{label(m)}</td>
+                            <td>{money(current.contributions.paid[m])}</td>
+                            <td>{Math.round((shares[m] || 0) * 1000) / 10}%</td>
+                            <td>{money(current.owed[m])}</td>
+                            <td>{money(current.periodNet[m])}</td>
+                            {carrying && <td>{money(current.opening[m])}</td>}
+                            <td>{money(current.settled[m])}</td>
+                            <td className={current.closing[m] < 0 ? styles.negative : styles.positive}>
+                                <strong>{money(current.closing[m])}</strong>
+                            </td>
+                        </tr>
+                    ))}
+                    <tr>
+                        <td><strong>Total</strong></td>
+                        <td><strong>{money(current.contributions.total)}</strong></td>
+                        <td colSpan={carrying ? 6 : 5} />
+                    </tr>
+                    </tbody>
+                </table>
+            )}
+            {current && current.contributions.sharedFunds.count > 0 && (
+                <div className={styles.muted}>
+                    {current.contributions.sharedFunds.count} joint charge{current.contributions.sharedFunds.count === 1 ? "" : "s"}
+                    {" "}({money(current.contributions.sharedFunds.total)}) on cards no member pays for are treated as paid from shared funds.
+                </div>
+            )}
+
+            <div className={styles.columns}>
+                {/* Share settings */}
+                <section className={styles.section} aria-label="Share settings">
+                    <h3 className={styles.subheading}>Shares</h3>
+                    <label className={styles.field}>
+                        <span className={styles.fieldLabel}>Split joint expenses</span>
+                        <select
+                            className={styles.input}
+                            value={settings.method}
+                            onChange={(e) => updateSettings({ method: e.target.value })}
+                        >
+                            {Object.values(SHARE_METHODS).map((method) => (
+                                <option key={method} value={method}>{SHARE_METHOD_LABELS[method]}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {settings.method !== SHARE_METHODS.EQUAL && members.map((m) => {
+                        const isIncome = settings.method === SHARE_METHODS.INCOME;
+                        const key = isIncome ? "incomes" : "percentages";
+                        const value = settings[key]?.[m] ?? "";
+                        return (
+                            <label key={`${key}-${m}`} className={styles.field}>
+                                <span className={styles.fieldLabel}>{label(m)} {isIncome ? "income" : "%"}</span>
+                                <input
+                                    key={`${key}-${m}-${value}`}
+                                    className={styles.input}
+                                    type="number"
+                                    min="0"
+                                    step={isIncome ? "100" : "1"}
+                                    defaultValue={value}
+                                    onBlur={(e) => {
+                                        if (String(e.target.value) === String(value)) return;
+                                        updateSettings({ [key]: { ...(settings[key] || {}), [m]: Number(e.target.value) || 0 } });
+                                    }}
+                                />
+                            </label>
+                        );
+                    })}
+                    {shareError && <div className={styles.warning}>{shareError}</div>}
+
+                    <label className={styles.field}>
+                        <span className={styles.fieldLabel}>Carry balances forward from</span>
+                        <select
+                            className={styles.input}
+                            value={settings.startPeriod || ""}
+                            onChange={(e) => updateSettings({ startPeriod: e.target.value || null })}
+                        >
+                            <option value="">This period only</option>
+                            {settings.startPeriod && !startPeriodOptions.includes(settings.startPeriod) ? (
+                                <option value={settings.startPeriod}>{settings.startPeriod}</option>
+                            ) : null}
+                            {startPeriodOptions.map((p) => <option key={p} value={p}>{p}</option>)}
+                        </select>
+                    </label>
+
+                    <h3 className={styles.subheading}>Who pays each card</h3>
+                    {cards.map((card) => (
+                        <label key={card} className={styles.field}>
+                            <span className={styles.fieldLabel}>{title(card)}</span>
+                            <select
+                                className={styles.input}
+                                value={cardOwners[card] || ""}
+                                onChange={(e) => updateSettings({ cardOwners: { ...(settings.cardOwners || {}), [card]: e.target.value } })}
+                            >
+                                <option value="">Shared funds</option>
+                                {members.map((m) => <option key={m} value={m}>{label(m)}</option>)}
+                            </select>
+                        </label>
+                    ))}
+                </section>
+
+                {/* Settlements */}
+                <section className={styles.section} aria-label="Settlement payments">
+                    <h3 className={styles.subheading}>Record a settlement</h3>
+                    <div className={styles.form}>
+                        <select className={styles.input} value={draft.from} onChange={(e) => setDraftField("from", e.target.value)} aria-label="Paid by">
+                            <option value="">Paid by…</option>
+                            {members.map((m) => <option key={m} value={m}>{label(m)}</option>)}
+                        </select>
+                        <select className={styles.input} value={draft.to} onChange={(e) => setDraftField("to", e.target.value)} aria-label="Paid to">
+                            <option value="">Paid to…</option>
+                            {members.map((m) => <option key={m} value={m}>{label(m)}</option>)}
+                        </select>
+                        <input
+                            className={styles.input}
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            placeholder="Amount"
+                            value={draft.amount}
+                            onChange={(e) => setDraftField("amount", e.target.value)}
+                            aria-label="Amount"
+                        />
+                        <input
+                            className={styles.input}
+                            placeholder="Note (optional)"
+                            value={draft.note}
+                            onChange={(e) => setDraftField("note", e.target.value)}
+                            aria-label="Note"
+                        />
+                        <button type="button" className={styles.primaryBtn} onClick={recordSettlement} disabled={recording}>
+                            {recording ? "Recording…" : "Record"}
+                        </button>
+                    </div>
+                    {recordError && <div className={styles.error}>{recordError}</div>}
+
+                    <h3 className={styles.subheading}>Settlements in {statementPeriod}</h3>
+                    {!current || current.settlements.length === 0 ? (
+                        <div className={styles.muted}>None recorded.</div>
+                    ) : (
+                        <ul className={styles.list}>
+                            {current.settlements.map((s) => (
+                                <li key={s.id} className={styles.listRow}>
+                                    <span>{s.date}</span>
+                                    <span>{label(s.from)} → {label(s.to)}</span>
+                                    <span>{money(s.amount)}</span>
+                                    <span className={styles.muted}>{s.note}</span>
+                                    <button
+                                        type="button"
+                                        className={styles.removeBtn}
+                                        onClick={() => deleteSettlement(s.id)}
+                                        aria-label={`Delete settlement of ${money(s.amount)}`}
+                                    >
+                                        ✕
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+            </div>
+        </div>
+    );
+}
@@ -6,6 +6,7 @@
  * @module UserCategoryTable
  * @param {Object} props
  * @param {string} props.user - Username (lowercase)
+ * @param {string} [props.label] - Display name (defaults to the capitalized username)
  * @param {string} props.card - Card name (lowercase)
  * @param {Array} props.categories - [{ category, amount }]
  * @returns {JSX.Element}
@@ -29,7 +30,7 @@ const logger = {
  *
  * @returns {JSX.Element}
  */
-export default function UserCategoryTable({ user, card, categories }) {
+export default function UserCategoryTable({ user, label, card, categories }) {
     const safeCategories = Array.isArray(categories) ? categories : [];
     const total = safeCategories.reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
 
@@ -38,7 +39,7 @@ export default function UserCategoryTable({ user, card, categories }) {
     return (
         <div className={styles.userCategoryTable}>
             <h3 className={styles.userTitle}>
-                {user.charAt(0).toUpperCase() + user.slice(1)}
+                {label || user.charAt(0).toUpperCase() + user.slice(1)}
             </h3>
             <table>
                 <thead>
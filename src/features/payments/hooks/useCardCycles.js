@@ -0,0 +1,211 @@
+/**
+ * useCardCycles
+ * - Business logic for the cards section of the payments screen: each card's billing
+ *   cycle for the selected statement period, the charges in it, utilization of the credit
+ *   limit, the due date and whether the payment was marked paid.
+ * - A card's cycle is the one closing in the month the selected statement period ends,
+ *   following the card's closing day (config `cards`). Charges are gathered from the
+ *   household accounts' transactions of every statement period the cycles overlap and
+ *   kept when their date falls inside the cycle.
+ * - Paid marks belong to a cycle, so every statement period showing it shares the mark.
+ * - Reloads on transaction events and on 'cardPaymentsChanged'.
+ *
+ * @module useCardCycles
+ * @returns {Object} card rows, upcoming due dates and paid-mark actions
+ */
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useStatementPeriodContext } from "../../../context/StatementPeriodProvider";
+import budgetTransactionService from "../../../services/BudgetTransactionService";
+import cardPaymentService from "../../../services/CardPaymentService";
+import { getPeriodRange, getScheme } from "../../../services/StatementPeriodService";
+import { subscribe } from "../../../services/TransactionEvents";
+import { getCards, getHouseholdAccounts } from "../../../config/config.js";
+import useConfig from "../../../hooks/useConfig";
+import { periodsOverlapping } from "../../../lib/statementPeriods";
+import { DUE_STATUS, cardCycle, cycleBalance, dueStatus, utilization } from "../utils/cardCycles";
+
+/**
+ * Logger for useCardCycles hook.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[useCardCycles]', ...args),
+    error: (...args) => console.error('[useCardCycles]', ...args),
+};
+
+/** Events that change card charges. */
+const TRANSACTION_EVENTS = new Set(['transactionsChanged', 'transactionsChanged:upload']);
+
+export default function useCardCycles() {
+    const config = useConfig();
+    const cards = useMemo(() => getCards(config), [config]);
+    const scheme = useMemo(() => getScheme(config), [config]);
+    const accounts = useMemo(() => getHouseholdAccounts(config).map((a) => a.filter).filter(Boolean), [config]);
+    const { statementPeriod } = useStatementPeriodContext();
+
+    const [transactions, setTransactions] = useState([]);
+    const [paidMarks, setPaidMarks] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [pendingCard, setPendingCard] = useState(null);
+    const [txReloadKey, setTxReloadKey] = useState(0);
+    const [paidReloadKey, setPaidReloadKey] = useState(0);
+
+    // Month the selected period ends in; its cycles are the ones shown
+    const closingMonth = useMemo(() => {
+        const range = statementPeriod ? getPeriodRange(statementPeriod, scheme) : null;
+        return range ? { year: range.end.getFullYear(), monthIndex: range.end.getMonth() } : null;
+    }, [statementPeriod, scheme]);
+
+    /**
+     * Each card's cycle for the selected period, keyed by card.
+     */
+    const cycles = useMemo(
+        () => (closingMonth ? Object.fromEntries(cards.map((card) => [card.key, cardCycle(card, closingMonth)])) : {}),
+        [cards, closingMonth]
+    );
+
+    // Statement periods holding the cycles' charges
+    const periods = useMemo(() => {
+        const list = Object.values(cycles);
+        if (list.length === 0) return [];
+        const from = list.reduce((min, c) => (c.start < min ? c.start : min), list[0].start);
+        const to = list.reduce((max, c) => (c.end > max ? c.end : max), list[0].end);
+        const toDate = (key) => new Date(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, Number(key.slice(8, 10)));
+        return periodsOverlapping(toDate(from), toDate(to), scheme);
+    }, [cycles, scheme]);
+
+    useEffect(() => {
+        let isMounted = true;
+        if (periods.length === 0 || accounts.length === 0 || cards.length === 0) {
+            setTransactions([]);
+            setLoading(false);
+            return undefined;
+        }
+        setLoading(true);
+        logger.info("loading card charges", { periods, accounts });
+        const requests = periods.flatMap((period) => accounts.map((account) =>
+            budgetTransactionService.getBudgetTransactionsForAccount({ account, statementPeriod: period })
+                .then((res) => (res?.transactions || []).map((tx) => ({ statementPeriod: period, ...tx })))
+        ));
+        Promise.all(requests)
+            .then((lists) => {
+                if (!isMounted) return;
+                setTransactions(lists.flat());
+                setError(null);
+            })
+            .catch((err) => {
+                logger.error("failed to load card charges", err);
+                if (isMounted) setError(err);
+            })
+            .finally(() => {
+                if (isMounted) setLoading(false);
+            });
+        return () => {
+            isMounted = false;
+        };
+    }, [periods, accounts, cards.length, txReloadKey]);
+
+    useEffect(() => {
+        let isMounted = true;
+        cardPaymentService.getPayments()
+            .then((list) => {
+                if (isMounted) setPaidMarks(list);
+            })
+            .catch((err) => {
+                logger.error("failed to load paid marks", err);
+                if (isMounted) setError(err);
+            });
+        return () => {
+            isMounted = false;
+        };
+    }, [paidReloadKey]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type === 'cardPaymentsChanged') {
+                setPaidReloadKey((k) => k + 1);
+            } else if (TRANSACTION_EVENTS.has(payload?.type)) {
+                logger.info("reload card charges on event", { type: payload.type, reason: payload.reason });
+                setTxReloadKey((k) => k + 1);
+            }
+        });
+        return () => unsubscribe();
+    }, []);
+
+    /**
+     * One row per card for the selected period.
+     */
+    const rows = useMemo(() => {
+        const today = new Date();
+        return cards.map((card) => {
+            const cycle = cycles[card.key] || null;
+            const { balance, count } = cycle
+                ? cycleBalance(transactions, card.key, cycle, statementPeriod)
+                : { balance: 0, count: 0 };
+            const paidMark = cycle
+                ? paidMarks.find((p) => p.card === card.key && (p.cycleEnd ? p.cycleEnd === cycle.end : p.statementPeriod === statementPeriod)) || null
+                : null;
+            const { status, daysUntilDue } = dueStatus({
+                dueDate: cycle?.dueDate || null,
+                paid: Boolean(paidMark),
+                autopay: card.autopay,
+                today,
+            });
+            return {
+                ...card,
+                cycle,
+                balance,
+                count,
+                utilization: utilization(balance, card.creditLimit),
+                paidMark,
+                status,
+                daysUntilDue,
+            };
+        });
+    }, [cards, cycles, transactions, paidMarks, statementPeriod]);
+
+    /**
+     * Unpaid cards with a due date, soonest first.
+     */
+    const upcoming = useMemo(
+        () => rows
+            .filter((r) => r.cycle?.dueDate && r.status !== DUE_STATUS.PAID)
+            .sort((a, b) => a.cycle.dueDate.localeCompare(b.cycle.dueDate)),
+        [rows]
+    );
+
+    /**
+     * Marks (paid = true) or unmarks the payment of a card's cycle.
+     * @async
+     * @param {Object} row - a card row
+     * @param {boolean} paid
+     * @returns {Promise<void>}
+     */
+    const setPaid = useCallback(async (row, paid) => {
+        if (!statementPeriod || !row.cycle || pendingCard) return;
+        setPendingCard(row.key);
+        try {
+            if (paid) await cardPaymentService.markPaid({ card: row.key, cycleEnd: row.cycle.end, statementPeriod, amount: row.balance });
+            else if (row.paidMark) await cardPaymentService.unmarkPaid(row.paidMark.id);
+        } catch (err) {
+            logger.error("setPaid failed", { card: row.key, paid }, err);
+            setError(err);
+        } finally {
+            setPendingCard(null);
+        }
+    }, [statementPeriod, pendingCard]);
+
+    return {
+        statementPeriod,
+        closingMonthLabel: closingMonth
+            ? new Date(closingMonth.year, closingMonth.monthIndex, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+            : null,
+        rows,
+        upcoming,
+        loading,
+        error,
+        pendingCard,
+        setPaid,
+    };
+}
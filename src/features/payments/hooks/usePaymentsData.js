@@ -3,15 +3,20 @@
  * - Business logic for the payments summary screen: fetches, normalizes, and manages payment summary data.
  * - Clears stale data immediately on statementPeriod change and on unmount.
  * - Always subscribes to provider context for live updates.
+ * - Split transactions count by their allocations: the API totals are adjusted per member and category.
  * - Bulletproof React conventions, robust logging, and JSDoc.
  *
  * @module usePaymentsData
- * @returns {Object} { cards, users, payments, breakdowns, loading, error }
+ * @returns {Object} { cards, users, userLabels, payments, breakdowns, loading, error }
  */
 import { useEffect, useRef, useState, useMemo } from "react";
 import { useStatementPeriodContext } from "../../../context/StatementPeriodProvider";
 import PaymentSummaryService from "../../../services/PaymentSummaryService";
-import { getAccounts, getPaymentMethods } from "../../../config/config.js";
+import { getHouseholdMembers, getPaymentMethods } from "../../../config/config.js";
+import useConfig from "../../../hooks/useConfig";
+import useTransactionSplits from "../../../hooks/useTransactionSplits";
+import { applySplitsToPaymentSummary } from "../../../lib/splitAllocations";
+import { normalizePaymentSummary } from "../utils/paymentSummary";
 
 /**
  * Logger for usePaymentsData hook.
@@ -29,17 +34,25 @@ const logger = {
  * - Clears all stale data instantly on period change or unmount.
  * - Handles race conditions robustly.
  *
- * @returns {Object} { cards, users, payments, breakdowns, loading, error }
+ * @returns {Object} { cards, users, userLabels, payments, breakdowns, loading, error }
  */
 export function usePaymentsData() {
     /**
-     * Normalized cards and users, recomputed if config changes.
+     * Normalized cards and users (household members' account filters), recomputed if config changes.
      * @type {Array<string>}
      */
-    const cards = useMemo(() => getPaymentMethods().map((c) => c.toLowerCase()), []);
-    const users = useMemo(() => getAccounts()
-        .filter((u) => ["josh", "anna"].includes(u.toLowerCase()))
-        .map((u) => u.toLowerCase()), []);
+    const config = useConfig();
+    const cards = useMemo(() => getPaymentMethods(config).map((c) => c.toLowerCase()), [config]);
+    const members = useMemo(() => getHouseholdMembers(config), [config]);
+    const users = useMemo(() => members.map((m) => m.filter.toLowerCase()), [members]);
+    /**
+     * Display name per user key.
+     * @type {Object<string, string>}
+     */
+    const userLabels = useMemo(
+        () => Object.fromEntries(members.map((m) => [m.filter.toLowerCase(), m.name])),
+        [members]
+    );
 
     /**
      * Local state for payments and breakdowns.
@@ -108,8 +121,7 @@ export function usePaymentsData() {
                     statementPeriod: period,
                 });
 
-                const summary = Array.isArray(raw) ? raw : raw.summary;
-                logger.info("fetchData: API response", { summary });
+                logger.info("fetchData: API response", { raw });
 
                 // If the period changed during fetch, ignore this result
                 if (!isMounted || lastPeriodRef.current !== period) {
@@ -119,58 +131,8 @@ export function usePaymentsData() {
                     return;
                 }
 
-                // If no results, clear and exit
-                if (!summary || summary.length === 0) {
-                    setPayments({});
-                    setBreakdowns({});
-                    setLoading(false);
-                    setError(null);
-                    return;
-                }
-
                 // Build normalized payments and breakdowns objects for table and UI
-                const paymentsResult = {};
-                const breakdownsResult = {};
-
-                summary.forEach((userSummary) => {
-                    const account = String(userSummary.account).toLowerCase();
-
-                    // Card totals
-                    Object.entries(userSummary.creditCardTotals || {}).forEach(
-                        ([card, total]) => {
-                            const normalizedCard = String(card).toLowerCase();
-                            if (!paymentsResult[normalizedCard]) paymentsResult[normalizedCard] = {};
-                            paymentsResult[normalizedCard][account] = Number(total) || 0;
-                        }
-                    );
-
-                    // Category breakdowns
-                    Object.entries(userSummary.creditCardCategoryBreakdowns || {}).forEach(
-                        ([card, cats]) => {
-                            const normalizedCard = String(card).toLowerCase();
-                            if (!breakdownsResult[normalizedCard]) breakdownsResult[normalizedCard] = {};
-                            breakdownsResult[normalizedCard][account] = Object.entries(cats).map(
-                                ([category, amount]) => ({
-                                    category: String(category),
-                                    amount: Number(amount) || 0,
-                                    type: "Actual",
-                                })
-                            );
-                        }
-                    );
-                });
-
-                // Defensive: ensure all card/user keys exist, zero if missing
-                cards.forEach((card) => {
-                    paymentsResult[card] = paymentsResult[card] || {};
-                    breakdownsResult[card] = breakdownsResult[card] || {};
-                    users.forEach((user) => {
-                        if (typeof paymentsResult[card][user] !== "number")
-                            paymentsResult[card][user] = 0;
-                        if (!Array.isArray(breakdownsResult[card][user]))
-                            breakdownsResult[card][user] = [];
-                    });
-                });
+                const { payments: paymentsResult, breakdowns: breakdownsResult } = normalizePaymentSummary(raw, cards, users);
 
                 logger.info("fetchData: Final payments result", paymentsResult);
                 logger.info("fetchData: Final breakdowns result", breakdownsResult);
@@ -203,6 +165,15 @@ export function usePaymentsData() {
         };
     }, [cards, users, statementPeriod]);
 
+    /**
+     * Payments and breakdowns with split allocations moved to their members and categories.
+     */
+    const { splits } = useTransactionSplits();
+    const adjusted = useMemo(
+        () => applySplitsToPaymentSummary({ payments, breakdowns }, splits, { statementPeriod, users }),
+        [payments, breakdowns, splits, statementPeriod, users]
+    );
+
     logger.info("usePaymentsData: hook state", {
         cards,
         users,
@@ -213,5 +184,5 @@ export function usePaymentsData() {
         statementPeriod,
     });
 
-    return { cards, users, payments, breakdowns, loading, error };
+    return { cards, users, userLabels, payments: adjusted.payments, breakdowns: adjusted.breakdowns, loading, error };
 }
\ No newline at end of file
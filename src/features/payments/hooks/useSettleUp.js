@@ -0,0 +1,278 @@
+/**
+ * useSettleUp
+ * - Business logic for the settle-up card on the payments screen: who paid for joint
+ *   expenses in the selected statement period versus their agreed share, the balances
+ *   carried in from earlier periods, and the transfers that settle them.
+ * - Joint expenses are the shared accounts' actual transactions, with split allocations
+ *   (useTransactionSplits) moved in and out of the shared accounts.
+ * - Periods from the `startPeriod` setting up to the selected one are loaded so balances
+ *   carry forward; without a start period only the selected period is settled.
+ * - Reloads on transaction and settlement events.
+ *
+ * @module useSettleUp
+ * @returns {Object} settle-up state and actions
+ */
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useStatementPeriodContext } from "../../../context/StatementPeriodProvider";
+import budgetTransactionService from "../../../services/BudgetTransactionService";
+import settleUpService, { DEFAULT_SETTLE_UP_SETTINGS } from "../../../services/SettleUpService";
+import { shiftPeriodValue } from "../../../services/StatementPeriodService";
+import { subscribe } from "../../../services/TransactionEvents";
+import { getHouseholdMembers, getSharedAccounts, getPaymentMethods } from "../../../config/config.js";
+import useConfig from "../../../hooks/useConfig";
+import useTransactionSplits from "../../../hooks/useTransactionSplits";
+import { applySplits } from "../../../lib/splitAllocations";
+import {
+    MAX_CARRY_PERIODS,
+    buildCardOwners,
+    computeShares,
+    periodsBetween,
+    settlePeriod,
+    suggestTransfers,
+    summarizeContributions,
+} from "../utils/settleUp";
+
+/**
+ * Logger for useSettleUp hook.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[useSettleUp]', ...args),
+    error: (...args) => console.error('[useSettleUp]', ...args),
+};
+
+/** Events that change joint expenses (splits reload through useTransactionSplits). */
+const TRANSACTION_EVENTS = new Set(['transactionsChanged', 'transactionsChanged:upload']);
+
+/**
+ * Fetches one period's actual transactions on the shared accounts.
+ * @async
+ * @param {Array<string>} sharedFilters
+ * @param {string} statementPeriod
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchJointTransactions(sharedFilters, statementPeriod) {
+    const lists = await Promise.all(sharedFilters.map((account) =>
+        budgetTransactionService.getBudgetTransactionsForAccount({ account, statementPeriod })
+    ));
+    return lists.flatMap((list) => list?.transactions || []);
+}
+
+export default function useSettleUp() {
+    const config = useConfig();
+    const householdMembers = useMemo(() => getHouseholdMembers(config), [config]);
+    const members = useMemo(() => householdMembers.map((m) => String(m.filter).toLowerCase()), [householdMembers]);
+    const memberLabels = useMemo(
+        () => Object.fromEntries(householdMembers.map((m) => [String(m.filter).toLowerCase(), m.name])),
+        [householdMembers]
+    );
+    const sharedFilters = useMemo(() => getSharedAccounts(config).map((a) => String(a.filter).toLowerCase()), [config]);
+    const cards = useMemo(() => getPaymentMethods(config).map((c) => String(c).toLowerCase()), [config]);
+
+    const { statementPeriod } = useStatementPeriodContext();
+    const { splits } = useTransactionSplits();
+
+    const [settings, setSettings] = useState(DEFAULT_SETTLE_UP_SETTINGS);
+    const [settlements, setSettlements] = useState([]);
+    const [jointByPeriod, setJointByPeriod] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [jointReloadKey, setJointReloadKey] = useState(0);
+    const [settingsReloadKey, setSettingsReloadKey] = useState(0);
+
+    const periods = useMemo(
+        () => periodsBetween(settings.startPeriod, statementPeriod, shiftPeriodValue),
+        [settings.startPeriod, statementPeriod]
+    );
+
+    // Settings and settlements
+    useEffect(() => {
+        let isMounted = true;
+        Promise.all([settleUpService.getSettings(), settleUpService.getSettlements()])
+            .then(([loadedSettings, loadedSettlements]) => {
+                if (!isMounted) return;
+                setSettings(loadedSettings);
+                setSettlements(loadedSettlements);
+            })
+            .catch((err) => {
+                logger.error("failed to load settings / settlements", err);
+                if (isMounted) setError(err);
+            });
+        return () => {
+            isMounted = false;
+        };
+    }, [settingsReloadKey]);
+
+    // Joint expenses of every period in the carry-forward range
+    useEffect(() => {
+        let isMounted = true;
+        if (!statementPeriod || sharedFilters.length === 0) {
+            setJointByPeriod({});
+            setLoading(false);
+            return undefined;
+        }
+        setLoading(true);
+        logger.info("loading joint expenses", { periods, sharedFilters });
+        Promise.all(periods.map((period) => fetchJointTransactions(sharedFilters, period).then((txs) => [period, txs])))
+            .then((entries) => {
+                if (!isMounted) return;
+                setJointByPeriod(Object.fromEntries(entries));
+                setError(null);
+            })
+            .catch((err) => {
+                logger.error("failed to load joint expenses", err);
+                if (isMounted) setError(err);
+            })
+            .finally(() => {
+                if (isMounted) setLoading(false);
+            });
+        return () => {
+            isMounted = false;
+        };
+    }, [periods, sharedFilters, statementPeriod, jointReloadKey]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type === 'settlementsChanged') {
+                setSettingsReloadKey((k) => k + 1);
+            } else if (TRANSACTION_EVENTS.has(payload?.type)) {
+                logger.info("reload joint expenses on event", { type: payload.type, reason: payload.reason });
+                setJointReloadKey((k) => k + 1);
+            }
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const { shares, error: shareError } = useMemo(() => computeShares(members, settings), [members, settings]);
+    const cardOwners = useMemo(() => buildCardOwners(householdMembers, settings.cardOwners), [householdMembers, settings.cardOwners]);
+
+    /**
+     * Period-by-period settle-up, oldest first; each period opens with the previous one's closing balances.
+     */
+    const ledger = useMemo(() => {
+        const bucketFor = (account) => (sharedFilters.includes(String(account || '').toLowerCase()) ? 'joint' : null);
+        let opening = {};
+        return periods.map((period) => {
+            const { transactions } = applySplits(jointByPeriod[period] || [], splits, { statementPeriod: period, bucketFor });
+            const contributions = summarizeContributions(transactions, members, cardOwners);
+            const periodSettlements = settlements.filter((s) => s.statementPeriod === period);
+            const result = settlePeriod({ members, contributions, shares, settlements: periodSettlements, opening });
+            opening = result.closing;
+            return { period, contributions, settlements: periodSettlements, ...result };
+        });
+    }, [periods, jointByPeriod, splits, members, cardOwners, settlements, shares, sharedFilters]);
+
+    const current = ledger[ledger.length - 1] || null;
+    const transfers = useMemo(() => (current ? suggestTransfers(current.closing) : []), [current]);
+
+    /**
+     * Saves a settings change (method, incomes, percentages, card owners, start period).
+     * @param {Object} patch
+     * @returns {Promise<void>}
+     */
+    const updateSettings = useCallback(async (patch) => {
+        const next = { ...settings, ...patch };
+        setSettings(next);
+        try {
+            await settleUpService.saveSettings(next);
+        } catch (err) {
+            logger.error("saveSettings failed", err);
+            setError(err);
+        }
+    }, [settings]);
+
+    // Settlement form; starts from the first suggested transfer
+    const [draft, setDraft] = useState({ from: '', to: '', amount: '', note: '' });
+    const [recording, setRecording] = useState(false);
+    const [recordError, setRecordError] = useState(null);
+
+    /**
+     * @param {string} field - 'from' | 'to' | 'amount' | 'note'
+     * @param {string} value
+     */
+    const setDraftField = useCallback((field, value) => {
+        setRecordError(null);
+        setDraft((prev) => ({ ...prev, [field]: value }));
+    }, []);
+
+    /**
+     * Fills the settlement form from a suggested transfer.
+     * @param {{from: string, to: string, amount: number}} transfer
+     */
+    const fillFromTransfer = useCallback((transfer) => {
+        setRecordError(null);
+        setDraft({ from: transfer.from, to: transfer.to, amount: transfer.amount.toFixed(2), note: '' });
+    }, []);
+
+    /**
+     * Records the form's settlement payment in the selected period.
+     * @async
+     * @returns {Promise<void>}
+     */
+    const recordSettlement = useCallback(async () => {
+        if (recording) return;
+        setRecording(true);
+        setRecordError(null);
+        try {
+            await settleUpService.recordSettlement({ ...draft, statementPeriod });
+            setDraft({ from: '', to: '', amount: '', note: '' });
+        } catch (err) {
+            logger.error("recordSettlement failed", err);
+            setRecordError(err?.message || String(err));
+        } finally {
+            setRecording(false);
+        }
+    }, [recording, draft, statementPeriod]);
+
+    /**
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    const deleteSettlement = useCallback(async (id) => {
+        try {
+            await settleUpService.deleteSettlement(id);
+        } catch (err) {
+            logger.error("deleteSettlement failed", err);
+            setError(err);
+        }
+    }, []);
+
+    /**
+     * Periods the carry-forward can start from: the selected one and those before it.
+     */
+    const startPeriodOptions = useMemo(() => {
+        if (!statementPeriod) return [];
+        const list = [];
+        for (let i = 0; i < MAX_CARRY_PERIODS; i += 1) {
+            const period = shiftPeriodValue(statementPeriod, -i);
+            if (!period) break;
+            list.push(period);
+        }
+        return list;
+    }, [statementPeriod]);
+
+    return {
+        members,
+        memberLabels,
+        cards,
+        cardOwners,
+        settings,
+        shares,
+        shareError,
+        statementPeriod,
+        ledger,
+        current,
+        transfers,
+        startPeriodOptions,
+        loading,
+        error,
+        updateSettings,
+        draft,
+        setDraftField,
+        fillFromTransfer,
+        recordSettlement,
+        recording,
+        recordError,
+        deleteSettlement,
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * cardCycles
+ * Billing cycles, due dates and utilization for the cards on the payments screen.
+ *
+ * - A card's cycle for a statement period is the one that closes in that period's month:
+ *   from the day after the previous month's closing day up to this month's closing day.
+ *   Days past the end of a short month are clamped (closing day 31 closes on the 30th
+ *   in September). A card without a closing day is billed by calendar month.
+ * - The payment is due on the next `dueDay` after the closing day: later the same month
+ *   when dueDay is after closingDay, otherwise the following month.
+ * - Dates are compared as local calendar days (YYYY-MM-DD keys).
+ *
+ * Pure functions only.
+ *
+ * @module cardCycles
+ */
+
+/**
+ * Days before the due date a card counts as due soon.
+ * @constant
+ */
+export const DUE_SOON_DAYS = 7;
+
+/**
+ * Payment status of a card's cycle.
+ * @constant
+ */
+export const DUE_STATUS = {
+    PAID: 'paid',
+    AUTOPAY: 'autopay',
+    OVERDUE: 'overdue',
+    DUE_SOON: 'dueSoon',
+    UPCOMING: 'upcoming',
+    NO_DUE_DATE: 'none',
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} local YYYY-MM-DD
+ */
+export function toDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Day `day` of a month, clamped to the month's length; monthIndex may run past 0-11.
+ * @param {number} year
+ * @param {number} monthIndex
+ * @param {number} day
+ * @returns {Date}
+ */
+function dayInMonth(year, monthIndex, day) {
+    const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+    return new Date(year, monthIndex, Math.min(day, lastDay));
+}
+
+/**
+ * The card's billing cycle closing in the given month, with its due date.
+ *
+ * @function cardCycle
+ * @param {{closingDay: number|null, dueDay: number|null}} card - see config getCards
+ * @param {{year: number, monthIndex: number}} month - e.g. the month a statement period ends in
+ * @returns {{start: string, end: string, dueDate: string|null, calendarMonth: boolean}} YYYY-MM-DD keys
+ */
+export function cardCycle(card, { year, monthIndex }) {
+    const calendarMonth = !card?.closingDay;
+    const closingDay = card?.closingDay || 31;
+    const end = dayInMonth(year, monthIndex, closingDay);
+    const previousClose = dayInMonth(year, monthIndex - 1, closingDay);
+    const start = calendarMonth
+        ? new Date(year, monthIndex, 1)
+        : new Date(previousClose.getFullYear(), previousClose.getMonth(), previousClose.getDate() + 1);
+    let dueDate = null;
+    if (card?.dueDay) {
+        dueDate = card.dueDay > closingDay
+            ? dayInMonth(year, monthIndex, card.dueDay)
+            : dayInMonth(year, monthIndex + 1, card.dueDay);
+    }
+    return {
+        start: toDateKey(start),
+        end: toDateKey(end),
+        dueDate: dueDate ? toDateKey(dueDate) : null,
+        calendarMonth,
+    };
+}
+
+/**
+ * Sums the card's charges inside a cycle. Transactions without a usable date count only
+ * toward calendar-month cycles, by the statement period they were filed under.
+ *
+ * @function cycleBalance
+ * @param {Array<Object>} transactions - candidates from the periods the cycle spans
+ * @param {string} cardKey - lower-cased payment method
+ * @param {{start: string, end: string, calendarMonth: boolean}} cycle
+ * @param {string} statementPeriod - the period the cycle belongs to
+ * @returns {{balance: number, count: number}}
+ */
+export function cycleBalance(transactions, cardKey, cycle, statementPeriod) {
+    let cents = 0;
+    let count = 0;
+    (transactions || []).forEach((tx) => {
+        if (String(tx?.paymentMethod || '').toLowerCase() !== cardKey) return;
+        const date = tx.transactionDate ? new Date(tx.transactionDate) : null;
+        const inCycle = date && !Number.isNaN(date.getTime())
+            ? toDateKey(date) >= cycle.start && toDateKey(date) <= cycle.end
+            : cycle.calendarMonth && tx.statementPeriod === statementPeriod;
+        if (!inCycle) return;
+        const amount = Number(tx.amount);
+        if (!Number.isFinite(amount)) return;
+        cents += Math.round(amount * 100);
+        count += 1;
+    });
+    return { balance: cents / 100, count };
+}
+
+/**
+ * Share of the credit limit used, or null without a limit.
+ *
+ * @function utilization
+ * @param {number} balance
+ * @param {number|null} creditLimit
+ * @returns {number|null} 0.25 for 25%
+ */
+export function utilization(balance, creditLimit) {
+    if (!creditLimit || creditLimit <= 0) return null;
+    return Math.max(Number(balance) || 0, 0) / creditLimit;
+}
+
+/**
+ * Whole days from `today` to a YYYY-MM-DD date (negative once it has passed).
+ *
+ * @function daysUntil
+ * @param {string} dateKey
+ * @param {Date} [today=new Date()]
+ * @returns {number}
+ */
+export function daysUntil(dateKey, today = new Date()) {
+    const [y, m, d] = String(dateKey).split('-').map(Number);
+    const due = Date.UTC(y, m - 1, d);
+    const now = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    return Math.round((due - now) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Payment status of a cycle. Autopay cards show as autopay until marked paid.
+ *
+ * @function dueStatus
+ * @param {Object} params
+ * @param {string|null} params.dueDate
+ * @param {boolean} params.paid - marked paid for the period
+ * @param {boolean} params.autopay
+ * @param {Date} [params.today]
+ * @returns {{status: string, daysUntilDue: number|null}} status is a DUE_STATUS value
+ */
+export function dueStatus({ dueDate, paid, autopay, today = new Date() }) {
+    const daysUntilDue = dueDate ? daysUntil(dueDate, today) : null;
+    if (paid) return { status: DUE_STATUS.PAID, daysUntilDue };
+    if (daysUntilDue === null) return { status: DUE_STATUS.NO_DUE_DATE, daysUntilDue };
+    if (autopay) return { status: DUE_STATUS.AUTOPAY, daysUntilDue };
+    if (daysUntilDue < 0) return { status: DUE_STATUS.OVERDUE, daysUntilDue };
+    if (daysUntilDue <= DUE_SOON_DAYS) return { status: DUE_STATUS.DUE_SOON, daysUntilDue };
+    return { status: DUE_STATUS.UPCOMING, daysUntilDue };
+}
@@ -0,0 +1,108 @@
+import { DUE_STATUS, cardCycle, cycleBalance, utilization, daysUntil, dueStatus } from './cardCycles';
+
+const OCTOBER = { year: 2026, monthIndex: 9 };
+
+describe('cardCycle', () => {
+    it('runs from the day after the previous close to this month\'s close', () => {
+        expect(cardCycle({ closingDay: 15, dueDay: 10 }, OCTOBER)).toEqual({
+            start: '2026-09-16',
+            end: '2026-10-15',
+            dueDate: '2026-11-10',
+            calendarMonth: false,
+        });
+    });
+
+    it('is due later the same month when the due day comes after the closing day', () => {
+        expect(cardCycle({ closingDay: 3, dueDay: 28 }, OCTOBER).dueDate).toBe('2026-10-28');
+    });
+
+    it('clamps closing and due days to short months', () => {
+        expect(cardCycle({ closingDay: 31, dueDay: 30 }, { year: 2026, monthIndex: 8 })).toMatchObject({
+            start: '2026-09-01',
+            end: '2026-09-30',
+            dueDate: '2026-10-30',
+        });
+        expect(cardCycle({ closingDay: 30, dueDay: 31 }, { year: 2026, monthIndex: 2 })).toMatchObject({
+            start: '2026-03-01',
+            end: '2026-03-30',
+            dueDate: '2026-03-31',
+        });
+        expect(cardCycle({ closingDay: 20, dueDay: 31 }, { year: 2027, monthIndex: 0 }).dueDate).toBe('2027-01-31');
+        expect(cardCycle({ closingDay: 31, dueDay: 29 }, { year: 2027, monthIndex: 0 }).dueDate).toBe('2027-02-28');
+    });
+
+    it('crosses the year boundary', () => {
+        expect(cardCycle({ closingDay: 5, dueDay: 1 }, { year: 2027, monthIndex: 0 })).toMatchObject({
+            start: '2026-12-06',
+            end: '2027-01-05',
+            dueDate: '2027-02-01',
+        });
+    });
+
+    it('bills by calendar month without a closing day', () => {
+        expect(cardCycle({ closingDay: null, dueDay: null }, OCTOBER)).toEqual({
+            start: '2026-10-01',
+            end: '2026-10-31',
+            dueDate: null,
+            calendarMonth: true,
+        });
+    });
+});
+
+describe('cycleBalance', () => {
+    const local = (m, d) => new Date(2026, m - 1, d, 12).toISOString();
+
+    it('sums the card\'s charges inside the cycle in cents', () => {
+        const cycle = cardCycle({ closingDay: 15 }, OCTOBER);
+        const transactions = [
+            { paymentMethod: 'Visa', amount: 0.1, transactionDate: local(9, 16) },
+            { paymentMethod: 'visa', amount: 0.2, transactionDate: local(10, 15) },
+            { paymentMethod: 'Visa', amount: 100, transactionDate: local(9, 15) },
+            { paymentMethod: 'Visa', amount: 100, transactionDate: local(10, 16) },
+            { paymentMethod: 'Amex', amount: 100, transactionDate: local(10, 1) },
+            { paymentMethod: 'Visa', amount: 100, statementPeriod: 'OCTOBER2026' },
+        ];
+        expect(cycleBalance(transactions, 'visa', cycle, 'OCTOBER2026')).toEqual({ balance: 0.3, count: 2 });
+    });
+
+    it('counts undated charges only toward calendar-month cycles of their period', () => {
+        const cycle = cardCycle({}, OCTOBER);
+        const transactions = [
+            { paymentMethod: 'Visa', amount: 12, statementPeriod: 'OCTOBER2026' },
+            { paymentMethod: 'Visa', amount: 99, statementPeriod: 'SEPTEMBER2026' },
+        ];
+        expect(cycleBalance(transactions, 'visa', cycle, 'OCTOBER2026')).toEqual({ balance: 12, count: 1 });
+    });
+});
+
+describe('utilization', () => {
+    it('is the share of the limit used, never negative, null without a limit', () => {
+        expect(utilization(750, 2500)).toBe(0.3);
+        expect(utilization(-40, 2500)).toBe(0);
+        expect(utilization(3000, 2500)).toBe(1.2);
+        expect(utilization(100, 0)).toBeNull();
+        expect(utilization(100, null)).toBeNull();
+    });
+});
+
+describe('due status', () => {
+    const today = new Date(2026, 9, 19, 23, 30);
+
+    it('counts whole calendar days', () => {
+        expect(daysUntil('2026-10-20', today)).toBe(1);
+        expect(daysUntil('2026-10-19', today)).toBe(0);
+        expect(daysUntil('2026-11-02', today)).toBe(14);
+        expect(daysUntil('2026-10-01', today)).toBe(-18);
+    });
+
+    it.each([
+        [{ dueDate: '2026-10-10', paid: true }, DUE_STATUS.PAID],
+        [{ dueDate: null }, DUE_STATUS.NO_DUE_DATE],
+        [{ dueDate: '2026-10-10', autopay: true }, DUE_STATUS.AUTOPAY],
+        [{ dueDate: '2026-10-18' }, DUE_STATUS.OVERDUE],
+        [{ dueDate: '2026-10-26' }, DUE_STATUS.DUE_SOON],
+        [{ dueDate: '2026-10-27' }, DUE_STATUS.UPCOMING],
+    ])('%p -> %s', (params, status) => {
+        expect(dueStatus({ paid: false, autopay: false, ...params, today }).status).toBe(status);
+    });
+});
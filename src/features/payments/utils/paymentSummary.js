@@ -0,0 +1,77 @@
+/**
+ * paymentSummary
+ * Normalizes /api/payment-summary responses into the per-card tables used by the
+ * payments screen and the statement-period report.
+ *
+ * Pure functions only.
+ *
+ * @module paymentSummary
+ */
+
+/**
+ * Builds payments[card][user] totals and breakdowns[card][user] category rows.
+ * Card and user keys are lower-cased; every configured card/user pair is present
+ * (zero / empty when the API returned nothing for it).
+ *
+ * @function normalizePaymentSummary
+ * @param {Array<Object>|{summary: Array<Object>}} raw - PaymentSummaryService.getPaymentSummary result
+ * @param {Array<string>} cards - lower-cased payment methods
+ * @param {Array<string>} users - lower-cased account filters
+ * @returns {{payments: Object, breakdowns: Object}}
+ */
+export function normalizePaymentSummary(raw, cards, users) {
+    const summary = Array.isArray(raw) ? raw : raw?.summary;
+    if (!Array.isArray(summary) || summary.length === 0) return { payments: {}, breakdowns: {} };
+
+    const payments = {};
+    const breakdowns = {};
+
+    summary.forEach((userSummary) => {
+        const account = String(userSummary.account).toLowerCase();
+
+        // Card totals
+        Object.entries(userSummary.creditCardTotals || {}).forEach(([card, total]) => {
+            const normalizedCard = String(card).toLowerCase();
+            if (!payments[normalizedCard]) payments[normalizedCard] = {};
+            payments[normalizedCard][account] = Number(total) || 0;
+        });
+
+        // Category breakdowns
+        Object.entries(userSummary.creditCardCategoryBreakdowns || {}).forEach(([card, cats]) => {
+            const normalizedCard = String(card).toLowerCase();
+            if (!breakdowns[normalizedCard]) breakdowns[normalizedCard] = {};
+            breakdowns[normalizedCard][account] = Object.entries(cats).map(([category, amount]) => ({
+                category: String(category),
+                amount: Number(amount) || 0,
+                type: 'Actual',
+            }));
+        });
+    });
+
+    // Defensive: ensure all card/user keys exist, zero if missing
+    cards.forEach((card) => {
+        payments[card] = payments[card] || {};
+        breakdowns[card] = breakdowns[card] || {};
+        users.forEach((user) => {
+            if (typeof payments[card][user] !== 'number') payments[card][user] = 0;
+            if (!Array.isArray(breakdowns[card][user])) breakdowns[card][user] = [];
+        });
+    });
+
+    return { payments, breakdowns };
+}
+
+/**
+ * Total owed per user across all cards (the PaymentSummaryTable total row).
+ * @function userTotals
+ * @param {Array<string>} cards
+ * @param {Array<string>} users
+ * @param {Object} payments - payments[card][user]
+ * @returns {Object<string, number>}
+ */
+export function userTotals(cards, users, payments) {
+    return users.reduce((acc, user) => {
+        acc[user] = cards.reduce((sum, card) => sum + (payments?.[card]?.[user] || 0), 0);
+        return acc;
+    }, {});
+}
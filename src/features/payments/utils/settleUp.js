@@ -0,0 +1,228 @@
+/**
+ * settleUp
+ * Shared-expense settle-up between household members: who paid for joint expenses,
+ * what each member's agreed share of them is, and the transfers that even it out.
+ *
+ * - A joint expense is paid by the member whose card it was charged to. Cards map to
+ *   members through each member's configured paymentMethod, overridden by the
+ *   settle-up `cardOwners` setting. Charges on other cards (e.g. a joint checking
+ *   account) were paid from shared funds and are left out.
+ * - Net balance per member = paid - share of the total paid; positive means the others
+ *   owe that member. Settlements move balance from payer to payee.
+ * - Balances carry forward: a period's opening balance is the previous period's closing one.
+ *
+ * Amounts are summed in whole cents. Pure functions only.
+ *
+ * @module settleUp
+ */
+
+/**
+ * Share methods.
+ * @constant
+ */
+export const SHARE_METHODS = {
+    EQUAL: 'equal',
+    INCOME: 'income',
+    CUSTOM: 'custom',
+};
+
+export const SHARE_METHOD_LABELS = {
+    [SHARE_METHODS.EQUAL]: 'Equal split',
+    [SHARE_METHODS.INCOME]: 'Proportional to income',
+    [SHARE_METHODS.CUSTOM]: 'Custom percentages',
+};
+
+/**
+ * Periods of carry-forward history loaded at most.
+ * @constant
+ */
+export const MAX_CARRY_PERIODS = 24;
+
+/**
+ * @param {number|string} amount
+ * @returns {number} whole cents
+ */
+function toCents(amount) {
+    const n = Number(amount);
+    return Number.isFinite(n) ? Math.round(n * 100) : 0;
+}
+
+/**
+ * @param {Array<string>} members
+ * @param {function(string): number} fn
+ * @returns {Object<string, number>}
+ */
+function byMember(members, fn) {
+    return Object.fromEntries(members.map((m) => [m, fn(m)]));
+}
+
+/**
+ * Each member's share (fractions summing to 1) under the settings' method.
+ * An unusable income / percentage setup falls back to an equal split and says why.
+ *
+ * @function computeShares
+ * @param {Array<string>} members - member account filters (lower-cased)
+ * @param {Object} settings - { method, incomes, percentages }
+ * @returns {{shares: Object<string, number>, error: string|null}}
+ */
+export function computeShares(members, settings = {}) {
+    const equal = byMember(members, () => (members.length > 0 ? 1 / members.length : 0));
+    if (settings.method === SHARE_METHODS.INCOME) {
+        const incomes = byMember(members, (m) => Math.max(Number(settings.incomes?.[m]) || 0, 0));
+        const total = members.reduce((s, m) => s + incomes[m], 0);
+        if (total <= 0) return { shares: equal, error: 'Enter each member’s income; using an equal split until then.' };
+        return { shares: byMember(members, (m) => incomes[m] / total), error: null };
+    }
+    if (settings.method === SHARE_METHODS.CUSTOM) {
+        const pcts = byMember(members, (m) => Number(settings.percentages?.[m]) || 0);
+        const total = members.reduce((s, m) => s + pcts[m], 0);
+        if (members.some((m) => pcts[m] < 0) || Math.round(total * 100) !== 10000) {
+            return { shares: equal, error: `Percentages add up to ${Math.round(total * 100) / 100}%, not 100%; using an equal split until fixed.` };
+        }
+        return { shares: byMember(members, (m) => pcts[m] / 100), error: null };
+    }
+    return { shares: equal, error: null };
+}
+
+/**
+ * Card (lower-cased) -> member filter; cardOwners override the members' own paymentMethod.
+ *
+ * @function buildCardOwners
+ * @param {Array<{filter: string, paymentMethod: string}>} members - household members
+ * @param {Object<string, string>} [overrides] - settle-up cardOwners setting
+ * @returns {Object<string, string>}
+ */
+export function buildCardOwners(members, overrides = {}) {
+    const owners = {};
+    (members || []).forEach((m) => {
+        if (m?.paymentMethod) owners[String(m.paymentMethod).toLowerCase()] = String(m.filter).toLowerCase();
+    });
+    Object.entries(overrides || {}).forEach(([card, member]) => {
+        const key = String(card).toLowerCase();
+        if (member) owners[key] = String(member).toLowerCase();
+        else delete owners[key];
+    });
+    return owners;
+}
+
+/**
+ * Totals one period's joint expenses by the member who paid them.
+ *
+ * @function summarizeContributions
+ * @param {Array<Object>} transactions - the period's joint (shared-account) expenses
+ * @param {Array<string>} members
+ * @param {Object<string, string>} cardOwners - see buildCardOwners
+ * @returns {{paid: Object<string, number>, total: number, sharedFunds: {count: number, total: number}}}
+ */
+export function summarizeContributions(transactions, members, cardOwners) {
+    const paidCents = byMember(members, () => 0);
+    const shared = { count: 0, cents: 0 };
+    (transactions || []).forEach((tx) => {
+        const payer = cardOwners[String(tx?.paymentMethod || '').toLowerCase()];
+        const cents = toCents(tx?.amount);
+        if (payer && payer in paidCents) {
+            paidCents[payer] += cents;
+        } else {
+            shared.count += 1;
+            shared.cents += cents;
+        }
+    });
+    const totalCents = members.reduce((s, m) => s + paidCents[m], 0);
+    return {
+        paid: byMember(members, (m) => paidCents[m] / 100),
+        total: totalCents / 100,
+        sharedFunds: { count: shared.count, total: shared.cents / 100 },
+    };
+}
+
+/**
+ * One period's settle-up: each member's share of what was paid, and the net balances
+ * after the period's settlements, on top of the balances carried in.
+ *
+ * @function settlePeriod
+ * @param {Object} params
+ * @param {Array<string>} params.members
+ * @param {{paid: Object<string, number>, total: number}} params.contributions - summarizeContributions
+ * @param {Object<string, number>} params.shares - computeShares
+ * @param {Array<{from: string, to: string, amount: number}>} [params.settlements] - recorded in this period
+ * @param {Object<string, number>} [params.opening] - balances carried in from the previous period
+ * @returns {{owed: Object, periodNet: Object, settled: Object, opening: Object, closing: Object}}
+ */
+export function settlePeriod({ members, contributions, shares, settlements = [], opening = {} }) {
+    const totalCents = toCents(contributions.total);
+    // Shares are rounded to cents; the rounding remainder goes to the last member so owed sums to the total
+    const owedCents = byMember(members, (m) => Math.round(totalCents * (shares[m] || 0)));
+    const drift = totalCents - members.reduce((s, m) => s + owedCents[m], 0);
+    if (members.length > 0) owedCents[members[members.length - 1]] += drift;
+
+    const settledCents = byMember(members, () => 0);
+    settlements.forEach((s) => {
+        const cents = toCents(s.amount);
+        if (s.from in settledCents) settledCents[s.from] += cents;
+        if (s.to in settledCents) settledCents[s.to] -= cents;
+    });
+
+    const periodNet = byMember(members, (m) => toCents(contributions.paid[m]) - owedCents[m]);
+    return {
+        owed: byMember(members, (m) => owedCents[m] / 100),
+        periodNet: byMember(members, (m) => periodNet[m] / 100),
+        settled: byMember(members, (m) => settledCents[m] / 100),
+        opening: byMember(members, (m) => toCents(opening[m]) / 100),
+        closing: byMember(members, (m) => (toCents(opening[m]) + periodNet[m] + settledCents[m]) / 100),
+    };
+}
+
+/**
+ * Fewest transfers that bring every balance to zero (largest debtor pays largest creditor first).
+ *
+ * @function suggestTransfers
+ * @param {Object<string, number>} balances - positive: is owed; negative: owes
+ * @returns {Array<{from: string, to: string, amount: number}>}
+ */
+export function suggestTransfers(balances) {
+    const debtors = [];
+    const creditors = [];
+    Object.entries(balances || {}).forEach(([member, amount]) => {
+        const cents = toCents(amount);
+        if (cents < 0) debtors.push({ member, cents: -cents });
+        else if (cents > 0) creditors.push({ member, cents });
+    });
+    debtors.sort((a, b) => b.cents - a.cents);
+    creditors.sort((a, b) => b.cents - a.cents);
+
+    const transfers = [];
+    let d = 0;
+    let c = 0;
+    while (d < debtors.length && c < creditors.length) {
+        const cents = Math.min(debtors[d].cents, creditors[c].cents);
+        if (cents > 0) transfers.push({ from: debtors[d].member, to: creditors[c].member, amount: cents / 100 });
+        debtors[d].cents -= cents;
+        creditors[c].cents -= cents;
+        if (debtors[d].cents === 0) d += 1;
+        if (creditors[c].cents === 0) c += 1;
+    }
+    return transfers;
+}
+
+/**
+ * Statement periods from `start` to `end` inclusive, oldest first.
+ *
+ * @function periodsBetween
+ * @param {string|null} start
+ * @param {string} end
+ * @param {function(string, number): (string|null)} shift - e.g. shiftPeriodValue
+ * @param {number} [max=MAX_CARRY_PERIODS]
+ * @returns {Array<string>} just [end] when start is missing, after end or too far back
+ */
+export function periodsBetween(start, end, shift, max = MAX_CARRY_PERIODS) {
+    if (!end) return [];
+    const back = [end];
+    if (!start || start === end) return back;
+    for (let i = 1; i < max; i += 1) {
+        const prev = shift(end, -i);
+        if (!prev) break;
+        back.push(prev);
+        if (prev === start) return back.reverse();
+    }
+    return [end];
+}
@@ -0,0 +1,108 @@
+import {
+    SHARE_METHODS,
+    computeShares,
+    buildCardOwners,
+    summarizeContributions,
+    settlePeriod,
+    suggestTransfers,
+    periodsBetween,
+} from './settleUp';
+
+const MEMBERS = ['alice', 'bob'];
+const OWNERS = { visa: 'alice', amex: 'bob' };
+
+/** Runs periods oldest first, carrying each closing balance into the next period (as useSettleUp does). */
+const carry = (periods, shares) => periods.reduce((acc, { transactions, settlements }) => {
+    const contributions = summarizeContributions(transactions, MEMBERS, OWNERS);
+    const result = settlePeriod({ members: MEMBERS, contributions, shares, settlements, opening: acc.opening });
+    return { opening: result.closing, results: [...acc.results, result] };
+}, { opening: {}, results: [] }).results;
+
+describe('computeShares', () => {
+    it('splits equally, by income or by custom percentages', () => {
+        expect(computeShares(MEMBERS).shares).toEqual({ alice: 0.5, bob: 0.5 });
+        expect(computeShares(MEMBERS, { method: SHARE_METHODS.INCOME, incomes: { alice: 6000, bob: 4000 } }).shares)
+            .toEqual({ alice: 0.6, bob: 0.4 });
+        expect(computeShares(MEMBERS, { method: SHARE_METHODS.CUSTOM, percentages: { alice: 70, bob: 30 } }).shares)
+            .toEqual({ alice: 0.7, bob: 0.3 });
+    });
+
+    it('falls back to an equal split with a reason when the setup is unusable', () => {
+        const custom = computeShares(MEMBERS, { method: SHARE_METHODS.CUSTOM, percentages: { alice: 70, bob: 20 } });
+        expect(custom.shares).toEqual({ alice: 0.5, bob: 0.5 });
+        expect(custom.error).toMatch(/90%/);
+        expect(computeShares(MEMBERS, { method: SHARE_METHODS.INCOME }).error).toMatch(/income/);
+    });
+});
+
+describe('buildCardOwners', () => {
+    it('maps member cards and applies overrides, including removals', () => {
+        const members = [{ filter: 'Alice', paymentMethod: 'Visa' }, { filter: 'Bob', paymentMethod: 'Amex' }];
+        expect(buildCardOwners(members, { amex: '', Discover: 'Bob' })).toEqual({ visa: 'alice', discover: 'bob' });
+    });
+});
+
+describe('summarizeContributions', () => {
+    it('totals by payer and keeps shared-funds charges apart', () => {
+        const result = summarizeContributions([
+            { paymentMethod: 'Visa', amount: 10.1 },
+            { paymentMethod: 'VISA', amount: 0.2 },
+            { paymentMethod: 'Amex', amount: 30 },
+            { paymentMethod: 'Joint Checking', amount: 99 },
+        ], MEMBERS, OWNERS);
+        expect(result).toEqual({ paid: { alice: 10.3, bob: 30 }, total: 40.3, sharedFunds: { count: 1, total: 99 } });
+    });
+});
+
+describe('settlePeriod', () => {
+    it('gives the share rounding remainder to the last member so owed sums to the total', () => {
+        const shares = computeShares(['a', 'b', 'c']).shares;
+        const result = settlePeriod({ members: ['a', 'b', 'c'], contributions: { paid: { a: 100, b: 0, c: 0 }, total: 100 }, shares });
+        expect(result.owed).toEqual({ a: 33.33, b: 33.33, c: 33.34 });
+        expect(result.closing).toEqual({ a: 66.67, b: -33.33, c: -33.34 });
+    });
+
+    it('carries closing balances forward and nets settlements against them', () => {
+        const shares = computeShares(MEMBERS).shares;
+        const [september, october, november] = carry([
+            // alice pays 100, bob pays 20: bob owes alice 40
+            { transactions: [{ paymentMethod: 'visa', amount: 100 }, { paymentMethod: 'amex', amount: 20 }], settlements: [] },
+            // nothing shared; bob pays back 25 of the 40
+            { transactions: [], settlements: [{ from: 'bob', to: 'alice', amount: 25 }] },
+            // bob pays 50, half of it alice's share: that clears the 15 he owed and leaves him 10 ahead
+            { transactions: [{ paymentMethod: 'amex', amount: 50 }], settlements: [] },
+        ], shares);
+
+        expect(september.closing).toEqual({ alice: 40, bob: -40 });
+        expect(october.opening).toEqual({ alice: 40, bob: -40 });
+        expect(october.settled).toEqual({ alice: -25, bob: 25 });
+        expect(october.closing).toEqual({ alice: 15, bob: -15 });
+        expect(november.periodNet).toEqual({ alice: -25, bob: 25 });
+        expect(november.closing).toEqual({ alice: -10, bob: 10 });
+    });
+});
+
+describe('suggestTransfers', () => {
+    it('pays the largest creditor from the largest debtor first', () => {
+        expect(suggestTransfers({ a: 50, b: -30.01, c: -19.99, d: 0 })).toEqual([
+            { from: 'b', to: 'a', amount: 30.01 },
+            { from: 'c', to: 'a', amount: 19.99 },
+        ]);
+        expect(suggestTransfers({ a: 0, b: 0 })).toEqual([]);
+    });
+});
+
+describe('periodsBetween', () => {
+    const months = ['JULY2026', 'AUGUST2026', 'SEPTEMBER2026', 'OCTOBER2026'];
+    const shift = (value, delta) => months[months.indexOf(value) + delta] || null;
+
+    it('lists periods oldest first', () => {
+        expect(periodsBetween('AUGUST2026', 'OCTOBER2026', shift)).toEqual(['AUGUST2026', 'SEPTEMBER2026', 'OCTOBER2026']);
+    });
+
+    it('falls back to the end period when the start is missing, later or too far back', () => {
+        expect(periodsBetween(null, 'OCTOBER2026', shift)).toEqual(['OCTOBER2026']);
+        expect(periodsBetween('DECEMBER2026', 'OCTOBER2026', shift)).toEqual(['OCTOBER2026']);
+        expect(periodsBetween('JULY2026', 'OCTOBER2026', shift, 3)).toEqual(['OCTOBER2026']);
+    });
+});
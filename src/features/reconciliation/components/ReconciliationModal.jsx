@@ -0,0 +1,195 @@
+import React from "react";
+import PropTypes from "prop-types";
+import Modal, { ModalHeader, ModalBody, ModalFooter } from "../../../components/modal/Modal";
+import { proposalKey } from "../hooks/useReconciliation";
+import styles from "./Reconciliation.module.css";
+
+/**
+ * Logger for ReconciliationModal
+ */
+const logger = {
+    info: (...args) => console.log("[ReconciliationModal]", ...args),
+    error: (...args) => console.error("[ReconciliationModal]", ...args),
+};
+
+const fmt = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" });
+
+/**
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? "" : d.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+}
+
+/**
+ * Signed currency for variances (+$1.20 / -$3.00).
+ * @param {number} value
+ * @returns {string}
+ */
+function formatVariance(value) {
+    const n = Number(value) || 0;
+    if (n === 0) return fmt.format(0);
+    return `${n > 0 ? "+" : "-"}${fmt.format(Math.abs(n))}`;
+}
+
+/**
+ * One side of a proposal (projection or actual).
+ */
+function TxSide({ tx, label }) {
+    return (
+        <div className={styles.side}>
+            <div className={styles.sideLabel}>{label}</div>
+            <div className={styles.sideName}>{tx.name || "(no name)"}</div>
+            <div className={styles.sideMeta}>
+                {formatDate(tx.transactionDate)}
+                {tx.category ? ` · ${tx.category}` : ""}
+            </div>
+            <div className={styles.sideAmount}>{fmt.format(Number(tx.amount) || 0)}</div>
+        </div>
+    );
+}
+
+TxSide.propTypes = {
+    tx: PropTypes.object.isRequired,
+    label: PropTypes.string.isRequired,
+};
+
+/**
+ * ReconciliationModal
+ * Side-by-side review of projected vs actual matches. Confirmed pairs close out the
+ * projection; the variance is kept in the period's reconciliation record.
+ * Uses Bulletproof React conventions: UI only, logic in useReconciliation.
+ *
+ * Props:
+ *  - reconciliation: state / actions from useReconciliation
+ *  - statementPeriod: shown in the subtitle
+ */
+export default function ReconciliationModal({ reconciliation, statementPeriod }) {
+    const {
+        isOpen,
+        close,
+        proposals,
+        excluded,
+        toggleProposal,
+        confirmedCount,
+        reconcileConfirmed,
+        reconciling,
+        result,
+        error,
+        records,
+        totalVariance,
+    } = reconciliation;
+    logger.info("render", { isOpen, proposals: proposals.length, records: records.length });
+
+    return (
+        <Modal isOpen={isOpen} onClose={close} ariaLabel="Reconcile projections" closeOnBackdrop={false}>
+            <ModalHeader>
+                <div>
+                    <div className={styles.title}>Reconcile projections</div>
+                    <div className={styles.subtitle}>
+                        {proposals.length} suggested {proposals.length === 1 ? "match" : "matches"} · {statementPeriod}
+                    </div>
+                </div>
+            </ModalHeader>
+
+            <ModalBody>
+                {error && <div className={styles.error} role="alert">{error}</div>}
+                {result && (
+                    <div className={styles.resultNote} role="status">
+                        Reconciled {result.records.length} projection{result.records.length === 1 ? "" : "s"}
+                        {result.failed.length > 0 ? `; ${result.failed.length} could not be closed and remain open.` : "."}
+                    </div>
+                )}
+
+                {proposals.length === 0 ? (
+                    <div className={styles.muted}>No open projection matches an actual transaction right now.</div>
+                ) : (
+                    <ul className={styles.pairList}>
+                        {proposals.map((p) => {
+                            const key = proposalKey(p);
+                            const confirmed = !excluded.has(key);
+                            return (
+                                <li key={key} className={`${styles.pair} ${confirmed ? "" : styles.pairSkipped}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={confirmed}
+                                        onChange={() => toggleProposal(key)}
+                                        aria-label={`Reconcile ${p.projection.name || "projection"} with ${p.actual.name || "transaction"}`}
+                                    />
+                                    <TxSide tx={p.projection} label="Projected" />
+                                    <div className={styles.arrow} aria-hidden="true">⇄</div>
+                                    <TxSide tx={p.actual} label="Actual" />
+                                    <div className={styles.variance}>
+                                        <div className={p.variance === 0 ? styles.varianceZero : styles.varianceValue}>
+                                            {formatVariance(p.variance)}
+                                        </div>
+                                        <div className={styles.sideMeta}>
+                                            {p.dayDiff === 0 ? "same day" : `${Math.abs(p.dayDiff)}d ${p.dayDiff > 0 ? "late" : "early"}`}
+                                        </div>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                {records.length > 0 && (
+                    <div className={styles.history}>
+                        <div className={styles.historyHeader}>
+                            <span>Reconciled this period</span>
+                            <span>Total variance {formatVariance(totalVariance)}</span>
+                        </div>
+                        <ul className={styles.historyList}>
+                            {records.map((r) => (
+                                <li key={r.id} className={styles.historyRow}>
+                                    <span className={styles.historyName}>{r.name || r.actualName}</span>
+                                    <span>{fmt.format(r.projectedAmount)} → {fmt.format(r.actualAmount)}</span>
+                                    <span className={r.variance === 0 ? styles.varianceZero : styles.varianceValue}>
+                                        {formatVariance(r.variance)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </ModalBody>
+
+            <ModalFooter>
+                <div className={styles.muted}>Reconciled projections are deleted; the variance is kept.</div>
+                <div className={styles.footerActions}>
+                    <button type="button" className={styles.secondaryBtn} onClick={close} disabled={reconciling}>
+                        Close
+                    </button>
+                    <button
+                        type="button"
+                        className={styles.primaryBtn}
+                        onClick={reconcileConfirmed}
+                        disabled={reconciling || confirmedCount === 0}
+                    >
+                        {reconciling ? "Reconciling…" : `Reconcile ${confirmedCount}`}
+                    </button>
+                </div>
+            </ModalFooter>
+        </Modal>
+    );
+}
+
+ReconciliationModal.propTypes = {
+    reconciliation: PropTypes.shape({
+        isOpen: PropTypes.bool.isRequired,
+        close: PropTypes.func.isRequired,
+        proposals: PropTypes.array.isRequired,
+        excluded: PropTypes.instanceOf(Set).isRequired,
+        toggleProposal: PropTypes.func.isRequired,
+        confirmedCount: PropTypes.number.isRequired,
+        reconcileConfirmed: PropTypes.func.isRequired,
+        reconciling: PropTypes.bool,
+        result: PropTypes.object,
+        error: PropTypes.string,
+        records: PropTypes.array.isRequired,
+        totalVariance: PropTypes.number,
+    }).isRequired,
+    statementPeriod: PropTypes.string,
+};
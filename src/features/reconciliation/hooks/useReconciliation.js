@@ -0,0 +1,171 @@
+/**
+ * Hook: useReconciliation
+ *
+ * Proposes matches between the period's open projections and its actual transactions,
+ * holds the user's confirmations for the side-by-side review, and reconciles the
+ * confirmed pairs (projection deleted, variance recorded).
+ *
+ * Publishes 'projectionsChanged' (reason 'reconcile') after reconciling so projected
+ * totals and category overlays stop counting the closed projections.
+ *
+ * @module useReconciliation
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import reconciliationService from '../../../services/ReconciliationService';
+import { subscribe, publish } from '../../../services/TransactionEvents';
+import { get as getConfig } from '../../../config/config.js';
+import {
+    CONFIG_KEYS,
+    DEFAULT_RECONCILE_TOLERANCE_PERCENT,
+    DEFAULT_RECONCILE_WINDOW_DAYS,
+} from '../../transactionTable/utils/constants';
+import { findReconcileMatches } from '../utils/reconcileMatcher';
+
+const logger = {
+    info: (...args) => console.log('[useReconciliation]', ...args),
+    error: (...args) => console.error('[useReconciliation]', ...args),
+};
+
+/**
+ * Reads a non-negative number from config.
+ * @param {string} key
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readNumber(key, fallback) {
+    const n = Number(getConfig(key, fallback));
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const MATCH_OPTIONS = {
+    amountTolerancePercent: readNumber(CONFIG_KEYS.RECONCILE_AMOUNT_TOLERANCE_PERCENT, DEFAULT_RECONCILE_TOLERANCE_PERCENT),
+    dateWindowDays: readNumber(CONFIG_KEYS.RECONCILE_DATE_WINDOW_DAYS, DEFAULT_RECONCILE_WINDOW_DAYS),
+};
+
+/**
+ * Stable key of a proposal.
+ * @param {Object} proposal
+ * @returns {string}
+ */
+export function proposalKey(proposal) {
+    return `${proposal.projection.id}|${proposal.actual.id}`;
+}
+
+/**
+ * @param {Object} params
+ * @param {Array<Object>} params.projections - Open projected transactions of the period.
+ * @param {Array<Object>} params.actuals - Actual transactions of the period.
+ * @param {string} params.statementPeriod
+ * @returns {Object} reconciliation state and actions
+ */
+export default function useReconciliation({ projections, actuals, statementPeriod }) {
+    const [records, setRecords] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [excluded, setExcluded] = useState(() => new Set());
+    const [reconciling, setReconciling] = useState(false);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    const fetchRecords = useCallback(async () => {
+        if (!statementPeriod) {
+            setRecords([]);
+            return;
+        }
+        try {
+            setRecords(await reconciliationService.getRecords({ statementPeriod }));
+        } catch (err) {
+            logger.error('fetchRecords error', err);
+            setRecords([]);
+        }
+    }, [statementPeriod]);
+
+    useEffect(() => {
+        fetchRecords();
+    }, [fetchRecords]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type !== 'reconciliationsChanged') return;
+            if (payload.statementPeriod && payload.statementPeriod !== statementPeriod) return;
+            fetchRecords();
+        });
+        return unsubscribe;
+    }, [fetchRecords, statementPeriod]);
+
+    const proposals = useMemo(() => {
+        const usedActualIds = new Set(records.map((r) => String(r.actualId)));
+        return findReconcileMatches(projections, actuals, { ...MATCH_OPTIONS, excludeActualIds: usedActualIds });
+    }, [projections, actuals, records]);
+
+    const totalVariance = useMemo(
+        () => Math.round(records.reduce((s, r) => s + (Number(r.variance) || 0), 0) * 100) / 100,
+        [records]
+    );
+
+    const open = useCallback(() => {
+        logger.info('open', { proposals: proposals.length });
+        setExcluded(new Set());
+        setResult(null);
+        setError(null);
+        setIsOpen(true);
+    }, [proposals.length]);
+
+    const close = useCallback(() => setIsOpen(false), []);
+
+    /**
+     * Toggles whether a proposal is confirmed (all are confirmed by default).
+     * @param {string} key - proposalKey(proposal)
+     */
+    const toggleProposal = useCallback((key) => {
+        setExcluded((prev) => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    }, []);
+
+    const confirmedCount = proposals.filter((p) => !excluded.has(proposalKey(p))).length;
+
+    /**
+     * Reconciles the confirmed proposals.
+     * @async
+     * @returns {Promise<void>}
+     */
+    const reconcileConfirmed = useCallback(async () => {
+        const pairs = proposals
+            .filter((p) => !excluded.has(proposalKey(p)))
+            .map(({ projection, actual }) => ({ projection, actual }));
+        if (pairs.length === 0 || !statementPeriod) return;
+        setReconciling(true);
+        setError(null);
+        try {
+            const res = await reconciliationService.reconcile({ statementPeriod, pairs });
+            setResult(res);
+            publish({ type: 'reconciliationsChanged', reason: 'reconcile', statementPeriod });
+            publish({ type: 'projectionsChanged', reason: 'reconcile', statementPeriod });
+        } catch (err) {
+            logger.error('reconcileConfirmed failed', err);
+            setError(err?.message || String(err));
+        } finally {
+            setReconciling(false);
+        }
+    }, [proposals, excluded, statementPeriod]);
+
+    return {
+        isOpen,
+        open,
+        close,
+        proposals,
+        excluded,
+        toggleProposal,
+        confirmedCount,
+        reconcileConfirmed,
+        reconciling,
+        result,
+        error,
+        records,
+        totalVariance,
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * reconcileMatcher.js
+ *
+ * Proposes which actual transaction settles which open projection. A pair qualifies
+ * when the category agrees (or, for uncategorized projections, the names match), the
+ * amounts share a sign and differ by at most the tolerance, and the dates fall within
+ * the window. Each projection and each actual is used at most once; the closest pairs
+ * win.
+ *
+ * @module reconcileMatcher
+ */
+
+import { TEMP_ID_PREFIX, DEFAULT_RECONCILE_TOLERANCE_PERCENT, DEFAULT_RECONCILE_WINDOW_DAYS } from '../../transactionTable/utils/constants';
+import { normalizeName, namesMatch } from '../../transactionTable/utils/duplicateDetector';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ReconcileProposal
+ * @property {Object} projection
+ * @property {Object} actual
+ * @property {number} variance - actual - projected
+ * @property {number} dayDiff - actual date - projected date, in days
+ * @property {boolean} nameMatch
+ * @property {number} score - lower is better
+ */
+
+/**
+ * @param {*} v
+ * @returns {string}
+ */
+function lower(v) {
+    return String(v ?? '').trim().toLowerCase();
+}
+
+/**
+ * Scores a projection / actual pair, or returns null when they cannot match.
+ *
+ * @function scorePair
+ * @param {Object} projection
+ * @param {Object} actual
+ * @param {Object} options
+ * @param {number} options.amountTolerancePercent
+ * @param {number} options.dateWindowDays
+ * @returns {ReconcileProposal|null}
+ */
+export function scorePair(projection, actual, { amountTolerancePercent, dateWindowDays }) {
+    const projected = Number(projection?.amount);
+    const amount = Number(actual?.amount);
+    if (!Number.isFinite(projected) || !Number.isFinite(amount)) return null;
+    if (projected !== 0 && Math.sign(projected) !== Math.sign(amount)) return null;
+
+    const tolerance = Math.max(Math.abs(projected) * (amountTolerancePercent / 100), 0.01);
+    const variance = Math.round((amount - projected) * 100) / 100;
+    if (Math.abs(variance) > tolerance) return null;
+
+    const pDate = new Date(projection.transactionDate).getTime();
+    const aDate = new Date(actual.transactionDate).getTime();
+    if (Number.isNaN(pDate) || Number.isNaN(aDate)) return null;
+    const dayDiff = Math.round((aDate - pDate) / DAY_MS);
+    if (Math.abs(dayDiff) > dateWindowDays) return null;
+
+    const nameMatch = namesMatch(normalizeName(projection.name), normalizeName(actual.name));
+    const pCategory = lower(projection.category);
+    if (pCategory) {
+        if (pCategory !== lower(actual.category)) return null;
+    } else if (!nameMatch) {
+        return null;
+    }
+
+    const score = Math.abs(variance) / tolerance
+        + (dateWindowDays > 0 ? Math.abs(dayDiff) / dateWindowDays : 0) * 0.5
+        - (nameMatch ? 0.25 : 0);
+    return { projection, actual, variance, dayDiff, nameMatch, score };
+}
+
+/**
+ * Proposes one-to-one matches between open projections and actual transactions.
+ *
+ * @function findReconcileMatches
+ * @param {Array<Object>} projections - Open projected transactions.
+ * @param {Array<Object>} actuals - Actual transactions of the period.
+ * @param {Object} [options]
+ * @param {number} [options.amountTolerancePercent=DEFAULT_RECONCILE_TOLERANCE_PERCENT]
+ * @param {number} [options.dateWindowDays=DEFAULT_RECONCILE_WINDOW_DAYS]
+ * @param {Set<string>} [options.excludeActualIds] - Actuals already used by earlier reconciliations.
+ * @returns {Array<ReconcileProposal>} best first
+ */
+export function findReconcileMatches(projections = [], actuals = [], {
+    amountTolerancePercent = DEFAULT_RECONCILE_TOLERANCE_PERCENT,
+    dateWindowDays = DEFAULT_RECONCILE_WINDOW_DAYS,
+    excludeActualIds = new Set(),
+} = {}) {
+    const openProjections = (projections || []).filter((p) => p && p.id != null && !String(p.id).startsWith(TEMP_ID_PREFIX));
+    const candidates = (actuals || []).filter((a) =>
+        a && a.id != null && !a.__isProjected && !String(a.id).startsWith(TEMP_ID_PREFIX) && !excludeActualIds.has(String(a.id))
+    );
+
+    const pairs = [];
+    openProjections.forEach((projection) => {
+        candidates.forEach((actual) => {
+            const pair = scorePair(projection, actual, { amountTolerancePercent, dateWindowDays });
+            if (pair) pairs.push(pair);
+        });
+    });
+
+    // Greedy one-to-one assignment, best pairs first
+    pairs.sort((a, b) => a.score - b.score);
+    const usedProjections = new Set();
+    const usedActuals = new Set();
+    return pairs.filter((pair) => {
+        const pid = String(pair.projection.id);
+        const aid = String(pair.actual.id);
+        if (usedProjections.has(pid) || usedActuals.has(aid)) return false;
+        usedProjections.add(pid);
+        usedActuals.add(aid);
+        return true;
+    });
+}
+
+const reconcileMatcher = {
+    scorePair,
+    findReconcileMatches,
+};
+
+export default reconcileMatcher;
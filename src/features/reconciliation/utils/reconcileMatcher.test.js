@@ -0,0 +1,62 @@
+import { scorePair, findReconcileMatches } from './reconcileMatcher';
+
+const OPTIONS = { amountTolerancePercent: 10, dateWindowDays: 7 };
+const on = (d) => new Date(2026, 9, d, 12).toISOString();
+const row = (id, amount, d, extra = {}) => ({ id, name: 'Rent', category: 'Housing', amount, transactionDate: on(d), ...extra });
+
+describe('scorePair', () => {
+    const projection = row('p1', 100, 10);
+
+    it('allows the amount to differ by up to the tolerance percentage', () => {
+        expect(scorePair(projection, row('a1', 110, 10), OPTIONS)).toMatchObject({ variance: 10, dayDiff: 0 });
+        expect(scorePair(projection, row('a1', 89.99, 10), OPTIONS)).toBeNull();
+        expect(scorePair(row('p0', 0, 10), row('a1', 0.01, 10), OPTIONS)).toMatchObject({ variance: 0.01 });
+    });
+
+    it('rejects a refund against a charge', () => {
+        expect(scorePair(row('p2', -100, 10), row('a1', 100, 10), OPTIONS)).toBeNull();
+    });
+
+    it('only matches inside the date window', () => {
+        expect(scorePair(projection, row('a1', 100, 17), OPTIONS)).toMatchObject({ dayDiff: 7 });
+        expect(scorePair(projection, row('a1', 100, 2), OPTIONS)).toBeNull();
+    });
+
+    it('needs the category, or the name for an uncategorized projection', () => {
+        expect(scorePair(projection, row('a1', 100, 10, { category: 'Dining' }), OPTIONS)).toBeNull();
+        const uncategorized = row('p3', 100, 10, { category: '' });
+        expect(scorePair(uncategorized, row('a1', 100, 10, { name: 'RENT PAYMENT', category: 'Housing' }), OPTIONS))
+            .toMatchObject({ nameMatch: true });
+        expect(scorePair(uncategorized, row('a1', 100, 10, { name: 'Landlord' }), OPTIONS)).toBeNull();
+    });
+
+    it('scores closer pairs lower', () => {
+        const exact = scorePair(projection, row('a1', 100, 10), OPTIONS);
+        const later = scorePair(projection, row('a2', 100, 13), OPTIONS);
+        const off = scorePair(projection, row('a3', 105, 10), OPTIONS);
+        expect(exact.score).toBeLessThan(later.score);
+        expect(exact.score).toBeLessThan(off.score);
+    });
+});
+
+describe('findReconcileMatches', () => {
+    const ids = (matches) => matches.map((m) => [m.projection.id, m.actual.id]);
+
+    it('uses each projection and each actual once, closest pairs first', () => {
+        const projections = [row('p1', 100, 1), row('p2', 100, 8)];
+        const actuals = [row('a1', 100, 7), row('a2', 100, 2)];
+        expect(ids(findReconcileMatches(projections, actuals, OPTIONS))).toEqual([['p1', 'a2'], ['p2', 'a1']]);
+    });
+
+    it('leaves a projection open when its only candidate fits another one better', () => {
+        const projections = [row('p1', 100, 1), row('p2', 100, 5)];
+        expect(ids(findReconcileMatches(projections, [row('a1', 100, 5)], OPTIONS))).toEqual([['p2', 'a1']]);
+    });
+
+    it('skips unsaved rows, projections among the actuals and already used actuals', () => {
+        const projections = [row('p1', 100, 1), row('new-1', 100, 1)];
+        const actuals = [row('new-2', 100, 1), row('p9', 100, 1, { __isProjected: true }), row('a1', 100, 1), row('a2', 100, 1)];
+        const matches = findReconcileMatches(projections, actuals, { ...OPTIONS, excludeActualIds: new Set(['a1']) });
+        expect(ids(matches)).toEqual([['p1', 'a2']]);
+    });
+});
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import useRecurringTemplates from "../hooks/useRecurringTemplates";
+import { describeSchedule } from "../../../lib/recurrence";
+import { DEFAULT_LOCALE, DEFAULT_CURRENCY } from "../../transactionTable/utils/constants";
+import TemplateEditor from "./TemplateEditor";
+import styles from "./Recurring.module.css";
+
+/**
+ * Logger for RecurringTemplateManager
+ */
+const logger = {
+    info: (...args) => console.log("[RecurringTemplateManager]", ...args),
+    error: (...args) => console.error("[RecurringTemplateManager]", ...args),
+};
+
+const currencyFmt = new Intl.NumberFormat(DEFAULT_LOCALE, { style: "currency", currency: DEFAULT_CURRENCY });
+
+/**
+ * RecurringTemplateManager
+ * Settings panel listing recurring transaction templates with create / edit /
+ * enable / delete. Templates generate projections into upcoming statement periods.
+ * Uses Bulletproof React conventions: UI only, logic in useRecurringTemplates.
+ */
+export default function RecurringTemplateManager() {
+    const { templates, loading, error, saveTemplate, deleteTemplate } = useRecurringTemplates();
+    // null = closed, {} = new template, template object = editing
+    const [editingTemplate, setEditingTemplate] = useState(null);
+    const [actionError, setActionError] = useState(null);
+
+    logger.info("render", { count: templates.length, editing: editingTemplate?.id || (editingTemplate ? "new" : null) });
+
+    const run = async (fn) => {
+        setActionError(null);
+        try {
+            await fn();
+        } catch (err) {
+            logger.error("template action failed", err);
+            setActionError(err?.message || String(err));
+        }
+    };
+
+    const handleSave = async (template, options) => {
+        await saveTemplate(template, options);
+        setEditingTemplate(null);
+    };
+
+    const handleDelete = (template) => {
+        if (!window.confirm(`Delete recurring template "${template.name}"?`)) return;
+        const removeFuture = window.confirm("Also delete its projections from today on? Cancel keeps them.");
+        run(() => deleteTemplate(template.id, { removeFuture }));
+    };
+
+    return (
+        <section className={styles.manager} aria-label="Recurring transactions">
+            <div className={styles.managerHeader}>
+                <div>
+                    <h2 className={styles.title}>Recurring transactions</h2>
+                    <div className={styles.subtitle}>
+                        Templates generate projections into the current and upcoming statement periods.
+                    </div>
+                </div>
+                <button type="button" className={styles.primaryBtn} onClick={() => setEditingTemplate({})} disabled={Boolean(editingTemplate)}>
+                    New template
+                </button>
+            </div>
+
+            {error && <div className={styles.error}>Error: {error.message || String(error)}</div>}
+            {actionError && <div className={styles.error} role="alert">{actionError}</div>}
+
+            {editingTemplate && (
+                <TemplateEditor
+                    template={editingTemplate.id ? editingTemplate : null}
+                    onSave={handleSave}
+                    onCancel={() => setEditingTemplate(null)}
+                />
+            )}
+
+            {loading && templates.length === 0 ? (
+                <div className={styles.muted}>Loading templates…</div>
+            ) : templates.length === 0 ? (
+                <div className={styles.muted}>No recurring templates yet. Rent, subscriptions and paychecks are good candidates.</div>
+            ) : (
+                <ul className={styles.templateList}>
+                    {templates.map((template) => (
+                        <li key={template.id} className={`${styles.templateItem} ${template.enabled === false ? styles.templateDisabled : ""}`}>
+                            <div className={styles.templateText}>
+                                <div className={styles.templateName}>{template.name}</div>
+                                <div className={styles.templateSummary}>
+                                    {describeSchedule(template)}
+                                    {template.category ? ` · ${template.category}` : ""}
+                                    {template.account ? ` · ${template.account}` : ""}
+                                </div>
+                            </div>
+                            <div className={styles.templateAmount}>{currencyFmt.format(Number(template.amount) || 0)}</div>
+                            <div className={styles.templateActions}>
+                                <label className={styles.checkbox}>
+                                    <input
+                                        type="checkbox"
+                                        checked={template.enabled !== false}
+                                        onChange={(e) => run(() => saveTemplate({ ...template, enabled: e.target.checked }))}
+                                    />
+                                    On
+                                </label>
+                                <button type="button" className={styles.linkBtn} onClick={() => setEditingTemplate(template)}>Edit</button>
+                                <button type="button" className={styles.linkBtn} onClick={() => handleDelete(template)}>Delete</button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
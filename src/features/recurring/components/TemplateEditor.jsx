@@ -0,0 +1,178 @@
+import React from "react";
+import PropTypes from "prop-types";
+import useTemplateEditor from "../hooks/useTemplateEditor";
+import { SCHEDULE_TYPES, SCHEDULE_LABELS } from "../../../lib/recurrence";
+import styles from "./Recurring.module.css";
+
+/**
+ * Logger for TemplateEditor
+ */
+const logger = {
+    info: (...args) => console.log("[TemplateEditor]", ...args),
+    error: (...args) => console.error("[TemplateEditor]", ...args),
+};
+
+const MONTH_OPTIONS = Array.from({ length: 12 }, (_, i) => ({
+    value: i + 1,
+    label: new Date(2000, i, 1).toLocaleString("en-US", { month: "long" }),
+}));
+
+/**
+ * Select when config provides options, free text otherwise.
+ */
+function OptionInput({ value, options, onChange, placeholder, ariaLabel }) {
+    if (Array.isArray(options) && options.length > 0) {
+        return (
+            <select value={value || ""} onChange={(e) => onChange(e.target.value)} aria-label={ariaLabel}>
+                <option value="">{placeholder}</option>
+                {options.map((o) => <option key={o} value={o}>{o}</option>)}
+            </select>
+        );
+    }
+    return (
+        <input type="text" value={value || ""} placeholder={placeholder} aria-label={ariaLabel} onChange={(e) => onChange(e.target.value)} />
+    );
+}
+
+OptionInput.propTypes = {
+    value: PropTypes.string,
+    options: PropTypes.arrayOf(PropTypes.string),
+    onChange: PropTypes.func.isRequired,
+    placeholder: PropTypes.string,
+    ariaLabel: PropTypes.string,
+};
+
+/**
+ * TemplateEditor
+ * Presentational form for one recurring transaction template.
+ * Uses Bulletproof React conventions: UI only, logic in useTemplateEditor.
+ *
+ * Props:
+ *  - template: template (or draft) to edit; null for a new template
+ *  - onSave: async (template, { propagate }) => void
+ *  - onCancel: cancel handler
+ */
+export default function TemplateEditor({ template, onSave, onCancel }) {
+    const editor = useTemplateEditor({ initialTemplate: template, onSave });
+    const { draft, options } = editor;
+    const s = draft.schedule || {};
+    logger.info("render", { id: draft.id || null });
+
+    return (
+        <form
+            className={styles.editor}
+            onSubmit={(e) => {
+                e.preventDefault();
+                editor.submit();
+            }}
+        >
+            <div className={styles.editorRow}>
+                <label className={`${styles.field} ${styles.grow}`}>
+                    <span>Name</span>
+                    <input type="text" value={draft.name || ""} placeholder="Rent" onChange={(e) => editor.setField("name", e.target.value)} autoFocus />
+                </label>
+                <label className={styles.field}>
+                    <span>Amount</span>
+                    <input type="number" step="0.01" value={draft.amount ?? ""} onChange={(e) => editor.setField("amount", e.target.value)} />
+                </label>
+                <label className={styles.checkbox}>
+                    <input type="checkbox" checked={draft.enabled !== false} onChange={(e) => editor.setField("enabled", e.target.checked)} />
+                    Enabled
+                </label>
+            </div>
+
+            <div className={styles.editorSection}>Schedule</div>
+            <div className={styles.editorRow}>
+                <label className={styles.field}>
+                    <span>Repeats</span>
+                    <select value={s.type || ""} onChange={(e) => editor.setSchedule("type", e.target.value)}>
+                        {Object.values(SCHEDULE_TYPES).map((type) => (
+                            <option key={type} value={type}>{SCHEDULE_LABELS[type]}</option>
+                        ))}
+                    </select>
+                </label>
+                {s.type === SCHEDULE_TYPES.MONTHLY_DAY && (
+                    <label className={styles.field}>
+                        <span>Day of month</span>
+                        <input type="number" min="1" max="31" value={s.dayOfMonth ?? ""} onChange={(e) => editor.setSchedule("dayOfMonth", e.target.value)} />
+                    </label>
+                )}
+                {s.type === SCHEDULE_TYPES.EVERY_N_WEEKS && (
+                    <label className={styles.field}>
+                        <span>Every (weeks)</span>
+                        <input type="number" min="1" value={s.intervalWeeks ?? ""} onChange={(e) => editor.setSchedule("intervalWeeks", e.target.value)} />
+                    </label>
+                )}
+                {s.type === SCHEDULE_TYPES.YEARLY && (
+                    <>
+                        <label className={styles.field}>
+                            <span>Month</span>
+                            <select value={s.month ?? ""} onChange={(e) => editor.setSchedule("month", e.target.value)}>
+                                {MONTH_OPTIONS.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+                            </select>
+                        </label>
+                        <label className={styles.field}>
+                            <span>Day</span>
+                            <input type="number" min="1" max="31" value={s.day ?? ""} onChange={(e) => editor.setSchedule("day", e.target.value)} />
+                        </label>
+                    </>
+                )}
+                <label className={styles.field}>
+                    <span>{s.type === SCHEDULE_TYPES.EVERY_N_WEEKS ? "First date" : "Starts"}</span>
+                    <input type="date" value={draft.startDate || ""} onChange={(e) => editor.setField("startDate", e.target.value)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Ends (optional)</span>
+                    <input type="date" value={draft.endDate || ""} onChange={(e) => editor.setField("endDate", e.target.value)} />
+                </label>
+            </div>
+
+            <div className={styles.editorSection}>Projection details</div>
+            <div className={styles.editorRow}>
+                <label className={styles.field}>
+                    <span>Category</span>
+                    <OptionInput value={draft.category} options={options.categories} placeholder="(none)" onChange={(v) => editor.setField("category", v)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Criticality</span>
+                    <OptionInput value={draft.criticality} options={options.criticalities} placeholder="(none)" onChange={(v) => editor.setField("criticality", v)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Account</span>
+                    <OptionInput value={draft.account} options={options.accounts} placeholder="(none)" onChange={(v) => editor.setField("account", v)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Payment method</span>
+                    <OptionInput value={draft.paymentMethod} options={options.paymentMethods} placeholder="(none)" onChange={(v) => editor.setField("paymentMethod", v)} />
+                </label>
+            </div>
+
+            {editor.isExisting && (
+                <label className={styles.checkbox}>
+                    <input type="checkbox" checked={editor.propagate} onChange={(e) => editor.setPropagate(e.target.checked)} />
+                    Apply changes to already generated future projections
+                </label>
+            )}
+
+            {editor.errors.length > 0 && (
+                <ul className={styles.errorList}>
+                    {editor.errors.map((e) => <li key={e}>{e}</li>)}
+                </ul>
+            )}
+            {editor.submitError && <div className={styles.error} role="alert">{editor.submitError}</div>}
+
+            <div className={styles.editorActions}>
+                <button type="button" className={styles.secondaryBtn} onClick={onCancel} disabled={editor.saving}>Cancel</button>
+                <button type="submit" className={styles.primaryBtn} disabled={editor.saving}>
+                    {editor.saving ? "Saving…" : "Save template"}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+TemplateEditor.propTypes = {
+    template: PropTypes.object,
+    onSave: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
@@ -0,0 +1,100 @@
+/**
+ * Hook: useRecurringTemplates
+ *
+ * Loads recurring transaction templates and exposes CRUD. Every change runs
+ * projection generation so new or edited templates show up in upcoming periods
+ * right away, then publishes 'recurringTemplatesChanged' (and 'projectionsChanged'
+ * when existing projections were touched) on TransactionEvents.
+ *
+ * @module useRecurringTemplates
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import recurringTemplateService from '../../../services/RecurringTemplateService';
+import { subscribe, publish } from '../../../services/TransactionEvents';
+
+const logger = {
+    info: (...args) => console.log('[useRecurringTemplates]', ...args),
+    error: (...args) => console.error('[useRecurringTemplates]', ...args),
+};
+
+/**
+ * @returns {{
+ *   templates: Array<Object>,
+ *   loading: boolean,
+ *   error: any,
+ *   saveTemplate: (template: Object, options?: {propagate?: boolean}) => Promise<Object>,
+ *   deleteTemplate: (id: string, options?: {removeFuture?: boolean}) => Promise<void>,
+ *   refetch: Function
+ * }}
+ */
+export default function useRecurringTemplates() {
+    const [templates, setTemplates] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchTemplates = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setTemplates(await recurringTemplateService.getTemplates());
+        } catch (err) {
+            logger.error('fetchTemplates error', err);
+            setError(err);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTemplates();
+    }, [fetchTemplates]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type !== 'recurringTemplatesChanged') return;
+            logger.info('subscription: templates changed; refetching', { reason: payload.reason });
+            fetchTemplates();
+        });
+        return unsubscribe;
+    }, [fetchTemplates]);
+
+    /**
+     * Create or update a template, then generate its upcoming projections.
+     * @param {Object} template
+     * @param {Object} [options]
+     * @param {boolean} [options.propagate=false] - Apply the edit to future generated projections.
+     * @returns {Promise<Object>} saved template
+     * @throws {Error} If the save fails.
+     */
+    const saveTemplate = useCallback(async (template, { propagate = false } = {}) => {
+        logger.info('saveTemplate', { id: template?.id, propagate });
+        const saved = await recurringTemplateService.saveTemplate(template, { propagate });
+        publish({ type: 'recurringTemplatesChanged', reason: template?.id ? 'update' : 'create', id: saved.id });
+        if (propagate) publish({ type: 'projectionsChanged', reason: 'recurringPropagate' });
+        try {
+            await recurringTemplateService.generateProjections({ templateIds: [saved.id] });
+        } catch (err) {
+            // The template is saved; generation retries on next start.
+            logger.error('generateProjections after save failed', err);
+        }
+        return saved;
+    }, []);
+
+    /**
+     * Delete a template.
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {boolean} [options.removeFuture=false] - Also delete its projections from today on.
+     * @returns {Promise<void>}
+     * @throws {Error} If the delete fails.
+     */
+    const deleteTemplate = useCallback(async (id, { removeFuture = false } = {}) => {
+        logger.info('deleteTemplate', { id, removeFuture });
+        await recurringTemplateService.deleteTemplate(id, { removeFuture });
+        publish({ type: 'recurringTemplatesChanged', reason: 'delete', id });
+        if (removeFuture) publish({ type: 'projectionsChanged', reason: 'recurringDelete' });
+    }, []);
+
+    return { templates, loading, error, saveTemplate, deleteTemplate, refetch: fetchTemplates };
+}
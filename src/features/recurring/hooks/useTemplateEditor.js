@@ -0,0 +1,120 @@
+/**
+ * Hook: useTemplateEditor
+ *
+ * Draft state and validation for the recurring template form. Option lists come
+ * from config, as in the rule editor and the transaction table.
+ *
+ * @module useTemplateEditor
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    get as getConfig,
+    getAccounts,
+    getCategories,
+    getCriticalityForCategory,
+    getPaymentMethods,
+    getDefaultPaymentMethodForAccount,
+} from '../../../config/config.js';
+import useConfig from '../../../hooks/useConfig';
+import { CONFIG_KEYS, DEFAULT_CRITICALITY_OPTIONS } from '../../transactionTable/utils/constants';
+import { createEmptyTemplate, validateTemplate } from '../utils/templateForm';
+
+const logger = {
+    info: (...args) => console.log('[useTemplateEditor]', ...args),
+    error: (...args) => console.error('[useTemplateEditor]', ...args),
+};
+
+/**
+ * @param {Object} params
+ * @param {Object|null} params.initialTemplate - Template (or draft) to edit; null for a new one.
+ *   Pass a stable reference: the draft resets whenever it changes.
+ * @param {Function} params.onSave - async (template, { propagate }) => void
+ * @returns {Object} editor state and actions
+ */
+export default function useTemplateEditor({ initialTemplate, onSave }) {
+    const [draft, setDraft] = useState(() => initialTemplate || createEmptyTemplate());
+    const [propagate, setPropagate] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [submitError, setSubmitError] = useState(null);
+    const [touched, setTouched] = useState(false);
+
+    useEffect(() => {
+        setDraft(initialTemplate || createEmptyTemplate());
+        setPropagate(true);
+        setSubmitError(null);
+        setTouched(false);
+    }, [initialTemplate]);
+
+    const config = useConfig();
+    const options = useMemo(() => {
+        const crit = getConfig(CONFIG_KEYS.CRITICALITY_OPTIONS, undefined, config);
+        return {
+            categories: getCategories(config),
+            accounts: getAccounts(config),
+            paymentMethods: getPaymentMethods(config),
+            criticalities: Array.isArray(crit) && crit.length > 0 ? crit.map(String) : DEFAULT_CRITICALITY_OPTIONS,
+        };
+    }, [config]);
+
+    const errors = useMemo(() => validateTemplate(draft), [draft]);
+    const isExisting = Boolean(draft.id);
+
+    const setField = useCallback((field, value) => {
+        setDraft((prev) => {
+            const next = { ...prev, [field]: value };
+            // Same conveniences as the table: mapped criticality and default payment method
+            if (field === 'category' && value && !prev.criticality) {
+                next.criticality = getCriticalityForCategory(value) || '';
+            }
+            if (field === 'account' && value && !prev.paymentMethod) {
+                next.paymentMethod = getDefaultPaymentMethodForAccount(value) || '';
+            }
+            return next;
+        });
+    }, []);
+
+    const setSchedule = useCallback((field, value) => {
+        setDraft((prev) => ({ ...prev, schedule: { ...(prev.schedule || {}), [field]: value } }));
+    }, []);
+
+    const submit = useCallback(async () => {
+        setTouched(true);
+        if (errors.length > 0 || typeof onSave !== 'function') return;
+        setSaving(true);
+        setSubmitError(null);
+        try {
+            const s = draft.schedule || {};
+            await onSave({
+                ...draft,
+                amount: Number(draft.amount),
+                schedule: {
+                    ...s,
+                    dayOfMonth: Number(s.dayOfMonth) || undefined,
+                    intervalWeeks: Number(s.intervalWeeks) || undefined,
+                    month: Number(s.month) || undefined,
+                    day: Number(s.day) || undefined,
+                },
+            }, { propagate: isExisting && propagate });
+        } catch (err) {
+            logger.error('submit failed', err);
+            setSubmitError(err?.message || String(err));
+        } finally {
+            setSaving(false);
+        }
+    }, [errors, onSave, draft, isExisting, propagate]);
+
+    return {
+        draft,
+        options,
+        errors: touched ? errors : [],
+        isExisting,
+        propagate,
+        saving,
+        submitError,
+        setField,
+        setSchedule,
+        setPropagate,
+        submit,
+    };
+}
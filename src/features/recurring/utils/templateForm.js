@@ -0,0 +1,101 @@
+/**
+ * templateForm.js
+ *
+ * Draft helpers for recurring transaction templates: empty template, validation and
+ * template-from-transaction.
+ *
+ * @module templateForm
+ */
+
+import { SCHEDULE_TYPES, toDateKey, fromDateKey } from '../../../lib/recurrence';
+
+/**
+ * A new, empty template (monthly on today's day, starting today).
+ * @function createEmptyTemplate
+ * @returns {Object}
+ */
+export function createEmptyTemplate() {
+    const today = new Date();
+    return {
+        name: '',
+        amount: '',
+        category: '',
+        criticality: '',
+        account: '',
+        paymentMethod: '',
+        memo: '',
+        enabled: true,
+        startDate: toDateKey(today),
+        endDate: '',
+        schedule: { type: SCHEDULE_TYPES.MONTHLY_DAY, dayOfMonth: today.getDate(), intervalWeeks: 2, month: today.getMonth() + 1, day: today.getDate() },
+    };
+}
+
+/**
+ * Template pre-filled from a transaction (used by "Make recurring" on projection rows).
+ * @function templateFromTransaction
+ * @param {Object} tx
+ * @returns {Object}
+ */
+export function templateFromTransaction(tx = {}) {
+    const base = createEmptyTemplate();
+    const date = tx.transactionDate ? new Date(tx.transactionDate) : null;
+    const valid = date && !Number.isNaN(date.getTime());
+    return {
+        ...base,
+        name: tx.name || '',
+        amount: tx.amount ?? '',
+        category: tx.category || '',
+        criticality: tx.criticality || '',
+        account: tx.account || '',
+        paymentMethod: tx.paymentMethod || '',
+        memo: tx.memo || '',
+        startDate: valid ? toDateKey(date) : base.startDate,
+        schedule: valid
+            ? { ...base.schedule, dayOfMonth: date.getDate(), month: date.getMonth() + 1, day: date.getDate() }
+            : base.schedule,
+    };
+}
+
+/**
+ * Validation messages for a template draft (empty when valid).
+ * @function validateTemplate
+ * @param {Object} template
+ * @returns {string[]}
+ */
+export function validateTemplate(template = {}) {
+    const errors = [];
+    const s = template.schedule || {};
+    if (!String(template.name || '').trim()) errors.push('Name is required');
+    if (String(template.amount ?? '').trim() === '' || !Number.isFinite(Number(template.amount))) {
+        errors.push('Amount must be a number');
+    }
+    if (!Object.values(SCHEDULE_TYPES).includes(s.type)) errors.push('Choose a schedule');
+    if (s.type === SCHEDULE_TYPES.MONTHLY_DAY) {
+        const d = Number(s.dayOfMonth);
+        if (!Number.isInteger(d) || d < 1 || d > 31) errors.push('Day of month must be 1-31');
+    }
+    if (s.type === SCHEDULE_TYPES.EVERY_N_WEEKS) {
+        const n = Number(s.intervalWeeks);
+        if (!Number.isInteger(n) || n < 1) errors.push('Weeks must be a whole number of at least 1');
+        if (!fromDateKey(template.startDate)) errors.push('Every N weeks needs a start date');
+    }
+    if (s.type === SCHEDULE_TYPES.YEARLY) {
+        const m = Number(s.month);
+        const d = Number(s.day);
+        if (!Number.isInteger(m) || m < 1 || m > 12) errors.push('Month must be 1-12');
+        if (!Number.isInteger(d) || d < 1 || d > 31) errors.push('Day must be 1-31');
+    }
+    const start = fromDateKey(template.startDate);
+    const end = fromDateKey(template.endDate);
+    if (start && end && end < start) errors.push('End date is before start date');
+    return errors;
+}
+
+const templateForm = {
+    createEmptyTemplate,
+    templateFromTransaction,
+    validateTemplate,
+};
+
+export default templateForm;
@@ -0,0 +1,161 @@
+import React from "react";
+import PropTypes from "prop-types";
+import useRuleEditor from "../hooks/useRuleEditor";
+import { NAME_OPERATORS } from "../utils/ruleEngine";
+import styles from "./Rules.module.css";
+
+/**
+ * Logger for RuleEditor
+ */
+const logger = {
+    info: (...args) => console.log("[RuleEditor]", ...args),
+    error: (...args) => console.error("[RuleEditor]", ...args),
+};
+
+const OPERATOR_LABELS = {
+    [NAME_OPERATORS.CONTAINS]: "contains",
+    [NAME_OPERATORS.STARTS_WITH]: "starts with",
+    [NAME_OPERATORS.REGEX]: "matches regex",
+};
+
+/**
+ * Select when config provides options, free text otherwise.
+ */
+function OptionInput({ value, options, onChange, placeholder, ariaLabel }) {
+    if (Array.isArray(options) && options.length > 0) {
+        return (
+            <select value={value || ""} onChange={(e) => onChange(e.target.value)} aria-label={ariaLabel}>
+                <option value="">{placeholder}</option>
+                {options.map((o) => <option key={o} value={o}>{o}</option>)}
+            </select>
+        );
+    }
+    return (
+        <input type="text" value={value || ""} placeholder={placeholder} aria-label={ariaLabel} onChange={(e) => onChange(e.target.value)} />
+    );
+}
+
+OptionInput.propTypes = {
+    value: PropTypes.string,
+    options: PropTypes.arrayOf(PropTypes.string),
+    onChange: PropTypes.func.isRequired,
+    placeholder: PropTypes.string,
+    ariaLabel: PropTypes.string,
+};
+
+/**
+ * RuleEditor
+ * Presentational form for one auto-categorization rule.
+ * Uses Bulletproof React conventions: UI only, logic in useRuleEditor.
+ *
+ * Props:
+ *  - rule: rule (or draft) to edit; null for a new rule
+ *  - onSave: async (rule) => void
+ *  - onCancel: cancel handler
+ */
+export default function RuleEditor({ rule, onSave, onCancel }) {
+    const editor = useRuleEditor({ initialRule: rule, onSave });
+    const { draft, options } = editor;
+    const c = draft.conditions || {};
+    const a = draft.actions || {};
+    logger.info("render", { id: draft.id || null });
+
+    return (
+        <form
+            className={styles.editor}
+            onSubmit={(e) => {
+                e.preventDefault();
+                editor.submit();
+            }}
+        >
+            <div className={styles.editorRow}>
+                <label className={styles.field}>
+                    <span>Rule name</span>
+                    <input type="text" value={draft.name || ""} onChange={(e) => editor.setName(e.target.value)} autoFocus />
+                </label>
+                <label className={styles.checkbox}>
+                    <input type="checkbox" checked={draft.enabled !== false} onChange={(e) => editor.setEnabled(e.target.checked)} />
+                    Enabled
+                </label>
+            </div>
+
+            <div className={styles.editorSection}>When</div>
+            <div className={styles.editorRow}>
+                <label className={styles.field}>
+                    <span>Name</span>
+                    <select value={c.nameOperator || NAME_OPERATORS.CONTAINS} onChange={(e) => editor.setCondition("nameOperator", e.target.value)}>
+                        {Object.entries(OPERATOR_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className={`${styles.field} ${styles.grow}`}>
+                    <span>&nbsp;</span>
+                    <input
+                        type="text"
+                        value={c.nameValue || ""}
+                        placeholder={c.nameOperator === NAME_OPERATORS.REGEX ? "^amzn|amazon" : "Whole Foods"}
+                        aria-label="Name condition"
+                        onChange={(e) => editor.setCondition("nameValue", e.target.value)}
+                    />
+                </label>
+            </div>
+            <div className={styles.editorRow}>
+                <label className={styles.field}>
+                    <span>Amount from</span>
+                    <input type="number" step="0.01" value={c.amountMin ?? ""} onChange={(e) => editor.setCondition("amountMin", e.target.value)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Amount to</span>
+                    <input type="number" step="0.01" value={c.amountMax ?? ""} onChange={(e) => editor.setCondition("amountMax", e.target.value)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Payment method</span>
+                    <OptionInput
+                        value={c.paymentMethod}
+                        options={options.paymentMethods}
+                        placeholder="(any)"
+                        ariaLabel="Payment method condition"
+                        onChange={(v) => editor.setCondition("paymentMethod", v)}
+                    />
+                </label>
+            </div>
+
+            <div className={styles.editorSection}>Then set</div>
+            <div className={styles.editorRow}>
+                <label className={styles.field}>
+                    <span>Category</span>
+                    <OptionInput value={a.category} options={options.categories} placeholder="(unchanged)" onChange={(v) => editor.setAction("category", v)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Criticality</span>
+                    <OptionInput value={a.criticality} options={options.criticalities} placeholder="(unchanged)" onChange={(v) => editor.setAction("criticality", v)} />
+                </label>
+                <label className={styles.field}>
+                    <span>Account</span>
+                    <OptionInput value={a.account} options={options.accounts} placeholder="(unchanged)" onChange={(v) => editor.setAction("account", v)} />
+                </label>
+            </div>
+
+            {editor.errors.length > 0 && (
+                <ul className={styles.errorList}>
+                    {editor.errors.map((e) => <li key={e}>{e}</li>)}
+                </ul>
+            )}
+            {editor.submitError && <div className={styles.error} role="alert">{editor.submitError}</div>}
+
+            <div className={styles.editorActions}>
+                <button type="button" className={styles.secondaryBtn} onClick={onCancel} disabled={editor.saving}>Cancel</button>
+                <button type="submit" className={styles.primaryBtn} disabled={editor.saving}>
+                    {editor.saving ? "Saving…" : "Save rule"}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+RuleEditor.propTypes = {
+    rule: PropTypes.object,
+    onSave: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
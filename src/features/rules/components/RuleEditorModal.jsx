@@ -0,0 +1,33 @@
+import React from "react";
+import PropTypes from "prop-types";
+import Modal, { ModalHeader, ModalBody } from "../../../components/modal/Modal";
+import RuleEditor from "./RuleEditor";
+import styles from "./Rules.module.css";
+
+/**
+ * RuleEditorModal
+ * Rule editor in a modal, used by "Create rule from this transaction" on table rows.
+ *
+ * Props:
+ *  - rule: draft rule (modal is open while set)
+ *  - onSave: async (rule) => void
+ *  - onClose: close handler
+ */
+export default function RuleEditorModal({ rule, onSave, onClose }) {
+    return (
+        <Modal isOpen={Boolean(rule)} onClose={onClose} ariaLabel="Create categorization rule" closeOnBackdrop={false}>
+            <ModalHeader>
+                <div className={styles.title}>New categorization rule</div>
+            </ModalHeader>
+            <ModalBody>
+                {rule && <RuleEditor rule={rule} onSave={onSave} onCancel={onClose} />}
+            </ModalBody>
+        </Modal>
+    );
+}
+
+RuleEditorModal.propTypes = {
+    rule: PropTypes.object,
+    onSave: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+};
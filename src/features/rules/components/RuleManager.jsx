@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import useCategorizationRules from "../hooks/useCategorizationRules";
+import { describeRule } from "../utils/ruleEngine";
+import RuleEditor from "./RuleEditor";
+import styles from "./Rules.module.css";
+
+/**
+ * Logger for RuleManager
+ */
+const logger = {
+    info: (...args) => console.log("[RuleManager]", ...args),
+    error: (...args) => console.error("[RuleManager]", ...args),
+};
+
+/**
+ * RuleManager
+ * Settings panel listing auto-categorization rules in priority order with
+ * create / edit / enable / reorder / delete.
+ * Uses Bulletproof React conventions: UI only, logic in useCategorizationRules.
+ */
+export default function RuleManager() {
+    const { rules, loading, error, saveRule, deleteRule, moveRule } = useCategorizationRules();
+    // null = closed, {} = new rule, rule object = editing
+    const [editingRule, setEditingRule] = useState(null);
+    const [actionError, setActionError] = useState(null);
+
+    logger.info("render", { count: rules.length, editing: editingRule?.id || (editingRule ? "new" : null) });
+
+    const run = async (fn) => {
+        setActionError(null);
+        try {
+            await fn();
+        } catch (err) {
+            logger.error("rule action failed", err);
+            setActionError(err?.message || String(err));
+        }
+    };
+
+    const handleSave = async (rule) => {
+        await saveRule(rule);
+        setEditingRule(null);
+    };
+
+    return (
+        <section className={styles.manager} aria-label="Categorization rules">
+            <div className={styles.managerHeader}>
+                <div>
+                    <h2 className={styles.title}>Categorization rules</h2>
+                    <div className={styles.subtitle}>
+                        Rules run top to bottom on import and when entering a new row. The first match fills empty fields only.
+                    </div>
+                </div>
+                <button type="button" className={styles.primaryBtn} onClick={() => setEditingRule({})} disabled={Boolean(editingRule)}>
+                    New rule
+                </button>
+            </div>
+
+            {error && <div className={styles.error}>Error: {error.message || String(error)}</div>}
+            {actionError && <div className={styles.error} role="alert">{actionError}</div>}
+
+            {editingRule && (
+                <RuleEditor
+                    rule={editingRule.id ? editingRule : null}
+                    onSave={handleSave}
+                    onCancel={() => setEditingRule(null)}
+                />
+            )}
+
+            {loading && rules.length === 0 ? (
+                <div className={styles.muted}>Loading rules…</div>
+            ) : rules.length === 0 ? (
+                <div className={styles.muted}>No rules yet. Create one here or from a transaction row.</div>
+            ) : (
+                <ol className={styles.ruleList}>
+                    {rules.map((rule, index) => (
+                        <li key={rule.id} className={`${styles.ruleItem} ${rule.enabled === false ? styles.ruleDisabled : ""}`}>
+                            <span className={styles.rulePriority}>{index + 1}</span>
+                            <div className={styles.ruleText}>
+                                <div className={styles.ruleName}>{rule.name}</div>
+                                <div className={styles.ruleSummary}>{describeRule(rule)}</div>
+                            </div>
+                            <div className={styles.ruleActions}>
+                                <label className={styles.checkbox}>
+                                    <input
+                                        type="checkbox"
+                                        checked={rule.enabled !== false}
+                                        onChange={(e) => run(() => saveRule({ ...rule, enabled: e.target.checked }))}
+                                    />
+                                    On
+                                </label>
+                                <button type="button" className={styles.iconBtn} onClick={() => run(() => moveRule(rule.id, -1))} disabled={index === 0} aria-label={`Move ${rule.name} up`}>↑</button>
+                                <button type="button" className={styles.iconBtn} onClick={() => run(() => moveRule(rule.id, 1))} disabled={index === rules.length - 1} aria-label={`Move ${rule.name} down`}>↓</button>
+                                <button type="button" className={styles.linkBtn} onClick={() => setEditingRule(rule)}>Edit</button>
+                                <button
+                                    type="button"
+                                    className={styles.linkBtn}
+                                    onClick={() => {
+                                        if (window.confirm(`Delete rule "${rule.name}"?`)) run(() => deleteRule(rule.id));
+                                    }}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,121 @@
+/**
+ * Hook: useCategorizationRules
+ *
+ * Loads the auto-categorization rules (priority order) and exposes CRUD plus an
+ * `apply(tx)` helper bound to the current rules.
+ *
+ * Publishes a 'rulesChanged' TransactionEvents payload after every change so the
+ * settings manager, open tables and the import wizard stay in sync.
+ *
+ * @module useCategorizationRules
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import categorizationRuleService from '../../../services/CategorizationRuleService';
+import { subscribe, publish } from '../../../services/TransactionEvents';
+import { applyRules } from '../utils/ruleEngine';
+
+const logger = {
+    info: (...args) => console.log('[useCategorizationRules]', ...args),
+    error: (...args) => console.error('[useCategorizationRules]', ...args),
+};
+
+/**
+ * @returns {{
+ *   rules: Array<Object>,
+ *   loading: boolean,
+ *   error: any,
+ *   apply: (tx: Object) => { tx: Object, rule: Object|null, applied: Array<string> },
+ *   saveRule: (rule: Object) => Promise<Object>,
+ *   deleteRule: (id: string) => Promise<void>,
+ *   moveRule: (id: string, delta: number) => Promise<void>,
+ *   refetch: Function
+ * }}
+ */
+export default function useCategorizationRules() {
+    const [rules, setRules] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchRules = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setRules(await categorizationRuleService.getRules());
+        } catch (err) {
+            logger.error('fetchRules error', err);
+            setError(err);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type !== 'rulesChanged') return;
+            logger.info('subscription: rules changed; refetching', { reason: payload.reason });
+            fetchRules();
+        });
+        return unsubscribe;
+    }, [fetchRules]);
+
+    const apply = useCallback((tx) => applyRules(rules, tx), [rules]);
+
+    /**
+     * Create or update a rule.
+     * @param {Object} rule
+     * @returns {Promise<Object>} saved rule
+     * @throws {Error} If the save fails.
+     */
+    const saveRule = useCallback(async (rule) => {
+        logger.info('saveRule', { id: rule?.id });
+        const saved = await categorizationRuleService.saveRule(rule);
+        publish({ type: 'rulesChanged', reason: rule?.id ? 'update' : 'create', id: saved.id });
+        return saved;
+    }, []);
+
+    /**
+     * Delete a rule.
+     * @param {string} id
+     * @returns {Promise<void>}
+     * @throws {Error} If the delete fails.
+     */
+    const deleteRule = useCallback(async (id) => {
+        logger.info('deleteRule', { id });
+        await categorizationRuleService.deleteRule(id);
+        publish({ type: 'rulesChanged', reason: 'delete', id });
+    }, []);
+
+    /**
+     * Move a rule up (delta < 0) or down (delta > 0) in priority.
+     * @param {string} id
+     * @param {number} delta
+     * @returns {Promise<void>}
+     * @throws {Error} If the reorder fails.
+     */
+    const moveRule = useCallback(async (id, delta) => {
+        const ids = rules.map((r) => r.id);
+        const from = ids.indexOf(id);
+        const to = from + delta;
+        if (from < 0 || to < 0 || to >= ids.length) return;
+        ids.splice(to, 0, ids.splice(from, 1)[0]);
+        logger.info('moveRule', { id, from, to });
+        setRules(await categorizationRuleService.reorderRules(ids));
+        publish({ type: 'rulesChanged', reason: 'reorder', id });
+    }, [rules]);
+
+    return {
+        rules,
+        loading,
+        error,
+        apply,
+        saveRule,
+        deleteRule,
+        moveRule,
+        refetch: fetchRules,
+    };
+}
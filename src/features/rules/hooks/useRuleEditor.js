@@ -0,0 +1,105 @@
+/**
+ * Hook: useRuleEditor
+ *
+ * Draft state and validation for the rule editor form. The option lists come
+ * from config so the editor offers the same categories / accounts / payment
+ * methods as the transaction table.
+ *
+ * @module useRuleEditor
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    get as getConfig,
+    getAccounts,
+    getCategories,
+    getCriticalityForCategory,
+    getPaymentMethods,
+} from '../../../config/config.js';
+import useConfig from '../../../hooks/useConfig';
+import { CONFIG_KEYS, DEFAULT_CRITICALITY_OPTIONS } from '../../transactionTable/utils/constants';
+import { createEmptyRule, validateRule } from '../utils/ruleEngine';
+
+const logger = {
+    info: (...args) => console.log('[useRuleEditor]', ...args),
+    error: (...args) => console.error('[useRuleEditor]', ...args),
+};
+
+/**
+ * @param {Object} params
+ * @param {Object|null} params.initialRule - Rule to edit (or a draft); null for a new rule.
+ * @param {Function} params.onSave - async (rule) => void
+ * @returns {Object} editor state and actions
+ */
+export default function useRuleEditor({ initialRule, onSave }) {
+    const [draft, setDraft] = useState(() => initialRule || createEmptyRule());
+    const [saving, setSaving] = useState(false);
+    const [submitError, setSubmitError] = useState(null);
+    const [touched, setTouched] = useState(false);
+
+    useEffect(() => {
+        setDraft(initialRule || createEmptyRule());
+        setSubmitError(null);
+        setTouched(false);
+    }, [initialRule]);
+
+    const config = useConfig();
+    const options = useMemo(() => {
+        const crit = getConfig(CONFIG_KEYS.CRITICALITY_OPTIONS, undefined, config);
+        return {
+            categories: getCategories(config),
+            accounts: getAccounts(config),
+            paymentMethods: getPaymentMethods(config),
+            criticalities: Array.isArray(crit) && crit.length > 0 ? crit.map(String) : DEFAULT_CRITICALITY_OPTIONS,
+        };
+    }, [config]);
+
+    const errors = useMemo(() => validateRule(draft), [draft]);
+
+    const setName = useCallback((name) => setDraft((prev) => ({ ...prev, name })), []);
+    const setEnabled = useCallback((enabled) => setDraft((prev) => ({ ...prev, enabled })), []);
+
+    const setCondition = useCallback((field, value) => {
+        setDraft((prev) => ({ ...prev, conditions: { ...(prev.conditions || {}), [field]: value } }));
+    }, []);
+
+    const setAction = useCallback((field, value) => {
+        setDraft((prev) => {
+            const actions = { ...(prev.actions || {}), [field]: value };
+            // Same convenience as the table: picking a category pre-fills its mapped criticality
+            if (field === 'category' && value && !actions.criticality) {
+                actions.criticality = getCriticalityForCategory(value) || '';
+            }
+            return { ...prev, actions };
+        });
+    }, []);
+
+    const submit = useCallback(async () => {
+        setTouched(true);
+        if (errors.length > 0 || typeof onSave !== 'function') return;
+        setSaving(true);
+        setSubmitError(null);
+        try {
+            await onSave(draft);
+        } catch (err) {
+            logger.error('submit failed', err);
+            setSubmitError(err?.message || String(err));
+        } finally {
+            setSaving(false);
+        }
+    }, [errors, onSave, draft]);
+
+    return {
+        draft,
+        options,
+        errors: touched ? errors : [],
+        isValid: errors.length === 0,
+        saving,
+        submitError,
+        setName,
+        setEnabled,
+        setCondition,
+        setAction,
+        submit,
+    };
+}
@@ -0,0 +1,255 @@
+/**
+ * ruleEngine
+ * Evaluates auto-categorization rules against transactions.
+ *
+ * Rules run in priority order and the first enabled rule whose conditions all
+ * match wins. A rule only fills fields the transaction leaves empty, so values
+ * the user typed (or the file supplied) are never overwritten. When a rule sets
+ * a category but no criticality, the criticality comes from getCriticalityForCategory.
+ *
+ * Conditions (all optional, but a rule needs at least one):
+ * - name: contains / startsWith (case-insensitive) or regex (case-insensitive)
+ * - amount range: amountMin <= amount <= amountMax (app convention, spending positive)
+ * - paymentMethod: case-insensitive equality
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module ruleEngine
+ */
+
+import { getCriticalityForCategory } from '../../../config/config.js';
+
+const logger = {
+    info: (...args) => console.log('[ruleEngine]', ...args),
+    error: (...args) => console.error('[ruleEngine]', ...args),
+};
+
+/**
+ * NAME_OPERATORS - how a rule's name condition is compared.
+ */
+export const NAME_OPERATORS = {
+    CONTAINS: 'contains',
+    STARTS_WITH: 'startsWith',
+    REGEX: 'regex',
+};
+
+/** Fields a rule may assign. */
+export const RULE_ACTION_FIELDS = ['category', 'criticality', 'account'];
+
+/**
+ * @param {*} v
+ * @returns {boolean}
+ */
+function isBlank(v) {
+    return v == null || String(v).trim() === '';
+}
+
+/**
+ * @param {*} v
+ * @returns {number|null}
+ */
+function toNumberOrNull(v) {
+    if (isBlank(v)) return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Returns a blank rule for the editor.
+ * @function createEmptyRule
+ * @returns {Object}
+ */
+export function createEmptyRule() {
+    return {
+        name: '',
+        enabled: true,
+        conditions: { nameOperator: NAME_OPERATORS.CONTAINS, nameValue: '', amountMin: '', amountMax: '', paymentMethod: '' },
+        actions: { category: '', criticality: '', account: '' },
+    };
+}
+
+/**
+ * Validates a rule for saving.
+ * @function validateRule
+ * @param {Object} rule
+ * @returns {Array<string>} errors (empty when valid)
+ */
+export function validateRule(rule) {
+    const errors = [];
+    const c = rule?.conditions || {};
+    const a = rule?.actions || {};
+    if (isBlank(rule?.name)) errors.push('Name is required');
+    const hasName = !isBlank(c.nameValue);
+    const min = toNumberOrNull(c.amountMin);
+    const max = toNumberOrNull(c.amountMax);
+    if (!isBlank(c.amountMin) && min == null) errors.push('Minimum amount must be a number');
+    if (!isBlank(c.amountMax) && max == null) errors.push('Maximum amount must be a number');
+    if (min != null && max != null && min > max) errors.push('Minimum amount is greater than maximum');
+    if (!hasName && min == null && max == null && isBlank(c.paymentMethod)) {
+        errors.push('Add at least one condition');
+    }
+    if (hasName && c.nameOperator === NAME_OPERATORS.REGEX) {
+        try {
+            // Compiled only to surface syntax errors
+            new RegExp(c.nameValue, 'i');
+        } catch (err) {
+            errors.push(`Invalid regular expression: ${err.message}`);
+        }
+    }
+    if (RULE_ACTION_FIELDS.every((f) => isBlank(a[f]))) errors.push('Set a category, criticality or account');
+    return errors;
+}
+
+/**
+ * Whether a rule's conditions all match a transaction.
+ * @function matchesRule
+ * @param {Object} rule
+ * @param {Object} tx
+ * @returns {boolean}
+ */
+export function matchesRule(rule, tx) {
+    if (!rule || rule.enabled === false || !tx) return false;
+    const c = rule.conditions || {};
+    let tested = false;
+
+    if (!isBlank(c.nameValue)) {
+        tested = true;
+        const name = String(tx.name || '');
+        const needle = String(c.nameValue);
+        if (c.nameOperator === NAME_OPERATORS.REGEX) {
+            try {
+                if (!new RegExp(needle, 'i').test(name)) return false;
+            } catch (err) {
+                logger.error('matchesRule: invalid regex', { ruleId: rule.id, err });
+                return false;
+            }
+        } else if (c.nameOperator === NAME_OPERATORS.STARTS_WITH) {
+            if (!name.trim().toLowerCase().startsWith(needle.trim().toLowerCase())) return false;
+        } else if (!name.toLowerCase().includes(needle.trim().toLowerCase())) {
+            return false;
+        }
+    }
+
+    const min = toNumberOrNull(c.amountMin);
+    const max = toNumberOrNull(c.amountMax);
+    if (min != null || max != null) {
+        tested = true;
+        const amount = Number(tx.amount);
+        if (!Number.isFinite(amount)) return false;
+        if (min != null && amount < min) return false;
+        if (max != null && amount > max) return false;
+    }
+
+    if (!isBlank(c.paymentMethod)) {
+        tested = true;
+        if (String(tx.paymentMethod || '').trim().toLowerCase() !== String(c.paymentMethod).trim().toLowerCase()) return false;
+    }
+
+    return tested;
+}
+
+/**
+ * Finds the first matching rule in priority order.
+ * @function findMatchingRule
+ * @param {Array<Object>} rules - Sorted by priority.
+ * @param {Object} tx
+ * @returns {Object|null}
+ */
+export function findMatchingRule(rules, tx) {
+    return (rules || []).find((r) => matchesRule(r, tx)) || null;
+}
+
+/**
+ * Applies the first matching rule, filling only empty fields.
+ *
+ * @function applyRules
+ * @param {Array<Object>} rules - Sorted by priority.
+ * @param {Object} tx
+ * @returns {{ tx: Object, rule: Object|null, applied: Array<string> }}
+ */
+export function applyRules(rules, tx) {
+    const rule = findMatchingRule(rules, tx);
+    if (!rule) return { tx, rule: null, applied: [] };
+    const a = rule.actions || {};
+    const next = { ...tx };
+    const applied = [];
+    RULE_ACTION_FIELDS.forEach((field) => {
+        if (!isBlank(a[field]) && isBlank(next[field])) {
+            next[field] = a[field];
+            applied.push(field);
+        }
+    });
+    if (applied.includes('category') && isBlank(next.criticality)) {
+        const mapped = getCriticalityForCategory(next.category);
+        if (mapped) {
+            next.criticality = mapped;
+            applied.push('criticality');
+        }
+    }
+    return { tx: next, rule, applied };
+}
+
+/**
+ * Builds an editor draft from an existing transaction
+ * ("create rule from this transaction").
+ *
+ * @function ruleFromTransaction
+ * @param {Object} tx
+ * @returns {Object}
+ */
+export function ruleFromTransaction(tx = {}) {
+    const base = createEmptyRule();
+    const name = String(tx.name || '').trim();
+    return {
+        ...base,
+        name: name ? `${name}${tx.category ? ` → ${tx.category}` : ''}` : '',
+        conditions: {
+            ...base.conditions,
+            nameOperator: NAME_OPERATORS.CONTAINS,
+            nameValue: name,
+        },
+        actions: {
+            category: tx.category || '',
+            criticality: tx.criticality || '',
+            account: tx.account || '',
+        },
+    };
+}
+
+/**
+ * One-line human summary of a rule, used in the manager list.
+ * @function describeRule
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+    const c = rule?.conditions || {};
+    const a = rule?.actions || {};
+    const parts = [];
+    if (!isBlank(c.nameValue)) {
+        const op = c.nameOperator === NAME_OPERATORS.REGEX ? 'matches' : c.nameOperator === NAME_OPERATORS.STARTS_WITH ? 'starts with' : 'contains';
+        parts.push(`name ${op} "${c.nameValue}"`);
+    }
+    const min = toNumberOrNull(c.amountMin);
+    const max = toNumberOrNull(c.amountMax);
+    if (min != null && max != null) parts.push(`amount ${min}–${max}`);
+    else if (min != null) parts.push(`amount ≥ ${min}`);
+    else if (max != null) parts.push(`amount ≤ ${max}`);
+    if (!isBlank(c.paymentMethod)) parts.push(`paid with ${c.paymentMethod}`);
+    const sets = RULE_ACTION_FIELDS.filter((f) => !isBlank(a[f])).map((f) => `${f} = ${a[f]}`);
+    return `If ${parts.join(' and ') || '(no conditions)'} then ${sets.join(', ') || '(nothing)'}`;
+}
+
+const ruleEngine = {
+    NAME_OPERATORS,
+    RULE_ACTION_FIELDS,
+    createEmptyRule,
+    validateRule,
+    matchesRule,
+    findMatchingRule,
+    applyRules,
+    ruleFromTransaction,
+    describeRule,
+};
+
+export default ruleEngine;
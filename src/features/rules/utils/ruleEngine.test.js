@@ -0,0 +1,88 @@
+import { NAME_OPERATORS, createEmptyRule, validateRule, matchesRule, applyRules } from './ruleEngine';
+
+jest.mock('../../../config/config.js', () => ({
+    getCriticalityForCategory: (category) => ({ Groceries: 'Essential' }[category] || ''),
+}));
+
+const rule = (conditions, actions = { category: 'Groceries' }, extra = {}) => ({
+    id: extra.id || 'r1',
+    name: 'rule',
+    enabled: true,
+    conditions: { ...createEmptyRule().conditions, ...conditions },
+    actions: { ...createEmptyRule().actions, ...actions },
+    ...extra,
+});
+
+describe('validateRule', () => {
+    it('accepts a rule with a condition and an action', () => {
+        expect(validateRule(rule({ nameValue: 'costco' }))).toEqual([]);
+    });
+
+    it('needs a name, a condition and an action', () => {
+        expect(validateRule({ ...createEmptyRule(), name: ' ' })).toEqual([
+            'Name is required',
+            'Add at least one condition',
+            'Set a category, criticality or account',
+        ]);
+    });
+
+    it('reports bad amounts and an inverted range', () => {
+        expect(validateRule(rule({ nameValue: 'costco', amountMin: 'abc' }))).toEqual(['Minimum amount must be a number']);
+        expect(validateRule(rule({ amountMin: 50, amountMax: 10 }))).toEqual(['Minimum amount is greater than maximum']);
+    });
+
+    it('reports an invalid regular expression', () => {
+        const [error] = validateRule(rule({ nameOperator: NAME_OPERATORS.REGEX, nameValue: '(costco' }));
+        expect(error).toMatch(/^Invalid regular expression/);
+    });
+});
+
+describe('matchesRule', () => {
+    const tx = { name: 'COSTCO WHSE #123', amount: 84.5, paymentMethod: 'Visa' };
+
+    it.each([
+        [{ nameValue: ' costco ' }, true],
+        [{ nameOperator: NAME_OPERATORS.STARTS_WITH, nameValue: 'costco' }, true],
+        [{ nameOperator: NAME_OPERATORS.STARTS_WITH, nameValue: 'whse' }, false],
+        [{ nameOperator: NAME_OPERATORS.REGEX, nameValue: '^costco\\s+whse' }, true],
+        [{ nameOperator: NAME_OPERATORS.REGEX, nameValue: '(costco' }, false],
+        [{ amountMin: 84.5, amountMax: 84.5 }, true],
+        [{ amountMin: '85' }, false],
+        [{ paymentMethod: ' visa ' }, true],
+        [{ nameValue: 'costco', paymentMethod: 'Amex' }, false],
+        [{}, false],
+    ])('%p -> %p', (conditions, expected) => {
+        expect(matchesRule(rule(conditions), tx)).toBe(expected);
+    });
+
+    it('never matches a disabled rule', () => {
+        expect(matchesRule(rule({ nameValue: 'costco' }, undefined, { enabled: false }), tx)).toBe(false);
+    });
+});
+
+describe('applyRules', () => {
+    const rules = [
+        rule({ nameValue: 'costco', paymentMethod: 'Amex' }, { category: 'Household' }, { id: 'amex' }),
+        rule({ nameValue: 'costco' }, { category: 'Groceries', account: 'joint' }, { id: 'costco' }),
+        rule({ nameValue: 'co' }, { category: 'Other' }, { id: 'fallback' }),
+    ];
+
+    it('applies the first matching rule and maps criticality from the category', () => {
+        const { tx, rule: matched, applied } = applyRules(rules, { name: 'Costco', paymentMethod: 'Visa', account: '' });
+        expect(matched.id).toBe('costco');
+        expect(applied).toEqual(['category', 'account', 'criticality']);
+        expect(tx).toMatchObject({ category: 'Groceries', account: 'joint', criticality: 'Essential' });
+    });
+
+    it('only fills empty fields', () => {
+        const input = { name: 'Costco', account: 'alice', criticality: 'Nonessential' };
+        const { tx, applied } = applyRules(rules, input);
+        expect(applied).toEqual(['category']);
+        expect(tx).toEqual({ ...input, category: 'Groceries' });
+    });
+
+    it('leaves the transaction alone when nothing matches', () => {
+        const input = { name: 'Shell' };
+        expect(applyRules(rules, input)).toEqual({ tx: input, rule: null, applied: [] });
+    });
+});
@@ -0,0 +1,110 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./Search.module.css";
+import { SEARCH_SCOPES } from "../utils/searchQuery";
+
+/**
+ * Logger for SearchBar
+ */
+const logger = {
+    info: (...args) => console.log("[SearchBar]", ...args),
+    error: (...args) => console.error("[SearchBar]", ...args),
+};
+
+/**
+ * Query syntax summary shown as the input's tooltip.
+ * @constant
+ */
+const SYNTAX_HINT = [
+    "Words and \"quoted phrases\" match the name or category.",
+    "category:Groceries  card:visa  account:joint  criticality:Essential  name:amazon",
+    "amount>50  amount:10..100  date:2026-09  date:2026-09-01..2026-09-30",
+    "period:SEPTEMBER2026  is:projected  is:uncleared  -category:Dining (exclude)",
+].join("\n");
+
+/**
+ * SearchBar
+ * Query input with scope and saved-search pickers.
+ * Uses Bulletproof React conventions: UI only, search logic in useTransactionSearch.
+ *
+ * Props:
+ *  - search: search state and actions from useTransactionSearch
+ *  - disabled: disables the input (e.g. while the table loads)
+ */
+export default function SearchBar({ search, disabled = false }) {
+    const firstError = search.text.trim() ? search.parsed.errors[0] : null;
+
+    /**
+     * Runs the query on submit (Enter).
+     * @param {Event} event
+     */
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        logger.info("submit", { text: search.text, scope: search.scope });
+        search.run();
+    };
+
+    return (
+        <form className={styles.bar} role="search" onSubmit={handleSubmit}>
+            <input
+                className={firstError ? styles.inputInvalid : styles.input}
+                type="search"
+                value={search.text}
+                onChange={(e) => search.setText(e.target.value)}
+                onKeyDown={(e) => { if (e.key === "Escape") search.clear(); }}
+                placeholder="Search… e.g. category:Groceries amount>50"
+                title={SYNTAX_HINT}
+                aria-label="Search transactions"
+                aria-invalid={Boolean(firstError)}
+                disabled={disabled}
+            />
+            <select
+                className={styles.select}
+                value={search.scope}
+                onChange={(e) => search.setScope(e.target.value)}
+                aria-label="Search scope"
+            >
+                <option value={SEARCH_SCOPES.PERIOD}>This period</option>
+                <option value={SEARCH_SCOPES.ALL}>All periods</option>
+            </select>
+            {search.savedSearches.length > 0 && (
+                <select
+                    className={styles.select}
+                    value=""
+                    onChange={(e) => search.loadSaved(e.target.value)}
+                    aria-label="Saved searches"
+                >
+                    <option value="">Saved…</option>
+                    {search.savedSearches.map((s) => (
+                        <option key={s.id} value={s.id}>{s.name}</option>
+                    ))}
+                </select>
+            )}
+            {firstError && (
+                <span className={styles.error} role="alert" title={firstError.token}>
+                    {firstError.message}
+                </span>
+            )}
+        </form>
+    );
+}
+
+SearchBar.propTypes = {
+    search: PropTypes.shape({
+        text: PropTypes.string.isRequired,
+        setText: PropTypes.func.isRequired,
+        scope: PropTypes.string.isRequired,
+        setScope: PropTypes.func.isRequired,
+        parsed: PropTypes.shape({
+            errors: PropTypes.arrayOf(PropTypes.shape({
+                token: PropTypes.string,
+                message: PropTypes.string,
+            })).isRequired,
+        }).isRequired,
+        run: PropTypes.func.isRequired,
+        clear: PropTypes.func.isRequired,
+        savedSearches: PropTypes.arrayOf(PropTypes.object).isRequired,
+        loadSaved: PropTypes.func.isRequired,
+    }).isRequired,
+    disabled: PropTypes.bool,
+};
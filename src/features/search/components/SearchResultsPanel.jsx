@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import styles from "./Search.module.css";
+import CompactTransactionTable from "../../compactTransactionTable/CompactTransactionTable";
+import { SEARCH_SCOPES } from "../utils/searchQuery";
+
+/**
+ * Logger for SearchResultsPanel
+ */
+const logger = {
+    info: (...args) => console.log("[SearchResultsPanel]", ...args),
+    error: (...args) => console.error("[SearchResultsPanel]", ...args),
+};
+
+/**
+ * SearchResultsPanel
+ * Results of the active search in a CompactTransactionTable, with a form to save
+ * (and optionally pin) the query.
+ * Uses Bulletproof React conventions: UI only, search logic in useTransactionSearch.
+ *
+ * Props:
+ *  - search: search state and actions from useTransactionSearch
+ *  - showClear: show the Clear button (hidden on the saved-search screen)
+ */
+export default function SearchResultsPanel({ search, showClear = true }) {
+    const [name, setName] = useState("");
+    const [pinned, setPinned] = useState(true);
+
+    if (!search.active) return null;
+
+    const { results } = search;
+    const scopeLabel = search.scope === SEARCH_SCOPES.ALL
+        ? "all periods"
+        : search.statementPeriod || "this period";
+
+    /**
+     * Saves the active query under the typed name.
+     * @param {Event} event
+     */
+    const handleSave = async (event) => {
+        event.preventDefault();
+        logger.info("save", { name, pinned });
+        const saved = await search.saveCurrent({ name, pinned });
+        if (saved) setName("");
+    };
+
+    return (
+        <section className={styles.panel} aria-label="Search results">
+            <div className={styles.panelHeader}>
+                <span className={styles.summary}>
+                    {search.loading
+                        ? "Searching…"
+                        : `${results.transactions.length} match${results.transactions.length === 1 ? "" : "es"} in ${scopeLabel}`}
+                </span>
+                <form className={styles.saveForm} onSubmit={handleSave}>
+                    <input
+                        className={styles.nameInput}
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Name this search"
+                        aria-label="Saved search name"
+                    />
+                    <label className={styles.pinLabel}>
+                        <input type="checkbox" checked={pinned} onChange={(e) => setPinned(e.target.checked)} />
+                        Pin to sidebar
+                    </label>
+                    <button className={styles.linkBtn} type="submit" disabled={!name.trim() || search.saving}>
+                        {search.saving ? "Saving…" : "Save search"}
+                    </button>
+                </form>
+                {search.saveError && <span className={styles.error} role="alert">{search.saveError}</span>}
+                {search.lastSaved && !search.saveError && (
+                    <span className={styles.status}>Saved “{search.lastSaved.name}”</span>
+                )}
+                {showClear && (
+                    <button className={styles.linkBtn} type="button" onClick={search.clear}>
+                        ✕ Clear
+                    </button>
+                )}
+            </div>
+
+            {search.error ? (
+                <div className={styles.error} role="alert">
+                    Error: {search.error.message || String(search.error)}
+                </div>
+            ) : (
+                <CompactTransactionTable
+                    transactions={results.transactions}
+                    balances={{ total: results.total, joint: results.joint, personal: results.personal }}
+                    loading={search.loading}
+                    emptyText="No transactions match this search."
+                />
+            )}
+        </section>
+    );
+}
+
+SearchResultsPanel.propTypes = {
+    search: PropTypes.shape({
+        active: PropTypes.bool.isRequired,
+        scope: PropTypes.string.isRequired,
+        statementPeriod: PropTypes.string,
+        results: PropTypes.shape({
+            transactions: PropTypes.arrayOf(PropTypes.object).isRequired,
+            total: PropTypes.number,
+            joint: PropTypes.number,
+            personal: PropTypes.number,
+        }).isRequired,
+        loading: PropTypes.bool,
+        error: PropTypes.any,
+        clear: PropTypes.func.isRequired,
+        saveCurrent: PropTypes.func.isRequired,
+        saving: PropTypes.bool,
+        saveError: PropTypes.string,
+        lastSaved: PropTypes.object,
+    }).isRequired,
+    showClear: PropTypes.bool,
+};
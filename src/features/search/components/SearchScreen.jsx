@@ -0,0 +1,125 @@
+/**
+ * SearchScreen
+ * - One saved transaction search (route /search/:searchId), opened from the sidebar's Views.
+ * - Runs the saved query for its account and scope; the query can be edited and re-run
+ *   and the search unpinned or deleted.
+ *
+ * @module SearchScreen
+ * @returns {JSX.Element}
+ */
+import React from "react";
+import PropTypes from "prop-types";
+import { useNavigate, useParams } from "react-router-dom";
+import styles from "./Search.module.css";
+import SearchBar from "./SearchBar";
+import SearchResultsPanel from "./SearchResultsPanel";
+import StatementPeriodDropdown from "../../../components/statementPeriodDropdown/StatementPeriodDropdown";
+import { useStatementPeriodContext } from "../../../context/StatementPeriodProvider";
+import useSavedSearches from "../hooks/useSavedSearches";
+import useTransactionSearch from "../hooks/useTransactionSearch";
+import { SEARCH_SCOPES } from "../utils/searchQuery";
+import { getPrimaryAccountFilter } from "../../../config/config.js";
+
+/**
+ * Logger for SearchScreen component.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[SearchScreen]', ...args),
+    error: (...args) => console.error('[SearchScreen]', ...args),
+};
+
+/**
+ * Bar and results for one loaded saved search (remounted when the search changes).
+ */
+const SavedSearchView = ({ saved, onTogglePin, onDelete }) => {
+    const { statementPeriod } = useStatementPeriodContext();
+    const search = useTransactionSearch({
+        account: saved.account || getPrimaryAccountFilter(),
+        statementPeriod,
+        initialQuery: saved.query,
+        initialScope: saved.scope || SEARCH_SCOPES.PERIOD,
+    });
+
+    return (
+        <div className={styles.appCard}>
+            <div className={styles.header}>
+                <h2 className={styles.title}>{saved.name}</h2>
+                <div className={styles.controls}>
+                    <SearchBar search={search} />
+                    {search.scope === SEARCH_SCOPES.PERIOD && <StatementPeriodDropdown />}
+                    <button className={styles.linkBtn} type="button" onClick={onTogglePin}>
+                        {saved.pinned ? "Unpin" : "Pin to sidebar"}
+                    </button>
+                    <button className={styles.linkBtn} type="button" onClick={onDelete}>
+                        🗑️ Delete
+                    </button>
+                </div>
+            </div>
+            <SearchResultsPanel search={search} showClear={false} />
+        </div>
+    );
+};
+
+SavedSearchView.propTypes = {
+    saved: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        query: PropTypes.string.isRequired,
+        scope: PropTypes.string,
+        account: PropTypes.string,
+        pinned: PropTypes.bool,
+    }).isRequired,
+    onTogglePin: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+};
+
+const SearchScreen = () => {
+    const { searchId } = useParams();
+    const navigate = useNavigate();
+    const { searches, loading, error, togglePin, deleteSearch } = useSavedSearches();
+    const saved = searches.find((s) => s.id === searchId);
+
+    const handleTogglePin = async () => {
+        try {
+            await togglePin(searchId);
+        } catch (err) {
+            logger.error('togglePin failed', err);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete the saved search "${saved?.name}"?`)) return;
+        try {
+            await deleteSearch(searchId);
+            navigate('/');
+        } catch (err) {
+            logger.error('deleteSearch failed', err);
+        }
+    };
+
+    logger.info('render', { searchId, found: Boolean(saved), loading });
+
+    return (
+        <div className={styles.screen}>
+            {saved ? (
+                <SavedSearchView
+                    key={`${saved.id}:${saved.query}:${saved.scope}:${saved.account}`}
+                    saved={saved}
+                    onTogglePin={handleTogglePin}
+                    onDelete={handleDelete}
+                />
+            ) : (
+                <div className={styles.appCard}>
+                    <div className={styles.empty}>
+                        {loading && 'Loading saved search…'}
+                        {!loading && error && `Error: ${error.message || String(error)}`}
+                        {!loading && !error && 'This saved search no longer exists.'}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SearchScreen;
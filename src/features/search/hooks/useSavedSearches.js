@@ -0,0 +1,123 @@
+/**
+ * Hook: useSavedSearches
+ *
+ * Loads the saved transaction searches and exposes save / delete / pin actions.
+ *
+ * Publishes a 'savedSearchesChanged' TransactionEvents payload after every change so
+ * the sidebar's pinned views and open search bars stay in sync.
+ *
+ * @module useSavedSearches
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import savedSearchService from '../../../services/SavedSearchService';
+import { subscribe, publish } from '../../../services/TransactionEvents';
+
+const logger = {
+    info: (...args) => console.log('[useSavedSearches]', ...args),
+    error: (...args) => console.error('[useSavedSearches]', ...args),
+};
+
+/**
+ * Route of a saved search; App registers /search/:searchId.
+ * @param {{id: string}} search
+ * @returns {string}
+ */
+export function savedSearchPath(search) {
+    return `/search/${encodeURIComponent(search.id)}`;
+}
+
+/**
+ * @returns {{
+ *   searches: Array<Object>,
+ *   pinned: Array<Object>,
+ *   loading: boolean,
+ *   error: any,
+ *   saveSearch: (search: Object) => Promise<Object>,
+ *   deleteSearch: (id: string) => Promise<void>,
+ *   togglePin: (id: string) => Promise<Object|null>,
+ *   refetch: Function
+ * }}
+ */
+export default function useSavedSearches() {
+    const [searches, setSearches] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchSearches = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setSearches(await savedSearchService.getSearches());
+        } catch (err) {
+            logger.error('fetchSearches error', err);
+            setError(err);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSearches();
+    }, [fetchSearches]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type !== 'savedSearchesChanged') return;
+            logger.info('subscription: saved searches changed; refetching', { reason: payload.reason });
+            fetchSearches();
+        });
+        return unsubscribe;
+    }, [fetchSearches]);
+
+    const pinned = useMemo(() => searches.filter((s) => s.pinned), [searches]);
+
+    /**
+     * Create or update a saved search.
+     * @param {Object} search
+     * @returns {Promise<Object>} saved search
+     * @throws {Error} If the save fails.
+     */
+    const saveSearch = useCallback(async (search) => {
+        logger.info('saveSearch', { id: search?.id, name: search?.name });
+        const saved = await savedSearchService.saveSearch(search);
+        publish({ type: 'savedSearchesChanged', reason: search?.id ? 'update' : 'create', id: saved.id });
+        return saved;
+    }, []);
+
+    /**
+     * Delete a saved search.
+     * @param {string} id
+     * @returns {Promise<void>}
+     * @throws {Error} If the delete fails.
+     */
+    const deleteSearch = useCallback(async (id) => {
+        logger.info('deleteSearch', { id });
+        await savedSearchService.deleteSearch(id);
+        publish({ type: 'savedSearchesChanged', reason: 'delete', id });
+    }, []);
+
+    /**
+     * Pin a saved search to the sidebar, or unpin it.
+     * @param {string} id
+     * @returns {Promise<Object|null>} updated search, or null when it no longer exists
+     * @throws {Error} If the save fails.
+     */
+    const togglePin = useCallback(async (id) => {
+        const search = await savedSearchService.getSearch(id);
+        if (!search) return null;
+        logger.info('togglePin', { id, pinned: !search.pinned });
+        return saveSearch({ ...search, pinned: !search.pinned });
+    }, [saveSearch]);
+
+    return {
+        searches,
+        pinned,
+        loading,
+        error,
+        saveSearch,
+        deleteSearch,
+        togglePin,
+        refetch: fetchSearches,
+    };
+}
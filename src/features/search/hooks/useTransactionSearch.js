@@ -0,0 +1,250 @@
+/**
+ * Hook: useTransactionSearch
+ *
+ * State and actions for the transaction search bar:
+ * - the query text is parsed on every keystroke (searchQuery) so syntax errors show
+ *   before the search runs
+ * - run() searches the selected statement period or every period (scope); category,
+ *   card, criticality and period terms are sent to getTransactionsForAccount and
+ *   everything else is matched client-side
+ * - actual and projected transactions are both searched (is:projected / is:actual)
+ * - results refetch when transactions change elsewhere (TransactionEvents)
+ * - the current query can be saved (and pinned to the sidebar) through useSavedSearches
+ *
+ * @module useTransactionSearch
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import budgetTransactionService from '../../../services/BudgetTransactionService';
+import projectedTransactionService from '../../../services/ProjectedTransactionService';
+import { subscribe } from '../../../services/TransactionEvents';
+import { getCategories, getCriticalityOptions, getPaymentMethods } from '../../../config/config.js';
+import useConfig from '../../../hooks/useConfig';
+import { DEFAULT_CRITICALITY_OPTIONS } from '../../transactionTable/utils/constants';
+import useSavedSearches from './useSavedSearches';
+import { SEARCH_SCOPES, matchesSearch, parseSearchQuery, searchServerFilters } from '../utils/searchQuery';
+
+const logger = {
+    info: (...args) => console.log('[useTransactionSearch]', ...args),
+    error: (...args) => console.error('[useTransactionSearch]', ...args),
+};
+
+const EMPTY_RESULTS = { transactions: [], total: 0, joint: 0, personal: 0 };
+
+/**
+ * Flattens a getTransactionsForAccount response, remembering which list each row came from.
+ * @param {Object} result
+ * @param {boolean} [projected=false]
+ * @returns {Array<{tx: Object, joint: boolean}>}
+ */
+function flattenWithOrigin(result, projected = false) {
+    const tag = (tx) => (projected ? { ...tx, __isProjected: true } : tx);
+    return [
+        ...(result?.personalTransactions?.transactions || []).map((tx) => ({ tx: tag(tx), joint: false })),
+        ...(result?.jointTransactions?.transactions || []).map((tx) => ({ tx: tag(tx), joint: true })),
+    ];
+}
+
+/**
+ * Matching rows (newest first) with their total and joint / personal split.
+ * @param {Array<{tx: Object, joint: boolean}>} entries
+ * @param {Object} query - parsed SearchQuery
+ * @returns {{transactions: Array<Object>, total: number, joint: number, personal: number}}
+ */
+function collectResults(entries, query) {
+    const matched = entries.filter(({ tx }) => matchesSearch(tx, query));
+    const sum = (list) => list.reduce((s, { tx }) => s + (Number(tx.amount) || 0), 0);
+    const joint = sum(matched.filter((e) => e.joint));
+    const personal = sum(matched.filter((e) => !e.joint));
+    return {
+        transactions: matched
+            .map((e) => e.tx)
+            .sort((a, b) => new Date(b.transactionDate) - new Date(a.transactionDate)),
+        total: joint + personal,
+        joint,
+        personal,
+    };
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.account - Account filter, e.g. "joint".
+ * @param {string} [params.statementPeriod] - Period searched with SEARCH_SCOPES.PERIOD.
+ * @param {string} [params.initialQuery=''] - Query to run on mount (saved searches).
+ * @param {string} [params.initialScope=SEARCH_SCOPES.PERIOD]
+ * @returns {Object} { text, setText, scope, setScope, parsed, active, run, clear, results, loading, error,
+ *   savedSearches, saveCurrent, saving, saveError, lastSaved, loadSaved, account, statementPeriod }
+ */
+export default function useTransactionSearch({ account, statementPeriod, initialQuery = '', initialScope = SEARCH_SCOPES.PERIOD }) {
+    const config = useConfig();
+    const options = useMemo(() => {
+        const criticality = getCriticalityOptions(config);
+        return {
+            category: getCategories(config),
+            paymentMethod: getPaymentMethods(config),
+            criticality: criticality.length > 0 ? criticality : DEFAULT_CRITICALITY_OPTIONS,
+        };
+    }, [config]);
+
+    const [text, setText] = useState(initialQuery);
+    const [scope, setScopeState] = useState(initialScope);
+    // Query text of the search being shown; null while no search is active
+    const [activeText, setActiveText] = useState(() => (initialQuery.trim() ? initialQuery.trim() : null));
+    const [results, setResults] = useState(EMPTY_RESULTS);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    const [lastSaved, setLastSaved] = useState(null);
+    const requestRef = useRef(0);
+
+    const { searches: savedSearches, saveSearch } = useSavedSearches();
+
+    const parsed = useMemo(() => parseSearchQuery(text, options), [text, options]);
+    const activeQuery = useMemo(
+        () => (activeText === null ? null : parseSearchQuery(activeText, options)),
+        [activeText, options]
+    );
+
+    const fetchResults = useCallback(async () => {
+        if (!activeQuery || !account) return;
+        const serverFilters = searchServerFilters(activeQuery);
+        const period = serverFilters.statementPeriod
+            ?? (scope === SEARCH_SCOPES.PERIOD ? statementPeriod : undefined);
+        // The period scope waits for the statement period context
+        if (scope === SEARCH_SCOPES.PERIOD && !period) return;
+
+        const requestId = ++requestRef.current;
+        const filters = { ...serverFilters, account, statementPeriod: period };
+        setLoading(true);
+        setError(null);
+        logger.info('fetchResults', { query: activeQuery.text, scope, filters });
+        try {
+            const [actual, projected] = await Promise.all([
+                budgetTransactionService.getTransactionsForAccount(filters),
+                projectedTransactionService.getTransactionsForAccount(filters),
+            ]);
+            if (requestId !== requestRef.current) return;
+            const next = collectResults([...flattenWithOrigin(actual), ...flattenWithOrigin(projected, true)], activeQuery);
+            setResults(next);
+            logger.info('fetchResults success', { matches: next.transactions.length });
+        } catch (err) {
+            if (requestId !== requestRef.current) return;
+            logger.error('fetchResults error', err);
+            setResults(EMPTY_RESULTS);
+            setError(err);
+        } finally {
+            if (requestId === requestRef.current) setLoading(false);
+        }
+    }, [activeQuery, account, scope, statementPeriod]);
+
+    useEffect(() => {
+        fetchResults();
+    }, [fetchResults]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type === 'savedSearchesChanged') return;
+            fetchResults();
+        });
+        return unsubscribe;
+    }, [fetchResults]);
+
+    /**
+     * Runs the typed query; ignored while it is empty or has syntax errors.
+     * @returns {boolean} whether the search ran
+     */
+    const run = useCallback(() => {
+        if (parsed.isEmpty || parsed.errors.length > 0) {
+            logger.info('run skipped', { empty: parsed.isEmpty, errors: parsed.errors.length });
+            return false;
+        }
+        logger.info('run', { query: parsed.text, scope });
+        if (parsed.text === activeText) fetchResults();
+        else setActiveText(parsed.text);
+        return true;
+    }, [parsed, scope, activeText, fetchResults]);
+
+    /**
+     * Clears the query and hides the results.
+     */
+    const clear = useCallback(() => {
+        logger.info('clear');
+        requestRef.current += 1;
+        setText('');
+        setActiveText(null);
+        setResults(EMPTY_RESULTS);
+        setLoading(false);
+        setError(null);
+        setSaveError(null);
+        setLastSaved(null);
+    }, []);
+
+    /**
+     * Switches between the selected period and all periods (an active search reruns).
+     * @param {string} next - One of SEARCH_SCOPES.
+     */
+    const setScope = useCallback((next) => {
+        logger.info('setScope', { scope: next });
+        setScopeState(next);
+    }, []);
+
+    /**
+     * Saves the active query; failures land in saveError.
+     * @param {Object} params
+     * @param {string} params.name
+     * @param {boolean} [params.pinned=false] - List it in the sidebar's Views.
+     * @returns {Promise<Object|null>} saved search, or null when the save failed
+     */
+    const saveCurrent = useCallback(async ({ name, pinned = false }) => {
+        setSaving(true);
+        setSaveError(null);
+        try {
+            if (!activeText) throw new Error('Run a search before saving it');
+            const saved = await saveSearch({ name, query: activeText, scope, account, pinned });
+            setLastSaved(saved);
+            return saved;
+        } catch (err) {
+            logger.error('saveCurrent error', err);
+            setSaveError(err?.message || String(err));
+            return null;
+        } finally {
+            setSaving(false);
+        }
+    }, [activeText, scope, account, saveSearch]);
+
+    /**
+     * Loads a saved search into the bar and runs it.
+     * @param {string} id
+     */
+    const loadSaved = useCallback((id) => {
+        const search = savedSearches.find((s) => s.id === id);
+        if (!search) return;
+        logger.info('loadSaved', { id, query: search.query });
+        setText(search.query);
+        setScopeState(search.scope || SEARCH_SCOPES.PERIOD);
+        setActiveText(search.query);
+    }, [savedSearches]);
+
+    return {
+        text,
+        setText,
+        scope,
+        setScope,
+        parsed,
+        active: activeText !== null,
+        run,
+        clear,
+        results,
+        loading,
+        error,
+        savedSearches,
+        saveCurrent,
+        saving,
+        saveError,
+        lastSaved,
+        loadSaved,
+        account,
+        statementPeriod,
+    };
+}
@@ -0,0 +1,367 @@
+/**
+ * searchQuery
+ * Parser and matcher for the transaction search bar's query language.
+ *
+ * Syntax (terms are ANDed; prefix any term with "-" to negate it):
+ * - free words and "quoted phrases" match the name or category (case-insensitive)
+ * - field:value matches a text field; field=value requires the whole value
+ *   fields: category (cat), card (payment, method), account, criticality (crit), name (payee)
+ *   For category / card / criticality a value naming a configured option matches that
+ *   option exactly; anything else matches as a substring.
+ * - amount>50, amount<=20, amount:12.5, amount:10..100
+ * - date:2026-09-01, date:2026-09 (whole month), date>=2026-09-01, date:2026-09-01..2026-09-30
+ *   (either end of a range may be left open)
+ * - period:SEPTEMBER2026 - one statement period
+ * - is:projected | is:actual | is:cleared | is:uncleared
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module searchQuery
+ */
+
+import { toIsoDate } from '../../export/utils/exportColumns';
+
+/** Where a search looks: the selected statement period or every period. */
+export const SEARCH_SCOPES = {
+    PERIOD: 'period',
+    ALL: 'all',
+};
+
+/**
+ * Field names accepted in queries, mapped to the clause field they build.
+ * @constant
+ */
+const FIELD_ALIASES = {
+    category: 'category',
+    cat: 'category',
+    card: 'paymentMethod',
+    payment: 'paymentMethod',
+    method: 'paymentMethod',
+    account: 'account',
+    criticality: 'criticality',
+    crit: 'criticality',
+    name: 'name',
+    payee: 'name',
+    amount: 'amount',
+    date: 'date',
+    period: 'statementPeriod',
+    is: 'is',
+};
+
+/** Fields whose values come from a configured option list. */
+const OPTION_FIELDS = ['category', 'paymentMethod', 'criticality'];
+
+const IS_FLAGS = ['projected', 'actual', 'cleared', 'uncleared'];
+
+const COMPARISON_OPS = ['>=', '<=', '>', '<'];
+
+/**
+ * One term: optional "-", then field/operator/value, a quoted phrase or a bare word.
+ * An unterminated quote runs to the end of the input.
+ */
+const TOKEN_PATTERN = /(-)?(?:([A-Za-z]+)(:|>=|<=|>|<|=)("[^"]*"?|[^\s"]+)|"([^"]*)"?|([^\s"]+))/g;
+
+/**
+ * @typedef {Object} SearchClause
+ * @property {'text'|'amount'|'date'|'period'|'is'} kind
+ * @property {string} [field] - transaction field for text clauses ('text' = name or category)
+ * @property {string} [op] - '=', '>', '>=', '<', '<=' or 'range'
+ * @property {*} [value]
+ * @property {*} [max] - upper bound of a range (null when open)
+ * @property {boolean} [exact] - text must equal value (case-insensitive)
+ * @property {boolean} negate
+ */
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {string} text - the input, trimmed
+ * @property {Array<SearchClause>} clauses
+ * @property {Array<{token: string, message: string}>} errors
+ * @property {boolean} isEmpty - true when there is nothing to search for
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+    return value.startsWith('"') ? value.replace(/^"|"$/g, '') : value;
+}
+
+/**
+ * Splits "a..b" into its ends; null when the value is not a range.
+ * @param {string} value
+ * @returns {{min: string, max: string}|null}
+ */
+function splitRange(value) {
+    const idx = value.indexOf('..');
+    if (idx === -1) return null;
+    return { min: value.slice(0, idx).trim(), max: value.slice(idx + 2).trim() };
+}
+
+/**
+ * Moves a comparison written inside the value (amount:>50) onto the operator.
+ * @param {string} op
+ * @param {string} value
+ * @returns {{op: string, value: string}}
+ */
+function liftComparison(op, value) {
+    if (op !== ':') return { op, value };
+    const inner = COMPARISON_OPS.find((o) => value.startsWith(o));
+    return inner ? { op: inner, value: value.slice(inner.length) } : { op: '=', value };
+}
+
+/**
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+    if (value === '') return null;
+    const n = Number(String(value).replace(/[$,]/g, ''));
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * A date value as an inclusive [from, to] pair of YYYY-MM-DD strings.
+ * YYYY-MM covers the whole month.
+ * @param {string} value
+ * @returns {{from: string, to: string}|null}
+ */
+function parseDateBounds(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return toIsoDate(value) === value && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())
+            ? { from: value, to: value }
+            : null;
+    }
+    const month = /^(\d{4})-(\d{2})$/.exec(value);
+    if (month) {
+        const m = Number(month[2]);
+        if (m < 1 || m > 12) return null;
+        const lastDay = new Date(Date.UTC(Number(month[1]), m, 0)).getUTCDate();
+        return { from: `${value}-01`, to: `${value}-${String(lastDay).padStart(2, '0')}` };
+    }
+    return null;
+}
+
+/**
+ * Canonical option for a value, matched case-insensitively.
+ * @param {string} value
+ * @param {Array<string>} [options]
+ * @returns {string|null}
+ */
+function findOption(value, options) {
+    const lower = value.toLowerCase();
+    return (options || []).find((o) => String(o).toLowerCase() === lower) || null;
+}
+
+/**
+ * Builds an amount clause.
+ * @returns {SearchClause|string} clause, or an error message
+ */
+function amountClause(op, value, negate) {
+    const range = splitRange(value);
+    if (range) {
+        const min = parseAmount(range.min);
+        const max = parseAmount(range.max);
+        if ((range.min !== '' && min === null) || (range.max !== '' && max === null) || (min === null && max === null)) {
+            return 'Amount range must look like 10..100';
+        }
+        return { kind: 'amount', op: 'range', value: min, max, negate };
+    }
+    const amount = parseAmount(value);
+    if (amount === null) return 'Amount must be a number';
+    return { kind: 'amount', op, value: amount, negate };
+}
+
+/**
+ * Builds a date clause; every form becomes a range or a comparison on YYYY-MM-DD strings.
+ * @returns {SearchClause|string} clause, or an error message
+ */
+function dateClause(op, value, negate) {
+    const range = splitRange(value);
+    if (range) {
+        const from = range.min === '' ? null : parseDateBounds(range.min);
+        const to = range.max === '' ? null : parseDateBounds(range.max);
+        if ((range.min !== '' && !from) || (range.max !== '' && !to) || (!from && !to)) {
+            return 'Date range must look like 2026-09-01..2026-09-30';
+        }
+        return { kind: 'date', op: 'range', value: from?.from ?? null, max: to?.to ?? null, negate };
+    }
+    const bounds = parseDateBounds(value);
+    if (!bounds) return 'Date must be YYYY-MM-DD or YYYY-MM';
+    switch (op) {
+        case '>': return { kind: 'date', op, value: bounds.to, negate };
+        case '>=': return { kind: 'date', op, value: bounds.from, negate };
+        case '<': return { kind: 'date', op, value: bounds.from, negate };
+        case '<=': return { kind: 'date', op, value: bounds.to, negate };
+        default: return { kind: 'date', op: 'range', value: bounds.from, max: bounds.to, negate };
+    }
+}
+
+/**
+ * Builds the clause for one field:value term.
+ * @returns {SearchClause|string} clause, or an error message
+ */
+function fieldClause(name, rawOp, rawValue, negate, options) {
+    const field = FIELD_ALIASES[name.toLowerCase()];
+    if (!field) return `Unknown field "${name}"`;
+    const value = unquote(rawValue).trim();
+    if (value === '') return `Missing value for ${name}`;
+
+    if (field === 'amount') {
+        const { op, value: v } = liftComparison(rawOp, value);
+        return amountClause(op, v, negate);
+    }
+    if (field === 'date') {
+        const { op, value: v } = liftComparison(rawOp, value);
+        return dateClause(op, v, negate);
+    }
+    if (COMPARISON_OPS.includes(rawOp)) return `${name} does not support ${rawOp}`;
+
+    if (field === 'is') {
+        const flag = value.toLowerCase();
+        if (!IS_FLAGS.includes(flag)) return `is: expects one of ${IS_FLAGS.join(', ')}`;
+        return { kind: 'is', value: flag, negate };
+    }
+    if (field === 'statementPeriod') {
+        return { kind: 'period', value: value.replace(/\s+/g, '').toUpperCase(), negate };
+    }
+
+    const option = OPTION_FIELDS.includes(field) ? findOption(value, options[field]) : null;
+    return {
+        kind: 'text',
+        field,
+        value: option || value,
+        exact: rawOp === '=' || Boolean(option),
+        negate,
+    };
+}
+
+/**
+ * Parses a search query.
+ *
+ * @function parseSearchQuery
+ * @param {string} text
+ * @param {Object} [options] - configured option lists used to resolve exact matches
+ * @param {Array<string>} [options.category]
+ * @param {Array<string>} [options.paymentMethod]
+ * @param {Array<string>} [options.criticality]
+ * @returns {SearchQuery}
+ */
+export function parseSearchQuery(text, options = {}) {
+    const input = String(text ?? '').trim();
+    const clauses = [];
+    const errors = [];
+
+    for (const match of input.matchAll(TOKEN_PATTERN)) {
+        const [token, minus, field, op, fieldValue, phrase, word] = match;
+        const negate = Boolean(minus);
+        if (field !== undefined) {
+            const clause = fieldClause(field, op, fieldValue, negate, options);
+            if (typeof clause === 'string') errors.push({ token, message: clause });
+            else clauses.push(clause);
+            continue;
+        }
+        const value = (phrase ?? word ?? '').trim();
+        if (value === '' || value === '-') continue;
+        clauses.push({ kind: 'text', field: 'text', value, exact: false, negate });
+    }
+
+    return { text: input, clauses, errors, isEmpty: clauses.length === 0 };
+}
+
+/**
+ * @param {*} actual
+ * @param {SearchClause} clause
+ * @returns {boolean}
+ */
+function textMatches(actual, clause) {
+    const haystack = String(actual ?? '').toLowerCase();
+    const needle = String(clause.value).toLowerCase();
+    return clause.exact ? haystack === needle : haystack.includes(needle);
+}
+
+/**
+ * @param {*} actual - number or YYYY-MM-DD string
+ * @param {SearchClause} clause
+ * @returns {boolean}
+ */
+function compare(actual, clause) {
+    switch (clause.op) {
+        case '>': return actual > clause.value;
+        case '>=': return actual >= clause.value;
+        case '<': return actual < clause.value;
+        case '<=': return actual <= clause.value;
+        case 'range':
+            return (clause.value === null || actual >= clause.value) && (clause.max === null || clause.max === undefined || actual <= clause.max);
+        default: return actual === clause.value;
+    }
+}
+
+/**
+ * Whether one clause (ignoring negation) matches a transaction.
+ * @param {Object} tx
+ * @param {SearchClause} clause
+ * @returns {boolean}
+ */
+function clauseMatches(tx, clause) {
+    switch (clause.kind) {
+        case 'text':
+            if (clause.field === 'text') return textMatches(tx.name, clause) || textMatches(tx.category, clause);
+            return textMatches(tx[clause.field], clause);
+        case 'amount': {
+            const amount = Number(tx.amount);
+            return Number.isFinite(amount) && compare(amount, clause);
+        }
+        case 'date': {
+            const date = toIsoDate(tx.transactionDate);
+            return date !== '' && compare(date, clause);
+        }
+        case 'period':
+            return String(tx.statementPeriod ?? '').toUpperCase() === clause.value;
+        case 'is':
+            if (clause.value === 'projected') return Boolean(tx.__isProjected);
+            if (clause.value === 'actual') return !tx.__isProjected;
+            if (clause.value === 'cleared') return Boolean(tx.cleared);
+            return !tx.cleared;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Whether a transaction satisfies every clause of a query.
+ *
+ * @function matchesSearch
+ * @param {Object} tx
+ * @param {SearchQuery} query
+ * @returns {boolean}
+ */
+export function matchesSearch(tx, query) {
+    if (!tx || !query) return false;
+    return query.clauses.every((clause) => clauseMatches(tx, clause) !== clause.negate);
+}
+
+/**
+ * Query params getTransactionsForAccount can apply server-side: a single positive, exact
+ * clause per option field, plus a single positive period. Every clause is still checked
+ * client-side, so these only narrow the download.
+ *
+ * @function searchServerFilters
+ * @param {SearchQuery} query
+ * @returns {{category?: string, paymentMethod?: string, criticality?: string, statementPeriod?: string}}
+ */
+export function searchServerFilters(query) {
+    const filters = {};
+    const single = (predicate) => {
+        const found = (query?.clauses || []).filter((c) => !c.negate && predicate(c));
+        return found.length === 1 ? found[0] : null;
+    };
+    OPTION_FIELDS.forEach((field) => {
+        const clause = single((c) => c.kind === 'text' && c.field === field);
+        if (clause?.exact) filters[field] = clause.value;
+    });
+    const period = single((c) => c.kind === 'period');
+    if (period) filters.statementPeriod = period.value;
+    return filters;
+}
@@ -0,0 +1,66 @@
+import { parseSearchQuery, matchesSearch, searchServerFilters } from './searchQuery';
+
+const OPTIONS = { category: ['Groceries', 'Dining'], paymentMethod: ['Visa'], criticality: ['Essential'] };
+
+const rows = [
+    { id: 1, name: 'Trader Joes', category: 'Groceries', paymentMethod: 'Visa', amount: 54.2, transactionDate: '2026-09-03', statementPeriod: 'SEPTEMBER2026', cleared: true },
+    { id: 2, name: 'Taco Stand', category: 'Dining', paymentMethod: 'Amex', amount: 12, transactionDate: '2026-09-30', statementPeriod: 'SEPTEMBER2026' },
+    { id: 3, name: 'Grocery Outlet', category: 'Groceries', paymentMethod: 'Visa', amount: 120, transactionDate: '2026-10-01', statementPeriod: 'OCTOBER2026', __isProjected: true },
+];
+
+const search = (text) => rows.filter((tx) => matchesSearch(tx, parseSearchQuery(text, OPTIONS))).map((tx) => tx.id);
+
+describe('parseSearchQuery', () => {
+    it('resolves configured options to exact clauses and keeps other values as substrings', () => {
+        const { clauses, errors } = parseSearchQuery('cat:groceries card:vis -"taco stand"', OPTIONS);
+        expect(errors).toEqual([]);
+        expect(clauses).toEqual([
+            { kind: 'text', field: 'category', value: 'Groceries', exact: true, negate: false },
+            { kind: 'text', field: 'paymentMethod', value: 'vis', exact: false, negate: false },
+            { kind: 'text', field: 'text', value: 'taco stand', exact: false, negate: true },
+        ]);
+    });
+
+    it('turns months and open ranges into date bounds', () => {
+        expect(parseSearchQuery('date:2026-02').clauses[0]).toMatchObject({ op: 'range', value: '2026-02-01', max: '2026-02-28' });
+        expect(parseSearchQuery('date:..2026-09').clauses[0]).toMatchObject({ op: 'range', value: null, max: '2026-09-30' });
+        expect(parseSearchQuery('date>2026-09').clauses[0]).toMatchObject({ op: '>', value: '2026-09-30' });
+        expect(parseSearchQuery('amount:>50').clauses[0]).toMatchObject({ kind: 'amount', op: '>', value: 50 });
+    });
+
+    it('reports bad terms without dropping the rest', () => {
+        const { clauses, errors } = parseSearchQuery('amount:abc date:2026-13 color:red is:pending name>x coffee');
+        expect(errors.map((e) => e.token)).toEqual(['amount:abc', 'date:2026-13', 'color:red', 'is:pending', 'name>x']);
+        expect(clauses).toHaveLength(1);
+    });
+
+    it('is empty for blank input', () => {
+        expect(parseSearchQuery('   ').isEmpty).toBe(true);
+    });
+});
+
+describe('matchesSearch', () => {
+    it.each([
+        ['groc', [1, 3]],
+        ['cat:groceries -is:projected', [1]],
+        ['amount:10..60', [1, 2]],
+        ['amount>=120', [3]],
+        ['date:2026-09', [1, 2]],
+        ['date>=2026-09-30', [2, 3]],
+        ['period:"october 2026"', [3]],
+        ['is:cleared', [1]],
+        ['payee="taco stand"', [2]],
+        ['card:visa -name:outlet', [1]],
+    ])('%s', (text, ids) => {
+        expect(search(text)).toEqual(ids);
+    });
+});
+
+describe('searchServerFilters', () => {
+    it('only narrows on single positive exact clauses', () => {
+        expect(searchServerFilters(parseSearchQuery('cat:dining card:vi period:september2026', OPTIONS)))
+            .toEqual({ category: 'Dining', statementPeriod: 'SEPTEMBER2026' });
+        expect(searchServerFilters(parseSearchQuery('cat:dining cat:groceries -period:SEPTEMBER2026', OPTIONS)))
+            .toEqual({});
+    });
+});
@@ -0,0 +1,81 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./Settings.module.css";
+
+/**
+ * CardEditor
+ * One row per payment method with its billing details: closing day, due day, credit
+ * limit and autopay. Blank fields are left out of the saved `cards` map.
+ * Uses Bulletproof React conventions: UI only, state in useSettings.
+ *
+ * Props:
+ *  - cards: payment method names
+ *  - fields: CARD_FIELDS descriptors
+ *  - details: current card -> details map
+ *  - errors: validation messages for the card details
+ *  - onChange(card, field, value)
+ */
+export default function CardEditor({ cards, fields, details, errors = [], onChange }) {
+    return (
+        <div className={`${styles.group} ${errors.length > 0 ? styles.groupInvalid : ""}`}>
+            <div className={styles.groupTitle}>Card billing</div>
+            {cards.length === 0 ? (
+                <div className={styles.muted}>Add payment methods first.</div>
+            ) : (
+                <div className={styles.cardRows}>
+                    <div className={`${styles.cardRow} ${styles.cardHeader}`}>
+                        <span>Card</span>
+                        {fields.map(({ key, label }) => <span key={key}>{label}</span>)}
+                    </div>
+                    {cards.map((card) => {
+                        const current = details[card] || {};
+                        return (
+                            <div key={card} className={styles.cardRow}>
+                                <span className={styles.itemLabel} title={card}>{card}</span>
+                                {fields.map(({ key, label, type }) => (type === "flag" ? (
+                                    <input
+                                        key={key}
+                                        type="checkbox"
+                                        checked={current[key] === true}
+                                        onChange={(e) => onChange(card, key, e.target.checked)}
+                                        aria-label={`${card} ${label}`}
+                                    />
+                                ) : (
+                                    <input
+                                        key={key}
+                                        type="number"
+                                        min={type === "day" ? 1 : 0}
+                                        max={type === "day" ? 31 : undefined}
+                                        step={type === "day" ? 1 : 100}
+                                        placeholder="—"
+                                        value={current[key] ?? ""}
+                                        onChange={(e) => onChange(card, key, e.target.value)}
+                                        aria-label={`${card} ${label}`}
+                                    />
+                                )))}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+            <div className={styles.muted}>Cards without a closing day are billed by calendar month.</div>
+            {errors.length > 0 && (
+                <ul className={styles.errorList}>
+                    {errors.map((msg) => <li key={msg}>{msg}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+CardEditor.propTypes = {
+    cards: PropTypes.arrayOf(PropTypes.string).isRequired,
+    fields: PropTypes.arrayOf(PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        type: PropTypes.oneOf(["day", "amount", "flag"]).isRequired,
+    })).isRequired,
+    details: PropTypes.object.isRequired,
+    errors: PropTypes.arrayOf(PropTypes.string),
+    onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,154 @@
+import React from "react";
+import useSettings from "../hooks/useSettings";
+import { LIST_FIELDS, MAP_FIELDS, PERIOD_FIELDS, MAX_PERIOD_MONTHS, CARD_FIELDS, SCHEME_FIELDS } from "../utils/settingsForm";
+import ListEditor from "./ListEditor";
+import MapEditor from "./MapEditor";
+import CardEditor from "./CardEditor";
+import PeriodSchemeEditor from "./PeriodSchemeEditor";
+import styles from "./Settings.module.css";
+
+/**
+ * Logger for GeneralSettings
+ */
+const logger = {
+    info: (...args) => console.log("[GeneralSettings]", ...args),
+    error: (...args) => console.error("[GeneralSettings]", ...args),
+};
+
+/**
+ * GeneralSettings
+ * Settings panel for option lists (categories, payment methods, accounts, criticality),
+ * default maps, card billing details, the statement-period window and period scheme. Saved settings are written to the config
+ * file and applied immediately.
+ * Uses Bulletproof React conventions: UI only, logic in useSettings.
+ */
+export default function GeneralSettings() {
+    const {
+        draft,
+        errors,
+        isValid,
+        dirty,
+        saving,
+        saveError,
+        lastSave,
+        canPersist,
+        addListItem,
+        removeListItem,
+        moveListItem,
+        setMapEntry,
+        setCardField,
+        setSchemeField,
+        addCustomPeriod,
+        setCustomPeriod,
+        removeCustomPeriod,
+        setField,
+        reset,
+        save,
+    } = useSettings();
+
+    logger.info("render", { dirty, isValid, errorKeys: Object.keys(errors) });
+
+    const periodErrors = PERIOD_FIELDS.flatMap(({ key }) => errors[key] || []);
+    const schemeErrors = errors.statementPeriodScheme || [];
+
+    return (
+        <section className={styles.manager} aria-label="General settings">
+            <div className={styles.managerHeader}>
+                <div>
+                    <h2 className={styles.title}>General</h2>
+                    <div className={styles.subtitle}>
+                        Option lists and defaults used across the app. Changes apply as soon as they are saved.
+                    </div>
+                </div>
+            </div>
+
+            <div className={styles.grid}>
+                {LIST_FIELDS.map(({ key, label, placeholder, hint }) => (
+                    <ListEditor
+                        key={key}
+                        label={label}
+                        placeholder={placeholder}
+                        hint={hint}
+                        items={draft[key] || []}
+                        errors={errors[key]}
+                        onAdd={(value) => addListItem(key, value)}
+                        onRemove={(index) => removeListItem(key, index)}
+                        onMove={(index, delta) => moveListItem(key, index, delta)}
+                    />
+                ))}
+            </div>
+
+            <div className={styles.grid}>
+                {MAP_FIELDS.map(({ key, label, keysFrom, valuesFrom }) => (
+                    <MapEditor
+                        key={key}
+                        label={label}
+                        keys={draft[keysFrom] || []}
+                        values={draft[valuesFrom] || []}
+                        map={draft[key] || {}}
+                        errors={errors[key]}
+                        onChange={(entryKey, value) => setMapEntry(key, entryKey, value)}
+                    />
+                ))}
+            </div>
+
+            <CardEditor
+                cards={draft.paymentMethods || []}
+                fields={CARD_FIELDS}
+                details={draft.cards || {}}
+                errors={errors.cards}
+                onChange={setCardField}
+            />
+
+            <div className={`${styles.group} ${periodErrors.length > 0 || schemeErrors.length > 0 ? styles.groupInvalid : ""}`}>
+                <div className={styles.groupTitle}>Statement periods</div>
+                <PeriodSchemeEditor
+                    types={SCHEME_FIELDS}
+                    scheme={draft.statementPeriodScheme || {}}
+                    errors={schemeErrors}
+                    onFieldChange={setSchemeField}
+                    onAddPeriod={addCustomPeriod}
+                    onPeriodChange={setCustomPeriod}
+                    onRemovePeriod={removeCustomPeriod}
+                />
+                <div className={styles.periodRow}>
+                    {PERIOD_FIELDS.map(({ key, label }) => (
+                        <label key={key}>
+                            {label}
+                            <input
+                                type="number"
+                                min={0}
+                                max={MAX_PERIOD_MONTHS}
+                                step={1}
+                                value={draft[key] ?? ""}
+                                onChange={(e) => setField(key, e.target.value)}
+                            />
+                        </label>
+                    ))}
+                </div>
+                {periodErrors.length > 0 && (
+                    <ul className={styles.errorList}>
+                        {periodErrors.map((msg) => <li key={msg}>{msg}</li>)}
+                    </ul>
+                )}
+            </div>
+
+            {saveError && <div className={styles.error} role="alert">Could not save settings: {saveError}</div>}
+            {lastSave && (
+                <div className={styles.success} role="status">
+                    {lastSave.persisted ? `Saved to ${lastSave.filePath || "the config file"}.` : "Applied for this session."}
+                </div>
+            )}
+
+            <div className={styles.footer}>
+                {!canPersist && <div className={styles.muted}>Running outside the desktop app: changes last until reload.</div>}
+                <button type="button" className={styles.secondaryBtn} onClick={reset} disabled={!dirty || saving}>
+                    Discard changes
+                </button>
+                <button type="button" className={styles.primaryBtn} onClick={save} disabled={!dirty || !isValid || saving}>
+                    {saving ? "Saving…" : "Save settings"}
+                </button>
+            </div>
+        </section>
+    );
+}
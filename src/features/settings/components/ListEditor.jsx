@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import styles from "./Settings.module.css";
+
+/**
+ * ListEditor
+ * Ordered list of option strings with add / remove / reorder.
+ * Uses Bulletproof React conventions: UI only, state in useSettings.
+ *
+ * Props:
+ *  - label, placeholder, hint: display text
+ *  - items: current values
+ *  - errors: validation messages for this list
+ *  - onAdd(value), onRemove(index), onMove(index, delta)
+ */
+export default function ListEditor({ label, placeholder, hint, items, errors = [], onAdd, onRemove, onMove }) {
+    const [newValue, setNewValue] = useState("");
+
+    const submit = (e) => {
+        e.preventDefault();
+        if (!newValue.trim()) return;
+        onAdd(newValue);
+        setNewValue("");
+    };
+
+    return (
+        <div className={`${styles.group} ${errors.length > 0 ? styles.groupInvalid : ""}`}>
+            <div className={styles.groupTitle}>{label}</div>
+            {items.length === 0 ? (
+                <div className={styles.muted}>{hint || "None yet."}</div>
+            ) : (
+                <ul className={styles.itemList}>
+                    {items.map((item, index) => (
+                        <li key={`${item}-${index}`} className={styles.item}>
+                            <span className={styles.itemLabel} title={item}>{item}</span>
+                            <button type="button" className={styles.iconBtn} onClick={() => onMove(index, -1)} disabled={index === 0} aria-label={`Move ${item} up`}>▲</button>
+                            <button type="button" className={styles.iconBtn} onClick={() => onMove(index, 1)} disabled={index === items.length - 1} aria-label={`Move ${item} down`}>▼</button>
+                            <button type="button" className={styles.iconBtn} onClick={() => onRemove(index)} aria-label={`Remove ${item}`}>✕</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <form className={styles.addRow} onSubmit={submit}>
+                <input
+                    type="text"
+                    value={newValue}
+                    placeholder={placeholder}
+                    aria-label={placeholder}
+                    onChange={(e) => setNewValue(e.target.value)}
+                />
+                <button type="submit" className={styles.secondaryBtn} disabled={!newValue.trim()}>Add</button>
+            </form>
+            {items.length > 0 && hint && <div className={styles.muted}>{hint}</div>}
+            {errors.length > 0 && (
+                <ul className={styles.errorList}>
+                    {errors.map((msg) => <li key={msg}>{msg}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+ListEditor.propTypes = {
+    label: PropTypes.string.isRequired,
+    placeholder: PropTypes.string,
+    hint: PropTypes.string,
+    items: PropTypes.arrayOf(PropTypes.string).isRequired,
+    errors: PropTypes.arrayOf(PropTypes.string),
+    onAdd: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onMove: PropTypes.func.isRequired,
+};
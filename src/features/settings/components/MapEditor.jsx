@@ -0,0 +1,65 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./Settings.module.css";
+
+/**
+ * MapEditor
+ * One row per key (e.g. category) with a select of allowed values (e.g. criticality).
+ * Keys present in the map but missing from a non-empty key list are flagged so they can be cleared.
+ * Uses Bulletproof React conventions: UI only, state in useSettings.
+ *
+ * Props:
+ *  - label: section title
+ *  - keys: keys to offer (from the matching option list)
+ *  - values: allowed values
+ *  - map: current key -> value map
+ *  - errors: validation messages for this map
+ *  - onChange(key, value): empty value clears the entry
+ */
+export default function MapEditor({ label, keys, values, map, errors = [], onChange }) {
+    const known = new Set(keys.map((k) => k.toLowerCase()));
+    const extra = Object.keys(map).filter((k) => !known.has(k.toLowerCase()));
+    const rows = [...keys, ...extra];
+
+    return (
+        <div className={`${styles.group} ${errors.length > 0 ? styles.groupInvalid : ""}`}>
+            <div className={styles.groupTitle}>{label}</div>
+            {rows.length === 0 ? (
+                <div className={styles.muted}>Nothing to map yet.</div>
+            ) : values.length === 0 ? (
+                <div className={styles.muted}>Add options first.</div>
+            ) : (
+                <div className={styles.mapRows}>
+                    {rows.map((key) => {
+                        const current = map[key] || "";
+                        const isExtra = keys.length > 0 && extra.includes(key);
+                        return (
+                            <label key={key} className={`${styles.mapRow} ${isExtra ? styles.mapRowUnknown : ""}`}>
+                                <span className={styles.itemLabel} title={key}>{key}</span>
+                                <select value={current} onChange={(e) => onChange(key, e.target.value)}>
+                                    <option value="">—</option>
+                                    {current && !values.includes(current) && <option value={current}>{current} (unknown)</option>}
+                                    {values.map((v) => <option key={v} value={v}>{v}</option>)}
+                                </select>
+                            </label>
+                        );
+                    })}
+                </div>
+            )}
+            {errors.length > 0 && (
+                <ul className={styles.errorList}>
+                    {errors.map((msg) => <li key={msg}>{msg}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+MapEditor.propTypes = {
+    label: PropTypes.string.isRequired,
+    keys: PropTypes.arrayOf(PropTypes.string).isRequired,
+    values: PropTypes.arrayOf(PropTypes.string).isRequired,
+    map: PropTypes.object.isRequired,
+    errors: PropTypes.arrayOf(PropTypes.string),
+    onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,138 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { SCHEME_LABELS, SCHEME_TYPES } from "../../../lib/statementPeriods";
+import styles from "./Settings.module.css";
+
+/**
+ * PeriodSchemeEditor
+ * How statement periods are cut: calendar months, monthly closing on a day, two-week
+ * periods from a payday, or named custom date ranges.
+ * Uses Bulletproof React conventions: UI only, state in useSettings.
+ *
+ * Props:
+ *  - types: scheme types in display order (SCHEME_FIELDS)
+ *  - scheme: current draft scheme
+ *  - errors: validation messages for the scheme
+ *  - onFieldChange(field, value)
+ *  - onAddPeriod()
+ *  - onPeriodChange(index, field, value)
+ *  - onRemovePeriod(index)
+ */
+export default function PeriodSchemeEditor({
+    types,
+    scheme,
+    errors = [],
+    onFieldChange,
+    onAddPeriod,
+    onPeriodChange,
+    onRemovePeriod,
+}) {
+    const type = scheme.type || SCHEME_TYPES.CALENDAR_MONTH;
+    const periods = Array.isArray(scheme.periods) ? scheme.periods : [];
+
+    return (
+        <div className={styles.schemeEditor}>
+            <div className={styles.periodRow}>
+                <label>
+                    Period scheme
+                    <select value={type} onChange={(e) => onFieldChange("type", e.target.value)}>
+                        {types.map((t) => <option key={t} value={t}>{SCHEME_LABELS[t]}</option>)}
+                    </select>
+                </label>
+                {type === SCHEME_TYPES.CLOSE_DAY && (
+                    <label>
+                        Close day
+                        <input
+                            type="number"
+                            min={1}
+                            max={31}
+                            step={1}
+                            value={scheme.closeDay ?? ""}
+                            onChange={(e) => onFieldChange("closeDay", e.target.value)}
+                        />
+                    </label>
+                )}
+                {type === SCHEME_TYPES.BIWEEKLY && (
+                    <label>
+                        First payday
+                        <input
+                            type="date"
+                            value={scheme.anchorDate ?? ""}
+                            onChange={(e) => onFieldChange("anchorDate", e.target.value)}
+                        />
+                    </label>
+                )}
+            </div>
+
+            {type === SCHEME_TYPES.CLOSE_DAY && (
+                <div className={styles.muted}>A period is named for the month it closes in; short months close on their last day.</div>
+            )}
+            {type === SCHEME_TYPES.BIWEEKLY && (
+                <div className={styles.muted}>Periods run 14 days, starting on every other payday from this one.</div>
+            )}
+            {type === SCHEME_TYPES.CUSTOM && (
+                <div className={styles.customPeriods}>
+                    {periods.map((period, index) => (
+                        <div key={index} className={styles.customPeriodRow}>
+                            <input
+                                type="text"
+                                placeholder="Name"
+                                value={period.name ?? ""}
+                                onChange={(e) => onPeriodChange(index, "name", e.target.value)}
+                                aria-label={`Period ${index + 1} name`}
+                            />
+                            <input
+                                type="date"
+                                value={period.start ?? ""}
+                                onChange={(e) => onPeriodChange(index, "start", e.target.value)}
+                                aria-label={`Period ${index + 1} start`}
+                            />
+                            <input
+                                type="date"
+                                value={period.end ?? ""}
+                                onChange={(e) => onPeriodChange(index, "end", e.target.value)}
+                                aria-label={`Period ${index + 1} end`}
+                            />
+                            <button
+                                type="button"
+                                className={styles.iconBtn}
+                                onClick={() => onRemovePeriod(index)}
+                                aria-label={`Remove period ${index + 1}`}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                    <div>
+                        <button type="button" className={styles.secondaryBtn} onClick={onAddPeriod}>Add period</button>
+                    </div>
+                    <div className={styles.muted}>The name is the statement period transactions are filed under.</div>
+                </div>
+            )}
+            {errors.length > 0 && (
+                <ul className={styles.errorList}>
+                    {errors.map((msg) => <li key={msg}>{msg}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+PeriodSchemeEditor.propTypes = {
+    types: PropTypes.arrayOf(PropTypes.string).isRequired,
+    scheme: PropTypes.shape({
+        type: PropTypes.string,
+        closeDay: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        anchorDate: PropTypes.string,
+        periods: PropTypes.arrayOf(PropTypes.shape({
+            name: PropTypes.string,
+            start: PropTypes.string,
+            end: PropTypes.string,
+        })),
+    }).isRequired,
+    errors: PropTypes.arrayOf(PropTypes.string),
+    onFieldChange: PropTypes.func.isRequired,
+    onAddPeriod: PropTypes.func.isRequired,
+    onPeriodChange: PropTypes.func.isRequired,
+    onRemovePeriod: PropTypes.func.isRequired,
+};
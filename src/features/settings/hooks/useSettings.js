@@ -0,0 +1,237 @@
+/**
+ * Hook: useSettings
+ *
+ * Draft state for the general settings editor: option lists, default maps, card details,
+ * the statement-period window and the period scheme. Validates on every change and saves through SettingsService
+ * (config file + live setOverrides). While the draft is clean it follows config changes
+ * made elsewhere.
+ *
+ * @module useSettings
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import settingsService from '../../../services/SettingsService';
+import useConfig from '../../../hooks/useConfig';
+import { normalizeSettings, settingsEqual, validateSettings } from '../utils/settingsForm';
+
+const logger = {
+    info: (...args) => console.log('[useSettings]', ...args),
+    error: (...args) => console.error('[useSettings]', ...args),
+};
+
+/**
+ * @returns {Object} settings draft state and actions
+ */
+export default function useSettings() {
+    const config = useConfig();
+    const saved = useMemo(() => settingsService.getSettings(config), [config]);
+    const [draft, setDraft] = useState(saved);
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    const [lastSave, setLastSave] = useState(null);
+
+    const dirty = !settingsEqual(draft, saved);
+    const errors = useMemo(() => validateSettings(draft), [draft]);
+    const isValid = Object.keys(errors).length === 0;
+
+    // Follow config changes made elsewhere unless the draft has local edits
+    const savedRef = useRef(saved);
+    useEffect(() => {
+        const previous = savedRef.current;
+        savedRef.current = saved;
+        setDraft((prev) => (settingsEqual(prev, previous) ? saved : prev));
+    }, [saved]);
+
+    const update = useCallback((fn) => {
+        setLastSave(null);
+        setSaveError(null);
+        setDraft((prev) => fn(prev));
+    }, []);
+
+    /**
+     * Appends a value to an option list (ignored when blank).
+     * @param {string} key
+     * @param {string} value
+     */
+    const addListItem = useCallback((key, value) => {
+        const v = String(value ?? '').trim();
+        if (!v) return;
+        update((prev) => ({ ...prev, [key]: [...(prev[key] || []), v] }));
+    }, [update]);
+
+    /**
+     * Removes a list item; map entries keyed by or pointing at it are dropped too.
+     * @param {string} key
+     * @param {number} index
+     */
+    const removeListItem = useCallback((key, index) => {
+        update((prev) => {
+            const list = [...(prev[key] || [])];
+            const [removed] = list.splice(index, 1);
+            const next = { ...prev, [key]: list };
+            const dropKey = (mapKey) => {
+                const map = { ...(prev[mapKey] || {}) };
+                delete map[removed];
+                next[mapKey] = map;
+            };
+            const dropValue = (mapKey) => {
+                next[mapKey] = Object.fromEntries(Object.entries(prev[mapKey] || {}).filter(([, v]) => v !== removed));
+            };
+            if (key === 'categories') dropKey('defaultCriticalityMap');
+            if (key === 'accounts') dropKey('defaultPaymentMethodMap');
+            if (key === 'criticalityOptions') dropValue('defaultCriticalityMap');
+            if (key === 'paymentMethods') {
+                dropValue('defaultPaymentMethodMap');
+                dropKey('cards');
+            }
+            return next;
+        });
+    }, [update]);
+
+    /**
+     * Moves a list item up (-1) or down (+1).
+     * @param {string} key
+     * @param {number} index
+     * @param {number} delta
+     */
+    const moveListItem = useCallback((key, index, delta) => {
+        update((prev) => {
+            const list = [...(prev[key] || [])];
+            const target = index + delta;
+            if (target < 0 || target >= list.length) return prev;
+            [list[index], list[target]] = [list[target], list[index]];
+            return { ...prev, [key]: list };
+        });
+    }, [update]);
+
+    /**
+     * Sets (or with an empty value, clears) one map entry.
+     * @param {string} mapKey
+     * @param {string} entryKey
+     * @param {string} value
+     */
+    const setMapEntry = useCallback((mapKey, entryKey, value) => {
+        update((prev) => {
+            const map = { ...(prev[mapKey] || {}) };
+            if (value) map[entryKey] = value;
+            else delete map[entryKey];
+            return { ...prev, [mapKey]: map };
+        });
+    }, [update]);
+
+    /**
+     * Sets one billing detail of a card (kept as typed; normalized on save).
+     * @param {string} card - payment method name
+     * @param {string} field - see CARD_FIELDS
+     * @param {string|number|boolean} value
+     */
+    const setCardField = useCallback((card, field, value) => {
+        update((prev) => {
+            const cards = { ...(prev.cards || {}) };
+            cards[card] = { ...(cards[card] || {}), [field]: value };
+            return { ...prev, cards };
+        });
+    }, [update]);
+
+    /**
+     * Sets one field of the period scheme (type, closeDay or anchorDate). Fields of other
+     * types are kept in the draft so switching back restores them; save drops them.
+     * @param {string} field
+     * @param {string|number} value
+     */
+    const setSchemeField = useCallback((field, value) => {
+        update((prev) => ({ ...prev, statementPeriodScheme: { ...(prev.statementPeriodScheme || {}), [field]: value } }));
+    }, [update]);
+
+    /**
+     * Applies fn to the custom periods list of the scheme.
+     * @param {Function} fn - periods => periods
+     */
+    const updateCustomPeriods = useCallback((fn) => {
+        update((prev) => {
+            const scheme = prev.statementPeriodScheme || {};
+            return { ...prev, statementPeriodScheme: { ...scheme, periods: fn(Array.isArray(scheme.periods) ? scheme.periods : []) } };
+        });
+    }, [update]);
+
+    /** Appends an empty custom period. */
+    const addCustomPeriod = useCallback(() => {
+        updateCustomPeriods((periods) => [...periods, { name: '', start: '', end: '' }]);
+    }, [updateCustomPeriods]);
+
+    /**
+     * Sets one field (name, start or end) of a custom period.
+     * @param {number} index
+     * @param {string} field
+     * @param {string} value
+     */
+    const setCustomPeriod = useCallback((index, field, value) => {
+        updateCustomPeriods((periods) => periods.map((p, i) => (i === index ? { ...p, [field]: value } : p)));
+    }, [updateCustomPeriods]);
+
+    /**
+     * Removes a custom period.
+     * @param {number} index
+     */
+    const removeCustomPeriod = useCallback((index) => {
+        updateCustomPeriods((periods) => periods.filter((_, i) => i !== index));
+    }, [updateCustomPeriods]);
+
+    /**
+     * Sets a scalar field (kept as typed; normalized on save).
+     * @param {string} key
+     * @param {string|number} value
+     */
+    const setField = useCallback((key, value) => {
+        update((prev) => ({ ...prev, [key]: value }));
+    }, [update]);
+
+    const reset = useCallback(() => {
+        setDraft(saved);
+        setSaveError(null);
+        setLastSave(null);
+    }, [saved]);
+
+    /**
+     * Validates and saves the draft.
+     * @async
+     * @returns {Promise<void>}
+     */
+    const save = useCallback(async () => {
+        if (!isValid) return;
+        setSaving(true);
+        setSaveError(null);
+        try {
+            const res = await settingsService.saveSettings(normalizeSettings(draft));
+            setLastSave(res);
+        } catch (err) {
+            logger.error('save failed', err);
+            setSaveError(err?.message || String(err));
+        } finally {
+            setSaving(false);
+        }
+    }, [draft, isValid]);
+
+    return {
+        draft,
+        errors,
+        isValid,
+        dirty,
+        saving,
+        saveError,
+        lastSave,
+        canPersist: settingsService.canPersist(),
+        addListItem,
+        removeListItem,
+        moveListItem,
+        setMapEntry,
+        setCardField,
+        setSchemeField,
+        addCustomPeriod,
+        setCustomPeriod,
+        removeCustomPeriod,
+        setField,
+        reset,
+        save,
+    };
+}
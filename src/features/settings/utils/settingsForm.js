@@ -0,0 +1,252 @@
+/**
+ * settingsForm.js
+ *
+ * Field descriptors, normalization and validation for the general settings editor
+ * (the editable config keys: option lists, default maps, card details, statement-period window
+ * and period scheme).
+ *
+ * @module settingsForm
+ */
+
+import { SCHEME_TYPES, isDateKey } from '../../../lib/statementPeriods';
+
+/**
+ * Editable option lists, in display order.
+ * @constant
+ */
+export const LIST_FIELDS = [
+    { key: 'categories', label: 'Categories', placeholder: 'Add category', hint: 'Leave empty to type categories freely.' },
+    { key: 'paymentMethods', label: 'Payment methods', placeholder: 'Add payment method', hint: 'Cards and other ways you pay; also the columns of the payments screen.' },
+    { key: 'accounts', label: 'Accounts', placeholder: 'Add account', hint: 'Leave empty to use the household accounts.' },
+    { key: 'criticalityOptions', label: 'Criticality options', placeholder: 'Add option', hint: 'The first option is the default.', required: true },
+];
+
+/**
+ * Default maps: which list supplies the keys and which supplies the values.
+ * @constant
+ */
+export const MAP_FIELDS = [
+    { key: 'defaultCriticalityMap', label: 'Default criticality per category', keysFrom: 'categories', valuesFrom: 'criticalityOptions' },
+    { key: 'defaultPaymentMethodMap', label: 'Default payment method per account', keysFrom: 'accounts', valuesFrom: 'paymentMethods' },
+];
+
+/**
+ * Statement-period window sizes.
+ * @constant
+ */
+export const PERIOD_FIELDS = [
+    { key: 'statementPeriodPrevMonths', label: 'Past periods shown' },
+    { key: 'statementPeriodForwardMonths', label: 'Future periods shown' },
+];
+
+export const MAX_PERIOD_MONTHS = 24;
+
+/**
+ * Billing details per payment method (the `cards` map).
+ * @constant
+ */
+export const CARD_FIELDS = [
+    { key: 'closingDay', label: 'Closing day', type: 'day' },
+    { key: 'dueDay', label: 'Due day', type: 'day' },
+    { key: 'creditLimit', label: 'Credit limit', type: 'amount' },
+    { key: 'autopay', label: 'Autopay', type: 'flag' },
+];
+
+/**
+ * Statement period scheme types, in display order.
+ * @constant
+ */
+export const SCHEME_FIELDS = [
+    SCHEME_TYPES.CALENDAR_MONTH,
+    SCHEME_TYPES.CLOSE_DAY,
+    SCHEME_TYPES.BIWEEKLY,
+    SCHEME_TYPES.CUSTOM,
+];
+
+/**
+ * @param {*} list
+ * @returns {string[]} trimmed, non-empty strings
+ */
+function cleanList(list) {
+    return (Array.isArray(list) ? list : []).map((v) => String(v ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * @param {*} map
+ * @returns {Object<string, string>} entries with a non-empty key and value
+ */
+function cleanMap(map) {
+    const out = {};
+    Object.entries(map && typeof map === 'object' ? map : {}).forEach(([k, v]) => {
+        const key = String(k).trim();
+        const value = String(v ?? '').trim();
+        if (key && value) out[key] = value;
+    });
+    return out;
+}
+
+/**
+ * @param {*} cards
+ * @param {string[]} paymentMethods
+ * @returns {Object<string, Object>} details of configured payment methods with blank fields
+ *   dropped; cards with none are dropped
+ */
+function cleanCards(cards, paymentMethods) {
+    const known = new Set(paymentMethods.map((v) => v.toLowerCase()));
+    const out = {};
+    Object.entries(cards && typeof cards === 'object' ? cards : {}).forEach(([name, details]) => {
+        const card = {};
+        CARD_FIELDS.forEach(({ key, type }) => {
+            const raw = details?.[key];
+            if (type === 'flag') {
+                if (raw === true) card[key] = true;
+            } else if (raw !== '' && raw != null) {
+                card[key] = Number(raw);
+            }
+        });
+        const key = String(name).trim();
+        if (known.has(key.toLowerCase()) && Object.keys(card).length > 0) out[key] = card;
+    });
+    return out;
+}
+
+/**
+ * @param {*} scheme
+ * @returns {Object} the fields of the chosen scheme type only; custom periods that are
+ *   entirely blank are dropped
+ */
+function cleanScheme(scheme) {
+    const type = scheme?.type || SCHEME_TYPES.CALENDAR_MONTH;
+    if (type === SCHEME_TYPES.CLOSE_DAY) {
+        const raw = scheme.closeDay;
+        return { type, closeDay: raw === '' || raw == null ? raw : Number(raw) };
+    }
+    if (type === SCHEME_TYPES.BIWEEKLY) return { type, anchorDate: String(scheme.anchorDate ?? '').trim() };
+    if (type === SCHEME_TYPES.CUSTOM) {
+        const periods = (Array.isArray(scheme.periods) ? scheme.periods : [])
+            .map((p) => ({ name: String(p?.name ?? '').trim(), start: p?.start || '', end: p?.end || '' }))
+            .filter((p) => p.name || p.start || p.end);
+        return { type, periods };
+    }
+    return { type };
+}
+
+/**
+ * Normalized copy of a settings draft, ready to validate and save.
+ * @function normalizeSettings
+ * @param {Object} draft
+ * @returns {Object}
+ */
+export function normalizeSettings(draft = {}) {
+    const out = {};
+    LIST_FIELDS.forEach(({ key }) => { out[key] = cleanList(draft[key]); });
+    MAP_FIELDS.forEach(({ key }) => { out[key] = cleanMap(draft[key]); });
+    out.cards = cleanCards(draft.cards, out.paymentMethods);
+    PERIOD_FIELDS.forEach(({ key }) => {
+        const raw = draft[key];
+        out[key] = raw === '' || raw == null ? raw : Number(raw);
+    });
+    out.statementPeriodScheme = cleanScheme(draft.statementPeriodScheme);
+    return out;
+}
+
+/**
+ * Validation messages per settings key (empty object when valid).
+ * @function validateSettings
+ * @param {Object} draft
+ * @returns {Object<string, string[]>}
+ */
+export function validateSettings(draft = {}) {
+    const s = normalizeSettings(draft);
+    const errors = {};
+    const add = (key, message) => { (errors[key] = errors[key] || []).push(message); };
+
+    LIST_FIELDS.forEach(({ key, label, required }) => {
+        const seen = new Set();
+        s[key].forEach((item) => {
+            const lower = item.toLowerCase();
+            if (seen.has(lower)) add(key, `"${item}" is listed twice`);
+            seen.add(lower);
+        });
+        if (required && s[key].length === 0) add(key, `${label} needs at least one entry`);
+    });
+
+    MAP_FIELDS.forEach(({ key, keysFrom, valuesFrom }) => {
+        const keyOptions = new Set(s[keysFrom].map((v) => v.toLowerCase()));
+        const valueOptions = new Set(s[valuesFrom]);
+        Object.entries(s[key]).forEach(([k, v]) => {
+            if (keyOptions.size > 0 && !keyOptions.has(k.toLowerCase())) add(key, `"${k}" is not in ${keysFrom === 'categories' ? 'categories' : 'accounts'}`);
+            if (!valueOptions.has(v)) add(key, `"${v}" for "${k}" is not a configured option`);
+        });
+    });
+
+    Object.entries(s.cards).forEach(([name, card]) => {
+        ['closingDay', 'dueDay'].forEach((field) => {
+            const n = card[field];
+            if (n !== undefined && (!Number.isInteger(n) || n < 1 || n > 31)) {
+                add('cards', `${name}: ${field === 'closingDay' ? 'closing' : 'due'} day must be a whole number from 1 to 31`);
+            }
+        });
+        if (card.creditLimit !== undefined && !(Number.isFinite(card.creditLimit) && card.creditLimit >= 0)) {
+            add('cards', `${name}: credit limit must be an amount of 0 or more`);
+        }
+    });
+
+    PERIOD_FIELDS.forEach(({ key, label }) => {
+        const n = s[key];
+        if (!Number.isInteger(n) || n < 0 || n > MAX_PERIOD_MONTHS) add(key, `${label} must be a whole number from 0 to ${MAX_PERIOD_MONTHS}`);
+    });
+
+    const scheme = s.statementPeriodScheme;
+    if (!SCHEME_FIELDS.includes(scheme.type)) add('statementPeriodScheme', `"${scheme.type}" is not a period scheme`);
+    if (scheme.type === SCHEME_TYPES.CLOSE_DAY && !(Number.isInteger(scheme.closeDay) && scheme.closeDay >= 1 && scheme.closeDay <= 31)) {
+        add('statementPeriodScheme', 'Close day must be a whole number from 1 to 31');
+    }
+    if (scheme.type === SCHEME_TYPES.BIWEEKLY && !isDateKey(scheme.anchorDate)) {
+        add('statementPeriodScheme', 'Pick the payday the two-week periods start from');
+    }
+    if (scheme.type === SCHEME_TYPES.CUSTOM) {
+        if (scheme.periods.length === 0) add('statementPeriodScheme', 'Add at least one custom period');
+        const seen = new Set();
+        const ranges = [];
+        scheme.periods.forEach(({ name, start, end }, i) => {
+            const label = name || `Period ${i + 1}`;
+            if (!name) add('statementPeriodScheme', `${label} needs a name`);
+            else if (seen.has(name.toLowerCase())) add('statementPeriodScheme', `"${name}" is used twice`);
+            seen.add(name.toLowerCase());
+            if (!isDateKey(start) || !isDateKey(end)) add('statementPeriodScheme', `${label} needs a start and end date`);
+            else if (start > end) add('statementPeriodScheme', `${label} ends before it starts`);
+            else ranges.push({ label, start, end });
+        });
+        ranges.sort((a, b) => a.start.localeCompare(b.start)).forEach((r, i) => {
+            const next = ranges[i + 1];
+            if (next && next.start <= r.end) add('statementPeriodScheme', `${r.label} overlaps ${next.label}`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Whether two settings objects hold the same normalized values.
+ * @function settingsEqual
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function settingsEqual(a, b) {
+    return JSON.stringify(normalizeSettings(a)) === JSON.stringify(normalizeSettings(b));
+}
+
+const settingsForm = {
+    LIST_FIELDS,
+    MAP_FIELDS,
+    PERIOD_FIELDS,
+    MAX_PERIOD_MONTHS,
+    CARD_FIELDS,
+    SCHEME_FIELDS,
+    normalizeSettings,
+    validateSettings,
+    settingsEqual,
+};
+
+export default settingsForm;
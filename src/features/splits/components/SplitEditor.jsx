@@ -0,0 +1,172 @@
+import React from "react";
+import PropTypes from "prop-types";
+import MoneyInput from "../../../components/MoneyInput/MoneyInput";
+import useSplitEditor from "../hooks/useSplitEditor";
+import { DEFAULT_LOCALE, DEFAULT_CURRENCY } from "../../transactionTable/utils/constants";
+import styles from "./Split.module.css";
+
+/**
+ * Logger for SplitEditor
+ */
+const logger = {
+    info: (...args) => console.log("[SplitEditor]", ...args),
+    error: (...args) => console.error("[SplitEditor]", ...args),
+};
+
+const currencyFmt = new Intl.NumberFormat(DEFAULT_LOCALE, { style: "currency", currency: DEFAULT_CURRENCY });
+
+/**
+ * SplitEditor
+ * Allocates a transaction's amount across categories and accounts. Rendered under the
+ * row in TransactionTable; allocations must add up to the charge before they can be saved.
+ * Uses Bulletproof React conventions: UI only, logic in useSplitEditor.
+ *
+ * Props:
+ *  - tx: the parent transaction
+ *  - split: its saved split, if any
+ *  - categoryOptions / accountOptions: choices (free text when empty)
+ *  - onSave(tx, allocations), onRemove(id), onClose()
+ */
+export default function SplitEditor({ tx, split = null, categoryOptions = [], accountOptions = [], onSave, onRemove, onClose }) {
+    const {
+        drafts,
+        remainder,
+        errors,
+        canSave,
+        saving,
+        saveError,
+        isSaved,
+        updateAllocation,
+        addAllocation,
+        removeAllocation,
+        assignRemainder,
+        save,
+        remove,
+        close,
+    } = useSplitEditor({ tx, split, onSave, onRemove, onClose });
+    logger.info("render", { id: tx.id, allocations: drafts.length, remainder });
+
+    const renderChoice = (alloc, field, options, placeholder) => (
+        options.length > 0 ? (
+            <select
+                className={styles.input}
+                value={alloc[field] || ""}
+                onChange={(e) => updateAllocation(alloc.key, field, e.target.value)}
+                disabled={saving}
+                aria-label={placeholder}
+            >
+                <option value="">{placeholder}</option>
+                {/* Keep a value that is no longer configured selectable */}
+                {alloc[field] && !options.includes(alloc[field]) ? <option value={alloc[field]}>{alloc[field]}</option> : null}
+                {options.map((o) => <option key={o} value={o}>{o}</option>)}
+            </select>
+        ) : (
+            <input
+                className={styles.input}
+                value={alloc[field] || ""}
+                placeholder={placeholder}
+                onChange={(e) => updateAllocation(alloc.key, field, e.target.value)}
+                disabled={saving}
+                aria-label={placeholder}
+            />
+        )
+    );
+
+    return (
+        <div
+            className={styles.editor}
+            role="group"
+            aria-label={`Split ${tx.name || "transaction"}`}
+            data-split-editor
+            onKeyDown={(e) => {
+                if (e.key === "Escape") {
+                    e.stopPropagation();
+                    close();
+                }
+            }}
+        >
+            <div className={styles.header}>
+                <span className={styles.title}>Split {currencyFmt.format(Number(tx.amount) || 0)}</span>
+                <span className={remainder === 0 ? styles.balanced : styles.remainder}>
+                    {remainder === 0
+                        ? "Fully allocated"
+                        : remainder > 0
+                            ? `${currencyFmt.format(remainder)} left to allocate`
+                            : `${currencyFmt.format(-remainder)} over`}
+                </span>
+            </div>
+
+            <ul className={styles.allocations}>
+                {drafts.map((alloc, i) => (
+                    <li key={alloc.key} className={styles.allocation}>
+                        {renderChoice(alloc, "category", categoryOptions, "Category")}
+                        {renderChoice(alloc, "account", accountOptions, "Account")}
+                        <MoneyInput
+                            className={`${styles.input} ${styles.amount}`}
+                            value={alloc.amount}
+                            onChange={(v) => updateAllocation(alloc.key, "amount", v)}
+                            disabled={saving}
+                            name={`split-amount-${i}`}
+                        />
+                        <button
+                            type="button"
+                            className={styles.linkBtn}
+                            onClick={() => assignRemainder(alloc.key)}
+                            disabled={saving || remainder === 0}
+                            title="Put the unallocated amount on this line"
+                        >
+                            = rest
+                        </button>
+                        <button
+                            type="button"
+                            className={styles.removeBtn}
+                            onClick={() => removeAllocation(alloc.key)}
+                            disabled={saving}
+                            aria-label={`Remove allocation ${i + 1}`}
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {errors.length > 0 && (
+                <ul className={styles.errors} role="alert">
+                    {errors.map((err) => <li key={err}>{err}</li>)}
+                </ul>
+            )}
+            {saveError && <div className={styles.errors} role="alert">{saveError}</div>}
+
+            <div className={styles.actions}>
+                <button type="button" className={styles.linkBtn} onClick={addAllocation} disabled={saving}>
+                    + Add allocation
+                </button>
+                <span className={styles.spacer} />
+                {isSaved && (
+                    <button type="button" className={styles.secondaryBtn} onClick={remove} disabled={saving}>
+                        Remove split
+                    </button>
+                )}
+                <button type="button" className={styles.secondaryBtn} onClick={close} disabled={saving}>
+                    Cancel
+                </button>
+                <button type="button" className={styles.primaryBtn} onClick={save} disabled={!canSave}>
+                    {saving ? "Saving…" : "Save split"}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+SplitEditor.propTypes = {
+    tx: PropTypes.object.isRequired,
+    split: PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        allocations: PropTypes.array.isRequired,
+    }),
+    categoryOptions: PropTypes.arrayOf(PropTypes.string),
+    accountOptions: PropTypes.arrayOf(PropTypes.string),
+    onSave: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,170 @@
+/**
+ * Hook: useSplitEditor
+ *
+ * Draft allocations for the split editor under a transaction row: adding, removing and
+ * editing allocations, the amount still to allocate, validation, and saving / removing
+ * the split through the table's handlers.
+ *
+ * A new split starts with the whole charge on the row's own category and an empty second
+ * allocation; an allocation's criticality follows its category's configured mapping.
+ *
+ * @module useSplitEditor
+ */
+
+import { useCallback, useMemo, useState } from 'react';
+import { getCriticalityForCategory } from '../../../config/config.js';
+import { splitRemainder, validateSplit } from '../../../lib/splitAllocations';
+
+const logger = {
+    info: (...args) => console.log('[useSplitEditor]', ...args),
+    error: (...args) => console.error('[useSplitEditor]', ...args),
+};
+
+let draftSeq = 0;
+
+/**
+ * @param {Object} [fields]
+ * @returns {Object} a draft allocation with a client-side key
+ */
+function makeDraft(fields = {}) {
+    draftSeq += 1;
+    return { key: `draft-${draftSeq}`, id: null, category: '', account: '', amount: 0, ...fields };
+}
+
+/**
+ * @param {Object} tx - the parent row
+ * @param {Object|null} split - its saved split, if any
+ * @returns {Array<Object>}
+ */
+function initialDrafts(tx, split) {
+    if (split?.allocations?.length) {
+        return split.allocations.map((a) => makeDraft({ ...a, key: a.id }));
+    }
+    return [
+        makeDraft({ category: tx.category || '', account: tx.account || '', amount: Number(tx.amount) || 0 }),
+        makeDraft({ account: tx.account || '' }),
+    ];
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.tx - the parent row
+ * @param {Object|null} [params.split] - its saved split
+ * @param {Function} params.onSave - (tx, allocations) => Promise
+ * @param {Function} params.onRemove - (id) => Promise
+ * @param {Function} params.onClose
+ * @returns {Object} editor state and actions
+ */
+export default function useSplitEditor({ tx, split = null, onSave, onRemove, onClose }) {
+    const [drafts, setDrafts] = useState(() => initialDrafts(tx, split));
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    const [touched, setTouched] = useState(false);
+
+    const remainder = useMemo(() => splitRemainder(tx, drafts), [tx, drafts]);
+    const errors = useMemo(() => validateSplit(tx, drafts), [tx, drafts]);
+
+    /**
+     * Updates one field of one allocation.
+     * @param {string} key
+     * @param {string} field - 'category' | 'account' | 'amount'
+     * @param {*} value
+     */
+    const updateAllocation = useCallback((key, field, value) => {
+        setTouched(true);
+        setSaveError(null);
+        setDrafts((prev) => prev.map((d) => {
+            if (d.key !== key) return d;
+            const next = { ...d, [field]: field === 'amount' ? Number(value) || 0 : value };
+            if (field === 'category') next.criticality = getCriticalityForCategory(value) || tx.criticality || '';
+            return next;
+        }));
+    }, [tx.criticality]);
+
+    /**
+     * Adds an allocation pre-filled with whatever is left to allocate.
+     */
+    const addAllocation = useCallback(() => {
+        setTouched(true);
+        setDrafts((prev) => [...prev, makeDraft({ account: tx.account || '', amount: Math.max(splitRemainder(tx, prev), 0) })]);
+    }, [tx]);
+
+    /**
+     * @param {string} key
+     */
+    const removeAllocation = useCallback((key) => {
+        setTouched(true);
+        setDrafts((prev) => prev.filter((d) => d.key !== key));
+    }, []);
+
+    /**
+     * Puts the unallocated remainder on one allocation.
+     * @param {string} key
+     */
+    const assignRemainder = useCallback((key) => {
+        setTouched(true);
+        setDrafts((prev) => {
+            const left = splitRemainder(tx, prev);
+            return prev.map((d) => (d.key === key ? { ...d, amount: Math.round((Number(d.amount) + left) * 100) / 100 } : d));
+        });
+    }, [tx]);
+
+    /**
+     * Saves the allocations; failures stay in the editor.
+     * @async
+     * @returns {Promise<void>}
+     */
+    const save = useCallback(async () => {
+        setTouched(true);
+        if (errors.length > 0 || saving) return;
+        setSaving(true);
+        setSaveError(null);
+        try {
+            await onSave(tx, drafts.map(({ key, ...alloc }) => ({
+                ...alloc,
+                criticality: alloc.criticality || getCriticalityForCategory(alloc.category) || tx.criticality || '',
+            })));
+        } catch (err) {
+            logger.error('save failed', { id: tx.id, err });
+            setSaveError(err?.message || String(err));
+        } finally {
+            setSaving(false);
+        }
+    }, [errors, saving, onSave, tx, drafts]);
+
+    /**
+     * Removes the saved split.
+     * @async
+     * @returns {Promise<void>}
+     */
+    const remove = useCallback(async () => {
+        if (!split || saving) return;
+        setSaving(true);
+        try {
+            await onRemove(tx.id);
+        } catch (err) {
+            logger.error('remove failed', { id: tx.id, err });
+            setSaveError(err?.message || String(err));
+        } finally {
+            setSaving(false);
+        }
+    }, [split, saving, onRemove, tx.id]);
+
+    return {
+        drafts,
+        remainder,
+        // Errors are shown once the user has changed something or tried to save
+        errors: touched ? errors : [],
+        canSave: errors.length === 0 && !saving,
+        saving,
+        saveError,
+        isSaved: Boolean(split),
+        updateAllocation,
+        addAllocation,
+        removeAllocation,
+        assignRemainder,
+        save,
+        remove,
+        close: onClose,
+    };
+}
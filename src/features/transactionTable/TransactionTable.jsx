@@ -3,20 +3,34 @@
  * - Main table UI for displaying, editing, and managing transactions.
  * - Uses useTransactionTable for business/data logic.
  * - Keeps table shell visible and responsive during context or data loading for smooth UX.
+ * - Rows render through the column layout (sort, filters, column order) from useTableLayout.
+ * - Long lists are windowed (useWindowedRows): only rows near the viewport mount, while the
+ *   row being edited and the focused row stay mounted so drafts and focus survive scrolling.
+ * - Keyboard grid navigation and shortcuts (arrows, Enter, Tab, Ctrl+N, Delete, Ctrl+D) come
+ *   from useTableKeyboard; the body is the focusable grid.
+ * - Saved changes can be undone (Ctrl+Z, toolbar, or the toast shown after deletes).
  *
  * @param {Object} props
  * @param {Object} props.filters - Account and other filter criteria
  * @returns {JSX.Element}
  */
 
-import React from 'react';
+import React, { useCallback, useMemo } from 'react';
 import { useTransactionTable } from './hooks/useTransactionTable';
+import useWindowedRows from '../../hooks/useWindowedRows';
+import useTableKeyboard from './hooks/useTableKeyboard';
 import { useStatementPeriodContext } from '../../context/StatementPeriodProvider';
 import './TransactionTable.css';
 import BalanceWidget from './components/BalanceWidget/BalanceWidget';
 import TransactionTableToolbar from './components/TransactionTableToolbar/TransactionTableToolbar';
 import TransactionTableHeader from './components/TransactionTableHeader/TransactionTableHeader';
 import TransactionTableRow from './components/TransactionTableRow/TransactionTableRow';
+import ImportWizardModal from '../importWizard/components/ImportWizardModal';
+import RuleEditorModal from '../rules/components/RuleEditorModal';
+import ReconciliationModal from '../reconciliation/components/ReconciliationModal';
+import SearchResultsPanel from '../search/components/SearchResultsPanel';
+import UndoToast from '../history/components/UndoToast';
+import BulkEditModal from '../bulkEdit/components/BulkEditModal';
 
 /**
  * Currency formatter for USD display.
@@ -27,6 +41,13 @@ const fmt = new Intl.NumberFormat('en-US', {
     currency: 'USD',
 });
 
+/**
+ * Row height estimate and flex gap of `.tt-body`, used by the windowing math.
+ * @constant
+ */
+const ROW_ESTIMATE_PX = 44;
+const ROW_GAP_PX = 6;
+
 /**
  * Logger for TransactionTable.
  * @constant
@@ -45,6 +66,9 @@ export default function TransactionTable(props) {
 
     const {
         localTx,
+        visibleTx,
+        layout,
+        filterOptions,
         loading,
         error,
         selectedIds,
@@ -61,18 +85,94 @@ export default function TransactionTable(props) {
         handleCellDoubleClick,
         handleEditKey,
         handleSaveEdit,
+        handleCommitField,
         handleSaveRow,
         handleCancelRow,
         toInputDate,
         toggleCleared,
         setEditing,
+        handleAddTransaction,
+        handleAddProjection,
+        handleDuplicateRow,
+        handleDeleteSelected,
         savingIds,
         saveErrors,
         startEditingRow,
         toolbar,
         openFilePicker,
+        importFile,
+        closeImport,
+        handleImportTransactions,
+        validateForCreate,
+        resolveDuplicate,
+        applyRules,
+        rankCategoryOptions,
+        suggestCategoryForName,
+        ruleDraft,
+        openRuleFromTransaction,
+        closeRuleEditor,
+        handleSaveRule,
+        reconciliation,
+        search,
+        history,
+        bulkEdit,
+        splitsById,
+        expandedSplitId,
+        toggleSplitEditor,
+        handleSaveSplit,
+        handleRemoveSplit,
     } = useTransactionTable(filters);
 
+    const rowKeys = useMemo(() => (visibleTx || []).map((tx) => String(tx.id)), [visibleTx]);
+    const windowed = useWindowedRows({
+        keys: rowKeys,
+        estimateHeight: ROW_ESTIMATE_PX,
+        gap: ROW_GAP_PX,
+        // Rows with an open editor (row, cell or split) or an in-flight save keep their local draft state
+        pinnedKeys: [editing?.id, expandedSplitId, ...(savingIds ? [...savingIds] : [])],
+    });
+
+    const keyboard = useTableKeyboard({
+        rows: visibleTx,
+        columns: layout?.columns,
+        editing,
+        setEditing,
+        onStartEditField: handleCellDoubleClick,
+        onStartEditRow: startEditingRow,
+        onCommitField: handleCommitField,
+        onEditKey: handleEditKey,
+        selectedIds,
+        toggleSelect,
+        onDeleteSelected: handleDeleteSelected,
+        onAddTransaction: handleAddTransaction,
+        onAddProjection: handleAddProjection,
+        onDuplicateRow: handleDuplicateRow,
+        scrollToIndex: windowed.scrollToIndex,
+        onUndo: history.undo,
+        onRedo: history.redo,
+    });
+
+    const { containerRef } = windowed;
+    const { gridRef } = keyboard;
+    const bodyRef = useCallback((el) => {
+        containerRef(el);
+        gridRef.current = el;
+    }, [containerRef, gridRef]);
+
+    /**
+     * CSV import wizard, open while a file is selected from the toolbar.
+     */
+    const importWizard = importFile ? (
+        <ImportWizardModal
+            file={importFile}
+            account={filters?.account}
+            statementPeriod={statementPeriod}
+            validate={validateForCreate}
+            onImport={handleImportTransactions}
+            onClose={closeImport}
+        />
+    ) : null;
+
     /**
      * Error handling for transaction fetch.
      */
@@ -135,7 +235,7 @@ export default function TransactionTable(props) {
     if (!localTx || localTx.length === 0) {
         logger.info('TransactionTable empty state', { loading });
         return (
-            <div className="tt-card">
+            <div className="tt-card" onKeyDown={keyboard.handleKeyDown}>
                 <BalanceWidget
                     total={total}
                     joint={jointBalance}
@@ -148,10 +248,18 @@ export default function TransactionTable(props) {
                         total: fmt.format(total),
                     }}
                 />
-                <TransactionTableHeader isAllSelected={isAllSelected} toggleSelectAll={toggleSelectAll} />
+                <SearchResultsPanel search={search} />
+                <TransactionTableHeader
+                    isAllSelected={isAllSelected}
+                    toggleSelectAll={toggleSelectAll}
+                    layout={layout}
+                    filterOptions={filterOptions}
+                />
                 <div className="tt-body">
                     <div className="tt-empty"></div>
                 </div>
+                {importWizard}
+                <UndoToast history={history} />
             </div>
         );
     }
@@ -160,7 +268,7 @@ export default function TransactionTable(props) {
      * Main table rendering: always keep shell visible, load rows as data arrives.
      */
     return (
-        <div className="tt-card">
+        <div className="tt-card" onKeyDown={keyboard.handleKeyDown}>
             <BalanceWidget
                 total={total}
                 joint={jointBalance}
@@ -173,30 +281,79 @@ export default function TransactionTable(props) {
                     total: fmt.format(total),
                 }}
             />
-            <TransactionTableHeader isAllSelected={isAllSelected} toggleSelectAll={toggleSelectAll} />
-            <div className="tt-body">
-                {localTx.map((tx) => (
-                    <TransactionTableRow
-                        key={tx.id}
-                        tx={tx}
-                        selected={selectedIds.has(tx.id)}
-                        onSelect={() => toggleSelect(tx.id)}
-                        editing={editing}
-                        editValueRef={editValueRef}
-                        onCellDoubleClick={handleCellDoubleClick}
-                        onEditKey={handleEditKey}
-                        onSaveEdit={handleSaveEdit}
-                        onSaveRow={handleSaveRow}
-                        onCancelRow={handleCancelRow}
-                        toInputDate={toInputDate}
-                        onToggleCleared={toggleCleared}
-                        setEditing={setEditing}
-                        savingIds={savingIds}
-                        saveErrors={saveErrors}
-                        startEditingRow={startEditingRow}
-                    />
-                ))}
+            <SearchResultsPanel search={search} />
+            <TransactionTableHeader
+                isAllSelected={isAllSelected}
+                toggleSelectAll={toggleSelectAll}
+                layout={layout}
+                filterOptions={filterOptions}
+            />
+            <div
+                className="tt-body"
+                ref={bodyRef}
+                tabIndex={0}
+                role="grid"
+                aria-label="Transactions"
+                aria-keyshortcuts="Control+N Control+Shift+N Control+D Delete"
+                onFocus={(e) => {
+                    windowed.onFocus(e);
+                    keyboard.handleFocus(e);
+                }}
+                onClick={keyboard.handleClick}
+            >
+                {visibleTx.length === 0 && (
+                    <div className="tt-empty tt-filtered-empty">
+                        No transactions match the column filters.
+                        <button className="tt-clear-filters" onClick={layout.clearFilters}>Clear filters</button>
+                    </div>
+                )}
+                {windowed.items.map((item) => {
+                    if (item.type === 'spacer') {
+                        return <div key={item.key} className="tt-window-spacer" style={{ height: item.height }} aria-hidden="true" />;
+                    }
+                    const tx = visibleTx[item.index];
+                    return (
+                        <TransactionTableRow
+                            key={tx.id}
+                            rowRef={windowed.measureRef(tx.id)}
+                            columns={layout.columns}
+                            gridTemplateColumns={layout.gridTemplateColumns}
+                            tx={tx}
+                            selected={selectedIds.has(tx.id)}
+                            onSelect={() => toggleSelect(tx.id)}
+                            editing={editing}
+                            editValueRef={editValueRef}
+                            onCellDoubleClick={handleCellDoubleClick}
+                            activeField={keyboard.activeCell && String(keyboard.activeCell.id) === String(tx.id) ? keyboard.activeCell.field : null}
+                            onEditKey={keyboard.handleEditorKey}
+                            onSaveEdit={handleSaveEdit}
+                            onSaveRow={handleSaveRow}
+                            onCancelRow={handleCancelRow}
+                            toInputDate={toInputDate}
+                            onToggleCleared={toggleCleared}
+                            setEditing={setEditing}
+                            savingIds={savingIds}
+                            saveErrors={saveErrors}
+                            startEditingRow={startEditingRow}
+                            onResolveDuplicate={resolveDuplicate}
+                            applyRules={applyRules}
+                            rankCategoryOptions={rankCategoryOptions}
+                            suggestCategoryForName={suggestCategoryForName}
+                            onCreateRule={openRuleFromTransaction}
+                            split={splitsById.get(String(tx.id)) || null}
+                            splitOpen={expandedSplitId != null && String(expandedSplitId) === String(tx.id)}
+                            onToggleSplit={toggleSplitEditor}
+                            onSaveSplit={handleSaveSplit}
+                            onRemoveSplit={handleRemoveSplit}
+                        />
+                    );
+                })}
             </div>
+            {importWizard}
+            <UndoToast history={history} />
+            {ruleDraft && <RuleEditorModal rule={ruleDraft} onSave={handleSaveRule} onClose={closeRuleEditor} />}
+            {bulkEdit.isOpen && <BulkEditModal bulkEdit={bulkEdit} />}
+            {reconciliation.isOpen && <ReconciliationModal reconciliation={reconciliation} statementPeriod={statementPeriod} />}
         </div>
     );
 }
\ No newline at end of file
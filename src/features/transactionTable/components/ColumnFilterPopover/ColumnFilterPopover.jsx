@@ -0,0 +1,151 @@
+import React, { useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import styles from "./ColumnFilterPopover.module.css";
+import { ROW_KINDS } from "../../utils/tableView";
+
+/**
+ * Logger for ColumnFilterPopover
+ */
+const logger = {
+    info: (...args) => console.log("[ColumnFilterPopover]", ...args),
+    error: (...args) => console.error("[ColumnFilterPopover]", ...args),
+};
+
+/**
+ * @param {string} text
+ * @returns {number|null}
+ */
+function toBound(text) {
+    if (String(text).trim() === "") return null;
+    const n = Number(text);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * ColumnFilterPopover
+ * Filter editor for one column header. The column's `filter` kind picks the editor:
+ *  - values: multiselect of the column's values
+ *  - range: min / max amount
+ *  - kind: projected vs actual rows
+ * Changes apply immediately; the popover closes on Escape or an outside click.
+ *
+ * Props:
+ *  - column: column definition (tableView.TABLE_COLUMNS)
+ *  - value: current filter value (undefined when unset)
+ *  - choices: selectable values for 'values' filters ('' = blank cells)
+ *  - onChange(value): set the filter (null clears it)
+ *  - onClose(): close the popover
+ */
+export default function ColumnFilterPopover({ column, value, choices = [], onChange, onClose }) {
+    const rootRef = useRef(null);
+
+    useEffect(() => {
+        const onPointerDown = (event) => {
+            if (rootRef.current && !rootRef.current.contains(event.target)) onClose();
+        };
+        document.addEventListener("mousedown", onPointerDown);
+        return () => document.removeEventListener("mousedown", onPointerDown);
+    }, [onClose]);
+
+    const change = (next) => {
+        logger.info("change", { column: column.key, value: next });
+        onChange(next);
+    };
+
+    let editor = null;
+    if (column.filter === "values") {
+        const selected = new Set(value || []);
+        const toggle = (choice) => {
+            const next = new Set(selected);
+            if (next.has(choice)) next.delete(choice);
+            else next.add(choice);
+            change([...next]);
+        };
+        editor = (
+            <ul className={styles.choices}>
+                {choices.map((choice) => (
+                    <li key={choice || "(blank)"}>
+                        <label className={styles.choice}>
+                            <input type="checkbox" checked={selected.has(choice)} onChange={() => toggle(choice)} />
+                            {choice === "" ? <em>(blank)</em> : choice}
+                        </label>
+                    </li>
+                ))}
+                {choices.length === 0 && <li className={styles.empty}>No values</li>}
+            </ul>
+        );
+    } else if (column.filter === "range") {
+        const range = value || { min: null, max: null };
+        editor = (
+            <div className={styles.range}>
+                <label>
+                    Min
+                    <input
+                        type="number"
+                        step="0.01"
+                        defaultValue={range.min ?? ""}
+                        onChange={(e) => change({ ...range, min: toBound(e.target.value) })}
+                    />
+                </label>
+                <label>
+                    Max
+                    <input
+                        type="number"
+                        step="0.01"
+                        defaultValue={range.max ?? ""}
+                        onChange={(e) => change({ ...range, max: toBound(e.target.value) })}
+                    />
+                </label>
+            </div>
+        );
+    } else if (column.filter === "kind") {
+        const options = [
+            { value: "", label: "All rows" },
+            { value: ROW_KINDS.ACTUAL, label: "Actual only" },
+            { value: ROW_KINDS.PROJECTED, label: "Projected only" },
+        ];
+        editor = (
+            <div className={styles.choices} role="radiogroup" aria-label="Projected vs actual">
+                {options.map((opt) => (
+                    <label key={opt.value} className={styles.choice}>
+                        <input
+                            type="radio"
+                            name={`filter-${column.key}`}
+                            checked={(value || "") === opt.value}
+                            onChange={() => change(opt.value || null)}
+                        />
+                        {opt.label}
+                    </label>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className={styles.popover}
+            ref={rootRef}
+            role="dialog"
+            aria-label={`Filter ${column.label}`}
+            onKeyDown={(e) => { if (e.key === "Escape") onClose(); }}
+        >
+            {editor}
+            <div className={styles.footer}>
+                <button className={styles.footerBtn} onClick={() => change(null)}>Clear</button>
+                <button className={styles.footerBtn} onClick={onClose}>Done</button>
+            </div>
+        </div>
+    );
+}
+
+ColumnFilterPopover.propTypes = {
+    column: PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        filter: PropTypes.oneOf(["values", "range", "kind"]),
+    }).isRequired,
+    value: PropTypes.oneOfType([PropTypes.array, PropTypes.object, PropTypes.string]),
+    choices: PropTypes.arrayOf(PropTypes.string),
+    onChange: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import styles from "./ColumnsMenu.module.css";
+
+/**
+ * Logger for ColumnsMenu
+ */
+const logger = {
+    info: (...args) => console.log("[ColumnsMenu]", ...args),
+    error: (...args) => console.error("[ColumnsMenu]", ...args),
+};
+
+/**
+ * ColumnsMenu
+ * Toolbar dropdown to show, hide and reorder the table's columns.
+ * Uses Bulletproof React conventions: UI only, layout logic in useTableLayout.
+ *
+ * Props:
+ *  - layout: column layout state and actions from useTableLayout
+ */
+export default function ColumnsMenu({ layout }) {
+    const [open, setOpen] = useState(false);
+    const rootRef = useRef(null);
+
+    // Close when clicking anywhere outside the menu
+    useEffect(() => {
+        if (!open) return undefined;
+        const onPointerDown = (event) => {
+            if (rootRef.current && !rootRef.current.contains(event.target)) setOpen(false);
+        };
+        document.addEventListener("mousedown", onPointerDown);
+        return () => document.removeEventListener("mousedown", onPointerDown);
+    }, [open]);
+
+    const visibleCount = layout.allColumns.filter((c) => c.visible).length;
+
+    return (
+        <div
+            className={styles.menu}
+            ref={rootRef}
+            onKeyDown={(e) => { if (e.key === "Escape") setOpen(false); }}
+        >
+            <button
+                className={styles.trigger}
+                onClick={() => setOpen((v) => !v)}
+                aria-haspopup="true"
+                aria-expanded={open}
+            >
+                <span className={styles.icon}>☷</span> Columns
+            </button>
+            {open && (
+                <div className={styles.panel} role="dialog" aria-label="Columns">
+                    <ul className={styles.list}>
+                        {layout.allColumns.map((col, index) => (
+                            <li key={col.key} className={styles.item}>
+                                <label className={styles.label}>
+                                    <input
+                                        type="checkbox"
+                                        checked={col.visible}
+                                        // The last visible column cannot be hidden
+                                        disabled={col.visible && visibleCount === 1}
+                                        onChange={() => layout.toggleColumn(col.key)}
+                                    />
+                                    {col.label}
+                                </label>
+                                <button
+                                    className={styles.moveBtn}
+                                    onClick={() => layout.moveColumn(col.key, -1)}
+                                    disabled={index === 0}
+                                    aria-label={`Move ${col.label} left`}
+                                >
+                                    ↑
+                                </button>
+                                <button
+                                    className={styles.moveBtn}
+                                    onClick={() => layout.moveColumn(col.key, 1)}
+                                    disabled={index === layout.allColumns.length - 1}
+                                    aria-label={`Move ${col.label} right`}
+                                >
+                                    ↓
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <div className={styles.footer}>
+                        {layout.activeFilterCount > 0 && (
+                            <button className={styles.footerBtn} onClick={layout.clearFilters}>
+                                Clear filters ({layout.activeFilterCount})
+                            </button>
+                        )}
+                        <button
+                            className={styles.footerBtn}
+                            onClick={() => {
+                                logger.info("reset layout");
+                                layout.resetLayout();
+                            }}
+                        >
+                            Reset layout
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+ColumnsMenu.propTypes = {
+    layout: PropTypes.shape({
+        allColumns: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            label: PropTypes.string.isRequired,
+            visible: PropTypes.bool.isRequired,
+        })).isRequired,
+        toggleColumn: PropTypes.func.isRequired,
+        moveColumn: PropTypes.func.isRequired,
+        resetLayout: PropTypes.func.isRequired,
+        clearFilters: PropTypes.func.isRequired,
+        activeFilterCount: PropTypes.number.isRequired,
+    }).isRequired,
+};
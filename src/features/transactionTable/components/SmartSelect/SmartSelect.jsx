@@ -7,6 +7,10 @@
  * Accessibility improvements:
  * - options receive stable ids so the input can set aria-activedescendant when an item is highlighted.
  *
+ * Suggestions:
+ * - rankOptions / suggestedValue are forwarded to the hook. A pending suggestion is shown
+ *   as the placeholder (autocomplete) or the blank option's label (dropdown), with a Tab hint.
+ *
  * Notes:
  * - Input keeps using DEFAULT_INPUT_CLASS (global) for now for incremental migration.
  * - The suggestion popup uses scoped module classes to avoid global collisions.
@@ -42,6 +46,9 @@ export default function SmartSelect({
                                         id = undefined,
                                         maxSuggestions = undefined,
                                         blurDelayMs = undefined,
+                                        rankOptions = null,
+                                        suggestedValue = "",
+                                        onKeyDown = null,
                                     }) {
     // Use the hook to encapsulate behavior
     const smart = useSmartSelect({
@@ -59,8 +66,13 @@ export default function SmartSelect({
         applyMappedDefault,
         maxSuggestions,
         blurDelayMs,
+        rankOptions,
+        suggestedValue,
+        onKeyDown,
     });
 
+    const suggestionHint = smart.pendingSuggestion ? `${smart.pendingSuggestion}  ⇥ Tab` : "";
+
     // Pick final input class: explicit prop -> hook default -> global default
     const inputClass = className ?? smart.className ?? DEFAULT_INPUT_CLASS;
 
@@ -94,7 +106,7 @@ export default function SmartSelect({
             <select
                 id={id}
                 name={name}
-                className={finalInputClass}
+                className={`${finalInputClass} ${suggestionHint ? styles.hasSuggestion : ""}`.trim()}
                 value={value ?? ""}
                 onChange={smart.handleNativeSelectChange}
                 onKeyDown={smart.handleKeyDown}
@@ -102,7 +114,7 @@ export default function SmartSelect({
                 disabled={disabled}
                 aria-label={ariaLabel}
             >
-                <option value="">{/* allow empty */}</option>
+                <option value="">{suggestionHint /* allow empty */}</option>
                 {finalOptions.map((opt) => (
                     <option key={opt} value={opt}>
                         {opt}
@@ -120,12 +132,13 @@ export default function SmartSelect({
                 id={id}
                 name={name}
                 ref={smart.internalRef}
-                className={finalInputClass}
+                className={`${finalInputClass} ${suggestionHint ? styles.hasSuggestion : ""}`.trim()}
                 value={smart.query}
                 onChange={smart.handleInputChange}
                 onKeyDown={smart.handleKeyDown}
                 onBlur={smart.handleBlur}
-                placeholder={placeholder}
+                placeholder={suggestionHint || placeholder}
+                title={suggestionHint ? `Suggested from history: ${smart.pendingSuggestion} (Tab to accept)` : undefined}
                 disabled={disabled}
                 aria-label={ariaLabel}
                 aria-haspopup="listbox"
@@ -183,4 +196,7 @@ SmartSelect.propTypes = {
     id: PropTypes.string,
     maxSuggestions: PropTypes.number,
     blurDelayMs: PropTypes.number,
+    rankOptions: PropTypes.func,
+    suggestedValue: PropTypes.string,
+    onKeyDown: PropTypes.func, // runs before the built-in keys; preventDefault() skips them
 };
\ No newline at end of file
@@ -28,6 +28,8 @@ export default function TransactionRowInput({
                                                 onBlur,
                                                 getMappedDefault,
                                                 applyMappedDefault,
+                                                rankOptions,
+                                                suggestedValue,
                                                 CRITICALITY_OPTIONS,
                                                 DEFAULT_CRITICALITY,
                                                 className = "tt-input",
@@ -119,7 +121,10 @@ export default function TransactionRowInput({
 
     if (["category", "account", "paymentMethod"].includes(field)) {
         const smartProps = getSmartSelectProps({
+            tx,
             field,
+            setEditing,
+            onEditKey,
             IS_DROPDOWN,
             ALL_OPTIONS,
             value,
@@ -129,6 +134,8 @@ export default function TransactionRowInput({
             onBlur,
             getMappedDefault,
             applyMappedDefault,
+            rankOptions,
+            suggestedValue,
         });
         return <SmartSelect {...smartProps} />;
     }
@@ -170,6 +177,8 @@ TransactionRowInput.propTypes = {
     onBlur: PropTypes.func,
     getMappedDefault: PropTypes.func,
     applyMappedDefault: PropTypes.func,
+    rankOptions: PropTypes.func,
+    suggestedValue: PropTypes.string,
     CRITICALITY_OPTIONS: PropTypes.array,
     DEFAULT_CRITICALITY: PropTypes.string,
     className: PropTypes.string,
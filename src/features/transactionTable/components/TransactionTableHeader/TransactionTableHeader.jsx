@@ -3,26 +3,40 @@
  *
  * - Uses CSS Modules for scoped styling to eliminate reliance on global classnames.
  * - Keeps the header layout in a module so it aligns with component-scoped row styles.
+ * - Columns follow the table layout (useTableLayout): click a label to sort, shift-click to
+ *   add a secondary sort key, and use the ⏷ button for the column's filter popover.
  *
  * Bulletproof notes:
- * - This is a presentational component with minimal props.
+ * - This is a presentational component; sort / filter / layout state lives in useTableLayout.
  * - Logging included for visibility (render passes).
  */
 
-import React from "react";
+import React, { useCallback, useState } from "react";
 import PropTypes from "prop-types";
 import styles from "./TransactionTableHeader.module.css";
+import ColumnFilterPopover from "../ColumnFilterPopover/ColumnFilterPopover";
+import { TABLE_COLUMNS, SORT_DIRECTIONS, gridTemplate, isFilterActive } from "../../utils/tableView";
 
 const logger = {
     info: (...args) => console.log("[TransactionTableHeader]", ...args),
     error: (...args) => console.error("[TransactionTableHeader]", ...args),
 };
 
-export default function TransactionTableHeader({ isAllSelected, toggleSelectAll }) {
-    logger.info("render", { isAllSelected });
+export default function TransactionTableHeader({ isAllSelected, toggleSelectAll, layout, filterOptions = {} }) {
+    const [openFilter, setOpenFilter] = useState(null);
+    const closeFilter = useCallback(() => setOpenFilter(null), []);
+    logger.info("render", { isAllSelected, sort: layout?.sort });
+
+    // Without a layout (e.g. the loading shell) the default columns render unsorted
+    const columns = layout ? layout.columns : TABLE_COLUMNS;
+    const sort = layout ? layout.sort : [];
 
     return (
-        <div className={styles.header} role="row">
+        <div
+            className={styles.header}
+            role="row"
+            style={{ gridTemplateColumns: layout ? layout.gridTemplateColumns : gridTemplate(TABLE_COLUMNS) }}
+        >
             <div className={styles.checkboxCol} role="columnheader">
                 <input
                     type="checkbox"
@@ -32,21 +46,59 @@ export default function TransactionTableHeader({ isAllSelected, toggleSelectAll
                 />
             </div>
 
-            <div className={styles.column} role="columnheader">Name</div>
-
-            <div className={`${styles.column} ${styles.columnRight}`} role="columnheader" aria-label="Amount">
-                Amount
-            </div>
-
-            <div className={styles.column} role="columnheader">Category</div>
-
-            <div className={styles.column} role="columnheader">Criticality</div>
-
-            <div className={styles.column} role="columnheader">Date</div>
-
-            <div className={styles.column} role="columnheader">Account</div>
-
-            <div className={styles.column} role="columnheader">Payment Method</div>
+            {columns.map((col) => {
+                const sortIndex = sort.findIndex((s) => s.key === col.key);
+                const sortKey = sortIndex >= 0 ? sort[sortIndex] : null;
+                const filterValue = layout?.filters?.[col.key];
+                const filtered = isFilterActive(filterValue);
+                return (
+                    <div
+                        key={col.key}
+                        className={`${styles.column} ${col.alignRight ? styles.columnRight : ""}`}
+                        role="columnheader"
+                        aria-sort={sortKey ? (sortKey.dir === SORT_DIRECTIONS.ASC ? "ascending" : "descending") : "none"}
+                    >
+                        {layout ? (
+                            <button
+                                type="button"
+                                className={styles.sortBtn}
+                                onClick={(e) => layout.toggleSort(col.key, e.shiftKey)}
+                                title="Click to sort, shift-click to add a sort key"
+                            >
+                                <span className={styles.label}>{col.label}</span>
+                                {sortKey && (
+                                    <span className={styles.sortIndicator} aria-hidden="true">
+                                        {sortKey.dir === SORT_DIRECTIONS.ASC ? "▲" : "▼"}
+                                        {sort.length > 1 ? sortIndex + 1 : ""}
+                                    </span>
+                                )}
+                            </button>
+                        ) : (
+                            <span className={styles.label}>{col.label}</span>
+                        )}
+                        {layout && col.filter && (
+                            <button
+                                type="button"
+                                className={`${styles.filterBtn} ${filtered ? styles.filterBtnActive : ""}`}
+                                onClick={() => setOpenFilter((prev) => (prev === col.key ? null : col.key))}
+                                aria-label={`Filter ${col.label}`}
+                                aria-expanded={openFilter === col.key}
+                            >
+                                ⏷
+                            </button>
+                        )}
+                        {layout && openFilter === col.key && (
+                            <ColumnFilterPopover
+                                column={col}
+                                value={filterValue}
+                                choices={filterOptions[col.key]}
+                                onChange={(value) => layout.setFilter(col.key, value)}
+                                onClose={closeFilter}
+                            />
+                        )}
+                    </div>
+                );
+            })}
         </div>
     );
 }
@@ -54,4 +106,16 @@ export default function TransactionTableHeader({ isAllSelected, toggleSelectAll
 TransactionTableHeader.propTypes = {
     isAllSelected: PropTypes.bool.isRequired,
     toggleSelectAll: PropTypes.func.isRequired,
-};
\ No newline at end of file
+    layout: PropTypes.shape({
+        columns: PropTypes.arrayOf(PropTypes.object).isRequired,
+        gridTemplateColumns: PropTypes.string.isRequired,
+        sort: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            dir: PropTypes.string.isRequired,
+        })).isRequired,
+        toggleSort: PropTypes.func.isRequired,
+        filters: PropTypes.object.isRequired,
+        setFilter: PropTypes.func.isRequired,
+    }),
+    filterOptions: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+};
@@ -6,6 +6,13 @@
  *   - row receives styles.projectedRow
  *   - name is shown with styles.projectedName and a small projected badge
  *   - amount is shown with styles.projectedAmount
+ *   - projections generated from a recurring template (tx.recurringTemplateId) get a Recurring badge
+ * - Saved rows offer "create rule from this transaction" next to the name.
+ * - Saved actual rows can be split across categories / accounts: a Split badge (or a hover
+ *   button when not split yet) opens the split editor under the row.
+ * - Rows held as likely duplicates (tx.__duplicateOf) get styles.duplicateRow and a
+ *   review bar with merge / keep both / discard actions.
+ * - Cells follow the table layout (column order / visibility from useTableLayout).
  *
  * Conventions:
  * - UI-only: all business logic lives in hooks (useTransactionRow).
@@ -23,6 +30,7 @@ import TransactionRowInput from "../TransactionRowInput/TransactionRowInput";
 
 import styles from "./TransactionRow.module.css";
 import {
+    TEMP_ID_PREFIX,
     INLINE_ERROR_COLOR,
     SAVING_TEXT_COLOR,
     DEFAULT_INPUT_CLASS,
@@ -30,12 +38,18 @@ import {
     DEFAULT_CURRENCY,
 } from "../../utils/constants";
 import MoneyInput from "../../../../components/MoneyInput/MoneyInput";
+import { DUPLICATE_ACTIONS } from "../../utils/duplicateDetector";
+import { TABLE_COLUMNS } from "../../utils/tableView";
+import SplitEditor from "../../../splits/components/SplitEditor";
+import { isSplitCurrent } from "../../../../lib/splitAllocations";
 
 const logger = {
     info: (...args) => console.log('[TransactionTableRow]', ...args),
     error: (...args) => console.error('[TransactionTableRow]', ...args),
 };
 
+const currencyFmt = new Intl.NumberFormat(DEFAULT_LOCALE, { style: "currency", currency: DEFAULT_CURRENCY });
+
 /**
  * TransactionTableRow
  *
@@ -55,6 +69,20 @@ const logger = {
  * @param {Set} props.savingIds - ids currently saving
  * @param {Object} props.saveErrors - save error map
  * @param {Function} props.startEditingRow - start full-row edit
+ * @param {Function} [props.onResolveDuplicate] - (id, action, originalId) for rows held as duplicates
+ * @param {Function} [props.applyRules] - categorization rules applied to new-row drafts
+ * @param {Function} [props.rankCategoryOptions] - (query, name) categories ranked from history
+ * @param {Function} [props.suggestCategoryForName] - (name) category pre-filled from history
+ * @param {Function} [props.onCreateRule] - (tx) opens the rule editor pre-filled from this row
+ * @param {Array<Object>} [props.columns] - visible columns in display order (defaults to every column)
+ * @param {string} [props.gridTemplateColumns] - grid tracks matching `columns`
+ * @param {Function} [props.rowRef] - ref callback for the row element (windowed height measuring)
+ * @param {string|null} [props.activeField] - column key of the keyboard cursor when it is on this row
+ * @param {Object|null} [props.split] - this row's saved split, if any
+ * @param {boolean} [props.splitOpen] - whether the split editor is open under this row
+ * @param {Function} [props.onToggleSplit] - (id) opens / closes the split editor
+ * @param {Function} [props.onSaveSplit] - (tx, allocations) saves the split
+ * @param {Function} [props.onRemoveSplit] - (id) removes the split
  */
 export default function TransactionTableRow({
                                                 tx,
@@ -72,6 +100,20 @@ export default function TransactionTableRow({
                                                 savingIds = new Set(),
                                                 saveErrors = {},
                                                 startEditingRow,
+                                                onResolveDuplicate,
+                                                applyRules,
+                                                rankCategoryOptions,
+                                                suggestCategoryForName,
+                                                onCreateRule,
+                                                columns = TABLE_COLUMNS,
+                                                gridTemplateColumns,
+                                                rowRef,
+                                                activeField = null,
+                                                split = null,
+                                                splitOpen = false,
+                                                onToggleSplit,
+                                                onSaveSplit,
+                                                onRemoveSplit,
                                             }) {
     const {
         isFieldEditing,
@@ -101,6 +143,9 @@ export default function TransactionTableRow({
         handleCategoryBlurForField,
         handleAccountBlurForField,
         handlePaymentBlurForField,
+        handleNameBlurForRow,
+        rankCategoriesForRow,
+        suggestedCategory,
         onSaveRowClick,
         onCancelRowLocal,
         onStartRowEdit,
@@ -121,6 +166,9 @@ export default function TransactionTableRow({
         saveErrors,
         startEditingRow,
         onEditKey,
+        applyRules,
+        rankCategoryOptions,
+        suggestCategoryForName,
     });
 
     const inputClass = `${DEFAULT_INPUT_CLASS} ${styles.input}`;
@@ -166,7 +214,8 @@ export default function TransactionTableRow({
     };
 
     const handleRowDoubleClickCapture = (e) => {
-        if (isRowEditing) return;
+        // Double-clicks inside the split editor (e.g. selecting an amount) stay there
+        if (isRowEditing || e.target.closest?.('[data-split-editor]')) return;
         e.stopPropagation();
         logger.info('row double-click -> start full-row edit', { txId: tx.id });
         try {
@@ -182,25 +231,26 @@ export default function TransactionTableRow({
         }
     };
 
-    // conditional className for projected rows
-    const rowClassName = `${styles.row} ${selected ? styles.rowSelected : ""} ${tx?.__isProjected ? styles.projectedRow : ""}`;
+    // conditional className for projected / flagged duplicate rows
+    const duplicateOf = Array.isArray(tx?.__duplicateOf) && tx.__duplicateOf.length > 0 ? tx.__duplicateOf : null;
+    const rowClassName = `${styles.row} ${selected ? styles.rowSelected : ""} ${tx?.__isProjected ? styles.projectedRow : ""} ${duplicateOf ? styles.duplicateRow : ""}`;
 
-    return (
-        <div
-            className={rowClassName}
-            onDoubleClickCapture={handleRowDoubleClickCapture}
-        >
-            <div className={styles.checkboxCol}>
-                <input
-                    type="checkbox"
-                    checked={selected}
-                    onChange={onSelect}
-                    aria-label={`Select transaction ${tx.name || tx.id}`}
-                />
-            </div>
+    // Only saved actual charges can be split; projections and unsaved rows cannot
+    const canSplit = !tx.__isNew && !tx.__isProjected && !String(tx.id).startsWith(TEMP_ID_PREFIX) && typeof onToggleSplit === "function";
+    const splitCurrent = Boolean(split) && isSplitCurrent(split, tx);
+
+    const resolveDuplicate = (action) => {
+        logger.info('resolve duplicate', { txId: tx.id, action });
+        if (typeof onResolveDuplicate === "function") onResolveDuplicate(tx.id, action);
+    };
 
-            {/* Name */}
-            <div className={styles.cell} title="Double click to edit">
+    // One cell per data column, rendered in the layout's order
+    const columnKeys = columns.map((c) => c.key);
+    const cellClass = (key) => (activeField === key ? `${styles.cell} ${styles.cellActive}` : styles.cell);
+    const cells = {
+        // Name
+        name: (
+            <div key="name" data-field="name" className={cellClass("name")} title="Double click to edit">
                 {isFieldEditing("name") ? (
                     <>
                         <TransactionRowInput
@@ -222,6 +272,7 @@ export default function TransactionTableRow({
                             autoFocus
                             value={draft.name || ''}
                             onChange={(e) => updateDraft('name', e.target.value)}
+                            onBlur={handleNameBlurForRow}
                             onKeyDown={(e) => {
                                 if (e.key === 'Enter') onSaveRowClick();
                                 if (e.key === 'Escape') onCancelRowLocal();
@@ -234,12 +285,69 @@ export default function TransactionTableRow({
                         {tx?.__isProjected ? (
                             <span className={styles.projectedBadge} aria-hidden="true">Projected</span>
                         ) : null}
+                        {tx?.recurringTemplateId ? (
+                            <span
+                                className={styles.recurringBadge}
+                                title={`Generated by a recurring template${tx.recurringOccurrence ? ` (${tx.recurringOccurrence})` : ""}. Manage templates in Settings.`}
+                            >
+                                ↻ Recurring
+                            </span>
+                        ) : null}
+                        {duplicateOf ? (
+                            <span className={styles.duplicateBadge} aria-hidden="true">Duplicate?</span>
+                        ) : null}
+                        {canSplit && split ? (
+                            <button
+                                type="button"
+                                className={styles.splitBadge}
+                                title={split.allocations.map((a) => `${a.category} · ${a.account}: ${currencyFmt.format(Number(a.amount) || 0)}`).join("\n")}
+                                aria-expanded={splitOpen}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onToggleSplit(tx.id);
+                                }}
+                                onDoubleClick={(e) => e.stopPropagation()}
+                            >
+                                {splitCurrent ? `Split · ${split.allocations.length}` : "Split ≠ amount"}
+                            </button>
+                        ) : canSplit ? (
+                            <button
+                                type="button"
+                                className={styles.ruleBtn}
+                                title="Split across categories or accounts"
+                                aria-label={`Split ${tx.name || "this transaction"}`}
+                                aria-expanded={splitOpen}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onToggleSplit(tx.id);
+                                }}
+                                onDoubleClick={(e) => e.stopPropagation()}
+                            >
+                                ⑂
+                            </button>
+                        ) : null}
+                        {!tx.__isNew && typeof onCreateRule === "function" ? (
+                            <button
+                                type="button"
+                                className={styles.ruleBtn}
+                                title="Create rule from this transaction"
+                                aria-label={`Create rule from ${tx.name || "this transaction"}`}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onCreateRule(tx);
+                                }}
+                                onDoubleClick={(e) => e.stopPropagation()}
+                            >
+                                ⚡
+                            </button>
+                        ) : null}
                     </div>
                 )}
             </div>
-
-            {/* Amount */}
-            <div className={`${styles.cell} ${styles.amount}`} title="Double click to edit" style={{ textAlign: "right" }}>
+        ),
+        // Amount
+        amount: (
+            <div key="amount" data-field="amount" className={`${cellClass("amount")} ${styles.amount}`} title="Double click to edit" style={{ textAlign: "right" }}>
                 {isFieldEditing("amount") ? (
                     <>
                         <TransactionRowInput
@@ -273,9 +381,10 @@ export default function TransactionTableRow({
                     </span>
                 )}
             </div>
-
-            {/* Category */}
-            <div className={styles.cell} title="Double click to edit">
+        ),
+        // Category
+        category: (
+            <div key="category" data-field="category" className={cellClass("category")} title="Double click to edit">
                 {isFieldEditing("category") ? (
                     <TransactionRowInput
                         field="category"
@@ -289,6 +398,8 @@ export default function TransactionTableRow({
                         ALL_OPTIONS={ALL_CATEGORIES}
                         IS_DROPDOWN={IS_CATEGORY_DROPDOWN}
                         inputRef={categoryInputRef}
+                        rankOptions={rankCategoriesForRow}
+                        suggestedValue={suggestedCategory}
                         onSelectImmediate={async (val) => {
                             await handleSelectCategoryForFieldEdit(val);
                             setEditing(null);
@@ -309,6 +420,8 @@ export default function TransactionTableRow({
                         allOptions={ALL_CATEGORIES}
                         value={draft.category || ''}
                         inputRef={categoryInputRef}
+                        rankOptions={rankCategoriesForRow}
+                        suggestedValue={suggestedCategory}
                         onChange={(v) => {
                             updateDraft('category', v);
                             const mapped = getCriticalityForCategory(v);
@@ -325,9 +438,10 @@ export default function TransactionTableRow({
                     <div onDoubleClick={() => onCellDoubleClick(tx, "category")}>{tx.category}</div>
                 )}
             </div>
-
-            {/* Criticality (dropdown) */}
-            <div className={styles.cell} title="Double click to edit">
+        ),
+        // Criticality (dropdown)
+        criticality: (
+            <div key="criticality" data-field="criticality" className={cellClass("criticality")} title="Double click to edit">
                 {isFieldEditing("criticality") ? (
                     <TransactionRowInput
                         field="criticality"
@@ -361,9 +475,10 @@ export default function TransactionTableRow({
                     <div onDoubleClick={() => onCellDoubleClick(tx, "criticality")}>{tx.criticality}</div>
                 )}
             </div>
-
-            {/* Date */}
-            <div className={styles.cell} title="Double click to edit">
+        ),
+        // Date
+        transactionDate: (
+            <div key="transactionDate" data-field="transactionDate" className={cellClass("transactionDate")} title="Double click to edit">
                 {isFieldEditing("transactionDate") ? (
                     <TransactionRowInput
                         field="transactionDate"
@@ -391,6 +506,7 @@ export default function TransactionTableRow({
                         <button
                             type="button"
                             className={styles.datePickerBtn}
+                            tabIndex={-1}
                             aria-label="Open date picker"
                             onClick={handleOpenNativeDatePicker}
                             title="Open calendar"
@@ -410,9 +526,10 @@ export default function TransactionTableRow({
                     ""
                 )}
             </div>
-
-            {/* Account */}
-            <div className={styles.cell} title="Double click to edit">
+        ),
+        // Account
+        account: (
+            <div key="account" data-field="account" className={cellClass("account")} title="Double click to edit">
                 {isFieldEditing("account") ? (
                     <TransactionRowInput
                         field="account"
@@ -462,9 +579,10 @@ export default function TransactionTableRow({
                     <div onDoubleClick={() => onCellDoubleClick(tx, "account")}>{tx.account}</div>
                 )}
             </div>
-
-            {/* Payment Method */}
-            <div className={styles.cell} title="Double click to edit">
+        ),
+        // Payment Method
+        paymentMethod: (
+            <div key="paymentMethod" data-field="paymentMethod" className={cellClass("paymentMethod")} title="Double click to edit">
                 {isFieldEditing("paymentMethod") ? (
                     <TransactionRowInput
                         field="paymentMethod"
@@ -500,6 +618,74 @@ export default function TransactionTableRow({
                     <div onDoubleClick={() => onCellDoubleClick(tx, "paymentMethod")}>{tx.paymentMethod}</div>
                 )}
             </div>
+        ),
+    };
+
+    return (
+        <div
+            ref={rowRef}
+            data-row-id={tx.id}
+            className={rowClassName}
+            style={gridTemplateColumns ? { gridTemplateColumns } : undefined}
+            onDoubleClickCapture={handleRowDoubleClickCapture}
+        >
+            <div className={styles.checkboxCol}>
+                <input
+                    type="checkbox"
+                    checked={selected}
+                    onChange={onSelect}
+                    aria-label={`Select transaction ${tx.name || tx.id}`}
+                />
+            </div>
+
+            {columnKeys.map((key) => cells[key])}
+
+            {duplicateOf && !isRowEditing && (
+                <div className={styles.duplicateBar} role="group" aria-label="Duplicate review">
+                    <span className={styles.duplicateText}>
+                        Possible duplicate of{" "}
+                        {duplicateOf.map((d) => (
+                            `“${d.name}” ${currencyFmt.format(Number(d.amount) || 0)} on ${d.transactionDate ? new Date(d.transactionDate).toLocaleDateString(DEFAULT_LOCALE) : "—"}${d.paymentMethod ? ` · ${d.paymentMethod}` : ""}`
+                        )).join("; ")}
+                    </span>
+                    <button
+                        className={`${styles.actionBtn} ${styles.actionPrimary}`}
+                        onClick={() => resolveDuplicate(DUPLICATE_ACTIONS.MERGE)}
+                        disabled={isSaving}
+                        title="Fill the original's empty fields from this row, then remove this row"
+                    >
+                        Merge
+                    </button>
+                    <button
+                        className={`${styles.actionBtn} ${styles.actionGhost}`}
+                        onClick={() => resolveDuplicate(DUPLICATE_ACTIONS.KEEP_BOTH)}
+                        disabled={isSaving}
+                    >
+                        Keep both
+                    </button>
+                    <button
+                        className={`${styles.actionBtn} ${styles.actionOutline}`}
+                        onClick={() => resolveDuplicate(DUPLICATE_ACTIONS.DISCARD)}
+                        disabled={isSaving}
+                    >
+                        Discard
+                    </button>
+                    {isSaving && <span className={styles.savingText}>Saving…</span>}
+                    {inlineError && <div className={styles.inlineError}>{inlineError}</div>}
+                </div>
+            )}
+
+            {splitOpen && canSplit && !isRowEditing && (
+                <SplitEditor
+                    tx={tx}
+                    split={split}
+                    categoryOptions={ALL_CATEGORIES}
+                    accountOptions={ALL_ACCOUNTS}
+                    onSave={onSaveSplit}
+                    onRemove={onRemoveSplit}
+                    onClose={() => onToggleSplit(tx.id)}
+                />
+            )}
 
             {isRowEditing && (
                 <div className={styles.rowControls} role="group" aria-label="Row actions">
@@ -553,4 +739,18 @@ TransactionTableRow.propTypes = {
     savingIds: PropTypes.object,
     saveErrors: PropTypes.object,
     startEditingRow: PropTypes.func.isRequired,
+    onResolveDuplicate: PropTypes.func,
+    applyRules: PropTypes.func,
+    rankCategoryOptions: PropTypes.func,
+    suggestCategoryForName: PropTypes.func,
+    onCreateRule: PropTypes.func,
+    columns: PropTypes.arrayOf(PropTypes.shape({ key: PropTypes.string.isRequired })),
+    gridTemplateColumns: PropTypes.string,
+    activeField: PropTypes.string,
+    split: PropTypes.object,
+    splitOpen: PropTypes.bool,
+    onToggleSplit: PropTypes.func,
+    onSaveSplit: PropTypes.func,
+    onRemoveSplit: PropTypes.func,
+    rowRef: PropTypes.func,
 };
\ No newline at end of file
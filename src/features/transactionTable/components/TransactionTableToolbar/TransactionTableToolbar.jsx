@@ -2,6 +2,10 @@ import React from "react";
 import PropTypes from "prop-types";
 import styles from "./TransactionTableToolbar.module.css";
 import StatementPeriodDropdown from "../../../../components/statementPeriodDropdown/StatementPeriodDropdown";
+import { IMPORT_FILE_ACCEPT } from "../../../importWizard/utils/statementFile";
+import ExportMenu from "../../../export/components/ExportMenu";
+import SearchBar from "../../../search/components/SearchBar";
+import ColumnsMenu from "../ColumnsMenu/ColumnsMenu";
 
 /**
  * Logger for TransactionTableToolbar
@@ -49,10 +53,28 @@ export default function TransactionTableToolbar({ toolbar }) {
                 <input
                     ref={toolbar.fileInputRef}
                     type="file"
-                    accept=".csv"
+                    accept={IMPORT_FILE_ACCEPT}
                     style={{ display: "none" }}
                     onChange={toolbar.handleFileChange}
                 />
+                <button
+                    className={styles.linkBtn}
+                    onClick={toolbar.handleReconcile}
+                    disabled={!toolbar.reconcileCount || toolbar.loading}
+                    title="Match open projections against actual transactions"
+                >
+                    <span className={styles.icon}>⇄</span> Reconcile ({toolbar.reconcileCount || 0})
+                </button>
+                {toolbar.exporter && <ExportMenu exporter={toolbar.exporter} disabled={toolbar.loading} />}
+                {toolbar.layout && <ColumnsMenu layout={toolbar.layout} />}
+                <button
+                    className={styles.linkBtn}
+                    onClick={toolbar.handleBulkEdit}
+                    disabled={toolbar.selectedCount === 0 || toolbar.loading}
+                    title="Set category, criticality, payment method, account or statement period on the selected rows"
+                >
+                    <span className={styles.icon}>✎</span> Bulk Edit
+                </button>
                 <button
                     className={styles.linkBtn}
                     onClick={toolbar.handleDelete}
@@ -60,9 +82,32 @@ export default function TransactionTableToolbar({ toolbar }) {
                 >
                     <span className={styles.icon}>🗑️</span> Delete Selected
                 </button>
+                {toolbar.history && (
+                    <>
+                        <button
+                            className={styles.linkBtn}
+                            onClick={toolbar.handleUndo}
+                            disabled={!toolbar.history.canUndo}
+                            title={toolbar.history.undoLabel ? `Undo: ${toolbar.history.undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+                            aria-label="Undo"
+                        >
+                            <span className={styles.icon}>↶</span>
+                        </button>
+                        <button
+                            className={styles.linkBtn}
+                            onClick={toolbar.handleRedo}
+                            disabled={!toolbar.history.canRedo}
+                            title={toolbar.history.redoLabel ? `Redo: ${toolbar.history.redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+                            aria-label="Redo"
+                        >
+                            <span className={styles.icon}>↷</span>
+                        </button>
+                    </>
+                )}
                 <StatementPeriodDropdown />
             </div>
             <div className={styles.right}>
+                {toolbar.search && <SearchBar search={toolbar.search} disabled={toolbar.loading} />}
                 <div className={styles.totals}>Total: {toolbar.total}</div>
             </div>
         </div>
@@ -75,6 +120,20 @@ TransactionTableToolbar.propTypes = {
         handleAddProjection: PropTypes.func.isRequired,
         handleImport: PropTypes.func.isRequired,
         handleDelete: PropTypes.func.isRequired,
+        handleBulkEdit: PropTypes.func,
+        handleReconcile: PropTypes.func,
+        handleUndo: PropTypes.func,
+        handleRedo: PropTypes.func,
+        history: PropTypes.shape({
+            canUndo: PropTypes.bool.isRequired,
+            canRedo: PropTypes.bool.isRequired,
+            undoLabel: PropTypes.string,
+            redoLabel: PropTypes.string,
+        }),
+        reconcileCount: PropTypes.number,
+        exporter: PropTypes.object,
+        search: PropTypes.object,
+        layout: PropTypes.object,
         selectedCount: PropTypes.number.isRequired,
         fileInputRef: PropTypes.object.isRequired,
         handleFileChange: PropTypes.func.isRequired,
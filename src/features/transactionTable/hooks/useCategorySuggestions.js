@@ -0,0 +1,92 @@
+/**
+ * Hook: useCategorySuggestions
+ *
+ * Loads the full transaction history once (through the offline-aware service, so it
+ * works from the local store too), indexes it with categorySuggester and exposes
+ * ranking helpers bound to that index. Refetches when transactions change.
+ *
+ * @module useCategorySuggestions
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import budgetTransactionService from '../../../services/BudgetTransactionService';
+import { subscribe } from '../../../services/TransactionEvents';
+import { getCategories } from '../../../config/config.js';
+import useConfig from '../../../hooks/useConfig';
+import { MAX_AUTOCOMPLETE_SUGGESTIONS } from '../utils/constants';
+import { buildCategoryHistory, rankCategories, suggestCategory } from '../utils/categorySuggester';
+
+const logger = {
+    info: (...args) => console.log('[useCategorySuggestions]', ...args),
+    error: (...args) => console.error('[useCategorySuggestions]', ...args),
+};
+
+/**
+ * @returns {{
+ *   rankCategoryOptions: (query: string, name?: string) => string[],
+ *   suggestCategoryForName: (name: string) => string,
+ *   refetch: Function
+ * }}
+ */
+export default function useCategorySuggestions() {
+    const [transactions, setTransactions] = useState([]);
+    const config = useConfig();
+
+    const options = useMemo(() => {
+        try {
+            return getCategories(config) || [];
+        } catch (err) {
+            logger.error('failed to load categories', err);
+            return [];
+        }
+    }, [config]);
+
+    const fetchHistory = useCallback(async () => {
+        try {
+            const data = await budgetTransactionService.getTransactions({});
+            const list = Array.isArray(data?.transactions) ? data.transactions : Array.isArray(data) ? data : [];
+            logger.info('history loaded', { count: list.length });
+            setTransactions(list);
+        } catch (err) {
+            // Suggestions degrade to the configured order; not worth surfacing.
+            logger.error('fetchHistory error', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchHistory();
+    }, [fetchHistory]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type !== 'transactionsChanged') return;
+            fetchHistory();
+        });
+        return unsubscribe;
+    }, [fetchHistory]);
+
+    const history = useMemo(() => buildCategoryHistory(transactions), [transactions]);
+
+    /**
+     * Category options matching `query`, best first for the merchant `name`.
+     * @param {string} query
+     * @param {string} [name]
+     * @returns {string[]}
+     */
+    const rankCategoryOptions = useCallback(
+        (query, name) => rankCategories({ history, options, query, name, max: MAX_AUTOCOMPLETE_SUGGESTIONS }),
+        [history, options]
+    );
+
+    /**
+     * Category to pre-fill for a merchant name ('' when unsure).
+     * @param {string} name
+     * @returns {string}
+     */
+    const suggestCategoryForName = useCallback(
+        (name) => suggestCategory(history, name, options),
+        [history, options]
+    );
+
+    return { rankCategoryOptions, suggestCategoryForName, refetch: fetchHistory };
+}
@@ -10,6 +10,10 @@
  * matches the requested behaviour: leave fields blank by default, apply mapping only
  * when user selects a category.
  *
+ * Ranked suggestions: callers may pass rankOptions(query) to replace the default
+ * substring filter (e.g. categories ranked from history), and suggestedValue, a
+ * pre-filled suggestion shown while the field is empty and accepted with Tab.
+ *
  * @module useSmartSelect
  */
 
@@ -44,6 +48,9 @@ const logger = {
  * @param {(mapped)=>any} [opts.applyMappedDefault]
  * @param {number} [opts.maxSuggestions]
  * @param {number} [opts.blurDelayMs]
+ * @param {(query:string)=>string[]} [opts.rankOptions] - ranked suggestions; replaces the substring filter
+ * @param {string} [opts.suggestedValue] - accepted with Tab while the field is empty
+ * @param {(ev:KeyboardEvent)=>void} [opts.onKeyDown] - runs first; preventDefault() skips the built-in handling
  * @returns {Object} API consumed by SmartSelect component
  */
 export function useSmartSelect(opts = {}) {
@@ -62,6 +69,9 @@ export function useSmartSelect(opts = {}) {
         applyMappedDefault = null,
         maxSuggestions = MAX_AUTOCOMPLETE_SUGGESTIONS,
         blurDelayMs = BLUR_DELAY_MS,
+        rankOptions = null,
+        suggestedValue = "",
+        onKeyDown = null,
     } = opts;
 
     const internalRef = inputRef || useRef(null);
@@ -94,22 +104,36 @@ export function useSmartSelect(opts = {}) {
      */
     const filter = useCallback(
         (q) => {
+            if (typeof rankOptions === "function") {
+                try {
+                    return rankOptions(q).slice(0, maxSuggestions);
+                } catch (err) {
+                    logger.error("rankOptions failed; falling back to substring filter", err);
+                }
+            }
             if (!Array.isArray(allOptions) || allOptions.length === 0) return [];
             if (!q) return allOptions.slice(0, maxSuggestions);
             const lower = String(q).toLowerCase();
             return allOptions.filter((o) => String(o).toLowerCase().includes(lower)).slice(0, maxSuggestions);
         },
-        [allOptions, maxSuggestions]
+        [allOptions, maxSuggestions, rankOptions]
     );
 
+    // Suggestion is only offered while nothing has been entered
+    const pendingSuggestion = suggestedValue && String(value ?? "").trim() === "" && String(query ?? "").trim() === ""
+        ? String(suggestedValue)
+        : "";
+
     /**
      * applySelection
      * - Invoked when the user selects a suggestion or presses Enter.
      *
      * @param {string} val
+     * @param {Object} [options]
+     * @param {boolean} [options.refocus=true] - false when focus should move on (Tab accept)
      */
     const applySelection = useCallback(
-        async (val) => {
+        async (val, { refocus = true } = {}) => {
             try {
                 logger.info("applySelection", { name, value: val });
                 // Controlled onChange (row editing)
@@ -147,7 +171,7 @@ export function useSmartSelect(opts = {}) {
                 throw err;
             } finally {
                 try {
-                    internalRef?.current?.focus?.();
+                    if (refocus) internalRef?.current?.focus?.();
                 } catch (err) {
                     logger.error("focus after applySelection failed", err);
                 }
@@ -192,6 +216,26 @@ export function useSmartSelect(opts = {}) {
 
     const handleKeyDown = useCallback(
         async (ev) => {
+            // The consumer (e.g. table keyboard navigation) gets the key first
+            if (typeof onKeyDown === "function") {
+                try {
+                    onKeyDown(ev);
+                } catch (err) {
+                    logger.error("onKeyDown handler threw", err);
+                }
+                if (ev.defaultPrevented) return;
+            }
+            // Tab accepts the pre-filled suggestion; focus moves on as usual
+            if (ev.key === "Tab" && !ev.shiftKey && pendingSuggestion) {
+                logger.info("suggestion accepted with Tab", { name, value: pendingSuggestion });
+                setQuery(pendingSuggestion);
+                try {
+                    await applySelection(pendingSuggestion, { refocus: false });
+                } catch (err) {
+                    // logged in applySelection
+                }
+                return;
+            }
             if (mode === "autocomplete") {
                 if (ev.key === "ArrowDown") {
                     ev.preventDefault();
@@ -223,7 +267,7 @@ export function useSmartSelect(opts = {}) {
                 }
             }
         },
-        [mode, suggestions, highlightIndex, applySelection, query]
+        [mode, suggestions, highlightIndex, applySelection, query, pendingSuggestion, name, onKeyDown]
     );
 
     const handleBlur = useCallback(
@@ -276,6 +320,7 @@ export function useSmartSelect(opts = {}) {
         name,
         mode,
         placeholder,
+        pendingSuggestion,
         className: DEFAULT_INPUT_CLASS,
     };
 }
@@ -0,0 +1,353 @@
+/**
+ * useTableKeyboard.js
+ *
+ * Spreadsheet-style keyboard handling for TransactionTable. Tracks an active cell (row id +
+ * column key) over the rows as displayed, and maps keys onto the table's existing handlers.
+ *
+ * Grid focused, nothing being edited:
+ * - Arrow keys move the active cell; Home / End jump to the first / last column,
+ *   Ctrl+Home / Ctrl+End to the first / last row, PageUp / PageDown move a page of rows
+ * - Enter or F2 edits the active cell, Shift+Enter the whole row
+ * - Space toggles the active row's selection
+ * - Delete removes the selected rows (after a confirm)
+ *
+ * Anywhere in the table (toolbar, grid or an open editor):
+ * - Ctrl+N adds a transaction, Ctrl+Shift+N a projection
+ * - Ctrl+D duplicates the row above the active (or edited) row into a new row opened for
+ *   editing. Unsaved rows stay on top, so for one of those it copies the first saved row;
+ *   a blank new row (Ctrl+N, then Ctrl+D) is replaced by the copy
+ * - Ctrl+Z undoes the last saved change, Ctrl+Shift+Z (or Ctrl+Y) redoes it; inside a text
+ *   field these keys keep their native text undo
+ *
+ * While a cell editor is open:
+ * - Tab / Shift+Tab save the cell and open the next / previous cell's editor, wrapping
+ *   across rows; SmartSelect, MoneyInput, date and select editors all forward Tab here.
+ *
+ * When an editor closes, focus returns to the grid so navigation continues from the cell.
+ *
+ * Follow Bulletproof React conventions: logic-only hook, robust logging and JSDoc.
+ *
+ * @module useTableKeyboard
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+const logger = {
+    info: (...args) => console.log('[useTableKeyboard]', ...args),
+    error: (...args) => console.error('[useTableKeyboard]', ...args),
+};
+
+/**
+ * Rows moved by PageUp / PageDown.
+ * @constant
+ */
+const PAGE_ROWS = 10;
+
+const INTERACTIVE_TAGS = new Set(['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON']);
+
+/**
+ * @param {Element|null} el
+ * @returns {boolean} true for form controls and buttons, which keep their own keys
+ */
+function isInteractive(el) {
+    return Boolean(el) && (INTERACTIVE_TAGS.has(el.tagName) || el.isContentEditable === true);
+}
+
+/**
+ * @param {Object} tx
+ * @returns {boolean} true for a new row with nothing typed into it yet
+ */
+function isBlankNewRow(tx) {
+    return Boolean(tx?.__isNew) && !tx.name && !Number(tx.amount) && !tx.category && !tx.memo;
+}
+
+/**
+ * Row Ctrl+D copies for the row at `index`: the nearest saved row above it, or for an
+ * unsaved row at the top of the table, the first saved row below it.
+ * @param {Array<Object>} rows - rows in display order
+ * @param {number} index
+ * @returns {Object|null}
+ */
+function rowAbove(rows, index) {
+    const isSaved = (tx) => !tx.__isNew;
+    const above = rows.slice(0, index).reverse().find(isSaved);
+    if (above) return above;
+    return rows[index].__isNew ? rows.slice(index + 1).find(isSaved) || null : null;
+}
+
+/**
+ * @param {number} n
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(n, min, max) {
+    return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * useTableKeyboard
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.rows - rows in display order (visibleTx)
+ * @param {Array<{key: string}>} params.columns - visible columns in display order
+ * @param {Object|null} params.editing - { id, mode, field } from useTransactionTable
+ * @param {Function} params.setEditing
+ * @param {Function} params.onStartEditField - (tx, field) opens a cell editor (handleCellDoubleClick)
+ * @param {Function} params.onStartEditRow - (id) opens the row editor
+ * @param {Function} params.onCommitField - (id, field, value) saves a cell and closes its editor
+ * @param {Function} [params.onEditKey] - fallback for editor keys this hook does not handle
+ * @param {Set} params.selectedIds
+ * @param {Function} params.toggleSelect - (id)
+ * @param {Function} params.onDeleteSelected
+ * @param {Function} params.onAddTransaction
+ * @param {Function} params.onAddProjection
+ * @param {Function} params.onDuplicateRow - (sourceId, replaceId) copies a row, dropping the blank new row replaceId
+ * @param {Function} [params.scrollToIndex] - keeps the active row inside a windowed body
+ * @param {Function} [params.onUndo]
+ * @param {Function} [params.onRedo]
+ * @returns {Object} keyboard API consumed by TransactionTable
+ */
+export default function useTableKeyboard({
+    rows,
+    columns,
+    editing,
+    setEditing,
+    onStartEditField,
+    onStartEditRow,
+    onCommitField,
+    onEditKey,
+    selectedIds,
+    toggleSelect,
+    onDeleteSelected,
+    onAddTransaction,
+    onAddProjection,
+    onDuplicateRow,
+    scrollToIndex,
+    onUndo,
+    onRedo,
+}) {
+    const [activeCell, setActiveCell] = useState(null);
+    const gridRef = useRef(null);
+    // Value shown when the open cell editor received focus; Tab only saves real changes
+    const editorInitialRef = useRef(null);
+
+    const fields = useMemo(() => (columns || []).map((c) => c.key), [columns]);
+    const indexById = useMemo(() => {
+        const map = new Map();
+        (rows || []).forEach((tx, i) => map.set(String(tx.id), i));
+        return map;
+    }, [rows]);
+
+    // Active position; null when nothing is active or the row is no longer displayed
+    const position = useMemo(() => {
+        if (!activeCell) return null;
+        const row = indexById.get(String(activeCell.id));
+        if (row == null) return null;
+        return { row, col: Math.max(0, fields.indexOf(activeCell.field)) };
+    }, [activeCell, indexById, fields]);
+
+    const moveTo = useCallback((row, col) => {
+        if (!rows || rows.length === 0 || fields.length === 0) return;
+        const r = clamp(row, 0, rows.length - 1);
+        const c = clamp(col, 0, fields.length - 1);
+        setActiveCell({ id: rows[r].id, field: fields[c] });
+        if (typeof scrollToIndex === 'function') scrollToIndex(r);
+    }, [rows, fields, scrollToIndex]);
+
+    // Opening an editor (double-click, Ctrl+N, ...) makes its cell / row active
+    useEffect(() => {
+        if (!editing) return;
+        editorInitialRef.current = null;
+        if (editing.mode === 'field') {
+            setActiveCell({ id: editing.id, field: editing.field });
+        } else {
+            setActiveCell((prev) => (prev && String(prev.id) === String(editing.id) ? prev : { id: editing.id, field: fields[0] }));
+        }
+    }, [editing, fields]);
+
+    // Closing an editor hands focus back to the grid, unless the user moved it elsewhere
+    const wasEditingRef = useRef(false);
+    useEffect(() => {
+        const grid = gridRef.current;
+        if (wasEditingRef.current && !editing && grid) {
+            const focused = document.activeElement;
+            if (!focused || focused === document.body || grid.contains(focused)) {
+                grid.focus({ preventScroll: true });
+            }
+        }
+        wasEditingRef.current = Boolean(editing);
+    }, [editing]);
+
+    /**
+     * Focus handler for the grid body: records the value an editor opened with.
+     */
+    const handleFocus = useCallback((e) => {
+        if (editing?.mode === 'field' && isInteractive(e.target) && editorInitialRef.current == null) {
+            editorInitialRef.current = { id: editing.id, field: editing.field, value: String(e.target.value ?? '') };
+        }
+    }, [editing]);
+
+    /**
+     * Click handler for the grid body: a click on a cell makes it active.
+     */
+    const handleClick = useCallback((e) => {
+        const rowEl = e.target.closest?.('[data-row-id]');
+        if (!rowEl) return;
+        const index = indexById.get(rowEl.getAttribute('data-row-id'));
+        if (index == null) return;
+        const cellEl = e.target.closest('[data-field]');
+        const field = cellEl ? cellEl.getAttribute('data-field') : (activeCell?.field || fields[0]);
+        setActiveCell({ id: rows[index].id, field });
+        if (!isInteractive(e.target) && !editing) gridRef.current?.focus({ preventScroll: true });
+    }, [indexById, rows, fields, activeCell, editing]);
+
+    /**
+     * Key handler for open cell editors (passed to rows as onEditKey).
+     * Tab / Shift+Tab commit and move; other keys go to the table's own onEditKey.
+     *
+     * @param {KeyboardEvent} e
+     * @param {string|number} id
+     * @param {string} field
+     * @param {string} [value] - committed value when it differs from the input's (e.g. an accepted suggestion)
+     */
+    const handleEditorKey = useCallback((e, id, field, value) => {
+        if (e.key !== 'Tab' || editing?.mode !== 'field') {
+            if (typeof onEditKey === 'function') onEditKey(e, id, field);
+            return;
+        }
+        e.preventDefault();
+        const row = indexById.get(String(id));
+        const col = fields.indexOf(field);
+        if (row == null || col < 0) return;
+
+        const committed = String(value !== undefined ? value : (e.target?.value ?? ''));
+        const initial = editorInitialRef.current;
+        const changed = !initial || String(initial.id) !== String(id) || initial.field !== field || initial.value !== committed;
+        if (changed) {
+            logger.info('Tab commit', { id, field });
+            onCommitField(id, field, committed);
+        }
+
+        let nextRow = row;
+        let nextCol = col + (e.shiftKey ? -1 : 1);
+        if (nextCol >= fields.length) {
+            nextCol = 0;
+            nextRow += 1;
+        } else if (nextCol < 0) {
+            nextCol = fields.length - 1;
+            nextRow -= 1;
+        }
+        if (nextRow < 0 || nextRow >= rows.length) {
+            // Past the first / last cell: leave editing on the current cell
+            if (!changed) setEditing(null);
+            return;
+        }
+        moveTo(nextRow, nextCol);
+        onStartEditField(rows[nextRow], fields[nextCol]);
+    }, [editing, onEditKey, indexById, fields, rows, onCommitField, setEditing, moveTo, onStartEditField]);
+
+    /**
+     * Key handler for the table card: shortcuts anywhere, navigation while the grid has focus.
+     */
+    const handleKeyDown = useCallback((e) => {
+        const mod = e.ctrlKey || e.metaKey;
+        const key = String(e.key || '').toLowerCase();
+
+        if (mod && !e.altKey && key === 'n') {
+            e.preventDefault();
+            logger.info(e.shiftKey ? 'Ctrl+Shift+N add projection' : 'Ctrl+N add transaction');
+            if (e.shiftKey) onAddProjection?.();
+            else onAddTransaction?.();
+            return;
+        }
+        if (mod && !e.altKey && !e.shiftKey && key === 'd') {
+            const targetIndex = editing ? indexById.get(String(editing.id)) : position?.row;
+            const target = targetIndex != null ? rows[targetIndex] : null;
+            const source = target ? rowAbove(rows, targetIndex) : null;
+            if (!source) return;
+            e.preventDefault();
+            const replaceId = isBlankNewRow(target) ? target.id : undefined;
+            logger.info('Ctrl+D duplicate row above', { id: source.id, replaceId });
+            onDuplicateRow?.(source.id, replaceId);
+            return;
+        }
+
+        const isTextField = e.target?.tagName === 'INPUT' || e.target?.tagName === 'TEXTAREA';
+        if (mod && !e.altKey && (key === 'z' || key === 'y') && !isTextField) {
+            e.preventDefault();
+            const isRedo = key === 'y' || e.shiftKey;
+            logger.info(isRedo ? 'redo' : 'undo');
+            if (isRedo) onRedo?.();
+            else onUndo?.();
+            return;
+        }
+
+        // Navigation keys only while the grid itself is focused (not an editor, checkbox or button)
+        if (editing || e.target !== gridRef.current || !rows || rows.length === 0) return;
+
+        const row = position ? position.row : -1;
+        const col = position ? position.col : 0;
+        const tx = position ? rows[position.row] : null;
+        let handled = true;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                moveTo(row + 1, col);
+                break;
+            case 'ArrowUp':
+                moveTo(Math.max(row, 1) - 1, col);
+                break;
+            case 'ArrowRight':
+                moveTo(Math.max(row, 0), col + (position ? 1 : 0));
+                break;
+            case 'ArrowLeft':
+                moveTo(Math.max(row, 0), col - 1);
+                break;
+            case 'Home':
+                moveTo(mod ? 0 : Math.max(row, 0), mod ? col : 0);
+                break;
+            case 'End':
+                moveTo(mod ? rows.length - 1 : Math.max(row, 0), mod ? col : fields.length - 1);
+                break;
+            case 'PageDown':
+                moveTo(row + PAGE_ROWS, col);
+                break;
+            case 'PageUp':
+                moveTo(row - PAGE_ROWS, col);
+                break;
+            case 'Enter':
+            case 'F2':
+                if (!tx) {
+                    moveTo(0, 0);
+                } else if (e.shiftKey && e.key === 'Enter') {
+                    onStartEditRow(tx.id);
+                } else {
+                    onStartEditField(tx, fields[col]);
+                }
+                break;
+            case ' ':
+                if (tx) toggleSelect(tx.id);
+                break;
+            case 'Delete':
+                if (selectedIds && selectedIds.size > 0
+                    && window.confirm(`Delete ${selectedIds.size} selected transaction${selectedIds.size === 1 ? '' : 's'}?`)) {
+                    logger.info('Delete selected', { count: selectedIds.size });
+                    onDeleteSelected();
+                }
+                break;
+            default:
+                handled = false;
+        }
+        if (handled) e.preventDefault();
+    }, [editing, position, rows, indexById, fields, moveTo, onAddTransaction, onAddProjection, onDuplicateRow, onUndo, onRedo, onStartEditRow, onStartEditField, toggleSelect, selectedIds, onDeleteSelected]);
+
+    return {
+        activeCell: position ? activeCell : null,
+        gridRef,
+        handleKeyDown,
+        handleClick,
+        handleFocus,
+        handleEditorKey,
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * Hook: useTableLayout
+ *
+ * Column layout (order, visibility and sort) and column filters for TransactionTable.
+ * - The layout is remembered per screen in localStorage under
+ *   "transactionTable.layout.<screenKey>", so the joint view and each member's view
+ *   keep their own columns and sort.
+ * - Filters are not persisted; they reset when the screen is left.
+ *
+ * @module useTableLayout
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    defaultTableLayout,
+    gridTemplate,
+    isFilterActive,
+    nextSort,
+    normalizeTableLayout,
+    visibleColumns,
+    TABLE_COLUMNS,
+} from '../utils/tableView';
+
+const logger = {
+    info: (...args) => console.log('[useTableLayout]', ...args),
+    error: (...args) => console.error('[useTableLayout]', ...args),
+};
+
+const LAYOUT_KEY_PREFIX = 'transactionTable.layout.';
+
+/**
+ * Reads a stored layout (safe localStorage access).
+ * @param {string} storageKey
+ * @returns {Object} normalized layout
+ */
+function readLayout(storageKey) {
+    try {
+        const raw = localStorage.getItem(storageKey);
+        return normalizeTableLayout(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+        logger.info('layout read failed, using defaults', { storageKey, err });
+        return defaultTableLayout();
+    }
+}
+
+/**
+ * @param {Object} params
+ * @param {string} [params.screenKey='default'] - Which screen's layout to use, e.g. the account filter.
+ * @returns {Object} { columns, allColumns, gridTemplateColumns, sort, toggleSort, filters, setFilter,
+ *   clearFilters, activeFilterCount, toggleColumn, moveColumn, resetLayout }
+ */
+export default function useTableLayout({ screenKey = 'default' } = {}) {
+    const storageKey = `${LAYOUT_KEY_PREFIX}${screenKey}`;
+    const [layout, setLayout] = useState(() => readLayout(storageKey));
+    const [filters, setFilters] = useState({});
+
+    // A different screen (account) brings its own layout and starts unfiltered
+    useEffect(() => {
+        setLayout(readLayout(storageKey));
+        setFilters({});
+    }, [storageKey]);
+
+    /**
+     * Applies a layout change and persists it.
+     * @param {Function} updater - (layout) => layout
+     */
+    const updateLayout = useCallback((updater) => {
+        setLayout((prev) => {
+            const next = normalizeTableLayout(updater(prev));
+            try {
+                localStorage.setItem(storageKey, JSON.stringify(next));
+            } catch (err) {
+                logger.info('failed to persist layout', { storageKey, err });
+            }
+            return next;
+        });
+    }, [storageKey]);
+
+    /**
+     * Header click: sort by the column (shift-click adds it as another sort key).
+     * @param {string} key
+     * @param {boolean} [additive=false]
+     */
+    const toggleSort = useCallback((key, additive = false) => {
+        logger.info('toggleSort', { key, additive });
+        updateLayout((prev) => ({ ...prev, sort: nextSort(prev.sort, key, additive) }));
+    }, [updateLayout]);
+
+    /**
+     * Shows or hides a column; the last visible column cannot be hidden.
+     * @param {string} key
+     */
+    const toggleColumn = useCallback((key) => {
+        logger.info('toggleColumn', { key });
+        updateLayout((prev) => ({
+            ...prev,
+            columns: prev.columns.map((c) => (c.key === key ? { ...c, visible: !c.visible } : c)),
+        }));
+    }, [updateLayout]);
+
+    /**
+     * Moves a column left (delta < 0) or right (delta > 0).
+     * @param {string} key
+     * @param {number} delta
+     */
+    const moveColumn = useCallback((key, delta) => {
+        updateLayout((prev) => {
+            const columns = [...prev.columns];
+            const from = columns.findIndex((c) => c.key === key);
+            const to = from + delta;
+            if (from < 0 || to < 0 || to >= columns.length) return prev;
+            columns.splice(to, 0, columns.splice(from, 1)[0]);
+            logger.info('moveColumn', { key, from, to });
+            return { ...prev, columns };
+        });
+    }, [updateLayout]);
+
+    /**
+     * Restores the default columns and order (filters are kept).
+     */
+    const resetLayout = useCallback(() => {
+        logger.info('resetLayout', { storageKey });
+        updateLayout(() => defaultTableLayout());
+    }, [updateLayout, storageKey]);
+
+    /**
+     * Sets one column's filter; null / empty clears it.
+     * @param {string} key
+     * @param {*} value
+     */
+    const setFilter = useCallback((key, value) => {
+        logger.info('setFilter', { key, value });
+        setFilters((prev) => {
+            const next = { ...prev };
+            if (isFilterActive(value)) next[key] = value;
+            else delete next[key];
+            return next;
+        });
+    }, []);
+
+    const clearFilters = useCallback(() => setFilters({}), []);
+
+    const columns = useMemo(() => visibleColumns(layout), [layout]);
+    const allColumns = useMemo(
+        () => layout.columns.map((c) => ({ ...TABLE_COLUMNS.find((d) => d.key === c.key), visible: c.visible })),
+        [layout]
+    );
+
+    return {
+        columns,
+        allColumns,
+        gridTemplateColumns: useMemo(() => gridTemplate(columns), [columns]),
+        sort: layout.sort,
+        toggleSort,
+        filters,
+        setFilter,
+        clearFilters,
+        activeFilterCount: Object.keys(filters).length,
+        toggleColumn,
+        moveColumn,
+        resetLayout,
+    };
+}
@@ -214,6 +214,9 @@ export default function useTransactionRowInput({ className = "tt-input" } = {})
      * field-edit branches (category/account/paymentMethod). Caller still passes through
      * SmartSelect-specific callbacks.
      *
+     * Tab is forwarded to onEditKey with the typed value (or the pending suggestion while the
+     * field is empty) so the table can commit the cell and move on; Escape closes the editor.
+     *
      * @param {Object} params - forwarded props required by SmartSelect consumers
      * @returns {Object}
      */
@@ -231,6 +234,21 @@ export default function useTransactionRowInput({ className = "tt-input" } = {})
             onBlur: params.onBlur,
             getMappedDefault: params.getMappedDefault,
             applyMappedDefault: params.applyMappedDefault,
+            rankOptions: params.rankOptions,
+            suggestedValue: params.suggestedValue,
+            onKeyDown: (e) => {
+                try {
+                    if (e.key === "Tab" && typeof params.onEditKey === "function" && params.tx) {
+                        const typed = e.target?.value ?? "";
+                        const committed = String(typed).trim() === "" && params.suggestedValue ? params.suggestedValue : typed;
+                        params.onEditKey(e, params.tx.id, params.field, committed);
+                    } else if (e.key === "Escape" && typeof params.setEditing === "function") {
+                        params.setEditing(null);
+                    }
+                } catch (err) {
+                    logger.error("smart select keydown failed", err);
+                }
+            },
             className: finalInputClass,
             ariaLabel: `${params.field} input`,
         };
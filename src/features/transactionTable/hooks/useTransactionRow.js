@@ -5,6 +5,11 @@
  *
  * Change: for new (local) transactions, leave category and criticality blank by default.
  * Mapped criticality will still be applied when the user actively selects a category.
+ * Categorization rules (applyRules) fill empty category / criticality / account on
+ * new rows once the name is entered, and again on save.
+ * Category suggestions are ranked from history (rankCategoryOptions) and, while the
+ * category is empty, the best match for the name is offered as suggestedCategory
+ * (accepted with Tab in SmartSelect).
  *
  * Follow Bulletproof React conventions: logic-only hook, robust logging and JSDoc.
  */
@@ -32,14 +37,16 @@ import {
     INPUT_DATE_LENGTH,
 } from '../utils/constants';
 import SmartSelect from '../components/SmartSelect/SmartSelect';
+import useConfig from '../../../hooks/useConfig';
 
 /**
- * CRITICALITY_OPTIONS - read once at module load
- * @type {string[]}
+ * Reads criticality options from config (re-read when settings change).
+ * @param {Object} config - config snapshot
+ * @returns {string[]}
  */
-const CRITICALITY_OPTIONS = (() => {
+function readCriticalityOptions(config) {
     try {
-        const cfg = getConfig(CONFIG_KEYS.CRITICALITY_OPTIONS);
+        const cfg = getConfig(CONFIG_KEYS.CRITICALITY_OPTIONS, undefined, config);
         if (Array.isArray(cfg) && cfg.length > 0) return cfg.map(String);
         logger.info('useTransactionRow: criticalityOptions not found; using defaults', { fallback: DEFAULT_CRITICALITY_OPTIONS });
         return DEFAULT_CRITICALITY_OPTIONS;
@@ -47,9 +54,8 @@ const CRITICALITY_OPTIONS = (() => {
         logger.error('useTransactionRow: failed to read criticalityOptions from config; using defaults', err);
         return DEFAULT_CRITICALITY_OPTIONS;
     }
-})();
+}
 
-const DEFAULT_CRIT = DEFAULT_CRITICALITY || (CRITICALITY_OPTIONS[0] || "Essential");
 
 /**
  * useTransactionRow
@@ -70,44 +76,52 @@ export function useTransactionRow({
                                       saveErrors = {},
                                       startEditingRow,
                                       onEditKey,
+                                      applyRules,
+                                      rankCategoryOptions,
+                                      suggestCategoryForName,
                                   }) {
     const isFieldEditing = (field) => editing && editing.id === tx.id && editing.mode === 'field' && editing.field === field;
     const isRowEditing = editing && editing.id === tx.id && editing.mode === 'row';
     const isSaving = savingIds && savingIds.has(tx.id);
     const inlineError = saveErrors && saveErrors[tx.id];
 
+    // Option lists follow live settings edits (setOverrides)
+    const config = useConfig();
+    const CRITICALITY_OPTIONS = useMemo(() => readCriticalityOptions(config), [config]);
+    const DEFAULT_CRIT = DEFAULT_CRITICALITY || (CRITICALITY_OPTIONS[0] || "Essential");
+
     const ALL_CATEGORIES = useMemo(() => {
         try {
-            const cats = getCategories() || [];
+            const cats = getCategories(config) || [];
             logger.info('useTransactionRow: loaded categories', { count: cats.length, sample: cats.slice(0, 6) });
             return cats;
         } catch (err) {
             logger.error('useTransactionRow: failed to load categories', err);
             return [];
         }
-    }, []);
+    }, [config]);
 
     const ALL_ACCOUNTS = useMemo(() => {
         try {
-            const acc = getAccounts() || [];
+            const acc = getAccounts(config) || [];
             logger.info('useTransactionRow: loaded accounts', { count: acc.length, sample: acc.slice(0, 6) });
             return acc;
         } catch (err) {
             logger.error('useTransactionRow: failed to load accounts', err);
             return [];
         }
-    }, []);
+    }, [config]);
 
     const ALL_PAYMENT_METHODS = useMemo(() => {
         try {
-            const pms = getPaymentMethods() || [];
+            const pms = getPaymentMethods(config) || [];
             logger.info('useTransactionRow: loaded paymentMethods', { count: pms.length, sample: pms.slice(0, 6) });
             return pms;
         } catch (err) {
             logger.error('useTransactionRow: failed to load paymentMethods', err);
             return [];
         }
-    }, []);
+    }, [config]);
 
     const IS_CATEGORY_DROPDOWN = Array.isArray(ALL_CATEGORIES) && ALL_CATEGORIES.length > 0;
     const IS_ACCOUNT_DROPDOWN = Array.isArray(ALL_ACCOUNTS) && ALL_ACCOUNTS.length > 0;
@@ -171,8 +185,34 @@ export function useTransactionRow({
         setDraft((prev) => ({ ...prev, [field]: value }));
     };
 
+    // --- History-based category suggestions ---
+    const suggestionName = isRowEditing ? draft.name : tx.name;
+    const suggestionCategory = isRowEditing ? draft.category : tx.category;
+
+    /**
+     * Categories for the typed query, ranked for this row's name.
+     * @param {string} q
+     * @returns {string[]}
+     */
+    const rankCategoriesForRow = useMemo(() => {
+        if (typeof rankCategoryOptions !== 'function') return null;
+        return (q) => rankCategoryOptions(q, suggestionName);
+    }, [rankCategoryOptions, suggestionName]);
+
+    const suggestedCategory = useMemo(() => {
+        if (typeof suggestCategoryForName !== 'function' || tx?.__isProjected) return '';
+        if (String(suggestionCategory ?? '').trim() !== '' || !String(suggestionName ?? '').trim()) return '';
+        try {
+            return suggestCategoryForName(suggestionName) || '';
+        } catch (err) {
+            logger.error('suggestCategoryForName failed', err);
+            return '';
+        }
+    }, [suggestCategoryForName, suggestionName, suggestionCategory, tx?.__isProjected]);
+
     // --- Filtering helpers ---
     const filterCategories = (q) => {
+        if (rankCategoriesForRow) return rankCategoriesForRow(q).slice(0, MAX_AUTOCOMPLETE_SUGGESTIONS);
         if (!q) return ALL_CATEGORIES.slice(0, MAX_AUTOCOMPLETE_SUGGESTIONS);
         const lower = String(q).toLowerCase();
         return ALL_CATEGORIES.filter((c) => String(c).toLowerCase().includes(lower)).slice(0, MAX_AUTOCOMPLETE_SUGGESTIONS);
@@ -411,11 +451,34 @@ export function useTransactionRow({
         }
     };
 
+    /**
+     * Applies categorization rules to a new row's draft (fills empty fields only).
+     * @param {Object} base
+     * @returns {Object}
+     */
+    const withRules = (base) => {
+        if (!tx?.__isNew || typeof applyRules !== 'function') return base;
+        try {
+            const { tx: next, rule, applied } = applyRules(base);
+            if (rule && applied.length > 0) {
+                logger.info('categorization rule applied (row)', { txId: tx.id, ruleId: rule.id, applied });
+            }
+            return next;
+        } catch (err) {
+            logger.error('applyRules failed', err);
+            return base;
+        }
+    };
+
+    const handleNameBlurForRow = () => {
+        setDraft((prev) => withRules(prev));
+    };
+
     /**
      * onSaveRowClick
      */
     const onSaveRowClick = (addAnother = false) => {
-        const normalized = { ...draft };
+        const normalized = withRules({ ...draft });
         if (normalized.transactionDate && normalized.transactionDate.length === INPUT_DATE_LENGTH) {
             normalized.transactionDate = new Date(normalized.transactionDate).toISOString();
         }
@@ -506,6 +569,9 @@ export function useTransactionRow({
         handleCategoryBlurForField,
         handleAccountBlurForField,
         handlePaymentBlurForField,
+        handleNameBlurForRow,
+        rankCategoriesForRow,
+        suggestedCategory,
         onSaveRowClick,
         onCancelRowLocal,
         onStartRowEdit,
@@ -8,17 +8,39 @@ import {
     get as getConfig,
     getCriticalityForCategory,
     getCategories,
-    getDefaultPaymentMethodForAccount
+    getDefaultPaymentMethodForAccount,
+    getSharedAccounts,
 } from '../../../config/config.js';
 import {
     DEFAULT_CRITICALITY_OPTIONS,
     STATEMENT_PERIOD_CACHE_KEY,
     TEMP_ID_PREFIX,
     CONFIG_KEYS,
+    DEFAULT_DUPLICATE_WINDOW_DAYS,
 } from '../utils/constants';
+import {
+    DUPLICATE_ACTIONS,
+    findDuplicates,
+    buildMergePatch,
+    summarizeDuplicate,
+} from '../utils/duplicateDetector';
+import useConfig from '../../../hooks/useConfig';
 import budgetTransactionService from '../../../services/BudgetTransactionService';
 import projectedTransactionService from '../../../services/ProjectedTransactionService';
 import useTransactionToolbar from './useTransactionToolbar';
+import useTableLayout from './useTableLayout';
+import { applyTableView, filterChoices } from '../utils/tableView';
+import useCategorizationRules from '../../rules/hooks/useCategorizationRules';
+import useCategorySuggestions from './useCategorySuggestions';
+import { ruleFromTransaction } from '../../rules/utils/ruleEngine';
+import useReconciliation from '../../reconciliation/hooks/useReconciliation';
+import useTransactionExport from '../../export/hooks/useTransactionExport';
+import useTransactionSearch from '../../search/hooks/useTransactionSearch';
+import useEditHistory from '../../history/hooks/useEditHistory';
+import useBulkEdit from '../../bulkEdit/hooks/useBulkEdit';
+import { HISTORY_OPS, describeRows } from '../../history/utils/editHistory';
+import useTransactionSplits from '../../../hooks/useTransactionSplits';
+import { applySplits, makeAccountBucket } from '../../../lib/splitAllocations';
 
 /**
  * Logger for useTransactionTable.
@@ -30,12 +52,13 @@ const logger = {
 };
 
 /**
- * Reads CRITICALITY_OPTIONS from config (once at module load)
- * @type {Array<string>}
+ * Reads criticality options from config (re-read when settings change).
+ * @param {Object} config - config snapshot
+ * @returns {Array<string>}
  */
-const CRITICALITY_OPTIONS = (() => {
+function readCriticalityOptions(config) {
     try {
-        const opts = getConfig(CONFIG_KEYS.CRITICALITY_OPTIONS);
+        const opts = getConfig(CONFIG_KEYS.CRITICALITY_OPTIONS, undefined, config);
         if (Array.isArray(opts) && opts.length > 0) return opts.map(String);
         logger.info('criticalityOptions not found in config; using defaults', { fallback: DEFAULT_CRITICALITY_OPTIONS });
         return DEFAULT_CRITICALITY_OPTIONS;
@@ -43,15 +66,16 @@ const CRITICALITY_OPTIONS = (() => {
         logger.error('failed to read criticalityOptions from config, using defaults', err);
         return DEFAULT_CRITICALITY_OPTIONS;
     }
-})();
+}
 
 /**
- * Reads CATEGORY_OPTIONS from config (once at module load)
- * @type {Array<string>|null}
+ * Reads category options from config (re-read when settings change).
+ * @param {Object} config - config snapshot
+ * @returns {Array<string>|null} null when categories are freeform
  */
-const CATEGORY_OPTIONS = (() => {
+function readCategoryOptions(config) {
     try {
-        const cats = getCategories();
+        const cats = getCategories(config);
         if (Array.isArray(cats) && cats.length > 0) {
             const filtered = cats.filter((c) => typeof c === 'string').map(String);
             logger.info('loaded category options from config', { count: filtered.length, sample: filtered.slice(0, 5) });
@@ -63,9 +87,16 @@ const CATEGORY_OPTIONS = (() => {
         logger.error('failed to load categories from config', err);
         return null;
     }
-})();
+}
 
-const IS_CATEGORY_DROPDOWN = Array.isArray(CATEGORY_OPTIONS) && CATEGORY_OPTIONS.length > 0;
+/**
+ * Reads the duplicate detection date window from config (once at module load)
+ * @type {number}
+ */
+const DUPLICATE_WINDOW_DAYS = (() => {
+    const days = Number(getConfig(CONFIG_KEYS.DUPLICATE_WINDOW_DAYS, DEFAULT_DUPLICATE_WINDOW_DAYS));
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_DUPLICATE_WINDOW_DAYS;
+})();
 
 /**
  * Flattens AccountProjectedTransactionList into an array usable by UI.
@@ -93,6 +124,20 @@ function annotateProjection(arr) {
     return arr.map((item) => ({ ...(item || {}), __isProjected: true }));
 }
 
+/**
+ * Patch for saving one edited field, converting the editor's raw value.
+ * @param {string} field
+ * @param {any} value - amount as a decimal string, date as yyyy-mm-dd
+ * @returns {Object}
+ */
+function patchForField(field, value) {
+    const patch = {};
+    if (field === 'amount') patch.amount = Number(value) || 0;
+    else if (field === 'transactionDate') patch.transactionDate = value ? new Date(value).toISOString() : undefined;
+    else patch[field] = value;
+    return patch;
+}
+
 /**
  * useTransactionTable
  * Main hook for TransactionTable business logic and state management.
@@ -105,6 +150,12 @@ function annotateProjection(arr) {
 export function useTransactionTable(filters) {
 
     const { statementPeriod, isLoaded: isStatementPeriodLoaded } = useStatementPeriodContext();
+
+    // Option lists follow live settings edits (setOverrides)
+    const config = useConfig();
+    const CRITICALITY_OPTIONS = useMemo(() => readCriticalityOptions(config), [config]);
+    const CATEGORY_OPTIONS = useMemo(() => readCategoryOptions(config), [config]);
+    const IS_CATEGORY_DROPDOWN = Array.isArray(CATEGORY_OPTIONS) && CATEGORY_OPTIONS.length > 0;
     const currentPeriodRef = useRef(statementPeriod);
     const lastRequestedPeriodRef = useRef();
 
@@ -115,6 +166,13 @@ export function useTransactionTable(filters) {
     const [saveErrors, setSaveErrors] = useState(() => ({}));
     const editValueRef = useRef('');
     const fileInputRef = useRef(null);
+    const [importFile, setImportFile] = useState(null);
+    const [ruleDraft, setRuleDraft] = useState(null);
+    const { apply: applyRules, saveRule } = useCategorizationRules();
+    const { rankCategoryOptions, suggestCategoryForName } = useCategorySuggestions();
+    // Undo / redo of creates, updates and deletes that reached the server
+    const history = useEditHistory();
+    const recordHistory = history.record;
 
     // --- Compose filters with statement period from context ---
     /** @type {Object} */
@@ -145,6 +203,27 @@ export function useTransactionTable(filters) {
         refetch: refetchProjected
     } = useProjectedTransactions({ statementPeriod, account: filters?.account || undefined });
 
+    // Split transactions: the table lists the parent, the balances count its allocations
+    const {
+        splitsById,
+        splits,
+        saveSplit,
+        removeSplit,
+        removeSplits,
+        syncParent: syncSplitParent,
+    } = useTransactionSplits();
+    const [expandedSplitId, setExpandedSplitId] = useState(null);
+    const splitDeltas = useMemo(() => {
+        const bucketFor = makeAccountBucket(filters?.account, getSharedAccounts(config).map((a) => a.filter));
+        return applySplits(serverTx, splits, { statementPeriod, criticality: filters?.criticality, bucketFor }).deltas;
+    }, [serverTx, splits, statementPeriod, filters?.account, filters?.criticality, config]);
+
+    // Edits to a split parent (row edits, bulk edits, undo) refresh the split's snapshot
+    useEffect(() => {
+        if (splitsById.size === 0) return;
+        syncSplitParent(serverTx.filter((tx) => splitsById.has(String(tx.id))));
+    }, [serverTx, splitsById, syncSplitParent]);
+
     /**
      * localTx - Holds the transaction rows for the table.
      * Cleared immediately when statementPeriod changes to prevent stale row flash.
@@ -210,8 +289,8 @@ export function useTransactionTable(filters) {
         if (!isStatementPeriodLoaded || !statementPeriod) return 0;
         const serverTotal = typeof txResult.total === 'number' ? txResult.total : Number(txResult.total) || 0;
         const projTotal = Array.isArray(projectedTx) ? projectedTx.reduce((s, t) => s + (Number(t.amount) || 0), 0) : 0;
-        return serverTotal + projTotal;
-    }, [txResult, projectedTx, isStatementPeriodLoaded, statementPeriod]);
+        return serverTotal + projTotal + splitDeltas.total;
+    }, [txResult, projectedTx, isStatementPeriodLoaded, statementPeriod, splitDeltas]);
 
     /**
      * Computes personal balance only if statement period is loaded and defined.
@@ -219,8 +298,9 @@ export function useTransactionTable(filters) {
      */
     const personalBalance = useMemo(() => {
         if (!isStatementPeriodLoaded || !statementPeriod) return 0;
-        return typeof txResult.personalTotal === 'number' ? txResult.personalTotal : Number(txResult.personalTotal) || 0;
-    }, [txResult.personalTotal, isStatementPeriodLoaded, statementPeriod]);
+        const serverPersonal = typeof txResult.personalTotal === 'number' ? txResult.personalTotal : Number(txResult.personalTotal) || 0;
+        return serverPersonal + splitDeltas.personal;
+    }, [txResult.personalTotal, isStatementPeriodLoaded, statementPeriod, splitDeltas]);
 
     /**
      * Computes joint balance only if statement period is loaded and defined.
@@ -228,8 +308,9 @@ export function useTransactionTable(filters) {
      */
     const jointBalance = useMemo(() => {
         if (!isStatementPeriodLoaded || !statementPeriod) return 0;
-        return typeof txResult.jointTotal === 'number' ? txResult.jointTotal : Number(txResult.jointTotal) || 0;
-    }, [txResult.jointTotal, isStatementPeriodLoaded, statementPeriod]);
+        const serverJoint = typeof txResult.jointTotal === 'number' ? txResult.jointTotal : Number(txResult.jointTotal) || 0;
+        return serverJoint + splitDeltas.joint;
+    }, [txResult.jointTotal, isStatementPeriodLoaded, statementPeriod, splitDeltas]);
 
 
 
@@ -247,6 +328,29 @@ export function useTransactionTable(filters) {
     const loading = txResult.loading || projectedLoading || false;
     const error = txResult.error || projectedError || null;
 
+    // --- Column layout, sorting and filters ---
+    /**
+     * Column order / visibility and sort are remembered per account; filters are per visit.
+     */
+    const layout = useTableLayout({ screenKey: filters?.account || 'default' });
+
+    /**
+     * Rows as displayed: column filters and sort applied (unsaved new rows stay on top).
+     * @type {Array}
+     */
+    const visibleTx = useMemo(
+        () => applyTableView(localTx, { sort: layout.sort, filters: layout.filters }),
+        [localTx, layout.sort, layout.filters]
+    );
+
+    /**
+     * Choices for the category / criticality / account / payment method filter popovers.
+     */
+    const filterOptions = useMemo(
+        () => filterChoices(localTx, { category: CATEGORY_OPTIONS || [], criticality: CRITICALITY_OPTIONS }),
+        [localTx, CATEGORY_OPTIONS, CRITICALITY_OPTIONS]
+    );
+
     // --- Selection ---
     /**
      * Toggles selection for a transaction by id.
@@ -265,13 +369,14 @@ export function useTransactionTable(filters) {
      * Marks all transactions selected, or clears selection.
      * @function toggleSelectAll
      */
-    const isAllSelected = localTx.length > 0 && selectedIds.size === localTx.length;
+    // Select-all covers the rows left visible by the column filters
+    const isAllSelected = visibleTx.length > 0 && visibleTx.every((t) => selectedIds.has(t.id));
     const toggleSelectAll = useCallback(() => {
         setSelectedIds((prev) => {
             if (isAllSelected) return new Set();
-            return new Set(localTx.map((t) => t.id));
+            return new Set(visibleTx.map((t) => t.id));
         });
-    }, [localTx, isAllSelected]);
+    }, [visibleTx, isAllSelected]);
     /**
      * Makes a temporary id for new transactions.
      * @function makeTempId
@@ -333,6 +438,40 @@ export function useTransactionTable(filters) {
         logger.info('handleAddProjection: created local new projected tx', { tempId: newProj.id, statementPeriod: newProj.statementPeriod });
     }, [makeTempId, filters, statementPeriod]);
 
+    /**
+     * Adds a new row copying an existing one (same kind, date and fields) and opens its editor.
+     * The copy is deliberate, so it skips the likely-duplicate hold on save.
+     * @function handleDuplicateRow
+     * @param {string|number} id - row to copy
+     * @param {string} [replaceId] - blank new row the copy takes the place of
+     */
+    const handleDuplicateRow = useCallback((id, replaceId) => {
+        const source = (localTx || []).find((t) => String(t.id) === String(id));
+        if (!source) {
+            logger.error('handleDuplicateRow: row not found', { id });
+            return;
+        }
+        const copy = {
+            id: makeTempId(),
+            name: source.name || '',
+            amount: Number(source.amount) || 0,
+            category: source.category || '',
+            criticality: source.criticality || '',
+            transactionDate: source.transactionDate || new Date().toISOString(),
+            account: source.account || filters?.account || '',
+            paymentMethod: source.paymentMethod || '',
+            memo: source.memo || '',
+            __isNew: true,
+            __keepDuplicate: true,
+            statementPeriod,
+        };
+        if (source.__isProjected) copy.__isProjected = true;
+        setLocalTx((prev) => [copy, ...(prev || []).filter((t) => replaceId == null || t.id !== replaceId)]);
+        setEditing({ id: copy.id, mode: 'row' });
+        editValueRef.current = '';
+        logger.info('handleDuplicateRow: created local copy', { sourceId: id, tempId: copy.id, replaceId });
+    }, [localTx, makeTempId, filters, statementPeriod]);
+
     /**
      * Cancels editing and removes temp rows where applicable.
      * @function handleCancelRow
@@ -387,24 +526,38 @@ export function useTransactionTable(filters) {
             try {
                 const budgetIds = [];
                 const projectionIds = [];
+                // Rows as they were, so the delete can be undone by re-creating them
+                const snapshots = new Map();
                 toDeleteFromAPI.forEach((id) => {
                     const localItem = (localTx || []).find((t) => String(t.id) === String(id));
                     const isProjection = localItem?.__isProjected === true || (Array.isArray(projectedTx) && projectedTx.some((p) => String(p.id) === String(id)));
                     if (isProjection) projectionIds.push(id);
                     else budgetIds.push(id);
+                    if (localItem) snapshots.set(id, { statementPeriod, ...localItem });
                 });
+                const deleted = [];
                 await Promise.all([
                     ...budgetIds.map((id) =>
-                        budgetTransactionService.deleteTransaction(id).catch((err) => {
-                            logger.error(`Failed to delete budget transaction ${id}`, err);
-                        })
+                        budgetTransactionService.deleteTransaction(id)
+                            .then(() => deleted.push({ op: HISTORY_OPS.DELETE, isProjection: false, before: snapshots.get(id), after: null }))
+                            .catch((err) => {
+                                logger.error(`Failed to delete budget transaction ${id}`, err);
+                            })
                     ),
                     ...projectionIds.map((id) =>
-                        projectedTransactionService.deleteTransaction(id).catch((err) => {
-                            logger.error(`Failed to delete projected transaction ${id}`, err);
-                        })
+                        projectedTransactionService.deleteTransaction(id)
+                            .then(() => deleted.push({ op: HISTORY_OPS.DELETE, isProjection: true, before: snapshots.get(id), after: null }))
+                            .catch((err) => {
+                                logger.error(`Failed to delete projected transaction ${id}`, err);
+                            })
                     ),
                 ]);
+                recordHistory(describeRows('Deleted', deleted.map((o) => o.before).filter(Boolean)), deleted);
+                const deletedBudgetIds = deleted.filter((o) => !o.isProjection && o.before).map((o) => o.before.id);
+                if (deletedBudgetIds.length > 0) {
+                    // A deleted charge's allocations must not keep counting in other views
+                    try { await removeSplits(deletedBudgetIds); } catch (err) { logger.error('remove splits after delete failed', err); }
+                }
                 if (budgetIds.length > 0) {
                     try { await txResult.refetch(); } catch (err) { logger.error('refetch after delete failed', err); }
                     try { publishTransactionEvents({ type: 'transactionsChanged', reason: 'delete', ids: budgetIds }); } catch (err) { logger.error('publish transaction event failed', err); }
@@ -439,35 +592,32 @@ export function useTransactionTable(filters) {
                 logger.error('Error deleting transactions', err);
             }
         },
-        [selectedIds, txResult, refetchProjected, localTx, projectedTx, serverTx, statementPeriod, filters]
+        [selectedIds, txResult, refetchProjected, localTx, projectedTx, serverTx, statementPeriod, filters, recordHistory, removeSplits]
     );
 
     /**
      * Handles file input change (import CSV).
+     * Opens the import wizard for the chosen file; nothing is created until
+     * the user accepts rows in the preview.
      * @function handleFileChange
-     * @async
      */
     const handleFileChange = useCallback(
-        async (ev) => {
+        (ev) => {
             const file = ev.target.files && ev.target.files[0];
             if (!file) return;
-            try {
-                logger.info('handleFileChange: uploading file', { fileName: file.name, statementPeriod });
-                await budgetTransactionService.uploadTransactions(file, statementPeriod);
-                await txResult.refetch();
-                try { publishTransactionEvents({ type: 'transactionsChanged', reason: 'upload', fileName: file.name }); } catch (err) { logger.error('publish transaction event failed', err); }
-                try { await refetchProjected(); } catch (err) { logger.error('refetchProjected after upload failed', err); }
-                logger.info('handleFileChange: upload complete');
-            } catch (err) {
-                logger.error('Upload failed', err);
-            } finally {
-                ev.target.value = '';
-            }
+            logger.info('handleFileChange: opening import wizard', { fileName: file.name, statementPeriod });
+            setImportFile(file);
+            ev.target.value = '';
         },
-        [txResult, statementPeriod, refetchProjected]
+        [statementPeriod]
     );
     /**
-     * Opens file picker for CSV import.
+     * Closes the import wizard.
+     * @function closeImport
+     */
+    const closeImport = useCallback(() => setImportFile(null), []);
+    /**
+     * Opens file picker for CSV / OFX / QFX / QIF import.
      * @function openFilePicker
      */
     const openFilePicker = useCallback(() => fileInputRef.current?.click(), []);
@@ -572,7 +722,7 @@ export function useTransactionTable(filters) {
             }
         }
         return errors;
-    }, []);
+    }, [CRITICALITY_OPTIONS, CATEGORY_OPTIONS, IS_CATEGORY_DROPDOWN]);
     /**
      * Strips client-only fields before sending to API.
      * @function stripClientFields
@@ -584,6 +734,8 @@ export function useTransactionTable(filters) {
         delete copy.id;
         delete copy.__isNew;
         delete copy.__isProjected;
+        delete copy.__duplicateOf;
+        delete copy.__keepDuplicate;
         return copy;
     }, []);
     /**
@@ -594,9 +746,11 @@ export function useTransactionTable(filters) {
     const handleSaveRow = useCallback(
         async (id, updatedFields = {}, addAnother = false) => {
             let txToPersist = null;
+            let txBefore = null;
             setLocalTx((prev) =>
                 prev.map((t) => {
                     if (t.id !== id) return t;
+                    txBefore = t;
                     const updated = { ...t, ...updatedFields };
                     txToPersist = updated;
                     return updated;
@@ -624,6 +778,16 @@ export function useTransactionTable(filters) {
                     logger.info('handleSaveRow: validation failed for create', { id, validationErrors });
                     return;
                 }
+                // Hold likely duplicates of this period's actuals for review instead of creating them
+                if (!txToPersist.__isProjected && !txToPersist.__keepDuplicate) {
+                    const duplicates = findDuplicates(txToPersist, serverTx, { dateWindowDays: DUPLICATE_WINDOW_DAYS });
+                    if (duplicates.length > 0) {
+                        const duplicateOf = duplicates.map(summarizeDuplicate);
+                        setLocalTx((prev) => prev.map((t) => (t.id === id ? { ...t, __duplicateOf: duplicateOf } : t)));
+                        logger.info('handleSaveRow: held as likely duplicate', { id, duplicateOf: duplicateOf.map((d) => d.id) });
+                        return;
+                    }
+                }
             }
             setSavingIds((prev) => {
                 const copy = new Set(prev);
@@ -638,6 +802,7 @@ export function useTransactionTable(filters) {
                         const created = await projectedTransactionService.createTransaction(payload);
                         const createdWithFlag = { ...created, __isProjected: true };
                         setLocalTx((prev) => prev.map((t) => (t.id === id ? createdWithFlag : t)));
+                        recordHistory(describeRows('Added projection', [created]), [{ op: HISTORY_OPS.CREATE, isProjection: true, before: null, after: created }]);
                         try {
                             publishTransactionEvents({
                                 type: 'projectionsChanged',
@@ -675,6 +840,7 @@ export function useTransactionTable(filters) {
                     } else {
                         const created = await budgetTransactionService.createTransaction(payload);
                         setLocalTx((prev) => prev.map((t) => (t.id === id ? { ...created } : t)));
+                        recordHistory(describeRows('Added', [created]), [{ op: HISTORY_OPS.CREATE, isProjection: false, before: null, after: created }]);
                         try { publishTransactionEvents({ type: 'transactionsChanged', reason: 'create', transaction: created }); } catch (err) { logger.error('publish transaction event failed', err); }
                         logger.info('handleSaveRow: created', { tempId: id, createdId: created.id });
                         if (addAnother) {
@@ -703,8 +869,15 @@ export function useTransactionTable(filters) {
                 } else {
                     logger.info('handleSaveRow: updating transaction', { id, statementPeriod, isProjection: !!txToPersist.__isProjected });
                     const payload = stripClientFields({ ...txToPersist, statementPeriod });
+                    const updateOp = {
+                        op: HISTORY_OPS.UPDATE,
+                        isProjection: !!txToPersist.__isProjected,
+                        before: { statementPeriod, ...txBefore },
+                        after: { ...payload, id },
+                    };
                     if (txToPersist.__isProjected) {
                         await projectedTransactionService.updateTransaction(id, payload);
+                        recordHistory(describeRows('Edited', [txBefore]), [updateOp]);
                         try {
                             publishTransactionEvents({
                                 type: 'projectionsChanged',
@@ -742,6 +915,7 @@ export function useTransactionTable(filters) {
                         }
                     } else {
                         await budgetTransactionService.updateTransaction(id, payload);
+                        recordHistory(describeRows('Edited', [txBefore]), [updateOp]);
                         try { publishTransactionEvents({ type: 'transactionsChanged', reason: 'update', id, payload }); } catch (err) { logger.error('publish transaction event failed', err); }
                         logger.info('handleSaveRow: updated', { id });
                         try { await txResult.refetch(); } catch (e) { logger.error('refetch after update failed', e); }
@@ -766,7 +940,136 @@ export function useTransactionTable(filters) {
                 });
             }
         },
-        [makeTempId, txResult, validateForCreate, filters, stripClientFields, statementPeriod, refetchProjected, serverTx]
+        [makeTempId, txResult, validateForCreate, filters, stripClientFields, statementPeriod, refetchProjected, serverTx, recordHistory]
+    );
+
+    /**
+     * Creates imported transactions through the same validation and create path
+     * as handleSaveRow. Rows are created one at a time; a single change event is
+     * published at the end. Likely duplicates (of this period's actuals or of rows
+     * earlier in the same file) are not created but added to the table flagged for review.
+     * @function handleImportTransactions
+     * @async
+     * @param {Array<Object>} txs - Transactions in the handleAddTransaction shape (no ids).
+     * @returns {Promise<{created: Array, skipped: Array<{tx, reason}>, failed: Array<{tx, error}>, duplicates: Array<Object>}>}
+     */
+    const handleImportTransactions = useCallback(
+        async (txs = []) => {
+            const created = [];
+            const skipped = [];
+            const failed = [];
+            const duplicates = [];
+            logger.info('handleImportTransactions: start', { count: txs.length, statementPeriod });
+            for (const tx of txs) {
+                const candidate = { ...tx, statementPeriod: tx.statementPeriod || statementPeriod };
+                const validationErrors = validateForCreate(candidate);
+                if (validationErrors.length > 0) {
+                    skipped.push({ tx: candidate, reason: validationErrors.join('. ') });
+                    continue;
+                }
+                const matches = findDuplicates(candidate, [...serverTx, ...created], { dateWindowDays: DUPLICATE_WINDOW_DAYS });
+                if (matches.length > 0) {
+                    duplicates.push({ ...candidate, id: makeTempId(), __isNew: true, __duplicateOf: matches.map(summarizeDuplicate) });
+                    continue;
+                }
+                try {
+                    created.push(await budgetTransactionService.createTransaction(stripClientFields(candidate)));
+                } catch (err) {
+                    logger.error('handleImportTransactions: create failed', { name: candidate.name, err });
+                    failed.push({ tx: candidate, error: err?.message || String(err) });
+                }
+            }
+            if (duplicates.length > 0) {
+                setLocalTx((prev) => [...duplicates, ...(prev || [])]);
+            }
+            if (created.length > 0) {
+                recordHistory(
+                    `Imported ${created.length} transaction${created.length === 1 ? '' : 's'}`,
+                    created.map((t) => ({ op: HISTORY_OPS.CREATE, isProjection: false, before: null, after: t }))
+                );
+                try {
+                    publishTransactionEvents({
+                        type: 'transactionsChanged',
+                        reason: 'import',
+                        ids: created.map((t) => t?.id),
+                        account: filters?.account,
+                        statementPeriod,
+                    });
+                } catch (err) { logger.error('publish transaction event failed', err); }
+                try { await txResult.refetch(); } catch (err) { logger.error('refetch after import failed', err); }
+            }
+            logger.info('handleImportTransactions: done', { created: created.length, skipped: skipped.length, failed: failed.length, duplicates: duplicates.length });
+            return { created, skipped, failed, duplicates };
+        },
+        [validateForCreate, stripClientFields, statementPeriod, filters, txResult, serverTx, makeTempId, recordHistory]
+    );
+
+    /**
+     * Resolves a row held as a likely duplicate.
+     * - merge: copies the row's fields the original lacks onto the original, then drops the row
+     * - keepBoth: creates the row anyway
+     * - discard: drops the row
+     * @function resolveDuplicate
+     * @async
+     * @param {string} id - Temp id of the flagged row.
+     * @param {string} action - One of DUPLICATE_ACTIONS.
+     * @param {string|number} [originalId] - Original to merge into (defaults to the closest match).
+     */
+    const resolveDuplicate = useCallback(
+        async (id, action, originalId) => {
+            const row = (localTx || []).find((t) => t.id === id);
+            if (!row || !Array.isArray(row.__duplicateOf)) {
+                logger.error('resolveDuplicate: flagged row not found', { id, action });
+                return;
+            }
+            logger.info('resolveDuplicate', { id, action, originalId });
+            if (action === DUPLICATE_ACTIONS.DISCARD) {
+                handleCancelRow(id);
+                return;
+            }
+            if (action === DUPLICATE_ACTIONS.KEEP_BOTH) {
+                await handleSaveRow(id, { __duplicateOf: undefined, __keepDuplicate: true }, false);
+                return;
+            }
+            if (action !== DUPLICATE_ACTIONS.MERGE) {
+                logger.error('resolveDuplicate: unknown action', { action });
+                return;
+            }
+            const targetId = originalId ?? row.__duplicateOf[0]?.id;
+            const original = serverTx.find((t) => String(t.id) === String(targetId));
+            if (!original) {
+                setSaveErrors((prev) => ({ ...prev, [id]: 'The original transaction is no longer in this period' }));
+                return;
+            }
+            const patch = buildMergePatch(original, row);
+            setSavingIds((prev) => new Set(prev).add(id));
+            try {
+                if (Object.keys(patch).length > 0) {
+                    const payload = stripClientFields({ ...original, ...patch, statementPeriod: original.statementPeriod || statementPeriod });
+                    await budgetTransactionService.updateTransaction(original.id, payload);
+                    recordHistory(describeRows('Merged into', [original]), [{
+                        op: HISTORY_OPS.UPDATE,
+                        isProjection: false,
+                        before: { statementPeriod: payload.statementPeriod, ...original },
+                        after: { ...payload, id: original.id },
+                    }]);
+                    try { publishTransactionEvents({ type: 'transactionsChanged', reason: 'merge', id: original.id, payload }); } catch (err) { logger.error('publish transaction event failed', err); }
+                    try { await txResult.refetch(); } catch (err) { logger.error('refetch after merge failed', err); }
+                }
+                logger.info('resolveDuplicate: merged', { id, originalId: original.id, fields: Object.keys(patch) });
+                handleCancelRow(id);
+            } catch (err) {
+                logger.error('resolveDuplicate: merge failed', err);
+                setSaveErrors((prev) => ({ ...prev, [id]: err.message || String(err) }));
+            } finally {
+                setSavingIds((prev) => {
+                    const copy = new Set(prev);
+                    copy.delete(id);
+                    return copy;
+                });
+            }
+        },
+        [localTx, serverTx, handleCancelRow, handleSaveRow, stripClientFields, statementPeriod, txResult, recordHistory]
     );
 
     /**
@@ -779,15 +1082,144 @@ export function useTransactionTable(filters) {
      */
     const handleSaveEdit = useCallback(
         async (id, field, value) => {
-            const patch = {};
-            if (field === 'amount') patch.amount = Number(value) || 0;
-            else if (field === 'transactionDate') patch.transactionDate = value ? new Date(value).toISOString() : undefined;
-            else patch[field] = value;
-            await handleSaveRow(id, patch, false);
+            await handleSaveRow(id, patchForField(field, value), false);
         },
         [handleSaveRow]
     );
 
+    /**
+     * Saves a cell committed from the keyboard (Tab) in one write, applying the same mapped
+     * defaults as picking the value: category -> criticality, account -> payment method.
+     * The editor is closed synchronously, so the caller can open the next cell right after.
+     * @function handleCommitField
+     * @param {string|number} id
+     * @param {string} field
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    const handleCommitField = useCallback(
+        (id, field, value) => {
+            const patch = patchForField(field, value);
+            const text = String(value ?? '').trim();
+            if (field === 'category' && text) {
+                const mapped = getCriticalityForCategory(text);
+                if (mapped) patch.criticality = mapped;
+            } else if (field === 'account' && text) {
+                const defaultPm = getDefaultPaymentMethodForAccount(text);
+                if (defaultPm) patch.paymentMethod = defaultPm;
+            }
+            logger.info('handleCommitField', { id, field, patch });
+            return handleSaveRow(id, patch, false);
+        },
+        [handleSaveRow]
+    );
+
+    // --- Categorization rules ---
+    /**
+     * Opens the rule editor pre-filled from a transaction.
+     * @function openRuleFromTransaction
+     * @param {Object} tx
+     */
+    const openRuleFromTransaction = useCallback((tx) => {
+        logger.info('openRuleFromTransaction', { id: tx?.id });
+        setRuleDraft(ruleFromTransaction(tx));
+    }, []);
+    /**
+     * Closes the rule editor.
+     * @function closeRuleEditor
+     */
+    const closeRuleEditor = useCallback(() => setRuleDraft(null), []);
+    /**
+     * Saves the rule being edited and closes the editor.
+     * @function handleSaveRule
+     * @async
+     * @param {Object} rule
+     */
+    const handleSaveRule = useCallback(async (rule) => {
+        await saveRule(rule);
+        setRuleDraft(null);
+    }, [saveRule]);
+
+    // --- Split transactions ---
+    /**
+     * Opens / closes the split editor under a row (one at a time).
+     * @function toggleSplitEditor
+     * @param {string|number} id
+     */
+    const toggleSplitEditor = useCallback((id) => {
+        setExpandedSplitId((prev) => (prev != null && String(prev) === String(id) ? null : id));
+    }, []);
+    /**
+     * Saves a row's allocations and closes its split editor.
+     * @function handleSaveSplit
+     * @async
+     * @param {Object} tx - the parent row
+     * @param {Array<Object>} allocations
+     * @throws {Error} - When the split is invalid or could not be saved (shown by the editor).
+     */
+    const handleSaveSplit = useCallback(async (tx, allocations) => {
+        logger.info('handleSaveSplit', { id: tx?.id, allocations: allocations.length });
+        await saveSplit(tx, allocations);
+        setExpandedSplitId(null);
+    }, [saveSplit]);
+    /**
+     * Removes a row's split; the charge counts as one transaction again.
+     * @function handleRemoveSplit
+     * @async
+     * @param {string|number} id
+     */
+    const handleRemoveSplit = useCallback(async (id) => {
+        logger.info('handleRemoveSplit', { id });
+        await removeSplit(id);
+        setExpandedSplitId(null);
+    }, [removeSplit]);
+
+    // --- Bulk edit ---
+    /**
+     * Selected rows, in table order, for the bulk-edit panel.
+     * @type {Array}
+     */
+    const selectedRows = useMemo(
+        () => (localTx || []).filter((t) => selectedIds.has(t.id)),
+        [localTx, selectedIds]
+    );
+    /**
+     * Rows that failed to update stay selected so they can be retried.
+     * @function handleBulkApplied
+     */
+    const handleBulkApplied = useCallback(({ failed }) => {
+        setSelectedIds(new Set(failed.map((f) => f.tx.id)));
+    }, []);
+    const bulkEdit = useBulkEdit({
+        rows: selectedRows,
+        categoryOptions: CATEGORY_OPTIONS,
+        criticalityOptions: CRITICALITY_OPTIONS,
+        onRecord: recordHistory,
+        onApplied: handleBulkApplied,
+    });
+
+    // --- Reconciliation ---
+    /**
+     * Proposed projection / actual matches for the period and the review modal state.
+     */
+    const reconciliation = useReconciliation({ projections: projectedTx, actuals: serverTx, statementPeriod });
+
+    // --- Export ---
+    /**
+     * CSV / XLSX export of the table's rows and the PDF statement-period report.
+     */
+    const balances = useMemo(
+        () => ({ total, joint: jointBalance, personal: personalBalance, projected: projectedTotal }),
+        [total, jointBalance, personalBalance, projectedTotal]
+    );
+    const exporter = useTransactionExport({ account: filters?.account, statementPeriod, transactions: visibleTx, balances });
+
+    // --- Search ---
+    /**
+     * Query-language search over this account, in the selected period or across all periods.
+     */
+    const search = useTransactionSearch({ account: filters?.account, statementPeriod });
+
     // --- Toolbar logic ---
     /**
      * useTransactionToolbar - exposes toolbar logic for UI
@@ -797,6 +1229,13 @@ export function useTransactionTable(filters) {
         onAddProjection: handleAddProjection,
         onImport: openFilePicker,
         onDelete: handleDeleteSelected,
+        onBulkEdit: bulkEdit.open,
+        history,
+        onReconcile: reconciliation.open,
+        reconcileCount: reconciliation.proposals.length,
+        exporter,
+        search,
+        layout,
         selectedCount: selectedIds.size,
         fileInputRef,
         onFileChange: handleFileChange,
@@ -807,6 +1246,9 @@ export function useTransactionTable(filters) {
     // --- Expose API surface ---
     return {
         localTx,
+        visibleTx,
+        layout,
+        filterOptions,
         loading,
         error,
         selectedIds,
@@ -822,12 +1264,35 @@ export function useTransactionTable(filters) {
         toggleSelectAll,
         handleAddTransaction,
         handleAddProjection,
+        handleDuplicateRow,
         handleDeleteSelected,
         handleFileChange,
         openFilePicker,
+        importFile,
+        closeImport,
+        handleImportTransactions,
+        validateForCreate,
+        resolveDuplicate,
+        applyRules,
+        rankCategoryOptions,
+        suggestCategoryForName,
+        ruleDraft,
+        openRuleFromTransaction,
+        closeRuleEditor,
+        handleSaveRule,
+        reconciliation,
+        search,
+        history,
+        bulkEdit,
+        splitsById,
+        expandedSplitId,
+        toggleSplitEditor,
+        handleSaveSplit,
+        handleRemoveSplit,
         handleCellDoubleClick,
         handleEditKey,
         handleSaveEdit,
+        handleCommitField,
         handleSaveRow,
         handleCancelRow,
         startEditingRow,
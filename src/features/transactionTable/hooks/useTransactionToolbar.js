@@ -3,7 +3,7 @@
  *
  * Hook that encapsulates toolbar logic for TransactionTable feature.
  * Responsibilities:
- *  - Orchestrate actions: add transaction, add projection, import file, delete selected.
+ *  - Orchestrate actions: add transaction, add projection, import file, reconcile, export, search, columns, bulk edit, delete selected, undo / redo.
  *  - Manages loading, file input interactions, selection count, and total display.
  *  - Standardizes logging for traceability.
  *
@@ -30,6 +30,13 @@ const logger = {
  * @param {Function} params.onAddProjection - Handler for adding a projected transaction.
  * @param {Function} params.onImport - Handler for importing transactions from file.
  * @param {Function} params.onDelete - Handler for deleting selected transactions.
+ * @param {Function} [params.onBulkEdit] - Opens the bulk-edit panel for the selected transactions.
+ * @param {Function} [params.onReconcile] - Opens the projection reconciliation review.
+ * @param {number} [params.reconcileCount=0] - Number of projections with a proposed match.
+ * @param {Object} [params.exporter] - Export state and actions from useTransactionExport.
+ * @param {Object} [params.search] - Search state and actions from useTransactionSearch.
+ * @param {Object} [params.layout] - Column layout state and actions from useTableLayout.
+ * @param {Object} [params.history] - Undo / redo state and actions from useEditHistory.
  * @param {number} params.selectedCount - Number of selected items.
  * @param {Object} params.fileInputRef - Ref for hidden file input.
  * @param {Function} params.onFileChange - Handler for file change event.
@@ -42,6 +49,13 @@ export function useTransactionToolbar({
                                           onAddProjection,
                                           onImport,
                                           onDelete,
+                                          onBulkEdit,
+                                          onReconcile,
+                                          reconcileCount = 0,
+                                          exporter,
+                                          search,
+                                          layout,
+                                          history,
                                           selectedCount,
                                           fileInputRef,
                                           onFileChange,
@@ -72,6 +86,14 @@ export function useTransactionToolbar({
         onImport?.();
     }, [onImport]);
 
+    /**
+     * Handles reconcile click.
+     */
+    const handleReconcile = useCallback(() => {
+        logger.info('Reconcile clicked', { reconcileCount });
+        onReconcile?.();
+    }, [onReconcile, reconcileCount]);
+
     /**
      * Handles delete selected click.
      */
@@ -80,6 +102,30 @@ export function useTransactionToolbar({
         onDelete?.();
     }, [onDelete, selectedCount]);
 
+    /**
+     * Handles bulk edit click.
+     */
+    const handleBulkEdit = useCallback(() => {
+        logger.info('Bulk Edit clicked', { selectedCount });
+        onBulkEdit?.();
+    }, [onBulkEdit, selectedCount]);
+
+    /**
+     * Handles undo click.
+     */
+    const handleUndo = useCallback(() => {
+        logger.info('Undo clicked', { label: history?.undoLabel });
+        history?.undo();
+    }, [history]);
+
+    /**
+     * Handles redo click.
+     */
+    const handleRedo = useCallback(() => {
+        logger.info('Redo clicked', { label: history?.redoLabel });
+        history?.redo();
+    }, [history]);
+
     /**
      * Handles file input change event.
      *
@@ -103,9 +149,18 @@ export function useTransactionToolbar({
         handleAddProjection,
         handleImport,
         handleDelete,
+        handleBulkEdit,
+        handleReconcile,
+        handleUndo,
+        handleRedo,
         handleFileChange,
         openFilePicker,
         selectedCount,
+        reconcileCount,
+        exporter,
+        search,
+        layout,
+        history,
         loading,
         total,
         fileInputRef,
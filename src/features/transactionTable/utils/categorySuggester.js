@@ -0,0 +1,195 @@
+/**
+ * categorySuggester.js
+ *
+ * Ranks categories from transaction history. The category most often used with a
+ * similar merchant name wins; every past use counts (frequency) and recent uses
+ * count more (recency, exponential decay).
+ *
+ * Pure functions: build a history index once with buildCategoryHistory, then query
+ * it with rankCategories (SmartSelect suggestions) and suggestCategory (pre-fill).
+ *
+ * @module categorySuggester
+ */
+
+import { normalizeName } from './duplicateDetector';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Days after which a past use weighs half as much in the recency boost. */
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+/** Minimum name similarity for a past transaction to vote for its category. */
+const MIN_NAME_SIMILARITY = 0.5;
+
+/** Minimum name score for suggestCategory to pre-fill (one fairly old exact match). */
+const MIN_SUGGESTION_SCORE = 1;
+
+/** Weight of the history-wide (name-independent) score relative to name matches. */
+const GLOBAL_WEIGHT = 0.05;
+
+/**
+ * @typedef {Object} CategoryHistory
+ * @property {Array<{name: string, words: Set<string>, category: string, time: number}>} entries
+ * @property {Map<string, number>} globalScores - category -> frequency + recency score
+ */
+
+/**
+ * Weight of a single past use: 1 for the use itself plus a recency boost in [0, 1].
+ * @param {number} time - epoch ms (NaN when unknown)
+ * @param {number} now - epoch ms
+ * @returns {number}
+ */
+function useWeight(time, now) {
+    if (!Number.isFinite(time)) return 1;
+    const ageDays = Math.max(0, (now - time) / DAY_MS);
+    return 1 + Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Similarity of two normalized merchant names in [0, 1].
+ * @param {string} a
+ * @param {Set<string>} aWords
+ * @param {string} b
+ * @param {Set<string>} bWords
+ * @returns {number}
+ */
+function nameSimilarity(a, aWords, b, bWords) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const shorter = a.length <= b.length ? a : b;
+    const longer = shorter === a ? b : a;
+    if (shorter.length >= 3 && longer.startsWith(shorter)) return 0.9;
+    if (shorter.length >= 3 && longer.includes(shorter)) return 0.8;
+    let shared = 0;
+    aWords.forEach((w) => {
+        if (bWords.has(w)) shared += 1;
+    });
+    const ratio = shared / Math.min(aWords.size, bWords.size);
+    return ratio >= MIN_NAME_SIMILARITY ? ratio * 0.7 : 0;
+}
+
+/**
+ * Builds the history index from past transactions. Projections and rows without a
+ * category are ignored.
+ *
+ * @function buildCategoryHistory
+ * @param {Array<Object>} transactions
+ * @param {number} [now=Date.now()]
+ * @returns {CategoryHistory}
+ */
+export function buildCategoryHistory(transactions = [], now = Date.now()) {
+    const entries = [];
+    const globalScores = new Map();
+    (Array.isArray(transactions) ? transactions : []).forEach((tx) => {
+        const category = String(tx?.category ?? '').trim();
+        if (!category || tx.__isProjected) return;
+        const time = new Date(tx.transactionDate).getTime();
+        const name = normalizeName(tx.name);
+        if (name) {
+            entries.push({ name, words: new Set(name.split(' ')), category, time });
+        }
+        globalScores.set(category, (globalScores.get(category) || 0) + useWeight(time, now));
+    });
+    return { entries, globalScores };
+}
+
+/**
+ * Scores categories by how often (and how recently) they were used with names
+ * similar to `name`.
+ *
+ * @function scoreCategoriesForName
+ * @param {CategoryHistory} history
+ * @param {string} name
+ * @param {number} [now=Date.now()]
+ * @returns {Map<string, number>} category -> score
+ */
+export function scoreCategoriesForName(history, name, now = Date.now()) {
+    const scores = new Map();
+    const target = normalizeName(name);
+    if (!target || !history?.entries?.length) return scores;
+    const targetWords = new Set(target.split(' '));
+    history.entries.forEach((entry) => {
+        const similarity = nameSimilarity(target, targetWords, entry.name, entry.words);
+        if (similarity <= 0) return;
+        scores.set(entry.category, (scores.get(entry.category) || 0) + similarity * useWeight(entry.time, now));
+    });
+    return scores;
+}
+
+/**
+ * Ranks category options for a SmartSelect query. Options matching the query are
+ * ordered by name score, then history-wide use, then prefix match, then their
+ * configured order. Without configured options the history's categories are used.
+ *
+ * @function rankCategories
+ * @param {Object} params
+ * @param {CategoryHistory} params.history
+ * @param {string[]} [params.options] - configured categories
+ * @param {string} [params.query] - typed text; filters by substring
+ * @param {string} [params.name] - merchant name of the row being edited
+ * @param {number} [params.max] - cap on returned suggestions
+ * @param {number} [params.now=Date.now()]
+ * @returns {string[]}
+ */
+export function rankCategories({ history, options = [], query = '', name = '', max, now = Date.now() }) {
+    const pool = Array.isArray(options) && options.length > 0
+        ? options.map(String)
+        : Array.from(history?.globalScores?.keys() || []);
+    const lower = String(query || '').trim().toLowerCase();
+    const nameScores = scoreCategoriesForName(history, name, now);
+    const globalScores = history?.globalScores || new Map();
+
+    const ranked = pool
+        .map((option, index) => ({
+            option,
+            index,
+            lower: option.toLowerCase(),
+            score: (nameScores.get(option) || 0) + GLOBAL_WEIGHT * (globalScores.get(option) || 0),
+        }))
+        .filter((c) => !lower || c.lower.includes(lower))
+        .sort((a, b) => {
+            if (b.score !== a.score) return b.score - a.score;
+            if (lower) {
+                const ap = a.lower.startsWith(lower) ? 0 : 1;
+                const bp = b.lower.startsWith(lower) ? 0 : 1;
+                if (ap !== bp) return ap - bp;
+            }
+            return a.index - b.index;
+        })
+        .map((c) => c.option);
+
+    return typeof max === 'number' ? ranked.slice(0, max) : ranked;
+}
+
+/**
+ * Best category for a merchant name, or '' when history has no confident match.
+ *
+ * @function suggestCategory
+ * @param {CategoryHistory} history
+ * @param {string} name
+ * @param {string[]} [options] - when given, only these categories are suggested
+ * @param {number} [now=Date.now()]
+ * @returns {string}
+ */
+export function suggestCategory(history, name, options, now = Date.now()) {
+    const allowed = Array.isArray(options) && options.length > 0 ? new Set(options.map(String)) : null;
+    let best = '';
+    let bestScore = 0;
+    scoreCategoriesForName(history, name, now).forEach((score, category) => {
+        if (allowed && !allowed.has(category)) return;
+        if (score > bestScore) {
+            best = category;
+            bestScore = score;
+        }
+    });
+    return bestScore >= MIN_SUGGESTION_SCORE ? best : '';
+}
+
+const categorySuggester = {
+    buildCategoryHistory,
+    scoreCategoriesForName,
+    rankCategories,
+    suggestCategory,
+};
+
+export default categorySuggester;
@@ -129,8 +129,27 @@ export const CONFIG_KEYS = {
     CRITICALITY_OPTIONS: 'criticalityOptions',
     CATEGORIES: 'categories',
     PAYMENT_METHODS: 'paymentMethods',
+    DUPLICATE_WINDOW_DAYS: 'duplicateDetection.dateWindowDays',
+    RECONCILE_AMOUNT_TOLERANCE_PERCENT: 'reconciliation.amountTolerancePercent',
+    RECONCILE_DATE_WINDOW_DAYS: 'reconciliation.dateWindowDays',
 };
 
+/**
+ * DEFAULT_DUPLICATE_WINDOW_DAYS
+ * - How many days apart two otherwise identical transactions may be and still be
+ *   flagged as likely duplicates (config: duplicateDetection.dateWindowDays).
+ */
+export const DEFAULT_DUPLICATE_WINDOW_DAYS = 3;
+
+/**
+ * DEFAULT_RECONCILE_TOLERANCE_PERCENT / DEFAULT_RECONCILE_WINDOW_DAYS
+ * - How far an actual transaction's amount (percent of the projected amount) and date
+ *   may drift from an open projection and still be proposed as its match
+ *   (config: reconciliation.amountTolerancePercent / reconciliation.dateWindowDays).
+ */
+export const DEFAULT_RECONCILE_TOLERANCE_PERCENT = 10;
+export const DEFAULT_RECONCILE_WINDOW_DAYS = 7;
+
 /**
  * DEFAULT_CATEGORY_FALLBACK
  * - Explicit default for category when categories are not configured.
@@ -268,6 +287,9 @@ const constants = {
     SUGGESTION_POPUP_MAX_HEIGHT,
     TEMP_ID_PREFIX,
     CONFIG_KEYS,
+    DEFAULT_DUPLICATE_WINDOW_DAYS,
+    DEFAULT_RECONCILE_TOLERANCE_PERCENT,
+    DEFAULT_RECONCILE_WINDOW_DAYS,
     DEFAULT_CATEGORY_FALLBACK,
     INPUT_DATE_LENGTH,
     normalizeCriticality,
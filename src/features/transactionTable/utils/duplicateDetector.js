@@ -0,0 +1,164 @@
+/**
+ * duplicateDetector
+ * Finds existing transactions that a new (typed or imported) transaction likely duplicates.
+ *
+ * A candidate is a likely duplicate of an existing actual transaction when:
+ * - the amounts are equal to the cent
+ * - the dates are within dateWindowDays of each other (statements post a few days late)
+ * - the normalized names match (equal, one contains the other, or mostly shared words)
+ * - the payment methods match when both are set
+ *
+ * Projections and local-only rows are never treated as originals.
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module duplicateDetector
+ */
+
+import { TEMP_ID_PREFIX, DEFAULT_DUPLICATE_WINDOW_DAYS } from './constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Words banks add to descriptions that say nothing about the merchant. */
+const NOISE_WORDS = new Set(['pos', 'debit', 'credit', 'purchase', 'card', 'payment', 'ach', 'checkcard', 'visa', 'mc', 'the']);
+
+/**
+ * DUPLICATE_ACTIONS - resolutions offered for a flagged row.
+ * - merge: fill the original's empty fields from the new row, then drop the new row
+ * - keepBoth: create the new row anyway
+ * - discard: drop the new row
+ */
+export const DUPLICATE_ACTIONS = {
+    MERGE: 'merge',
+    KEEP_BOTH: 'keepBoth',
+    DISCARD: 'discard',
+};
+
+/** Fields merge may copy onto the original when it has no value. */
+const MERGEABLE_FIELDS = ['category', 'criticality', 'memo', 'paymentMethod'];
+
+/**
+ * Normalizes a merchant name for comparison: lower-case, no punctuation,
+ * no store numbers / reference codes, no bank noise words.
+ *
+ * @function normalizeName
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[#*]\s*\w*\d\w*/g, ' ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter((w) => w && !NOISE_WORDS.has(w) && !/\d/.test(w))
+        .join(' ');
+}
+
+/**
+ * Whether two names refer to the same merchant.
+ * @function namesMatch
+ * @param {string} a - normalized
+ * @param {string} b - normalized
+ * @returns {boolean}
+ */
+export function namesMatch(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+    const shorter = a.length <= b.length ? a : b;
+    const longer = shorter === a ? b : a;
+    if (shorter.length >= 3 && longer.includes(shorter)) return true;
+    const wa = new Set(a.split(' '));
+    const wb = new Set(b.split(' '));
+    const shared = [...wa].filter((w) => wb.has(w)).length;
+    return shared / Math.max(wa.size, wb.size) >= 0.5;
+}
+
+/**
+ * @param {*} v
+ * @returns {number|null} amount in cents
+ */
+function toCents(v) {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
+
+/**
+ * Finds likely originals of a candidate among existing transactions.
+ *
+ * @function findDuplicates
+ * @param {Object} candidate - Transaction about to be created.
+ * @param {Array<Object>} existing - Transactions already in the statement period.
+ * @param {Object} [options]
+ * @param {number} [options.dateWindowDays=DEFAULT_DUPLICATE_WINDOW_DAYS]
+ * @returns {Array<Object>} Matching transactions, closest date first.
+ */
+export function findDuplicates(candidate, existing = [], { dateWindowDays = DEFAULT_DUPLICATE_WINDOW_DAYS } = {}) {
+    const cents = toCents(candidate?.amount);
+    const date = new Date(candidate?.transactionDate).getTime();
+    const name = normalizeName(candidate?.name);
+    if (cents == null || Number.isNaN(date) || !name) return [];
+    const pm = String(candidate.paymentMethod || '').trim().toLowerCase();
+    const windowMs = dateWindowDays * DAY_MS;
+
+    return (existing || [])
+        .filter((t) => {
+            if (!t || t.__isProjected || t.id == null) return false;
+            if (t.id === candidate.id || String(t.id).startsWith(TEMP_ID_PREFIX)) return false;
+            if (toCents(t.amount) !== cents) return false;
+            const otherDate = new Date(t.transactionDate).getTime();
+            if (Number.isNaN(otherDate) || Math.abs(otherDate - date) > windowMs) return false;
+            const otherPm = String(t.paymentMethod || '').trim().toLowerCase();
+            if (pm && otherPm && pm !== otherPm) return false;
+            return namesMatch(name, normalizeName(t.name));
+        })
+        .sort((a, b) =>
+            Math.abs(new Date(a.transactionDate).getTime() - date) - Math.abs(new Date(b.transactionDate).getTime() - date)
+        );
+}
+
+/**
+ * Returns the fields a merge would copy onto the original (only ones it lacks).
+ *
+ * @function buildMergePatch
+ * @param {Object} original
+ * @param {Object} candidate
+ * @returns {Object} possibly empty patch
+ */
+export function buildMergePatch(original, candidate) {
+    const patch = {};
+    MERGEABLE_FIELDS.forEach((field) => {
+        const current = original?.[field];
+        const incoming = candidate?.[field];
+        const isEmpty = current == null || String(current).trim() === '';
+        if (isEmpty && incoming != null && String(incoming).trim() !== '') patch[field] = incoming;
+    });
+    return patch;
+}
+
+/**
+ * Compact description of an original kept on the flagged row for display.
+ * @function summarizeDuplicate
+ * @param {Object} tx
+ * @returns {{ id: *, name: string, amount: number, transactionDate: string, paymentMethod: string }}
+ */
+export function summarizeDuplicate(tx) {
+    return {
+        id: tx.id,
+        name: tx.name,
+        amount: tx.amount,
+        transactionDate: tx.transactionDate,
+        paymentMethod: tx.paymentMethod,
+    };
+}
+
+const duplicateDetector = {
+    DUPLICATE_ACTIONS,
+    normalizeName,
+    namesMatch,
+    findDuplicates,
+    buildMergePatch,
+    summarizeDuplicate,
+};
+
+export default duplicateDetector;
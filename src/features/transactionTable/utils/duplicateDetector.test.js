@@ -0,0 +1,62 @@
+import { normalizeName, namesMatch, findDuplicates, buildMergePatch } from './duplicateDetector';
+
+const tx = (id, name, amount, day, extra = {}) => ({
+    id,
+    name,
+    amount,
+    transactionDate: new Date(2026, 9, day).toISOString(),
+    ...extra,
+});
+
+describe('normalizeName', () => {
+    it('drops punctuation, store numbers and bank noise words', () => {
+        expect(normalizeName('POS DEBIT Trader Joe\'s #552 ')).toBe('trader joe s');
+        expect(normalizeName('CHECKCARD 1005 SHELL OIL 5744')).toBe('shell oil');
+    });
+});
+
+describe('namesMatch', () => {
+    it('matches equal names, contained names and mostly shared words', () => {
+        expect(namesMatch('shell oil', 'shell oil')).toBe(true);
+        expect(namesMatch('amazon', 'amazon marketplace')).toBe(true);
+        expect(namesMatch('blue bottle coffee', 'blue bottle')).toBe(true);
+        expect(namesMatch('shell oil', 'chevron')).toBe(false);
+        expect(namesMatch('', 'chevron')).toBe(false);
+    });
+});
+
+describe('findDuplicates', () => {
+    const candidate = tx(undefined, 'SHELL OIL 5744', 42.1, 10, { paymentMethod: 'Visa' });
+
+    it('finds same-amount rows with a matching name within the date window, closest first', () => {
+        const existing = [
+            tx(1, 'Shell Oil', 42.1, 7),
+            tx(2, 'Shell', 42.10, 11, { paymentMethod: 'visa' }),
+            tx(3, 'Shell Oil', 42.1, 6),
+        ];
+        expect(findDuplicates(candidate, existing).map((t) => t.id)).toEqual([2, 1]);
+    });
+
+    it('ignores different amounts, payment methods, projections and local rows', () => {
+        const existing = [
+            tx(1, 'Shell Oil', 42.11, 10),
+            tx(2, 'Shell Oil', 42.1, 10, { paymentMethod: 'Amex' }),
+            tx(3, 'Shell Oil', 42.1, 10, { __isProjected: true }),
+            tx('new-1', 'Shell Oil', 42.1, 10),
+        ];
+        expect(findDuplicates(candidate, existing)).toEqual([]);
+    });
+
+    it('honours a custom window', () => {
+        expect(findDuplicates(candidate, [tx(1, 'Shell Oil', 42.1, 3)], { dateWindowDays: 7 })).toHaveLength(1);
+    });
+});
+
+describe('buildMergePatch', () => {
+    it('copies only the fields the original lacks', () => {
+        expect(buildMergePatch(
+            { category: 'Fuel', memo: ' ', paymentMethod: null },
+            { category: 'Gas', memo: 'road trip', paymentMethod: 'Visa', criticality: '' },
+        )).toEqual({ memo: 'road trip', paymentMethod: 'Visa' });
+    });
+});
@@ -0,0 +1,279 @@
+/**
+ * tableView
+ * Column definitions for TransactionTable and the helpers behind its configurable view:
+ * multi-key sorting, per-column filters and the saved column layout (order + visibility).
+ *
+ * Rows that are still being created (`__isNew`) are never filtered out and stay on top,
+ * so a new row never disappears while it is being edited.
+ *
+ * Pure functions only.
+ *
+ * @module tableView
+ */
+
+import { TEMP_ID_PREFIX } from './constants';
+
+/** Width of the leading checkbox column (px). */
+const CHECKBOX_WIDTH = '36px';
+
+/**
+ * @typedef {Object} TableColumn
+ * @property {string} key - transaction field
+ * @property {string} label
+ * @property {string} width - grid track size
+ * @property {'text'|'number'|'date'} type - how the column sorts
+ * @property {'values'|'range'|'kind'|null} filter - filter popover the column offers
+ * @property {boolean} [alignRight]
+ */
+
+/**
+ * Data columns in their default order.
+ * @constant
+ * @type {Array<TableColumn>}
+ */
+export const TABLE_COLUMNS = [
+    { key: 'name', label: 'Name', width: '1fr', type: 'text', filter: 'kind' },
+    { key: 'amount', label: 'Amount', width: '120px', type: 'number', filter: 'range', alignRight: true },
+    { key: 'category', label: 'Category', width: '150px', type: 'text', filter: 'values' },
+    { key: 'criticality', label: 'Criticality', width: '100px', type: 'text', filter: 'values' },
+    { key: 'transactionDate', label: 'Date', width: '140px', type: 'date', filter: null },
+    { key: 'account', label: 'Account', width: '100px', type: 'text', filter: 'values' },
+    { key: 'paymentMethod', label: 'Payment Method', width: '120px', type: 'text', filter: 'values' },
+];
+
+const COLUMNS_BY_KEY = Object.fromEntries(TABLE_COLUMNS.map((c) => [c.key, c]));
+
+/** Values of the Name column's projected-vs-actual filter. */
+export const ROW_KINDS = {
+    ACTUAL: 'actual',
+    PROJECTED: 'projected',
+};
+
+export const SORT_DIRECTIONS = {
+    ASC: 'asc',
+    DESC: 'desc',
+};
+
+/**
+ * @typedef {Object} TableLayout
+ * @property {Array<{key: string, visible: boolean}>} columns - every data column, in display order
+ * @property {Array<{key: string, dir: 'asc'|'desc'}>} sort - sort keys, most significant first;
+ *   empty keeps the fetched order (projections first, newest first)
+ */
+
+/**
+ * Layout with every column visible in default order and no sort.
+ * @function defaultTableLayout
+ * @returns {TableLayout}
+ */
+export function defaultTableLayout() {
+    return { columns: TABLE_COLUMNS.map((c) => ({ key: c.key, visible: true })), sort: [] };
+}
+
+/**
+ * Repairs a stored layout: unknown columns and sort keys are dropped, columns added since
+ * it was saved are appended (visible), and at least one column stays visible.
+ *
+ * @function normalizeTableLayout
+ * @param {*} stored
+ * @returns {TableLayout}
+ */
+export function normalizeTableLayout(stored) {
+    if (!stored || !Array.isArray(stored.columns)) return defaultTableLayout();
+    const seen = new Set();
+    const columns = stored.columns
+        .filter((c) => c && COLUMNS_BY_KEY[c.key] && !seen.has(c.key) && seen.add(c.key))
+        .map((c) => ({ key: c.key, visible: c.visible !== false }));
+    TABLE_COLUMNS.forEach((c) => {
+        if (!seen.has(c.key)) columns.push({ key: c.key, visible: true });
+    });
+    if (!columns.some((c) => c.visible)) columns[0].visible = true;
+
+    const sort = (Array.isArray(stored.sort) ? stored.sort : [])
+        .filter((s) => s && COLUMNS_BY_KEY[s.key])
+        .map((s) => ({ key: s.key, dir: s.dir === SORT_DIRECTIONS.ASC ? SORT_DIRECTIONS.ASC : SORT_DIRECTIONS.DESC }));
+    return { columns, sort };
+}
+
+/**
+ * Visible column definitions, in layout order.
+ * @function visibleColumns
+ * @param {TableLayout} layout
+ * @returns {Array<TableColumn>}
+ */
+export function visibleColumns(layout) {
+    return layout.columns.filter((c) => c.visible).map((c) => COLUMNS_BY_KEY[c.key]);
+}
+
+/**
+ * grid-template-columns shared by the header and the rows (checkbox column first).
+ * @function gridTemplate
+ * @param {Array<TableColumn>} columns
+ * @returns {string}
+ */
+export function gridTemplate(columns) {
+    return [CHECKBOX_WIDTH, ...columns.map((c) => c.width)].join(' ');
+}
+
+/**
+ * Next sort after a header click. A plain click sorts by that column alone
+ * (ascending → descending → off); an additive (shift) click adds the column as the
+ * next key or cycles it in place.
+ *
+ * @function nextSort
+ * @param {Array<{key: string, dir: string}>} sort
+ * @param {string} key
+ * @param {boolean} [additive=false]
+ * @returns {Array<{key: string, dir: string}>}
+ */
+export function nextSort(sort, key, additive = false) {
+    const current = sort.find((s) => s.key === key);
+    const cycled = !current
+        ? { key, dir: SORT_DIRECTIONS.ASC }
+        : current.dir === SORT_DIRECTIONS.ASC ? { key, dir: SORT_DIRECTIONS.DESC } : null;
+
+    if (!additive) return cycled ? [cycled] : [];
+    if (!current) return [...sort, cycled];
+    return cycled ? sort.map((s) => (s.key === key ? cycled : s)) : sort.filter((s) => s.key !== key);
+}
+
+/**
+ * Sortable value of a cell.
+ * @param {Object} tx
+ * @param {TableColumn} column
+ * @returns {number|string|null} null for empty cells
+ */
+function sortValue(tx, column) {
+    const raw = tx?.[column.key];
+    if (raw == null || raw === '') return null;
+    if (column.type === 'number') {
+        const n = Number(raw);
+        return Number.isFinite(n) ? n : null;
+    }
+    if (column.type === 'date') {
+        const t = new Date(raw).getTime();
+        return Number.isNaN(t) ? null : t;
+    }
+    return String(raw).toLowerCase();
+}
+
+/**
+ * Sorts rows by several keys; empty cells go last in either direction and ties keep
+ * their incoming order.
+ *
+ * @function sortRows
+ * @param {Array<Object>} rows
+ * @param {Array<{key: string, dir: string}>} sort
+ * @returns {Array<Object>} new array
+ */
+export function sortRows(rows, sort) {
+    const keys = sort.map((s) => ({ column: COLUMNS_BY_KEY[s.key], sign: s.dir === SORT_DIRECTIONS.DESC ? -1 : 1 }))
+        .filter((k) => k.column);
+    if (keys.length === 0) return [...rows];
+    return rows
+        .map((tx, index) => ({ tx, index }))
+        .sort((a, b) => {
+            for (const { column, sign } of keys) {
+                const va = sortValue(a.tx, column);
+                const vb = sortValue(b.tx, column);
+                if (va === vb) continue;
+                if (va === null) return 1;
+                if (vb === null) return -1;
+                const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+                if (cmp !== 0) return cmp * sign;
+            }
+            return a.index - b.index;
+        })
+        .map(({ tx }) => tx);
+}
+
+/**
+ * @typedef {Object} ColumnFilters
+ * @property {Array<string>} [category] - and likewise criticality / account / paymentMethod:
+ *   show rows whose value is one of these ('' matches empty cells)
+ * @property {{min: (number|null), max: (number|null)}} [amount]
+ * @property {'actual'|'projected'} [name] - projected-vs-actual filter of the Name column
+ */
+
+/**
+ * Whether a column filter value is set.
+ * @function isFilterActive
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isFilterActive(value) {
+    if (value == null) return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return value.min != null || value.max != null;
+    return value !== '';
+}
+
+/**
+ * @param {Object} tx
+ * @param {string} key
+ * @param {*} value - an active filter value
+ * @returns {boolean}
+ */
+function passesFilter(tx, key, value) {
+    const column = COLUMNS_BY_KEY[key];
+    if (!column) return true;
+    if (column.filter === 'values') return value.includes(String(tx?.[key] ?? ''));
+    if (column.filter === 'range') {
+        const n = Number(tx?.[key]);
+        if (!Number.isFinite(n)) return false;
+        return (value.min == null || n >= value.min) && (value.max == null || n <= value.max);
+    }
+    if (column.filter === 'kind') {
+        return value === ROW_KINDS.PROJECTED ? Boolean(tx?.__isProjected) : !tx?.__isProjected;
+    }
+    return true;
+}
+
+/**
+ * @param {Object} tx
+ * @returns {boolean}
+ */
+function isUnsavedRow(tx) {
+    return Boolean(tx?.__isNew) || String(tx?.id ?? '').startsWith(TEMP_ID_PREFIX);
+}
+
+/**
+ * Rows as the table shows them: filtered, then sorted, with unsaved rows kept on top.
+ *
+ * @function applyTableView
+ * @param {Array<Object>} rows
+ * @param {Object} view
+ * @param {Array<{key: string, dir: string}>} view.sort
+ * @param {ColumnFilters} [view.filters]
+ * @returns {Array<Object>}
+ */
+export function applyTableView(rows, { sort = [], filters = {} } = {}) {
+    const active = Object.entries(filters).filter(([, value]) => isFilterActive(value));
+    const unsaved = [];
+    const saved = [];
+    (rows || []).forEach((tx) => (isUnsavedRow(tx) ? unsaved : saved).push(tx));
+    const filtered = active.length === 0
+        ? saved
+        : saved.filter((tx) => active.every(([key, value]) => passesFilter(tx, key, value)));
+    return [...unsaved, ...sortRows(filtered, sort)];
+}
+
+/**
+ * Choices for each 'values' filter: configured options plus every value present in the rows.
+ *
+ * @function filterChoices
+ * @param {Array<Object>} rows
+ * @param {Object<string, Array<string>>} [configured] - e.g. { category: [...], criticality: [...] }
+ * @returns {Object<string, Array<string>>} sorted choices; '' stands for empty cells
+ */
+export function filterChoices(rows, configured = {}) {
+    const choices = {};
+    TABLE_COLUMNS.filter((c) => c.filter === 'values').forEach(({ key }) => {
+        const values = new Set((configured[key] || []).map(String));
+        (rows || []).forEach((tx) => {
+            if (!isUnsavedRow(tx)) values.add(String(tx?.[key] ?? ''));
+        });
+        choices[key] = [...values].sort((a, b) => (a === '' ? 1 : b === '' ? -1 : a.localeCompare(b)));
+    });
+    return choices;
+}
@@ -0,0 +1,45 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./Trends.module.css";
+import { CHART, axisTicks, shortAmount } from "../utils/chartGeometry";
+
+/**
+ * ChartAxes
+ * Horizontal grid lines with amount labels, and one label per statement period.
+ * Rendered inside a chart's <svg>.
+ *
+ * @param {Object} props
+ * @param {number} props.min - y axis minimum
+ * @param {number} props.max - y axis maximum
+ * @param {(value: number) => number} props.y - y scale
+ * @param {Array<{value: string, label: string, title: string, shortLabel: string}>} props.periods
+ * @param {Array<number>} props.centers - x of each period label
+ * @returns {JSX.Element}
+ */
+export default function ChartAxes({ min, max, y, periods, centers }) {
+    return (
+        <g aria-hidden="true">
+            {axisTicks(min, max).map((tick) => (
+                <g key={tick}>
+                    <line className={tick === 0 ? styles.axisZero : styles.gridLine} x1={CHART.PAD_LEFT} x2={CHART.WIDTH - CHART.PAD_RIGHT} y1={y(tick)} y2={y(tick)} />
+                    <text className={styles.axisLabel} x={CHART.PAD_LEFT - 8} y={y(tick)} textAnchor="end" dominantBaseline="middle">
+                        {shortAmount(tick)}
+                    </text>
+                </g>
+            ))}
+            {periods.map((p, i) => (
+                <text key={p.value} className={styles.axisLabel} x={centers[i]} y={CHART.HEIGHT - CHART.PAD_BOTTOM + 18} textAnchor="middle">
+                    {p.shortLabel}
+                </text>
+            ))}
+        </g>
+    );
+}
+
+ChartAxes.propTypes = {
+    min: PropTypes.number.isRequired,
+    max: PropTypes.number.isRequired,
+    y: PropTypes.func.isRequired,
+    periods: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, label: PropTypes.string, title: PropTypes.string, shortLabel: PropTypes.string })).isRequired,
+    centers: PropTypes.arrayOf(PropTypes.number).isRequired,
+};
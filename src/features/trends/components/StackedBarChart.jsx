@@ -0,0 +1,71 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./Trends.module.css";
+import ChartAxes from "./ChartAxes";
+import { CHART, bandCenters, niceCeil, seriesColor, yScale } from "../utils/chartGeometry";
+
+/**
+ * StackedBarChart
+ * One bar per statement period, stacked by series (category or criticality).
+ * Negative amounts (refunds) are left out of the stack; the table shows them.
+ *
+ * @param {Object} props
+ * @param {Array<{value: string, label: string, title: string, shortLabel: string}>} props.periods - oldest first
+ * @param {Array<Object>} props.series - chart series (see trendSeries.chartSeries)
+ * @param {Intl.NumberFormat} props.fmt
+ * @param {Function} [props.onSelect] - (key, periodValue) when a segment is clicked
+ * @returns {JSX.Element}
+ */
+export default function StackedBarChart({ periods, series, fmt, onSelect }) {
+    const stackTotals = periods.map((_, i) => series.reduce((sum, s) => sum + Math.max(0, s.values[i]), 0));
+    const max = niceCeil(Math.max(0, ...stackTotals)) || 1;
+    const y = yScale(0, max);
+    const { centers, band } = bandCenters(periods.length);
+    const barWidth = Math.min(56, band * 0.6);
+
+    return (
+        <svg className={styles.chart} viewBox={`0 0 ${CHART.WIDTH} ${CHART.HEIGHT}`} role="img" aria-label="Spending per statement period, stacked">
+            <ChartAxes min={0} max={max} y={y} periods={periods} centers={centers} />
+            {periods.map((p, i) => {
+                let base = 0;
+                return (
+                    <g key={p.value}>
+                        {series.map((s, si) => {
+                            const value = Math.max(0, s.values[i]);
+                            if (value === 0) return null;
+                            const top = y(base + value);
+                            const height = y(base) - top;
+                            base += value;
+                            const clickable = Boolean(onSelect) && !s.isOther;
+                            return (
+                                <rect
+                                    key={s.key}
+                                    className={clickable ? styles.segmentClickable : styles.segment}
+                                    x={centers[i] - barWidth / 2}
+                                    y={top}
+                                    width={barWidth}
+                                    height={height}
+                                    fill={seriesColor(si)}
+                                    onClick={clickable ? () => onSelect(s.key, p.value) : undefined}
+                                >
+                                    <title>{`${s.key} — ${p.title}: ${fmt.format(s.values[i])}`}</title>
+                                </rect>
+                            );
+                        })}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
+
+StackedBarChart.propTypes = {
+    periods: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, label: PropTypes.string, title: PropTypes.string, shortLabel: PropTypes.string })).isRequired,
+    series: PropTypes.arrayOf(PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        values: PropTypes.arrayOf(PropTypes.number).isRequired,
+        isOther: PropTypes.bool,
+    })).isRequired,
+    fmt: PropTypes.object.isRequired,
+    onSelect: PropTypes.func,
+};
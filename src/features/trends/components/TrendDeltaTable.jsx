@@ -0,0 +1,114 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./Trends.module.css";
+import { seriesColor } from "../utils/chartGeometry";
+
+/**
+ * Formats a month-over-month delta, e.g. "+$12.00 (+8%)".
+ * @param {{amount: number, percent: number|null}|null} delta
+ * @param {Intl.NumberFormat} fmt
+ * @returns {string}
+ */
+function formatDelta(delta, fmt) {
+    if (!delta) return "";
+    const sign = delta.amount > 0 ? "+" : "";
+    const percent = delta.percent === null ? "" : ` (${delta.percent > 0 ? "+" : ""}${Math.round(delta.percent)}%)`;
+    return `${sign}${fmt.format(delta.amount)}${percent}`;
+}
+
+/**
+ * Class for a delta: spending more is flagged, spending less is good.
+ * @param {{amount: number}|null} delta
+ * @returns {string}
+ */
+function deltaClass(delta) {
+    if (!delta || delta.amount === 0) return styles.deltaFlat;
+    return delta.amount > 0 ? styles.deltaUp : styles.deltaDown;
+}
+
+/**
+ * TrendDeltaTable
+ * Spend per series (rows) and statement period (columns), each cell with its
+ * month-over-month change. Clicking a cell selects that series and period.
+ *
+ * @param {Object} props
+ * @param {Array<{value: string, label: string, title: string, shortLabel: string}>} props.periods - oldest first
+ * @param {Array<Object>} props.series - all series (see trendSeries.buildTrendSeries)
+ * @param {Array<number>} props.totals - total per period
+ * @param {Array} props.totalDeltas
+ * @param {Intl.NumberFormat} props.fmt
+ * @param {Function} [props.onSelect] - (key, periodValue); cells are only clickable when given
+ * @param {Object<string, number>} [props.colorIndex] - chart color index per series key
+ * @returns {JSX.Element}
+ */
+export default function TrendDeltaTable({ periods, series, totals, totalDeltas, fmt, onSelect, colorIndex = {} }) {
+    return (
+        <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+                <thead>
+                <tr>
+                    <th scope="col">Series</th>
+                    {periods.map((p) => (
+                        <th scope="col" key={p.value}>{p.title}</th>
+                    ))}
+                </tr>
+                </thead>
+                <tbody>
+                {series.length === 0 && (
+                    <tr>
+                        <td colSpan={periods.length + 1} className={styles.empty}>No spending in these periods.</td>
+                    </tr>
+                )}
+                {series.map((s) => (
+                    <tr key={s.key}>
+                        <th scope="row">
+                            <span className={styles.swatch} style={{ background: colorIndex[s.key] !== undefined ? seriesColor(colorIndex[s.key]) : "transparent" }} />
+                            {s.key}
+                        </th>
+                        {s.values.map((v, i) => (
+                            <td key={periods[i].value}>
+                                {onSelect ? (
+                                    <button
+                                        type="button"
+                                        className={styles.cellButton}
+                                        onClick={() => onSelect(s.key, periods[i].value)}
+                                        title={`Weekly breakdown of ${s.key} for ${periods[i].value}`}
+                                    >
+                                        {fmt.format(v)}
+                                    </button>
+                                ) : (
+                                    <span>{fmt.format(v)}</span>
+                                )}
+                                <span className={deltaClass(s.deltas[i])}>{formatDelta(s.deltas[i], fmt)}</span>
+                            </td>
+                        ))}
+                    </tr>
+                ))}
+                <tr className={styles.totalRow}>
+                    <th scope="row">Total</th>
+                    {totals.map((t, i) => (
+                        <td key={periods[i].value}>
+                            <span>{fmt.format(t)}</span>
+                            <span className={deltaClass(totalDeltas[i])}>{formatDelta(totalDeltas[i], fmt)}</span>
+                        </td>
+                    ))}
+                </tr>
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+TrendDeltaTable.propTypes = {
+    periods: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, label: PropTypes.string, title: PropTypes.string, shortLabel: PropTypes.string })).isRequired,
+    series: PropTypes.arrayOf(PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        values: PropTypes.arrayOf(PropTypes.number).isRequired,
+        deltas: PropTypes.array.isRequired,
+    })).isRequired,
+    totals: PropTypes.arrayOf(PropTypes.number).isRequired,
+    totalDeltas: PropTypes.array.isRequired,
+    fmt: PropTypes.object.isRequired,
+    onSelect: PropTypes.func,
+    colorIndex: PropTypes.object,
+};
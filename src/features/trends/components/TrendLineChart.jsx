@@ -0,0 +1,67 @@
+import React from "react";
+import PropTypes from "prop-types";
+import styles from "./Trends.module.css";
+import ChartAxes from "./ChartAxes";
+import { CHART, bandCenters, niceCeil, seriesColor, yScale } from "../utils/chartGeometry";
+
+/**
+ * TrendLineChart
+ * One line per series across statement periods, with a clickable point per period.
+ *
+ * @param {Object} props
+ * @param {Array<{value: string, label: string, title: string, shortLabel: string}>} props.periods - oldest first
+ * @param {Array<Object>} props.series - chart series (see trendSeries.chartSeries)
+ * @param {Intl.NumberFormat} props.fmt
+ * @param {Function} [props.onSelect] - (key, periodValue) when a point is clicked
+ * @returns {JSX.Element}
+ */
+export default function TrendLineChart({ periods, series, fmt, onSelect }) {
+    const values = series.flatMap((s) => s.values);
+    const max = niceCeil(Math.max(0, ...values)) || 1;
+    const min = -niceCeil(Math.max(0, ...values.map((v) => -v)));
+    const y = yScale(min, max);
+    const { centers } = bandCenters(periods.length);
+
+    return (
+        <svg className={styles.chart} viewBox={`0 0 ${CHART.WIDTH} ${CHART.HEIGHT}`} role="img" aria-label="Spending per statement period, by series">
+            <ChartAxes min={min} max={max} y={y} periods={periods} centers={centers} />
+            {series.map((s, si) => {
+                const color = seriesColor(si);
+                const clickable = Boolean(onSelect) && !s.isOther;
+                return (
+                    <g key={s.key}>
+                        <polyline
+                            className={styles.line}
+                            points={s.values.map((v, i) => `${centers[i]},${y(v)}`).join(" ")}
+                            stroke={color}
+                        />
+                        {s.values.map((v, i) => (
+                            <circle
+                                key={periods[i].value}
+                                className={clickable ? styles.pointClickable : styles.point}
+                                cx={centers[i]}
+                                cy={y(v)}
+                                r={4}
+                                fill={color}
+                                onClick={clickable ? () => onSelect(s.key, periods[i].value) : undefined}
+                            >
+                                <title>{`${s.key} — ${periods[i].label} ${periods[i].value.slice(-4)}: ${fmt.format(v)}`}</title>
+                            </circle>
+                        ))}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
+
+TrendLineChart.propTypes = {
+    periods: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, label: PropTypes.string, title: PropTypes.string, shortLabel: PropTypes.string })).isRequired,
+    series: PropTypes.arrayOf(PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        values: PropTypes.arrayOf(PropTypes.number).isRequired,
+        isOther: PropTypes.bool,
+    })).isRequired,
+    fmt: PropTypes.object.isRequired,
+    onSelect: PropTypes.func,
+};
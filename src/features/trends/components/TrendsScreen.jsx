@@ -0,0 +1,166 @@
+/**
+ * TrendsScreen
+ * - Spending over the last N statement periods for one household account.
+ * - Per-category or per-criticality series as stacked bars and lines, plus a table
+ *   with month-over-month deltas.
+ * - Clicking a category (bar segment, point or table cell) opens CategoryWeeklyModal
+ *   for that category and period.
+ *
+ * @module TrendsScreen
+ * @returns {JSX.Element}
+ */
+import React, { useMemo, useState } from "react";
+import styles from "./Trends.module.css";
+import StackedBarChart from "./StackedBarChart";
+import TrendLineChart from "./TrendLineChart";
+import TrendDeltaTable from "./TrendDeltaTable";
+import CategoryWeeklyModal from "../../categoryWeeklyModal/CategoryWeeklyModal";
+import { StatementPeriodProvider } from "../../../context/StatementPeriodProvider";
+import useTrendData, { DEFAULT_TREND_PERIOD_COUNT, TREND_PERIOD_COUNTS } from "../hooks/useTrendData";
+import { TREND_GROUPS, chartSeries } from "../utils/trendSeries";
+import { seriesColor } from "../utils/chartGeometry";
+import { getHouseholdAccounts, getPrimaryAccountFilter } from "../../../config/config.js";
+import useConfig from "../../../hooks/useConfig";
+
+/**
+ * Logger for TrendsScreen component.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[TrendsScreen]', ...args),
+    error: (...args) => console.error('[TrendsScreen]', ...args),
+};
+
+/**
+ * Currency formatter for USD display.
+ * @constant
+ */
+const fmt = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+
+const TrendsScreen = () => {
+    const config = useConfig();
+    const accounts = useMemo(() => getHouseholdAccounts(config), [config]);
+    const [account, setAccount] = useState(() => getPrimaryAccountFilter());
+    const [periodCount, setPeriodCount] = useState(DEFAULT_TREND_PERIOD_COUNT);
+    const [groupBy, setGroupBy] = useState(TREND_GROUPS.CATEGORY);
+    const [selection, setSelection] = useState(null); // { category, period }
+
+    const { periods, periodData, trend, loading, error, failedPeriods } = useTrendData({ account, periodCount, groupBy });
+
+    const charted = useMemo(() => chartSeries(trend.series), [trend.series]);
+    const colorIndex = useMemo(() => Object.fromEntries(charted.map((s, i) => [s.key, i])), [charted]);
+
+    // The weekly modal is per category, so only category series are drillable
+    const isCategoryView = groupBy === TREND_GROUPS.CATEGORY;
+    const handleSelect = (category, period) => {
+        logger.info('open weekly breakdown', { category, period, account });
+        setSelection({ category, period });
+    };
+    const onSelect = isCategoryView ? handleSelect : undefined;
+
+    const selectedTransactions = useMemo(
+        () => (selection ? periodData.find((p) => p.period === selection.period)?.transactions || [] : []),
+        [selection, periodData]
+    );
+
+    logger.info('render', { account, periodCount, groupBy, series: trend.series.length, loading, failedPeriods });
+
+    return (
+        <div className={styles.screen}>
+            <div className={styles.appCard}>
+                <div className={styles.header}>
+                    <h2 className={styles.title}>Trends</h2>
+                    <div className={styles.controls}>
+                        <label className={styles.control}>
+                            Account
+                            <select value={account} onChange={(e) => setAccount(e.target.value)}>
+                                {accounts.map((a) => (
+                                    <option key={a.id} value={a.filter}>{a.name}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className={styles.control}>
+                            Periods
+                            <select value={periodCount} onChange={(e) => setPeriodCount(Number(e.target.value))}>
+                                {TREND_PERIOD_COUNTS.map((n) => (
+                                    <option key={n} value={n}>Last {n}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <div className={styles.segmented} role="group" aria-label="Group by">
+                            <button
+                                type="button"
+                                className={isCategoryView ? styles.segmentActive : styles.segmentButton}
+                                aria-pressed={isCategoryView}
+                                onClick={() => setGroupBy(TREND_GROUPS.CATEGORY)}
+                            >
+                                Category
+                            </button>
+                            <button
+                                type="button"
+                                className={!isCategoryView ? styles.segmentActive : styles.segmentButton}
+                                aria-pressed={!isCategoryView}
+                                onClick={() => setGroupBy(TREND_GROUPS.CRITICALITY)}
+                            >
+                                Criticality
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                {loading && <div className={styles.loading}>Loading trends…</div>}
+                {error && <div className={styles.error}>Error: {error.message || String(error)}</div>}
+                {!error && failedPeriods.length > 0 && (
+                    <div className={styles.warning}>Could not load {failedPeriods.join(', ')}; shown as empty.</div>
+                )}
+
+                <ul className={styles.legend} aria-label="Legend">
+                    {charted.map((s, i) => (
+                        <li key={s.key}>
+                            <span className={styles.swatch} style={{ background: seriesColor(i) }} />
+                            {s.key}
+                        </li>
+                    ))}
+                </ul>
+
+                <div className={styles.charts}>
+                    <section className={styles.chartCard} aria-label="Stacked spending">
+                        <h3 className={styles.chartTitle}>Spending per period</h3>
+                        <StackedBarChart periods={periods} series={charted} fmt={fmt} onSelect={onSelect} />
+                    </section>
+                    <section className={styles.chartCard} aria-label="Spending lines">
+                        <h3 className={styles.chartTitle}>{isCategoryView ? 'By category' : 'By criticality'}</h3>
+                        <TrendLineChart periods={periods} series={charted} fmt={fmt} onSelect={onSelect} />
+                    </section>
+                </div>
+
+                <TrendDeltaTable
+                    periods={periods}
+                    series={trend.series}
+                    totals={trend.totals}
+                    totalDeltas={trend.totalDeltas}
+                    fmt={fmt}
+                    onSelect={onSelect}
+                    colorIndex={colorIndex}
+                />
+            </div>
+
+            {selection && (
+                // Pin the modal's transaction table to the clicked period
+                <StatementPeriodProvider fixedPeriod={selection.period}>
+                    <CategoryWeeklyModal
+                        isOpen
+                        onClose={() => setSelection(null)}
+                        category={selection.category}
+                        transactions={selectedTransactions}
+                        fmt={fmt}
+                        options={{ statementPeriod: selection.period }}
+                        account={account}
+                    />
+                </StatementPeriodProvider>
+            )}
+        </div>
+    );
+};
+
+export default TrendsScreen;
@@ -0,0 +1,132 @@
+/**
+ * Hook: useTrendData
+ *
+ * Loads an account's transactions for the last N statement periods and shapes them
+ * into trend series:
+ * - the period range comes from generateOptions (the statement period dropdown's generator),
+ *   ending at the current period
+ * - periods are fetched in parallel; a period that fails is shown as empty and reported in
+ *   `failedPeriods` instead of failing the whole screen
+ * - refetches when transactions change elsewhere in the app (transactionsChanged events)
+ *
+ * @module useTrendData
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import budgetTransactionService from '../../../services/BudgetTransactionService';
+import { generateOptions, getScheme } from '../../../services/StatementPeriodService';
+import { subscribe } from '../../../services/TransactionEvents';
+import { getCriticalityOptions } from '../../../config/config.js';
+import useConfig from '../../../hooks/useConfig';
+import { DEFAULT_CRITICALITY_OPTIONS } from '../../transactionTable/utils/constants';
+import { TREND_GROUPS, buildTrendSeries } from '../utils/trendSeries';
+
+const logger = {
+    info: (...args) => console.log('[useTrendData]', ...args),
+    error: (...args) => console.error('[useTrendData]', ...args),
+};
+
+/** Events that change budget transactions. */
+const TRANSACTION_EVENTS = new Set(['transactionsChanged', 'transactionsChanged:upload']);
+
+/** Period counts offered on the Trends screen. */
+export const TREND_PERIOD_COUNTS = [3, 6, 12];
+export const DEFAULT_TREND_PERIOD_COUNT = 6;
+
+/**
+ * Flattens a getTransactionsForAccount response into one list.
+ * @param {Object} result
+ * @returns {Array<Object>}
+ */
+function flattenAccountResult(result) {
+    return [
+        ...(result?.personalTransactions?.transactions || []),
+        ...(result?.jointTransactions?.transactions || []),
+    ];
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.account - Account filter, e.g. "joint".
+ * @param {number} [params.periodCount=DEFAULT_TREND_PERIOD_COUNT] - How many periods, ending at the current one.
+ * @param {string} [params.groupBy=TREND_GROUPS.CATEGORY]
+ * @returns {Object} { periods, periodData, trend, loading, error, failedPeriods, refetch }
+ */
+export default function useTrendData({ account, periodCount = DEFAULT_TREND_PERIOD_COUNT, groupBy = TREND_GROUPS.CATEGORY }) {
+    const config = useConfig();
+    const criticalityOptions = useMemo(() => {
+        const opts = getCriticalityOptions(config);
+        return opts.length > 0 ? opts : DEFAULT_CRITICALITY_OPTIONS;
+    }, [config]);
+
+    /**
+     * Statement periods, oldest first ({label, title, shortLabel, value, start, end, ...}).
+     */
+    const periods = useMemo(
+        () => generateOptions({ anchor: new Date(), prev: Math.max(0, periodCount - 1), forward: 0, scheme: getScheme(config) }),
+        [periodCount, config]
+    );
+
+    const [periodData, setPeriodData] = useState([]);
+    const [failedPeriods, setFailedPeriods] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const requestRef = useRef(0);
+
+    const fetchAll = useCallback(async () => {
+        if (!account || periods.length === 0) {
+            setPeriodData([]);
+            return;
+        }
+        const requestId = ++requestRef.current;
+        setLoading(true);
+        setError(null);
+        logger.info('fetchAll', { account, periods: periods.map((p) => p.value) });
+
+        const results = await Promise.all(periods.map(async (p) => {
+            try {
+                const result = await budgetTransactionService.getTransactionsForAccount({ account, statementPeriod: p.value });
+                return { period: p.value, label: p.label, transactions: flattenAccountResult(result), ok: true };
+            } catch (err) {
+                logger.error('period fetch failed', { period: p.value, err });
+                return { period: p.value, label: p.label, transactions: [], ok: false };
+            }
+        }));
+
+        // A newer request (account / range change) owns the state now
+        if (requestId !== requestRef.current) return;
+        const failed = results.filter((r) => !r.ok).map((r) => r.period);
+        setPeriodData(results);
+        setFailedPeriods(failed);
+        setError(failed.length === results.length ? new Error('Could not load transactions for any period.') : null);
+        setLoading(false);
+        logger.info('fetchAll done', { periods: results.length, failed });
+    }, [account, periods]);
+
+    useEffect(() => {
+        fetchAll();
+    }, [fetchAll]);
+
+    useEffect(() => {
+        // Any transaction change can move shared (joint) totals, so it refetches every period
+        const unsubscribe = subscribe((payload = {}) => {
+            if (TRANSACTION_EVENTS.has(payload?.type)) fetchAll();
+        });
+        return unsubscribe;
+    }, [fetchAll]);
+
+    const trend = useMemo(
+        () => buildTrendSeries(periodData, { groupBy, criticalityOptions }),
+        [periodData, groupBy, criticalityOptions]
+    );
+
+    return {
+        periods,
+        periodData,
+        trend,
+        loading,
+        error,
+        failedPeriods,
+        refetch: fetchAll,
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * chartGeometry
+ * Shared sizing, scale and color helpers for the Trends SVG charts.
+ *
+ * Pure functions only.
+ *
+ * @module chartGeometry
+ */
+
+/** viewBox size and padding (px) shared by both charts. */
+export const CHART = {
+    WIDTH: 720,
+    HEIGHT: 280,
+    PAD_LEFT: 64,
+    PAD_RIGHT: 16,
+    PAD_TOP: 16,
+    PAD_BOTTOM: 36,
+};
+
+/** Series colors, in series order (the largest series gets the first color). */
+export const SERIES_COLORS = [
+    '#7fb7db', '#9be3a7', '#f3c969', '#ff8a8a', '#c49bff',
+    '#6fd3c9', '#ffb37a', '#8db0ff', '#b1bcc6',
+];
+
+/**
+ * Color for the series at an index.
+ * @function seriesColor
+ * @param {number} index
+ * @returns {string}
+ */
+export function seriesColor(index) {
+    return SERIES_COLORS[index % SERIES_COLORS.length];
+}
+
+/**
+ * Rounds up to a "nice" axis bound (1, 2, 2.5 or 5 times a power of ten).
+ * @function niceCeil
+ * @param {number} value
+ * @returns {number}
+ */
+export function niceCeil(value) {
+    if (!(value > 0)) return 0;
+    const power = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 2.5, 5, 10].find((m) => m * power >= value);
+    return step * power;
+}
+
+/**
+ * Evenly spaced axis ticks from min to max (inclusive).
+ * @function axisTicks
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=4] - number of intervals
+ * @returns {Array<number>}
+ */
+export function axisTicks(min, max, count = 4) {
+    if (max === min) return [min];
+    return Array.from({ length: count + 1 }, (_, i) => min + ((max - min) * i) / count);
+}
+
+/**
+ * Linear scale from [min, max] to the plot's y range (SVG y grows downwards).
+ * @function yScale
+ * @param {number} min
+ * @param {number} max
+ * @returns {(value: number) => number}
+ */
+export function yScale(min, max) {
+    const top = CHART.PAD_TOP;
+    const bottom = CHART.HEIGHT - CHART.PAD_BOTTOM;
+    const span = max - min || 1;
+    return (value) => bottom - ((value - min) / span) * (bottom - top);
+}
+
+/**
+ * Center x of each period's band.
+ * @function bandCenters
+ * @param {number} count
+ * @returns {{centers: Array<number>, band: number}}
+ */
+export function bandCenters(count) {
+    const plotWidth = CHART.WIDTH - CHART.PAD_LEFT - CHART.PAD_RIGHT;
+    const band = count > 0 ? plotWidth / count : plotWidth;
+    return { centers: Array.from({ length: count }, (_, i) => CHART.PAD_LEFT + band * (i + 0.5)), band };
+}
+
+/**
+ * Compact axis label for an amount ($1.2k).
+ * @function shortAmount
+ * @param {number} value
+ * @returns {string}
+ */
+export function shortAmount(value) {
+    const abs = Math.abs(value);
+    const sign = value < 0 ? '-' : '';
+    if (abs >= 1000) return `${sign}$${(abs / 1000).toFixed(abs >= 10000 ? 0 : 1)}k`;
+    return `${sign}$${Math.round(abs)}`;
+}
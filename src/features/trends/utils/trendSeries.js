@@ -0,0 +1,117 @@
+/**
+ * trendSeries
+ * Turns per-period transaction lists into chart series for the Trends screen:
+ * spend per category or per criticality across statement periods, with
+ * month-over-month deltas.
+ *
+ * Pure functions only (no side effects).
+ *
+ * @module trendSeries
+ */
+
+export const TREND_GROUPS = {
+    CATEGORY: 'category',
+    CRITICALITY: 'criticality',
+};
+
+/** Series beyond this many (by total spend) are folded into OTHER_KEY in the charts. */
+export const MAX_CHART_SERIES = 8;
+export const OTHER_KEY = 'Other';
+
+const UNCATEGORIZED = 'Uncategorized';
+const UNSPECIFIED = 'Unspecified';
+
+/**
+ * @typedef {Object} TrendSeries
+ * @property {string} key - category or criticality
+ * @property {Array<number>} values - spend per period, oldest first
+ * @property {Array<{amount: number, percent: number|null}|null>} deltas - change vs the previous
+ *   period (null for the first period; percent is null when the previous value is 0)
+ * @property {number} total
+ */
+
+/**
+ * Group key of a transaction. Criticality is matched case-insensitively against the
+ * configured options so "essential" and "Essential" land in the same series.
+ *
+ * @function groupKey
+ * @param {Object} tx
+ * @param {string} groupBy - One of TREND_GROUPS.
+ * @param {Array<string>} [criticalityOptions=[]]
+ * @returns {string}
+ */
+export function groupKey(tx, groupBy, criticalityOptions = []) {
+    if (groupBy === TREND_GROUPS.CRITICALITY) {
+        const raw = String(tx?.criticality || '').trim();
+        if (!raw) return UNSPECIFIED;
+        return criticalityOptions.find((o) => o.toLowerCase() === raw.toLowerCase()) || raw;
+    }
+    return String(tx?.category || '').trim() || UNCATEGORIZED;
+}
+
+/**
+ * Change of each value against the one before it.
+ * @function periodDeltas
+ * @param {Array<number>} values
+ * @returns {Array<{amount: number, percent: number|null}|null>}
+ */
+export function periodDeltas(values) {
+    return values.map((value, i) => {
+        if (i === 0) return null;
+        const prev = values[i - 1];
+        return { amount: value - prev, percent: prev === 0 ? null : ((value - prev) / Math.abs(prev)) * 100 };
+    });
+}
+
+/**
+ * Builds one series per group across the given periods.
+ *
+ * @function buildTrendSeries
+ * @param {Array<{period: string, transactions: Array<Object>}>} periodData - oldest first
+ * @param {Object} [options]
+ * @param {string} [options.groupBy=TREND_GROUPS.CATEGORY]
+ * @param {Array<string>} [options.criticalityOptions]
+ * @returns {{periods: Array<string>, series: Array<TrendSeries>, totals: Array<number>, totalDeltas: Array}}
+ *   series sorted by total spend, largest first
+ */
+export function buildTrendSeries(periodData, { groupBy = TREND_GROUPS.CATEGORY, criticalityOptions = [] } = {}) {
+    const periods = periodData.map((p) => p.period);
+    const byKey = new Map();
+
+    periodData.forEach(({ transactions }, index) => {
+        (transactions || []).forEach((tx) => {
+            const key = groupKey(tx, groupBy, criticalityOptions);
+            if (!byKey.has(key)) byKey.set(key, new Array(periods.length).fill(0));
+            byKey.get(key)[index] += Number(tx?.amount) || 0;
+        });
+    });
+
+    const series = [...byKey.entries()]
+        .map(([key, values]) => ({
+            key,
+            values,
+            deltas: periodDeltas(values),
+            total: values.reduce((sum, v) => sum + v, 0),
+        }))
+        .sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+
+    const totals = periods.map((_, i) => series.reduce((sum, s) => sum + s.values[i], 0));
+    return { periods, series, totals, totalDeltas: periodDeltas(totals) };
+}
+
+/**
+ * Limits series for the charts: the largest MAX_CHART_SERIES are kept and the rest are
+ * summed into one OTHER_KEY series.
+ *
+ * @function chartSeries
+ * @param {Array<TrendSeries>} series - sorted largest first
+ * @param {number} [max=MAX_CHART_SERIES]
+ * @returns {Array<TrendSeries>}
+ */
+export function chartSeries(series, max = MAX_CHART_SERIES) {
+    if (series.length <= max) return series;
+    const kept = series.slice(0, max - 1);
+    const rest = series.slice(max - 1);
+    const values = rest[0].values.map((_, i) => rest.reduce((sum, s) => sum + s.values[i], 0));
+    return [...kept, { key: OTHER_KEY, values, deltas: periodDeltas(values), total: values.reduce((a, b) => a + b, 0), isOther: true }];
+}
@@ -0,0 +1,20 @@
+/**
+ * useConfig
+ *
+ * Subscribes to runtime config changes (config file, setOverrides) and returns the current
+ * config snapshot. The snapshot is frozen and replaced on every change, so hooks pass it to
+ * the config getters and list it in their memo deps; edits made on the Settings screen then
+ * apply without a reload.
+ *
+ * @module useConfig
+ */
+
+import { useSyncExternalStore } from 'react';
+import { subscribeConfig, getConfigSnapshot } from '../config/config.js';
+
+/**
+ * @returns {Object} config snapshot (see config.getConfigSnapshot)
+ */
+export default function useConfig() {
+    return useSyncExternalStore(subscribeConfig, getConfigSnapshot);
+}
@@ -4,13 +4,15 @@
  * Custom hook to load projected transactions (either global or account-scoped).
  * Subscribes to TransactionEvents and automatically refetches when projection-related
  * events occur (create/update/delete). Ensures returned transactions are annotated
- * with __isProjected=true for consistent UI rendering.
+ * with __isProjected=true for consistent UI rendering, and with recurringTemplateId for
+ * projections generated from a recurring template.
  *
  * @module useProjectedTransactions
  */
 
 import { useEffect, useState, useCallback, useRef } from 'react';
 import projectedTransactionService from '../services/ProjectedTransactionService';
+import recurringTemplateService from '../services/RecurringTemplateService';
 import { subscribe } from '../services/TransactionEvents';
 
 /**
@@ -47,11 +49,34 @@ function flattenAccountProjectedList(accountList) {
  *
  * @function annotateProjection
  * @param {Array} arr - Array of transactions.
+ * @param {Record<string, string>} [templateLinks] - projection id => recurring template id
  * @returns {Array} Annotated transactions with __isProjected: true.
  */
-function annotateProjection(arr) {
+function annotateProjection(arr, templateLinks = {}) {
     if (!Array.isArray(arr)) return [];
-    return arr.map((item) => ({ ...(item || {}), __isProjected: true }));
+    return arr.map((item) => {
+        const annotated = { ...(item || {}), __isProjected: true };
+        if (!annotated.recurringTemplateId && item?.id != null && templateLinks[item.id]) {
+            annotated.recurringTemplateId = templateLinks[item.id];
+        }
+        return annotated;
+    });
+}
+
+/**
+ * Loads the recurring-template links; failures only cost the Recurring badge.
+ *
+ * @async
+ * @function loadTemplateLinks
+ * @returns {Promise<Record<string, string>>}
+ */
+async function loadTemplateLinks() {
+    try {
+        return await recurringTemplateService.getProjectionLinks();
+    } catch (err) {
+        logger.error('loadTemplateLinks failed', err);
+        return {};
+    }
 }
 
 /**
@@ -102,18 +127,19 @@ export default function useProjectedTransactions({ statementPeriod, account } =
         latestPeriodRef.current = statementPeriod;
         try {
             let sorted;
+            const templateLinks = await loadTemplateLinks();
             if (account) {
                 const acctList = await projectedTransactionService.getTransactionsForAccount({
                     account,
                     statementPeriod,
                 });
                 const flattened = flattenAccountProjectedList(acctList);
-                sorted = annotateProjection(Array.isArray(flattened) ? flattened : [])
+                sorted = annotateProjection(Array.isArray(flattened) ? flattened : [], templateLinks)
                     .sort((a, b) => new Date(b.transactionDate) - new Date(a.transactionDate));
             } else {
                 const res = await projectedTransactionService.getTransactions({ statementPeriod });
                 const list = res?.transactions || [];
-                sorted = annotateProjection(Array.isArray(list) ? list : [])
+                sorted = annotateProjection(Array.isArray(list) ? list : [], templateLinks)
                     .sort((a, b) => new Date(b.transactionDate) - new Date(a.transactionDate));
             }
             // Only set if period matches latest
@@ -0,0 +1,99 @@
+/**
+ * useTransactionSplits
+ *
+ * Loads the split transactions (TransactionSplitService) and reloads them whenever a
+ * 'splitsChanged' event is published, so every view counting allocations stays in step
+ * with the split editor.
+ *
+ * @module useTransactionSplits
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import transactionSplitService from '../services/TransactionSplitService';
+import { subscribe } from '../services/TransactionEvents';
+
+const logger = {
+    info: (...args) => console.log('[useTransactionSplits]', ...args),
+    error: (...args) => console.error('[useTransactionSplits]', ...args),
+};
+
+/**
+ * @function useTransactionSplits
+ * @returns {Object} {
+ *   splits: Array,
+ *   splitsById: Map<string, Object>,
+ *   loading: boolean,
+ *   error: any,
+ *   saveSplit: Function,   // (parent, allocations) => Promise<Object>
+ *   removeSplit: Function, // (id) => Promise<void>
+ *   removeSplits: Function, // (ids) => Promise<number>
+ *   syncParent: Function,  // (parent) => Promise<Object|null>
+ *   refetch: Function
+ * }
+ */
+export default function useTransactionSplits() {
+    const [splits, setSplits] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchSplits = useCallback(async () => {
+        setLoading(true);
+        try {
+            const list = await transactionSplitService.getSplits();
+            setSplits(list);
+            setError(null);
+        } catch (err) {
+            logger.error('fetchSplits failed', err);
+            setError(err);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSplits();
+    }, [fetchSplits]);
+
+    useEffect(() => {
+        const unsubscribe = subscribe((payload = {}) => {
+            if (payload?.type !== 'splitsChanged') return;
+            logger.info('splitsChanged received; refetching', { reason: payload.reason });
+            fetchSplits();
+        });
+        return () => unsubscribe();
+    }, [fetchSplits]);
+
+    const splitsById = useMemo(() => new Map(splits.map((s) => [String(s.id), s])), [splits]);
+
+    const saveSplit = useCallback((parent, allocations) => transactionSplitService.saveSplit(parent, allocations), []);
+    const removeSplit = useCallback((id) => transactionSplitService.deleteSplit(id), []);
+    const removeSplits = useCallback((ids) => transactionSplitService.deleteSplits(ids), []);
+
+    /**
+     * Refreshes split snapshots after parents were edited; failures are only logged.
+     * @param {Object|Array<Object>} parents
+     * @returns {Promise<void>}
+     */
+    const syncParent = useCallback(async (parents) => {
+        const list = (Array.isArray(parents) ? parents : [parents]).filter((p) => p?.id != null && splitsById.has(String(p.id)));
+        for (const parent of list) {
+            try {
+                await transactionSplitService.syncParent(parent);
+            } catch (err) {
+                logger.error('syncParent failed', { id: parent.id, err });
+            }
+        }
+    }, [splitsById]);
+
+    return {
+        splits,
+        splitsById,
+        loading,
+        error,
+        saveSplit,
+        removeSplit,
+        removeSplits,
+        syncParent,
+        refetch: fetchSplits,
+    };
+}
@@ -2,6 +2,9 @@ import { useEffect, useState, useCallback, useRef } from 'react';
 import budgetTransactionService from '../services/BudgetTransactionService';
 import { subscribe as subscribeTransactionEvents } from '../services/TransactionEvents';
 
+/** Events that change budget transactions; limits, rules, splits etc. publish their own types. */
+const TRANSACTION_EVENTS = new Set(['transactionsChanged', 'transactionsChanged:upload']);
+
 /**
  * useTransactions - fetches transactions for given filters.
  * Returns { data, loading, error, refetch }.
@@ -36,7 +39,8 @@ export default function useTransactions(filters) {
 
     // Subscribe to transaction change events so we refetch when other parts of the app publish changes
     useEffect(() => {
-        const unsub = subscribeTransactionEvents(() => {
+        const unsub = subscribeTransactionEvents((payload = {}) => {
+            if (!TRANSACTION_EVENTS.has(payload?.type)) return;
             try {
                 fetchData(filters);
             } catch (err) {
@@ -103,7 +107,8 @@ export function useBudgetAndProjectedTransactionsForAccount(filters) {
 
     // Subscribe to transaction change events so account-specific consumers refetch when transactions change
     useEffect(() => {
-        const unsub = subscribeTransactionEvents(() => {
+        const unsub = subscribeTransactionEvents((payload = {}) => {
+            if (!TRANSACTION_EVENTS.has(payload?.type)) return;
             try {
                 fetchData(filters);
             } catch (err) {
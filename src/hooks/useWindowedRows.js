@@ -0,0 +1,265 @@
+/**
+ * useWindowedRows
+ *
+ * Windowed (virtualized) rendering for long row lists. Only the rows inside the visible
+ * viewport — plus an overscan margin and any pinned rows — are rendered; spacer items
+ * stand in for the rows in between so the scroll height stays correct.
+ *
+ * - Works with a list that scrolls itself (e.g. a max-height body) and with a list that
+ *   grows and lets the page scroll: the visible slice is measured from whichever scrolls.
+ * - Row heights are measured with a ResizeObserver through `measureRef(key)`; rows that
+ *   have not been measured yet use `estimateHeight`.
+ * - Rows listed in `pinnedKeys` and the row holding keyboard focus always stay mounted, so
+ *   inline editors keep their draft state and focus survives scrolling.
+ * - Below `threshold` rows windowing is off and every row renders as before.
+ *
+ * @module useWindowedRows
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+/**
+ * Logger for useWindowedRows.
+ * @constant
+ */
+const logger = {
+    info: (...args) => console.log('[useWindowedRows]', ...args),
+    error: (...args) => console.error('[useWindowedRows]', ...args),
+};
+
+/**
+ * Row count above which windowing turns on by default.
+ * @constant
+ */
+export const DEFAULT_WINDOW_THRESHOLD = 150;
+
+/**
+ * Attribute written on measured rows so focus and resize events map back to a row key.
+ * @constant
+ */
+const KEY_ATTRIBUTE = 'data-window-key';
+
+/**
+ * Largest index whose start offset is <= y (binary search over prefix offsets).
+ *
+ * @function findIndexAtOffset
+ * @param {number[]} offsets - prefix offsets, length count + 1
+ * @param {number} y
+ * @returns {number}
+ */
+function findIndexAtOffset(offsets, y) {
+    let lo = 0;
+    let hi = offsets.length - 2;
+    if (hi < 0) return 0;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (offsets[mid] <= y) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+/**
+ * Reads the visible slice of the list, relative to the top of its content.
+ *
+ * @function readViewport
+ * @param {HTMLElement} el - list container
+ * @returns {{top: number, height: number}}
+ */
+function readViewport(el) {
+    const scrolls = el.scrollHeight > el.clientHeight + 1;
+    if (scrolls) return { top: el.scrollTop, height: el.clientHeight };
+    // The list grows with its rows, so the page (or an ancestor) does the scrolling
+    const rect = el.getBoundingClientRect();
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    return { top: Math.max(0, -rect.top), height: viewportHeight };
+}
+
+/**
+ * @param {Object} params
+ * @param {string[]} params.keys - row keys in display order
+ * @param {number} [params.estimateHeight=44] - height used for rows not yet measured
+ * @param {number} [params.gap=0] - vertical gap between rows (flex gap of the container)
+ * @param {number} [params.overscan=8] - extra rows rendered above and below the viewport
+ * @param {number} [params.threshold=DEFAULT_WINDOW_THRESHOLD] - minimum row count to window
+ * @param {Array<string|number>} [params.pinnedKeys] - rows that must stay mounted
+ * @returns {{
+ *   enabled: boolean,
+ *   containerRef: (el: HTMLElement|null) => void,
+ *   items: Array<{type: 'row', index: number, key: string}|{type: 'spacer', key: string, height: number}>,
+ *   measureRef: (key: string|number) => (Function|undefined),
+ *   onFocus: (event: FocusEvent) => void,
+ *   scrollToIndex: (index: number) => void,
+ * }}
+ */
+export default function useWindowedRows({
+    keys,
+    estimateHeight = 44,
+    gap = 0,
+    overscan = 8,
+    threshold = DEFAULT_WINDOW_THRESHOLD,
+    pinnedKeys = [],
+}) {
+    const count = keys.length;
+    const enabled = count > threshold;
+
+    const elementsRef = useRef(new Map());
+    const refCallbacksRef = useRef(new Map());
+    const observerRef = useRef(null);
+    // Callback ref target: the effect below re-subscribes whenever the list element mounts
+    const [container, setContainer] = useState(null);
+    // Measured row heights by key; replaced (not mutated) when a height changes
+    const [heights, setHeights] = useState(() => new Map());
+    const [viewport, setViewport] = useState({ top: 0, height: 800 });
+    const [focusedKey, setFocusedKey] = useState(null);
+
+    // Prefix offsets: offsets[i] is where row i starts, offsets[count] the total height
+    const offsets = useMemo(() => {
+        const out = new Array(count + 1);
+        out[0] = 0;
+        if (!enabled) return out;
+        for (let i = 0; i < count; i += 1) {
+            const h = heights.get(keys[i]);
+            out[i + 1] = out[i] + (h ?? estimateHeight) + gap;
+        }
+        return out;
+    }, [keys, count, enabled, estimateHeight, gap, heights]);
+
+    // Track the visible slice on scroll (capture catches nested scrollers too) and resize
+    useEffect(() => {
+        const el = container;
+        if (!enabled || !el) return undefined;
+        let frame = 0;
+        const update = () => {
+            frame = 0;
+            const next = readViewport(el);
+            setViewport((prev) => (prev.top === next.top && prev.height === next.height ? prev : next));
+        };
+        const schedule = () => {
+            if (!frame) frame = window.requestAnimationFrame(update);
+        };
+        update();
+        window.addEventListener('scroll', schedule, true);
+        window.addEventListener('resize', schedule);
+        logger.info('windowing on');
+        return () => {
+            if (frame) window.cancelAnimationFrame(frame);
+            window.removeEventListener('scroll', schedule, true);
+            window.removeEventListener('resize', schedule);
+        };
+    }, [enabled, container]);
+
+    // One observer for every mounted row; heights feed the offsets above
+    useEffect(() => {
+        if (!enabled || typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver((entries) => {
+            const measured = entries
+                .map((entry) => [entry.target.getAttribute(KEY_ATTRIBUTE), entry.target.offsetHeight])
+                .filter(([key, height]) => key != null && height > 0);
+            if (measured.length === 0) return;
+            setHeights((prev) => {
+                const changed = measured.filter(([key, height]) => prev.get(key) !== height);
+                return changed.length === 0 ? prev : new Map([...prev, ...changed]);
+            });
+        });
+        observerRef.current = observer;
+        // Rows mounted before the observer existed
+        elementsRef.current.forEach((el) => observer.observe(el));
+        return () => {
+            observer.disconnect();
+            observerRef.current = null;
+        };
+    }, [enabled]);
+
+    /**
+     * Stable ref callback per row key; attaches the row element to the observer.
+     */
+    const measureRef = useCallback((rawKey) => {
+        if (!enabled) return undefined;
+        const key = String(rawKey);
+        let callback = refCallbacksRef.current.get(key);
+        if (!callback) {
+            callback = (el) => {
+                const prev = elementsRef.current.get(key);
+                if (prev && prev !== el) {
+                    observerRef.current?.unobserve(prev);
+                    elementsRef.current.delete(key);
+                }
+                if (el) {
+                    el.setAttribute(KEY_ATTRIBUTE, key);
+                    elementsRef.current.set(key, el);
+                    observerRef.current?.observe(el);
+                }
+            };
+            refCallbacksRef.current.set(key, callback);
+        }
+        return callback;
+    }, [enabled]);
+
+    /**
+     * Focus handler for the container: remembers which row holds focus so it stays mounted.
+     */
+    const onFocus = useCallback((event) => {
+        const rowEl = event.target?.closest?.(`[${KEY_ATTRIBUTE}]`);
+        setFocusedKey(rowEl ? rowEl.getAttribute(KEY_ATTRIBUTE) : null);
+    }, []);
+
+    /**
+     * Scrolls the minimum distance needed to bring a row into view.
+     */
+    const scrollToIndex = useCallback((index) => {
+        const el = container;
+        if (!el || index < 0 || index >= count) return;
+        if (!enabled) {
+            const rowEl = el.children[index];
+            rowEl?.scrollIntoView?.({ block: 'nearest' });
+            return;
+        }
+        const start = offsets[index];
+        const end = offsets[index + 1] - gap;
+        const view = readViewport(el);
+        let delta = 0;
+        if (start < view.top) delta = start - view.top;
+        else if (end > view.top + view.height) delta = end - (view.top + view.height);
+        if (delta === 0) return;
+        if (el.scrollHeight > el.clientHeight + 1) el.scrollTop += delta;
+        else window.scrollBy(0, delta);
+        // Update the window now rather than on the next scroll frame, so the row is mounted
+        // by the time a caller focuses it
+        setViewport(readViewport(el));
+    }, [container, count, enabled, offsets, gap]);
+
+    const items = useMemo(() => {
+        if (!enabled) return keys.map((key, index) => ({ type: 'row', index, key }));
+
+        const first = Math.max(0, findIndexAtOffset(offsets, viewport.top) - overscan);
+        const last = Math.min(count - 1, findIndexAtOffset(offsets, viewport.top + viewport.height) + overscan);
+
+        const indices = new Set();
+        for (let i = first; i <= last; i += 1) indices.add(i);
+        const pinned = new Set(pinnedKeys.filter((k) => k != null).map(String));
+        if (focusedKey != null) pinned.add(focusedKey);
+        if (pinned.size > 0) {
+            keys.forEach((key, index) => {
+                if (pinned.has(key)) indices.add(index);
+            });
+        }
+
+        const out = [];
+        let next = 0;
+        [...indices].sort((a, b) => a - b).forEach((index) => {
+            // A spacer plus its flex gap stands in for rows [next, index)
+            if (index > next) {
+                out.push({ type: 'spacer', key: `spacer-${next}`, height: Math.max(0, offsets[index] - offsets[next] - gap) });
+            }
+            out.push({ type: 'row', index, key: keys[index] });
+            next = index + 1;
+        });
+        if (next < count) {
+            out.push({ type: 'spacer', key: `spacer-${next}`, height: Math.max(0, offsets[count] - offsets[next] - gap) });
+        }
+        return out;
+    }, [enabled, keys, count, offsets, viewport, overscan, pinnedKeys, focusedKey, gap]);
+
+    return { enabled, items, containerRef: setContainer, measureRef, onFocus, scrollToIndex };
+}
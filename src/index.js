@@ -3,11 +3,15 @@ import ReactDOM from 'react-dom/client';
 import App from './App';
 import './index.css';
 import ErrorBoundary from './components/ErrorBoundary';
+import { loadConfigFile } from './config/config';
 
 function ConfigLoader() {
   const [ready, setReady] = useState(false);
   useEffect(() => {
-    setReady(true);
+    // Merge wmbservice-config.json over the env defaults before the first render
+    loadConfigFile()
+      .catch((err) => console.error('[ConfigLoader] config file load failed', err))
+      .finally(() => setReady(true));
   }, []);
   if (!ready) return <div style={{padding: 32}}>Loading configuration...</div>;
   return <App />;
@@ -4,7 +4,7 @@ const logger = {
 };
 
 import axios from 'axios';
-import config from "../config/config.js";
+import config, { subscribeConfig } from "../config/config.js";
 
 function generateTransactionId() {
     if (typeof crypto !== 'undefined' && crypto.randomUUID) {
@@ -19,6 +19,14 @@ function generateTransactionId() {
 
 let apiClientInstance = null;
 
+// Rebuild the client when the config file changes the server settings
+subscribeConfig(({ keys }) => {
+    if (apiClientInstance && (keys.includes('baseUrl') || keys.includes('defaultHeaders'))) {
+        logger.info('server config changed; API client will be re-created', { keys });
+        apiClientInstance = null;
+    }
+});
+
 export async function getApiClient() {
     if (!apiClientInstance) {
         const BASE_URL = config.baseUrl || '';
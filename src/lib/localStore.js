@@ -0,0 +1,114 @@
+/**
+ * localStore
+ * Renderer-side wrapper around the Electron main-process key-value store
+ * exposed by preload as window.electronAPI.localStore.
+ *
+ * Outside Electron (plain browser dev server) the store is unavailable and
+ * every call resolves to a no-op value, so callers fall back to network-only.
+ *
+ * @module localStore
+ */
+
+const logger = {
+    info: (...args) => console.log('[localStore]', ...args),
+    error: (...args) => console.error('[localStore]', ...args),
+};
+
+/**
+ * @returns {Object|null} the preload bridge, if present
+ */
+function bridge() {
+    return (typeof window !== 'undefined' && window.electronAPI && window.electronAPI.localStore) || null;
+}
+
+/**
+ * Whether a persistent local store is available in this runtime.
+ * @function isLocalStoreAvailable
+ * @returns {boolean}
+ */
+export function isLocalStoreAvailable() {
+    return Boolean(bridge());
+}
+
+/**
+ * Read a value; resolves null when missing or unavailable.
+ * @async
+ * @function getItem
+ * @param {string} key
+ * @returns {Promise<any>}
+ */
+export async function getItem(key) {
+    const api = bridge();
+    if (!api) return null;
+    try {
+        return await api.get(key);
+    } catch (err) {
+        logger.error('getItem failed', { key, message: err?.message });
+        return null;
+    }
+}
+
+/**
+ * Write a JSON-serializable value.
+ * @async
+ * @function setItem
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<boolean>} false when unavailable or the write failed
+ */
+export async function setItem(key, value) {
+    const api = bridge();
+    if (!api) return false;
+    try {
+        return await api.set(key, value);
+    } catch (err) {
+        logger.error('setItem failed', { key, message: err?.message });
+        return false;
+    }
+}
+
+/**
+ * Remove a value.
+ * @async
+ * @function removeItem
+ * @param {string} key
+ * @returns {Promise<boolean>}
+ */
+export async function removeItem(key) {
+    const api = bridge();
+    if (!api) return false;
+    try {
+        return await api.remove(key);
+    } catch (err) {
+        logger.error('removeItem failed', { key, message: err?.message });
+        return false;
+    }
+}
+
+/**
+ * List keys, optionally filtered by prefix.
+ * @async
+ * @function keys
+ * @param {string} [prefix]
+ * @returns {Promise<string[]>}
+ */
+export async function keys(prefix = '') {
+    const api = bridge();
+    if (!api) return [];
+    try {
+        return (await api.keys(prefix)) || [];
+    } catch (err) {
+        logger.error('keys failed', { prefix, message: err?.message });
+        return [];
+    }
+}
+
+const localStore = {
+    isLocalStoreAvailable,
+    getItem,
+    setItem,
+    removeItem,
+    keys,
+};
+
+export default localStore;
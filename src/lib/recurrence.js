@@ -0,0 +1,224 @@
+/**
+ * recurrence.js
+ *
+ * Schedule math for recurring transaction templates. Pure functions working on
+ * local calendar dates; occurrences are returned as 'YYYY-MM-DD' keys so they can
+ * double as stable instance identifiers.
+ *
+ * Schedule shape (template.schedule):
+ *   { type: 'monthlyDay', dayOfMonth }          - day N of every month (clamped to month end)
+ *   { type: 'everyNWeeks', intervalWeeks }      - every N weeks from template.startDate
+ *   { type: 'yearly', month, day }              - once a year (month 1-12)
+ *   { type: 'lastBusinessDay' }                 - last Monday-Friday of every month
+ *
+ * Statement periods are resolved through lib/statementPeriods, so occurrences land in the
+ * period that contains them under the configured scheme.
+ *
+ * @module recurrence
+ */
+
+import { DEFAULT_SCHEME, periodRange } from './statementPeriods';
+
+export const SCHEDULE_TYPES = {
+    MONTHLY_DAY: 'monthlyDay',
+    EVERY_N_WEEKS: 'everyNWeeks',
+    YEARLY: 'yearly',
+    LAST_BUSINESS_DAY: 'lastBusinessDay',
+};
+
+export const SCHEDULE_LABELS = {
+    [SCHEDULE_TYPES.MONTHLY_DAY]: 'Monthly on day',
+    [SCHEDULE_TYPES.EVERY_N_WEEKS]: 'Every N weeks',
+    [SCHEDULE_TYPES.YEARLY]: 'Yearly',
+    [SCHEDULE_TYPES.LAST_BUSINESS_DAY]: 'Last business day',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a local date as 'YYYY-MM-DD'.
+ * @function toDateKey
+ * @param {Date} d
+ * @returns {string}
+ */
+export function toDateKey(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Parses 'YYYY-MM-DD' (or any ISO string) into a local-midnight Date.
+ * @function fromDateKey
+ * @param {string} key
+ * @returns {Date|null}
+ */
+export function fromDateKey(key) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(key || ''));
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Number of days in a month.
+ * @param {number} year
+ * @param {number} monthIndex - 0-based
+ * @returns {number}
+ */
+function daysInMonth(year, monthIndex) {
+    return new Date(year, monthIndex + 1, 0).getDate();
+}
+
+/**
+ * Calls fn(year, monthIndex) for every calendar month touched by [from, to].
+ * @param {Date} from
+ * @param {Date} to
+ * @param {(year: number, monthIndex: number) => void} fn
+ */
+function forEachMonth(from, to, fn) {
+    const last = to.getFullYear() * 12 + to.getMonth();
+    for (let i = from.getFullYear() * 12 + from.getMonth(); i <= last; i += 1) {
+        fn(Math.floor(i / 12), i % 12);
+    }
+}
+
+/**
+ * Whole days between two local dates (DST-safe).
+ * @param {Date} a
+ * @param {Date} b
+ * @returns {number}
+ */
+function daysBetween(a, b) {
+    return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / DAY_MS);
+}
+
+/**
+ * Occurrences of a template's schedule within [from, to] (inclusive), bounded by
+ * the template's startDate / endDate.
+ *
+ * @function occurrencesBetween
+ * @param {Object} template - { schedule, startDate, endDate }
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {string[]} 'YYYY-MM-DD' keys, ascending
+ */
+export function occurrencesBetween(template, from, to) {
+    const schedule = template?.schedule || {};
+    const start = fromDateKey(template?.startDate);
+    const end = fromDateKey(template?.endDate);
+    const lo = start && start > from ? start : from;
+    const hi = end && end < to ? end : to;
+    if (!lo || !hi || lo > hi) return [];
+
+    const out = [];
+    const pushIfInRange = (d) => {
+        if (d >= lo && d <= hi) out.push(toDateKey(d));
+    };
+
+    switch (schedule.type) {
+        case SCHEDULE_TYPES.MONTHLY_DAY: {
+            const day = Math.min(Math.max(Number(schedule.dayOfMonth) || 1, 1), 31);
+            forEachMonth(lo, hi, (y, m) => pushIfInRange(new Date(y, m, Math.min(day, daysInMonth(y, m)))));
+            break;
+        }
+        case SCHEDULE_TYPES.LAST_BUSINESS_DAY: {
+            forEachMonth(lo, hi, (y, m) => {
+                const d = new Date(y, m, daysInMonth(y, m));
+                while (d.getDay() === 0 || d.getDay() === 6) d.setDate(d.getDate() - 1);
+                pushIfInRange(d);
+            });
+            break;
+        }
+        case SCHEDULE_TYPES.YEARLY: {
+            const monthIndex = Math.min(Math.max(Number(schedule.month) || 1, 1), 12) - 1;
+            const day = Math.max(Number(schedule.day) || 1, 1);
+            for (let y = lo.getFullYear(); y <= hi.getFullYear(); y += 1) {
+                pushIfInRange(new Date(y, monthIndex, Math.min(day, daysInMonth(y, monthIndex))));
+            }
+            break;
+        }
+        case SCHEDULE_TYPES.EVERY_N_WEEKS: {
+            // Anchored on startDate; without one there is nothing to count from.
+            if (!start) break;
+            const step = Math.max(Number(schedule.intervalWeeks) || 1, 1) * 7;
+            const skip = Math.max(0, Math.ceil(daysBetween(start, lo) / step));
+            for (let k = skip; ; k += 1) {
+                const d = new Date(start.getFullYear(), start.getMonth(), start.getDate() + k * step);
+                if (d > hi) break;
+                pushIfInRange(d);
+            }
+            break;
+        }
+        default:
+            break;
+    }
+    return out;
+}
+
+/**
+ * Occurrences of a template inside a statement period.
+ * @function occurrencesInPeriod
+ * @param {Object} template
+ * @param {string} statementPeriod
+ * @param {Date} [notBefore] - skip occurrences before this date (e.g. today)
+ * @param {Object} [scheme=DEFAULT_SCHEME] - normalized statement period scheme
+ * @returns {string[]}
+ */
+export function occurrencesInPeriod(template, statementPeriod, notBefore, scheme = DEFAULT_SCHEME) {
+    const range = periodRange(statementPeriod, scheme);
+    if (!range) return [];
+    const from = notBefore && notBefore > range.start ? notBefore : range.start;
+    return occurrencesBetween(template, from, range.end);
+}
+
+/**
+ * Whether two schedules (including start/end bounds) produce the same dates.
+ * @function sameSchedule
+ * @param {Object} a - template
+ * @param {Object} b - template
+ * @returns {boolean}
+ */
+export function sameSchedule(a, b) {
+    const pick = (t) => JSON.stringify({ s: t?.schedule || {}, start: t?.startDate || '', end: t?.endDate || '' });
+    return pick(a) === pick(b);
+}
+
+/**
+ * Human-readable schedule summary.
+ * @function describeSchedule
+ * @param {Object} template
+ * @returns {string}
+ */
+export function describeSchedule(template) {
+    const s = template?.schedule || {};
+    switch (s.type) {
+        case SCHEDULE_TYPES.MONTHLY_DAY:
+            return `Monthly on day ${Number(s.dayOfMonth) || 1}`;
+        case SCHEDULE_TYPES.EVERY_N_WEEKS: {
+            const n = Math.max(Number(s.intervalWeeks) || 1, 1);
+            return `${n === 1 ? 'Every week' : `Every ${n} weeks`}${template?.startDate ? ` from ${template.startDate}` : ''}`;
+        }
+        case SCHEDULE_TYPES.YEARLY: {
+            const monthIndex = Math.min(Math.max(Number(s.month) || 1, 1), 12) - 1;
+            const monthName = new Date(2000, monthIndex, 1).toLocaleString('en-US', { month: 'long' });
+            return `Yearly on ${monthName} ${Number(s.day) || 1}`;
+        }
+        case SCHEDULE_TYPES.LAST_BUSINESS_DAY:
+            return 'Last business day of the month';
+        default:
+            return 'No schedule';
+    }
+}
+
+const recurrence = {
+    SCHEDULE_TYPES,
+    SCHEDULE_LABELS,
+    toDateKey,
+    fromDateKey,
+    occurrencesBetween,
+    occurrencesInPeriod,
+    sameSchedule,
+    describeSchedule,
+};
+
+export default recurrence;
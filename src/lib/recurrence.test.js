@@ -0,0 +1,73 @@
+import { SCHEDULE_TYPES, occurrencesBetween, occurrencesInPeriod, sameSchedule, describeSchedule } from './recurrence';
+import { SCHEME_TYPES, normalizeScheme } from './statementPeriods';
+
+const day = (y, m, d) => new Date(y, m - 1, d);
+const template = (schedule, extra = {}) => ({ schedule, ...extra });
+
+describe('occurrencesBetween', () => {
+    it('clamps a monthly day to short months', () => {
+        const monthly31 = template({ type: SCHEDULE_TYPES.MONTHLY_DAY, dayOfMonth: 31 });
+        expect(occurrencesBetween(monthly31, day(2026, 2, 1), day(2026, 4, 30))).toEqual(['2026-02-28', '2026-03-31', '2026-04-30']);
+        expect(occurrencesBetween(monthly31, day(2028, 2, 1), day(2028, 2, 29))).toEqual(['2028-02-29']);
+    });
+
+    it('moves the last business day off weekends', () => {
+        const lastBusinessDay = template({ type: SCHEDULE_TYPES.LAST_BUSINESS_DAY });
+        expect(occurrencesBetween(lastBusinessDay, day(2026, 1, 1), day(2026, 2, 28))).toEqual(['2026-01-30', '2026-02-27']);
+        expect(occurrencesBetween(lastBusinessDay, day(2026, 5, 1), day(2026, 8, 31)))
+            .toEqual(['2026-05-29', '2026-06-30', '2026-07-31', '2026-08-31']);
+    });
+
+    it('counts every N weeks from the start date, whatever the window', () => {
+        const biweekly = template({ type: SCHEDULE_TYPES.EVERY_N_WEEKS, intervalWeeks: 2 }, { startDate: '2026-01-02' });
+        expect(occurrencesBetween(biweekly, day(2026, 3, 1), day(2026, 3, 31))).toEqual(['2026-03-13', '2026-03-27']);
+        expect(occurrencesBetween(biweekly, day(2025, 12, 1), day(2026, 1, 20))).toEqual(['2026-01-02', '2026-01-16']);
+        expect(occurrencesBetween({ schedule: biweekly.schedule }, day(2026, 3, 1), day(2026, 3, 31))).toEqual([]);
+    });
+
+    it('keeps yearly dates in range and clamps Feb 29', () => {
+        const leapDay = template({ type: SCHEDULE_TYPES.YEARLY, month: 2, day: 29 });
+        expect(occurrencesBetween(leapDay, day(2027, 1, 1), day(2028, 12, 31))).toEqual(['2027-02-28', '2028-02-29']);
+    });
+
+    it('stays inside the template start and end dates', () => {
+        const monthly = template({ type: SCHEDULE_TYPES.MONTHLY_DAY, dayOfMonth: 15 }, { startDate: '2026-02-16', endDate: '2026-04-15' });
+        expect(occurrencesBetween(monthly, day(2026, 1, 1), day(2026, 12, 31))).toEqual(['2026-03-15', '2026-04-15']);
+        expect(occurrencesBetween(monthly, day(2026, 5, 1), day(2026, 12, 31))).toEqual([]);
+    });
+
+    it('is empty without a known schedule', () => {
+        expect(occurrencesBetween(template({ type: 'hourly' }), day(2026, 1, 1), day(2026, 1, 31))).toEqual([]);
+    });
+});
+
+describe('occurrencesInPeriod', () => {
+    const monthly25 = template({ type: SCHEDULE_TYPES.MONTHLY_DAY, dayOfMonth: 25 });
+
+    it('uses the statement period scheme and skips dates before notBefore', () => {
+        const closeDay20 = normalizeScheme({ type: SCHEME_TYPES.CLOSE_DAY, closeDay: 20 });
+        expect(occurrencesInPeriod(monthly25, 'OCTOBER2026')).toEqual(['2026-10-25']);
+        expect(occurrencesInPeriod(monthly25, 'OCTOBER2026', undefined, closeDay20)).toEqual(['2026-09-25']);
+        expect(occurrencesInPeriod(monthly25, 'OCTOBER2026', day(2026, 10, 26))).toEqual([]);
+        expect(occurrencesInPeriod(monthly25, 'NOT A PERIOD')).toEqual([]);
+    });
+});
+
+describe('sameSchedule / describeSchedule', () => {
+    it('compares schedules with their bounds', () => {
+        const a = template({ type: SCHEDULE_TYPES.MONTHLY_DAY, dayOfMonth: 1 }, { name: 'Rent' });
+        expect(sameSchedule(a, { ...a, name: 'Rent (new)', amount: 2000 })).toBe(true);
+        expect(sameSchedule(a, { ...a, endDate: '2026-12-31' })).toBe(false);
+    });
+
+    it.each([
+        [template({ type: SCHEDULE_TYPES.MONTHLY_DAY, dayOfMonth: 3 }), 'Monthly on day 3'],
+        [template({ type: SCHEDULE_TYPES.EVERY_N_WEEKS, intervalWeeks: 1 }), 'Every week'],
+        [template({ type: SCHEDULE_TYPES.EVERY_N_WEEKS, intervalWeeks: 2 }, { startDate: '2026-01-02' }), 'Every 2 weeks from 2026-01-02'],
+        [template({ type: SCHEDULE_TYPES.YEARLY, month: 4, day: 15 }), 'Yearly on April 15'],
+        [template({ type: SCHEDULE_TYPES.LAST_BUSINESS_DAY }), 'Last business day of the month'],
+        [{}, 'No schedule'],
+    ])('%p -> %s', (t, text) => {
+        expect(describeSchedule(t)).toBe(text);
+    });
+});
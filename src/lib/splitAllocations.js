@@ -0,0 +1,265 @@
+/**
+ * splitAllocations.js
+ *
+ * Math for split transactions: a parent charge whose amount is allocated across
+ * categories and accounts. Pure functions shared by TransactionSplitService (validation)
+ * and the views that count allocations instead of the parent (category totals, payment
+ * breakdowns, balances).
+ *
+ * Amounts are compared in whole cents so 33.33 + 33.33 + 33.34 equals 100.00.
+ *
+ * A split is only counted while it is current: when the parent's amount (as fetched, or as
+ * last snapshotted) no longer matches the allocations, or when the view should have fetched
+ * the parent but did not (it was deleted), the split is ignored and the parent counts as is.
+ *
+ * @module splitAllocations
+ */
+
+/** Allocations a split needs at least. */
+export const MIN_ALLOCATIONS = 2;
+
+/** Parent fields kept on the split, so views without the parent can still count it. */
+const SNAPSHOT_FIELDS = [
+    'name', 'amount', 'account', 'category', 'criticality', 'paymentMethod', 'transactionDate', 'statementPeriod',
+];
+
+/**
+ * @function toCents
+ * @param {number|string} amount
+ * @returns {number} whole cents (NaN-safe: 0)
+ */
+export function toCents(amount) {
+    const n = Number(amount);
+    return Number.isFinite(n) ? Math.round(n * 100) : 0;
+}
+
+/**
+ * @function sumAllocations
+ * @param {Array<{amount: number|string}>} allocations
+ * @returns {number} sum in currency units, rounded to the cent
+ */
+export function sumAllocations(allocations) {
+    return (allocations || []).reduce((sum, a) => sum + toCents(a?.amount), 0) / 100;
+}
+
+/**
+ * Amount of the parent not yet allocated (negative when over-allocated).
+ * @function splitRemainder
+ * @param {{amount: number|string}} parent
+ * @param {Array<{amount: number|string}>} allocations
+ * @returns {number}
+ */
+export function splitRemainder(parent, allocations) {
+    return (toCents(parent?.amount) - Math.round(sumAllocations(allocations) * 100)) / 100;
+}
+
+/**
+ * Validates allocations against their parent.
+ *
+ * @function validateSplit
+ * @param {{amount: number|string}} parent
+ * @param {Array<{category: string, account: string, amount: number|string}>} allocations
+ * @returns {Array<string>} error messages; empty when the split can be saved
+ */
+export function validateSplit(parent, allocations) {
+    const errors = [];
+    const list = allocations || [];
+    if (list.length < MIN_ALLOCATIONS) errors.push(`A split needs at least ${MIN_ALLOCATIONS} allocations`);
+    list.forEach((a, i) => {
+        if (!a?.category || String(a.category).trim() === '') errors.push(`Allocation ${i + 1}: category required`);
+        if (!Number.isFinite(Number(a?.amount)) || toCents(a?.amount) === 0) errors.push(`Allocation ${i + 1}: amount required`);
+    });
+    const remainder = splitRemainder(parent, list);
+    if (remainder !== 0) {
+        errors.push(remainder > 0
+            ? `${remainder.toFixed(2)} of the charge is not allocated`
+            : `Allocations exceed the charge by ${Math.abs(remainder).toFixed(2)}`);
+    }
+    return errors;
+}
+
+/**
+ * Parent fields stored on a split.
+ * @function snapshotParent
+ * @param {Object} tx
+ * @returns {Object}
+ */
+export function snapshotParent(tx) {
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach((field) => {
+        snapshot[field] = field === 'amount' ? Number(tx?.amount) || 0 : (tx?.[field] ?? '');
+    });
+    return snapshot;
+}
+
+/**
+ * @function isSplitCurrent
+ * @param {Object} split
+ * @param {Object} tx - the parent as fetched, or the split's snapshot of it
+ * @returns {boolean} true while the allocations still add up to the parent's amount
+ */
+export function isSplitCurrent(split, tx) {
+    return toCents(tx?.amount) === Math.round(sumAllocations(split?.allocations) * 100);
+}
+
+/**
+ * Balance bucket of an account in an account view: shared accounts count toward the joint
+ * balance, the view's own account toward the personal balance, other accounts not at all.
+ *
+ * @function makeAccountBucket
+ * @param {string} viewAccount - the view's account filter
+ * @param {Array<string>} [sharedFilters] - account filters of the shared accounts
+ * @returns {function(string): ('personal'|'joint'|null)}
+ */
+export function makeAccountBucket(viewAccount, sharedFilters = []) {
+    const view = String(viewAccount || '').toLowerCase();
+    const shared = new Set(sharedFilters.map((f) => String(f).toLowerCase()));
+    return (account) => {
+        const acct = String(account || '').toLowerCase();
+        if (shared.has(acct)) return 'joint';
+        if (acct && acct === view) return 'personal';
+        return null;
+    };
+}
+
+/**
+ * @param {string} value
+ * @param {string} [filter]
+ * @returns {boolean} true when there is no filter or the value matches it (case-insensitive)
+ */
+function matchesFilter(value, filter) {
+    return !filter || String(value || '').toLowerCase() === String(filter).toLowerCase();
+}
+
+/**
+ * Counts splits in an account view: each split parent the view fetched is replaced by the
+ * allocations that belong in the view, and allocations of parents fetched elsewhere (a
+ * different criticality, or another account) are added.
+ *
+ * Allocation rows reuse the parent's name, date and payment method, with
+ * `id: "<parentId>:<allocationId>"` and `__splitOf: parentId`.
+ *
+ * @function applySplits
+ * @param {Array<Object>} transactions - actual transactions the view fetched
+ * @param {Array<Object>} splits
+ * @param {Object} options
+ * @param {string} [options.statementPeriod] - only splits whose parent is in this period
+ * @param {string} [options.criticality] - the view's criticality filter, if any
+ * @param {function(string): ('personal'|'joint'|null)} options.bucketFor - see makeAccountBucket
+ * @returns {{transactions: Array<Object>, deltas: {personal: number, joint: number, total: number}}}
+ *   the view's rows with splits applied, and how much each balance changes
+ */
+export function applySplits(transactions, splits, { statementPeriod, criticality, bucketFor }) {
+    const rows = transactions || [];
+    const deltaCents = { personal: 0, joint: 0 };
+    if (!Array.isArray(splits) || splits.length === 0) {
+        return { transactions: rows, deltas: { personal: 0, joint: 0, total: 0 } };
+    }
+
+    const byId = new Map();
+    rows.forEach((tx) => {
+        if (tx?.id != null && !tx.__isProjected) byId.set(String(tx.id), tx);
+    });
+
+    const replaced = new Set();
+    const added = [];
+    splits.forEach((split) => {
+        const parent = split?.parent || {};
+        if (statementPeriod && parent.statementPeriod && parent.statementPeriod !== statementPeriod) return;
+
+        const fetched = byId.get(String(split.id));
+        const expected = bucketFor(parent.account) != null && matchesFilter(parent.criticality, criticality);
+        if (!fetched && expected) return;
+        const source = fetched || parent;
+        if (!isSplitCurrent(split, source)) return;
+
+        if (fetched) {
+            replaced.add(String(split.id));
+            const bucket = bucketFor(fetched.account);
+            if (bucket) deltaCents[bucket] -= toCents(fetched.amount);
+        }
+        (split.allocations || []).forEach((alloc) => {
+            const bucket = bucketFor(alloc.account);
+            if (!bucket || !matchesFilter(alloc.criticality, criticality)) return;
+            deltaCents[bucket] += toCents(alloc.amount);
+            added.push({
+                ...source,
+                id: `${split.id}:${alloc.id}`,
+                category: alloc.category,
+                criticality: alloc.criticality,
+                account: alloc.account,
+                amount: Number(alloc.amount),
+                __splitOf: split.id,
+                __allocationId: alloc.id,
+            });
+        });
+    });
+
+    return {
+        transactions: [...rows.filter((tx) => !replaced.has(String(tx?.id))), ...added],
+        deltas: {
+            personal: deltaCents.personal / 100,
+            joint: deltaCents.joint / 100,
+            total: (deltaCents.personal + deltaCents.joint) / 100,
+        },
+    };
+}
+
+/**
+ * Adds an amount to a category row of a payment breakdown; rows that reach zero are dropped.
+ * @param {Array<{category: string, amount: number, type: string}>} rows
+ * @param {string} category
+ * @param {number} cents
+ * @returns {Array<Object>}
+ */
+function adjustBreakdown(rows, category, cents) {
+    const list = (rows || []).map((r) => ({ ...r }));
+    const row = list.find((r) => r.category === category);
+    if (row) row.amount = (toCents(row.amount) + cents) / 100;
+    else list.push({ category, amount: cents / 100, type: 'Actual' });
+    return list.filter((r) => toCents(r.amount) !== 0);
+}
+
+/**
+ * Moves split amounts between members and categories in a normalized payment summary
+ * (see normalizePaymentSummary): the parent's amount comes off its account's card total
+ * and category row, and each allocation is added to its own account's. Only member
+ * accounts (`users`) are adjusted; allocations to a shared account are not on the
+ * members' breakdowns, like any other shared-account charge.
+ *
+ * @function applySplitsToPaymentSummary
+ * @param {{payments: Object, breakdowns: Object}} summary - payments[card][user], breakdowns[card][user]
+ * @param {Array<Object>} splits
+ * @param {Object} options
+ * @param {string} options.statementPeriod
+ * @param {Array<string>} options.users - lower-cased member account filters
+ * @returns {{payments: Object, breakdowns: Object}} new objects; the input is not modified
+ */
+export function applySplitsToPaymentSummary({ payments, breakdowns }, splits, { statementPeriod, users }) {
+    if (!Array.isArray(splits) || splits.length === 0) return { payments, breakdowns };
+    const members = new Set((users || []).map((u) => String(u).toLowerCase()));
+    const nextPayments = {};
+    const nextBreakdowns = {};
+    Object.keys(payments || {}).forEach((card) => { nextPayments[card] = { ...payments[card] }; });
+    Object.keys(breakdowns || {}).forEach((card) => { nextBreakdowns[card] = { ...breakdowns[card] }; });
+
+    const adjust = (card, account, category, cents) => {
+        const user = String(account || '').toLowerCase();
+        if (!members.has(user) || !nextPayments[card]) return;
+        nextPayments[card][user] = (toCents(nextPayments[card][user]) + cents) / 100;
+        if (nextBreakdowns[card]) {
+            nextBreakdowns[card][user] = adjustBreakdown(nextBreakdowns[card][user], category || 'Uncategorized', cents);
+        }
+    };
+
+    splits.forEach((split) => {
+        const parent = split?.parent || {};
+        if (parent.statementPeriod !== statementPeriod || !isSplitCurrent(split, parent)) return;
+        const card = String(parent.paymentMethod || '').toLowerCase();
+        if (!nextPayments[card]) return;
+        adjust(card, parent.account, parent.category, -toCents(parent.amount));
+        (split.allocations || []).forEach((alloc) => adjust(card, alloc.account, alloc.category, toCents(alloc.amount)));
+    });
+
+    return { payments: nextPayments, breakdowns: nextBreakdowns };
+}
@@ -0,0 +1,116 @@
+import {
+    toCents,
+    sumAllocations,
+    splitRemainder,
+    validateSplit,
+    isSplitCurrent,
+    makeAccountBucket,
+    applySplits,
+    applySplitsToPaymentSummary,
+} from './splitAllocations';
+
+const thirds = [
+    { id: 'a', category: 'Food', account: 'alice', amount: 33.33 },
+    { id: 'b', category: 'Home', account: 'bob', amount: 33.33 },
+    { id: 'c', category: 'Fun', account: 'joint', amount: 33.34 },
+];
+
+describe('rounding', () => {
+    it('compares allocations in whole cents', () => {
+        expect(0.1 + 0.2).not.toBe(0.3);
+        expect(sumAllocations([{ amount: 0.1 }, { amount: 0.2 }])).toBe(0.3);
+        expect(sumAllocations(thirds)).toBe(100);
+        expect(splitRemainder({ amount: 100 }, thirds)).toBe(0);
+        expect(splitRemainder({ amount: '19.99' }, [{ amount: 10 }, { amount: '9.98' }])).toBe(0.01);
+    });
+
+    it('treats junk as zero cents', () => {
+        expect(toCents('abc')).toBe(0);
+        expect(toCents(undefined)).toBe(0);
+    });
+});
+
+describe('validateSplit', () => {
+    it('accepts allocations that sum to the parent to the cent', () => {
+        expect(validateSplit({ amount: 100 }, thirds)).toEqual([]);
+    });
+
+    it('reports a missing cent, over-allocation and incomplete rows', () => {
+        expect(validateSplit({ amount: 100.01 }, thirds)).toEqual(['0.01 of the charge is not allocated']);
+        expect(validateSplit({ amount: 99.99 }, thirds)).toEqual(['Allocations exceed the charge by 0.01']);
+        expect(validateSplit({ amount: 5 }, [{ category: '', amount: 5 }])).toEqual([
+            'A split needs at least 2 allocations',
+            'Allocation 1: category required',
+        ]);
+    });
+});
+
+describe('isSplitCurrent', () => {
+    it('is false once the parent amount changed', () => {
+        const split = { allocations: thirds };
+        expect(isSplitCurrent(split, { amount: '100.00' })).toBe(true);
+        expect(isSplitCurrent(split, { amount: 101 })).toBe(false);
+    });
+});
+
+describe('applySplits', () => {
+    const split = {
+        id: 7,
+        parent: { amount: 100, account: 'alice', criticality: 'Essential', statementPeriod: 'OCTOBER2026' },
+        allocations: thirds.map((a) => ({ ...a, criticality: 'Essential' })),
+    };
+    const bucketFor = makeAccountBucket('alice', ['joint']);
+
+    it('replaces a fetched parent with the allocations that belong in the view', () => {
+        const parent = { id: 7, name: 'Costco', amount: 100, account: 'alice', criticality: 'Essential' };
+        const { transactions, deltas } = applySplits([parent, { id: 8, amount: 5, account: 'alice' }], [split], {
+            statementPeriod: 'OCTOBER2026',
+            bucketFor,
+        });
+
+        expect(transactions.map((t) => [t.id, t.amount, t.name])).toEqual([
+            [8, 5, undefined],
+            ['7:a', 33.33, 'Costco'],
+            ['7:c', 33.34, 'Costco'],
+        ]);
+        expect(deltas).toEqual({ personal: -66.67, joint: 33.34, total: -33.33 });
+    });
+
+    it('adds allocations of a parent fetched by another view', () => {
+        const { transactions, deltas } = applySplits([], [split], { bucketFor: makeAccountBucket('bob', ['joint']) });
+
+        expect(transactions.map((t) => t.id)).toEqual(['7:b', '7:c']);
+        expect(deltas).toEqual({ personal: 33.33, joint: 33.34, total: 66.67 });
+    });
+
+    it('ignores a split whose parent amount changed', () => {
+        const parent = { id: 7, amount: 120, account: 'alice', criticality: 'Essential' };
+        expect(applySplits([parent], [split], { bucketFor }).transactions).toEqual([parent]);
+    });
+});
+
+describe('applySplitsToPaymentSummary', () => {
+    it('moves the parent amount to each member allocation without touching the input', () => {
+        const summary = {
+            payments: { visa: { alice: 150, bob: 0 } },
+            breakdowns: { visa: { alice: [{ category: 'Groceries', amount: 100, type: 'Actual' }, { category: 'Gas', amount: 50, type: 'Actual' }] } },
+        };
+        const split = {
+            id: 1,
+            parent: { amount: 100, account: 'alice', category: 'Groceries', paymentMethod: 'Visa', statementPeriod: 'OCTOBER2026' },
+            allocations: [
+                { account: 'alice', category: 'Food', amount: 60.01 },
+                { account: 'bob', category: 'Food', amount: 39.99 },
+            ],
+        };
+
+        const next = applySplitsToPaymentSummary(summary, [split], { statementPeriod: 'OCTOBER2026', users: ['Alice', 'Bob'] });
+
+        expect(next.payments.visa).toEqual({ alice: 110.01, bob: 39.99 });
+        expect(next.breakdowns.visa.alice).toEqual([
+            { category: 'Gas', amount: 50, type: 'Actual' },
+            { category: 'Food', amount: 60.01, type: 'Actual' },
+        ]);
+        expect(summary.payments.visa).toEqual({ alice: 150, bob: 0 });
+    });
+});
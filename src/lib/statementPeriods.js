@@ -0,0 +1,377 @@
+/**
+ * statementPeriods.js
+ *
+ * Statement period schemes: how the period values used across the app (and sent to the
+ * API as `statementPeriod`) map to date ranges. Pure functions on local calendar dates.
+ *
+ * Scheme shape (config `statementPeriodScheme`):
+ *   { type: 'calendarMonth' }                      - "OCTOBER2026" = Oct 1 - Oct 31
+ *   { type: 'closeDay', closeDay }                 - "OCTOBER2026" = the period closing on day N of
+ *                                                    October (clamped to month end), from the day
+ *                                                    after September's close
+ *   { type: 'biweekly', anchorDate: 'YYYY-MM-DD' } - 14-day periods starting on the anchor payday;
+ *                                                    "BIWEEKLY-2026-10-09" = Oct 9 - Oct 22
+ *   { type: 'custom', periods: [{ name, start, end }] }
+ *                                                  - named date ranges; the value is the name
+ *
+ * Month-based schemes keep the "OCTOBER2026" values, so existing data stays in its period.
+ * An invalid or missing scheme falls back to calendar months.
+ *
+ * @module statementPeriods
+ */
+
+export const SCHEME_TYPES = {
+    CALENDAR_MONTH: 'calendarMonth',
+    CLOSE_DAY: 'closeDay',
+    BIWEEKLY: 'biweekly',
+    CUSTOM: 'custom',
+};
+
+export const SCHEME_LABELS = {
+    [SCHEME_TYPES.CALENDAR_MONTH]: 'Calendar month',
+    [SCHEME_TYPES.CLOSE_DAY]: 'Monthly, closing on a day',
+    [SCHEME_TYPES.BIWEEKLY]: 'Every two weeks from a payday',
+    [SCHEME_TYPES.CUSTOM]: 'Custom date ranges',
+};
+
+export const DEFAULT_SCHEME = { type: SCHEME_TYPES.CALENDAR_MONTH };
+
+const MONTH_NAMES = [
+    'JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE',
+    'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER',
+];
+
+const BIWEEKLY_PREFIX = 'BIWEEKLY-';
+const BIWEEKLY_DAYS = 14;
+
+/** Periods walked at most when collecting a date span. */
+const MAX_SPAN_PERIODS = 60;
+
+/**
+ * @param {Date} d
+ * @returns {string} local 'YYYY-MM-DD'
+ */
+function toDateKey(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * @param {string} key - 'YYYY-MM-DD'
+ * @returns {Date|null} local midnight; null for malformed or impossible dates
+ */
+function fromDateKey(key) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(key || ''));
+    if (!match) return null;
+    const d = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toDateKey(d) === match[0] ? d : null;
+}
+
+/**
+ * @param {Date} d
+ * @param {number} days
+ * @returns {Date} local midnight `days` later (DST-safe)
+ */
+function addDays(d, days) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+}
+
+/**
+ * Whole days from a to b (DST-safe).
+ * @param {Date} a
+ * @param {Date} b
+ * @returns {number}
+ */
+function daysBetween(a, b) {
+    return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Day `day` of a month, clamped to the month's length; monthIndex may run past 0-11.
+ * @param {number} year
+ * @param {number} monthIndex
+ * @param {number} day
+ * @returns {Date}
+ */
+function dayInMonth(year, monthIndex, day) {
+    return new Date(year, monthIndex, Math.min(day, new Date(year, monthIndex + 1, 0).getDate()));
+}
+
+/**
+ * @param {string} value - e.g. "OCTOBER2026"
+ * @returns {number|null} months since year 0 (year * 12 + monthIndex)
+ */
+function parseMonthValue(value) {
+    const match = /^([A-Z]+)(\d{4})$/.exec(String(value || '').toUpperCase());
+    if (!match) return null;
+    const monthIndex = MONTH_NAMES.indexOf(match[1]);
+    return monthIndex < 0 ? null : Number(match[2]) * 12 + monthIndex;
+}
+
+/**
+ * @param {number} total - months since year 0
+ * @returns {string} e.g. "OCTOBER2026"
+ */
+function monthValue(total) {
+    return `${MONTH_NAMES[((total % 12) + 12) % 12]}${Math.floor(total / 12)}`;
+}
+
+/**
+ * "Oct 9" for a date.
+ * @param {Date} d
+ * @returns {string}
+ */
+function shortDate(d) {
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Whether a string is a real 'YYYY-MM-DD' date.
+ *
+ * @function isDateKey
+ * @param {*} key
+ * @returns {boolean}
+ */
+export function isDateKey(key) {
+    return fromDateKey(key) !== null;
+}
+
+/**
+ * Valid copy of a scheme, or the calendar-month default.
+ *
+ * @function normalizeScheme
+ * @param {*} raw
+ * @returns {Object}
+ */
+export function normalizeScheme(raw) {
+    const type = raw?.type;
+    if (type === SCHEME_TYPES.CLOSE_DAY) {
+        const closeDay = Number(raw.closeDay);
+        if (Number.isInteger(closeDay) && closeDay >= 1 && closeDay <= 31) return { type, closeDay };
+    }
+    if (type === SCHEME_TYPES.BIWEEKLY && fromDateKey(raw.anchorDate)) {
+        return { type, anchorDate: raw.anchorDate };
+    }
+    if (type === SCHEME_TYPES.CUSTOM && Array.isArray(raw.periods)) {
+        const periods = raw.periods
+            .map((p) => ({ name: String(p?.name ?? '').trim(), start: p?.start, end: p?.end }))
+            .filter((p) => p.name && fromDateKey(p.start) && fromDateKey(p.end) && p.start <= p.end)
+            .sort((a, b) => a.start.localeCompare(b.start));
+        if (periods.length > 0) return { type, periods };
+    }
+    return DEFAULT_SCHEME;
+}
+
+/**
+ * Date range of a period value under a scheme.
+ *
+ * @function periodRange
+ * @param {string} value
+ * @param {Object} [scheme=DEFAULT_SCHEME] - normalized scheme
+ * @returns {{start: Date, end: Date}|null} inclusive local dates; null when the value does not belong to the scheme
+ */
+export function periodRange(value, scheme = DEFAULT_SCHEME) {
+    switch (scheme.type) {
+        case SCHEME_TYPES.CLOSE_DAY: {
+            const total = parseMonthValue(value);
+            if (total === null) return null;
+            const year = Math.floor(total / 12);
+            const monthIndex = total % 12;
+            return {
+                start: addDays(dayInMonth(year, monthIndex - 1, scheme.closeDay), 1),
+                end: dayInMonth(year, monthIndex, scheme.closeDay),
+            };
+        }
+        case SCHEME_TYPES.BIWEEKLY: {
+            const text = String(value || '');
+            const start = text.startsWith(BIWEEKLY_PREFIX) ? fromDateKey(text.slice(BIWEEKLY_PREFIX.length)) : null;
+            return start ? { start, end: addDays(start, BIWEEKLY_DAYS - 1) } : null;
+        }
+        case SCHEME_TYPES.CUSTOM: {
+            const found = scheme.periods.find((p) => p.name === value);
+            return found ? { start: fromDateKey(found.start), end: fromDateKey(found.end) } : null;
+        }
+        default: {
+            const total = parseMonthValue(value);
+            if (total === null) return null;
+            const year = Math.floor(total / 12);
+            const monthIndex = total % 12;
+            return { start: new Date(year, monthIndex, 1), end: new Date(year, monthIndex + 1, 0) };
+        }
+    }
+}
+
+/**
+ * Period value containing a date.
+ *
+ * @function periodForDate
+ * @param {Date} date
+ * @param {Object} [scheme=DEFAULT_SCHEME] - normalized scheme
+ * @returns {string|null} null when no custom range contains the date
+ */
+export function periodForDate(date, scheme = DEFAULT_SCHEME) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    switch (scheme.type) {
+        case SCHEME_TYPES.CLOSE_DAY: {
+            const total = d.getFullYear() * 12 + d.getMonth();
+            return monthValue(d <= dayInMonth(d.getFullYear(), d.getMonth(), scheme.closeDay) ? total : total + 1);
+        }
+        case SCHEME_TYPES.BIWEEKLY: {
+            const anchor = fromDateKey(scheme.anchorDate);
+            const k = Math.floor(daysBetween(anchor, d) / BIWEEKLY_DAYS);
+            return `${BIWEEKLY_PREFIX}${toDateKey(addDays(anchor, k * BIWEEKLY_DAYS))}`;
+        }
+        case SCHEME_TYPES.CUSTOM: {
+            const key = toDateKey(d);
+            return scheme.periods.find((p) => p.start <= key && key <= p.end)?.name ?? null;
+        }
+        default:
+            return monthValue(d.getFullYear() * 12 + d.getMonth());
+    }
+}
+
+/**
+ * Moves a period value by `delta` periods.
+ *
+ * @function shiftPeriod
+ * @param {string} value
+ * @param {number} delta
+ * @param {Object} [scheme=DEFAULT_SCHEME] - normalized scheme
+ * @returns {string|null} null when the value cannot be parsed or runs past the custom ranges
+ */
+export function shiftPeriod(value, delta = 0, scheme = DEFAULT_SCHEME) {
+    const steps = Number(delta || 0);
+    switch (scheme.type) {
+        case SCHEME_TYPES.BIWEEKLY: {
+            const range = periodRange(value, scheme);
+            return range ? `${BIWEEKLY_PREFIX}${toDateKey(addDays(range.start, steps * BIWEEKLY_DAYS))}` : null;
+        }
+        case SCHEME_TYPES.CUSTOM: {
+            const index = scheme.periods.findIndex((p) => p.name === value);
+            return index < 0 ? null : scheme.periods[index + steps]?.name ?? null;
+        }
+        default: {
+            const total = parseMonthValue(value);
+            return total === null ? null : monthValue(total + steps);
+        }
+    }
+}
+
+/**
+ * Dropdown label of a period: the month name for month-based schemes, the date range
+ * for biweekly periods and the name for custom ones.
+ *
+ * @function periodLabel
+ * @param {string} value
+ * @param {Object} [scheme=DEFAULT_SCHEME] - normalized scheme
+ * @returns {string}
+ */
+export function periodLabel(value, scheme = DEFAULT_SCHEME) {
+    if (scheme.type === SCHEME_TYPES.BIWEEKLY) {
+        const range = periodRange(value, scheme);
+        return range ? `${shortDate(range.start)} – ${shortDate(range.end)}` : String(value || '');
+    }
+    if (scheme.type === SCHEME_TYPES.CUSTOM) return String(value || '');
+    return String(value || '').replace(/\d{4}$/, '');
+}
+
+/**
+ * A period's value, labels and date range.
+ * - label: dropdown label (periodLabel)
+ * - title: full name, e.g. "October 2026", "Oct 9 – Oct 22" or the custom name
+ * - shortLabel: compact name for chart axes, e.g. "Oct 26", "Oct 9" or the custom name
+ *
+ * @function describePeriod
+ * @param {string} value
+ * @param {Object} [scheme=DEFAULT_SCHEME] - normalized scheme
+ * @returns {{label: string, title: string, shortLabel: string, value: string, iso: string, start: string, end: string, rangeLabel: string}|null}
+ *   'YYYY-MM-DD' start / end; null when the value does not belong to the scheme
+ */
+export function describePeriod(value, scheme = DEFAULT_SCHEME) {
+    const range = value == null ? null : periodRange(value, scheme);
+    if (!range) return null;
+    const rangeLabel = `${shortDate(range.start)} – ${shortDate(range.end)}`;
+    const total = parseMonthValue(value);
+    const monthBased = scheme.type === SCHEME_TYPES.CALENDAR_MONTH || scheme.type === SCHEME_TYPES.CLOSE_DAY;
+    const named = (month) => new Date(Math.floor(total / 12), total % 12, 1).toLocaleDateString('en-US', { month, year: month === 'long' ? 'numeric' : '2-digit' });
+    return {
+        label: periodLabel(value, scheme),
+        title: monthBased ? named('long') : scheme.type === SCHEME_TYPES.BIWEEKLY ? rangeLabel : String(value),
+        shortLabel: monthBased ? named('short') : scheme.type === SCHEME_TYPES.BIWEEKLY ? shortDate(range.start) : String(value),
+        value,
+        iso: range.start.toISOString(),
+        start: toDateKey(range.start),
+        end: toDateKey(range.end),
+        rangeLabel,
+    };
+}
+
+/**
+ * Periods around the one containing `anchor`, as dropdown options. With custom ranges
+ * and no range containing the anchor, the next range (or else the last) is the current one.
+ *
+ * @function generatePeriods
+ * @param {Object} params
+ * @param {Date} [params.anchor=new Date()]
+ * @param {number} [params.prev=1] - periods before the current one
+ * @param {number} [params.forward=5] - periods after the current one
+ * @param {Object} [params.scheme=DEFAULT_SCHEME] - normalized scheme
+ * @returns {Array<{label: string, value: string, iso: string, offset: number, start: string, end: string, rangeLabel: string}>}
+ */
+export function generatePeriods({ anchor = new Date(), prev = 1, forward = 5, scheme = DEFAULT_SCHEME } = {}) {
+    let current = periodForDate(anchor, scheme);
+    if (current === null && scheme.type === SCHEME_TYPES.CUSTOM) {
+        const key = toDateKey(anchor);
+        current = (scheme.periods.find((p) => p.start > key) || scheme.periods[scheme.periods.length - 1]).name;
+    }
+    const options = [];
+    for (let i = -prev; i <= forward; i += 1) {
+        const period = describePeriod(shiftPeriod(current, i, scheme), scheme);
+        if (period) options.push({ ...period, offset: i });
+    }
+    return options;
+}
+
+/**
+ * Period values whose ranges overlap [from, to], oldest first.
+ *
+ * @function periodsOverlapping
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} [scheme=DEFAULT_SCHEME] - normalized scheme
+ * @returns {string[]}
+ */
+export function periodsOverlapping(from, to, scheme = DEFAULT_SCHEME) {
+    if (scheme.type === SCHEME_TYPES.CUSTOM) {
+        const lo = toDateKey(from);
+        const hi = toDateKey(to);
+        return scheme.periods.filter((p) => p.start <= hi && p.end >= lo).map((p) => p.name);
+    }
+    const out = [];
+    let value = periodForDate(from, scheme);
+    for (let i = 0; i < MAX_SPAN_PERIODS && value !== null; i += 1) {
+        const range = periodRange(value, scheme);
+        if (!range || range.start > to) break;
+        out.push(value);
+        value = shiftPeriod(value, 1, scheme);
+    }
+    return out;
+}
+
+const statementPeriods = {
+    SCHEME_TYPES,
+    SCHEME_LABELS,
+    DEFAULT_SCHEME,
+    isDateKey,
+    normalizeScheme,
+    periodRange,
+    periodForDate,
+    shiftPeriod,
+    periodLabel,
+    describePeriod,
+    generatePeriods,
+    periodsOverlapping,
+};
+
+export default statementPeriods;
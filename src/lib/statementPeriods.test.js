@@ -0,0 +1,143 @@
+import {
+    SCHEME_TYPES,
+    DEFAULT_SCHEME,
+    normalizeScheme,
+    periodRange,
+    periodForDate,
+    shiftPeriod,
+    describePeriod,
+    generatePeriods,
+    periodsOverlapping,
+} from './statementPeriods';
+
+const day = (y, m, d) => new Date(y, m - 1, d);
+const keys = (range) => range && [range.start, range.end].map((d) => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`);
+
+const closeDay = (n) => normalizeScheme({ type: SCHEME_TYPES.CLOSE_DAY, closeDay: n });
+const biweekly = normalizeScheme({ type: SCHEME_TYPES.BIWEEKLY, anchorDate: '2026-10-09' });
+const custom = normalizeScheme({
+    type: SCHEME_TYPES.CUSTOM,
+    periods: [
+        { name: 'Fall', start: '2026-09-15', end: '2026-11-14' },
+        { name: 'Summer', start: '2026-06-01', end: '2026-09-14' },
+        { name: 'Broken', start: '2026-12-31', end: '2026-12-01' },
+    ],
+});
+
+describe('normalizeScheme', () => {
+    it('falls back to calendar months for anything invalid', () => {
+        expect(normalizeScheme(null)).toBe(DEFAULT_SCHEME);
+        expect(normalizeScheme({ type: SCHEME_TYPES.CLOSE_DAY, closeDay: 32 })).toBe(DEFAULT_SCHEME);
+        expect(normalizeScheme({ type: SCHEME_TYPES.BIWEEKLY, anchorDate: '2026-02-30' })).toBe(DEFAULT_SCHEME);
+        expect(normalizeScheme({ type: SCHEME_TYPES.CUSTOM, periods: [] })).toBe(DEFAULT_SCHEME);
+    });
+
+    it('drops invalid custom ranges and sorts the rest', () => {
+        expect(custom.periods.map((p) => p.name)).toEqual(['Summer', 'Fall']);
+    });
+});
+
+describe('calendar months', () => {
+    it('covers the whole month, leap years included', () => {
+        expect(keys(periodRange('FEBRUARY2028'))).toEqual(['2028-2-1', '2028-2-29']);
+        expect(periodForDate(day(2026, 12, 31))).toBe('DECEMBER2026');
+        expect(shiftPeriod('DECEMBER2026', 1)).toBe('JANUARY2027');
+        expect(shiftPeriod('JANUARY2026', -13)).toBe('DECEMBER2024');
+    });
+});
+
+describe('close-day periods', () => {
+    it('run from the day after the previous close to the close in the named month', () => {
+        expect(keys(periodRange('OCTOBER2026', closeDay(20)))).toEqual(['2026-9-21', '2026-10-20']);
+        expect(keys(periodRange('JANUARY2027', closeDay(20)))).toEqual(['2026-12-21', '2027-1-20']);
+    });
+
+    it('put the close day in its own period and the next day in the following one', () => {
+        expect(periodForDate(day(2026, 10, 20), closeDay(20))).toBe('OCTOBER2026');
+        expect(periodForDate(day(2026, 10, 21), closeDay(20))).toBe('NOVEMBER2026');
+        expect(periodForDate(day(2026, 12, 25), closeDay(20))).toBe('JANUARY2027');
+    });
+
+    it('close on the last day of short months', () => {
+        expect(keys(periodRange('FEBRUARY2026', closeDay(31)))).toEqual(['2026-2-1', '2026-2-28']);
+        expect(keys(periodRange('MARCH2026', closeDay(30)))).toEqual(['2026-3-1', '2026-3-30']);
+        expect(keys(periodRange('MARCH2026', closeDay(31)))).toEqual(['2026-3-1', '2026-3-31']);
+        expect(periodForDate(day(2026, 2, 28), closeDay(30))).toBe('FEBRUARY2026');
+        expect(periodForDate(day(2026, 3, 1), closeDay(30))).toBe('MARCH2026');
+    });
+
+    it('leave no gaps or overlaps between consecutive periods', () => {
+        const scheme = closeDay(29);
+        let value = 'JANUARY2026';
+        for (let i = 0; i < 24; i += 1) {
+            const next = shiftPeriod(value, 1, scheme);
+            const end = periodRange(value, scheme).end;
+            const start = periodRange(next, scheme).start;
+            expect(day(end.getFullYear(), end.getMonth() + 1, end.getDate() + 1)).toEqual(start);
+            value = next;
+        }
+    });
+});
+
+describe('biweekly periods', () => {
+    it('are 14 days from the anchor payday, before and after it', () => {
+        expect(keys(periodRange('BIWEEKLY-2026-10-09', biweekly))).toEqual(['2026-10-9', '2026-10-22']);
+        expect(periodForDate(day(2026, 10, 22), biweekly)).toBe('BIWEEKLY-2026-10-09');
+        expect(periodForDate(day(2026, 10, 23), biweekly)).toBe('BIWEEKLY-2026-10-23');
+        expect(periodForDate(day(2026, 10, 8), biweekly)).toBe('BIWEEKLY-2026-09-25');
+        expect(periodForDate(day(2025, 10, 9), biweekly)).toBe('BIWEEKLY-2025-09-26');
+    });
+
+    it('step across DST changes and year ends on calendar days', () => {
+        expect(shiftPeriod('BIWEEKLY-2026-10-23', 1, biweekly)).toBe('BIWEEKLY-2026-11-06');
+        expect(shiftPeriod('BIWEEKLY-2026-12-18', 1, biweekly)).toBe('BIWEEKLY-2027-01-01');
+        expect(shiftPeriod('BIWEEKLY-2026-03-06', 1, biweekly)).toBe('BIWEEKLY-2026-03-20');
+        expect(periodForDate(new Date(2026, 10, 5, 23, 59), biweekly)).toBe('BIWEEKLY-2026-10-23');
+    });
+
+    it('reject month values', () => {
+        expect(periodRange('OCTOBER2026', biweekly)).toBeNull();
+        expect(describePeriod('OCTOBER2026', biweekly)).toBeNull();
+    });
+});
+
+describe('custom periods', () => {
+    it('resolve by name and step through the list', () => {
+        expect(keys(periodRange('Fall', custom))).toEqual(['2026-9-15', '2026-11-14']);
+        expect(periodForDate(day(2026, 9, 14), custom)).toBe('Summer');
+        expect(periodForDate(day(2026, 12, 1), custom)).toBeNull();
+        expect(shiftPeriod('Summer', 1, custom)).toBe('Fall');
+        expect(shiftPeriod('Fall', 1, custom)).toBeNull();
+    });
+
+    it('use the next range as current when today is in none', () => {
+        const options = generatePeriods({ anchor: day(2026, 5, 1), prev: 1, forward: 1, scheme: custom });
+        expect(options.map((o) => [o.value, o.offset])).toEqual([['Summer', 0], ['Fall', 1]]);
+    });
+});
+
+describe('describePeriod', () => {
+    it('names month and biweekly periods', () => {
+        expect(describePeriod('OCTOBER2026', closeDay(20))).toMatchObject({
+            label: 'OCTOBER',
+            title: 'October 2026',
+            start: '2026-09-21',
+            end: '2026-10-20',
+        });
+        expect(describePeriod('BIWEEKLY-2026-10-09', biweekly)).toMatchObject({
+            title: 'Oct 9 – Oct 22',
+            shortLabel: 'Oct 9',
+            start: '2026-10-09',
+            end: '2026-10-22',
+        });
+    });
+});
+
+describe('periodsOverlapping', () => {
+    it('lists every period touching the span', () => {
+        expect(periodsOverlapping(day(2026, 10, 20), day(2026, 11, 5), closeDay(20))).toEqual(['OCTOBER2026', 'NOVEMBER2026']);
+        expect(periodsOverlapping(day(2026, 10, 20), day(2026, 11, 5), biweekly))
+            .toEqual(['BIWEEKLY-2026-10-09', 'BIWEEKLY-2026-10-23']);
+        expect(periodsOverlapping(day(2026, 9, 1), day(2026, 9, 30), custom)).toEqual(['Summer', 'Fall']);
+    });
+});
@@ -0,0 +1,38 @@
+import React from "react";
+import PropTypes from "prop-types";
+import SpendingSummary from "../../features/spendingSummary/SpendingSummary";
+import TransactionTable from "../../features/transactionTable/TransactionTable";
+import {StatementPeriodProvider} from "../../context/StatementPeriodProvider";
+
+/**
+ * AccountScreen
+ * - Top-level screen for one household member or shared account, wrapped in StatementPeriodProvider
+ *   for context-driven statement period state.
+ * - One route per household entry is generated in App from config (getHouseholdAccounts).
+ *
+ * @param {Object} props
+ * @param {{id: string, name: string, filter: string}} props.account - Household entry.
+ * @returns {JSX.Element}
+ */
+const AccountScreen = ({ account }) => {
+    return (
+        <StatementPeriodProvider>
+            <div className="App">
+                <header className="App-header">
+                    <SpendingSummary account={account.filter} />
+                    <TransactionTable key={account.id} account={account.filter} />
+                </header>
+            </div>
+        </StatementPeriodProvider>
+    );
+};
+
+AccountScreen.propTypes = {
+    account: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string,
+        filter: PropTypes.string.isRequired,
+    }).isRequired,
+};
+
+export default AccountScreen;
@@ -1,15 +1,30 @@
-
 import React from "react";
+import GeneralSettings from "../../features/settings/components/GeneralSettings";
+import RuleManager from "../../features/rules/components/RuleManager";
+import RecurringTemplateManager from "../../features/recurring/components/RecurringTemplateManager";
+import "./SettingsScreen.css";
 
-
+/**
+ * SettingsScreen
+ * Top-level screen for app settings. Each section is a self-contained feature panel.
+ *
+ * @returns {JSX.Element}
+ */
 const SettingsScreen = () => {
     return (
-        <div className="App">
-            <header className="App-header">
-                <p>settings</p>
-            </header>
+        <div className="settings-screen">
+            <h1 className="settings-title">Settings</h1>
+            <div className="settings-card">
+                <GeneralSettings />
+            </div>
+            <div className="settings-card">
+                <RuleManager />
+            </div>
+            <div className="settings-card">
+                <RecurringTemplateManager />
+            </div>
         </div>
     )
 };
 
-export default SettingsScreen
\ No newline at end of file
+export default SettingsScreen
@@ -1,24 +1,26 @@
-import React from "react";
+import React, { useMemo } from "react";
 import TransactionTable from "../../features/transactionTable/TransactionTable";
 import SettingsScreen from "../SettingsScreen/SettingsScreen";
-import { get } from "../../config/config.js";
+import { getPrimaryAccountFilter } from "../../config/config.js";
+import useConfig from "../../hooks/useConfig";
 import {StatementPeriodProvider} from "../../context/StatementPeriodProvider";
 
 /**
  * TransactionScreen
- * - Top-level screen for the joint account, wrapped in StatementPeriodProvider for context-driven statement period state.
+ * - Top-level screen for the primary (first shared) household account, wrapped in StatementPeriodProvider for context-driven statement period state.
  * - Ensures TransactionTable can access statement period via context (no prop drilling).
  *
  * @returns {JSX.Element}
  */
 const TransactionScreen = () => {
-    // Read the joint account filter via the config.get helper with a sensible fallback.
-    const JOINTFILTER = get("joint.filter", "joint");
+    // First shared account from the household config (falls back to "joint"); follows config file changes.
+    const config = useConfig();
+    const PRIMARYFILTER = useMemo(() => getPrimaryAccountFilter(config), [config]);
     return (
         <StatementPeriodProvider>
             <div className="App">
                 <header className="App-header">
-                    <TransactionTable account={JOINTFILTER} />
+                    <TransactionTable account={PRIMARYFILTER} />
                 </header>
             </div>
         </StatementPeriodProvider>
@@ -0,0 +1,171 @@
+/**
+ * BudgetLimitService - Per-category monthly budget limits.
+ *
+ * Limits are stored per account and statement period through the shared
+ * /api/cache store (LocalCacheService) as a JSON map of category => limit.
+ * When a period has no limits saved yet, the limits of the nearest earlier period
+ * that has some are returned flagged as inherited ("copy last month's limits").
+ *
+ * @module BudgetLimitService
+ */
+
+const logger = {
+    info: (...args) => console.log('[BudgetLimitService]', ...args),
+    error: (...args) => console.error('[BudgetLimitService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+import { shiftPeriodValue } from './StatementPeriodService';
+
+const CACHE_PREFIX = 'budgetLimits';
+
+/**
+ * How many periods getLimits looks back for limits to inherit (a year of monthly periods).
+ * @constant
+ */
+const MAX_LOOKBACK_PERIODS = 12;
+
+/**
+ * Builds the cache key for an account/period pair.
+ * @param {string} account
+ * @param {string} statementPeriod
+ * @returns {string}
+ */
+function toCacheKey(account, statementPeriod) {
+    return `${CACHE_PREFIX}:${account}:${statementPeriod}`;
+}
+
+/**
+ * Keeps only finite, non-negative numeric limits.
+ * @param {object} raw
+ * @returns {Record<string, number>}
+ */
+function sanitizeLimits(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    return Object.entries(raw).reduce((acc, [category, limit]) => {
+        const n = Number(limit);
+        if (category && Number.isFinite(n) && n >= 0) acc[category] = n;
+        return acc;
+    }, {});
+}
+
+/**
+ * Saved limits of the nearest period before statementPeriod that has any, looking back
+ * at most `remaining` periods.
+ * @param {string} account
+ * @param {string} statementPeriod
+ * @param {number} [remaining]
+ * @returns {Promise<{period: string, limits: Record<string, number>}|null>}
+ */
+async function findInheritedLimits(account, statementPeriod, remaining = MAX_LOOKBACK_PERIODS) {
+    const period = remaining > 0 ? shiftPeriodValue(statementPeriod, -1) : null;
+    if (!period) return null;
+    const saved = await localCacheService.getJSON(toCacheKey(account, period), null);
+    if (saved) return { period, limits: sanitizeLimits(saved) };
+    return findInheritedLimits(account, period, remaining - 1);
+}
+
+const budgetLimitService = {
+    /**
+     * Fetch the category limits for an account and statement period.
+     *
+     * @async
+     * @function getLimits
+     * @param {Object} params
+     * @param {string} params.account - Account identifier (required).
+     * @param {string} params.statementPeriod - Statement period value e.g. "OCTOBER2026" (required).
+     * @returns {Promise<{limits: Record<string, number>, inherited: boolean}>}
+     *   inherited is true when the limits were copied from an earlier period.
+     * @throws {Error} - If params are missing or the request fails.
+     */
+    async getLimits({ account, statementPeriod } = {}) {
+        logger.info('getLimits entry', { account, statementPeriod });
+        if (!account) throw new Error('account required');
+        if (!statementPeriod) throw new Error('statementPeriod required');
+        try {
+            const saved = await localCacheService.getJSON(toCacheKey(account, statementPeriod), null);
+            if (saved) {
+                const limits = sanitizeLimits(saved);
+                logger.info('getLimits success', { account, statementPeriod, count: Object.keys(limits).length });
+                return { limits, inherited: false };
+            }
+
+            const previous = await findInheritedLimits(account, statementPeriod);
+            const limits = previous ? previous.limits : {};
+            logger.info('getLimits success (inherited)', { account, statementPeriod, from: previous?.period, count: Object.keys(limits).length });
+            return { limits, inherited: Object.keys(limits).length > 0 };
+        } catch (err) {
+            logger.error('getLimits error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Save the full category limit map for an account and statement period.
+     *
+     * @async
+     * @function saveLimits
+     * @param {Object} params
+     * @param {string} params.account - Account identifier (required).
+     * @param {string} params.statementPeriod - Statement period value (required).
+     * @param {Record<string, number>} params.limits - Map of category => limit.
+     * @returns {Promise<Record<string, number>>} - The sanitized limits that were saved.
+     * @throws {Error} - If params are missing or the request fails.
+     */
+    async saveLimits({ account, statementPeriod, limits } = {}) {
+        logger.info('saveLimits entry', { account, statementPeriod });
+        if (!account) throw new Error('account required');
+        if (!statementPeriod) throw new Error('statementPeriod required');
+        try {
+            const clean = sanitizeLimits(limits);
+            await localCacheService.setJSON(toCacheKey(account, statementPeriod), clean);
+            logger.info('saveLimits success', { account, statementPeriod, count: Object.keys(clean).length });
+            return clean;
+        } catch (err) {
+            logger.error('saveLimits error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Set (or clear) a single category limit.
+     * Inherited limits are persisted alongside the change so the period
+     * keeps its copied values once the user starts editing it.
+     *
+     * @async
+     * @function setLimit
+     * @param {Object} params
+     * @param {string} params.account - Account identifier (required).
+     * @param {string} params.statementPeriod - Statement period value (required).
+     * @param {string} params.category - Category name (required).
+     * @param {number|string|null} params.limit - New limit; null or '' removes it.
+     * @returns {Promise<Record<string, number>>} - The updated limits map.
+     * @throws {Error} - If params are missing, the limit is invalid, or the request fails.
+     */
+    async setLimit({ account, statementPeriod, category, limit } = {}) {
+        logger.info('setLimit entry', { account, statementPeriod, category, limit });
+        if (!category) throw new Error('category required');
+        const clearing = limit === null || limit === undefined || limit === '';
+        const n = Number(limit);
+        if (!clearing && (!Number.isFinite(n) || n < 0)) {
+            throw new Error('limit must be a non-negative number');
+        }
+        try {
+            const { limits } = await budgetLimitService.getLimits({ account, statementPeriod });
+            const next = { ...limits };
+            if (clearing) {
+                delete next[category];
+            } else {
+                next[category] = n;
+            }
+            const saved = await budgetLimitService.saveLimits({ account, statementPeriod, limits: next });
+            logger.info('setLimit success', { account, statementPeriod, category });
+            return saved;
+        } catch (err) {
+            logger.error('setLimit error', err);
+            throw err;
+        }
+    },
+};
+
+export default budgetLimitService;
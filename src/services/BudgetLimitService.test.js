@@ -0,0 +1,67 @@
+import budgetLimitService from './BudgetLimitService';
+
+jest.mock('./StatementPeriodService', () => ({
+    shiftPeriodValue: (value, delta) => {
+        const periods = ['JANUARY2026', 'FEBRUARY2026', 'MARCH2026', 'APRIL2026', 'MAY2026'];
+        const idx = periods.indexOf(value);
+        return idx < 0 ? null : periods[idx + delta] || null;
+    },
+}));
+
+jest.mock('./LocalCacheService', () => {
+    const store = new Map();
+    const reads = [];
+    return {
+        __store: store,
+        __reads: reads,
+        getJSON: async (key, fallback) => { reads.push(key); return store.has(key) ? store.get(key) : fallback; },
+        setJSON: async (key, value) => { store.set(key, value); },
+    };
+});
+
+const cache = jest.requireMock('./LocalCacheService');
+
+beforeEach(() => {
+    cache.__store.clear();
+    cache.__reads.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('BudgetLimitService.getLimits', () => {
+    it('returns the saved limits of the period', async () => {
+        cache.__store.set('budgetLimits:joint:MARCH2026', { Food: 300 });
+
+        await expect(budgetLimitService.getLimits({ account: 'joint', statementPeriod: 'MARCH2026' }))
+            .resolves.toEqual({ limits: { Food: 300 }, inherited: false });
+    });
+
+    it('inherits from the nearest earlier period with saved limits, skipping empty ones', async () => {
+        cache.__store.set('budgetLimits:joint:JANUARY2026', { Food: 100 });
+        cache.__store.set('budgetLimits:joint:FEBRUARY2026', { Food: 200, Rent: 1500 });
+
+        await expect(budgetLimitService.getLimits({ account: 'joint', statementPeriod: 'MAY2026' }))
+            .resolves.toEqual({ limits: { Food: 200, Rent: 1500 }, inherited: true });
+    });
+
+    it('returns no limits when no earlier period has any', async () => {
+        await expect(budgetLimitService.getLimits({ account: 'joint', statementPeriod: 'MARCH2026' }))
+            .resolves.toEqual({ limits: {}, inherited: false });
+        expect(cache.__reads).toEqual([
+            'budgetLimits:joint:MARCH2026',
+            'budgetLimits:joint:FEBRUARY2026',
+            'budgetLimits:joint:JANUARY2026',
+        ]);
+    });
+
+    it('persists the inherited limits together with the first edit', async () => {
+        cache.__store.set('budgetLimits:joint:JANUARY2026', { Food: 100, Rent: 1500 });
+
+        await budgetLimitService.setLimit({ account: 'joint', statementPeriod: 'APRIL2026', category: 'Food', limit: 120 });
+
+        expect(cache.__store.get('budgetLimits:joint:APRIL2026')).toEqual({ Food: 120, Rent: 1500 });
+    });
+});
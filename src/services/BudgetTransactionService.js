@@ -2,6 +2,7 @@
  * budgetTransactionService - Service for backend REST API calls (Spring Boot), using a shared apiClient.
  * Uses config.baseUrl (API root). All endpoints use explicit resource paths like /api/transactions.
  * Robust logging and X-Transaction-ID handled by apiClient.
+ * Reads and single-row writes go through OfflineSyncService (local store first, queued when offline).
  */
 
 const logger = {
@@ -10,8 +11,9 @@ const logger = {
 };
 
 import { getApiClient } from '../lib/apiClient'; // centralized axios instance
+import { cachedRead, queuedWrite, invalidateSnapshots, TRANSACTIONS_RESOURCE } from './OfflineSyncService';
 
-const RESOURCE = '/api/transactions';
+const RESOURCE = TRANSACTIONS_RESOURCE;
 
 const budgetTransactionService = {
     /**
@@ -22,13 +24,21 @@ const budgetTransactionService = {
     async getTransactions(filters = {}) {
         logger.info('getTransactions entry', { filters });
         try {
-            const apiClient = await getApiClient();
-            const response = await apiClient.get(RESOURCE, { params: filters });
+            const data = await cachedRead({
+                resource: RESOURCE,
+                endpoint: RESOURCE,
+                params: filters,
+                fetcher: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.get(RESOURCE, { params: filters });
+                    return response.data;
+                },
+            });
             logger.info('getTransactions success', {
-                count: response.data && typeof response.data.count === 'number' ? response.data.count : 0,
-                total: response.data && response.data.total ? response.data.total : 0,
+                count: data && typeof data.count === 'number' ? data.count : 0,
+                total: data && data.total ? data.total : 0,
             });
-            return response.data;
+            return data;
         } catch (err) {
             logger.error('getTransactions error', err);
             throw err;
@@ -42,10 +52,17 @@ const budgetTransactionService = {
         logger.info('getTransaction entry', { id });
         if (!id) throw new Error('Transaction ID required');
         try {
-            const apiClient = await getApiClient();
-            const response = await apiClient.get(`${RESOURCE}/${encodeURIComponent(id)}`);
-            logger.info('getTransaction success', { transaction: response.data });
-            return response.data;
+            const data = await cachedRead({
+                resource: RESOURCE,
+                endpoint: `${RESOURCE}/${encodeURIComponent(id)}`,
+                fetcher: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.get(`${RESOURCE}/${encodeURIComponent(id)}`);
+                    return response.data;
+                },
+            });
+            logger.info('getTransaction success', { transaction: data });
+            return data;
         } catch (err) {
             logger.error('getTransaction error', err);
             throw err;
@@ -58,10 +75,18 @@ const budgetTransactionService = {
     async createTransaction(transaction) {
         logger.info('createTransaction entry', { transaction });
         try {
-            const apiClient = await getApiClient();
-            const response = await apiClient.post(RESOURCE, transaction);
-            logger.info('createTransaction success', { created: response.data });
-            return response.data;
+            const created = await queuedWrite({
+                resource: RESOURCE,
+                action: 'create',
+                payload: transaction,
+                send: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.post(RESOURCE, transaction);
+                    return response.data;
+                },
+            });
+            logger.info('createTransaction success', { created });
+            return created;
         } catch (err) {
             logger.error('createTransaction error', err);
             throw err;
@@ -75,10 +100,19 @@ const budgetTransactionService = {
         logger.info('updateTransaction entry', { id, transaction });
         if (!id) throw new Error('Transaction ID required');
         try {
-            const apiClient = await getApiClient();
-            const response = await apiClient.put(`${RESOURCE}/${encodeURIComponent(id)}`, transaction);
-            logger.info('updateTransaction success', { updated: response.data });
-            return response.data;
+            const updated = await queuedWrite({
+                resource: RESOURCE,
+                action: 'update',
+                id,
+                payload: transaction,
+                send: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.put(`${RESOURCE}/${encodeURIComponent(id)}`, transaction);
+                    return response.data;
+                },
+            });
+            logger.info('updateTransaction success', { updated });
+            return updated;
         } catch (err) {
             logger.error('updateTransaction error', err);
             throw err;
@@ -92,10 +126,19 @@ const budgetTransactionService = {
         logger.info('deleteTransaction entry', { id });
         if (!id) throw new Error('Transaction ID required');
         try {
-            const apiClient = await getApiClient();
-            const response = await apiClient.delete(`${RESOURCE}/${encodeURIComponent(id)}`);
-            logger.info('deleteTransaction success', { status: response.status });
-            return response.data;
+            const result = await queuedWrite({
+                resource: RESOURCE,
+                action: 'delete',
+                id,
+                send: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.delete(`${RESOURCE}/${encodeURIComponent(id)}`);
+                    logger.info('deleteTransaction sent', { status: response.status });
+                    return response.data;
+                },
+            });
+            logger.info('deleteTransaction success', { id });
+            return result;
         } catch (err) {
             logger.error('deleteTransaction error', err);
             throw err;
@@ -110,6 +153,7 @@ const budgetTransactionService = {
         try {
             const apiClient = await getApiClient();
             const response = await apiClient.delete(RESOURCE);
+            await invalidateSnapshots(RESOURCE);
             logger.info('deleteAllTransactions success', { deletedCount: response.data?.deletedCount });
             return response.data;
         } catch (err) {
@@ -133,6 +177,7 @@ const budgetTransactionService = {
             const response = await apiClient.post(`${RESOURCE}/upload`, formData, {
                 headers: { 'Content-Type': 'multipart/form-data' },
             });
+            await invalidateSnapshots(RESOURCE);
             logger.info('uploadTransactions success', { result: response.data });
             return response.data;
         } catch (err) {
@@ -148,21 +193,22 @@ const budgetTransactionService = {
         logger.info('getTransactionsForAccount entry', { account, statementPeriod, category, criticality, paymentMethod });
         if (!account) throw new Error('Account is required');
         try {
-            const apiClient = await getApiClient();
-            const response = await apiClient.get(`${RESOURCE}/account`, {
-                params: {
-                    account,
-                    statementPeriod,
-                    category,
-                    criticality,
-                    paymentMethod,
+            const params = { account, statementPeriod, category, criticality, paymentMethod };
+            const data = await cachedRead({
+                resource: RESOURCE,
+                endpoint: `${RESOURCE}/account`,
+                params,
+                fetcher: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.get(`${RESOURCE}/account`, { params });
+                    return response.data;
                 },
             });
             logger.info('getTransactionsForAccount success', {
-                count: response.data && typeof response.data.count === 'number' ? response.data.count : 0,
-                total: response.data && response.data.total ? response.data.total : 0,
+                count: data && typeof data.count === 'number' ? data.count : 0,
+                total: data && data.total ? data.total : 0,
             });
-            return response.data;
+            return data;
         } catch (err) {
             logger.error('getTransactionsForAccount error', err);
             throw err;
@@ -183,21 +229,22 @@ const budgetTransactionService = {
         logger.info('getBudgetTransactionsForAccount entry', { account, statementPeriod, category, criticality, paymentMethod });
         if (!account) throw new Error('Account is required');
         try {
-            const apiClient = await getApiClient();
-            const response = await apiClient.get(`${RESOURCE}/account/budget`, {
-                params: {
-                    account,
-                    statementPeriod,
-                    category,
-                    criticality,
-                    paymentMethod,
+            const params = { account, statementPeriod, category, criticality, paymentMethod };
+            const data = await cachedRead({
+                resource: RESOURCE,
+                endpoint: `${RESOURCE}/account/budget`,
+                params,
+                fetcher: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.get(`${RESOURCE}/account/budget`, { params });
+                    return response.data;
                 },
             });
             logger.info('getBudgetTransactionsForAccount success', {
-                count: response.data && typeof response.data.count === 'number' ? response.data.count : 0,
-                total: response.data && response.data.total ? response.data.total : 0,
+                count: data && typeof data.count === 'number' ? data.count : 0,
+                total: data && data.total ? data.total : 0,
             });
-            return response.data;
+            return data;
         } catch (err) {
             logger.error('getBudgetTransactionsForAccount error', err);
             throw err;
@@ -0,0 +1,129 @@
+/**
+ * CardPaymentService - Marks a card's billing cycle as paid.
+ *
+ * Marks are stored through the shared /api/cache store (LocalCacheService) as one JSON
+ * array, at most one per card and cycle:
+ *   { id, card, cycleEnd, statementPeriod, amount, paidAt }
+ * `card` is the lower-cased payment method, `cycleEnd` the cycle's closing date
+ * (YYYY-MM-DD), `statementPeriod` the period it was marked from and `amount` the cycle
+ * balance when marked. Marks saved before cycles were tracked have no `cycleEnd` and
+ * belong to their statement period.
+ *
+ * @module CardPaymentService
+ */
+
+const logger = {
+    info: (...args) => console.log('[CardPaymentService]', ...args),
+    error: (...args) => console.error('[CardPaymentService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+import { publish } from './TransactionEvents';
+
+const CACHE_KEY = 'cardPayments';
+
+/**
+ * @param {string} card
+ * @param {string} cycleEnd
+ * @returns {string} id of the card's mark for the cycle
+ */
+function makePaymentId(card, cycleEnd) {
+    return `${String(card).toLowerCase()}:${cycleEnd}`;
+}
+
+/**
+ * Tells the payments screen to reload.
+ * @param {string} reason
+ * @param {string} statementPeriod
+ */
+function publishChange(reason, statementPeriod) {
+    try {
+        publish({ type: 'cardPaymentsChanged', reason, statementPeriod });
+    } catch (err) {
+        logger.error('publish cardPaymentsChanged failed', err);
+    }
+}
+
+const cardPaymentService = {
+    /**
+     * Fetch all paid marks.
+     *
+     * @async
+     * @function getPayments
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getPayments() {
+        logger.info('getPayments entry');
+        try {
+            const payments = await localCacheService.getJSON(CACHE_KEY, []);
+            const list = (Array.isArray(payments) ? payments : []).filter((p) => p && p.card && p.statementPeriod);
+            logger.info('getPayments success', { count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getPayments error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Mark a card's cycle paid (replaces an earlier mark for the cycle).
+     *
+     * @async
+     * @function markPaid
+     * @param {Object} payment - { card, cycleEnd, statementPeriod, amount? }
+     * @returns {Promise<Object>} - The saved mark.
+     * @throws {Error} - If card, cycle or period is missing, or the request fails.
+     */
+    async markPaid(payment = {}) {
+        logger.info('markPaid entry', { card: payment.card, cycleEnd: payment.cycleEnd, statementPeriod: payment.statementPeriod });
+        if (!payment.card) throw new Error('Card required');
+        if (!payment.cycleEnd) throw new Error('Cycle end required');
+        if (!payment.statementPeriod) throw new Error('Statement period required');
+        try {
+            const amount = Number(payment.amount);
+            const saved = {
+                id: makePaymentId(payment.card, payment.cycleEnd),
+                card: String(payment.card).toLowerCase(),
+                cycleEnd: payment.cycleEnd,
+                statementPeriod: payment.statementPeriod,
+                amount: Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null,
+                paidAt: new Date().toISOString(),
+            };
+            const payments = await cardPaymentService.getPayments();
+            await localCacheService.setJSON(CACHE_KEY, [...payments.filter((p) => p.id !== saved.id), saved]);
+            logger.info('markPaid success', { id: saved.id });
+            publishChange('markPaid', saved.statementPeriod);
+            return saved;
+        } catch (err) {
+            logger.error('markPaid error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Remove a paid mark.
+     *
+     * @async
+     * @function unmarkPaid
+     * @param {string} id - the mark's id
+     * @returns {Promise<void>}
+     * @throws {Error} - If id is missing, or the request fails.
+     */
+    async unmarkPaid(id) {
+        logger.info('unmarkPaid entry', { id });
+        if (!id) throw new Error('Payment id required');
+        try {
+            const payments = await cardPaymentService.getPayments();
+            const removed = payments.find((p) => p.id === id);
+            await localCacheService.setJSON(CACHE_KEY, payments.filter((p) => p.id !== id));
+            logger.info('unmarkPaid success', { id });
+            publishChange('unmarkPaid', removed?.statementPeriod ?? null);
+        } catch (err) {
+            logger.error('unmarkPaid error', err);
+            throw err;
+        }
+    },
+};
+
+export default cardPaymentService;
@@ -0,0 +1,155 @@
+/**
+ * CategorizationRuleService - Auto-categorization rules.
+ *
+ * Rules are stored through the shared /api/cache store (LocalCacheService) as a
+ * JSON array so every household member's imports and entries categorize alike.
+ * The array is kept in priority order (index 0 runs first); `priority` is
+ * rewritten from the index on every save.
+ *
+ * Rule shape:
+ *   {
+ *     id, name, enabled, priority,
+ *     conditions: { nameOperator: 'contains'|'startsWith'|'regex', nameValue, amountMin, amountMax, paymentMethod },
+ *     actions: { category, criticality, account },
+ *     updatedAt
+ *   }
+ *
+ * @module CategorizationRuleService
+ */
+
+const logger = {
+    info: (...args) => console.log('[CategorizationRuleService]', ...args),
+    error: (...args) => console.error('[CategorizationRuleService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+
+const CACHE_KEY = 'categorizationRules';
+
+/**
+ * Builds a reasonably unique rule id.
+ * @returns {string}
+ */
+function makeRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Rewrites priority from array position.
+ * @param {Array<Object>} rules
+ * @returns {Array<Object>}
+ */
+function withPriorities(rules) {
+    return rules.map((r, i) => ({ ...r, priority: i + 1 }));
+}
+
+const categorizationRuleService = {
+    /**
+     * Fetch all rules in priority order.
+     *
+     * @async
+     * @function getRules
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getRules() {
+        logger.info('getRules entry');
+        try {
+            const rules = await localCacheService.getJSON(CACHE_KEY, []);
+            const list = (Array.isArray(rules) ? rules : [])
+                .filter((r) => r && r.id)
+                .sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0));
+            logger.info('getRules success', { count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getRules error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Create or replace a rule. New rules are appended (lowest priority).
+     *
+     * @async
+     * @function saveRule
+     * @param {Object} rule - Rule fields; a new id is assigned when missing.
+     * @returns {Promise<Object>} - The saved rule.
+     * @throws {Error} - If the rule has no name or the request fails.
+     */
+    async saveRule(rule = {}) {
+        logger.info('saveRule entry', { id: rule.id, name: rule.name });
+        if (!rule.name || String(rule.name).trim() === '') throw new Error('Rule name required');
+        try {
+            const rules = await categorizationRuleService.getRules();
+            const saved = {
+                ...rule,
+                id: rule.id || makeRuleId(),
+                name: String(rule.name).trim(),
+                enabled: rule.enabled !== false,
+                updatedAt: new Date().toISOString(),
+            };
+            const index = rules.findIndex((r) => r.id === saved.id);
+            const next = index >= 0
+                ? rules.map((r) => (r.id === saved.id ? saved : r))
+                : [...rules, saved];
+            const stored = withPriorities(next);
+            await localCacheService.setJSON(CACHE_KEY, stored);
+            logger.info('saveRule success', { id: saved.id });
+            return stored.find((r) => r.id === saved.id);
+        } catch (err) {
+            logger.error('saveRule error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Delete a rule by id.
+     *
+     * @async
+     * @function deleteRule
+     * @param {string} id - Rule id (required).
+     * @returns {Promise<void>}
+     * @throws {Error} - If id is missing or the request fails.
+     */
+    async deleteRule(id) {
+        logger.info('deleteRule entry', { id });
+        if (!id) throw new Error('Rule ID required');
+        try {
+            const rules = await categorizationRuleService.getRules();
+            await localCacheService.setJSON(CACHE_KEY, withPriorities(rules.filter((r) => r.id !== id)));
+            logger.info('deleteRule success', { id });
+        } catch (err) {
+            logger.error('deleteRule error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Reorder rules. Ids not listed keep their relative order after the listed ones.
+     *
+     * @async
+     * @function reorderRules
+     * @param {Array<string>} orderedIds - Rule ids, highest priority first.
+     * @returns {Promise<Array<Object>>} - Rules in their new order.
+     * @throws {Error} - If orderedIds is not an array or the request fails.
+     */
+    async reorderRules(orderedIds) {
+        logger.info('reorderRules entry', { count: orderedIds?.length });
+        if (!Array.isArray(orderedIds)) throw new Error('Ordered rule IDs required');
+        try {
+            const rules = await categorizationRuleService.getRules();
+            const byId = new Map(rules.map((r) => [r.id, r]));
+            const listed = orderedIds.map((id) => byId.get(id)).filter(Boolean);
+            const rest = rules.filter((r) => !orderedIds.includes(r.id));
+            const stored = withPriorities([...listed, ...rest]);
+            await localCacheService.setJSON(CACHE_KEY, stored);
+            logger.info('reorderRules success');
+            return stored;
+        } catch (err) {
+            logger.error('reorderRules error', err);
+            throw err;
+        }
+    },
+};
+
+export default categorizationRuleService;
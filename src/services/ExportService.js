@@ -0,0 +1,86 @@
+/**
+ * ExportService - Saves generated export files (CSV, XLSX, PDF) for the user.
+ *
+ * Inside Electron the main process shows a native save dialog and writes the file
+ * (window.electronAPI.saveExport). Outside Electron the file is offered as a browser
+ * download instead.
+ *
+ * @module ExportService
+ */
+
+const logger = {
+    info: (...args) => console.log('[ExportService]', ...args),
+    error: (...args) => console.error('[ExportService]', ...args),
+};
+
+/** MIME types for the browser download fallback. */
+const MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf',
+    json: 'application/json',
+};
+
+/**
+ * @returns {Function|null} the preload saveExport bridge, if present
+ */
+function saveExportBridge() {
+    return (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.saveExport === 'function')
+        ? window.electronAPI.saveExport
+        : null;
+}
+
+/**
+ * Triggers a browser download of the data.
+ * @param {string} fileName
+ * @param {string} format
+ * @param {string|Uint8Array} data
+ */
+function download(fileName, format, data) {
+    const url = URL.createObjectURL(new Blob([data], { type: MIME_TYPES[format] }));
+    try {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    } finally {
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+const exportService = {
+    /**
+     * Save an export file chosen by the user.
+     *
+     * @async
+     * @function save
+     * @param {Object} request
+     * @param {string} request.fileName - suggested file name, with extension
+     * @param {'csv'|'xlsx'|'pdf'|'json'} request.format
+     * @param {string|Uint8Array} request.data
+     * @returns {Promise<{canceled: boolean, filePath: string|null}>} filePath is null for browser downloads
+     * @throws {Error} - If the format is unknown or the file cannot be written.
+     */
+    async save({ fileName, format, data }) {
+        logger.info('save entry', { fileName, format, size: data?.length });
+        if (!MIME_TYPES[format]) throw new Error(`Unsupported export format: ${format}`);
+        try {
+            const saveExport = saveExportBridge();
+            if (!saveExport) {
+                download(fileName, format, data);
+                logger.info('save: offered as browser download', { fileName });
+                return { canceled: false, filePath: null };
+            }
+            const res = await saveExport({ defaultName: fileName, format, data });
+            logger.info('save result', res);
+            return { canceled: Boolean(res?.canceled), filePath: res?.filePath || null };
+        } catch (err) {
+            logger.error('save error', err);
+            throw err;
+        }
+    },
+};
+
+export default exportService;
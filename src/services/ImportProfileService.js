@@ -0,0 +1,103 @@
+/**
+ * ImportProfileService - Saved per-bank CSV import mapping profiles.
+ *
+ * Profiles are stored through the shared /api/cache store (LocalCacheService)
+ * as a JSON array so every household member sees the same bank mappings.
+ *
+ * Profile shape:
+ *   { id, name, headerSignature, mapping, signConvention, dateFormat, delimiter, hasHeader, updatedAt }
+ *
+ * @module ImportProfileService
+ */
+
+const logger = {
+    info: (...args) => console.log('[ImportProfileService]', ...args),
+    error: (...args) => console.error('[ImportProfileService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+
+const CACHE_KEY = 'importProfiles';
+
+/**
+ * Builds a stable id from a profile name.
+ * @param {string} name
+ * @returns {string}
+ */
+function toProfileId(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+const importProfileService = {
+    /**
+     * Fetch all saved import profiles.
+     *
+     * @async
+     * @function getProfiles
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getProfiles() {
+        logger.info('getProfiles entry');
+        try {
+            const profiles = await localCacheService.getJSON(CACHE_KEY, []);
+            const list = Array.isArray(profiles) ? profiles : [];
+            logger.info('getProfiles success', { count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getProfiles error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Create or replace a profile (matched by name).
+     *
+     * @async
+     * @function saveProfile
+     * @param {Object} profile - Profile fields; name is required.
+     * @returns {Promise<Object>} - The saved profile.
+     * @throws {Error} - If name is missing or the request fails.
+     */
+    async saveProfile(profile = {}) {
+        logger.info('saveProfile entry', { name: profile.name });
+        if (!profile.name || String(profile.name).trim() === '') throw new Error('Profile name required');
+        try {
+            const id = toProfileId(profile.name);
+            const saved = { ...profile, id, name: String(profile.name).trim(), updatedAt: new Date().toISOString() };
+            const profiles = await importProfileService.getProfiles();
+            const next = [...profiles.filter((p) => p.id !== id), saved]
+                .sort((a, b) => a.name.localeCompare(b.name));
+            await localCacheService.setJSON(CACHE_KEY, next);
+            logger.info('saveProfile success', { id });
+            return saved;
+        } catch (err) {
+            logger.error('saveProfile error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Delete a profile by id.
+     *
+     * @async
+     * @function deleteProfile
+     * @param {string} id - Profile id (required).
+     * @returns {Promise<void>}
+     * @throws {Error} - If id is missing or the request fails.
+     */
+    async deleteProfile(id) {
+        logger.info('deleteProfile entry', { id });
+        if (!id) throw new Error('Profile ID required');
+        try {
+            const profiles = await importProfileService.getProfiles();
+            await localCacheService.setJSON(CACHE_KEY, profiles.filter((p) => p.id !== id));
+            logger.info('deleteProfile success', { id });
+        } catch (err) {
+            logger.error('deleteProfile error', err);
+            throw err;
+        }
+    },
+};
+
+export default importProfileService;
@@ -1,7 +1,8 @@
 /**
  * LocalCacheService.
  * Service for /api/cache endpoints using centralized apiClient.
- * Provides get, set, delete, and deleteAll cache operations.
+ * Provides get, set, delete, and deleteAll cache operations,
+ * plus getJSON/setJSON helpers for structured values.
  *
  * @module LocalCacheService
  */
@@ -104,9 +105,64 @@ async function deleteAll() {
     }
 }
 
+/**
+ * Extracts the raw cache value from a /api/cache response.
+ * The backend has returned { cacheValue }, { value } and bare strings over time.
+ * @function extractCacheValue
+ * @param {object|string} res
+ * @returns {string|null}
+ */
+function extractCacheValue(res) {
+    return res?.cacheValue || res?.value || (typeof res === 'string' ? res : null);
+}
+
+/**
+ * Gets a JSON-encoded cache value by key.
+ * Missing keys (404) and unparseable values resolve to the fallback.
+ * @async
+ * @function getJSON
+ * @param {string} cacheKey
+ * @param {*} [fallback=null]
+ * @returns {Promise<*>} parsed value or fallback
+ * @throws {Error} If request fails for reasons other than a missing key.
+ */
+async function getJSON(cacheKey, fallback = null) {
+    try {
+        const raw = extractCacheValue(await get(cacheKey));
+        if (!raw) return fallback;
+        return JSON.parse(raw);
+    } catch (err) {
+        if (err?.response?.status === 404) {
+            logger.info('getJSON: key not found, using fallback', { cacheKey });
+            return fallback;
+        }
+        if (err instanceof SyntaxError) {
+            logger.error('getJSON: stored value is not valid JSON, using fallback', { cacheKey });
+            return fallback;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Sets a cache value by key, JSON-encoding it first.
+ * @async
+ * @function setJSON
+ * @param {string} cacheKey
+ * @param {*} value
+ * @returns {Promise<object>} response.data
+ * @throws {Error} If request fails.
+ */
+async function setJSON(cacheKey, value) {
+    return set(cacheKey, JSON.stringify(value ?? null));
+}
+
 const localCacheService = {
     get,
     set,
+    getJSON,
+    setJSON,
+    extractCacheValue,
     delete: deleteCache,
     deleteAll,
 };
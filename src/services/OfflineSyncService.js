@@ -0,0 +1,719 @@
+/**
+ * OfflineSyncService - Offline-first reads and queued writes for transactions and projections.
+ *
+ * Reads: served from the local store snapshot first (revalidated in the background);
+ * falls through to the network when nothing is cached. Pending queued writes are
+ * overlaid on every read so offline edits stay visible.
+ *
+ * Writes: sent to the server as usual. When the server is unreachable the write is
+ * queued in the local store and an optimistic result is returned. The queue replays
+ * in order when connectivity returns; updates/deletes are checked against the row as
+ * last seen from the server and recorded as conflicts when the server copy changed.
+ *
+ * Outside Electron (no local store) every call passes straight through to the network.
+ *
+ * @module OfflineSyncService
+ */
+
+const logger = {
+    info: (...args) => console.log('[OfflineSyncService]', ...args),
+    error: (...args) => console.error('[OfflineSyncService]', ...args),
+};
+
+import { getApiClient } from '../lib/apiClient';
+import { isLocalStoreAvailable, getItem, setItem, removeItem, keys } from '../lib/localStore';
+import { publish } from './TransactionEvents';
+import { getSharedAccounts } from '../config/config';
+
+export const TRANSACTIONS_RESOURCE = '/api/transactions';
+export const PROJECTIONS_RESOURCE = '/api/projections';
+
+/** Id prefix for rows created while offline (never sent to the server as an id). */
+export const OFFLINE_ID_PREFIX = 'offline-';
+
+const SNAPSHOT_PREFIX = 'snapshot:';
+const QUEUE_KEY = 'sync:queue';
+const CONFLICTS_KEY = 'sync:conflicts';
+const RETRY_INTERVAL_MS = 30000;
+
+/** Fields compared when deciding whether the server copy of a row changed. */
+const TRACKED_FIELDS = [
+    'name',
+    'amount',
+    'category',
+    'criticality',
+    'transactionDate',
+    'account',
+    'paymentMethod',
+    'memo',
+    'statementPeriod',
+];
+
+let online = typeof navigator !== 'undefined' && typeof navigator.onLine === 'boolean' ? navigator.onLine : true;
+let replayPromise = null;
+/** Tail of the chain that serializes queue / conflict-list writes (see withStoreLock). */
+let storeLock = Promise.resolve();
+const revalidating = new Map();
+const statusListeners = new Set();
+
+/**
+ * Generates a local id for offline-created rows and queue entries.
+ * @returns {string}
+ */
+function makeLocalId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * True for errors where the server never answered (down, unreachable, timeout).
+ * @function isNetworkError
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+    if (!err || err.response) return false;
+    return (
+        err.code === 'ERR_NETWORK' ||
+        err.code === 'ECONNABORTED' ||
+        err.code === 'ECONNREFUSED' ||
+        err.message === 'Network Error' ||
+        Boolean(err.request)
+    );
+}
+
+/**
+ * Event type published on TransactionEvents for a resource.
+ * @param {string} resource
+ * @returns {string}
+ */
+function eventTypeFor(resource) {
+    return resource === PROJECTIONS_RESOURCE ? 'projectionsChanged' : 'transactionsChanged';
+}
+
+// --- status -----------------------------------------------------------------
+
+/**
+ * Current sync status snapshot.
+ * @async
+ * @function getSyncStatus
+ * @returns {Promise<{available: boolean, online: boolean, syncing: boolean, pending: number, conflicts: Array}>}
+ */
+export async function getSyncStatus() {
+    if (!isLocalStoreAvailable()) {
+        return { available: false, online, syncing: false, pending: 0, conflicts: [] };
+    }
+    const [queue, conflicts] = await Promise.all([getQueue(), getConflicts()]);
+    return { available: true, online, syncing: Boolean(replayPromise), pending: queue.length, conflicts };
+}
+
+/**
+ * Subscribe to sync status changes (online flag, queue size, conflicts).
+ * Kept separate from TransactionEvents so status churn does not trigger data refetches.
+ * @function subscribeSyncStatus
+ * @param {Function} fn
+ * @returns {Function} unsubscribe
+ */
+export function subscribeSyncStatus(fn) {
+    if (typeof fn !== 'function') throw new Error('subscribeSyncStatus: handler must be a function');
+    statusListeners.add(fn);
+    return () => statusListeners.delete(fn);
+}
+
+function notifyStatus() {
+    getSyncStatus()
+        .then((status) => {
+            statusListeners.forEach((fn) => {
+                try {
+                    fn(status);
+                } catch (err) {
+                    logger.error('status listener threw', err);
+                }
+            });
+        })
+        .catch((err) => logger.error('notifyStatus failed', err));
+}
+
+function setOnline(next) {
+    if (online === next) return;
+    const cameBack = !online && next;
+    online = next;
+    logger.info(next ? 'server reachable' : 'server unreachable; working offline');
+    notifyStatus();
+    if (cameBack) {
+        replayQueue().catch((err) => logger.error('replay after reconnect failed', err));
+    }
+}
+
+// --- storage helpers --------------------------------------------------------
+
+async function getQueue() {
+    const queue = await getItem(QUEUE_KEY);
+    return Array.isArray(queue) ? queue : [];
+}
+
+async function saveQueue(queue) {
+    await setItem(QUEUE_KEY, queue);
+}
+
+async function getConflicts() {
+    const conflicts = await getItem(CONFLICTS_KEY);
+    return Array.isArray(conflicts) ? conflicts : [];
+}
+
+async function saveConflicts(conflicts) {
+    await setItem(CONFLICTS_KEY, conflicts);
+}
+
+/**
+ * Runs a read-modify-write of the queue or conflict list after every earlier one has
+ * finished. The store is reached over async IPC, so concurrent writers (multi-delete,
+ * bulk edit batches, replay) would otherwise read the same copy and overwrite each other.
+ * @param {Function} task - () => Promise<any>
+ * @returns {Promise<any>} the task's result
+ */
+function withStoreLock(task) {
+    const run = storeLock.then(task);
+    storeLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Reads the queue, lets `mutate` change it in place and saves it, under the store lock.
+ * Nothing is saved when `mutate` throws.
+ * @param {Function} mutate - (queue) => result | Promise<result>
+ * @returns {Promise<any>} mutate's result
+ */
+function updateQueue(mutate) {
+    return withStoreLock(async () => {
+        const queue = await getQueue();
+        const result = await mutate(queue);
+        await saveQueue(queue);
+        return result;
+    });
+}
+
+/**
+ * Same as updateQueue, for the conflict list.
+ * @param {Function} mutate - (conflicts) => result | Promise<result>
+ * @returns {Promise<any>} mutate's result
+ */
+function updateConflicts(mutate) {
+    return withStoreLock(async () => {
+        const conflicts = await getConflicts();
+        const result = await mutate(conflicts);
+        await saveConflicts(conflicts);
+        return result;
+    });
+}
+
+/**
+ * Stable cache key for a read: resource + endpoint + sorted non-empty params.
+ * @param {string} endpoint
+ * @param {Object} params
+ * @returns {string}
+ */
+function snapshotKey(endpoint, params = {}) {
+    const parts = Object.keys(params)
+        .filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== '')
+        .sort()
+        .map((k) => `${k}=${params[k]}`);
+    return `${SNAPSHOT_PREFIX}${endpoint}?${parts.join('&')}`;
+}
+
+/**
+ * Drops every cached read under a resource so the next read goes to the server.
+ * Used after bulk operations (upload, delete-all) that bypass the queue.
+ * @async
+ * @function invalidateSnapshots
+ * @param {string} resource
+ * @returns {Promise<void>}
+ */
+export async function invalidateSnapshots(resource) {
+    const stale = await keys(`${SNAPSHOT_PREFIX}${resource}`);
+    await Promise.all(stale.map((k) => removeItem(k)));
+}
+
+/**
+ * Collects every row array inside a cached response (list or account shape).
+ * @param {Object} data
+ * @returns {Array<Array>}
+ */
+function rowArraysOf(data) {
+    if (!data || typeof data !== 'object') return [];
+    return [
+        data.transactions,
+        data.personalTransactions?.transactions,
+        data.jointTransactions?.transactions,
+    ].filter(Array.isArray);
+}
+
+/**
+ * Finds the last server copy of a row across cached reads (used as the conflict base).
+ * @param {string} resource
+ * @param {string|number} id
+ * @returns {Promise<Object|null>}
+ */
+async function findKnownRow(resource, id) {
+    const snapshotKeys = await keys(`${SNAPSHOT_PREFIX}${resource}`);
+    for (const key of snapshotKeys) {
+        const snapshot = await getItem(key);
+        for (const rows of rowArraysOf(snapshot?.data)) {
+            const row = rows.find((r) => String(r?.id) === String(id));
+            if (row) return row;
+        }
+    }
+    return null;
+}
+
+// --- overlay ----------------------------------------------------------------
+
+/**
+ * Whether an account filter belongs to one of the household's shared accounts.
+ * @param {string} account
+ * @returns {boolean}
+ */
+function isSharedAccount(account) {
+    const acct = String(account ?? '').toLowerCase();
+    return acct !== '' && getSharedAccounts().some((a) => a.filter.toLowerCase() === acct);
+}
+
+/**
+ * Whether a locally created row belongs in a read with the given params.
+ * @param {Object} row
+ * @param {Object} params
+ * @param {boolean} accountScoped - account endpoints also include shared-account rows
+ * @returns {boolean}
+ */
+function rowMatchesParams(row, params, accountScoped) {
+    const eq = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+    if (params.account) {
+        const accountOk = eq(row.account, params.account) || (accountScoped && isSharedAccount(row.account));
+        if (!accountOk) return false;
+    }
+    return ['statementPeriod', 'category', 'criticality', 'paymentMethod'].every(
+        (k) => !params[k] || eq(row[k], params[k])
+    );
+}
+
+function sumAmounts(rows) {
+    return rows.reduce((sum, r) => sum + (Number(r?.amount) || 0), 0);
+}
+
+/**
+ * Applies a list of queued ops to an array of rows.
+ * @param {Array} rows
+ * @param {Array} ops
+ * @param {Function} acceptsCreate - (row) => boolean, whether a created row belongs here
+ * @returns {Array}
+ */
+function applyOps(rows, ops, acceptsCreate) {
+    let next = rows.slice();
+    ops.forEach((op) => {
+        if (op.action === 'create') {
+            const row = { ...op.payload, id: op.id };
+            if (acceptsCreate(row)) next = [row, ...next];
+        } else if (op.action === 'update') {
+            next = next.map((r) => (String(r.id) === String(op.id) ? { ...r, ...op.payload, id: r.id } : r));
+        } else if (op.action === 'delete') {
+            next = next.filter((r) => String(r.id) !== String(op.id));
+        }
+    });
+    return next;
+}
+
+/**
+ * Overlays pending queued writes onto a read result and recomputes counts/totals.
+ * Handles both list ({ transactions, count, total }) and account
+ * ({ personalTransactions, jointTransactions, personalTotal, jointTotal, total }) shapes.
+ *
+ * @param {string} resource
+ * @param {string} endpoint
+ * @param {Object} params
+ * @param {Object} data
+ * @returns {Promise<Object>}
+ */
+async function overlayPending(resource, endpoint, params, data) {
+    const ops = (await getQueue()).filter((op) => op.resource === resource);
+    if (ops.length === 0 || !data || typeof data !== 'object') return data;
+
+    const accountScoped = endpoint !== resource;
+    if (data.personalTransactions || data.jointTransactions) {
+        const isJointRow = (row) => isSharedAccount(row.account)
+            && String(row.account ?? '').toLowerCase() !== String(params.account ?? '').toLowerCase();
+        const personal = applyOps(data.personalTransactions?.transactions || [], ops,
+            (row) => rowMatchesParams(row, params, true) && !isJointRow(row));
+        const joint = applyOps(data.jointTransactions?.transactions || [], ops,
+            (row) => rowMatchesParams(row, params, true) && isJointRow(row));
+        const personalTotal = sumAmounts(personal);
+        const jointTotal = sumAmounts(joint);
+        return {
+            ...data,
+            personalTransactions: { ...(data.personalTransactions || {}), transactions: personal, count: personal.length, total: personalTotal },
+            jointTransactions: { ...(data.jointTransactions || {}), transactions: joint, count: joint.length, total: jointTotal },
+            personalTotal,
+            jointTotal,
+            total: personalTotal + jointTotal,
+        };
+    }
+    if (Array.isArray(data.transactions)) {
+        const rows = applyOps(data.transactions, ops, (row) => rowMatchesParams(row, params, accountScoped));
+        return { ...data, transactions: rows, count: rows.length, total: sumAmounts(rows) };
+    }
+    return data;
+}
+
+// --- reads ------------------------------------------------------------------
+
+/**
+ * Background refresh of a cached read; publishes a change event only when the
+ * server data differs from the snapshot, so refetch loops settle immediately.
+ */
+function revalidate(resource, key, params, snapshot, fetcher) {
+    if (revalidating.has(key)) return;
+    const task = (async () => {
+        try {
+            const data = await fetcher();
+            setOnline(true);
+            if (JSON.stringify(data) === JSON.stringify(snapshot?.data)) return;
+            await setItem(key, { data, savedAt: new Date().toISOString() });
+            logger.info('revalidate: snapshot updated', { key });
+            publish({
+                type: eventTypeFor(resource),
+                reason: 'sync',
+                account: params.account,
+                statementPeriod: params.statementPeriod,
+            });
+        } catch (err) {
+            if (isNetworkError(err)) setOnline(false);
+            else logger.error('revalidate failed', { key, message: err?.message });
+        } finally {
+            revalidating.delete(key);
+        }
+    })();
+    revalidating.set(key, task);
+}
+
+/**
+ * Offline-first read.
+ *
+ * @async
+ * @function cachedRead
+ * @param {Object} args
+ * @param {string} args.resource - TRANSACTIONS_RESOURCE or PROJECTIONS_RESOURCE.
+ * @param {string} args.endpoint - Full endpoint path (e.g. `${resource}/account`).
+ * @param {Object} [args.params] - Query params (part of the cache key).
+ * @param {Function} args.fetcher - () => Promise<data>, performs the network read.
+ * @returns {Promise<Object>} response data with pending writes overlaid
+ * @throws {Error} When nothing is cached and the network read fails.
+ */
+export async function cachedRead({ resource, endpoint, params = {}, fetcher }) {
+    if (!isLocalStoreAvailable()) return fetcher();
+
+    const key = snapshotKey(endpoint, params);
+    const snapshot = await getItem(key);
+    if (snapshot && snapshot.data !== undefined) {
+        logger.info('cachedRead: serving snapshot', { key, savedAt: snapshot.savedAt });
+        revalidate(resource, key, params, snapshot, fetcher);
+        return overlayPending(resource, endpoint, params, snapshot.data);
+    }
+
+    try {
+        const data = await fetcher();
+        setOnline(true);
+        await setItem(key, { data, savedAt: new Date().toISOString() });
+        return overlayPending(resource, endpoint, params, data);
+    } catch (err) {
+        if (isNetworkError(err)) setOnline(false);
+        throw err;
+    }
+}
+
+// --- writes -----------------------------------------------------------------
+
+/**
+ * Folds a change to an offline-created row into its queued create.
+ * @returns {Promise<Object>} optimistic result
+ */
+async function foldIntoQueuedCreate(resource, action, id, payload) {
+    const result = await updateQueue((queue) => {
+        const idx = queue.findIndex((op) => op.action === 'create' && op.resource === resource && String(op.id) === String(id));
+        if (idx < 0) throw new Error(`Offline transaction ${id} is no longer pending`);
+        if (action === 'delete') {
+            queue.splice(idx, 1);
+            return {};
+        }
+        queue[idx] = { ...queue[idx], payload: { ...queue[idx].payload, ...payload } };
+        return { ...queue[idx].payload, id };
+    });
+    notifyStatus();
+    logger.info('folded change into queued create', { resource, action, id });
+    return result;
+}
+
+/**
+ * Queues a write for later replay and returns an optimistic result.
+ * Consecutive changes to the same row are coalesced, keeping the original base.
+ * @returns {Promise<Object>}
+ */
+async function enqueue(resource, action, id, payload) {
+    if (action === 'create') {
+        const localId = `${OFFLINE_ID_PREFIX}${makeLocalId()}`;
+        await updateQueue((queue) => {
+            queue.push({ opId: makeLocalId(), resource, action, id: localId, payload, queuedAt: new Date().toISOString() });
+        });
+        notifyStatus();
+        logger.info('queued offline create', { resource, id: localId });
+        return { ...payload, id: localId };
+    }
+
+    const { base, merged } = await updateQueue(async (queue) => {
+        const idx = queue.findIndex((op) => op.resource === resource && op.action !== 'create' && String(op.id) === String(id));
+        const known = idx >= 0 ? queue[idx].base : await findKnownRow(resource, id);
+        const next = idx >= 0 && action === 'update' && queue[idx].action === 'update'
+            ? { ...queue[idx].payload, ...payload }
+            : payload;
+        if (idx >= 0) queue.splice(idx, 1);
+        queue.push({ opId: makeLocalId(), resource, action, id, payload: next, base: known, queuedAt: new Date().toISOString() });
+        return { base: known, merged: next };
+    });
+    notifyStatus();
+    logger.info('queued offline write', { resource, action, id, hasBase: Boolean(base) });
+    return action === 'delete' ? {} : { ...(base || {}), ...merged, id };
+}
+
+/**
+ * Offline-aware write.
+ *
+ * @async
+ * @function queuedWrite
+ * @param {Object} args
+ * @param {string} args.resource - TRANSACTIONS_RESOURCE or PROJECTIONS_RESOURCE.
+ * @param {'create'|'update'|'delete'} args.action
+ * @param {string|number} [args.id] - Row id (update/delete).
+ * @param {Object} [args.payload] - Row body (create/update).
+ * @param {Function} args.send - () => Promise<data>, performs the network write.
+ * @returns {Promise<Object>} server response, or an optimistic result when queued
+ * @throws {Error} Non-network errors from the server are rethrown unchanged.
+ */
+export async function queuedWrite({ resource, action, id, payload, send }) {
+    if (!isLocalStoreAvailable()) return send();
+
+    if (id !== undefined && String(id).startsWith(OFFLINE_ID_PREFIX)) {
+        return foldIntoQueuedCreate(resource, action, id, payload);
+    }
+
+    try {
+        const result = await send();
+        setOnline(true);
+        await invalidateSnapshots(resource);
+        return result;
+    } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        setOnline(false);
+        return enqueue(resource, action, id, payload);
+    }
+}
+
+// --- replay -----------------------------------------------------------------
+
+function sameValue(field, a, b) {
+    if (field === 'amount') return Number(a || 0) === Number(b || 0);
+    if (field === 'transactionDate') {
+        const ta = new Date(a).getTime();
+        const tb = new Date(b).getTime();
+        if (Number.isFinite(ta) && Number.isFinite(tb)) return ta === tb;
+    }
+    return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * Compares the current server row with the base captured when the op was queued.
+ * @returns {Promise<null|{reason: string, server: Object|null}|'gone'>}
+ *   null = safe to apply; 'gone' = already deleted (delete is a no-op)
+ */
+async function detectConflict(apiClient, op) {
+    if (!op.base) return null;
+    let server = null;
+    try {
+        const res = await apiClient.get(`${op.resource}/${encodeURIComponent(op.id)}`);
+        server = res.data;
+    } catch (err) {
+        if (err?.response?.status !== 404) throw err;
+        return op.action === 'delete' ? 'gone' : { reason: 'deletedOnServer', server: null };
+    }
+    const changed = TRACKED_FIELDS.filter((f) => !sameValue(f, server?.[f], op.base[f]));
+    return changed.length > 0 ? { reason: 'changedOnServer', server, fields: changed } : null;
+}
+
+async function sendOp(apiClient, op) {
+    if (op.action === 'create') return (await apiClient.post(op.resource, op.payload)).data;
+    if (op.action === 'update') return (await apiClient.put(`${op.resource}/${encodeURIComponent(op.id)}`, op.payload)).data;
+    try {
+        return (await apiClient.delete(`${op.resource}/${encodeURIComponent(op.id)}`)).data;
+    } catch (err) {
+        if (err?.response?.status === 404) return {};
+        throw err;
+    }
+}
+
+/**
+ * Replays queued writes in order. Stops at the first network failure (keeping the
+ * rest queued); server rejections and detected conflicts are moved to the conflict list.
+ *
+ * @async
+ * @function replayQueue
+ * @returns {Promise<{synced: number, conflicts: number, remaining: number}>}
+ */
+export async function replayQueue() {
+    if (!isLocalStoreAvailable()) return { synced: 0, conflicts: 0, remaining: 0 };
+    if (replayPromise) return replayPromise;
+
+    replayPromise = (async () => {
+        let queue = await getQueue();
+        if (queue.length === 0) return { synced: 0, conflicts: 0, remaining: 0 };
+        logger.info('replayQueue start', { pending: queue.length });
+        notifyStatus();
+
+        const apiClient = await getApiClient();
+        const touched = new Set();
+        const newConflicts = [];
+        let synced = 0;
+
+        while (queue.length > 0) {
+            const op = queue[0];
+            try {
+                const conflict = op.action === 'create' ? null : await detectConflict(apiClient, op);
+                if (conflict && conflict !== 'gone') {
+                    newConflicts.push({ ...op, ...conflict, detectedAt: new Date().toISOString() });
+                    logger.info('replayQueue: conflict detected', { resource: op.resource, id: op.id, reason: conflict.reason });
+                } else if (conflict !== 'gone') {
+                    await sendOp(apiClient, op);
+                    synced += 1;
+                }
+                touched.add(op.resource);
+            } catch (err) {
+                if (isNetworkError(err)) {
+                    setOnline(false);
+                    logger.info('replayQueue: server unreachable, pausing', { remaining: queue.length });
+                    break;
+                }
+                newConflicts.push({
+                    ...op,
+                    reason: 'rejected',
+                    server: null,
+                    message: err?.response?.data?.message || err?.message || String(err),
+                    detectedAt: new Date().toISOString(),
+                });
+                logger.error('replayQueue: server rejected op', { resource: op.resource, id: op.id, message: err?.message });
+            }
+            // Drop the op from the stored queue (not a local copy), keeping writes queued meanwhile
+            queue = await updateQueue((stored) => {
+                const idx = stored.findIndex((o) => o.opId === op.opId);
+                if (idx >= 0) stored.splice(idx, 1);
+                return stored.slice();
+            });
+        }
+
+        if (newConflicts.length > 0) {
+            await updateConflicts((conflicts) => { conflicts.push(...newConflicts); });
+        }
+        for (const resource of touched) {
+            await invalidateSnapshots(resource);
+            publish({ type: eventTypeFor(resource), reason: 'sync' });
+        }
+        logger.info('replayQueue done', { synced, conflicts: newConflicts.length, remaining: queue.length });
+        return { synced, conflicts: newConflicts.length, remaining: queue.length };
+    })();
+
+    try {
+        return await replayPromise;
+    } finally {
+        replayPromise = null;
+        notifyStatus();
+    }
+}
+
+/**
+ * Resolves a recorded conflict.
+ *
+ * @async
+ * @function resolveConflict
+ * @param {string} opId - Conflict (queued op) id.
+ * @param {'local'|'server'} strategy - 'local' re-applies the offline change over the server copy;
+ *   'server' discards the offline change.
+ * @returns {Promise<void>}
+ * @throws {Error} If the conflict is unknown or re-applying fails.
+ */
+export async function resolveConflict(opId, strategy) {
+    logger.info('resolveConflict entry', { opId, strategy });
+    if (strategy !== 'local' && strategy !== 'server') throw new Error('strategy must be "local" or "server"');
+    const conflicts = await getConflicts();
+    const conflict = conflicts.find((c) => c.opId === opId);
+    if (!conflict) throw new Error('Conflict not found');
+
+    if (strategy === 'local') {
+        const apiClient = await getApiClient();
+        if (conflict.action === 'update' && conflict.reason === 'deletedOnServer') {
+            // Row is gone on the server: keeping the local edit means re-creating it.
+            const body = { ...(conflict.base || {}), ...conflict.payload };
+            delete body.id;
+            await sendOp(apiClient, { ...conflict, action: 'create', payload: body });
+        } else {
+            await sendOp(apiClient, conflict);
+        }
+    }
+
+    await updateConflicts((current) => {
+        const idx = current.findIndex((c) => c.opId === opId);
+        if (idx >= 0) current.splice(idx, 1);
+    });
+    await invalidateSnapshots(conflict.resource);
+    publish({ type: eventTypeFor(conflict.resource), reason: 'sync' });
+    notifyStatus();
+    logger.info('resolveConflict success', { opId, strategy });
+}
+
+/**
+ * Starts connectivity listeners and a periodic retry while writes are pending.
+ * Safe to call when no local store exists (no-op).
+ *
+ * @function startSync
+ * @returns {Function} stop
+ */
+export function startSync() {
+    if (!isLocalStoreAvailable() || typeof window === 'undefined') return () => {};
+    logger.info('startSync');
+
+    const handleOnline = () => replayQueue().catch((err) => logger.error('replay on online failed', err));
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    const timer = setInterval(async () => {
+        if ((await getQueue()).length > 0) handleOnline();
+    }, RETRY_INTERVAL_MS);
+
+    handleOnline();
+
+    return () => {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+        clearInterval(timer);
+        logger.info('stopSync');
+    };
+}
+
+const offlineSyncService = {
+    cachedRead,
+    queuedWrite,
+    replayQueue,
+    resolveConflict,
+    invalidateSnapshots,
+    getSyncStatus,
+    subscribeSyncStatus,
+    startSync,
+    isNetworkError,
+};
+
+export default offlineSyncService;
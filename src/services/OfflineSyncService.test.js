@@ -0,0 +1,76 @@
+import { queuedWrite, getSyncStatus, TRANSACTIONS_RESOURCE, OFFLINE_ID_PREFIX } from './OfflineSyncService';
+import { getItem } from '../lib/localStore';
+
+jest.mock('../lib/apiClient', () => ({ getApiClient: jest.fn() }));
+jest.mock('../config/config', () => ({ getSharedAccounts: () => [] }));
+
+// In-memory stand-in for the Electron local store. Every call yields before touching
+// the map, like the IPC bridge does, so unserialized read-modify-writes interleave.
+jest.mock('../lib/localStore', () => {
+    const store = new Map();
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+    const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+    return {
+        __store: store,
+        isLocalStoreAvailable: () => true,
+        getItem: async (key) => { await tick(); return clone(store.get(key)); },
+        setItem: async (key, value) => { await tick(); store.set(key, clone(value)); },
+        removeItem: async (key) => { await tick(); store.delete(key); },
+        keys: async (prefix = '') => { await tick(); return [...store.keys()].filter((k) => k.startsWith(prefix)); },
+    };
+});
+
+const offline = () => Promise.reject(Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' }));
+
+beforeEach(() => {
+    jest.requireMock('../lib/localStore').__store.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('OfflineSyncService queue', () => {
+    it('keeps every write when several are queued at once', async () => {
+        const writes = [
+            { action: 'create', payload: { name: 'a' } },
+            { action: 'create', payload: { name: 'b' } },
+            { action: 'update', id: 1, payload: { amount: 5 } },
+            { action: 'delete', id: 2 },
+            { action: 'update', id: 3, payload: { name: 'c' } },
+        ];
+
+        await Promise.all(writes.map((w) => queuedWrite({ resource: TRANSACTIONS_RESOURCE, ...w, send: offline })));
+
+        const status = await getSyncStatus();
+        expect(status.pending).toBe(writes.length);
+        expect(status.online).toBe(false);
+    });
+
+    it('merges concurrent updates to the same row into one queued op', async () => {
+        await Promise.all([
+            queuedWrite({ resource: TRANSACTIONS_RESOURCE, action: 'update', id: 7, payload: { amount: 1 }, send: offline }),
+            queuedWrite({ resource: TRANSACTIONS_RESOURCE, action: 'update', id: 7, payload: { name: 'x' }, send: offline }),
+        ]);
+
+        const queue = await getItem('sync:queue');
+        const ops = queue.filter((op) => op.id === 7);
+        expect(ops).toHaveLength(1);
+        expect(ops[0].payload).toEqual({ amount: 1, name: 'x' });
+    });
+
+    it('folds concurrent edits of an offline-created row into its create', async () => {
+        const created = await queuedWrite({ resource: TRANSACTIONS_RESOURCE, action: 'create', payload: { name: 'a' }, send: offline });
+        expect(String(created.id).startsWith(OFFLINE_ID_PREFIX)).toBe(true);
+
+        await Promise.all([
+            queuedWrite({ resource: TRANSACTIONS_RESOURCE, action: 'update', id: created.id, payload: { amount: 3 }, send: offline }),
+            queuedWrite({ resource: TRANSACTIONS_RESOURCE, action: 'update', id: created.id, payload: { category: 'Food' }, send: offline }),
+        ]);
+
+        const queue = await getItem('sync:queue');
+        expect(queue).toHaveLength(1);
+        expect(queue[0].payload).toEqual({ name: 'a', amount: 3, category: 'Food' });
+    });
+});
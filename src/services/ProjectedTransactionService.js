@@ -7,6 +7,8 @@
  *
  * Also exposes account-scoped fetch that returns AccountProjectedTransactionList
  * (personal + joint split) via GET /api/projections/account.
+ *
+ * Reads and single-row writes go through OfflineSyncService (local store first, queued when offline).
  */
 
 const logger = {
@@ -15,8 +17,9 @@ const logger = {
 };
 
 import { getApiClient } from '../lib/apiClient';
+import { cachedRead, queuedWrite, invalidateSnapshots, PROJECTIONS_RESOURCE } from './OfflineSyncService';
 
-const RESOURCE = '/api/projections';
+const RESOURCE = PROJECTIONS_RESOURCE;
 
 const projectedTransactionService = {
     /**
@@ -36,13 +39,21 @@ const projectedTransactionService = {
         logger.info('getTransactions entry', { filters });
         try {
             const config = transactionId ? { params: filters, headers: { 'X-Transaction-ID': transactionId } } : { params: filters };
-            const apiClient = await getApiClient();
-            const response = await apiClient.get(RESOURCE, config);
+            const data = await cachedRead({
+                resource: RESOURCE,
+                endpoint: RESOURCE,
+                params: filters,
+                fetcher: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.get(RESOURCE, config);
+                    return response.data;
+                },
+            });
             logger.info('getTransactions success', {
-                count: response.data && typeof response.data.count === 'number' ? response.data.count : 0,
-                total: response.data && response.data.total ? response.data.total : 0,
+                count: data && typeof data.count === 'number' ? data.count : 0,
+                total: data && data.total ? data.total : 0,
             });
-            return response.data;
+            return data;
         } catch (err) {
             logger.error('getTransactions error', err);
             throw err;
@@ -66,10 +77,17 @@ const projectedTransactionService = {
         if (!id) throw new Error('Transaction ID required');
         try {
             const config = transactionId ? { headers: { 'X-Transaction-ID': transactionId } } : undefined;
-            const apiClient = await getApiClient();
-            const response = await apiClient.get(`${RESOURCE}/${encodeURIComponent(id)}`, config);
-            logger.info('getTransaction success', { transaction: response.data });
-            return response.data;
+            const data = await cachedRead({
+                resource: RESOURCE,
+                endpoint: `${RESOURCE}/${encodeURIComponent(id)}`,
+                fetcher: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.get(`${RESOURCE}/${encodeURIComponent(id)}`, config);
+                    return response.data;
+                },
+            });
+            logger.info('getTransaction success', { transaction: data });
+            return data;
         } catch (err) {
             logger.error('getTransaction error', err);
             throw err;
@@ -97,15 +115,23 @@ const projectedTransactionService = {
             const config = transactionId
                 ? { params: { account, statementPeriod, category, criticality, paymentMethod }, headers: { 'X-Transaction-ID': transactionId } }
                 : { params: { account, statementPeriod, category, criticality, paymentMethod } };
-            const apiClient = await getApiClient();
-            const response = await apiClient.get(`${RESOURCE}/account`, config);
+            const data = await cachedRead({
+                resource: RESOURCE,
+                endpoint: `${RESOURCE}/account`,
+                params: config.params,
+                fetcher: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.get(`${RESOURCE}/account`, config);
+                    return response.data;
+                },
+            });
             logger.info('getTransactionsForAccount success', {
-                personalCount: response.data?.personalTransactions?.count ?? 0,
-                jointCount: response.data?.jointTransactions?.count ?? 0,
-                personalTotal: response.data?.personalTotal,
-                jointTotal: response.data?.jointTotal,
+                personalCount: data?.personalTransactions?.count ?? 0,
+                jointCount: data?.jointTransactions?.count ?? 0,
+                personalTotal: data?.personalTotal,
+                jointTotal: data?.jointTotal,
             });
-            return response.data;
+            return data;
         } catch (err) {
             logger.error('getTransactionsForAccount error', err);
             throw err;
@@ -128,10 +154,18 @@ const projectedTransactionService = {
         logger.info('createTransaction entry', { transactionPreview: transaction ? { name: transaction.name, amount: transaction.amount, statementPeriod: transaction.statementPeriod } : null });
         try {
             const config = transactionId ? { headers: { 'X-Transaction-ID': transactionId } } : undefined;
-            const apiClient = await getApiClient();
-            const response = await apiClient.post(RESOURCE, transaction, config);
-            logger.info('createTransaction success', { created: response.data });
-            return response.data;
+            const created = await queuedWrite({
+                resource: RESOURCE,
+                action: 'create',
+                payload: transaction,
+                send: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.post(RESOURCE, transaction, config);
+                    return response.data;
+                },
+            });
+            logger.info('createTransaction success', { created });
+            return created;
         } catch (err) {
             logger.error('createTransaction error', err);
             throw err;
@@ -156,10 +190,19 @@ const projectedTransactionService = {
         if (!id) throw new Error('Transaction ID required');
         try {
             const config = transactionId ? { headers: { 'X-Transaction-ID': transactionId } } : undefined;
-            const apiClient = await getApiClient();
-            const response = await apiClient.put(`${RESOURCE}/${encodeURIComponent(id)}`, transaction, config);
-            logger.info('updateTransaction success', { updated: response.data });
-            return response.data;
+            const updated = await queuedWrite({
+                resource: RESOURCE,
+                action: 'update',
+                id,
+                payload: transaction,
+                send: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.put(`${RESOURCE}/${encodeURIComponent(id)}`, transaction, config);
+                    return response.data;
+                },
+            });
+            logger.info('updateTransaction success', { updated });
+            return updated;
         } catch (err) {
             logger.error('updateTransaction error', err);
             throw err;
@@ -183,10 +226,19 @@ const projectedTransactionService = {
         if (!id) throw new Error('Transaction ID required');
         try {
             const config = transactionId ? { headers: { 'X-Transaction-ID': transactionId } } : undefined;
-            const apiClient = await getApiClient();
-            const response = await apiClient.delete(`${RESOURCE}/${encodeURIComponent(id)}`, config);
-            logger.info('deleteTransaction success', { status: response.status });
-            return response.data;
+            const result = await queuedWrite({
+                resource: RESOURCE,
+                action: 'delete',
+                id,
+                send: async () => {
+                    const apiClient = await getApiClient();
+                    const response = await apiClient.delete(`${RESOURCE}/${encodeURIComponent(id)}`, config);
+                    logger.info('deleteTransaction sent', { status: response.status });
+                    return response.data;
+                },
+            });
+            logger.info('deleteTransaction success', { id });
+            return result;
         } catch (err) {
             logger.error('deleteTransaction error', err);
             throw err;
@@ -210,6 +262,7 @@ const projectedTransactionService = {
             const config = transactionId ? { headers: { 'X-Transaction-ID': transactionId } } : undefined;
             const apiClient = await getApiClient();
             const response = await apiClient.delete(RESOURCE, config);
+            await invalidateSnapshots(RESOURCE);
             logger.info('deleteAllTransactions success', { deletedCount: response.data?.deletedCount });
             return response.data;
         } catch (err) {
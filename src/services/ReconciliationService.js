@@ -0,0 +1,140 @@
+/**
+ * ReconciliationService - Closes out projections once their actual transaction arrives.
+ *
+ * Reconciling a pair deletes the projection (ProjectedTransactionService, /api/projections)
+ * so it no longer counts towards projected totals, and keeps a record of the projected vs
+ * actual variance per statement period in the shared /api/cache store (LocalCacheService).
+ *
+ * Record shape:
+ *   {
+ *     id, statementPeriod, projectionId, actualId, name, actualName, category, account,
+ *     projectedAmount, actualAmount, variance, projectedDate, actualDate,
+ *     recurringTemplateId, reconciledAt
+ *   }
+ *
+ * @module ReconciliationService
+ */
+
+const logger = {
+    info: (...args) => console.log('[ReconciliationService]', ...args),
+    error: (...args) => console.error('[ReconciliationService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+import projectedTransactionService from './ProjectedTransactionService';
+
+const CACHE_PREFIX = 'reconciliations';
+
+/**
+ * Builds the cache key for a statement period.
+ * @param {string} statementPeriod
+ * @returns {string}
+ */
+function toCacheKey(statementPeriod) {
+    return `${CACHE_PREFIX}:${statementPeriod}`;
+}
+
+/**
+ * Builds a reasonably unique record id.
+ * @returns {string}
+ */
+function makeRecordId() {
+    return `rec-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Variance record for a projection / actual pair.
+ * @param {Object} projection
+ * @param {Object} actual
+ * @param {string} statementPeriod
+ * @returns {Object}
+ */
+function buildRecord(projection, actual, statementPeriod) {
+    const projectedAmount = Number(projection.amount) || 0;
+    const actualAmount = Number(actual.amount) || 0;
+    return {
+        id: makeRecordId(),
+        statementPeriod,
+        projectionId: String(projection.id),
+        actualId: String(actual.id),
+        name: projection.name || '',
+        actualName: actual.name || '',
+        category: projection.category || actual.category || '',
+        account: projection.account || actual.account || '',
+        projectedAmount,
+        actualAmount,
+        variance: Math.round((actualAmount - projectedAmount) * 100) / 100,
+        projectedDate: projection.transactionDate || null,
+        actualDate: actual.transactionDate || null,
+        recurringTemplateId: projection.recurringTemplateId || null,
+        reconciledAt: new Date().toISOString(),
+    };
+}
+
+const reconciliationService = {
+    /**
+     * Fetch the reconciliation records of a statement period.
+     *
+     * @async
+     * @function getRecords
+     * @param {Object} params
+     * @param {string} params.statementPeriod - Statement period value e.g. "OCTOBER2026" (required).
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If statementPeriod is missing or the request fails.
+     */
+    async getRecords({ statementPeriod } = {}) {
+        logger.info('getRecords entry', { statementPeriod });
+        if (!statementPeriod) throw new Error('statementPeriod required');
+        try {
+            const records = await localCacheService.getJSON(toCacheKey(statementPeriod), []);
+            const list = Array.isArray(records) ? records.filter((r) => r && r.id) : [];
+            logger.info('getRecords success', { statementPeriod, count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getRecords error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Reconcile confirmed pairs: delete each projection and record its variance.
+     * Pairs whose projection cannot be deleted are reported as failed and not recorded.
+     *
+     * @async
+     * @function reconcile
+     * @param {Object} params
+     * @param {string} params.statementPeriod - Statement period value (required).
+     * @param {Array<{projection: Object, actual: Object}>} params.pairs - Confirmed matches.
+     * @returns {Promise<{records: Array<Object>, failed: Array<{projection: Object, error: string}>}>}
+     * @throws {Error} - If params are missing or the records cannot be saved.
+     */
+    async reconcile({ statementPeriod, pairs } = {}) {
+        logger.info('reconcile entry', { statementPeriod, count: pairs?.length });
+        if (!statementPeriod) throw new Error('statementPeriod required');
+        if (!Array.isArray(pairs)) throw new Error('pairs required');
+        try {
+            const records = [];
+            const failed = [];
+            for (const { projection, actual } of pairs) {
+                try {
+                    await projectedTransactionService.deleteTransaction(projection.id);
+                    records.push(buildRecord(projection, actual, statementPeriod));
+                } catch (err) {
+                    logger.error('reconcile: deleting projection failed', { id: projection?.id, message: err?.message });
+                    failed.push({ projection, error: err?.message || String(err) });
+                }
+            }
+            if (records.length > 0) {
+                const existing = await reconciliationService.getRecords({ statementPeriod });
+                await localCacheService.setJSON(toCacheKey(statementPeriod), [...existing, ...records]);
+            }
+            logger.info('reconcile success', { statementPeriod, reconciled: records.length, failed: failed.length });
+            return { records, failed };
+        } catch (err) {
+            logger.error('reconcile error', err);
+            throw err;
+        }
+    },
+};
+
+export default reconciliationService;
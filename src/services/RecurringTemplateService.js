@@ -0,0 +1,385 @@
+/**
+ * RecurringTemplateService - Recurring transaction templates (rent, subscriptions, paychecks).
+ *
+ * Templates are stored through the shared /api/cache store (LocalCacheService) as a
+ * JSON array. Each template generates projected transactions (ProjectedTransactionService)
+ * into the upcoming statement periods produced by generateOptions.
+ *
+ * Generated projections carry `recurringTemplateId` and `recurringOccurrence` (YYYY-MM-DD)
+ * so they link back to their template. The service also keeps an instance index
+ * ("templateId|occurrence" => { projectionId, statementPeriod }) so generation is
+ * idempotent: an occurrence is generated once, and a projection the user deleted is
+ * not recreated.
+ *
+ * Template shape:
+ *   {
+ *     id, name, amount, category, criticality, account, paymentMethod, memo,
+ *     schedule: { type, dayOfMonth, intervalWeeks, month, day },
+ *     startDate, endDate, enabled, updatedAt
+ *   }
+ *
+ * @module RecurringTemplateService
+ */
+
+const logger = {
+    info: (...args) => console.log('[RecurringTemplateService]', ...args),
+    error: (...args) => console.error('[RecurringTemplateService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+import projectedTransactionService from './ProjectedTransactionService';
+import { generateOptions, getScheme } from './StatementPeriodService';
+import { publish } from './TransactionEvents';
+import {
+    occurrencesInPeriod,
+    fromDateKey,
+    toDateKey,
+    sameSchedule,
+} from '../lib/recurrence';
+
+const CACHE_KEY = 'recurringTemplates';
+const INSTANCES_CACHE_KEY = 'recurringInstances';
+
+/** Statement periods ahead of the current one that receive generated projections. */
+export const DEFAULT_GENERATION_HORIZON = 5;
+
+/** Tail of the chain that serializes work on the instance index (see withInstanceLock). */
+let instanceLock = Promise.resolve();
+
+/**
+ * Runs a task after every earlier instance-index task has finished, so overlapping
+ * generation runs (app start, template save, propagate) never read the same index and
+ * create the same occurrence twice.
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} the task's result
+ */
+function withInstanceLock(task) {
+    const run = instanceLock.then(task);
+    instanceLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Builds a reasonably unique template id.
+ * @returns {string}
+ */
+function makeTemplateId() {
+    return `tmpl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Instance index key.
+ * @param {string} templateId
+ * @param {string} occurrence - YYYY-MM-DD
+ * @returns {string}
+ */
+function instanceKey(templateId, occurrence) {
+    return `${templateId}|${occurrence}`;
+}
+
+/**
+ * Today at local midnight.
+ * @returns {Date}
+ */
+function today() {
+    return fromDateKey(toDateKey(new Date()));
+}
+
+/**
+ * Projection payload for one occurrence of a template.
+ *
+ * @function buildProjection
+ * @param {Object} template
+ * @param {string} occurrence - YYYY-MM-DD
+ * @param {string} statementPeriod
+ * @returns {Object}
+ */
+export function buildProjection(template, occurrence, statementPeriod) {
+    return {
+        name: template.name,
+        amount: Number(template.amount) || 0,
+        category: template.category || '',
+        criticality: template.criticality || '',
+        account: template.account || '',
+        paymentMethod: template.paymentMethod || '',
+        memo: template.memo || '',
+        transactionDate: fromDateKey(occurrence).toISOString(),
+        statementPeriod,
+        recurringTemplateId: template.id,
+        recurringOccurrence: occurrence,
+    };
+}
+
+const recurringTemplateService = {
+    /**
+     * Fetch all templates.
+     *
+     * @async
+     * @function getTemplates
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getTemplates() {
+        logger.info('getTemplates entry');
+        try {
+            const templates = await localCacheService.getJSON(CACHE_KEY, []);
+            const list = (Array.isArray(templates) ? templates : []).filter((t) => t && t.id);
+            logger.info('getTemplates success', { count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getTemplates error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Fetch the generated-instance index.
+     *
+     * @async
+     * @function getInstances
+     * @returns {Promise<Record<string, {projectionId: string, statementPeriod: string}>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getInstances() {
+        logger.info('getInstances entry');
+        try {
+            const raw = await localCacheService.getJSON(INSTANCES_CACHE_KEY, {});
+            return raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+        } catch (err) {
+            logger.error('getInstances error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Map of projection id => template id for every generated instance, used to link
+     * projections back to their template when the server does not echo the link fields.
+     *
+     * @async
+     * @function getProjectionLinks
+     * @returns {Promise<Record<string, string>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getProjectionLinks() {
+        const instances = await recurringTemplateService.getInstances();
+        return Object.entries(instances).reduce((acc, [key, inst]) => {
+            if (inst?.projectionId) acc[inst.projectionId] = key.split('|')[0];
+            return acc;
+        }, {});
+    },
+
+    /**
+     * Create or replace a template. With `propagate`, future generated instances are
+     * brought in line with the edit: updated in place when the schedule is unchanged,
+     * otherwise removed and regenerated on the new schedule.
+     *
+     * @async
+     * @function saveTemplate
+     * @param {Object} template - Template fields; a new id is assigned when missing.
+     * @param {Object} [options]
+     * @param {boolean} [options.propagate=false] - Apply the edit to future generated projections.
+     * @returns {Promise<Object>} - The saved template.
+     * @throws {Error} - If the template has no name / schedule or the request fails.
+     */
+    async saveTemplate(template = {}, { propagate = false } = {}) {
+        logger.info('saveTemplate entry', { id: template.id, name: template.name, propagate });
+        if (!template.name || String(template.name).trim() === '') throw new Error('Template name required');
+        if (!template.schedule || !template.schedule.type) throw new Error('Template schedule required');
+        try {
+            const templates = await recurringTemplateService.getTemplates();
+            const previous = templates.find((t) => t.id === template.id) || null;
+            const saved = {
+                ...template,
+                id: template.id || makeTemplateId(),
+                name: String(template.name).trim(),
+                amount: Number(template.amount) || 0,
+                enabled: template.enabled !== false,
+                updatedAt: new Date().toISOString(),
+            };
+            const next = previous
+                ? templates.map((t) => (t.id === saved.id ? saved : t))
+                : [...templates, saved];
+            await localCacheService.setJSON(CACHE_KEY, next);
+
+            if (previous && propagate) {
+                await recurringTemplateService.propagateTemplate(saved, previous);
+            }
+            logger.info('saveTemplate success', { id: saved.id });
+            return saved;
+        } catch (err) {
+            logger.error('saveTemplate error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Delete a template. With `removeFuture`, its projections from today on are deleted too.
+     *
+     * @async
+     * @function deleteTemplate
+     * @param {string} id - Template id (required).
+     * @param {Object} [options]
+     * @param {boolean} [options.removeFuture=false]
+     * @returns {Promise<void>}
+     * @throws {Error} - If id is missing or the request fails.
+     */
+    async deleteTemplate(id, { removeFuture = false } = {}) {
+        logger.info('deleteTemplate entry', { id, removeFuture });
+        if (!id) throw new Error('Template ID required');
+        try {
+            const templates = await recurringTemplateService.getTemplates();
+            await localCacheService.setJSON(CACHE_KEY, templates.filter((t) => t.id !== id));
+            if (removeFuture) {
+                await recurringTemplateService.removeFutureInstances(id);
+            }
+            logger.info('deleteTemplate success', { id });
+        } catch (err) {
+            logger.error('deleteTemplate error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Deletes a template's generated projections dated today or later and forgets them,
+     * so a later generation run can recreate them.
+     *
+     * @async
+     * @function removeFutureInstances
+     * @param {string} templateId
+     * @returns {Promise<number>} - Number of projections removed.
+     * @throws {Error} - If the instance index cannot be read or written.
+     */
+    async removeFutureInstances(templateId) {
+        logger.info('removeFutureInstances entry', { templateId });
+        try {
+            return await withInstanceLock(async () => {
+                const instances = await recurringTemplateService.getInstances();
+                const todayKey = toDateKey(today());
+                let removed = 0;
+                for (const [key, inst] of Object.entries(instances)) {
+                    const [tid, occurrence] = key.split('|');
+                    if (tid !== templateId || occurrence < todayKey) continue;
+                    try {
+                        if (inst?.projectionId) await projectedTransactionService.deleteTransaction(inst.projectionId);
+                    } catch (err) {
+                        // Already deleted by the user (or never synced): just forget it.
+                        logger.error('removeFutureInstances: delete failed; dropping instance', { key, message: err?.message });
+                    }
+                    delete instances[key];
+                    removed += 1;
+                }
+                await localCacheService.setJSON(INSTANCES_CACHE_KEY, instances);
+                logger.info('removeFutureInstances success', { templateId, removed });
+                return removed;
+            });
+        } catch (err) {
+            logger.error('removeFutureInstances error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Applies an edited template to its generated projections from today on.
+     *
+     * @async
+     * @function propagateTemplate
+     * @param {Object} template - Saved template.
+     * @param {Object} previous - Template before the edit.
+     * @returns {Promise<void>}
+     * @throws {Error} - If the instance index cannot be read or written.
+     */
+    async propagateTemplate(template, previous) {
+        logger.info('propagateTemplate entry', { id: template.id });
+        try {
+            if (!sameSchedule(template, previous)) {
+                await recurringTemplateService.removeFutureInstances(template.id);
+                await recurringTemplateService.generateProjections({ templateIds: [template.id] });
+                return;
+            }
+            const instances = await recurringTemplateService.getInstances();
+            const todayKey = toDateKey(today());
+            for (const [key, inst] of Object.entries(instances)) {
+                const [tid, occurrence] = key.split('|');
+                if (tid !== template.id || occurrence < todayKey || !inst?.projectionId) continue;
+                try {
+                    await projectedTransactionService.updateTransaction(
+                        inst.projectionId,
+                        buildProjection(template, occurrence, inst.statementPeriod)
+                    );
+                } catch (err) {
+                    logger.error('propagateTemplate: update failed; skipping instance', { key, message: err?.message });
+                }
+            }
+            logger.info('propagateTemplate success', { id: template.id });
+        } catch (err) {
+            logger.error('propagateTemplate error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Generates projections for enabled templates into the current and upcoming statement
+     * periods (generateOptions). Occurrences already generated, or before today, are skipped.
+     * Runs are serialized, and each instance is recorded as soon as its projection exists,
+     * so neither an overlapping run nor a failure partway through recreates one.
+     * Publishes 'projectionsChanged' when anything was created.
+     *
+     * @async
+     * @function generateProjections
+     * @param {Object} [options]
+     * @param {number} [options.horizon=DEFAULT_GENERATION_HORIZON] - Periods ahead of the current one.
+     * @param {Array<string>} [options.templateIds] - Limit generation to these templates.
+     * @returns {Promise<{created: number, failed: number}>}
+     * @throws {Error} - If templates or the instance index cannot be read or written.
+     */
+    async generateProjections({ horizon = DEFAULT_GENERATION_HORIZON, templateIds } = {}) {
+        logger.info('generateProjections entry', { horizon, templateIds });
+        try {
+            const result = await withInstanceLock(async () => {
+                const templates = (await recurringTemplateService.getTemplates())
+                    .filter((t) => t.enabled !== false)
+                    .filter((t) => !Array.isArray(templateIds) || templateIds.includes(t.id));
+                if (templates.length === 0) return { created: 0, failed: 0 };
+
+                const instances = await recurringTemplateService.getInstances();
+                const scheme = getScheme();
+                const periods = generateOptions({ anchor: new Date(), prev: 0, forward: horizon, scheme }).map((o) => o.value);
+                const notBefore = today();
+                let created = 0;
+                let failed = 0;
+
+                for (const template of templates) {
+                    for (const statementPeriod of periods) {
+                        for (const occurrence of occurrencesInPeriod(template, statementPeriod, notBefore, scheme)) {
+                            const key = instanceKey(template.id, occurrence);
+                            if (instances[key]) continue;
+                            let projection;
+                            try {
+                                projection = await projectedTransactionService.createTransaction(
+                                    buildProjection(template, occurrence, statementPeriod)
+                                );
+                            } catch (err) {
+                                logger.error('generateProjections: create failed', { key, message: err?.message });
+                                failed += 1;
+                                continue;
+                            }
+                            instances[key] = { projectionId: projection?.id ?? null, statementPeriod };
+                            created += 1;
+                            await localCacheService.setJSON(INSTANCES_CACHE_KEY, instances);
+                        }
+                    }
+                }
+                return { created, failed };
+            });
+
+            if (result.created > 0) publish({ type: 'projectionsChanged', reason: 'recurring', created: result.created });
+            logger.info('generateProjections success', result);
+            return result;
+        } catch (err) {
+            logger.error('generateProjections error', err);
+            throw err;
+        }
+    },
+};
+
+export default recurringTemplateService;
@@ -0,0 +1,100 @@
+import recurringTemplateService from './RecurringTemplateService';
+
+jest.mock('./TransactionEvents', () => ({ publish: () => {} }));
+
+jest.mock('./StatementPeriodService', () => {
+    const { DEFAULT_SCHEME, generatePeriods } = jest.requireActual('../lib/statementPeriods');
+    return { getScheme: () => DEFAULT_SCHEME, generateOptions: generatePeriods };
+});
+
+// In-memory stand-in for the /api/cache store; every call yields like a network round trip.
+jest.mock('./LocalCacheService', () => {
+    const store = new Map();
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+    return {
+        __store: store,
+        getJSON: async (key, fallback) => { await tick(); return store.has(key) ? JSON.parse(store.get(key)) : fallback; },
+        setJSON: async (key, value) => { await tick(); store.set(key, JSON.stringify(value)); },
+    };
+});
+
+// Records every created projection; `failOn` makes the nth create (1-based) throw and
+// `holdOn` keeps it pending until `state.release()`, like a slow server mid-run.
+jest.mock('./ProjectedTransactionService', () => {
+    const state = { created: [], calls: 0, failOn: null, holdOn: null, release: null };
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+    return {
+        __state: state,
+        createTransaction: async (payload) => {
+            await tick();
+            state.calls += 1;
+            if (state.calls === state.failOn) throw new Error('offline');
+            if (state.calls === state.holdOn) await new Promise((resolve) => { state.release = resolve; });
+            const projection = { ...payload, id: `p${state.calls}` };
+            state.created.push(projection);
+            return projection;
+        },
+        deleteTransaction: async () => {},
+        updateTransaction: async () => {},
+    };
+});
+
+const projections = () => jest.requireMock('./ProjectedTransactionService').__state;
+const occurrences = () => projections().created.map((p) => p.recurringOccurrence);
+
+const weekly = {
+    name: 'Allowance',
+    amount: 20,
+    schedule: { type: 'everyNWeeks', intervalWeeks: 1 },
+    startDate: '2020-01-06',
+};
+
+beforeEach(async () => {
+    jest.requireMock('./LocalCacheService').__store.clear();
+    Object.assign(projections(), { created: [], calls: 0, failOn: null, holdOn: null, release: null });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await recurringTemplateService.saveTemplate(weekly);
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+});
+
+describe('generateProjections', () => {
+    it('creates each occurrence once when runs overlap', async () => {
+        const results = await Promise.all([
+            recurringTemplateService.generateProjections({ horizon: 1 }),
+            recurringTemplateService.generateProjections({ horizon: 1 }),
+        ]);
+
+        expect(results[0].created).toBeGreaterThan(0);
+        expect(results[1].created).toBe(0);
+        expect(new Set(occurrences()).size).toBe(occurrences().length);
+        expect(Object.keys(await recurringTemplateService.getInstances())).toHaveLength(occurrences().length);
+    });
+
+    it('records each instance as soon as its projection is created', async () => {
+        projections().holdOn = 2;
+        const run = recurringTemplateService.generateProjections({ horizon: 1 });
+        while (!projections().release) await new Promise((resolve) => setTimeout(resolve, 0));
+
+        const stored = JSON.parse(jest.requireMock('./LocalCacheService').__store.get('recurringInstances'));
+        expect(Object.keys(stored)).toEqual([`${projections().created[0].recurringTemplateId}|${occurrences()[0]}`]);
+
+        projections().release();
+        await run;
+    });
+
+    it('retries only the occurrences whose create failed', async () => {
+        projections().failOn = 2;
+        const first = await recurringTemplateService.generateProjections({ horizon: 1 });
+        expect(first.failed).toBe(1);
+
+        const second = await recurringTemplateService.generateProjections({ horizon: 1 });
+
+        expect(second).toEqual({ created: 1, failed: 0 });
+        expect(new Set(occurrences()).size).toBe(occurrences().length);
+    });
+});
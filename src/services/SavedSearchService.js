@@ -0,0 +1,125 @@
+/**
+ * SavedSearchService - Saved transaction searches.
+ *
+ * Searches are stored through the shared /api/cache store (LocalCacheService) as a
+ * JSON array, sorted by name. Pinned searches are listed in the sidebar's Views.
+ *
+ * Search shape:
+ *   { id, name, query, scope: 'period'|'all', account, pinned, updatedAt }
+ *
+ * @module SavedSearchService
+ */
+
+const logger = {
+    info: (...args) => console.log('[SavedSearchService]', ...args),
+    error: (...args) => console.error('[SavedSearchService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+
+const CACHE_KEY = 'savedSearches';
+
+/**
+ * Builds a reasonably unique search id.
+ * @returns {string}
+ */
+function makeSearchId() {
+    return `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+const savedSearchService = {
+    /**
+     * Fetch all saved searches.
+     *
+     * @async
+     * @function getSearches
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getSearches() {
+        logger.info('getSearches entry');
+        try {
+            const searches = await localCacheService.getJSON(CACHE_KEY, []);
+            const list = (Array.isArray(searches) ? searches : []).filter((s) => s && s.id);
+            logger.info('getSearches success', { count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getSearches error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Fetch one saved search.
+     *
+     * @async
+     * @function getSearch
+     * @param {string} id - Search id (required).
+     * @returns {Promise<Object|null>} - null when no search has that id.
+     * @throws {Error} - If id is missing or the request fails.
+     */
+    async getSearch(id) {
+        logger.info('getSearch entry', { id });
+        if (!id) throw new Error('Search ID required');
+        const searches = await savedSearchService.getSearches();
+        return searches.find((s) => s.id === id) || null;
+    },
+
+    /**
+     * Create or replace a saved search (matched by id; a new id is assigned when missing).
+     *
+     * @async
+     * @function saveSearch
+     * @param {Object} search - Search fields; name and query are required.
+     * @returns {Promise<Object>} - The saved search.
+     * @throws {Error} - If name or query is missing or the request fails.
+     */
+    async saveSearch(search = {}) {
+        logger.info('saveSearch entry', { id: search.id, name: search.name });
+        if (!search.name || String(search.name).trim() === '') throw new Error('Search name required');
+        if (!search.query || String(search.query).trim() === '') throw new Error('Search query required');
+        try {
+            const saved = {
+                ...search,
+                id: search.id || makeSearchId(),
+                name: String(search.name).trim(),
+                query: String(search.query).trim(),
+                pinned: Boolean(search.pinned),
+                updatedAt: new Date().toISOString(),
+            };
+            const searches = await savedSearchService.getSearches();
+            const next = [...searches.filter((s) => s.id !== saved.id), saved]
+                .sort((a, b) => a.name.localeCompare(b.name));
+            await localCacheService.setJSON(CACHE_KEY, next);
+            logger.info('saveSearch success', { id: saved.id });
+            return saved;
+        } catch (err) {
+            logger.error('saveSearch error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Delete a saved search by id.
+     *
+     * @async
+     * @function deleteSearch
+     * @param {string} id - Search id (required).
+     * @returns {Promise<void>}
+     * @throws {Error} - If id is missing or the request fails.
+     */
+    async deleteSearch(id) {
+        logger.info('deleteSearch entry', { id });
+        if (!id) throw new Error('Search ID required');
+        try {
+            const searches = await savedSearchService.getSearches();
+            await localCacheService.setJSON(CACHE_KEY, searches.filter((s) => s.id !== id));
+            logger.info('deleteSearch success', { id });
+        } catch (err) {
+            logger.error('deleteSearch error', err);
+            throw err;
+        }
+    },
+};
+
+export default savedSearchService;
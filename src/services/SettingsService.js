@@ -0,0 +1,87 @@
+/**
+ * SettingsService - Persists and applies the settings edited on the Settings screen.
+ *
+ * Saving writes the settings into the JSON config file through Electron IPC
+ * (window.electronAPI.writeConfig) and then applies them live via config.setOverrides,
+ * so no rebuild or reload is needed. Outside Electron there is no config file; the
+ * settings are applied for the current session only.
+ *
+ * Values are expected to be validated by the caller (see features/settings/utils/settingsForm).
+ *
+ * @module SettingsService
+ */
+
+const logger = {
+    info: (...args) => console.log('[SettingsService]', ...args),
+    error: (...args) => console.error('[SettingsService]', ...args),
+};
+
+import { EDITABLE_CONFIG_KEYS, getEditableSettings, setOverrides } from '../config/config.js';
+
+/**
+ * @returns {Function|null} the preload writeConfig bridge, if present
+ */
+function writeConfigBridge() {
+    return (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.writeConfig === 'function')
+        ? window.electronAPI.writeConfig
+        : null;
+}
+
+const settingsService = {
+    /**
+     * Current editable settings.
+     *
+     * @function getSettings
+     * @param {Object} [config] - config snapshot (see useConfig); the live config otherwise
+     * @returns {Object}
+     */
+    getSettings(config) {
+        return getEditableSettings(config);
+    },
+
+    /**
+     * Whether saved settings survive a restart (running inside Electron).
+     *
+     * @function canPersist
+     * @returns {boolean}
+     */
+    canPersist() {
+        return Boolean(writeConfigBridge());
+    },
+
+    /**
+     * Persist settings to the config file, then apply them live.
+     *
+     * @async
+     * @function saveSettings
+     * @param {Object} settings - Editable settings (see EDITABLE_CONFIG_KEYS); other keys are dropped.
+     * @returns {Promise<{persisted: boolean, filePath: string|null, applied: string[]}>}
+     * @throws {Error} - If settings are missing or the config file cannot be written.
+     */
+    async saveSettings(settings) {
+        logger.info('saveSettings entry', { keys: Object.keys(settings || {}) });
+        if (!settings || typeof settings !== 'object') throw new Error('settings required');
+        const payload = EDITABLE_CONFIG_KEYS.reduce((acc, key) => {
+            if (settings[key] !== undefined) acc[key] = settings[key];
+            return acc;
+        }, {});
+        try {
+            const writeConfig = writeConfigBridge();
+            let filePath = null;
+            if (writeConfig) {
+                const res = await writeConfig(payload);
+                filePath = res?.filePath || null;
+            } else {
+                logger.info('saveSettings: config file unavailable outside Electron; applying for this session only');
+            }
+            const applied = setOverrides(payload);
+            logger.info('saveSettings success', { persisted: Boolean(writeConfig), filePath, applied });
+            return { persisted: Boolean(writeConfig), filePath, applied };
+        } catch (err) {
+            logger.error('saveSettings error', err);
+            throw err;
+        }
+    },
+};
+
+export default settingsService;
@@ -0,0 +1,188 @@
+/**
+ * SettleUpService - Shared-expense settle-up settings and recorded settlement payments.
+ *
+ * Both are stored through the shared /api/cache store (LocalCacheService) as JSON:
+ * the settings as one object, the settlements as an array sorted by date.
+ *
+ * Settings shape:
+ *   {
+ *     method: 'equal'|'income'|'custom',
+ *     incomes: { [memberFilter]: number },      // income-proportional shares
+ *     percentages: { [memberFilter]: number },  // custom shares, summing to 100
+ *     cardOwners: { [card]: memberFilter },     // who pays a card, beyond each member's own paymentMethod
+ *     startPeriod,                              // first statement period balances carry forward from
+ *     updatedAt
+ *   }
+ *
+ * Settlement shape:
+ *   { id, statementPeriod, from, to, amount, date, note, createdAt }
+ *
+ * @module SettleUpService
+ */
+
+const logger = {
+    info: (...args) => console.log('[SettleUpService]', ...args),
+    error: (...args) => console.error('[SettleUpService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+import { publish } from './TransactionEvents';
+
+const SETTINGS_CACHE_KEY = 'settleUpSettings';
+const SETTLEMENTS_CACHE_KEY = 'settlements';
+
+/** Settings used until the household saves its own. */
+export const DEFAULT_SETTLE_UP_SETTINGS = {
+    method: 'equal',
+    incomes: {},
+    percentages: {},
+    cardOwners: {},
+    startPeriod: null,
+};
+
+/**
+ * Builds a reasonably unique settlement id.
+ * @returns {string}
+ */
+function makeSettlementId() {
+    return `settle-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Tells the settle-up view to reload.
+ * @param {string} reason
+ */
+function publishChange(reason) {
+    try {
+        publish({ type: 'settlementsChanged', reason });
+    } catch (err) {
+        logger.error('publish settlementsChanged failed', err);
+    }
+}
+
+const settleUpService = {
+    /**
+     * Fetch the settle-up settings (defaults when none are saved).
+     *
+     * @async
+     * @function getSettings
+     * @returns {Promise<Object>}
+     * @throws {Error} - If the request fails.
+     */
+    async getSettings() {
+        logger.info('getSettings entry');
+        try {
+            const stored = await localCacheService.getJSON(SETTINGS_CACHE_KEY, null);
+            return { ...DEFAULT_SETTLE_UP_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+        } catch (err) {
+            logger.error('getSettings error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Save the settle-up settings.
+     *
+     * @async
+     * @function saveSettings
+     * @param {Object} settings
+     * @returns {Promise<Object>} - The saved settings.
+     * @throws {Error} - If the request fails.
+     */
+    async saveSettings(settings = {}) {
+        logger.info('saveSettings entry', { method: settings.method });
+        try {
+            const saved = { ...DEFAULT_SETTLE_UP_SETTINGS, ...settings, updatedAt: new Date().toISOString() };
+            await localCacheService.setJSON(SETTINGS_CACHE_KEY, saved);
+            logger.info('saveSettings success');
+            publishChange('settings');
+            return saved;
+        } catch (err) {
+            logger.error('saveSettings error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Fetch all recorded settlements.
+     *
+     * @async
+     * @function getSettlements
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getSettlements() {
+        logger.info('getSettlements entry');
+        try {
+            const settlements = await localCacheService.getJSON(SETTLEMENTS_CACHE_KEY, []);
+            const list = (Array.isArray(settlements) ? settlements : []).filter((s) => s && s.id);
+            logger.info('getSettlements success', { count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getSettlements error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Record a settlement payment from one member to another.
+     *
+     * @async
+     * @function recordSettlement
+     * @param {Object} settlement - { statementPeriod, from, to, amount, date?, note? }
+     * @returns {Promise<Object>} - The recorded settlement.
+     * @throws {Error} - If a field is missing or invalid, or the request fails.
+     */
+    async recordSettlement(settlement = {}) {
+        logger.info('recordSettlement entry', { from: settlement.from, to: settlement.to, amount: settlement.amount });
+        if (!settlement.statementPeriod) throw new Error('Statement period required');
+        if (!settlement.from || !settlement.to) throw new Error('Payer and payee required');
+        if (settlement.from === settlement.to) throw new Error('Payer and payee must differ');
+        const amount = Math.round(Number(settlement.amount) * 100) / 100;
+        if (!Number.isFinite(amount) || amount <= 0) throw new Error('Amount must be greater than zero');
+        try {
+            const saved = {
+                ...settlement,
+                id: makeSettlementId(),
+                amount,
+                date: settlement.date || new Date().toISOString().slice(0, 10),
+                note: String(settlement.note || '').trim(),
+                createdAt: new Date().toISOString(),
+            };
+            const settlements = await settleUpService.getSettlements();
+            const next = [...settlements, saved].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+            await localCacheService.setJSON(SETTLEMENTS_CACHE_KEY, next);
+            logger.info('recordSettlement success', { id: saved.id });
+            publishChange('record');
+            return saved;
+        } catch (err) {
+            logger.error('recordSettlement error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Delete a recorded settlement by id.
+     *
+     * @async
+     * @function deleteSettlement
+     * @param {string} id - Settlement id (required).
+     * @returns {Promise<void>}
+     * @throws {Error} - If id is missing or the request fails.
+     */
+    async deleteSettlement(id) {
+        logger.info('deleteSettlement entry', { id });
+        if (!id) throw new Error('Settlement ID required');
+        try {
+            const settlements = await settleUpService.getSettlements();
+            await localCacheService.setJSON(SETTLEMENTS_CACHE_KEY, settlements.filter((s) => s.id !== id));
+            logger.info('deleteSettlement success', { id });
+            publishChange('delete');
+        } catch (err) {
+            logger.error('deleteSettlement error', err);
+            throw err;
+        }
+    },
+};
+
+export default settleUpService;
@@ -4,35 +4,50 @@ const logger = {
 };
 
 import { getApiClient } from '../lib/apiClient';
+import { getStatementPeriodScheme } from '../config/config.js';
+import {
+    generatePeriods,
+    normalizeScheme,
+    periodForDate,
+    periodRange,
+    shiftPeriod,
+} from '../lib/statementPeriods';
 
 /**
  * StatementPeriodService
  *
  * Exposes:
- * - generateOptions(anchor, prev, forward)  -> named export
- * - getCurrentOption(options)               -> named export
- * - getAllFromServer()                      -> named export (uses centralized apiClient)
+ * - getScheme(config)                             -> named export
+ * - generateOptions(anchor, prev, forward, scheme) -> named export
+ * - getCurrentOption(options)                     -> named export
+ * - getAllFromServer()                            -> named export (uses centralized apiClient)
+ * - shiftPeriodValue(value, delta, scheme)        -> named export
+ * - getPeriodRange(value, scheme)                 -> named export
+ * - getPeriodForDate(date, scheme)                -> named export
+ *
+ * Period math follows the configured statement period scheme (config
+ * `statementPeriodScheme`, see lib/statementPeriods); `scheme` parameters default to it.
  *
  * Also provides a default export object for backward compatibility.
  */
 
 /**
- * generateOptions({ anchor = new Date(), prev = 1, forward = 5 })
+ * getScheme(config)
+ * The configured statement period scheme, validated (calendar months when unset or invalid).
+ * `config` is an optional config snapshot (see useConfig); the live config otherwise.
+ */
+export function getScheme(config) {
+    return normalizeScheme(getStatementPeriodScheme(config));
+}
+
+/**
+ * generateOptions({ anchor = new Date(), prev = 1, forward = 5, scheme })
+ * Options are { label, value, iso, offset, start, end, rangeLabel }; offset 0 is the current period.
  */
-export function generateOptions({ anchor = new Date(), prev = 1, forward = 5 } = {}) {
+export function generateOptions({ anchor = new Date(), prev = 1, forward = 5, scheme = getScheme() } = {}) {
     try {
-        const options = [];
-        for (let i = -prev; i <= forward; i += 1) {
-            const d = new Date(anchor.getTime());
-            d.setMonth(d.getMonth() + i, 1); // stable first-of-month
-            const monthName = d.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-            const year = d.getFullYear();
-            const label = monthName;
-            const value = `${monthName}${year}`;
-            const iso = new Date(d.getFullYear(), d.getMonth(), 1).toISOString();
-            options.push({ label, value, iso, offset: i });
-        }
-        logger.info('generateOptions produced', { count: options.length, anchor: anchor.toISOString() });
+        const options = generatePeriods({ anchor, prev, forward, scheme });
+        logger.info('generateOptions produced', { count: options.length, anchor: anchor.toISOString(), scheme: scheme.type });
         return options;
     } catch (err) {
         logger.error('generateOptions failed', err);
@@ -65,10 +80,40 @@ export async function getAllFromServer() {
     }
 }
 
+/**
+ * shiftPeriodValue(value, delta, scheme)
+ * Moves a period value by delta periods ("SEPTEMBER2026" for "OCTOBER2026" and -1 with months).
+ * Returns null when the value cannot be parsed or runs past the custom ranges.
+ */
+export function shiftPeriodValue(value, delta = 0, scheme = getScheme()) {
+    return shiftPeriod(value, delta, scheme);
+}
+
+/**
+ * getPeriodRange(value, scheme)
+ * Inclusive local date range ({ start, end } Dates) of a period value, or null when the
+ * value does not belong to the scheme.
+ */
+export function getPeriodRange(value, scheme = getScheme()) {
+    return periodRange(value, scheme);
+}
+
+/**
+ * getPeriodForDate(date, scheme)
+ * Period value containing a date (null when no custom range contains it).
+ */
+export function getPeriodForDate(date, scheme = getScheme()) {
+    return periodForDate(date, scheme);
+}
+
 const defaultExport = {
     generateOptions,
     getCurrentOption,
     getAllFromServer,
+    shiftPeriodValue,
+    getScheme,
+    getPeriodRange,
+    getPeriodForDate,
 };
 
 export default defaultExport;
\ No newline at end of file
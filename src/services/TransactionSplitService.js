@@ -0,0 +1,220 @@
+/**
+ * TransactionSplitService - Split transactions (one charge allocated across categories / accounts).
+ *
+ * Splits are stored through the shared /api/cache store (LocalCacheService) as a JSON
+ * array, keyed by the parent transaction's id. The parent stays a single transaction on
+ * the server; a split only changes how its amount is counted by the totals, payment
+ * breakdowns and balances. Allocations must sum to the parent amount to the cent.
+ *
+ * The split keeps a snapshot of the parent so allocations can be counted in views that
+ * did not fetch the parent itself (e.g. a Household allocation of a Groceries charge).
+ *
+ * Split shape:
+ *   {
+ *     id,                // parent transaction id
+ *     parent: { name, amount, account, category, criticality, paymentMethod, transactionDate, statementPeriod },
+ *     allocations: [{ id, category, criticality, account, amount }],
+ *     updatedAt
+ *   }
+ *
+ * @module TransactionSplitService
+ */
+
+const logger = {
+    info: (...args) => console.log('[TransactionSplitService]', ...args),
+    error: (...args) => console.error('[TransactionSplitService]', ...args),
+};
+
+import localCacheService from './LocalCacheService';
+import { publish } from './TransactionEvents';
+import { validateSplit, snapshotParent } from '../lib/splitAllocations';
+
+const CACHE_KEY = 'transactionSplits';
+
+/** Tail of the chain that serializes writes to the splits list (see updateSplits). */
+let writeLock = Promise.resolve();
+
+/**
+ * Reads the stored splits, dropping malformed entries.
+ * @returns {Promise<Array<Object>>}
+ */
+async function readSplits() {
+    const splits = await localCacheService.getJSON(CACHE_KEY, []);
+    return (Array.isArray(splits) ? splits : [])
+        .filter((s) => s && s.id != null && Array.isArray(s.allocations));
+}
+
+/**
+ * Read-modify-write of the whole splits list, run after every earlier one has finished so
+ * concurrent saves (e.g. a bulk edit syncing several parents) do not overwrite each other.
+ * @param {Function} mutate - (splits) => next list, or null to leave the store untouched
+ * @returns {Promise<boolean>} whether a new list was saved
+ */
+function updateSplits(mutate) {
+    const run = writeLock.then(async () => {
+        const next = mutate(await readSplits());
+        if (!next) return false;
+        await localCacheService.setJSON(CACHE_KEY, next);
+        return true;
+    });
+    writeLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Builds a reasonably unique allocation id.
+ * @returns {string}
+ */
+function makeAllocationId() {
+    return `alloc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Tells the views that count allocations to reload.
+ * @param {string} reason
+ * @param {Array<string|number>} ids - parent transaction ids
+ */
+function publishChange(reason, ids) {
+    try {
+        publish({ type: 'splitsChanged', reason, ids });
+    } catch (err) {
+        logger.error('publish splitsChanged failed', err);
+    }
+}
+
+const transactionSplitService = {
+    /**
+     * Fetch all splits.
+     *
+     * @async
+     * @function getSplits
+     * @returns {Promise<Array<Object>>}
+     * @throws {Error} - If the request fails.
+     */
+    async getSplits() {
+        logger.info('getSplits entry');
+        try {
+            const list = await readSplits();
+            logger.info('getSplits success', { count: list.length });
+            return list;
+        } catch (err) {
+            logger.error('getSplits error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Create or replace the split of a transaction.
+     *
+     * @async
+     * @function saveSplit
+     * @param {Object} parent - The parent transaction (must have an id and amount).
+     * @param {Array<Object>} allocations - { category, account, amount, criticality? }
+     * @returns {Promise<Object>} - The saved split.
+     * @throws {Error} - If the allocations are invalid or the request fails.
+     */
+    async saveSplit(parent, allocations = []) {
+        logger.info('saveSplit entry', { id: parent?.id, allocations: allocations.length });
+        if (parent?.id == null) throw new Error('Transaction ID required');
+        const errors = validateSplit(parent, allocations);
+        if (errors.length > 0) throw new Error(errors[0]);
+        try {
+            const saved = {
+                id: parent.id,
+                parent: snapshotParent(parent),
+                allocations: allocations.map((a) => ({
+                    id: a.id || makeAllocationId(),
+                    category: String(a.category).trim(),
+                    criticality: a.criticality || parent.criticality || '',
+                    account: a.account || parent.account,
+                    amount: Number(a.amount),
+                })),
+                updatedAt: new Date().toISOString(),
+            };
+            await updateSplits((splits) => [...splits.filter((s) => String(s.id) !== String(saved.id)), saved]);
+            logger.info('saveSplit success', { id: saved.id });
+            publishChange('save', [saved.id]);
+            return saved;
+        } catch (err) {
+            logger.error('saveSplit error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Refresh the parent snapshot of an existing split after the parent was edited.
+     * Does nothing when the transaction is not split or the snapshot is already current.
+     *
+     * @async
+     * @function syncParent
+     * @param {Object} parent - The edited parent transaction.
+     * @returns {Promise<Object|null>} - The updated split, or null when nothing changed.
+     * @throws {Error} - If the request fails.
+     */
+    async syncParent(parent) {
+        if (parent?.id == null) return null;
+        const snapshot = snapshotParent(parent);
+        try {
+            let updated = null;
+            await updateSplits((splits) => {
+                const split = splits.find((s) => String(s.id) === String(parent.id));
+                if (!split || JSON.stringify(snapshot) === JSON.stringify(split.parent)) return null;
+                updated = { ...split, parent: snapshot, updatedAt: new Date().toISOString() };
+                return splits.map((s) => (s === split ? updated : s));
+            });
+            if (!updated) return null;
+            logger.info('syncParent', { id: parent.id });
+            publishChange('syncParent', [parent.id]);
+            return updated;
+        } catch (err) {
+            logger.error('syncParent error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Delete the splits of the given transactions (e.g. after the transactions were deleted).
+     *
+     * @async
+     * @function deleteSplits
+     * @param {Array<string|number>} ids - Parent transaction ids.
+     * @returns {Promise<number>} - How many splits were removed.
+     * @throws {Error} - If the request fails.
+     */
+    async deleteSplits(ids = []) {
+        const wanted = new Set(ids.map(String));
+        if (wanted.size === 0) return 0;
+        logger.info('deleteSplits entry', { count: wanted.size });
+        try {
+            let removed = 0;
+            await updateSplits((splits) => {
+                const kept = splits.filter((s) => !wanted.has(String(s.id)));
+                removed = splits.length - kept.length;
+                return removed > 0 ? kept : null;
+            });
+            if (removed > 0) publishChange('delete', ids);
+            logger.info('deleteSplits success', { removed });
+            return removed;
+        } catch (err) {
+            logger.error('deleteSplits error', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Delete the split of one transaction; the charge counts as a single transaction again.
+     *
+     * @async
+     * @function deleteSplit
+     * @param {string|number} id - Parent transaction id (required).
+     * @returns {Promise<void>}
+     * @throws {Error} - If id is missing or the request fails.
+     */
+    async deleteSplit(id) {
+        logger.info('deleteSplit entry', { id });
+        if (id == null) throw new Error('Transaction ID required');
+        await transactionSplitService.deleteSplits([id]);
+    },
+};
+
+export default transactionSplitService;
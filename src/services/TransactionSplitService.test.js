@@ -0,0 +1,65 @@
+import transactionSplitService from './TransactionSplitService';
+
+jest.mock('./TransactionEvents', () => ({ publish: jest.fn() }));
+
+// In-memory stand-in for the /api/cache store; every call yields like a network round trip.
+jest.mock('./LocalCacheService', () => {
+    const store = new Map();
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+    return {
+        __store: store,
+        getJSON: async (key, fallback) => { await tick(); return store.has(key) ? JSON.parse(store.get(key)) : fallback; },
+        setJSON: async (key, value) => { await tick(); store.set(key, JSON.stringify(value)); },
+    };
+});
+
+const parent = (id, amount = 10) => ({ id, name: `tx ${id}`, amount, account: 'joint', category: 'Food' });
+const halves = (amount = 10) => [
+    { category: 'Food', account: 'joint', amount: amount / 2 },
+    { category: 'Home', account: 'joint', amount: amount / 2 },
+];
+
+beforeEach(() => {
+    jest.requireMock('./LocalCacheService').__store.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('TransactionSplitService', () => {
+    it('keeps every split when several are saved at once', async () => {
+        await Promise.all([1, 2, 3, 4].map((id) => transactionSplitService.saveSplit(parent(id), halves())));
+
+        const splits = await transactionSplitService.getSplits();
+        expect(splits.map((s) => s.id).sort()).toEqual([1, 2, 3, 4]);
+    });
+
+    it('does not resurrect a split deleted while another is saved', async () => {
+        await transactionSplitService.saveSplit(parent(1), halves());
+
+        await Promise.all([
+            transactionSplitService.deleteSplit(1),
+            transactionSplitService.saveSplit(parent(2), halves()),
+        ]);
+
+        const splits = await transactionSplitService.getSplits();
+        expect(splits.map((s) => s.id)).toEqual([2]);
+    });
+
+    it('syncs several parents concurrently without dropping updates', async () => {
+        await transactionSplitService.saveSplit(parent(1), halves());
+        await transactionSplitService.saveSplit(parent(2), halves());
+
+        const results = await Promise.all([
+            transactionSplitService.syncParent({ ...parent(1), name: 'renamed 1' }),
+            transactionSplitService.syncParent({ ...parent(2), name: 'renamed 2' }),
+            transactionSplitService.syncParent(parent(3)),
+        ]);
+
+        expect(results[2]).toBeNull();
+        const names = (await transactionSplitService.getSplits()).map((s) => s.parent.name).sort();
+        expect(names).toEqual(['renamed 1', 'renamed 2']);
+    });
+});